@@ -0,0 +1,795 @@
+#!/usr/bin/env node
+/**
+ * Client en ligne de commande d'IPTables Manager
+ *
+ * Deux modes, avec les mêmes commandes et les mêmes sorties :
+ * - API : avec --server (ou IPTABLES_MANAGER_URL) et un jeton d'API
+ *   (--token ou IPTABLES_MANAGER_TOKEN), les commandes passent par le serveur
+ *   en cours d'exécution (rôles, journal d'audit et instantanés du serveur).
+ * - Autonome : sans serveur, la connexion SSH est ouverte par ce processus
+ *   avec SSHService, vers un hôte du fichier d'inventaire (--hosts-file, ou
+ *   INVENTORY_FILE, par défaut data/hosts.json). Le journal d'audit et les
+ *   instantanés sont ceux du répertoire data/ local.
+ *
+ * Exemples:
+ *   iptables-manager list --host prod-gw1 --table nat
+ *   iptables-manager add --host prod-gw1 --chain INPUT -p tcp --dport 443 -j ACCEPT
+ *   iptables-manager delete INPUT 3 --host prod-gw1 --format json
+ *   iptables-manager diff --host prod-gw1 || echo "modifications non sauvegardées"
+ *   iptables-manager plan etat/prod-gw1.yaml --host prod-gw1 && echo "hôte conforme"
+ *
+ * Codes de sortie (voir EXIT) : 0 succès (diff, plan: rien à modifier),
+ * 1 différences (diff, plan), 2 commande ou règle invalide, 3 authentification ou
+ * droits insuffisants, 4 hôte ou règle introuvable, 5 conflit (règle déplacée,
+ * accès SSH menacé, hôte nftables), 6 échec de connexion ou de commande.
+ *
+ * @module bin/iptables-manager
+ * @requires util
+ * @requires fs
+ * @requires os
+ * @requires path
+ * @requires ../services/ssh-service (mode autonome, et sortie iptables-save)
+ * @requires ../services/inventory-service (mode autonome)
+ * @requires ../services/desired-state-service (mode autonome)
+ */
+
+const { parseArgs } = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Codes de sortie, utilisables par les scripts
+ */
+const EXIT = {
+  OK: 0,
+  DIFFERENCES: 1,
+  USAGE: 2,
+  DENIED: 3,
+  NOT_FOUND: 4,
+  CONFLICT: 5,
+  FAILURE: 6
+};
+
+/**
+ * Formats de sortie
+ */
+const FORMATS = ['table', 'json', 'save'];
+
+/**
+ * Options reconnues (voir util.parseArgs)
+ */
+const OPTIONS = {
+  host: { type: 'string', short: 'H' },
+  table: { type: 'string', short: 't' },
+  family: { type: 'string', default: 'ipv4' },
+  format: { type: 'string', short: 'f', default: 'table' },
+  server: { type: 'string' },
+  token: { type: 'string' },
+  'hosts-file': { type: 'string' },
+  'allow-lockout': { type: 'boolean' },
+  fingerprint: { type: 'string' },
+  position: { type: 'string' },
+  rule: { type: 'string' },
+  chain: { type: 'string' },
+  protocol: { type: 'string', short: 'p' },
+  source: { type: 'string', short: 's' },
+  destination: { type: 'string', short: 'd' },
+  'in-interface': { type: 'string', short: 'i' },
+  'out-interface': { type: 'string', short: 'o' },
+  sport: { type: 'string' },
+  dport: { type: 'string' },
+  match: { type: 'string', short: 'm', multiple: true },
+  target: { type: 'string', short: 'j' },
+  'target-option': { type: 'string', multiple: true },
+  comment: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const USAGE = `Usage: iptables-manager <commande> [options]
+
+Commandes:
+  list                    Règles avec compteurs (--table pour une seule table)
+  add                     Ajoute une règle (--position N pour l'insérer)
+  delete <chaîne> <num>   Supprime la règle d'une position
+  save                    Sauvegarde la configuration dans /etc/iptables/rules.v4 (rules.v6)
+  restore                 Restaure la configuration sauvegardée
+  diff                    Compare la configuration sauvegardée et la configuration active
+                          (code de sortie 1 si elles diffèrent)
+  plan [fichier]          Modifications qui amèneraient l'hôte à l'état déclaré (YAML ou JSON ;
+                          sans fichier, celui de l'hôte dans DESIRED_STATE_DIR ;
+                          code de sortie 1 s'il y en a)
+  apply [fichier]         Applique ces modifications (--fingerprint: empreinte du plan)
+
+Options communes:
+  -H, --host <id>         Hôte de l'inventaire
+  -t, --table <table>     Table (par défaut: filter pour add et delete)
+      --family <famille>  ipv4 (par défaut) ou ipv6
+  -f, --format <format>   table (par défaut), json ou save (format iptables-save, list uniquement)
+      --server <url>      Serveur IPTables Manager (ou IPTABLES_MANAGER_URL)
+      --token <jeton>     Jeton d'API (ou IPTABLES_MANAGER_TOKEN)
+      --hosts-file <f>    Inventaire du mode autonome (ou INVENTORY_FILE)
+      --allow-lockout     Applique même si la connexion SSH serait coupée
+
+Règle (add):
+      --rule <json>       Règle structurée complète (ou @fichier.json)
+      --chain <chaîne>    Chaîne (ex: INPUT)
+  -p, --protocol, -s, --source, -d, --destination, -i, --in-interface,
+  -o, --out-interface, --sport, --dport
+  -m, --match <module:option=valeur>       (répétable, ex: conntrack:ctstate=NEW)
+  -j, --target <cible>
+      --target-option <option=valeur>      (répétable, ex: to-destination=10.0.0.5:80)
+      --comment <texte>
+
+Suppression (delete), état déclaré (apply):
+      --fingerprint <empreinte>  Refuse si la règle de cette position (ou la configuration) a changé
+
+Codes de sortie: 0 succès, 1 différences (diff, plan), 2 commande ou règle invalide,
+3 authentification ou droits, 4 introuvable, 5 conflit, 6 échec de connexion ou de commande
+`;
+
+// ============================================================================
+// UTILITAIRES
+// ============================================================================
+
+/**
+ * Crée une erreur d'utilisation (code de sortie 2)
+ *
+ * @param {string} message - Message d'erreur
+ * @param {Array<string>} [details] - Détails (ex: erreurs de validation)
+ * @returns {Error} Erreur avec status 400
+ */
+function usageError(message, details) {
+  const error = new Error(message);
+  error.status = 400;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Code de sortie correspondant à une erreur
+ *
+ * Les erreurs des services et de l'API portent un code HTTP (status) ;
+ * les autres (connexion SSH, réseau, commande distante) sont des échecs.
+ *
+ * @param {Error} error - Erreur
+ * @returns {number} Code de sortie (voir EXIT)
+ */
+function exitCodeFor(error) {
+  switch (error.status) {
+    case 400: return EXIT.USAGE;
+    case 401:
+    case 403: return EXIT.DENIED;
+    case 404: return EXIT.NOT_FOUND;
+    case 409: return EXIT.CONFLICT;
+    default: return EXIT.FAILURE;
+  }
+}
+
+/**
+ * Découpe 'clé=valeur'
+ *
+ * @param {string} value - Valeur reçue
+ * @param {string} label - Option concernée, pour le message d'erreur
+ * @returns {Array<string>} [clé, valeur] (valeur true pour une option sans valeur, ex: 'syn')
+ * @throws {Error} Si la clé est vide (erreur d'utilisation)
+ */
+function splitOption(value, label) {
+  const index = value.indexOf('=');
+  const key = index === -1 ? value : value.slice(0, index);
+  if (!key) {
+    throw usageError(`Valeur invalide pour ${label}: ${value} (attendu: option=valeur)`);
+  }
+  return [key, index === -1 ? true : value.slice(index + 1)];
+}
+
+/**
+ * Construit la règle structurée d'une commande add (voir services/rule-model)
+ *
+ * --rule fournit la règle complète ; sinon elle est assemblée à partir des
+ * options de type iptables. La validation est faite par le serveur ou par
+ * SSHService, selon le mode.
+ *
+ * @param {Object} values - Options analysées
+ * @param {Function} [readFile] - Lecture d'un fichier (pour --rule @fichier)
+ * @returns {Object} Règle structurée
+ * @throws {Error} Si --rule n'est pas du JSON valide (erreur d'utilisation)
+ */
+function buildRule(values, readFile = file => fs.readFileSync(file, 'utf8')) {
+  if (values.rule) {
+    const text = values.rule.startsWith('@') ? readFile(values.rule.slice(1)) : values.rule;
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw usageError(`Règle JSON invalide: ${error.message}`);
+    }
+  }
+
+  const rule = {
+    chain: values.chain,
+    protocol: values.protocol,
+    source: values.source,
+    destination: values.destination,
+    inInterface: values['in-interface'],
+    outInterface: values['out-interface'],
+    sourcePort: values.sport,
+    destPort: values.dport,
+    target: values.target
+  };
+
+  const matches = new Map();
+  for (const value of values.match || []) {
+    const separator = value.indexOf(':');
+    if (separator <= 0) {
+      throw usageError(`Valeur invalide pour --match: ${value} (attendu: module:option=valeur)`);
+    }
+    const module = value.slice(0, separator);
+    const [option, optionValue] = splitOption(value.slice(separator + 1), '--match');
+    if (!matches.has(module)) matches.set(module, {});
+    matches.get(module)[option] = optionValue;
+  }
+  if (values.comment) {
+    matches.set('comment', { comment: values.comment });
+  }
+  if (matches.size > 0) {
+    rule.matches = [...matches].map(([module, options]) => ({ module, options }));
+  }
+
+  const targetOptions = (values['target-option'] || []).map(value => splitOption(value, '--target-option'));
+  if (targetOptions.length > 0) {
+    rule.targetOptions = Object.fromEntries(targetOptions);
+  }
+
+  // Champs absents retirés : la règle envoyée est celle qu'on aurait écrite à la main
+  return Object.fromEntries(Object.entries(rule).filter(([, value]) => value !== undefined));
+}
+
+// ============================================================================
+// CLIENTS (API ET AUTONOME)
+// ============================================================================
+
+/**
+ * Client du mode API : appelle les routes /api/iptables du serveur avec un jeton
+ *
+ * L'hôte est désigné par l'en-tête X-Host-Id ; le serveur ouvre et referme la
+ * connexion SSH (voir routes/iptables-routes).
+ */
+class ApiClient {
+  /**
+   * @param {Object} options - { server, token, host, family }
+   */
+  constructor({ server, token, host, family }) {
+    if (!token) {
+      throw usageError('Jeton d\'API manquant (--token ou IPTABLES_MANAGER_TOKEN)');
+    }
+    if (!host) {
+      throw usageError('Hôte manquant (--host, identifiant de l\'inventaire du serveur)');
+    }
+    this.baseUrl = `${server.replace(/\/+$/, '')}/api/iptables`;
+    this.token = token;
+    this.host = host;
+    this.family = family;
+  }
+
+  /**
+   * Appelle une route de l'API
+   *
+   * @param {string} method - Méthode HTTP
+   * @param {string} route - Chemin sous /api/iptables
+   * @param {Object} [body] - Corps JSON
+   * @param {Object} [query={}] - Paramètres de query string (family ajouté)
+   * @returns {Promise<Object>} Réponse JSON
+   * @throws {Error} Erreur de l'API (status et details renseignés) ou du réseau
+   */
+  async request(method, route, body, query = {}) {
+    const params = new URLSearchParams({ ...query, family: this.family });
+    const headers = { Authorization: `Bearer ${this.token}` };
+    if (this.host) {
+      headers['X-Host-Id'] = this.host;
+    }
+    if (body) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${route}?${params}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+      });
+    } catch (error) {
+      throw new Error(`Serveur injoignable (${this.baseUrl}): ${error.cause ? error.cause.message : error.message}`);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.error || `Erreur HTTP ${response.status}`);
+      error.status = response.status;
+      error.details = data.details;
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Règles avec compteurs
+   *
+   * @param {string} [table] - Table (par défaut: toutes)
+   * @returns {Promise<Object>} Chaînes par table (format parseIptablesOutput)
+   */
+  async listRules(table) {
+    const data = table
+      ? await this.request('GET', '/rules', null, { table })
+      : await this.request('GET', '/all-rules');
+    return table ? { [table]: data.rules } : data.tables;
+  }
+
+  /**
+   * Configuration iptables-save parsée
+   *
+   * @returns {Promise<Object>} Chaînes par table (format parseIptablesSave)
+   */
+  async getIptablesSave() {
+    return (await this.request('GET', '/iptables-save')).tables;
+  }
+
+  /**
+   * Ajoute une règle, ou l'insère à une position
+   *
+   * @param {Object} rule - Règle structurée
+   * @param {string} table - Table
+   * @param {Object} options - { position, allowLockout }
+   * @returns {Promise<Object>} { success, message, pendingConfirmation }
+   */
+  async addRule(rule, table, { position, allowLockout }) {
+    return this.request('POST', '/rules', { rule, table, position, allowLockout });
+  }
+
+  /**
+   * Supprime la règle d'une position
+   *
+   * @param {string} table - Table
+   * @param {string} chain - Chaîne
+   * @param {number} num - Position (à partir de 1)
+   * @param {Object} options - { fingerprint, allowLockout }
+   * @returns {Promise<Object>} { success, message, pendingConfirmation }
+   */
+  async deleteRule(table, chain, num, { fingerprint, allowLockout }) {
+    const query = {};
+    if (fingerprint) query.fingerprint = fingerprint;
+    if (allowLockout) query.allowLockout = 'true';
+    const route = `/rules/${encodeURIComponent(table)}/${encodeURIComponent(chain)}/${encodeURIComponent(num)}`;
+    return this.request('DELETE', route, null, query);
+  }
+
+  /**
+   * Sauvegarde la configuration dans /etc/iptables/rules.v4 (rules.v6)
+   *
+   * @returns {Promise<Object>} { success, message }
+   */
+  async saveRules() {
+    return this.request('POST', '/save');
+  }
+
+  /**
+   * Restaure la configuration sauvegardée
+   *
+   * @param {Object} options - { allowLockout }
+   * @returns {Promise<Object>} { success, message, pendingConfirmation }
+   */
+  async restoreRules({ allowLockout }) {
+    return this.request('POST', '/restore', { allowLockout });
+  }
+
+  /**
+   * Compare la configuration sauvegardée et la configuration active
+   *
+   * @returns {Promise<Object>} { rulesFile, persistedExists, unsavedChanges, diff }
+   */
+  async diffPersistedRules() {
+    return this.request('GET', '/diff/persisted');
+  }
+
+  /**
+   * Plan vers l'état déclaré (fichier de l'hôte sur le serveur si content est null)
+   *
+   * @param {string|null} content - État déclaré YAML ou JSON
+   * @returns {Promise<Object>} { source, family, identical, diff, script, fingerprint }
+   */
+  async planState(content) {
+    return content === null
+      ? this.request('GET', '/state/plan')
+      : this.request('POST', '/state/plan', { content });
+  }
+
+  /**
+   * Applique le plan vers l'état déclaré
+   *
+   * @param {string|null} content - État déclaré YAML ou JSON (fichier de l'hôte sur le serveur si null)
+   * @param {Object} options - { fingerprint, allowLockout }
+   * @returns {Promise<Object>} { success, message, pendingConfirmation, source, diff }
+   */
+  async applyState(content, { fingerprint, allowLockout }) {
+    return this.request('POST', '/state/apply', { content: content === null ? undefined : content, fingerprint, allowLockout });
+  }
+
+  /**
+   * Rien à fermer : le serveur referme la connexion SSH du jeton
+   */
+  close() {}
+}
+
+/**
+ * Client du mode autonome : ouvre la connexion SSH avec SSHService
+ *
+ * Les services sont chargés à la création du client, une fois INVENTORY_FILE
+ * positionné (voir createClient). Les modifications sont inscrites au journal
+ * d'audit local au nom de l'utilisateur du système.
+ */
+class LocalClient {
+  /**
+   * @param {Object} options - { host, family }
+   */
+  constructor({ host, family }) {
+    if (!host) {
+      throw usageError('Hôte manquant (--host, identifiant du fichier d\'inventaire)');
+    }
+    this.sshService = require('../services/ssh-service');
+    this.inventoryService = require('../services/inventory-service');
+    this.desiredStateService = require('../services/desired-state-service');
+    this.host = host;
+    this.family = family;
+    this.connectionId = `cli:${process.pid}`;
+    this.author = os.userInfo().username;
+  }
+
+  /**
+   * Ouvre la connexion SSH vers l'hôte de l'inventaire, au premier appel
+   *
+   * @returns {Promise<string>} Identifiant de connexion pour SSHService
+   */
+  async connect() {
+    if (!this.sshService.isConnected(this.connectionId)) {
+      const profile = this.inventoryService.get(this.host);
+      const { host, port, username, privateKeyPath } = profile;
+      await this.sshService.connect(this.connectionId, { host, port, username, privateKeyPath, profile }, profile.id);
+    }
+    return this.connectionId;
+  }
+
+  // Mêmes méthodes et mêmes résultats que ApiClient
+
+  async listRules(table) {
+    const id = await this.connect();
+    return table
+      ? { [table]: await this.sshService.listRules(id, table, this.family) }
+      : this.sshService.listAllRules(id, this.family);
+  }
+
+  async getIptablesSave() {
+    return this.sshService.getIptablesSave(await this.connect(), this.family);
+  }
+
+  async addRule(rule, table, { position, allowLockout }) {
+    const id = await this.connect();
+    const { valid, errors } = this.sshService.validateRule(id, rule, table, this.family);
+    if (!valid) {
+      throw usageError('Règle invalide', errors);
+    }
+    const options = { family: this.family, author: this.author, allowLockout };
+    return position
+      ? this.sshService.insertRule(id, rule, position, table, options)
+      : this.sshService.addRule(id, rule, table, options);
+  }
+
+  async deleteRule(table, chain, num, { fingerprint, allowLockout }) {
+    const options = { family: this.family, author: this.author, fingerprint, allowLockout };
+    return this.sshService.deleteRule(await this.connect(), chain, num, table, options);
+  }
+
+  async saveRules() {
+    return this.sshService.saveRules(await this.connect(), this.family, { author: this.author });
+  }
+
+  async restoreRules({ allowLockout }) {
+    return this.sshService.restoreRules(await this.connect(), { family: this.family, author: this.author, allowLockout });
+  }
+
+  async diffPersistedRules() {
+    return this.sshService.diffPersistedRules(await this.connect(), this.family);
+  }
+
+  async planState(content) {
+    return this.desiredStateService.plan(await this.connect(), content, { family: this.family });
+  }
+
+  async applyState(content, { fingerprint, allowLockout }) {
+    const options = { family: this.family, author: this.author, fingerprint, allowLockout };
+    return this.desiredStateService.apply(await this.connect(), content, options);
+  }
+
+  /**
+   * Ferme la connexion SSH (sans quoi le processus ne se termine pas)
+   */
+  close() {
+    this.sshService.disconnect(this.connectionId);
+  }
+}
+
+/**
+ * Crée le client du mode demandé
+ *
+ * @param {Object} options - Options analysées (server, token, host, family, hosts-file)
+ * @returns {ApiClient|LocalClient} Client
+ */
+function createClient(options) {
+  const server = options.server || process.env.IPTABLES_MANAGER_URL;
+  if (server) {
+    return new ApiClient({ ...options, server, token: options.token || process.env.IPTABLES_MANAGER_TOKEN });
+  }
+  if (options['hosts-file']) {
+    process.env.INVENTORY_FILE = path.resolve(options['hosts-file']);
+  }
+  return new LocalClient(options);
+}
+
+// ============================================================================
+// FORMATAGE DES SORTIES
+// ============================================================================
+
+/**
+ * Aligne des lignes en colonnes
+ *
+ * @param {Array<Array<string>>} rows - Lignes (la première est l'en-tête)
+ * @returns {string} Texte aligné
+ */
+function formatColumns(rows) {
+  const widths = rows[0].map((_, index) => Math.max(...rows.map(row => String(row[index]).length)));
+  return rows
+    .map(row => row.map((cell, index) => String(cell).padEnd(widths[index])).join('  ').trimEnd())
+    .join('\n');
+}
+
+/**
+ * Formate les chaînes de règles (format table)
+ *
+ * @param {Object} tables - Chaînes par table (format parseIptablesOutput)
+ * @returns {string} Texte à afficher
+ */
+function formatChains(tables) {
+  const blocks = [];
+  for (const [table, chains] of Object.entries(tables)) {
+    blocks.push(`# Table ${table}`);
+    for (const chain of chains) {
+      const counters = chain.packets !== null && chain.packets !== undefined
+        ? `, ${chain.packets} paquets, ${chain.bytes} octets`
+        : '';
+      const header = chain.policy && chain.policy !== '-'
+        ? `Chaîne ${chain.chain} (politique ${chain.policy}${counters})`
+        : `Chaîne ${chain.chain} (${chain.references || 0} références)`;
+      if (chain.rules.length === 0) {
+        blocks.push(`${header}\n  (aucune règle)\n`);
+        continue;
+      }
+      const rows = [['num', 'pkts', 'bytes', 'target', 'prot', 'source', 'destination', 'options']];
+      chain.rules.forEach(rule => rows.push([
+        rule.num, rule.pkts, rule.bytes, rule.target || '', rule.prot || '',
+        rule.source || '', rule.destination || '', rule.extra || ''
+      ]));
+      blocks.push(`${header}\n${formatColumns(rows)}\n`);
+    }
+  }
+  return blocks.join('\n');
+}
+
+/**
+ * Formate le diff entre la configuration sauvegardée et la configuration active (format table)
+ *
+ * @param {Object} result - { rulesFile, persistedExists, diff } (voir SSHService.diffPersistedRules)
+ * @returns {string} Texte à afficher
+ */
+function formatDiff(result) {
+  const { rulesFile, persistedExists, diff } = result;
+  const lines = [];
+  if (!persistedExists) {
+    lines.push(`Aucune configuration enregistrée dans ${rulesFile}`);
+  }
+  if (diff.identical) {
+    lines.push(`Configuration active identique à ${rulesFile}`);
+    return lines.join('\n');
+  }
+
+  lines.push(`--- ${rulesFile}`, '+++ configuration active', ...formatChanges(diff));
+  return lines.join('\n');
+}
+
+/**
+ * Formate le plan vers l'état déclaré (format table)
+ *
+ * @param {Object} result - { source, diff } (voir DesiredStateService.plan)
+ * @returns {string} Texte à afficher
+ */
+function formatPlan(result) {
+  const { source, diff } = result;
+  const state = source ? `état déclaré (${source})` : 'état déclaré';
+  if (diff.identical) {
+    return `Hôte conforme à l'${state}`;
+  }
+  return ['--- configuration active', `+++ ${state}`, ...formatChanges(diff)].join('\n');
+}
+
+/**
+ * Lignes d'un diff de jeux de règles : modifications par chaîne, puis résumé
+ *
+ * @param {Object} diff - Diff (voir services/ruleset-diff)
+ * @returns {Array<string>} Lignes à afficher
+ */
+function formatChanges(diff) {
+  const lines = [];
+  for (const [table, chains] of Object.entries(diff.tables)) {
+    for (const [chain, changes] of Object.entries(chains)) {
+      lines.push(`@@ ${table} ${chain}${changes.status !== 'modified' ? ` (chaîne ${changes.status === 'added' ? 'ajoutée' : 'supprimée'})` : ''}`);
+      if (changes.policy) {
+        lines.push(`~ politique ${changes.policy.from} -> ${changes.policy.to}`);
+      }
+      changes.removed.forEach(r => lines.push(`- ${r.position}: ${r.rule}`));
+      changes.added.forEach(r => lines.push(`+ ${r.position}: ${r.rule}`));
+      changes.moved.forEach(r => lines.push(`~ ${r.from} -> ${r.to}: ${r.rule}`));
+    }
+  }
+  const s = diff.summary;
+  lines.push(`${s.added} ajoutée(s), ${s.removed} supprimée(s), ${s.moved} déplacée(s), ${s.policyChanges} politique(s) modifiée(s)`);
+  return lines;
+}
+
+// ============================================================================
+// COMMANDES
+// ============================================================================
+
+/**
+ * Exécute une ligne de commande
+ *
+ * @param {Array<string>} argv - Arguments (sans 'node' ni le nom du script)
+ * @param {Object} [io] - Sorties { out, err } (fonctions recevant une chaîne)
+ * @param {Function} [clientFactory=createClient] - Création du client (remplacée dans les tests)
+ * @returns {Promise<number>} Code de sortie (voir EXIT)
+ */
+async function run(argv, io = { out: text => process.stdout.write(text), err: text => process.stderr.write(text) }, clientFactory = createClient) {
+  let client = null;
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+      throw usageError(error.message);
+    }
+    const { values, positionals } = parsed;
+    const [command, ...args] = positionals;
+
+    if (values.help) {
+      io.out(USAGE);
+      return EXIT.OK;
+    }
+    if (!command) {
+      io.err(USAGE);
+      return EXIT.USAGE;
+    }
+    if (!FORMATS.includes(values.format)) {
+      throw usageError(`Format inconnu: ${values.format} (attendu: ${FORMATS.join(', ')})`);
+    }
+    if (values.format === 'save' && command !== 'list') {
+      throw usageError('Le format save n\'est disponible que pour la commande list');
+    }
+
+    const json = values.format === 'json';
+    const print = (result, text) => io.out(`${json ? JSON.stringify(result, null, 2) : text}\n`);
+    const change = { allowLockout: values['allow-lockout'], fingerprint: values.fingerprint };
+
+    switch (command) {
+      case 'list': {
+        client = clientFactory(values);
+        if (values.format === 'save') {
+          const tables = await client.getIptablesSave();
+          const selected = values.table ? [values.table] : Object.keys(tables);
+          io.out(require('../services/ssh-service').serializeIptablesSave(tables, selected));
+        } else {
+          const tables = await client.listRules(values.table);
+          print(tables, formatChains(tables));
+        }
+        return EXIT.OK;
+      }
+
+      case 'add': {
+        const rule = buildRule(values);
+        const position = values.position === undefined ? undefined : Number(values.position);
+        if (position !== undefined && (!Number.isInteger(position) || position < 1)) {
+          throw usageError(`Position invalide: ${values.position}`);
+        }
+        client = clientFactory(values);
+        const result = await client.addRule(rule, values.table || rule.table || 'filter', { ...change, position });
+        print(result, result.message);
+        return EXIT.OK;
+      }
+
+      case 'delete': {
+        const [chain, num] = args;
+        if (!chain || !/^[1-9]\d*$/.test(num || '')) {
+          throw usageError('Usage: iptables-manager delete <chaîne> <numéro> [--table table]');
+        }
+        client = clientFactory(values);
+        const result = await client.deleteRule(values.table || 'filter', chain, Number(num), change);
+        print(result, result.message);
+        return EXIT.OK;
+      }
+
+      case 'save': {
+        client = clientFactory(values);
+        const result = await client.saveRules();
+        print(result, result.message);
+        return EXIT.OK;
+      }
+
+      case 'restore': {
+        client = clientFactory(values);
+        const result = await client.restoreRules(change);
+        print(result, result.message);
+        return EXIT.OK;
+      }
+
+      case 'diff': {
+        client = clientFactory(values);
+        const result = await client.diffPersistedRules();
+        print(result, formatDiff(result));
+        return result.diff.identical ? EXIT.OK : EXIT.DIFFERENCES;
+      }
+
+      case 'plan':
+      case 'apply': {
+        // Sans fichier : celui de l'hôte dans le dossier des états déclarés
+        const content = args[0] ? fs.readFileSync(args[0], 'utf8') : null;
+        client = clientFactory(values);
+        if (command === 'plan') {
+          const result = await client.planState(content);
+          print(result, formatPlan(result));
+          return result.identical ? EXIT.OK : EXIT.DIFFERENCES;
+        }
+        const result = await client.applyState(content, change);
+        print(result, result.message);
+        return EXIT.OK;
+      }
+
+      default:
+        throw usageError(`Commande inconnue: ${command}`);
+    }
+  } catch (error) {
+    io.err(`Erreur: ${error.message}\n`);
+    (error.details || []).forEach(detail => io.err(`  - ${detail}\n`));
+    return exitCodeFor(error);
+  } finally {
+    if (client) {
+      client.close();
+    }
+  }
+}
+
+if (require.main === module) {
+  // Les messages des services (connexion SSH...) vont sur la sortie d'erreur :
+  // la sortie standard ne contient que le résultat (JSON, iptables-save...)
+  console.log = console.error;
+  run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  EXIT,
+  run,
+  buildRule,
+  exitCodeFor,
+  formatChains,
+  formatDiff,
+  formatPlan,
+  ApiClient,
+  LocalClient
+};
@@ -16,13 +16,46 @@
  * Contient l'état de connexion, la table active, les règles chargées et le tri
  */
 const app = {
+    user: null,                 // Utilisateur de l'application ({ username, role, tables }), null sans session
     connected: false,           // Statut de connexion SSH
     currentTable: 'filter',     // Table iptables actuellement affichée
+    backend: 'iptables',       // Moteur de pare-feu de l'hôte actif: 'iptables' ou 'nftables'
+    family: 'ipv4',            // Famille d'adresses affichée: 'ipv4' (iptables) ou 'ipv6' (ip6tables)
     allRules: {},              // Cache de toutes les règles chargées {table: rules}
     sortColumn: null,          // Colonne actuellement utilisée pour le tri
-    sortDirection: 'asc'       // Direction du tri: 'asc' ou 'desc'
+    sortDirection: 'asc',      // Direction du tri: 'asc' ou 'desc'
+    pendingTimer: null,        // Minuteur du compte à rebours de confirmation
+    changes: [],               // Modifications préparées (non appliquées)
+    pendingDiffAction: null,   // Opération ('save', 'restore', 'import' ou 'state') en attente de validation du diff
+    pendingImport: null,       // Fichier importé en attente de validation ({ content, fingerprint })
+    pendingPlan: null,         // Plan de l'état déclaré en attente de validation ({ fingerprint })
+    templates: [],             // Modèles de règles disponibles
+    templatePreview: null,     // Dernier aperçu de modèle ({ key, fingerprint }), null si périmé
+    portForwards: null,        // Redirections de ports de l'hôte ({ forwards, unmanaged, fingerprint })
+    editingForward: null,      // Identifiant de la redirection en cours de modification, null pour une création
+    snapshots: [],             // Instantanés de l'hôte connecté (métadonnées)
+    inventory: [],             // Hôtes enregistrés dans l'inventaire
+    connections: [],           // Hôtes connectés dans la session (un seul est actif)
+    analysis: null,            // Dernière analyse des règles ({ summary, findings }), null si masquée
+    liveSource: null,          // Flux des compteurs en direct (EventSource), null si arrêté
+    counterHistory: {}         // Débits récents (octets/s) par règle, pour les sparklines
 };
 
+/**
+ * Nombre de lectures affichées dans les sparklines des débits
+ */
+const SPARKLINE_POINTS = 30;
+
+/**
+ * Rôles des utilisateurs de l'application, du moins au plus privilégié
+ */
+const ROLES = ['viewer', 'operator', 'admin'];
+
+/**
+ * Libellés des rôles
+ */
+const ROLE_LABELS = { viewer: 'lecteur', operator: 'opérateur', admin: 'administrateur' };
+
 // ============================================================================
 // RÉFÉRENCES DOM
 // ============================================================================
@@ -32,24 +65,152 @@ const app = {
  * Tous les éléments sont référencés au chargement pour éviter les lookups répétés
  */
 const elements = {
+    loginForm: document.getElementById('login-form'),
+    loginUsername: document.getElementById('login-username'),
+    loginPassword: document.getElementById('login-password'),
+    userBadge: document.getElementById('user-badge'),
+    userName: document.getElementById('user-name'),
+    logoutBtn: document.getElementById('logout-btn'),
     connectionForm: document.getElementById('connection-form'),
     connectionSection: document.getElementById('connection-section'),
     rulesSection: document.getElementById('rules-section'),
     connectionStatus: document.getElementById('connection-status'),
     connectBtn: document.getElementById('connect-btn'),
     disconnectBtn: document.getElementById('disconnect-btn'),
+    inventoryHost: document.getElementById('inventory-host'),
+    profileId: document.getElementById('profile-id'),
+    profileName: document.getElementById('profile-name'),
+    profileGroup: document.getElementById('profile-group'),
+    profileTags: document.getElementById('profile-tags'),
+    profileNatIps: document.getElementById('profile-nat-ips'),
+    saveProfileBtn: document.getElementById('save-profile-btn'),
+    deleteProfileBtn: document.getElementById('delete-profile-btn'),
+    connectionsBar: document.getElementById('connections-bar'),
+    activeHost: document.getElementById('active-host'),
+    disconnectHostBtn: document.getElementById('disconnect-host-btn'),
+    natSourceIp: document.getElementById('nat-source-ip'),
+    natTargetIp: document.getElementById('nat-target-ip'),
+    ipFamily: document.getElementById('ip-family'),
+    fleetForm: document.getElementById('fleet-form'),
+    fleetSelection: document.getElementById('fleet-selection'),
+    fleetHosts: document.getElementById('fleet-hosts'),
+    fleetMode: document.getElementById('fleet-mode'),
+    fleetFamily: document.getElementById('fleet-family'),
+    fleetPayload: document.getElementById('fleet-payload'),
+    fleetConcurrency: document.getElementById('fleet-concurrency'),
+    fleetMaxFailures: document.getElementById('fleet-max-failures'),
+    fleetAllowLockout: document.getElementById('fleet-allow-lockout'),
+    fleetPreviewBtn: document.getElementById('fleet-preview-btn'),
+    fleetPushBtn: document.getElementById('fleet-push-btn'),
+    fleetReport: document.getElementById('fleet-report'),
+    auditForm: document.getElementById('audit-form'),
+    auditUser: document.getElementById('audit-user'),
+    auditHost: document.getElementById('audit-host'),
+    auditChain: document.getElementById('audit-chain'),
+    auditResult: document.getElementById('audit-result'),
+    auditFrom: document.getElementById('audit-from'),
+    auditTo: document.getElementById('audit-to'),
+    auditQuery: document.getElementById('audit-query'),
+    auditContainer: document.getElementById('audit-container'),
+    auditExportJsonl: document.getElementById('audit-export-jsonl'),
+    auditExportCsv: document.getElementById('audit-export-csv'),
+    tokenForm: document.getElementById('token-form'),
+    tokenName: document.getElementById('token-name'),
+    tokenRole: document.getElementById('token-role'),
+    tokenHosts: document.getElementById('token-hosts'),
+    tokenExpires: document.getElementById('token-expires'),
+    tokenCreated: document.getElementById('token-created'),
+    tokensContainer: document.getElementById('tokens-container'),
     addRuleForm: document.getElementById('add-rule-form'),
     natSimpleForm: document.getElementById('nat-simple-form'),
+    guidedRuleForm: document.getElementById('guided-rule-form'),
+    templateForm: document.getElementById('template-form'),
+    templateSelect: document.getElementById('template-select'),
+    templateDescription: document.getElementById('template-description'),
+    templateParams: document.getElementById('template-params'),
+    templatePreview: document.getElementById('template-preview'),
+    templatePreviewBtn: document.getElementById('template-preview-btn'),
+    templateBtn: document.getElementById('template-btn'),
+    portForwardForm: document.getElementById('port-forward-form'),
+    portForwardList: document.getElementById('port-forward-list'),
+    portForwardBtn: document.getElementById('port-forward-btn'),
+    pfSubmitBtn: document.getElementById('pf-submit-btn'),
+    pfCancelBtn: document.getElementById('pf-cancel-btn'),
     ruleTable: document.getElementById('rule-table'),
     rulesContainer: document.getElementById('rules-container'),
     refreshBtn: document.getElementById('refresh-btn'),
+    analyzeBtn: document.getElementById('analyze-btn'),
+    analysisPanel: document.getElementById('analysis-panel'),
+    analysisSummary: document.getElementById('analysis-summary'),
+    analysisCloseBtn: document.getElementById('analysis-close-btn'),
+    liveEnabled: document.getElementById('live-enabled'),
+    liveInterval: document.getElementById('live-interval'),
+    liveStatus: document.getElementById('live-status'),
+    hotRulesPanel: document.getElementById('hot-rules-panel'),
+    hotRulesList: document.getElementById('hot-rules-list'),
     saveBtn: document.getElementById('save-btn'),
     restoreBtn: document.getElementById('restore-btn'),
+    exportFormat: document.getElementById('export-format'),
+    exportBtn: document.getElementById('export-btn'),
+    importBtn: document.getElementById('import-btn'),
+    importFile: document.getElementById('import-file'),
+    statePlanBtn: document.getElementById('state-plan-btn'),
     messageContainer: document.getElementById('message-container'),
-    tabBtns: document.querySelectorAll('.tab-btn'),
+    confirmEnabled: document.getElementById('confirm-enabled'),
+    confirmTimeout: document.getElementById('confirm-timeout'),
+    pendingConfirmation: document.getElementById('pending-confirmation'),
+    pendingConfirmationText: document.getElementById('pending-confirmation-text'),
+    confirmBtn: document.getElementById('confirm-btn'),
+    rollbackBtn: document.getElementById('rollback-btn'),
+    stageEnabled: document.getElementById('stage-enabled'),
+    chainForm: document.getElementById('chain-form'),
+    newChainName: document.getElementById('new-chain-name'),
+    stageSettings: document.getElementById('stage-settings'),
+    changesPanel: document.getElementById('changes-panel'),
+    changesCount: document.getElementById('changes-count'),
+    changesList: document.getElementById('changes-list'),
+    changesPreview: document.getElementById('changes-preview'),
+    previewChangesBtn: document.getElementById('preview-changes-btn'),
+    applyChangesBtn: document.getElementById('apply-changes-btn'),
+    discardChangesBtn: document.getElementById('discard-changes-btn'),
+    unsavedBadge: document.getElementById('unsaved-badge'),
+    diffPanel: document.getElementById('diff-panel'),
+    diffTitle: document.getElementById('diff-title'),
+    diffSummary: document.getElementById('diff-summary'),
+    diffContent: document.getElementById('diff-content'),
+    diffConfirmBtn: document.getElementById('diff-confirm-btn'),
+    diffCancelBtn: document.getElementById('diff-cancel-btn'),
+    historySection: document.getElementById('history-section'),
+    simulatorSection: document.getElementById('simulator-section'),
+    simulatorForm: document.getElementById('simulator-form'),
+    simulatorResult: document.getElementById('simulator-result'),
+    snapshotForm: document.getElementById('snapshot-form'),
+    snapshotsContainer: document.getElementById('snapshots-container'),
+    snapshotView: document.getElementById('snapshot-view'),
+    snapshotViewTitle: document.getElementById('snapshot-view-title'),
+    snapshotViewContent: document.getElementById('snapshot-view-content'),
+    snapshotViewClose: document.getElementById('snapshot-view-close'),
+    compareSnapshotsBtn: document.getElementById('compare-snapshots-btn'),
+    tableTabs: document.getElementById('table-tabs'),
+    guidedTable: document.getElementById('guided-table'),
+    newRule: document.getElementById('new-rule'),
+    newRuleLabel: document.getElementById('new-rule-label'),
+    newRuleExamples: document.getElementById('new-rule-examples'),
+    natSimpleBtn: document.getElementById('nat-simple-btn'),
     ruleTypeBtns: document.querySelectorAll('.rule-type-btn')
 };
 
+/**
+ * Tables proposées pour un hôte iptables (les tables d'un hôte nftables
+ * sont celles renvoyées par le serveur, ex: 'inet filter')
+ */
+const IPTABLES_TABLES = ['filter', 'nat', 'raw', 'mangle'];
+
+/**
+ * Libellés des onglets des tables iptables
+ */
+const TABLE_LABELS = { filter: 'Filter', nat: 'NAT', raw: 'Raw', mangle: 'Mangle' };
+
 // ============================================================================
 // UTILITAIRES
 // ============================================================================
@@ -75,20 +236,45 @@ function showMessage(message, type = 'info') {
     }, 5000);
 }
 
+/**
+ * Échappe une chaîne pour l'insérer dans du HTML
+ *
+ * @param {string} text - Texte brut
+ * @returns {string} Texte sans caractère HTML actif
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
 /**
  * Effectue une requête API vers le backend
  *
  * Fonction générique pour toutes les requêtes API. Gère automatiquement
- * les headers JSON et les erreurs.
+ * les headers JSON et les erreurs. Les requêtes vers /api/iptables portent
+ * la famille d'adresses affichée (paramètre family).
  *
- * @param {string} endpoint - Endpoint de l'API (ex: '/connect', '/rules')
+ * Une modification refusée parce qu'elle couperait la connexion SSH (409
+ * avec lockout) est renvoyée avec allowLockout si l'utilisateur le confirme.
+ * Une réponse exigeant une authentification (login) affiche le formulaire de
+ * connexion à l'application.
+ *
+ * @param {string} endpoint - Endpoint de l'API (ex: '/connect', '/rules'), relatif à /api/iptables
+ *   sauf s'il commence par /api/ (ex: '/api/inventory/hosts')
  * @param {Object} options - Options fetch (method, body, headers, etc.)
  * @returns {Promise<Object>} Réponse JSON parsée
  * @throws {Error} Si la requête échoue ou si le serveur renvoie une erreur
  */
 async function apiRequest(endpoint, options = {}) {
+    let url = endpoint;
+    if (!endpoint.startsWith('/api/')) {
+        const separator = endpoint.includes('?') ? '&' : '?';
+        url = `/api/iptables${endpoint}${separator}family=${app.family}`;
+    }
+
     try {
-        const response = await fetch(`/api/iptables${endpoint}`, {
+        const response = await fetch(url, {
             headers: {
                 'Content-Type': 'application/json',
                 ...options.headers
@@ -99,7 +285,18 @@ async function apiRequest(endpoint, options = {}) {
         const data = await response.json();
 
         if (!response.ok) {
-            throw new Error(data.error || 'Erreur réseau');
+            if (data.login) {
+                setUser(null);
+            }
+            if (data.lockout && confirm(`${data.error}\n\nAppliquer quand même, au risque de perdre l'accès SSH au serveur ?`)) {
+                return apiRequest(...allowLockout(endpoint, options));
+            }
+            // Les erreurs de validation détaillent chaque option refusée
+            const details = data.details ? ` (${data.details.join('; ')})` : '';
+            const error = new Error((data.error || 'Erreur réseau') + details);
+            error.status = response.status;
+            error.lockout = data.lockout;
+            throw error;
         }
 
         return data;
@@ -109,6 +306,204 @@ async function apiRequest(endpoint, options = {}) {
     }
 }
 
+/**
+ * Ajoute allowLockout à une requête de modification (corps JSON, ou query string sans corps)
+ *
+ * @param {string} endpoint - Endpoint de la requête refusée
+ * @param {Object} options - Options fetch de la requête refusée
+ * @returns {Array} [endpoint, options] de la nouvelle requête
+ */
+function allowLockout(endpoint, options) {
+    if (options.body) {
+        return [endpoint, { ...options, body: JSON.stringify({ ...JSON.parse(options.body), allowLockout: true }) }];
+    }
+    const separator = endpoint.includes('?') ? '&' : '?';
+    return [`${endpoint}${separator}allowLockout=true`, options];
+}
+
+// ============================================================================
+// COMMIT CONFIRMÉ
+// ============================================================================
+
+/**
+ * Retourne les options de modification à joindre aux requêtes
+ *
+ * @returns {Object} { confirmTimeout } si le commit confirmé est activé, sinon {}
+ */
+function changeOptions() {
+    if (!elements.confirmEnabled.checked) {
+        return {};
+    }
+    return { confirmTimeout: parseInt(elements.confirmTimeout.value) };
+}
+
+/**
+ * Affiche le bandeau de confirmation et son compte à rebours
+ *
+ * Sans confirmation avant la fin du délai, le serveur distant restaure
+ * automatiquement la configuration précédente.
+ *
+ * @param {Object|null} pending - Modification en attente ({ expiresAt }) ou null
+ */
+function trackPendingConfirmation(pending) {
+    clearInterval(app.pendingTimer);
+    app.pendingTimer = null;
+
+    if (!pending) {
+        elements.pendingConfirmation.style.display = 'none';
+        return;
+    }
+
+    const expiresAt = new Date(pending.expiresAt).getTime();
+    const update = () => {
+        const remaining = Math.round((expiresAt - Date.now()) / 1000);
+        if (remaining <= 0) {
+            trackPendingConfirmation(null);
+            showMessage('Délai de confirmation dépassé : la configuration précédente a été restaurée', 'error');
+            // Laisser au serveur le temps de restaurer avant de recharger
+            setTimeout(loadAllRules, 3000);
+            return;
+        }
+        elements.pendingConfirmationText.textContent =
+            `Modification en attente de confirmation : restauration automatique dans ${remaining} s`;
+    };
+
+    elements.pendingConfirmation.style.display = 'flex';
+    update();
+    app.pendingTimer = setInterval(update, 1000);
+}
+
+/**
+ * Event listener: Bouton de confirmation
+ * Confirme la modification en attente (via une nouvelle connexion SSH côté serveur)
+ */
+elements.confirmBtn.addEventListener('click', async () => {
+    elements.confirmBtn.disabled = true;
+
+    try {
+        await apiRequest('/confirm', { method: 'POST' });
+        trackPendingConfirmation(null);
+        showMessage('Modifications confirmées', 'success');
+    } catch (error) {
+        trackPendingConfirmation(null);
+        showMessage(`Erreur lors de la confirmation: ${error.message}`, 'error');
+        await loadAllRules();
+    } finally {
+        elements.confirmBtn.disabled = false;
+    }
+});
+
+/**
+ * Event listener: Bouton d'annulation
+ * Restaure immédiatement la configuration précédant la modification en attente
+ */
+elements.rollbackBtn.addEventListener('click', async () => {
+    elements.rollbackBtn.disabled = true;
+
+    try {
+        await apiRequest('/rollback', { method: 'POST' });
+        trackPendingConfirmation(null);
+        showMessage('Configuration précédente restaurée', 'info');
+        await loadAllRules();
+    } catch (error) {
+        showMessage(`Erreur lors de l'annulation: ${error.message}`, 'error');
+    } finally {
+        elements.rollbackBtn.disabled = false;
+    }
+});
+
+// ============================================================================
+// AUTHENTIFICATION ET RÔLES
+// ============================================================================
+
+/**
+ * Indique si l'utilisateur connecté a au moins un rôle donné
+ *
+ * L'interface masque les commandes non autorisées ; le serveur les refuse de toute façon (403).
+ *
+ * @param {string} role - Rôle minimal (viewer, operator ou admin)
+ * @returns {boolean} true si le rôle de l'utilisateur est égal ou supérieur
+ */
+function hasRole(role) {
+    return Boolean(app.user) && ROLES.indexOf(app.user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Enregistre l'utilisateur connecté et adapte l'interface à son rôle
+ *
+ * Sans utilisateur, seul le formulaire de connexion à l'application est affiché.
+ *
+ * @param {Object|null} user - Utilisateur ({ username, role, tables }), null après déconnexion
+ */
+function setUser(user) {
+    app.user = user;
+    document.body.classList.toggle('logged-out', !user);
+    ROLES.forEach(role => document.body.classList.toggle(`role-${role}`, Boolean(user) && user.role === role));
+
+    if (user) {
+        const tables = user.tables ? ` - tables: ${user.tables.join(', ')}` : '';
+        elements.userName.textContent = `${user.username} (${ROLE_LABELS[user.role]}${tables})`;
+        elements.userBadge.style.display = 'flex';
+    } else {
+        elements.userBadge.style.display = 'none';
+        stopLiveCounters();
+    }
+}
+
+/**
+ * Reprend la session en cours s'il y en a une, puis charge l'application
+ */
+async function checkSession() {
+    try {
+        const data = await apiRequest('/api/auth/me');
+        setUser(data.user);
+        loadApplication();
+    } catch (error) {
+        setUser(null);
+    }
+}
+
+/**
+ * Charge les données de l'application après la connexion de l'utilisateur
+ */
+function loadApplication() {
+    checkConnectionStatus();
+    loadInventory();
+    loadAudit();
+    loadTokens();
+}
+
+// Se connecter à l'application
+elements.loginForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    try {
+        const data = await apiRequest('/api/auth/login', {
+            method: 'POST',
+            body: JSON.stringify({
+                username: elements.loginUsername.value,
+                password: elements.loginPassword.value
+            })
+        });
+        elements.loginPassword.value = '';
+        setUser(data.user);
+        loadApplication();
+    } catch (error) {
+        showMessage(error.message, 'error');
+    }
+});
+
+// Se déconnecter de l'application (ferme aussi les connexions SSH)
+elements.logoutBtn.addEventListener('click', async () => {
+    try {
+        await apiRequest('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        showMessage(`Erreur lors de la déconnexion: ${error.message}`, 'error');
+    }
+    updateConnectionUI(false);
+    setUser(null);
+});
+
 // ============================================================================
 // GESTION DE LA CONNEXION SSH
 // ============================================================================
@@ -122,7 +517,7 @@ async function apiRequest(endpoint, options = {}) {
 async function checkConnectionStatus() {
     try {
         const data = await apiRequest('/status');
-        updateConnectionUI(data.connected);
+        updateConnectionUI(data.connected, data.connections);
     } catch (error) {
         console.error('Erreur lors de la vérification du statut:', error);
     }
@@ -132,27 +527,180 @@ async function checkConnectionStatus() {
  * Met à jour l'interface utilisateur selon le statut de connexion
  *
  * Affiche/masque les sections appropriées et charge les règles si connecté.
+ * Le formulaire de connexion reste disponible pour ouvrir une connexion vers
+ * un autre hôte.
  *
  * @param {boolean} connected - true si connecté, false sinon
+ * @param {Array<Object>} [connections=[]] - Hôtes connectés dans la session
  */
-function updateConnectionUI(connected) {
+function updateConnectionUI(connected, connections = []) {
     app.connected = connected;
+    renderConnections(connections);
 
     if (connected) {
         // Mode connecté: afficher l'interface de gestion des règles
-        elements.connectionStatus.textContent = 'Connecté';
-        elements.connectionStatus.className = 'status-badge connected';
-        elements.connectBtn.style.display = 'none';
+        elements.connectBtn.textContent = 'Connecter un autre hôte';
+        elements.disconnectBtn.textContent = 'Tout déconnecter';
         elements.disconnectBtn.style.display = 'inline-block';
         elements.rulesSection.style.display = 'block';
-        loadAllRules();  // Charge immédiatement les règles
+        elements.historySection.style.display = 'block';
+        elements.simulatorSection.style.display = app.backend === 'nftables' ? 'none' : 'block';
+        loadHostData();
     } else {
         // Mode déconnecté: afficher le formulaire de connexion
         elements.connectionStatus.textContent = 'Non connecté';
         elements.connectionStatus.className = 'status-badge disconnected';
-        elements.connectBtn.style.display = 'inline-block';
+        elements.connectBtn.textContent = 'Se connecter';
         elements.disconnectBtn.style.display = 'none';
         elements.rulesSection.style.display = 'none';
+        elements.historySection.style.display = 'none';
+        elements.simulatorSection.style.display = 'none';
+        elements.unsavedBadge.style.display = 'none';
+        trackPendingConfirmation(null);
+        stopLiveCounters();
+    }
+}
+
+/**
+ * Charge tout ce qui dépend de l'hôte actif (règles, confirmation en attente,
+ * modifications préparées, historique)
+ */
+function loadHostData() {
+    closeDiffPanel();
+    elements.snapshotView.style.display = 'none';
+    loadAllRules();  // Charge aussi l'historique et l'état de sauvegarde
+    loadPendingConfirmation();
+    loadChanges();
+    if (elements.liveEnabled.checked) {
+        startLiveCounters();
+    }
+}
+
+/**
+ * Affiche les hôtes connectés et l'hôte actif
+ *
+ * Met aussi à jour l'IP publique proposée par défaut dans le formulaire NAT
+ * à partir du profil d'inventaire de l'hôte actif.
+ *
+ * @param {Array<Object>} connections - Hôtes connectés ({ hostId, name, host, natPublicIps, backend, active })
+ */
+function renderConnections(connections) {
+    app.connections = connections;
+    const active = connections.find(c => c.active);
+    applyBackend(active ? active.backend : 'iptables');
+
+    elements.connectionsBar.style.display = connections.length > 0 ? 'flex' : 'none';
+    elements.activeHost.innerHTML = connections.map(c => `
+        <option value="${escapeHtml(c.hostId)}" ${c.active ? 'selected' : ''}>
+            ${escapeHtml(c.name)} (${escapeHtml(c.username)}@${escapeHtml(c.host)}:${c.port}, ${escapeHtml(c.backend)})
+        </option>
+    `).join('');
+
+    if (active) {
+        elements.connectionStatus.textContent = `Connecté : ${active.name}`;
+        elements.connectionStatus.className = 'status-badge connected';
+    }
+
+    applyNatDefaults();
+}
+
+/**
+ * Adapte l'interface au moteur de pare-feu de l'hôte actif
+ *
+ * Avec nftables, la sauvegarde/restauration de rules.v4, les modifications
+ * préparées et le NAT simplifié (propres à iptables) sont masqués, et les
+ * commandes brutes sont des commandes nft.
+ *
+ * @param {string} backend - 'iptables' ou 'nftables'
+ */
+function applyBackend(backend) {
+    const changed = backend !== app.backend;
+    app.backend = backend;
+    const nft = backend === 'nftables';
+
+    elements.saveBtn.style.display = nft ? 'none' : '';
+    elements.restoreBtn.style.display = nft ? 'none' : '';
+    elements.exportFormat.style.display = nft ? 'none' : '';
+    elements.exportBtn.style.display = nft ? 'none' : '';
+    elements.importBtn.style.display = nft ? 'none' : '';
+    elements.statePlanBtn.style.display = nft ? 'none' : '';
+    elements.stageSettings.style.display = nft ? 'none' : '';
+    elements.natSimpleBtn.style.display = nft ? 'none' : '';
+    elements.templateBtn.style.display = nft ? 'none' : '';
+    elements.portForwardBtn.style.display = nft ? 'none' : '';
+    elements.analyzeBtn.style.display = nft ? 'none' : '';
+    elements.simulatorSection.style.display = nft || !app.connected ? 'none' : 'block';
+    if (nft) {
+        closeAnalysis();
+        elements.stageEnabled.checked = false;
+        elements.unsavedBadge.style.display = 'none';
+        if ([elements.natSimpleBtn, elements.templateBtn, elements.portForwardBtn].some(btn => btn.classList.contains('active'))) {
+            document.querySelector('.rule-type-btn[data-type="guided"]').click();
+        }
+    }
+
+    elements.newRuleLabel.textContent = nft ? 'Commande nft :' : 'Commande IPTables :';
+    elements.newRule.placeholder = nft
+        ? 'add rule inet filter input tcp dport 80 accept'
+        : '-A INPUT -p tcp --dport 80 -j ACCEPT';
+    elements.newRuleExamples.innerHTML = nft
+        ? 'Exemples :<br>- add rule inet filter input tcp dport 80 accept<br>'
+            + '- add rule ip nat prerouting ip daddr 93.93.42.223 tcp dport 8080 dnat to 192.168.1.10:80'
+        : 'Exemples :<br>- Filter: -A INPUT -p tcp --dport 80 -j ACCEPT<br>'
+            + '- NAT: -A PREROUTING -d 93.93.42.223 -p tcp --dport 8080 -j DNAT --to-destination 192.168.1.10:80';
+
+    if (changed) {
+        renderTableTabs(nft ? [] : IPTABLES_TABLES);
+    }
+}
+
+/**
+ * Affiche les onglets de tables et remplit les sélecteurs de table des formulaires
+ *
+ * Si la table courante n'existe pas (ex: changement d'hôte), la première est sélectionnée.
+ *
+ * @param {Array<string>} tables - Noms des tables (ex: ['filter', 'nat'] ou ['inet filter'])
+ */
+function renderTableTabs(tables) {
+    if (tables.length > 0 && !tables.includes(app.currentTable)) {
+        app.currentTable = tables[0];
+    }
+
+    elements.tableTabs.innerHTML = tables.map(table => `
+        <button class="tab-btn ${table === app.currentTable ? 'active' : ''}" data-table="${escapeHtml(table)}">
+            ${escapeHtml(TABLE_LABELS[table] || table)}
+        </button>
+    `).join('');
+
+    const options = tables.map(table => `<option value="${escapeHtml(table)}">${escapeHtml(table)}</option>`).join('');
+    elements.guidedTable.innerHTML = options;
+    elements.ruleTable.innerHTML = options;
+    elements.guidedTable.value = app.currentTable;
+    elements.ruleTable.value = app.currentTable;
+}
+
+/**
+ * Propose dans le formulaire NAT la première IP publique de l'hôte actif
+ * correspondant à la famille d'adresses affichée
+ */
+function applyNatDefaults() {
+    const active = app.connections.find(c => c.active);
+    const ipv6 = app.family === 'ipv6';
+    const natPublicIp = active && active.natPublicIps.find(ip => ip.includes(':') === ipv6);
+
+    elements.natSourceIp.value = natPublicIp || '';
+    elements.natTargetIp.placeholder = ipv6 ? 'fd00::10' : '192.168.127.10';
+}
+
+/**
+ * Récupère une éventuelle modification en attente (ex: après un rafraîchissement de la page)
+ */
+async function loadPendingConfirmation() {
+    try {
+        const data = await apiRequest('/pending-confirmation');
+        trackPendingConfirmation(data.pendingConfirmation);
+    } catch (error) {
+        console.error('Erreur lors de la récupération de la confirmation en attente:', error);
     }
 }
 
@@ -163,40 +711,42 @@ function updateConnectionUI(connected) {
 elements.connectionForm.addEventListener('submit', async (e) => {
     e.preventDefault();
 
-    // Récupération des données du formulaire
+    // Récupération des données du formulaire (ou de l'hôte choisi dans l'inventaire)
     const formData = new FormData(e.target);
-    const connectionData = {
-        host: formData.get('host'),
-        port: parseInt(formData.get('port')),
-        username: formData.get('username'),
-        privateKeyPath: formData.get('privateKeyPath')
-    };
+    const connectionData = elements.inventoryHost.value
+        ? { hostId: elements.inventoryHost.value }
+        : {
+            host: formData.get('host'),
+            port: parseInt(formData.get('port')),
+            username: formData.get('username'),
+            privateKeyPath: formData.get('privateKeyPath')
+        };
 
     // Désactivation du bouton pendant la connexion
     elements.connectBtn.disabled = true;
     elements.connectBtn.textContent = 'Connexion...';
 
     try {
-        await apiRequest('/connect', {
+        const data = await apiRequest('/connect', {
             method: 'POST',
             body: JSON.stringify(connectionData)
         });
 
         showMessage('Connexion établie avec succès', 'success');
-        updateConnectionUI(true);
+        updateConnectionUI(true, data.connections);
     } catch (error) {
         showMessage(`Erreur de connexion: ${error.message}`, 'error');
-        updateConnectionUI(false);
+        // Les connexions déjà ouvertes restent utilisables
+        elements.connectBtn.textContent = app.connected ? 'Connecter un autre hôte' : 'Se connecter';
     } finally {
         // Réactivation du bouton
         elements.connectBtn.disabled = false;
-        elements.connectBtn.textContent = 'Se connecter';
     }
 });
 
 /**
  * Event listener: Bouton de déconnexion
- * Ferme la connexion SSH active
+ * Ferme toutes les connexions SSH de la session
  */
 elements.disconnectBtn.addEventListener('click', async () => {
     try {
@@ -208,6 +758,179 @@ elements.disconnectBtn.addEventListener('click', async () => {
     }
 });
 
+/**
+ * Event listener: Déconnexion de l'hôte actif uniquement
+ * Un autre hôte encore connecté devient actif
+ */
+elements.disconnectHostBtn.addEventListener('click', async () => {
+    try {
+        const data = await apiRequest('/disconnect', {
+            method: 'POST',
+            body: JSON.stringify({ hostId: elements.activeHost.value })
+        });
+        showMessage('Hôte déconnecté', 'info');
+        updateConnectionUI(data.connected, data.connections);
+    } catch (error) {
+        showMessage(`Erreur de déconnexion: ${error.message}`, 'error');
+    }
+});
+
+/**
+ * Event listener: Changement d'hôte actif
+ * Toutes les consultations et modifications suivantes portent sur cet hôte
+ */
+elements.activeHost.addEventListener('change', async () => {
+    try {
+        const data = await apiRequest(`/connections/${encodeURIComponent(elements.activeHost.value)}/activate`, {
+            method: 'POST'
+        });
+        renderConnections(data.connections);
+        loadHostData();
+    } catch (error) {
+        showMessage(`Erreur lors du changement d'hôte: ${error.message}`, 'error');
+    }
+});
+
+/**
+ * Event listener: Changement de famille d'adresses (IPv4 / IPv6)
+ * Recharge les règles, l'historique et les modifications préparées de la famille choisie
+ */
+elements.ipFamily.addEventListener('change', () => {
+    app.family = elements.ipFamily.value;
+    applyNatDefaults();
+    loadHostData();
+});
+
+// ============================================================================
+// INVENTAIRE DES HÔTES
+// ============================================================================
+
+/**
+ * Découpe une liste saisie avec des virgules
+ *
+ * @param {string} value - Texte saisi (ex: 'gateway, dmz')
+ * @returns {Array<string>} Valeurs non vides
+ */
+function splitList(value) {
+    return value.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Charge l'inventaire et remplit le sélecteur d'hôtes (regroupés par groupe)
+ *
+ * @param {string} [selectedId] - Hôte à sélectionner après le chargement
+ */
+async function loadInventory(selectedId = elements.inventoryHost.value) {
+    try {
+        const data = await apiRequest('/api/inventory/hosts');
+        app.inventory = data.hosts;
+    } catch (error) {
+        console.error('Erreur lors du chargement de l\'inventaire:', error);
+        return;
+    }
+
+    const groups = {};
+    app.inventory.forEach(host => {
+        const group = host.group || 'Sans groupe';
+        (groups[group] = groups[group] || []).push(host);
+    });
+
+    elements.inventoryHost.innerHTML = '<option value="">Saisie manuelle</option>' +
+        Object.entries(groups).map(([group, hosts]) => `
+            <optgroup label="${escapeHtml(group)}">
+                ${hosts.map(host => `
+                    <option value="${escapeHtml(host.id)}">
+                        ${escapeHtml(host.name)}${host.tags.length ? ` [${escapeHtml(host.tags.join(', '))}]` : ''}
+                    </option>
+                `).join('')}
+            </optgroup>
+        `).join('');
+
+    elements.inventoryHost.value = app.inventory.some(h => h.id === selectedId) ? selectedId : '';
+    renderFleetHosts();
+}
+
+/**
+ * Event listener: Choix d'un hôte de l'inventaire
+ * Remplit les paramètres de connexion et le profil avec les valeurs enregistrées
+ */
+elements.inventoryHost.addEventListener('change', () => {
+    const host = app.inventory.find(h => h.id === elements.inventoryHost.value);
+    if (!host) {
+        return;
+    }
+
+    document.getElementById('host').value = host.host;
+    document.getElementById('port').value = host.port;
+    document.getElementById('username').value = host.username;
+    document.getElementById('privateKeyPath').value = host.privateKeyPath;
+    elements.profileId.value = host.id;
+    elements.profileName.value = host.name;
+    elements.profileGroup.value = host.group || '';
+    elements.profileTags.value = host.tags.join(', ');
+    elements.profileNatIps.value = host.natPublicIps.join(', ');
+});
+
+// Modifier un paramètre de connexion repasse en saisie manuelle
+['host', 'port', 'username', 'privateKeyPath'].forEach(id => {
+    document.getElementById(id).addEventListener('input', () => {
+        elements.inventoryHost.value = '';
+    });
+});
+
+/**
+ * Event listener: Enregistrement du profil dans l'inventaire
+ * Crée l'hôte, ou le met à jour si l'identifiant existe déjà
+ */
+elements.saveProfileBtn.addEventListener('click', async () => {
+    const id = elements.profileId.value.trim();
+    const profile = {
+        id,
+        name: elements.profileName.value.trim(),
+        host: document.getElementById('host').value.trim(),
+        port: parseInt(document.getElementById('port').value),
+        username: document.getElementById('username').value.trim(),
+        privateKeyPath: document.getElementById('privateKeyPath').value.trim(),
+        group: elements.profileGroup.value.trim(),
+        tags: splitList(elements.profileTags.value),
+        natPublicIps: splitList(elements.profileNatIps.value)
+    };
+    const exists = app.inventory.some(h => h.id === id);
+
+    try {
+        await apiRequest(exists ? `/api/inventory/hosts/${encodeURIComponent(id)}` : '/api/inventory/hosts', {
+            method: exists ? 'PUT' : 'POST',
+            body: JSON.stringify(profile)
+        });
+        showMessage(exists ? 'Profil mis à jour' : 'Hôte ajouté à l\'inventaire', 'success');
+        await loadInventory(id);
+    } catch (error) {
+        showMessage(`Erreur lors de l'enregistrement du profil: ${error.message}`, 'error');
+    }
+});
+
+/**
+ * Event listener: Suppression de l'hôte sélectionné de l'inventaire
+ */
+elements.deleteProfileBtn.addEventListener('click', async () => {
+    const id = elements.inventoryHost.value || elements.profileId.value.trim();
+    if (!id) {
+        showMessage('Aucun hôte de l\'inventaire sélectionné', 'error');
+        return;
+    }
+    if (!confirm(`Supprimer l'hôte ${id} de l'inventaire ?`)) {
+        return;
+    }
+
+    try {
+        await apiRequest(`/api/inventory/hosts/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        showMessage('Hôte supprimé de l\'inventaire', 'info');
+        await loadInventory('');
+    } catch (error) {
+        showMessage(`Erreur lors de la suppression: ${error.message}`, 'error');
+    }
+});
+
 // ============================================================================
 // CHARGEMENT ET AFFICHAGE DES RÈGLES
 // ============================================================================
@@ -216,6 +939,7 @@ elements.disconnectBtn.addEventListener('click', async () => {
  * Charge toutes les règles de toutes les tables iptables
  *
  * Récupère les règles des 4 tables (filter, nat, raw, mangle) en une seule requête.
+ * Avec nftables, les onglets sont reconstruits à partir des tables de l'hôte.
  * Les stocke dans le cache et affiche la table courante.
  */
 async function loadAllRules() {
@@ -224,7 +948,18 @@ async function loadAllRules() {
     try {
         const data = await apiRequest('/all-rules');
         app.allRules = data.tables;  // Met en cache toutes les règles
+        if (app.backend === 'nftables') {
+            renderTableTabs(Object.keys(data.tables));
+        }
         displayRules(app.allRules[app.currentTable] || []);
+        if (app.backend === 'iptables') {
+            checkUnsavedChanges();
+            if (app.analysis) {
+                loadAnalysis();  // Les positions signalées ont pu changer
+            }
+        }
+        loadSnapshots();
+        loadAudit();
     } catch (error) {
         elements.rulesContainer.innerHTML = `<div class="error">Erreur: ${error.message}</div>`;
         showMessage(`Erreur lors du chargement des règles: ${error.message}`, 'error');
@@ -240,9 +975,17 @@ async function loadRules(table = app.currentTable) {
     elements.rulesContainer.innerHTML = '<div class="loading">Chargement des règles...</div>';
 
     try {
-        const data = await apiRequest(`/rules?table=${table}`);
+        const data = await apiRequest(`/rules?table=${encodeURIComponent(table)}`);
         app.allRules[table] = data.rules;  // Met en cache les règles de cette table
         displayRules(data.rules);
+        if (app.backend === 'iptables') {
+            checkUnsavedChanges();
+            if (app.analysis) {
+                loadAnalysis();  // Les positions signalées ont pu changer
+            }
+        }
+        loadSnapshots();
+        loadAudit();
     } catch (error) {
         elements.rulesContainer.innerHTML = `<div class="error">Erreur: ${error.message}</div>`;
         showMessage(`Erreur lors du chargement des règles: ${error.message}`, 'error');
@@ -263,7 +1006,7 @@ function sortRules(rules, column, direction) {
         let valB = b[column] || '';
 
         // Conversion en nombre pour les colonnes numériques
-        if (column === 'num' || column === 'destPort' || column === 'toDestPort') {
+        if (['num', 'destPort', 'toDestPort', 'pkts', 'bytes'].includes(column)) {
             valA = parseInt(valA) || 0;
             valB = parseInt(valB) || 0;
         } else {
@@ -305,8 +1048,16 @@ function handleSort(chainIndex, column) {
  * Génère le HTML pour afficher les règles organisées par chaînes (INPUT, OUTPUT, etc.).
  * Applique le tri si une colonne est sélectionnée.
  *
+ * Chaque chaîne affiche sa politique, ses références et ses commandes
+ * (voir renderChainTitle). Après une analyse, les règles inutiles sont
+ * signalées par un badge expliquant pourquoi (voir loadAnalysis). Les ensembles nftables (sets) sont affichés avec leurs éléments.
+ * Sans tri, les lignes peuvent être glissées dans leur chaîne pour déplacer la
+ * règle ; avec un tri, un avertissement rappelle que l'ordre affiché n'est pas
+ * l'ordre d'évaluation.
+ *
  * @param {Array} chains - Tableau de chaînes contenant les règles
- *   Format: [{chain: 'INPUT', rules: [...]}, ...]
+ *   Format: [{chain: 'INPUT', policy, references, jumpedFrom, rules: [...]}, ...]
+ *   (ou {set, type, elements} pour un set nftables)
  */
 function displayRules(chains) {
     if (!chains || chains.length === 0) {
@@ -314,16 +1065,37 @@ function displayRules(chains) {
         return;
     }
 
-    let html = '';
+    // Le tri ne change que l'affichage : les règles restent évaluées dans l'ordre des numéros
+    const draggable = hasRole('operator') && (!app.sortColumn || (app.sortColumn === 'num' && app.sortDirection === 'asc'));
+    let html = !draggable ? `
+        <div class="sort-warning">
+            Le tri ne change que l'affichage : les règles sont toujours évaluées dans l'ordre
+            de leur numéro. Triez par N° (croissant) pour les réordonner par glisser-déposer.
+        </div>
+    ` : '';
 
     chains.forEach((chainData, chainIndex) => {
-        if (chainData.rules.length > 0) {
-            // Trier les règles si une colonne est sélectionnée
-            let displayedRules = chainData.rules;
-            if (app.sortColumn) {
-                displayedRules = sortRules(chainData.rules, app.sortColumn, app.sortDirection);
-            }
-
+        if (chainData.set) {
+            html += `
+                <div class="chain-section">
+                    <div class="chain-title">Set: ${escapeHtml(chainData.set)} (${escapeHtml(chainData.type)})</div>
+                    <div class="set-elements">${escapeHtml(chainData.elements.join(', ')) || 'Aucun élément'}</div>
+                </div>
+            `;
+        } else if (chainData.rules.length === 0) {
+            html += `
+                <div class="chain-section">
+                    ${renderChainTitle(chainData)}
+                    <div class="no-rules">Aucune règle dans cette chaîne</div>
+                </div>
+            `;
+        } else {
+            // Trier les règles si une colonne est sélectionnée
+            let displayedRules = chainData.rules;
+            if (app.sortColumn) {
+                displayedRules = sortRules(chainData.rules, app.sortColumn, app.sortDirection);
+            }
+
             // Fonction pour afficher l'icône de tri appropriée
             const getSortIcon = (column) => {
                 if (app.sortColumn !== column) return '⇅';
@@ -332,7 +1104,7 @@ function displayRules(chains) {
 
             html += `
                 <div class="chain-section">
-                    <div class="chain-title">Chain: ${chainData.chain}</div>
+                    ${renderChainTitle(chainData)}
                     <table class="rules-table">
                         <thead>
                             <tr>
@@ -355,6 +1127,13 @@ function displayRules(chains) {
                                     Port Interne <span class="sort-icon">${getSortIcon('toDestPort')}</span>
                                 </th>
                                 <th>Extra</th>
+                                <th class="sortable" onclick="handleSort(${chainIndex}, 'pkts')">
+                                    Paquets <span class="sort-icon">${getSortIcon('pkts')}</span>
+                                </th>
+                                <th class="sortable" onclick="handleSort(${chainIndex}, 'bytes')">
+                                    Octets <span class="sort-icon">${getSortIcon('bytes')}</span>
+                                </th>
+                                <th>Débit</th>
                                 <th>Actions</th>
                             </tr>
                         </thead>
@@ -362,18 +1141,21 @@ function displayRules(chains) {
             `;
 
             displayedRules.forEach(rule => {
+                const finding = findingFor(chainData.chain, rule.num);
                 html += `
-                    <tr>
-                        <td>${rule.num}</td>
-                        <td>${rule.target}</td>
-                        <td>${rule.prot}</td>
-                        <td>${rule.destPort || '-'}</td>
-                        <td>${rule.toDestIP || '-'}</td>
-                        <td>${rule.toDestPort || '-'}</td>
-                        <td>${rule.extra || '-'}</td>
+                    <tr ${draggable ? 'draggable="true"' : ''} ${finding ? `class="finding-${finding.type}"` : ''}
+                        data-chain="${escapeHtml(chainData.chain)}" data-num="${rule.num}">
+                        <td>${rule.num}${finding ? renderFindingBadge(finding) : ''}</td>
+                        <td>${escapeHtml(rule.target)}</td>
+                        <td>${escapeHtml(rule.prot)}</td>
+                        <td>${escapeHtml(rule.destPort) || '-'}</td>
+                        <td>${escapeHtml(rule.toDestIP) || '-'}</td>
+                        <td>${escapeHtml(rule.toDestPort) || '-'}</td>
+                        <td>${escapeHtml(rule.extra) || '-'}</td>
+                        ${renderCounterCells(chainData.chain, rule)}
                         <td class="actions">
-                            <button class="btn btn-danger btn-small"
-                                    onclick="deleteRule('${chainData.chain}', ${rule.num})">
+                            <button class="btn btn-danger btn-small" data-role="operator"
+                                    onclick="deleteRule('${escapeHtml(chainData.chain)}', ${rule.num})">
                                 Supprimer
                             </button>
                         </td>
@@ -392,6 +1174,407 @@ function displayRules(chains) {
     elements.rulesContainer.innerHTML = html || '<div class="no-rules">Aucune règle trouvée</div>';
 }
 
+/**
+ * Génère l'en-tête d'une chaîne : nom, politique, références et commandes
+ *
+ * Une chaîne intégrée (ou de base avec nftables) a une politique modifiable ;
+ * une chaîne utilisateur (politique '-') peut être renommée ou supprimée.
+ *
+ * @param {Object} chainData - Chaîne ({ chain, policy, hook, references, jumpedFrom, rules })
+ * @returns {string} HTML de l'en-tête
+ */
+function renderChainTitle(chainData) {
+    const chain = escapeHtml(chainData.chain);
+    const builtin = chainData.policy !== '-';
+    const meta = [];
+
+    if (chainData.hook) {
+        meta.push(`hook ${escapeHtml(chainData.hook)}`);
+    }
+    if (builtin) {
+        meta.push(`politique ${escapeHtml(chainData.policy)}`);
+    } else {
+        meta.push(`${chainData.references || 0} référence(s)`);
+    }
+    if (chainData.jumpedFrom && chainData.jumpedFrom.length > 0) {
+        const sources = chainData.jumpedFrom.map(j => `${escapeHtml(j.chain)} #${escapeHtml(j.num)}`);
+        meta.push(`appelée par ${sources.join(', ')}`);
+    }
+    const unreachable = findingFor(chainData.chain, null);
+
+    const policySelect = builtin ? `
+        <select title="Politique par défaut" data-role="admin" onchange="setChainPolicy('${chain}', this.value)">
+            ${['ACCEPT', 'DROP'].map(p => `
+                <option value="${p}" ${chainData.policy === p ? 'selected' : ''}>${p}</option>
+            `).join('')}
+        </select>
+    ` : '';
+    const userActions = builtin ? '' : `
+        <button class="btn btn-secondary btn-small" data-role="operator" onclick="renameChain('${chain}')">Renommer</button>
+        <button class="btn btn-danger btn-small" data-role="admin" onclick="deleteChain('${chain}')">Supprimer</button>
+    `;
+
+    return `
+        <div class="chain-title">
+            <span>
+                Chain: ${chain} <span class="chain-meta">(${meta.join(' · ')})</span>
+                ${unreachable ? renderFindingBadge(unreachable) : ''}
+            </span>
+            <span class="chain-actions">
+                ${policySelect}
+                <button class="btn btn-warning btn-small" data-role="operator" onclick="flushChain('${chain}')">Vider</button>
+                <button class="btn btn-info btn-small" data-role="operator" onclick="zeroChainCounters('${chain}')">Compteurs à zéro</button>
+                ${userActions}
+            </span>
+        </div>
+    `;
+}
+
+// ============================================================================
+// ANALYSE DES RÈGLES INUTILES
+// ============================================================================
+
+/**
+ * Libellés des types de constats de l'analyse
+ */
+const FINDING_LABELS = {
+    duplicate: 'Doublon',
+    shadowed: 'Masquée',
+    policy: 'Redondante',
+    unreachable: 'Jamais appelée'
+};
+
+/**
+ * Retourne le constat de l'analyse pour une règle ou une chaîne de la table affichée
+ *
+ * @param {string} chain - Nom de la chaîne
+ * @param {number|string|null} num - Numéro de la règle (null pour la chaîne elle-même)
+ * @returns {Object|undefined} Constat { type, position, by, message }
+ */
+function findingFor(chain, num) {
+    if (!app.analysis) {
+        return undefined;
+    }
+    return app.analysis.findings.find(f =>
+        f.table === app.currentTable && f.chain === chain &&
+        (num === null ? f.position === null : f.position === Number(num)));
+}
+
+/**
+ * Génère le badge d'un constat (le message complet s'affiche au survol)
+ *
+ * @param {Object} finding - Constat de l'analyse
+ * @returns {string} HTML du badge
+ */
+function renderFindingBadge(finding) {
+    return `<span class="finding-badge finding-badge-${finding.type}" title="${escapeHtml(finding.message)}">`
+        + `${FINDING_LABELS[finding.type]}</span>`;
+}
+
+/**
+ * Analyse les règles actives et signale les règles inutiles dans les tableaux
+ *
+ * L'analyse reste affichée (et est relancée à chaque rechargement des règles)
+ * jusqu'au clic sur "Masquer".
+ */
+async function loadAnalysis() {
+    try {
+        app.analysis = await apiRequest('/analysis');
+        const { summary } = app.analysis;
+        const parts = [
+            `${summary.shadowed} règle(s) masquée(s)`,
+            `${summary.duplicate} doublon(s)`,
+            `${summary.policy} règle(s) redondante(s) avec la politique`,
+            `${summary.unreachable} chaîne(s) jamais appelée(s)`
+        ];
+        elements.analysisSummary.textContent = app.analysis.findings.length === 0
+            ? 'Analyse : aucune règle inutile détectée.'
+            : `Analyse : ${parts.join(', ')}. Survolez les badges pour le détail.`;
+        elements.analysisPanel.style.display = 'flex';
+        displayRules(app.allRules[app.currentTable] || []);
+    } catch (error) {
+        showMessage(`Erreur lors de l'analyse: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Masque le résultat de l'analyse
+ */
+function closeAnalysis() {
+    if (!app.analysis) {
+        return;
+    }
+    app.analysis = null;
+    elements.analysisPanel.style.display = 'none';
+    displayRules(app.allRules[app.currentTable] || []);
+}
+
+elements.analyzeBtn.addEventListener('click', loadAnalysis);
+elements.analysisCloseBtn.addEventListener('click', closeAnalysis);
+
+// ============================================================================
+// COMPTEURS EN DIRECT
+// ============================================================================
+
+/**
+ * Formate un nombre de paquets (ex: 1234567 → '1.2 M')
+ *
+ * @param {number|null} value - Valeur
+ * @returns {string} Valeur abrégée, '-' si inconnue
+ */
+function formatCount(value) {
+    if (value === null || value === undefined) return '-';
+    const units = [[1e9, ' G'], [1e6, ' M'], [1e3, ' k']];
+    const [divisor, unit] = units.find(([d]) => value >= d) || [1, ''];
+    return divisor === 1 ? String(Math.round(value * 100) / 100) : `${(value / divisor).toFixed(1)}${unit}`;
+}
+
+/**
+ * Formate un nombre d'octets (ex: 1536 → '1.5 Ko')
+ *
+ * @param {number|null} value - Valeur
+ * @returns {string} Valeur avec son unité, '-' si inconnue
+ */
+function formatBytes(value) {
+    if (value === null || value === undefined) return '-';
+    const units = [[1024 ** 3, ' Go'], [1024 ** 2, ' Mo'], [1024, ' Ko']];
+    const [divisor, unit] = units.find(([d]) => value >= d) || [1, ' o'];
+    return divisor === 1 ? `${Math.round(value)}${unit}` : `${(value / divisor).toFixed(1)}${unit}`;
+}
+
+/**
+ * Clé d'une règle dans les lectures des compteurs (table, chaîne, position et empreinte)
+ *
+ * @param {string} table - Table
+ * @param {string} chain - Chaîne
+ * @param {Object} rule - Règle ({ num, fingerprint })
+ * @returns {string} Clé
+ */
+function counterKey(table, chain, rule) {
+    return `${table}/${chain}/${rule.num}/${rule.fingerprint || null}`;
+}
+
+/**
+ * Génère une sparkline SVG des débits récents
+ *
+ * @param {Array<number>} values - Débits, du plus ancien au plus récent
+ * @returns {string} HTML du graphique (vide avec moins de deux valeurs)
+ */
+function renderSparkline(values) {
+    if (values.length < 2) {
+        return '';
+    }
+    const max = Math.max(...values, 1);
+    const step = 60 / (SPARKLINE_POINTS - 1);
+    const offset = SPARKLINE_POINTS - values.length;
+    const points = values
+        .map((value, i) => `${((offset + i) * step).toFixed(1)},${(15 - (value / max) * 14).toFixed(1)}`)
+        .join(' ');
+    return `<svg class="sparkline" width="60" height="16" viewBox="0 0 60 16"><polyline points="${points}"/></svg>`;
+}
+
+/**
+ * Génère les cellules de compteurs d'une règle : paquets, octets et débit
+ *
+ * @param {string} chain - Nom de la chaîne
+ * @param {Object} rule - Règle ({ pkts, bytes, pps, bps })
+ * @returns {string} HTML des trois cellules
+ */
+function renderCounterCells(chain, rule) {
+    const history = app.counterHistory[counterKey(app.currentTable, chain, rule)] || [];
+    const rate = rule.bps !== null && rule.bps !== undefined
+        ? `${formatCount(rule.pps)} pq/s<br>${formatBytes(rule.bps)}/s`
+        : '-';
+    return `
+        <td class="counter-cell">${formatCount(rule.pkts)}</td>
+        <td class="counter-cell">${formatBytes(rule.bytes)}</td>
+        <td class="counter-cell rate-cell">${rate}${renderSparkline(history)}</td>
+    `;
+}
+
+/**
+ * Met à jour les compteurs affichés sans reconstruire les tableaux
+ */
+function updateCounterCells() {
+    elements.rulesContainer.querySelectorAll('tr[data-chain][data-num]').forEach(row => {
+        const chain = findChain(row.dataset.chain);
+        const rule = chain && chain.rules.find(r => String(r.num) === row.dataset.num);
+        const cells = row.querySelectorAll('.counter-cell');
+        if (!rule || cells.length !== 3) {
+            return;
+        }
+        const template = document.createElement('tr');
+        template.innerHTML = renderCounterCells(chain.chain, rule);
+        template.querySelectorAll('.counter-cell').forEach((cell, i) => {
+            cells[i].innerHTML = cell.innerHTML;
+        });
+    });
+}
+
+/**
+ * Affiche les règles les plus actives de la dernière lecture
+ *
+ * @param {Array<Object>} hot - Règles ({ table, chain, num, target, spec, pps, bps })
+ */
+function renderHotRules(hot) {
+    elements.hotRulesPanel.style.display = 'block';
+    elements.hotRulesList.innerHTML = hot.length === 0
+        ? '<li class="hot-rules-empty">Aucun trafic depuis la lecture précédente</li>'
+        : hot.map(rule => `
+            <li>
+                <strong>${escapeHtml(rule.table)}/${escapeHtml(rule.chain)} #${escapeHtml(rule.num)}</strong>
+                ${escapeHtml(rule.target)} <code>${escapeHtml(rule.spec)}</code>
+                — ${formatCount(rule.pps)} pq/s, ${formatBytes(rule.bps)}/s
+            </li>
+        `).join('');
+}
+
+/**
+ * Applique une lecture des compteurs : cache des règles, historique des débits,
+ * cellules affichées et règles les plus actives
+ *
+ * Une règle n'est mise à jour que si sa position et son empreinte sont
+ * toujours celles affichées (sinon, "Rafraîchir" recharge les règles).
+ *
+ * @param {Object} sample - Événement counters ({ at, rules, hot })
+ */
+function applyCounterSample(sample) {
+    const history = {};
+    for (const counter of sample.rules) {
+        const key = counterKey(counter.table, counter.chain, counter);
+        history[key] = (app.counterHistory[key] || []).concat(counter.bps === null ? [] : [counter.bps])
+            .slice(-SPARKLINE_POINTS);
+
+        const chain = (app.allRules[counter.table] || []).find(c => c.chain === counter.chain);
+        const rule = chain && chain.rules.find(r => String(r.num) === String(counter.num)
+            && (r.fingerprint || null) === counter.fingerprint);
+        if (rule) {
+            Object.assign(rule, { pkts: counter.pkts, bytes: counter.bytes, pps: counter.pps, bps: counter.bps });
+        }
+    }
+    app.counterHistory = history;
+
+    updateCounterCells();
+    renderHotRules(sample.hot);
+    elements.liveStatus.textContent = `Dernière lecture : ${new Date(sample.at).toLocaleTimeString()}`;
+}
+
+/**
+ * Ouvre (ou rouvre) le flux des compteurs de l'hôte actif
+ */
+function startLiveCounters() {
+    stopLiveCounters();
+    const params = new URLSearchParams({ family: app.family, interval: elements.liveInterval.value });
+    const source = new EventSource(`/api/iptables/counters/stream?${params}`);
+    app.liveSource = source;
+    elements.liveStatus.textContent = 'Connexion au flux...';
+
+    source.addEventListener('counters', event => applyCounterSample(JSON.parse(event.data)));
+    source.addEventListener('counters-error', event => {
+        elements.liveStatus.textContent = `Lecture en échec : ${JSON.parse(event.data).error}`;
+    });
+    source.onerror = () => {
+        // EventSource se reconnecte seul, sauf si le serveur a refusé le flux
+        if (source.readyState === EventSource.CLOSED) {
+            stopLiveCounters();
+            elements.liveEnabled.checked = false;
+            showMessage('Flux des compteurs interrompu', 'error');
+        }
+    };
+}
+
+/**
+ * Ferme le flux des compteurs et masque les règles les plus actives
+ */
+function stopLiveCounters() {
+    if (app.liveSource) {
+        app.liveSource.close();
+        app.liveSource = null;
+    }
+    app.counterHistory = {};
+    elements.liveStatus.textContent = '';
+    elements.hotRulesPanel.style.display = 'none';
+}
+
+/**
+ * Event listener: Activation des compteurs en direct, ou changement d'intervalle
+ */
+elements.liveEnabled.addEventListener('change', () => {
+    if (elements.liveEnabled.checked) {
+        startLiveCounters();
+    } else {
+        stopLiveCounters();
+        displayRules(app.allRules[app.currentTable] || []);
+    }
+});
+
+elements.liveInterval.addEventListener('change', () => {
+    if (elements.liveEnabled.checked) {
+        startLiveCounters();
+    }
+});
+
+// ============================================================================
+// RÉORDONNANCEMENT PAR GLISSER-DÉPOSER
+// ============================================================================
+
+/**
+ * Règle en cours de déplacement ({ chain, num }), null hors glisser-déposer
+ */
+let draggedRule = null;
+
+/**
+ * Retourne la ligne de règle visée par un événement de glisser-déposer,
+ * uniquement si elle appartient à la même chaîne que la règle déplacée
+ *
+ * @param {Event} e - Événement dragover ou drop
+ * @returns {HTMLElement|null} Ligne du tableau
+ */
+function dropTargetRow(e) {
+    const row = e.target.closest('tr[data-num]');
+    return row && draggedRule && row.dataset.chain === draggedRule.chain ? row : null;
+}
+
+elements.rulesContainer.addEventListener('dragstart', (e) => {
+    const row = e.target.closest('tr[draggable="true"]');
+    if (!row) {
+        return;
+    }
+    draggedRule = { chain: row.dataset.chain, num: Number(row.dataset.num) };
+    row.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', row.dataset.num);
+});
+
+elements.rulesContainer.addEventListener('dragover', (e) => {
+    const row = dropTargetRow(e);
+    if (!row) {
+        return;
+    }
+    e.preventDefault();  // Autorise le dépôt
+    elements.rulesContainer.querySelectorAll('.drop-target').forEach(r => r.classList.remove('drop-target'));
+    row.classList.add('drop-target');
+});
+
+elements.rulesContainer.addEventListener('dragend', () => {
+    draggedRule = null;
+    elements.rulesContainer.querySelectorAll('.dragging, .drop-target')
+        .forEach(r => r.classList.remove('dragging', 'drop-target'));
+});
+
+elements.rulesContainer.addEventListener('drop', (e) => {
+    const row = dropTargetRow(e);
+    if (!row) {
+        return;
+    }
+    e.preventDefault();
+    const { chain, num } = draggedRule;
+    const to = Number(row.dataset.num);
+    if (to !== num) {
+        moveRule(chain, num, to);
+    }
+});
+
 // Gestion des onglets de type de règle
 elements.ruleTypeBtns.forEach(btn => {
     btn.addEventListener('click', () => {
@@ -402,12 +1585,16 @@ elements.ruleTypeBtns.forEach(btn => {
         btn.classList.add('active');
 
         // Afficher le bon formulaire
-        if (type === 'nat-simple') {
-            elements.natSimpleForm.style.display = 'block';
-            elements.addRuleForm.style.display = 'none';
-        } else {
-            elements.natSimpleForm.style.display = 'none';
-            elements.addRuleForm.style.display = 'block';
+        elements.natSimpleForm.style.display = type === 'nat-simple' ? 'block' : 'none';
+        elements.guidedRuleForm.style.display = type === 'guided' ? 'block' : 'none';
+        elements.templateForm.style.display = type === 'template' ? 'block' : 'none';
+        elements.portForwardForm.style.display = type === 'port-forward' ? 'block' : 'none';
+        elements.addRuleForm.style.display = type === 'advanced' ? 'block' : 'none';
+
+        if (type === 'template') {
+            loadTemplates();
+        } else if (type === 'port-forward') {
+            loadPortForwards();
         }
     });
 });
@@ -429,16 +1616,28 @@ elements.natSimpleForm.addEventListener('submit', async (e) => {
         return;
     }
 
-    // Générer la commande iptables
-    const rule = `-A PREROUTING -d ${sourceIP} -p ${protocol} -m ${protocol} --dport ${externalPort} --tcp-flags FIN,SYN,RST,ACK SYN -j DNAT --to-destination ${targetIP}:${internalPort}`;
+    // Décrire la règle DNAT (validée et convertie en commande par le serveur)
+    const protocolOptions = { dport: externalPort };
+    if (protocol === 'tcp') {
+        protocolOptions['tcp-flags'] = 'FIN,SYN,RST,ACK SYN';
+    }
+    // En IPv6, l'adresse est placée entre crochets pour la séparer du port
+    const toDestination = app.family === 'ipv6'
+        ? `[${targetIP}]:${internalPort}`
+        : `${targetIP}:${internalPort}`;
+    const rule = {
+        chain: 'PREROUTING',
+        destination: sourceIP,
+        protocol,
+        matches: [{ module: protocol, options: protocolOptions }],
+        target: 'DNAT',
+        targetOptions: { 'to-destination': toDestination }
+    };
 
     try {
-        await apiRequest('/rules', {
-            method: 'POST',
-            body: JSON.stringify({ rule, table: 'nat' })
-        });
+        const staged = await submitRule(rule, 'nat');
 
-        showMessage('Règle NAT ajoutée avec succès', 'success');
+        showMessage(staged ? 'Règle NAT préparée' : 'Règle NAT ajoutée avec succès', 'success');
 
         // Ne réinitialiser que les champs de port et IP cible
         document.getElementById('nat-external-port').value = '';
@@ -457,24 +1656,72 @@ elements.natSimpleForm.addEventListener('submit', async (e) => {
     }
 });
 
-// Ajouter une règle avancée
+// Ajouter une règle guidée
+elements.guidedRuleForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const formData = new FormData(e.target);
+    const table = formData.get('guided-table');
+    const field = (name) => formData.get(name).trim() || undefined;
+
+    // Construction de la règle structurée (les champs vides sont omis)
+    const rule = {
+        chain: field('guided-chain'),
+        protocol: field('guided-protocol'),
+        source: field('guided-source'),
+        destination: field('guided-destination'),
+        inInterface: field('guided-in-interface'),
+        destPort: field('guided-dest-port'),
+        matches: [],
+        target: formData.get('guided-target')
+    };
+    const position = field('guided-position');
+    if (field('guided-ctstate')) {
+        rule.matches.push({ module: 'conntrack', options: { ctstate: field('guided-ctstate') } });
+    }
+    if (field('guided-comment')) {
+        rule.matches.push({ module: 'comment', options: { comment: field('guided-comment') } });
+    }
+
+    try {
+        const staged = await submitRule(rule, table, position ? { position: Number(position) } : {});
+
+        showMessage(staged ? 'Règle préparée' : 'Règle ajoutée avec succès', 'success');
+        e.target.reset();
+
+        // Recharger la table appropriée
+        await loadRules(table);
+
+        // Si on est sur la même table, rafraîchir l'affichage
+        if (table === app.currentTable) {
+            displayRules(app.allRules[table] || []);
+        }
+    } catch (error) {
+        showMessage(`Erreur lors de l'ajout de la règle: ${error.message}`, 'error');
+    }
+});
+
+// Ajouter une règle avancée (commande brute, mode expert)
 elements.addRuleForm.addEventListener('submit', async (e) => {
     e.preventDefault();
 
     const formData = new FormData(e.target);
     const rule = formData.get('new-rule').trim();
     const table = formData.get('rule-table');
+    const expert = formData.get('expert-mode') === 'on';
 
     if (!rule) {
         showMessage('Veuillez entrer une règle', 'error');
         return;
     }
 
+    if (!expert) {
+        showMessage('Cochez le mode expert pour exécuter une commande brute', 'error');
+        return;
+    }
+
     try {
-        await apiRequest('/rules', {
-            method: 'POST',
-            body: JSON.stringify({ rule, table })
-        });
+        await submitRule(rule, table, { expert });
 
         showMessage('Règle ajoutée avec succès', 'success');
         e.target.reset();
@@ -495,6 +1742,71 @@ elements.addRuleForm.addEventListener('submit', async (e) => {
 // GESTION DES RÈGLES (AJOUT/SUPPRESSION)
 // ============================================================================
 
+/**
+ * Envoie une nouvelle règle au serveur
+ *
+ * Si "Préparer les modifications" est coché, la règle est mise en file d'attente
+ * (appliquée plus tard avec les autres modifications), sinon elle est ajoutée
+ * immédiatement.
+ *
+ * @param {Object|string} rule - Règle structurée (ou commande brute en mode expert)
+ * @param {string} table - Table cible
+ * @param {Object} [extra={}] - Champs supplémentaires de la requête
+ *   (ex: { expert: true }, ou { position: 2 } pour insérer la règle à une position)
+ * @returns {Promise<boolean>} true si la règle a été préparée, false si elle a été appliquée
+ */
+async function submitRule(rule, table, extra = {}) {
+    if (elements.stageEnabled.checked) {
+        const change = extra.position
+            ? { type: 'insert', table, chain: rule.chain, position: extra.position, rule }
+            : { type: 'add', table, chain: rule.chain, rule };
+        await apiRequest('/changes', {
+            method: 'POST',
+            body: JSON.stringify(change)
+        });
+        await loadChanges();
+        return true;
+    }
+
+    const result = await apiRequest('/rules', {
+        method: 'POST',
+        body: JSON.stringify({ rule, table, ...extra, ...changeOptions() })
+    });
+    trackPendingConfirmation(result.pendingConfirmation);
+    return false;
+}
+
+/**
+ * Retourne l'empreinte de la règle affichée à une position
+ *
+ * Envoyée avec les suppressions et déplacements : le serveur refuse (409)
+ * si la règle a changé de position depuis l'affichage.
+ *
+ * @param {string} chain - Nom de la chaîne
+ * @param {number} ruleNumber - Position de la règle
+ * @returns {string|null} Empreinte, null si inconnue
+ */
+function ruleFingerprint(chain, ruleNumber) {
+    const chainData = findChain(chain);
+    const rule = chainData && chainData.rules.find(r => Number(r.num) === Number(ruleNumber));
+    return (rule && rule.fingerprint) || null;
+}
+
+/**
+ * Recharge la table après un refus pour règle déplacée ou modifiée (409)
+ *
+ * @param {Error} error - Erreur de apiRequest
+ * @returns {Promise<boolean>} true si l'erreur a été traitée
+ */
+async function handleStaleRule(error) {
+    if (error.status !== 409 || error.lockout) {
+        return false;
+    }
+    showMessage(`Opération annulée : ${error.message}. Les règles ont été rechargées, vérifiez avant de recommencer.`, 'error');
+    await loadRules(app.currentTable);
+    return true;
+}
+
 /**
  * Supprime une règle iptables
  *
@@ -509,94 +1821,1609 @@ async function deleteRule(chain, ruleNumber) {
     }
 
     try {
-        await apiRequest(`/rules/${app.currentTable}/${chain}/${ruleNumber}`, {
+        if (elements.stageEnabled.checked) {
+            await apiRequest('/changes', {
+                method: 'POST',
+                body: JSON.stringify({ type: 'delete', table: app.currentTable, chain, position: ruleNumber })
+            });
+            showMessage('Suppression préparée', 'success');
+            await loadChanges();
+            return;
+        }
+
+        const { confirmTimeout } = changeOptions();
+        const params = new URLSearchParams();
+        const fingerprint = ruleFingerprint(chain, ruleNumber);
+        if (fingerprint) {
+            params.set('fingerprint', fingerprint);
+        }
+        if (confirmTimeout) {
+            params.set('confirmTimeout', confirmTimeout);
+        }
+        const query = params.toString() ? `?${params}` : '';
+        const table = encodeURIComponent(app.currentTable);
+        const result = await apiRequest(`/rules/${table}/${encodeURIComponent(chain)}/${ruleNumber}${query}`, {
             method: 'DELETE'
         });
 
         showMessage('Règle supprimée avec succès', 'success');
+        trackPendingConfirmation(result.pendingConfirmation);
         await loadRules(app.currentTable);  // Recharge les règles
     } catch (error) {
-        showMessage(`Erreur lors de la suppression: ${error.message}`, 'error');
+        if (!await handleStaleRule(error)) {
+            showMessage(`Erreur lors de la suppression: ${error.message}`, 'error');
+        }
     }
 }
 
-// Gestion des onglets
-elements.tabBtns.forEach(btn => {
-    btn.addEventListener('click', () => {
-        const table = btn.getAttribute('data-table');
-
-        // Mettre à jour l'onglet actif
-        elements.tabBtns.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-
-        // Mettre à jour la table courante
-        app.currentTable = table;
-
-        // Mettre à jour le sélecteur dans le formulaire
-        elements.ruleTable.value = table;
-
-        // Afficher les règles de cette table
-        if (app.allRules[table]) {
-            displayRules(app.allRules[table]);
-        } else {
-            loadRules(table);
-        }
-    });
-});
-
-// Rafraîchir les règles
-elements.refreshBtn.addEventListener('click', async () => {
-    elements.refreshBtn.disabled = true;
-    elements.refreshBtn.textContent = 'Chargement...';
-
-    try {
-        await loadAllRules();
-    } finally {
-        elements.refreshBtn.disabled = false;
-        elements.refreshBtn.textContent = 'Rafraîchir';
+/**
+ * Déplace une règle à une autre position de sa chaîne (glisser-déposer)
+ *
+ * Le déplacement est appliqué immédiatement, en une seule opération côté
+ * serveur ; il ne peut pas être préparé.
+ *
+ * @param {string} chain - Nom de la chaîne
+ * @param {number} from - Position actuelle de la règle
+ * @param {number} to - Nouvelle position de la règle
+ */
+async function moveRule(chain, from, to) {
+    if (elements.stageEnabled.checked) {
+        showMessage('Les déplacements sont appliqués immédiatement : décochez "Préparer les modifications"', 'error');
+        return;
     }
-});
-
-// Sauvegarder la configuration
-elements.saveBtn.addEventListener('click', async () => {
-    if (!confirm('Voulez-vous sauvegarder la configuration actuelle ?')) {
+    if (!confirm(`Déplacer la règle ${from} de la chaîne ${chain} en position ${to} ?`)) {
         return;
     }
 
-    elements.saveBtn.disabled = true;
-
     try {
-        await apiRequest('/save', { method: 'POST' });
+        const table = encodeURIComponent(app.currentTable);
+        const result = await apiRequest(`/rules/${table}/${encodeURIComponent(chain)}/${from}/move`, {
+            method: 'POST',
+            body: JSON.stringify({ to, fingerprint: ruleFingerprint(chain, from), ...changeOptions() })
+        });
+
+        showMessage(result.message, 'success');
+        trackPendingConfirmation(result.pendingConfirmation);
+        await loadRules(app.currentTable);
+    } catch (error) {
+        if (!await handleStaleRule(error)) {
+            showMessage(`Erreur lors du déplacement: ${error.message}`, 'error');
+        }
+    }
+}
+
+// ============================================================================
+// GESTION DES CHAÎNES
+// ============================================================================
+
+/**
+ * Retourne une chaîne de la table affichée
+ *
+ * @param {string} chain - Nom de la chaîne
+ * @returns {Object|undefined} Chaîne en cache ({ chain, policy, rules, ... })
+ */
+function findChain(chain) {
+    return (app.allRules[app.currentTable] || []).find(c => c.chain === chain);
+}
+
+/**
+ * Exécute une opération sur une chaîne de la table affichée puis recharge la table
+ *
+ * @param {string} path - Chemin relatif à /chains/:table (ex: '/WEB/flush', '' pour la création)
+ * @param {string} method - Méthode HTTP
+ * @param {Object} [body={}] - Corps de la requête (les options de commit confirmé sont ajoutées)
+ */
+async function runChainAction(path, method, body = {}) {
+    try {
+        const table = encodeURIComponent(app.currentTable);
+        const options = changeOptions();
+        const query = method === 'DELETE' && options.confirmTimeout ? `?confirmTimeout=${options.confirmTimeout}` : '';
+        const result = await apiRequest(`/chains/${table}${path}${query}`, {
+            method,
+            body: method === 'DELETE' ? undefined : JSON.stringify({ ...body, ...options })
+        });
+
+        showMessage(result.message, 'success');
+        trackPendingConfirmation(result.pendingConfirmation);
+    } catch (error) {
+        showMessage(`Erreur: ${error.message}`, 'error');
+    }
+    await loadRules(app.currentTable);
+}
+
+/**
+ * Modifie la politique par défaut d'une chaîne intégrée
+ *
+ * @param {string} chain - Nom de la chaîne
+ * @param {string} policy - ACCEPT ou DROP
+ */
+function setChainPolicy(chain, policy) {
+    const warning = policy === 'DROP' && !elements.confirmEnabled.checked
+        ? '\n\nAttention : tout trafic non autorisé explicitement sera bloqué, y compris SSH. '
+            + 'Le commit confirmé est recommandé.'
+        : '';
+    if (!confirm(`Passer la politique de ${chain} à ${policy} ?${warning}`)) {
+        displayRules(app.allRules[app.currentTable] || []);  // Rétablit le sélecteur
+        return;
+    }
+    runChainAction(`/${encodeURIComponent(chain)}/policy`, 'PUT', { policy });
+}
+
+/**
+ * Renomme une chaîne utilisateur (les sauts vers la chaîne suivent le nouveau nom)
+ *
+ * @param {string} chain - Nom actuel de la chaîne
+ */
+function renameChain(chain) {
+    const name = prompt(`Nouveau nom de la chaîne ${chain} :`, chain);
+    if (!name || name.trim() === chain) {
+        return;
+    }
+    runChainAction(`/${encodeURIComponent(chain)}/rename`, 'POST', { name: name.trim() });
+}
+
+/**
+ * Supprime toutes les règles d'une chaîne
+ *
+ * @param {string} chain - Nom de la chaîne
+ */
+function flushChain(chain) {
+    const chainData = findChain(chain);
+    const count = chainData ? chainData.rules.length : 0;
+    const warning = chainData && chainData.policy === 'DROP'
+        ? '\n\nAttention : la politique DROP s\'appliquera alors à tout le trafic de cette chaîne, y compris SSH.'
+        : '';
+    if (!confirm(`Supprimer les ${count} règle(s) de la chaîne ${chain} ?${warning}`)) {
+        return;
+    }
+    runChainAction(`/${encodeURIComponent(chain)}/flush`, 'POST');
+}
+
+/**
+ * Remet à zéro les compteurs de paquets et d'octets d'une chaîne
+ *
+ * @param {string} chain - Nom de la chaîne
+ */
+function zeroChainCounters(chain) {
+    if (!confirm(`Remettre à zéro les compteurs de la chaîne ${chain} ?`)) {
+        return;
+    }
+    runChainAction(`/${encodeURIComponent(chain)}/zero`, 'POST');
+}
+
+/**
+ * Supprime une chaîne utilisateur (elle doit être vide et non référencée)
+ *
+ * @param {string} chain - Nom de la chaîne
+ */
+function deleteChain(chain) {
+    if (!confirm(`Supprimer la chaîne ${chain} ?`)) {
+        return;
+    }
+    runChainAction(`/${encodeURIComponent(chain)}`, 'DELETE');
+}
+
+// Créer une chaîne utilisateur dans la table affichée
+elements.chainForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const chain = elements.newChainName.value.trim();
+    await runChainAction('', 'POST', { chain });
+    elements.newChainName.value = '';
+});
+
+// ============================================================================
+// MODÈLES DE RÈGLES
+// ============================================================================
+
+/**
+ * Charge les modèles de règles (fournis et de l'équipe) dans la liste
+ *
+ * Le modèle sélectionné est conservé s'il existe toujours.
+ */
+async function loadTemplates() {
+    try {
+        const data = await apiRequest('/templates');
+        const selected = elements.templateSelect.value;
+        app.templates = data.templates;
+
+        elements.templateSelect.innerHTML = app.templates
+            .map(t => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}</option>`)
+            .join('');
+        if (app.templates.some(t => t.id === selected)) {
+            elements.templateSelect.value = selected;
+        }
+        renderTemplateParams();
+
+        if (data.invalid.length > 0) {
+            showMessage(`Modèles ignorés: ${data.invalid.map(i => `${i.file} (${i.errors.join('; ')})`).join(', ')}`, 'error');
+        }
+    } catch (error) {
+        showMessage(`Erreur lors du chargement des modèles: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Affiche la description et les champs des paramètres du modèle sélectionné
+ *
+ * Un booléen est une case à cocher, un choix une liste déroulante, les
+ * autres types un champ texte prérempli avec la valeur par défaut.
+ */
+function renderTemplateParams() {
+    const template = app.templates.find(t => t.id === elements.templateSelect.value);
+    clearTemplatePreview();
+
+    if (!template) {
+        elements.templateDescription.textContent = '';
+        elements.templateParams.innerHTML = '';
+        return;
+    }
+
+    const families = template.families.includes(app.family) ? '' : ` (indisponible en ${app.family})`;
+    elements.templateDescription.textContent = template.description + families;
+    elements.templateParams.innerHTML = template.parameters.map(param => {
+        const id = `template-param-${escapeHtml(param.name)}`;
+        const label = `${escapeHtml(param.label)}${param.required ? ' *' : ''}`;
+        const hint = param.description ? `<small>${escapeHtml(param.description)}</small>` : '';
+        const value = param.default === null ? '' : String(param.default);
+
+        if (param.type === 'boolean') {
+            return `
+                <div class="form-group">
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="${id}" data-param="${escapeHtml(param.name)}"${value === 'true' ? ' checked' : ''}>
+                        ${label}
+                    </label>
+                    ${hint}
+                </div>`;
+        }
+        if (param.type === 'choice') {
+            const options = param.options
+                .map(o => `<option value="${escapeHtml(o)}"${o === value ? ' selected' : ''}>${escapeHtml(o)}</option>`)
+                .join('');
+            return `
+                <div class="form-group">
+                    <label for="${id}">${label} :</label>
+                    <select id="${id}" data-param="${escapeHtml(param.name)}">${options}</select>
+                    ${hint}
+                </div>`;
+        }
+        return `
+            <div class="form-group">
+                <label for="${id}">${label} :</label>
+                <input type="text" id="${id}" data-param="${escapeHtml(param.name)}"
+                       value="${escapeHtml(value)}" placeholder="${escapeHtml(param.type)}">
+                ${hint}
+            </div>`;
+    }).join('');
+}
+
+/**
+ * Lit les valeurs des paramètres saisies (les champs vides sont omis)
+ *
+ * @returns {Object} Valeurs { nom: valeur }
+ */
+function templateValues() {
+    const values = {};
+    elements.templateParams.querySelectorAll('[data-param]').forEach(input => {
+        const value = input.type === 'checkbox' ? input.checked : input.value.trim();
+        if (value !== '') {
+            values[input.dataset.param] = value;
+        }
+    });
+    return values;
+}
+
+/**
+ * Efface l'aperçu affiché (périmé dès qu'un paramètre change)
+ */
+function clearTemplatePreview() {
+    app.templatePreview = null;
+    elements.templatePreview.innerHTML = '';
+    elements.templatePreview.style.display = 'none';
+}
+
+/**
+ * Affiche les règles que le modèle ajouterait sur l'hôte actif
+ *
+ * Les règles déjà présentes sont signalées et ne seront pas ajoutées.
+ * L'empreinte de la configuration est conservée : l'application est refusée
+ * si la configuration a changé depuis l'aperçu.
+ */
+async function previewTemplate() {
+    const id = elements.templateSelect.value;
+    const parameters = templateValues();
+
+    try {
+        const data = await apiRequest(`/templates/${encodeURIComponent(id)}/preview`, {
+            method: 'POST',
+            body: JSON.stringify({ parameters })
+        });
+
+        app.templatePreview = { key: JSON.stringify([id, parameters]), fingerprint: data.fingerprint };
+        elements.templatePreview.innerHTML = data.rules.map(rule => {
+            const badge = rule.present
+                ? '<span class="change-type">présente</span>'
+                : `<span class="change-type change-add">${rule.position === 'top' ? 'insert' : 'add'}</span>`;
+            return `
+                <li>
+                    ${badge}
+                    <span class="change-detail">${escapeHtml(`${rule.table}/${rule.chain} ${rule.content}`)}</span>
+                </li>`;
+        }).join('');
+        elements.templatePreview.style.display = 'block';
+    } catch (error) {
+        clearTemplatePreview();
+        showMessage(`Erreur lors de l'aperçu du modèle: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Applique le modèle sélectionné en une opération (ou prépare ses règles)
+ *
+ * L'empreinte de l'aperçu est jointe s'il porte sur les mêmes paramètres.
+ */
+async function applyTemplate() {
+    const id = elements.templateSelect.value;
+    const parameters = templateValues();
+    const preview = app.templatePreview;
+    const fingerprint = preview && preview.key === JSON.stringify([id, parameters]) ? preview.fingerprint : undefined;
+    const stage = elements.stageEnabled.checked;
+
+    try {
+        const result = await apiRequest(`/templates/${encodeURIComponent(id)}/apply`, {
+            method: 'POST',
+            body: JSON.stringify({ parameters, stage, fingerprint, ...changeOptions() })
+        });
+        showMessage(result.message, 'success');
+        clearTemplatePreview();
+
+        if (stage) {
+            await loadChanges();
+        } else {
+            trackPendingConfirmation(result.pendingConfirmation);
+            await loadAllRules();
+        }
+    } catch (error) {
+        showMessage(`Erreur lors de l'application du modèle: ${error.message}`, 'error');
+    }
+}
+
+elements.templateSelect.addEventListener('change', renderTemplateParams);
+elements.templateParams.addEventListener('input', clearTemplatePreview);
+elements.templatePreviewBtn.addEventListener('click', previewTemplate);
+elements.templateForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await applyTemplate();
+});
+
+// ============================================================================
+// REDIRECTIONS DE PORTS
+// ============================================================================
+
+/**
+ * Charge les redirections de ports de l'hôte actif et les autres règles DNAT
+ */
+async function loadPortForwards() {
+    try {
+        app.portForwards = await apiRequest('/port-forwards');
+        renderPortForwards();
+    } catch (error) {
+        showMessage(`Erreur lors du chargement des redirections: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Affiche les redirections de ports, puis les règles DNAT qui n'appartiennent
+ * à aucune redirection (elles comptent pour la détection des conflits)
+ */
+function renderPortForwards() {
+    const { forwards, unmanaged } = app.portForwards;
+
+    const managed = forwards.map(forward => {
+        const target = forward.targetPort ? `${forward.targetAddress}:${forward.targetPort}` : forward.targetAddress;
+        const external = forward.externalAddress ? `${forward.externalAddress}:${forward.externalPort}` : forward.externalPort;
+        const extras = [
+            forward.inInterface && `via ${forward.inInterface}`,
+            forward.source && `depuis ${forward.source}`,
+            forward.hairpin && 'hairpin',
+            !forward.complete && 'incomplète : règle FORWARD manquante'
+        ].filter(Boolean).join(', ');
+        return `
+            <li>
+                <span class="change-type change-add">${escapeHtml(forward.protocols.join('+'))}</span>
+                <code>${escapeHtml(forward.id)}</code>
+                <span class="change-detail">${escapeHtml(`${external} → ${target}${extras ? ` (${extras})` : ''}`)}</span>
+                <button type="button" class="btn btn-secondary btn-small" onclick="editPortForward('${escapeHtml(forward.id)}')">Modifier</button>
+                <button type="button" class="btn btn-danger btn-small" onclick="deletePortForward('${escapeHtml(forward.id)}')">Supprimer</button>
+            </li>
+        `;
+    });
+    const others = unmanaged.map(rule => `
+        <li>
+            <span class="change-type">DNAT</span>
+            <code>PREROUTING #${rule.num}</code>
+            <span class="change-detail">${escapeHtml(`${rule.prot} ${rule.destPort || 'tous les ports'} → ${rule.toDestination || '?'} (hors redirections)`)}</span>
+        </li>
+    `);
+
+    elements.portForwardList.innerHTML = managed.length + others.length > 0
+        ? [...managed, ...others].join('')
+        : '<li><span class="change-detail">Aucune redirection de port</span></li>';
+}
+
+/**
+ * Remplit le formulaire avec une redirection pour la modifier
+ *
+ * @param {string} id - Identifiant de la redirection
+ */
+function editPortForward(id) {
+    const forward = app.portForwards.forwards.find(f => f.id === id);
+    if (!forward) {
+        return;
+    }
+
+    app.editingForward = id;
+    document.getElementById('pf-id').value = id;
+    document.getElementById('pf-id').disabled = true;
+    document.getElementById('pf-protocols').value = forward.protocols.join(',');
+    document.getElementById('pf-external-port').value = forward.externalPort || '';
+    document.getElementById('pf-external-address').value = forward.externalAddress || '';
+    document.getElementById('pf-target-address').value = forward.targetAddress || '';
+    document.getElementById('pf-target-port').value = forward.targetPort || '';
+    document.getElementById('pf-in-interface').value = forward.inInterface || '';
+    document.getElementById('pf-source').value = forward.source || '';
+    document.getElementById('pf-hairpin').checked = forward.hairpin;
+    elements.pfSubmitBtn.textContent = 'Modifier la redirection';
+    elements.pfCancelBtn.style.display = '';
+}
+
+/**
+ * Vide le formulaire et revient à la création d'une redirection
+ */
+function resetPortForwardForm() {
+    app.editingForward = null;
+    elements.portForwardForm.reset();
+    document.getElementById('pf-id').disabled = false;
+    elements.pfSubmitBtn.textContent = 'Créer la redirection';
+    elements.pfCancelBtn.style.display = 'none';
+}
+
+/**
+ * Supprime une redirection de port (toutes ses règles, en une opération)
+ *
+ * @param {string} id - Identifiant de la redirection
+ */
+async function deletePortForward(id) {
+    if (!confirm(`Supprimer la redirection ${id} et toutes ses règles ?`)) {
+        return;
+    }
+
+    try {
+        const { confirmTimeout } = changeOptions();
+        const params = new URLSearchParams({ fingerprint: app.portForwards.fingerprint });
+        if (confirmTimeout) {
+            params.set('confirmTimeout', confirmTimeout);
+        }
+        const result = await apiRequest(`/port-forwards/${encodeURIComponent(id)}?${params}`, { method: 'DELETE' });
+        showMessage(result.message, 'success');
+        trackPendingConfirmation(result.pendingConfirmation);
+        if (app.editingForward === id) {
+            resetPortForwardForm();
+        }
+        await loadPortForwards();
+        await loadAllRules();
+    } catch (error) {
+        showMessage(`Erreur lors de la suppression de la redirection: ${error.message}`, 'error');
+    }
+}
+
+// Créer ou modifier une redirection de port
+elements.portForwardForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const formData = new FormData(e.target);
+    const field = (name) => (formData.get(name) || '').trim() || undefined;
+    const forward = {
+        protocols: formData.get('pf-protocols').split(','),
+        externalPort: field('pf-external-port'),
+        externalAddress: field('pf-external-address'),
+        targetAddress: field('pf-target-address'),
+        targetPort: field('pf-target-port'),
+        inInterface: field('pf-in-interface'),
+        source: field('pf-source'),
+        hairpin: formData.get('pf-hairpin') === 'on'
+    };
+    const editing = app.editingForward;
+
+    try {
+        const result = await apiRequest(editing ? `/port-forwards/${encodeURIComponent(editing)}` : '/port-forwards', {
+            method: editing ? 'PUT' : 'POST',
+            body: JSON.stringify({
+                ...forward,
+                id: editing ? undefined : field('pf-id'),
+                fingerprint: app.portForwards ? app.portForwards.fingerprint : undefined,
+                ...changeOptions()
+            })
+        });
+        showMessage(result.message, 'success');
+        trackPendingConfirmation(result.pendingConfirmation);
+        resetPortForwardForm();
+        await loadPortForwards();
+        await loadAllRules();
+    } catch (error) {
+        showMessage(`Erreur lors de l'enregistrement de la redirection: ${error.message}`, 'error');
+    }
+});
+
+elements.pfCancelBtn.addEventListener('click', resetPortForwardForm);
+
+// ============================================================================
+// MODIFICATIONS PRÉPARÉES
+// ============================================================================
+
+/**
+ * Charge et affiche les modifications préparées de la session
+ */
+async function loadChanges() {
+    try {
+        const data = await apiRequest('/changes');
+        app.changes = data.changes;
+        renderChanges();
+    } catch (error) {
+        showMessage(`Erreur lors du chargement des modifications: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Affiche le panneau des modifications en attente
+ */
+function renderChanges() {
+    const labels = { add: 'Ajout', insert: 'Insertion', delete: 'Suppression', policy: 'Politique' };
+
+    elements.changesPanel.style.display = app.changes.length > 0 ? 'block' : 'none';
+    elements.changesCount.textContent = app.changes.length;
+    elements.changesList.innerHTML = app.changes.map(change => {
+        const position = change.position ? ` #${change.position}` : '';
+        const detail = change.type === 'policy' ? change.policy : (change.description || '');
+        return `
+            <li>
+                <span class="change-type change-${change.type}">${labels[change.type]}</span>
+                <code>${change.table}/${change.chain}${position}</code>
+                <span class="change-detail">${escapeHtml(detail)}</span>
+                <button class="btn btn-secondary btn-small" onclick="removeChange('${change.id}')">Retirer</button>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Retire une modification de la file d'attente
+ *
+ * @param {string} changeId - ID de la modification
+ */
+async function removeChange(changeId) {
+    try {
+        const data = await apiRequest(`/changes/${changeId}`, { method: 'DELETE' });
+        app.changes = data.changes;
+        renderChanges();
+    } catch (error) {
+        showMessage(`Erreur: ${error.message}`, 'error');
+    }
+}
+
+// Prévisualiser le jeu de règles résultant
+elements.previewChangesBtn.addEventListener('click', async () => {
+    try {
+        const data = await apiRequest('/changes/preview');
+        elements.changesPreview.textContent = data.ruleset;
+        elements.changesPreview.style.display = 'block';
+    } catch (error) {
+        showMessage(`Erreur lors de la prévisualisation: ${error.message}`, 'error');
+    }
+});
+
+// Appliquer toutes les modifications en une fois
+elements.applyChangesBtn.addEventListener('click', async () => {
+    if (!confirm(`Appliquer ${app.changes.length} modification(s) ?`)) {
+        return;
+    }
+
+    elements.applyChangesBtn.disabled = true;
+
+    try {
+        const result = await apiRequest('/changes/apply', {
+            method: 'POST',
+            body: JSON.stringify(changeOptions())
+        });
+        showMessage(result.message, 'success');
+        trackPendingConfirmation(result.pendingConfirmation);
+        elements.changesPreview.style.display = 'none';
+        await loadChanges();
+        await loadAllRules();
+    } catch (error) {
+        showMessage(`Erreur lors de l'application (aucune règle modifiée): ${error.message}`, 'error');
+    } finally {
+        elements.applyChangesBtn.disabled = false;
+    }
+});
+
+// Abandonner toutes les modifications préparées
+elements.discardChangesBtn.addEventListener('click', async () => {
+    if (!confirm('Abandonner toutes les modifications préparées ?')) {
+        return;
+    }
+
+    try {
+        await apiRequest('/changes', { method: 'DELETE' });
+        elements.changesPreview.style.display = 'none';
+        await loadChanges();
+    } catch (error) {
+        showMessage(`Erreur: ${error.message}`, 'error');
+    }
+});
+
+// Gestion des onglets (délégation : les onglets sont reconstruits selon le moteur de l'hôte)
+elements.tableTabs.addEventListener('click', (e) => {
+    const btn = e.target.closest('.tab-btn');
+    if (!btn) {
+        return;
+    }
+    const table = btn.getAttribute('data-table');
+
+    // Mettre à jour l'onglet actif
+    elements.tableTabs.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+
+    // Mettre à jour la table courante
+    app.currentTable = table;
+
+    // Mettre à jour le sélecteur dans le formulaire
+    elements.ruleTable.value = table;
+
+    // Afficher les règles de cette table
+    if (app.allRules[table]) {
+        displayRules(app.allRules[table]);
+    } else {
+        loadRules(table);
+    }
+});
+
+// Rafraîchir les règles
+elements.refreshBtn.addEventListener('click', async () => {
+    elements.refreshBtn.disabled = true;
+    elements.refreshBtn.textContent = 'Chargement...';
+
+    try {
+        await loadAllRules();
+    } finally {
+        elements.refreshBtn.disabled = false;
+        elements.refreshBtn.textContent = 'Rafraîchir';
+    }
+});
+
+// ============================================================================
+// SIMULATEUR DE PAQUET
+// ============================================================================
+
+/**
+ * Affiche le résultat d'une simulation : verdict, règles traversées et avertissements
+ *
+ * @param {Object} result - Réponse de /simulate (verdict, path, decidedBy, trace, packet, warnings)
+ */
+function displaySimulation(result) {
+    const accepted = result.verdict === 'ACCEPT';
+    const decided = result.decidedBy
+        ? (result.decidedBy.policy
+            ? `politique de ${escapeHtml(result.decidedBy.table)}/${escapeHtml(result.decidedBy.chain)}`
+            : `règle ${result.decidedBy.position} de ${escapeHtml(result.decidedBy.table)}/${escapeHtml(result.decidedBy.chain)}`)
+        : 'aucune règle de filtrage';
+
+    const steps = result.trace.map(step => `
+        <li>
+            <strong>${escapeHtml(step.table)}/${escapeHtml(step.chain)}</strong>
+            ${step.policy ? 'politique' : `#${step.position} <code>${escapeHtml(step.rule)}</code>`}
+            → ${escapeHtml(step.target)}
+            ${step.rewrite ? `<em>(${escapeHtml(step.rewrite)})</em>` : ''}
+        </li>
+    `).join('');
+    const warnings = result.warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('');
+    const finalPacket = result.packet;
+
+    elements.simulatorResult.innerHTML = `
+        <div class="simulator-verdict ${accepted ? 'verdict-accept' : 'verdict-drop'}">
+            ${escapeHtml(result.verdict)} (chemin ${escapeHtml(result.path)}, décidé par ${decided})
+        </div>
+        <p>Paquet final : ${escapeHtml(finalPacket.source)}${finalPacket.sport !== null ? `:${finalPacket.sport}` : ''}
+            → ${escapeHtml(finalPacket.destination)}${finalPacket.dport !== null ? `:${finalPacket.dport}` : ''}
+            (${escapeHtml(finalPacket.protocol)})</p>
+        ${steps ? `<ol class="simulator-trace">${steps}</ol>` : '<p>Aucune règle n\'a correspondu.</p>'}
+        ${warnings ? `<p>Règles ignorées (critères non simulés) :</p><ul class="simulator-warnings">${warnings}</ul>` : ''}
+    `;
+    elements.simulatorResult.style.display = 'block';
+}
+
+/**
+ * Event listener: Simulation du paquet décrit par le formulaire
+ */
+elements.simulatorForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const value = id => document.getElementById(id).value.trim();
+    const packet = {
+        direction: value('sim-direction'),
+        protocol: value('sim-protocol'),
+        state: value('sim-state'),
+        source: value('sim-source'),
+        destination: value('sim-destination'),
+        sport: value('sim-sport'),
+        dport: value('sim-dport'),
+        inInterface: value('sim-in-interface'),
+        outInterface: value('sim-out-interface')
+    };
+
+    try {
+        const result = await apiRequest('/simulate', {
+            method: 'POST',
+            body: JSON.stringify({ packet })
+        });
+        displaySimulation(result);
+    } catch (error) {
+        elements.simulatorResult.style.display = 'none';
+        showMessage(`Erreur lors de la simulation: ${error.message}`, 'error');
+    }
+});
+
+// ============================================================================
+// SAUVEGARDE/RESTAURATION ET COMPARAISON AVEC rules.v4 / rules.v6
+// ============================================================================
+
+/**
+ * Vérifie si la configuration active diffère de /etc/iptables/rules.v4 (rules.v6 en IPv6)
+ * et affiche le badge "non sauvegardé" le cas échéant
+ */
+async function checkUnsavedChanges() {
+    try {
+        const data = await apiRequest('/diff/persisted');
+        elements.unsavedBadge.style.display = data.unsavedChanges ? 'inline-block' : 'none';
+    } catch (error) {
+        console.error('Erreur lors de la comparaison avec la sauvegarde:', error);
+    }
+}
+
+/**
+ * Génère le HTML d'un diff entre rules.v4 et la configuration active
+ *
+ * Le diff du serveur va toujours de rules.v4 vers la configuration active.
+ * Pour une restauration, le sens est inversé : ce qui est actif mais pas
+ * sauvegardé sera perdu.
+ *
+ * @param {Object} diff - Diff renvoyé par /diff/persisted ou /snapshots/diff
+ * @param {string} mode - 'save', 'restore' ou 'compare' (diff affiché dans son sens d'origine)
+ * @returns {string} HTML du diff
+ */
+function renderDiff(diff, mode) {
+    if (diff.identical) {
+        return mode === 'compare'
+            ? '<div class="no-rules">Aucune différence</div>'
+            : '<div class="no-rules">Aucune différence : la configuration active est déjà sauvegardée</div>';
+    }
+
+    const restoring = mode === 'restore';
+    const line = (sign, text) => `<div class="diff-line diff-${sign === '+' ? 'add' : sign === '-' ? 'remove' : 'move'}">${sign} ${escapeHtml(text)}</div>`;
+    let html = '';
+
+    Object.entries(diff.tables).forEach(([table, chains]) => {
+        html += `<div class="diff-table"><div class="diff-table-title">Table ${table}</div>`;
+
+        Object.entries(chains).forEach(([chain, changes]) => {
+            let status = '';
+            if (changes.status === 'added') status = restoring ? ' (chaîne supprimée)' : ' (nouvelle chaîne)';
+            if (changes.status === 'removed') status = restoring ? ' (chaîne recréée)' : ' (chaîne retirée du fichier)';
+            html += `<div class="diff-chain"><strong>${chain}</strong>${status}`;
+
+            if (changes.policy) {
+                const [before, after] = restoring
+                    ? [changes.policy.to, changes.policy.from]
+                    : [changes.policy.from, changes.policy.to];
+                html += line('~', `politique ${before} → ${after}`);
+            }
+            changes.added.forEach(r => {
+                html += line(restoring ? '-' : '+', `#${r.position} ${r.rule}`);
+            });
+            changes.removed.forEach(r => {
+                html += line(restoring ? '+' : '-', `#${r.position} ${r.rule}`);
+            });
+            changes.moved.forEach(r => {
+                const [from, to] = restoring ? [r.to, r.from] : [r.from, r.to];
+                html += line('~', `#${from} → #${to} ${r.rule}`);
+            });
+
+            html += '</div>';
+        });
+
+        html += '</div>';
+    });
+
+    return html;
+}
+
+/**
+ * Affiche le diff avant une sauvegarde ou une restauration
+ *
+ * L'opération n'est exécutée qu'après validation dans le panneau.
+ *
+ * @param {string} mode - 'save' ou 'restore'
+ */
+async function openDiffPanel(mode) {
+    try {
+        const data = await apiRequest('/diff/persisted');
+        const { summary } = data.diff;
+
+        app.pendingDiffAction = mode;
+        elements.diffTitle.textContent = mode === 'save'
+            ? `Sauvegarder : modifications qui seront écrites dans ${data.rulesFile}`
+            : 'Restaurer : modifications qui seront appliquées à la configuration active';
+        elements.diffSummary.textContent = data.persistedExists
+            ? `${summary.added} ajout(s), ${summary.removed} suppression(s), ${summary.moved} déplacement(s), ${summary.policyChanges} politique(s) modifiée(s)`
+            : `Le fichier ${data.rulesFile} n'existe pas encore`;
+        elements.diffContent.innerHTML = renderDiff(data.diff, mode);
+        elements.diffConfirmBtn.textContent = mode === 'save' ? 'Confirmer la sauvegarde' : 'Confirmer la restauration';
+        elements.diffConfirmBtn.disabled = mode === 'restore' && !data.persistedExists;
+        elements.diffPanel.style.display = 'block';
+    } catch (error) {
+        showMessage(`Erreur lors de la comparaison: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Ferme le panneau de diff sans rien exécuter
+ */
+function closeDiffPanel() {
+    app.pendingDiffAction = null;
+    app.pendingImport = null;
+    app.pendingPlan = null;
+    elements.diffPanel.style.display = 'none';
+}
+
+/**
+ * Sauvegarde la configuration active dans /etc/iptables/rules.v4 (rules.v6 en IPv6)
+ */
+async function performSave() {
+    elements.saveBtn.disabled = true;
+
+    try {
+        await apiRequest('/save', { method: 'POST' });
         showMessage('Configuration sauvegardée avec succès', 'success');
+        await checkUnsavedChanges();
+    } catch (error) {
+        showMessage(`Erreur lors de la sauvegarde: ${error.message}`, 'error');
+    } finally {
+        elements.saveBtn.disabled = false;
+    }
+}
+
+/**
+ * Restaure la configuration depuis /etc/iptables/rules.v4 (rules.v6 en IPv6)
+ */
+async function performRestore() {
+    elements.restoreBtn.disabled = true;
+
+    try {
+        const result = await apiRequest('/restore', {
+            method: 'POST',
+            body: JSON.stringify(changeOptions())
+        });
+        showMessage('Configuration restaurée avec succès', 'success');
+        trackPendingConfirmation(result.pendingConfirmation);
+        await loadAllRules();
+    } catch (error) {
+        showMessage(`Erreur lors de la restauration: ${error.message}`, 'error');
+    } finally {
+        elements.restoreBtn.disabled = false;
+    }
+}
+
+/**
+ * Télécharge la configuration active dans le format choisi (iptables-save, JSON ou YAML)
+ */
+async function exportRuleset() {
+    const format = elements.exportFormat.value;
+
+    try {
+        const response = await fetch(`/api/iptables/export?format=${format}&family=${app.family}`);
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Erreur réseau');
+        }
+
+        // Nom du fichier proposé par le serveur (Content-Disposition)
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = match ? match[1] : `rules.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
     } catch (error) {
-        showMessage(`Erreur lors de la sauvegarde: ${error.message}`, 'error');
+        showMessage(`Erreur lors de l'export: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Vérifie un fichier importé sur l'hôte et affiche son diff avec la configuration active
+ *
+ * Le format est deviné par le serveur. L'import n'est exécuté qu'après
+ * validation dans le panneau de diff.
+ *
+ * @param {File} file - Fichier choisi (iptables-save, JSON ou YAML)
+ */
+async function openImportPanel(file) {
+    try {
+        const content = await file.text();
+        const data = await apiRequest('/import/preview', {
+            method: 'POST',
+            body: JSON.stringify({ content })
+        });
+        const { summary } = data.diff;
+
+        app.pendingDiffAction = 'import';
+        app.pendingImport = { content, fingerprint: data.fingerprint };
+        elements.diffTitle.textContent = `Importer ${file.name} : tables remplacées (${data.touchedTables.join(', ')})`;
+        elements.diffSummary.textContent =
+            `${summary.added} ajout(s), ${summary.removed} suppression(s), ${summary.moved} déplacement(s), ${summary.policyChanges} politique(s) modifiée(s)`;
+        elements.diffContent.innerHTML = renderDiff(data.diff, 'compare');
+        elements.diffConfirmBtn.textContent = 'Confirmer l\'import';
+        elements.diffConfirmBtn.disabled = false;
+        elements.diffPanel.style.display = 'block';
+    } catch (error) {
+        showMessage(`Fichier refusé: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Applique le fichier importé validé dans le panneau de diff
+ *
+ * @param {Object} pending - { content, fingerprint } (voir openImportPanel)
+ */
+async function performImport(pending) {
+    elements.importBtn.disabled = true;
+
+    try {
+        const result = await apiRequest('/import', {
+            method: 'POST',
+            body: JSON.stringify({ ...changeOptions(), ...pending })
+        });
+        showMessage(result.message, 'success');
+        trackPendingConfirmation(result.pendingConfirmation);
+        await loadAllRules();
+    } catch (error) {
+        showMessage(`Erreur lors de l'import: ${error.message}`, 'error');
     } finally {
-        elements.saveBtn.disabled = false;
+        elements.importBtn.disabled = false;
+    }
+}
+
+/**
+ * Calcule le plan vers l'état déclaré de l'hôte et l'affiche dans le panneau de diff
+ *
+ * Seules les chaînes et sections déclarées apparaissent. Le plan n'est
+ * appliqué qu'après validation (rôle admin).
+ */
+async function openStatePanel() {
+    try {
+        const data = await apiRequest('/state/plan');
+        const { summary } = data.diff;
+
+        if (data.identical) {
+            showMessage(`L'hôte est conforme à l'état déclaré (${data.source})`, 'success');
+            return;
+        }
+
+        app.pendingDiffAction = 'state';
+        app.pendingPlan = { fingerprint: data.fingerprint };
+        elements.diffTitle.textContent = `État déclaré (${data.source}) : modifications qui seront appliquées`;
+        elements.diffSummary.textContent =
+            `${summary.added} ajout(s), ${summary.removed} suppression(s), ${summary.moved} déplacement(s), ${summary.policyChanges} politique(s) modifiée(s)`;
+        elements.diffContent.innerHTML = renderDiff(data.diff, 'compare');
+        elements.diffConfirmBtn.textContent = 'Appliquer le plan';
+        elements.diffConfirmBtn.disabled = !hasRole('admin');
+        elements.diffPanel.style.display = 'block';
+    } catch (error) {
+        showMessage(`Erreur lors du calcul du plan: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Applique le plan validé dans le panneau de diff
+ *
+ * @param {Object} pending - { fingerprint } (voir openStatePanel)
+ */
+async function performStateApply(pending) {
+    elements.statePlanBtn.disabled = true;
+
+    try {
+        const result = await apiRequest('/state/apply', {
+            method: 'POST',
+            body: JSON.stringify({ ...changeOptions(), ...pending })
+        });
+        showMessage(result.message, 'success');
+        trackPendingConfirmation(result.pendingConfirmation);
+        await loadAllRules();
+    } catch (error) {
+        showMessage(`Erreur lors de l'application du plan: ${error.message}`, 'error');
+    } finally {
+        elements.statePlanBtn.disabled = false;
+    }
+}
+
+// Sauvegarder la configuration (après affichage du diff)
+elements.saveBtn.addEventListener('click', () => openDiffPanel('save'));
+
+// Restaurer la configuration (après affichage du diff)
+elements.restoreBtn.addEventListener('click', () => openDiffPanel('restore'));
+
+// Exporter la configuration active
+elements.exportBtn.addEventListener('click', exportRuleset);
+
+// Importer un fichier (après vérification sur l'hôte et affichage du diff)
+elements.importBtn.addEventListener('click', () => elements.importFile.click());
+elements.importFile.addEventListener('change', async () => {
+    const file = elements.importFile.files[0];
+    // Permet de choisir à nouveau le même fichier
+    elements.importFile.value = '';
+    if (file) {
+        await openImportPanel(file);
+    }
+});
+
+// Plan vers l'état déclaré (appliqué après affichage du diff)
+elements.statePlanBtn.addEventListener('click', openStatePanel);
+
+// Exécuter l'opération validée dans le panneau de diff
+elements.diffConfirmBtn.addEventListener('click', async () => {
+    const action = app.pendingDiffAction;
+    const pendingImport = app.pendingImport;
+    const pendingPlan = app.pendingPlan;
+    closeDiffPanel();
+
+    if (action === 'save') {
+        await performSave();
+    } else if (action === 'restore') {
+        await performRestore();
+    } else if (action === 'import') {
+        await performImport(pendingImport);
+    } else if (action === 'state') {
+        await performStateApply(pendingPlan);
     }
 });
 
-// Restaurer la configuration
-elements.restoreBtn.addEventListener('click', async () => {
-    if (!confirm('Voulez-vous restaurer la configuration sauvegardée ? Cela écrasera la configuration actuelle.')) {
+elements.diffCancelBtn.addEventListener('click', closeDiffPanel);
+
+// ============================================================================
+// HISTORIQUE (INSTANTANÉS)
+// ============================================================================
+
+/**
+ * Charge la liste des instantanés de l'hôte connecté
+ */
+async function loadSnapshots() {
+    try {
+        const data = await apiRequest('/snapshots');
+        app.snapshots = data.snapshots;
+        renderSnapshots();
+    } catch (error) {
+        console.error('Erreur lors du chargement de l\'historique:', error);
+    }
+}
+
+/**
+ * Affiche la liste des instantanés
+ */
+function renderSnapshots() {
+    if (app.snapshots.length === 0) {
+        elements.snapshotsContainer.innerHTML = '<div class="no-rules">Aucun instantané</div>';
         return;
     }
 
-    elements.restoreBtn.disabled = true;
+    const rows = app.snapshots.map(snapshot => `
+        <tr>
+            <td><input type="checkbox" class="snapshot-select" value="${snapshot.id}"></td>
+            <td>${new Date(snapshot.timestamp).toLocaleString()}</td>
+            <td>${escapeHtml(snapshot.author || '-')}</td>
+            <td>
+                <span class="snapshot-kind ${snapshot.automatic ? '' : 'manual'}">
+                    ${snapshot.automatic ? 'Auto' : 'Manuel'}
+                </span>
+                ${escapeHtml(snapshot.message || snapshot.command || '')}
+            </td>
+            <td>${snapshot.ruleCount === null ? '-' : snapshot.ruleCount}</td>
+            <td class="actions">
+                <button class="btn btn-info btn-small" onclick="viewSnapshot('${snapshot.id}')">Voir</button>
+                <button class="btn btn-secondary btn-small" onclick="compareSnapshots('${snapshot.id}', 'live')">Diff actif</button>
+                <button class="btn btn-warning btn-small" data-role="admin" onclick="rollbackToSnapshot('${snapshot.id}')">Restaurer</button>
+            </td>
+        </tr>
+    `).join('');
+
+    elements.snapshotsContainer.innerHTML = `
+        <table class="rules-table">
+            <thead>
+                <tr><th></th><th>Date</th><th>Auteur</th><th>Description</th><th>Règles</th><th>Actions</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Affiche le contenu iptables-save d'un instantané
+ *
+ * @param {string} id - ID de l'instantané
+ */
+async function viewSnapshot(id) {
+    try {
+        const data = await apiRequest(`/snapshots/${id}`);
+        elements.snapshotViewTitle.textContent = `Instantané du ${new Date(data.snapshot.timestamp).toLocaleString()}`;
+        elements.snapshotViewContent.innerHTML = `<pre class="ruleset-preview">${escapeHtml(data.snapshot.ruleset)}</pre>`;
+        elements.snapshotView.style.display = 'block';
+    } catch (error) {
+        showMessage(`Erreur: ${error.message}`, 'error');
+    }
+}
 
+/**
+ * Affiche le diff entre deux instantanés (ou un instantané et la configuration active)
+ *
+ * @param {string} from - ID de l'instantané de départ
+ * @param {string} to - ID de l'instantané d'arrivée, ou 'live'
+ */
+async function compareSnapshots(from, to) {
     try {
-        await apiRequest('/restore', { method: 'POST' });
-        showMessage('Configuration restaurée avec succès', 'success');
+        const data = await apiRequest(`/snapshots/diff?from=${from}&to=${to}`);
+        elements.snapshotViewTitle.textContent = to === 'live'
+            ? 'Différences entre l\'instantané et la configuration active'
+            : 'Différences entre les deux instantanés';
+        elements.snapshotViewContent.innerHTML = renderDiff(data.diff, 'compare');
+        elements.snapshotView.style.display = 'block';
+    } catch (error) {
+        showMessage(`Erreur lors de la comparaison: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Remet la configuration active dans l'état d'un instantané
+ *
+ * @param {string} id - ID de l'instantané
+ */
+async function rollbackToSnapshot(id) {
+    if (!confirm('Restaurer cet instantané ? La configuration active sera remplacée (elle reste dans l\'historique).')) {
+        return;
+    }
+
+    try {
+        const result = await apiRequest(`/snapshots/${id}/rollback`, {
+            method: 'POST',
+            body: JSON.stringify(changeOptions())
+        });
+        showMessage(result.message, 'success');
+        trackPendingConfirmation(result.pendingConfirmation);
         await loadAllRules();
     } catch (error) {
         showMessage(`Erreur lors de la restauration: ${error.message}`, 'error');
+    }
+}
+
+// Prendre un instantané manuel
+elements.snapshotForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const message = new FormData(e.target).get('snapshot-message').trim();
+
+    try {
+        await apiRequest('/snapshots', {
+            method: 'POST',
+            body: JSON.stringify({ message: message || undefined })
+        });
+        showMessage('Instantané enregistré', 'success');
+        e.target.reset();
+        await loadSnapshots();
+    } catch (error) {
+        showMessage(`Erreur lors de la prise de l'instantané: ${error.message}`, 'error');
+    }
+});
+
+// Comparer les deux instantanés sélectionnés (du plus ancien au plus récent)
+elements.compareSnapshotsBtn.addEventListener('click', () => {
+    const selected = [...document.querySelectorAll('.snapshot-select:checked')].map(cb => cb.value);
+    if (selected.length !== 2) {
+        showMessage('Sélectionnez exactement deux instantanés', 'error');
+        return;
+    }
+    const [newer, older] = selected;  // La liste est triée du plus récent au plus ancien
+    compareSnapshots(older, newer);
+});
+
+elements.snapshotViewClose.addEventListener('click', () => {
+    elements.snapshotView.style.display = 'none';
+});
+
+// ============================================================================
+// DÉPLOIEMENT SUR LE PARC
+// ============================================================================
+
+/**
+ * Affiche les hôtes de l'inventaire à cocher et les sélections par étiquette ou groupe
+ */
+function renderFleetHosts() {
+    if (app.inventory.length === 0) {
+        elements.fleetHosts.innerHTML = '<div class="no-rules">Aucun hôte dans l\'inventaire</div>';
+    } else {
+        elements.fleetHosts.innerHTML = app.inventory.map(host => `
+            <label class="checkbox-label">
+                <input type="checkbox" class="fleet-host" value="${escapeHtml(host.id)}">
+                ${escapeHtml(host.name)}
+            </label>
+        `).join('');
+    }
+
+    const tags = [...new Set(app.inventory.flatMap(h => h.tags))].sort();
+    const groups = [...new Set(app.inventory.map(h => h.group).filter(Boolean))].sort();
+    elements.fleetSelection.innerHTML = '<option value="">Sélection manuelle</option>' +
+        `<optgroup label="Étiquettes">${tags.map(t => `<option value="tag:${escapeHtml(t)}">${escapeHtml(t)}</option>`).join('')}</optgroup>` +
+        `<optgroup label="Groupes">${groups.map(g => `<option value="group:${escapeHtml(g)}">${escapeHtml(g)}</option>`).join('')}</optgroup>`;
+}
+
+/**
+ * Event listener: Sélection par étiquette ou groupe
+ * Coche les hôtes correspondants (la sélection reste modifiable à la main)
+ */
+elements.fleetSelection.addEventListener('change', () => {
+    const [kind, value] = elements.fleetSelection.value.split(/:(.*)/);
+    if (!kind) {
+        return;
+    }
+
+    document.querySelectorAll('.fleet-host').forEach(checkbox => {
+        const host = app.inventory.find(h => h.id === checkbox.value);
+        checkbox.checked = kind === 'tag' ? host.tags.includes(value) : host.group === value;
+    });
+});
+
+/**
+ * Construit la demande de déploiement à partir du formulaire
+ *
+ * @returns {Object} Corps de la requête (hostIds, change ou ruleset, concurrency, maxFailures, allowLockout)
+ * @throws {Error} Si aucun hôte n'est coché ou si la modification JSON est illisible
+ */
+function buildFleetRequest() {
+    const hostIds = [...document.querySelectorAll('.fleet-host:checked')].map(c => c.value);
+    if (hostIds.length === 0) {
+        throw new Error('Sélectionnez au moins un hôte');
+    }
+
+    const request = {
+        hostIds,
+        family: elements.fleetFamily.value,
+        concurrency: parseInt(elements.fleetConcurrency.value),
+        maxFailures: parseInt(elements.fleetMaxFailures.value),
+        allowLockout: elements.fleetAllowLockout.checked
+    };
+
+    if (elements.fleetMode.value === 'ruleset') {
+        request.ruleset = elements.fleetPayload.value;
+    } else {
+        try {
+            request.change = JSON.parse(elements.fleetPayload.value);
+        } catch (error) {
+            throw new Error(`Modification JSON invalide: ${error.message}`);
+        }
+    }
+    return request;
+}
+
+/**
+ * Affiche le rapport d'un déploiement, hôte par hôte, avec le diff de chacun
+ *
+ * @param {Object} report - Rapport renvoyé par /api/fleet/preview ou /api/fleet/push
+ */
+function renderFleetReport(report) {
+    const labels = {
+        planned: 'Prêt',
+        applied: 'Appliqué',
+        unchanged: 'Inchangé',
+        failed: 'Échec',
+        skipped: 'Non traité'
+    };
+    const { summary } = report;
+
+    const rows = report.results.map(result => `
+        <tr>
+            <td>${escapeHtml(result.name)}</td>
+            <td><span class="fleet-status ${result.status}">${labels[result.status]}</span></td>
+            <td>
+                ${result.error ? `<div class="diff-line diff-remove">${escapeHtml(result.error)}</div>` : ''}
+                ${result.diff ? `
+                    <details>
+                        <summary>+${result.diff.summary.added} / -${result.diff.summary.removed}
+                            / ~${result.diff.summary.moved + result.diff.summary.policyChanges}</summary>
+                        ${renderDiff(result.diff, 'compare')}
+                    </details>
+                ` : ''}
+            </td>
+            <td>${result.durationMs !== undefined ? `${result.durationMs} ms` : '-'}</td>
+        </tr>
+    `).join('');
+
+    elements.fleetReport.innerHTML = `
+        <div class="diff-panel">
+            <h3>${report.dryRun ? 'Prévisualisation' : 'Déploiement'} : ${escapeHtml(report.description)}</h3>
+            <div class="diff-summary">
+                ${summary.total} hôte(s) :
+                ${Object.keys(labels).filter(s => summary[s] > 0).map(s => `${summary[s]} ${labels[s].toLowerCase()}`).join(', ')}
+                ${report.stopped ? ' — arrêté après trop d\'échecs' : ''}
+            </div>
+            <table class="rules-table">
+                <thead><tr><th>Hôte</th><th>Statut</th><th>Détail</th><th>Durée</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Lance une prévisualisation ou un déploiement sur les hôtes cochés
+ *
+ * @param {boolean} dryRun - true pour vérifier et calculer les diffs sans rien appliquer
+ */
+async function runFleetPush(dryRun) {
+    let request;
+    try {
+        request = buildFleetRequest();
+    } catch (error) {
+        showMessage(error.message, 'error');
+        return;
+    }
+
+    if (!dryRun && !confirm(`Appliquer la modification sur ${request.hostIds.length} hôte(s) ?`)) {
+        return;
+    }
+
+    elements.fleetPreviewBtn.disabled = true;
+    elements.fleetPushBtn.disabled = true;
+    elements.fleetReport.innerHTML = '<div class="loading">Traitement des hôtes...</div>';
+
+    try {
+        const data = await apiRequest(dryRun ? '/api/fleet/preview' : '/api/fleet/push', {
+            method: 'POST',
+            body: JSON.stringify(request)
+        });
+        renderFleetReport(data.report);
+        const failed = data.report.summary.failed;
+        showMessage(failed > 0 ? `${failed} hôte(s) en échec` : 'Terminé sans erreur', failed > 0 ? 'error' : 'success');
+
+        // L'hôte actif fait peut-être partie du déploiement
+        if (!dryRun && app.connected) {
+            loadAllRules();
+        } else if (!dryRun) {
+            loadAudit();
+        }
+    } catch (error) {
+        elements.fleetReport.innerHTML = '';
+        showMessage(`Erreur lors du déploiement: ${error.message}`, 'error');
     } finally {
-        elements.restoreBtn.disabled = false;
+        elements.fleetPreviewBtn.disabled = false;
+        elements.fleetPushBtn.disabled = false;
+    }
+}
+
+elements.fleetPreviewBtn.addEventListener('click', () => runFleetPush(true));
+
+elements.fleetForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    runFleetPush(false);
+});
+
+// ============================================================================
+// JOURNAL D'AUDIT
+// ============================================================================
+
+/**
+ * Libellés des résultats du journal d'audit
+ */
+const AUDIT_RESULT_LABELS = { success: 'Réussi', failure: 'Échec', refused: 'Refusé' };
+
+/**
+ * Construit la query string des critères de recherche du journal
+ *
+ * @returns {string} Critères encodés (sans '?')
+ */
+function auditQueryString() {
+    const params = new URLSearchParams();
+    const fields = {
+        user: elements.auditUser,
+        host: elements.auditHost,
+        chain: elements.auditChain,
+        result: elements.auditResult,
+        from: elements.auditFrom,
+        to: elements.auditTo,
+        q: elements.auditQuery
+    };
+    for (const [name, input] of Object.entries(fields)) {
+        if (input.value.trim()) {
+            params.set(name, input.value.trim());
+        }
+    }
+    return params.toString();
+}
+
+/**
+ * Charge les dernières entrées du journal d'audit correspondant aux critères
+ * et met à jour les liens d'export (journal réservé aux administrateurs)
+ */
+async function loadAudit() {
+    if (!hasRole('admin')) {
+        return;
+    }
+    const query = auditQueryString();
+    elements.auditExportJsonl.href = `/api/audit/export?format=jsonl${query ? `&${query}` : ''}`;
+    elements.auditExportCsv.href = `/api/audit/export?format=csv${query ? `&${query}` : ''}`;
+
+    try {
+        const data = await apiRequest(`/api/audit${query ? `?${query}` : ''}`);
+        renderAudit(data.entries, data.total);
+    } catch (error) {
+        elements.auditContainer.innerHTML = `<div class="error">Erreur: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Affiche les entrées du journal d'audit
+ *
+ * @param {Array<Object>} entries - Entrées, de la plus récente à la plus ancienne
+ * @param {number} total - Nombre total d'entrées correspondant aux critères
+ */
+function renderAudit(entries, total) {
+    if (entries.length === 0) {
+        elements.auditContainer.innerHTML = '<div class="no-rules">Aucune modification enregistrée</div>';
+        return;
+    }
+
+    const rows = entries.map(entry => `
+        <tr>
+            <td>${new Date(entry.timestamp).toLocaleString()}</td>
+            <td>${escapeHtml(entry.user || '-')}<br><small>${escapeHtml(entry.sourceIp || '')}</small></td>
+            <td>${escapeHtml(entry.host || '-')}</td>
+            <td>${escapeHtml([entry.table, entry.chain].filter(Boolean).join(' / ') || '-')}</td>
+            <td class="audit-command">
+                ${escapeHtml(entry.command)}
+                ${entry.error ? `<div class="diff-line diff-remove">${escapeHtml(entry.stderr || entry.error)}</div>` : ''}
+            </td>
+            <td class="audit-fingerprints">${escapeHtml(entry.before || '-')}<br>${escapeHtml(entry.after || '-')}</td>
+            <td><span class="fleet-status ${entry.result}">${AUDIT_RESULT_LABELS[entry.result] || escapeHtml(entry.result)}</span></td>
+        </tr>
+    `).join('');
+
+    elements.auditContainer.innerHTML = `
+        <div class="diff-summary">${entries.length} modification(s) affichée(s) sur ${total}</div>
+        <table class="rules-table">
+            <thead>
+                <tr><th>Date</th><th>Utilisateur</th><th>Hôte</th><th>Table / chaîne</th><th>Commande</th><th>Avant / après</th><th>Résultat</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// Rechercher dans le journal
+elements.auditForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadAudit();
+});
+
+// ============================================================================
+// JETONS D'API
+// ============================================================================
+
+/**
+ * Charge les jetons de l'utilisateur (tous les jetons pour un administrateur)
+ */
+async function loadTokens() {
+    try {
+        const data = await apiRequest('/api/tokens');
+        renderTokens(data.tokens);
+    } catch (error) {
+        elements.tokensContainer.innerHTML = `<div class="error">Erreur: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Affiche les jetons
+ *
+ * @param {Array<Object>} tokens - Jetons, du plus récent au plus ancien
+ */
+function renderTokens(tokens) {
+    if (tokens.length === 0) {
+        elements.tokensContainer.innerHTML = '<div class="no-rules">Aucun jeton</div>';
+        return;
+    }
+
+    const rows = tokens.map(token => `
+        <tr>
+            <td>${escapeHtml(token.name)}<br><small>${escapeHtml(token.id)}</small></td>
+            <td>${escapeHtml(token.owner)}</td>
+            <td>${escapeHtml(ROLE_LABELS[token.role] || token.role)}${token.tables ? `<br><small>${escapeHtml(token.tables.join(', '))}</small>` : ''}</td>
+            <td>${escapeHtml(token.hosts ? token.hosts.join(', ') : 'Tous')}</td>
+            <td>${new Date(token.createdAt).toLocaleDateString()}</td>
+            <td>${token.expiresAt ? new Date(token.expiresAt).toLocaleDateString() : 'Jamais'}</td>
+            <td>
+                <button class="btn btn-danger btn-small" onclick="revokeToken('${escapeHtml(token.id)}', '${escapeHtml(token.name)}')">Révoquer</button>
+            </td>
+        </tr>
+    `).join('');
+
+    elements.tokensContainer.innerHTML = `
+        <table class="rules-table">
+            <thead>
+                <tr><th>Nom</th><th>Propriétaire</th><th>Rôle</th><th>Hôtes</th><th>Créé le</th><th>Expire le</th><th>Actions</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Révoque un jeton après confirmation
+ *
+ * @param {string} id - Identifiant du jeton
+ * @param {string} name - Nom du jeton
+ */
+async function revokeToken(id, name) {
+    if (!confirm(`Révoquer le jeton ${name} ? Les scripts qui l'utilisent ne pourront plus accéder à l'API.`)) {
+        return;
+    }
+
+    try {
+        await apiRequest(`/api/tokens/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        showMessage('Jeton révoqué', 'info');
+        elements.tokenCreated.innerHTML = '';
+        loadTokens();
+    } catch (error) {
+        showMessage(`Erreur lors de la révocation: ${error.message}`, 'error');
+    }
+}
+
+// Créer un jeton (le jeton en clair n'est affiché qu'une fois)
+elements.tokenForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const hosts = elements.tokenHosts.value.split(',').map(host => host.trim()).filter(Boolean);
+    const request = {
+        name: elements.tokenName.value.trim(),
+        role: elements.tokenRole.value,
+        hosts: hosts.length > 0 ? hosts : undefined,
+        expiresAt: elements.tokenExpires.value || undefined
+    };
+
+    try {
+        const data = await apiRequest('/api/tokens', {
+            method: 'POST',
+            body: JSON.stringify(request)
+        });
+        elements.tokenCreated.innerHTML = `
+            <div class="token-created">
+                Jeton ${escapeHtml(data.token.name)} créé. Copiez-le maintenant, il ne sera plus affiché :
+                <code class="token-secret">${escapeHtml(data.token.token)}</code>
+            </div>
+        `;
+        elements.tokenForm.reset();
+        loadTokens();
+    } catch (error) {
+        showMessage(`Erreur lors de la création du jeton: ${error.message}`, 'error');
     }
 });
 
 // Initialisation au chargement de la page
 document.addEventListener('DOMContentLoaded', () => {
-    checkConnectionStatus();
+    checkSession();
 
     // Synchroniser le sélecteur avec l'onglet actif
     elements.ruleTable.value = app.currentTable;
@@ -0,0 +1,99 @@
+/**
+ * Routes API du journal d'audit
+ *
+ * Permet de rechercher dans le journal des modifications du pare-feu et de
+ * l'exporter (JSON Lines ou CSV) pour les revues de conformité.
+ * Ces routes ne nécessitent pas de connexion SSH. Le journal contient les
+ * commandes et les IP d'origine de toutes les tables et de tous les hôtes :
+ * il est réservé aux administrateurs de l'application.
+ *
+ * @module routes/audit-routes
+ * @requires express
+ * @requires ../services/audit-service
+ * @requires ../services/user-service
+ */
+
+const express = require('express');
+const router = express.Router();
+const auditService = require('../services/audit-service');
+const userService = require('../services/user-service');
+
+/**
+ * Formats d'export : type MIME, extension et sérialisation
+ */
+const EXPORT_FORMATS = {
+  jsonl: { type: 'application/x-ndjson', extension: 'jsonl', serialize: entries => auditService.toJsonLines(entries) },
+  csv: { type: 'text/csv', extension: 'csv', serialize: entries => auditService.toCsv(entries) }
+};
+
+/**
+ * Middleware réservant le journal d'audit aux administrateurs de l'application (403 sinon)
+ *
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Function} next - Fonction pour passer au middleware suivant
+ */
+const requireAdmin = (req, res, next) => {
+  try {
+    userService.authorize(req.user, 'admin');
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+router.use(requireAdmin);
+
+/**
+ * GET /api/audit
+ * Recherche dans le journal d'audit, de la modification la plus récente à la plus ancienne
+ *
+ * @query {string} [user] - Utilisateur
+ * @query {string} [host] - Hôte (ex: admin@192.168.1.1:22)
+ * @query {string} [table] - Table
+ * @query {string} [chain] - Chaîne
+ * @query {string} [result] - Résultat: success, failure ou refused
+ * @query {string} [q] - Texte recherché dans la commande, l'erreur et stderr
+ * @query {string} [from] - Date de début (ISO 8601)
+ * @query {string} [to] - Date de fin (ISO 8601, une date seule inclut la journée)
+ * @query {number} [limit=100] - Nombre d'entrées (1000 au maximum)
+ * @query {number} [offset=0] - Nombre d'entrées sautées
+ * @returns {Object} { success: boolean, total: number, entries: Array }
+ */
+router.get('/', (req, res) => {
+  try {
+    const { total, entries } = auditService.search(auditService.parseFilters(req.query));
+    res.json({ success: true, total, entries });
+  } catch (error) {
+    console.error('Erreur lors de la lecture du journal d\'audit:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/audit/export
+ * Exporte les entrées correspondant aux critères (mêmes critères que GET /api/audit,
+ * sans limit ni offset)
+ *
+ * @query {string} [format=jsonl] - Format: jsonl (JSON Lines) ou csv
+ * @returns {string} Fichier en pièce jointe (audit-AAAA-MM-JJ.jsonl ou .csv)
+ */
+router.get('/export', (req, res) => {
+  try {
+    const format = EXPORT_FORMATS[req.query.format || 'jsonl'];
+    if (!format) {
+      return res.status(400).json({ error: `Format d'export invalide: ${req.query.format} (attendu: jsonl, csv)` });
+    }
+    const { entries } = auditService.search(auditService.parseFilters(req.query), { all: true });
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set('Content-Type', `${format.type}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="audit-${date}.${format.extension}"`);
+    res.send(format.serialize(entries));
+  } catch (error) {
+    console.error('Erreur lors de l\'export du journal d\'audit:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
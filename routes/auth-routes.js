@@ -0,0 +1,118 @@
+/**
+ * Routes API d'authentification des utilisateurs de l'application
+ *
+ * L'utilisateur connecté est conservé dans la session (identifiant seulement :
+ * son rôle est relu à chaque requête, voir requireLogin dans server.js).
+ * Ces routes ne nécessitent ni authentification ni connexion SSH.
+ *
+ * @module routes/auth-routes
+ * @requires express
+ * @requires ../services/user-service
+ * @requires ../services/ssh-service
+ */
+
+const express = require('express');
+const router = express.Router();
+const userService = require('../services/user-service');
+const sshService = require('../services/ssh-service');
+
+/**
+ * Nombre d'échecs de connexion tolérés par identifiant et adresse IP sur une
+ * fenêtre glissante (millisecondes) : au-delà, les tentatives sont refusées
+ * jusqu'à la fin de la fenêtre
+ */
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW = 15 * 60 * 1000;
+
+// Map<'identifiant|ip', { count, since }> - Échecs de connexion récents
+const failedLogins = new Map();
+
+/**
+ * Retourne les échecs récents d'un couple identifiant/IP, en oubliant les fenêtres expirées
+ *
+ * @param {string} key - Clé 'identifiant|ip'
+ * @returns {Object|null} { count, since }, null si aucun échec récent
+ */
+const recentFailures = (key) => {
+  const now = Date.now();
+  for (const [k, failures] of failedLogins) {
+    if (now - failures.since > FAILED_LOGIN_WINDOW) failedLogins.delete(k);
+  }
+  return failedLogins.get(key) || null;
+};
+
+/**
+ * POST /api/auth/login
+ * Authentifie un utilisateur et ouvre sa session
+ *
+ * L'identifiant de session est renouvelé à la connexion : les connexions SSH
+ * d'une session précédente sont fermées.
+ *
+ * @body {string} username - Identifiant
+ * @body {string} password - Mot de passe
+ * @returns {Object} { success: boolean, user: { username, role, tables } }
+ */
+router.post('/login', async (req, res) => {
+  const { username, password } = req.body;
+  const key = `${username}|${req.ip}`;
+  const failures = recentFailures(key);
+
+  if (failures && failures.count >= MAX_FAILED_LOGINS) {
+    return res.status(429).json({ error: 'Trop d\'échecs de connexion. Réessayez dans quelques minutes.' });
+  }
+
+  try {
+    const user = await userService.authenticate(String(username || ''), String(password || ''));
+    if (!user) {
+      failedLogins.set(key, failures ? { ...failures, count: failures.count + 1 } : { count: 1, since: Date.now() });
+      return res.status(401).json({ error: 'Identifiant ou mot de passe incorrect', login: true });
+    }
+
+    failedLogins.delete(key);
+    // Les connexions SSH sont indexées par l'identifiant de session, qui change
+    sshService.disconnect(req.session.id);
+    req.session.regenerate((error) => {
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+      req.session.username = user.username;
+      res.json({ success: true, user });
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'authentification:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Ferme la session de l'utilisateur et toutes ses connexions SSH
+ *
+ * @returns {Object} { success: boolean }
+ */
+router.post('/logout', (req, res) => {
+  sshService.disconnect(req.session.id);
+  req.session.destroy(() => {
+    res.json({ success: true });
+  });
+});
+
+/**
+ * GET /api/auth/me
+ * Retourne l'utilisateur connecté
+ *
+ * @returns {Object} { success: boolean, user: { username, role, tables } } (401 sans session)
+ */
+router.get('/me', (req, res) => {
+  try {
+    const user = req.session.username ? userService.get(req.session.username) : null;
+    if (!user) {
+      return res.status(401).json({ error: 'Authentification requise', login: true });
+    }
+    res.json({ success: true, user });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+/**
+ * Routes API pour le déploiement sur un parc d'hôtes
+ *
+ * Les hôtes sont choisis dans l'inventaire (par identifiant, étiquette ou
+ * groupe). Chaque hôte reçoit sa propre connexion SSH : ces routes ne
+ * nécessitent pas de connexion active dans la session. Elles sont réservées
+ * aux administrateurs de l'application.
+ *
+ * @module routes/fleet-routes
+ * @requires express
+ * @requires ../services/fleet-service
+ * @requires ../services/user-service
+ * @requires ../services/token-service
+ */
+
+const express = require('express');
+const router = express.Router();
+const fleetService = require('../services/fleet-service');
+const userService = require('../services/user-service');
+const tokenService = require('../services/token-service');
+
+/**
+ * Middleware réservant le déploiement sur le parc aux administrateurs de l'application (403 sinon)
+ *
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Function} next - Fonction pour passer au middleware suivant
+ */
+const requireAdmin = (req, res, next) => {
+  try {
+    userService.authorize(req.user, 'admin');
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+router.use(requireAdmin);
+
+/**
+ * Exécute un déploiement (réel ou simulé) et renvoie le rapport
+ *
+ * Avec un jeton d'API limité à certains hôtes, chaque hôte visé doit en faire partie (403).
+ *
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {boolean} dryRun - true pour une simulation
+ */
+const runPush = async (req, res, dryRun) => {
+  try {
+    if (req.user.token) {
+      fleetService.resolveHosts(req.body).forEach(host => tokenService.authorizeHost(req.user, host.id));
+    }
+    const report = await fleetService.push({ ...req.body, dryRun, author: req.user.username, sourceIp: req.ip });
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Erreur lors du déploiement sur le parc:', error);
+    res.status(error.status || 500).json({ error: error.message, details: error.errors });
+  }
+};
+
+/**
+ * POST /api/fleet/preview
+ * Vérifie chaque hôte et calcule son diff, sans rien appliquer
+ *
+ * @body {Array<string>} [hostIds] - Identifiants des hôtes visés
+ * @body {string} [tag] - Étiquette des hôtes visés (sans hostIds)
+ * @body {string} [group] - Groupe des hôtes visés (sans hostIds)
+ * @body {Object} [change] - Modification de règle (voir services/fleet-service)
+ * @body {string} [ruleset] - Jeu de règles complet au format iptables-save
+ * @body {string} [family=ipv4] - Famille d'adresses: ipv4 (iptables) ou ipv6 (ip6tables)
+ * @body {number} [concurrency=4] - Nombre d'hôtes traités en parallèle
+ * @body {number} [maxFailures=1] - Arrêt après ce nombre d'échecs
+ * @body {boolean} [allowLockout=false] - Applique même sur un hôte dont l'accès SSH serait coupé
+ * @returns {Object} { success: boolean, report: Object }
+ */
+router.post('/preview', (req, res) => runPush(req, res, true));
+
+/**
+ * POST /api/fleet/push
+ * Applique la modification sur chaque hôte visé (mêmes paramètres que /preview)
+ *
+ * Un instantané local de chaque hôte est enregistré avant modification, et chaque
+ * application est inscrite au journal d'audit.
+ *
+ * @returns {Object} { success: boolean, report: Object }
+ */
+router.post('/push', (req, res) => runPush(req, res, false));
+
+module.exports = router;
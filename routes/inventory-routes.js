@@ -0,0 +1,129 @@
+/**
+ * Routes API pour l'inventaire des hôtes
+ *
+ * Permet de consulter et de gérer les profils de connexion enregistrés
+ * (hôte, port, utilisateur, clé, groupe, étiquettes, IP publiques NAT).
+ * Ces routes ne nécessitent pas de connexion SSH. La consultation est ouverte
+ * à tout utilisateur connecté, les modifications sont réservées aux administrateurs.
+ *
+ * @module routes/inventory-routes
+ * @requires express
+ * @requires ../services/inventory-service
+ * @requires ../services/user-service
+ */
+
+const express = require('express');
+const router = express.Router();
+const inventoryService = require('../services/inventory-service');
+const userService = require('../services/user-service');
+
+/**
+ * Middleware réservant la modification de l'inventaire aux administrateurs de l'application (403 sinon)
+ *
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Function} next - Fonction pour passer au middleware suivant
+ */
+const requireAdmin = (req, res, next) => {
+  try {
+    userService.authorize(req.user, 'admin');
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * GET /api/inventory/hosts
+ * Liste les hôtes de l'inventaire
+ *
+ * @query {string} [tag] - Ne retourne que les hôtes portant cette étiquette
+ * @query {string} [group] - Ne retourne que les hôtes de ce groupe
+ * @returns {Object} { success: boolean, hosts: Array }
+ */
+router.get('/hosts', (req, res) => {
+  try {
+    const hosts = inventoryService.list({ tag: req.query.tag, group: req.query.group });
+    res.json({ success: true, hosts });
+  } catch (error) {
+    console.error('Erreur lors de la lecture de l\'inventaire:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/inventory/hosts/:id
+ * Récupère un hôte de l'inventaire
+ *
+ * @param {string} id - Identifiant de l'hôte
+ * @returns {Object} { success: boolean, host: Object }
+ */
+router.get('/hosts/:id', (req, res) => {
+  try {
+    res.json({ success: true, host: inventoryService.get(req.params.id) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/inventory/hosts
+ * Ajoute un hôte à l'inventaire
+ *
+ * @body {string} id - Identifiant (lettres, chiffres, ".", "_" et "-")
+ * @body {string} [name] - Nom affiché (par défaut: l'identifiant)
+ * @body {string} host - Adresse IP ou nom d'hôte
+ * @body {number} [port=22] - Port SSH
+ * @body {string} username - Nom d'utilisateur SSH
+ * @body {string} privateKeyPath - Chemin vers la clé privée SSH
+ * @body {string} [group] - Groupe de l'hôte
+ * @body {Array<string>} [tags] - Étiquettes
+ * @body {Array<string>} [natPublicIps] - IP publiques proposées par défaut pour le NAT
+ * @returns {Object} { success: boolean, host: Object }
+ */
+router.post('/hosts', requireAdmin, (req, res) => {
+  try {
+    const host = inventoryService.create(req.body);
+    res.status(201).json({ success: true, host });
+  } catch (error) {
+    console.error('Erreur lors de l\'ajout de l\'hôte:', error);
+    res.status(error.status || 500).json({ error: error.message, details: error.errors });
+  }
+});
+
+/**
+ * PUT /api/inventory/hosts/:id
+ * Modifie un hôte de l'inventaire (les champs absents sont conservés)
+ *
+ * @param {string} id - Identifiant de l'hôte
+ * @returns {Object} { success: boolean, host: Object }
+ */
+router.put('/hosts/:id', requireAdmin, (req, res) => {
+  try {
+    const host = inventoryService.update(req.params.id, req.body);
+    res.json({ success: true, host });
+  } catch (error) {
+    console.error('Erreur lors de la modification de l\'hôte:', error);
+    res.status(error.status || 500).json({ error: error.message, details: error.errors });
+  }
+});
+
+/**
+ * DELETE /api/inventory/hosts/:id
+ * Supprime un hôte de l'inventaire
+ *
+ * Les connexions déjà ouvertes vers cet hôte ne sont pas fermées.
+ *
+ * @param {string} id - Identifiant de l'hôte
+ * @returns {Object} { success: boolean, message: string }
+ */
+router.delete('/hosts/:id', requireAdmin, (req, res) => {
+  try {
+    inventoryService.remove(req.params.id);
+    res.json({ success: true, message: 'Hôte supprimé' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
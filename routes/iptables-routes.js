@@ -2,17 +2,65 @@
  * Routes API pour la gestion des règles iptables
  *
  * Ce module définit toutes les routes API permettant d'interagir avec le serveur distant
- * pour gérer les règles iptables via SSH. Toutes les routes (sauf /connect, /disconnect et /status)
- * nécessitent une connexion SSH active.
+ * pour gérer les règles iptables via SSH. Toutes les routes (sauf /connect, /disconnect, /status, /connections,
+ * /templates et /simulate avec un jeu de règles fourni) nécessitent une connexion SSH active.
+ *
+ * Le paramètre `family` (query string ou corps) choisit la famille d'adresses:
+ * 'ipv4' (iptables, /etc/iptables/rules.v4, par défaut) ou 'ipv6' (ip6tables, /etc/iptables/rules.v6).
+ *
+ * L'utilisateur de l'application est authentifié en amont (requireLogin, voir
+ * server.js) ; chaque route exige en plus un rôle (middleware requireRole) :
+ * viewer pour la consultation, operator pour les modifications de règles dans
+ * ses tables, admin pour la restauration, les politiques, la suppression de
+ * chaînes, le retour à un instantané, le mode expert et la connexion hors inventaire.
+ *
+ * Les connexions SSH sont rattachées à req.connectionId : l'identifiant de la
+ * session pour le navigateur ; pour un jeton d'API, le couple jeton / hôte de
+ * l'inventaire choisi à chaque requête (en-tête X-Host-Id ou paramètre hostId,
+ * voir resolveConnection).
  *
  * @module routes/iptables-routes
  * @requires express
  * @requires ../services/ssh-service
+ * @requires ../services/rule-model
+ * @requires ../services/changeset-service
+ * @requires ../services/inventory-service
+ * @requires ../services/packet-simulator
+ * @requires ../services/counter-monitor
+ * @requires ../services/user-service
+ * @requires ../services/token-service
+ * @requires ../services/import-export-service
+ * @requires ../services/desired-state-service
+ * @requires ../services/template-service
+ * @requires ../services/port-forward-service
  */
 
 const express = require('express');
 const router = express.Router();
 const sshService = require('../services/ssh-service');
+const ruleModel = require('../services/rule-model');
+const changesetService = require('../services/changeset-service');
+const inventoryService = require('../services/inventory-service');
+const packetSimulator = require('../services/packet-simulator');
+const counterMonitor = require('../services/counter-monitor');
+const userService = require('../services/user-service');
+const tokenService = require('../services/token-service');
+const importExportService = require('../services/import-export-service');
+const desiredStateService = require('../services/desired-state-service');
+const templateService = require('../services/template-service');
+const portForwardService = require('../services/port-forward-service');
+
+/**
+ * Délai d'inactivité après lequel la connexion SSH ouverte pour un jeton d'API
+ * est fermée (millisecondes ; variable TOKEN_CONNECTION_IDLE en secondes, 300 par défaut)
+ */
+const TOKEN_CONNECTION_IDLE = (Number(process.env.TOKEN_CONNECTION_IDLE) || 300) * 1000;
+
+// Map<connectionId, Promise> - Connexions des jetons d'API en cours d'ouverture
+const openingConnections = new Map();
+// Map<connectionId, { requests, timer }> - Requêtes en cours et fermeture programmée
+// des connexions des jetons d'API
+const tokenConnections = new Map();
 
 // ============================================================================
 // MIDDLEWARE
@@ -29,12 +77,237 @@ const sshService = require('../services/ssh-service');
  * @param {Function} next - Fonction pour passer au middleware suivant
  */
 const requireConnection = (req, res, next) => {
-  if (!sshService.isConnected(req.session.id)) {
-    return res.status(401).json({ error: 'Non connecté. Veuillez vous connecter d\'abord.' });
+  if (!sshService.isConnected(req.connectionId)) {
+    const error = req.user.token
+      ? 'Hôte manquant: précisez un hôte de l\'inventaire (en-tête X-Host-Id ou paramètre hostId)'
+      : 'Non connecté. Veuillez vous connecter d\'abord.';
+    return res.status(401).json({ error });
+  }
+  next();
+};
+
+/**
+ * Middleware réservant une route aux sessions du navigateur
+ *
+ * Les routes qui ouvrent, ferment ou choisissent une connexion n'ont pas de
+ * sens avec un jeton d'API, qui désigne son hôte à chaque requête (400).
+ *
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Function} next - Fonction pour passer au middleware suivant
+ */
+const requireSession = (req, res, next) => {
+  if (req.user.token) {
+    return res.status(400).json({
+      error: 'Avec un jeton d\'API, l\'hôte est choisi à chaque requête (en-tête X-Host-Id ou paramètre hostId)'
+    });
+  }
+  next();
+};
+
+/**
+ * Middleware n'exigeant une connexion SSH que si aucun jeu de règles n'est fourni
+ *
+ * Permet de travailler hors ligne sur un jeu de règles iptables-save (corps: ruleset).
+ *
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Function} next - Fonction pour passer au middleware suivant
+ */
+const requireConnectionOrRuleset = (req, res, next) => {
+  if (req.body && req.body.ruleset) {
+    return next();
+  }
+  requireConnection(req, res, next);
+};
+
+/**
+ * Middleware lisant la famille d'adresses demandée (IPv4 ou IPv6)
+ *
+ * La famille est lue dans la query string ou dans le corps et placée dans
+ * req.family ('ipv4' par défaut). Une famille inconnue est refusée (400).
+ *
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Function} next - Fonction pour passer au middleware suivant
+ */
+const resolveFamily = (req, res, next) => {
+  try {
+    const requested = req.query.family || (req.body && req.body.family) || 'ipv4';
+    req.family = ruleModel.getFamily(String(requested)).name;
+    next();
+  } catch (error) {
+    res.status(error.status).json({ error: error.message });
+  }
+};
+
+/**
+ * Crée un middleware vérifiant le rôle de l'utilisateur connecté (req.user)
+ *
+ * Le rôle exigé peut dépendre de la requête (ex: mode expert réservé aux
+ * administrateurs). Si tableOf est fourni, un opérateur ne peut agir que sur
+ * les tables de sa liste. Renvoie 403 si l'utilisateur n'a pas le droit.
+ *
+ * @param {string|Function} role - Rôle minimal, ou (req) => rôle minimal
+ * @param {Function} [tableOf] - (req) => table modifiée
+ * @returns {Function} Middleware Express
+ */
+const requireRole = (role, tableOf = null) => (req, res, next) => {
+  try {
+    userService.authorize(req.user, typeof role === 'function' ? role(req) : role, tableOf ? tableOf(req) : undefined);
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Table modifiée, lue dans l'URL ou dans le corps (par défaut: filter)
+ *
+ * @param {Object} req - Requête Express
+ * @returns {string} Nom de la table
+ */
+const paramTable = (req) => req.params.table;
+const bodyTable = (req) => (req.body && req.body.table) || 'filter';
+
+/**
+ * Programme la fermeture de la connexion SSH d'un jeton d'API après
+ * TOKEN_CONNECTION_IDLE sans requête
+ *
+ * Une connexion dont une modification attend sa confirmation reste ouverte
+ * jusqu'à la confirmation ou l'expiration du délai.
+ *
+ * @param {string} connectionId - Clé de connexion du jeton et de l'hôte
+ */
+const scheduleTokenDisconnect = (connectionId) => {
+  const state = tokenConnections.get(connectionId);
+  clearTimeout(state.timer);
+  state.timer = setTimeout(() => {
+    if (sshService.getPendingConfirmation(connectionId)) {
+      return scheduleTokenDisconnect(connectionId);
+    }
+    tokenConnections.delete(connectionId);
+    sshService.disconnect(connectionId);
+  }, TOKEN_CONNECTION_IDLE);
+  state.timer.unref();
+};
+
+/**
+ * Middleware choisissant la connexion SSH de la requête (req.connectionId)
+ *
+ * Avec le cookie de session, c'est la connexion de la session et son hôte
+ * actif. Avec un jeton d'API, l'hôte de l'inventaire est désigné par l'en-tête
+ * X-Host-Id ou le paramètre hostId ; la connexion est ouverte à la première
+ * requête, réutilisée par les suivantes, puis fermée après TOKEN_CONNECTION_IDLE
+ * d'inactivité. Un hôte hors de la liste du jeton est refusé (403).
+ *
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Function} next - Fonction pour passer au middleware suivant
+ */
+const resolveConnection = async (req, res, next) => {
+  if (!req.user.token) {
+    req.connectionId = req.session.id;
+    return next();
+  }
+
+  const hostId = req.get('X-Host-Id') || req.query.hostId;
+  if (!hostId) {
+    req.connectionId = `token:${req.user.token.id}`;
+    return next();
+  }
+
+  const connectionId = `token:${req.user.token.id}:${hostId}`;
+  try {
+    tokenService.authorizeHost(req.user, String(hostId));
+    if (!sshService.isConnected(connectionId)) {
+      if (!openingConnections.has(connectionId)) {
+        const profile = inventoryService.get(String(hostId));
+        const { host, port, username, privateKeyPath } = profile;
+        openingConnections.set(connectionId, sshService
+          .connect(connectionId, { host, port, username, privateKeyPath, profile }, profile.id)
+          .finally(() => openingConnections.delete(connectionId)));
+      }
+      await openingConnections.get(connectionId);
+    }
+  } catch (error) {
+    console.error('Erreur de connexion pour le jeton d\'API:', error.message);
+    return res.status(error.status || 500).json({ error: error.message });
   }
+
+  // La connexion reste ouverte tant qu'une requête l'utilise (ex: flux des compteurs)
+  if (!tokenConnections.has(connectionId)) {
+    tokenConnections.set(connectionId, { requests: 0, timer: null });
+  }
+  const state = tokenConnections.get(connectionId);
+  clearTimeout(state.timer);
+  state.requests += 1;
+  res.on('close', () => {
+    state.requests -= 1;
+    if (state.requests === 0 && tokenConnections.get(connectionId) === state) {
+      scheduleTokenDisconnect(connectionId);
+    }
+  });
+
+  req.connectionId = connectionId;
   next();
 };
 
+router.use(resolveFamily);
+router.use(resolveConnection);
+
+// ============================================================================
+// UTILITAIRES
+// ============================================================================
+
+/**
+ * Contexte d'une modification pour le journal d'audit
+ *
+ * @param {Object} req - Requête Express
+ * @returns {Object} { author, sourceIp } (utilisateur de l'application, propriétaire du jeton d'API le cas échéant ;
+ *   IP du client, ou du dernier proxy si trust proxy n'est pas configuré)
+ */
+const auditContext = (req) => ({ author: req.user.username, sourceIp: req.ip });
+
+/**
+ * Lit le délai de confirmation demandé pour une modification (commit confirmé)
+ *
+ * Le délai, l'empreinte attendue de la règle visée (fingerprint) et
+ * allowLockout (appliquer même si la connexion SSH serait coupée) peuvent
+ * être fournis dans le corps ou dans la query string (DELETE).
+ * La famille d'adresses (voir resolveFamily) et le contexte du journal
+ * d'audit (voir auditContext) sont joints aux options.
+ *
+ * @param {Object} req - Requête Express
+ * @returns {Object} Options de modification pour le service:
+ *   { family, author, sourceIp, fingerprint, allowLockout, confirmTimeout }
+ * @throws {Error} Si le délai est hors limites (status 400)
+ */
+const parseChangeOptions = (req) => {
+  const base = { family: req.family, ...auditContext(req) };
+  const fingerprint = (req.body && req.body.fingerprint) || req.query.fingerprint;
+  if (fingerprint) {
+    base.fingerprint = String(fingerprint);
+  }
+  const allowLockout = (req.body && req.body.allowLockout) || req.query.allowLockout;
+  if (allowLockout === true || allowLockout === 'true') {
+    base.allowLockout = true;
+  }
+
+  const raw = (req.body && req.body.confirmTimeout) || req.query.confirmTimeout;
+  if (raw === undefined || raw === null || raw === '' || raw === false) {
+    return base;
+  }
+
+  const confirmTimeout = Number(raw);
+  if (!Number.isInteger(confirmTimeout) || confirmTimeout < 10 || confirmTimeout > 3600) {
+    const error = new Error('Le délai de confirmation doit être un entier entre 10 et 3600 secondes');
+    error.status = 400;
+    throw error;
+  }
+  return { ...base, confirmTimeout };
+};
+
 // ============================================================================
 // ROUTES DE CONNEXION
 // ============================================================================
@@ -43,50 +316,74 @@ const requireConnection = (req, res, next) => {
  * POST /api/iptables/connect
  * Établit une connexion SSH au serveur distant
  *
- * @body {string} host - Adresse IP ou nom d'hôte du serveur distant
+ * L'hôte peut être choisi dans l'inventaire (hostId) ou décrit entièrement.
+ * La nouvelle connexion s'ajoute à celles déjà ouvertes par la session et
+ * devient l'hôte actif. Un hôte hors inventaire est réservé aux administrateurs.
+ *
+ * @body {string} [hostId] - Identifiant d'un hôte de l'inventaire
+ * @body {string} host - Adresse IP ou nom d'hôte du serveur distant (sans hostId)
  * @body {number} port - Port SSH (par défaut 22)
- * @body {string} username - Nom d'utilisateur SSH
- * @body {string} privateKeyPath - Chemin vers la clé privée SSH
+ * @body {string} username - Nom d'utilisateur SSH (sans hostId)
+ * @body {string} privateKeyPath - Chemin vers la clé privée SSH (sans hostId)
  *
- * @returns {Object} { success: boolean, message: string }
+ * @returns {Object} { success: boolean, message: string, hostId: string, connections: Array }
  */
-router.post('/connect', async (req, res) => {
+router.post('/connect', requireSession, requireRole(req => (req.body.hostId ? 'viewer' : 'admin')), async (req, res) => {
   try {
-    const { host, port, username, privateKeyPath } = req.body;
+    let config;
+    let hostId;
 
-    // Validation des paramètres obligatoires
-    if (!host || !username || !privateKeyPath) {
-      return res.status(400).json({ error: 'Paramètres manquants' });
+    if (req.body.hostId) {
+      // Profil enregistré dans l'inventaire
+      const profile = inventoryService.get(req.body.hostId);
+      const { host, port, username, privateKeyPath } = profile;
+      config = { host, port, username, privateKeyPath, profile };
+      hostId = profile.id;
+    } else {
+      const { host, port, username, privateKeyPath } = req.body;
+
+      // Validation des paramètres obligatoires
+      if (!host || !username || !privateKeyPath) {
+        return res.status(400).json({ error: 'Paramètres manquants' });
+      }
+      config = { host, port: port || 22, username, privateKeyPath };
     }
 
     // Établissement de la connexion SSH
-    await sshService.connect(req.session.id, {
-      host,
-      port: port || 22,
-      username,
-      privateKeyPath
-    });
+    await sshService.connect(req.connectionId, config, hostId);
 
     // Marquer la session comme connectée
     req.session.connected = true;
-    res.json({ success: true, message: 'Connexion établie' });
+    res.json({
+      success: true,
+      message: 'Connexion établie',
+      hostId: sshService.getActiveConnection(req.connectionId).hostId,
+      connections: sshService.listConnections(req.connectionId)
+    });
   } catch (error) {
     console.error('Erreur de connexion:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 /**
  * POST /api/iptables/disconnect
- * Ferme la connexion SSH active
+ * Ferme une connexion SSH, ou toutes les connexions de la session
  *
- * @returns {Object} { success: boolean, message: string }
+ * @body {string} [hostId] - Hôte à déconnecter (par défaut: tous)
+ * @returns {Object} { success: boolean, message: string, connected: boolean, connections: Array }
  */
-router.post('/disconnect', (req, res) => {
+router.post('/disconnect', requireSession, (req, res) => {
   try {
-    sshService.disconnect(req.session.id);
-    req.session.connected = false;
-    res.json({ success: true, message: 'Déconnecté' });
+    sshService.disconnect(req.connectionId, req.body.hostId || null);
+    const connected = sshService.isConnected(req.connectionId);
+    req.session.connected = connected;
+    res.json({
+      success: true,
+      message: 'Déconnecté',
+      connected,
+      connections: sshService.listConnections(req.connectionId)
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -96,11 +393,46 @@ router.post('/disconnect', (req, res) => {
  * GET /api/iptables/status
  * Vérifie le statut de la connexion SSH
  *
- * @returns {Object} { connected: boolean }
+ * Chaque connexion indique son moteur de pare-feu (backend: 'iptables' ou 'nftables').
+ *
+ * @returns {Object} { connected: boolean, activeHost: Object|null, connections: Array }
  */
 router.get('/status', (req, res) => {
-  const connected = sshService.isConnected(req.session.id);
-  res.json({ connected });
+  const connected = sshService.isConnected(req.connectionId);
+  const connections = sshService.listConnections(req.connectionId);
+  res.json({
+    connected,
+    activeHost: connections.find(c => c.active) || null,
+    connections
+  });
+});
+
+/**
+ * GET /api/iptables/connections
+ * Liste les hôtes auxquels la session est connectée
+ *
+ * @returns {Object} { success: boolean, connections: Array }
+ */
+router.get('/connections', (req, res) => {
+  res.json({ success: true, connections: sshService.listConnections(req.connectionId) });
+});
+
+/**
+ * POST /api/iptables/connections/:hostId/activate
+ * Fait d'un hôte déjà connecté l'hôte actif de la session
+ *
+ * Les consultations et modifications suivantes s'exécutent sur cet hôte.
+ *
+ * @param {string} hostId - Identifiant de l'hôte
+ * @returns {Object} { success: boolean, connections: Array }
+ */
+router.post('/connections/:hostId/activate', requireSession, (req, res) => {
+  try {
+    sshService.switchHost(req.connectionId, req.params.hostId);
+    res.json({ success: true, connections: sshService.listConnections(req.connectionId) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
 });
 
 // ============================================================================
@@ -117,7 +449,7 @@ router.get('/status', (req, res) => {
  */
 router.get('/all-rules', requireConnection, async (req, res) => {
   try {
-    const allRules = await sshService.listAllRules(req.session.id);
+    const allRules = await sshService.listAllRules(req.connectionId, req.family);
     res.json({ success: true, tables: allRules });
   } catch (error) {
     console.error('Erreur lors de la récupération des règles:', error);
@@ -137,11 +469,11 @@ router.get('/all-rules', requireConnection, async (req, res) => {
 router.get('/rules', requireConnection, async (req, res) => {
   try {
     const table = req.query.table || 'filter';
-    const rules = await sshService.listRules(req.session.id, table);
+    const rules = await sshService.listRules(req.connectionId, table, req.family);
     res.json({ success: true, rules, table });
   } catch (error) {
     console.error('Erreur lors de la récupération des règles:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -155,11 +487,11 @@ router.get('/rules', requireConnection, async (req, res) => {
  */
 router.get('/iptables-save', requireConnection, async (req, res) => {
   try {
-    const tables = await sshService.getIptablesSave(req.session.id);
+    const tables = await sshService.getIptablesSave(req.connectionId, req.family);
     res.json({ success: true, tables });
   } catch (error) {
     console.error('Erreur lors de la récupération de iptables-save:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -173,24 +505,132 @@ router.get('/iptables-save', requireConnection, async (req, res) => {
  *
  * Nécessite une connexion SSH active (middleware requireConnection)
  *
- * @body {string} rule - Règle iptables à ajouter (ex: "-A INPUT -p tcp --dport 80 -j ACCEPT")
+ * La règle est décrite en JSON (voir services/rule-model) et validée contre une
+ * liste blanche d'options iptables avant d'être exécutée. Une commande brute
+ * n'est acceptée qu'avec le drapeau explicite "expert".
+ *
+ * Sur un hôte en nftables natif, la table est au format 'famille nom'
+ * (ex: 'inet filter'), la règle structurée est convertie en syntaxe nft et une
+ * commande brute est une commande nft complète (ex: "add rule inet filter input tcp dport 22 accept").
+ *
+ * Rôle: operator (dans la table visée) ; admin pour une commande brute. Une
+ * règle structurée dont rule.table n'est pas la table visée est refusée (400).
+ *
+ * @body {Object|string} rule - Règle structurée, ex:
+ *   { chain: 'INPUT', protocol: 'tcp', destPort: '80', target: 'ACCEPT' }
+ *   ou commande brute en mode expert (ex: "-A INPUT -p tcp --dport 80 -j ACCEPT")
  * @body {string} table - Table cible (filter, nat, raw, mangle) - Par défaut: 'filter'
- * @returns {Object} { success: boolean, message: string }
+ * @body {number} [position] - Insère la règle structurée à cette position (iptables -I chaîne N)
+ *   au lieu de l'ajouter en fin de chaîne
+ * @body {boolean} [expert=false] - Autorise une commande brute
+ * @body {number} [confirmTimeout] - Délai de confirmation en secondes (commit confirmé)
+ * @body {boolean} [allowLockout] - Applique la règle même si elle couperait la connexion SSH (409 sinon)
+ * @returns {Object} { success: boolean, message: string, pendingConfirmation: Object|null }
  */
-router.post('/rules', requireConnection, async (req, res) => {
+router.post('/rules', requireConnection, requireRole(req => (typeof req.body.rule === 'string' ? 'admin' : 'operator'), bodyTable), async (req, res) => {
   try {
-    const { rule, table } = req.body;
+    const { rule, table, expert, position } = req.body;
+    const insert = position !== undefined && position !== null && position !== '';
 
     // Validation de la règle
     if (!rule) {
       return res.status(400).json({ error: 'Règle manquante' });
     }
 
-    const result = await sshService.addRule(req.session.id, rule, table || 'filter');
+    if (typeof rule === 'string') {
+      // Une commande brute est transmise telle quelle au shell distant
+      if (expert !== true) {
+        return res.status(400).json({
+          error: 'Les commandes brutes nécessitent le mode expert (expert: true)'
+        });
+      }
+      if (insert) {
+        return res.status(400).json({ error: 'Une commande brute ne peut pas être insérée à une position' });
+      }
+    } else {
+      const { valid, errors } = sshService.validateRule(req.connectionId, rule, table || 'filter', req.family);
+      if (!valid) {
+        return res.status(400).json({ error: 'Règle invalide', details: errors });
+      }
+    }
+
+    const options = parseChangeOptions(req);
+    const result = insert
+      ? await sshService.insertRule(req.connectionId, rule, position, table || 'filter', options)
+      : await sshService.addRule(req.connectionId, rule, table || 'filter', options);
     res.json(result);
   } catch (error) {
     console.error('Erreur lors de l\'ajout de la règle:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message, details: error.errors, lockout: error.lockout });
+  }
+});
+
+/**
+ * PUT /api/iptables/rules/:table/:chain/:num
+ * Remplace une règle par une règle structurée (iptables -R chaîne N)
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @param {string} table - Nom de la table
+ * @param {string} chain - Nom de la chaîne
+ * @param {number} num - Numéro de la règle remplacée
+ * @body {Object} rule - Nouvelle règle structurée (sa chaîne est celle de l'URL)
+ * @body {string} [fingerprint] - Empreinte attendue de la règle remplacée (409 si elle a changé)
+ * @body {number} [confirmTimeout] - Délai de confirmation en secondes (commit confirmé)
+ * @returns {Object} { success: boolean, message: string, pendingConfirmation: Object|null }
+ */
+router.put('/rules/:table/:chain/:num', requireConnection, requireRole('operator', paramTable), async (req, res) => {
+  try {
+    const { table, chain, num } = req.params;
+    const { rule } = req.body;
+    if (!rule || typeof rule !== 'object') {
+      return res.status(400).json({ error: 'Règle structurée manquante' });
+    }
+
+    const options = parseChangeOptions(req);
+    const result = await sshService.replaceRule(req.connectionId, chain, num, rule, table, options);
+    res.json(result);
+  } catch (error) {
+    console.error('Erreur lors du remplacement de la règle:', error);
+    res.status(error.status || 500).json({
+      error: error.message,
+      details: error.errors,
+      currentPosition: error.currentPosition,
+      lockout: error.lockout
+    });
+  }
+});
+
+/**
+ * POST /api/iptables/rules/:table/:chain/:num/move
+ * Déplace une règle à une autre position de sa chaîne, en une seule opération
+ *
+ * L'ordre des règles est l'ordre d'évaluation : c'est la seule façon de le
+ * modifier sans supprimer puis recréer la règle.
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @param {string} table - Nom de la table
+ * @param {string} chain - Nom de la chaîne
+ * @param {number} num - Position actuelle de la règle
+ * @body {number} to - Nouvelle position de la règle
+ * @body {string} [fingerprint] - Empreinte attendue de la règle déplacée (409 si elle a changé)
+ * @body {number} [confirmTimeout] - Délai de confirmation en secondes (commit confirmé)
+ * @returns {Object} { success: boolean, message: string, pendingConfirmation: Object|null }
+ */
+router.post('/rules/:table/:chain/:num/move', requireConnection, requireRole('operator', paramTable), async (req, res) => {
+  try {
+    const { table, chain, num } = req.params;
+    const options = parseChangeOptions(req);
+    const result = await sshService.moveRule(req.connectionId, chain, num, req.body.to, table, options);
+    res.json(result);
+  } catch (error) {
+    console.error('Erreur lors du déplacement de la règle:', error);
+    res.status(error.status || 500).json({
+      error: error.message,
+      currentPosition: error.currentPosition,
+      lockout: error.lockout
+    });
   }
 });
 
@@ -203,58 +643,927 @@ router.post('/rules', requireConnection, async (req, res) => {
  * @param {string} table - Nom de la table (filter, nat, raw, mangle)
  * @param {string} chain - Nom de la chaîne (INPUT, OUTPUT, FORWARD, PREROUTING, POSTROUTING, etc.)
  * @param {number} num - Numéro de la règle à supprimer
- * @returns {Object} { success: boolean, message: string }
+ * @query {string} [fingerprint] - Empreinte attendue de la règle (409 si elle a été déplacée ou modifiée)
+ * @query {number} [confirmTimeout] - Délai de confirmation en secondes (commit confirmé)
+ * @query {boolean} [allowLockout] - Supprime la règle même si la connexion SSH serait coupée (409 sinon)
+ * @returns {Object} { success: boolean, message: string, pendingConfirmation: Object|null }
  */
-router.delete('/rules/:table/:chain/:num', requireConnection, async (req, res) => {
+router.delete('/rules/:table/:chain/:num', requireConnection, requireRole('operator', paramTable), async (req, res) => {
   try {
     const { table, chain, num } = req.params;
-    const result = await sshService.deleteRule(req.session.id, chain, num, table);
+    const options = parseChangeOptions(req);
+    const result = await sshService.deleteRule(req.connectionId, chain, num, table, options);
     res.json(result);
   } catch (error) {
     console.error('Erreur lors de la suppression de la règle:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({
+      error: error.message,
+      currentPosition: error.currentPosition,
+      lockout: error.lockout
+    });
+  }
+});
+
+/**
+ * GET /api/iptables/analysis
+ * Analyse les règles actives et signale celles qui ne servent à rien
+ *
+ * Types de constats: duplicate (règle identique à une précédente), shadowed
+ * (jamais atteinte à cause d'une règle précédente plus large), policy (répète
+ * la politique en fin de chaîne), unreachable (chaîne utilisateur jamais appelée).
+ * Chaque constat cite la règle responsable (by) et explique pourquoi (message).
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @returns {Object} { success: boolean, summary: Object, findings: Array }
+ */
+router.get('/analysis', requireConnection, async (req, res) => {
+  try {
+    const analysis = await sshService.analyzeRules(req.connectionId, req.family);
+    res.json({ success: true, ...analysis });
+  } catch (error) {
+    console.error('Erreur lors de l\'analyse des règles:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/iptables/counters/stream
+ * Flux Server-Sent Events des compteurs de toutes les règles et de leur débit
+ *
+ * Les compteurs sont relus toutes les `interval` secondes (voir
+ * services/counter-monitor) jusqu'à la fermeture de la connexion par le client.
+ * Chaque lecture est un événement `counters` :
+ *   { at, interval, rules: [{ table, chain, num, fingerprint, target, spec, pkts, bytes, pps, bps }],
+ *     chains: [{ table, chain, policy, packets, bytes, pps, bps }], hot: [règles les plus actives] }
+ * Une lecture en échec est un événement `counters-error` : { error }.
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @query {number} [interval] - Intervalle en secondes (1 à 300, par défaut COUNTERS_INTERVAL ou 5)
+ */
+router.get('/counters/stream', requireConnection, (req, res) => {
+  let interval;
+  try {
+    interval = counterMonitor.parseInterval(req.query.interval);
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const stop = counterMonitor.watch(
+    req.connectionId,
+    req.family,
+    interval,
+    sample => send('counters', sample),
+    error => {
+      console.error('Erreur lors de la lecture des compteurs:', error.message);
+      send('counters-error', { error: error.message });
+    }
+  );
+  req.on('close', stop);
+});
+
+/**
+ * POST /api/iptables/simulate
+ * Simule le parcours d'un paquet dans les règles : serait-il accepté ?
+ *
+ * Le paquet traverse les tables raw, mangle, nat et filter dans l'ordre des
+ * hooks netfilter, en suivant les sauts et les réécritures DNAT. La simulation
+ * lit la configuration (iptables-save) mais ne modifie jamais l'hôte ; avec
+ * `ruleset`, elle se fait entièrement hors ligne, sans connexion SSH.
+ *
+ * @body {Object} packet - Paquet (voir services/packet-simulator, normalizePacket), ex:
+ *   { direction: 'input', inInterface: 'eth0', source: '10.1.2.3', destination: '192.0.2.1',
+ *     protocol: 'tcp', dport: 5432, state: 'NEW' }
+ * @body {string} [ruleset] - Configuration au format iptables-save (par défaut: celle de l'hôte actif)
+ * @returns {Object} { success: boolean, verdict, path, decidedBy, trace, packet, warnings }
+ */
+router.post('/simulate', requireConnectionOrRuleset, async (req, res) => {
+  try {
+    const { packet, ruleset } = req.body;
+    const tables = ruleset
+      ? sshService.parseIptablesSave(String(ruleset))
+      : await sshService.getIptablesSave(req.connectionId, req.family);
+    res.json({ success: true, ...packetSimulator.simulatePacket(tables, packet, req.family) });
+  } catch (error) {
+    console.error('Erreur lors de la simulation:', error);
+    res.status(error.status || 500).json({ error: error.message, details: error.errors });
   }
 });
 
+// ============================================================================
+// ROUTES DE GESTION DES CHAÎNES
+// ============================================================================
+
+/**
+ * Crée le gestionnaire d'une opération sur une chaîne
+ *
+ * Toutes ces routes répondent { success, message, pendingConfirmation } et
+ * acceptent confirmTimeout (commit confirmé) et allowLockout (voir parseChangeOptions).
+ *
+ * @param {string} label - Libellé de l'opération pour les journaux
+ * @param {Function} action - (req, options) => Promise<Object> résultat du service
+ * @returns {Function} Gestionnaire Express
+ */
+const chainAction = (label, action) => async (req, res) => {
+  try {
+    const options = parseChangeOptions(req);
+    res.json(await action(req, options));
+  } catch (error) {
+    console.error(`Erreur lors de l'opération sur la chaîne (${label}):`, error);
+    res.status(error.status || 500).json({ error: error.message, lockout: error.lockout });
+  }
+};
+
+/**
+ * POST /api/iptables/chains/:table
+ * Crée une chaîne utilisateur (iptables -N, ou chaîne régulière nftables)
+ *
+ * @param {string} table - Nom de la table
+ * @body {string} chain - Nom de la nouvelle chaîne
+ * @returns {Object} { success: boolean, message: string, pendingConfirmation: Object|null }
+ */
+router.post('/chains/:table', requireConnection, requireRole('operator', paramTable), chainAction('création', (req, options) =>
+  sshService.createChain(req.connectionId, req.body.chain, req.params.table, options)));
+
+/**
+ * POST /api/iptables/chains/:table/:chain/rename
+ * Renomme une chaîne utilisateur (iptables -E)
+ *
+ * @body {string} name - Nouveau nom
+ * @returns {Object} { success: boolean, message: string, pendingConfirmation: Object|null }
+ */
+router.post('/chains/:table/:chain/rename', requireConnection, requireRole('operator', paramTable), chainAction('renommage', (req, options) =>
+  sshService.renameChain(req.connectionId, req.params.chain, req.body.name, req.params.table, options)));
+
+/**
+ * PUT /api/iptables/chains/:table/:chain/policy
+ * Modifie la politique par défaut d'une chaîne intégrée (iptables -P)
+ *
+ * @body {string} policy - ACCEPT ou DROP
+ * @returns {Object} { success: boolean, message: string, pendingConfirmation: Object|null }
+ */
+router.put('/chains/:table/:chain/policy', requireConnection, requireRole('admin'), chainAction('politique', (req, options) =>
+  sshService.setPolicy(req.connectionId, req.params.chain, req.body.policy, req.params.table, options)));
+
+/**
+ * POST /api/iptables/chains/:table/:chain/flush
+ * Supprime toutes les règles d'une chaîne (iptables -F)
+ *
+ * @returns {Object} { success: boolean, message: string, pendingConfirmation: Object|null }
+ */
+router.post('/chains/:table/:chain/flush', requireConnection, requireRole('operator', paramTable), chainAction('vidage', (req, options) =>
+  sshService.flushChain(req.connectionId, req.params.chain, req.params.table, options)));
+
+/**
+ * POST /api/iptables/chains/:table/:chain/zero
+ * Remet à zéro les compteurs de paquets et d'octets d'une chaîne (iptables -Z)
+ *
+ * @returns {Object} { success: boolean, message: string, pendingConfirmation: null }
+ */
+router.post('/chains/:table/:chain/zero', requireConnection, requireRole('operator', paramTable), chainAction('compteurs', (req, options) =>
+  sshService.zeroCounters(req.connectionId, req.params.chain, req.params.table, options)));
+
+/**
+ * DELETE /api/iptables/chains/:table/:chain
+ * Supprime une chaîne utilisateur vide et non référencée (iptables -X)
+ *
+ * @query {number} [confirmTimeout] - Délai de confirmation en secondes (commit confirmé)
+ * @returns {Object} { success: boolean, message: string, pendingConfirmation: Object|null }
+ */
+router.delete('/chains/:table/:chain', requireConnection, requireRole('admin'), chainAction('suppression', (req, options) =>
+  sshService.deleteChain(req.connectionId, req.params.chain, req.params.table, options)));
+
 // ============================================================================
 // ROUTES DE SAUVEGARDE/RESTAURATION
 // ============================================================================
 
 /**
  * POST /api/iptables/save
- * Sauvegarde la configuration iptables actuelle dans /etc/iptables/rules.v4
+ * Sauvegarde la configuration iptables actuelle dans /etc/iptables/rules.v4 (rules.v6 en IPv6)
  *
  * Nécessite une connexion SSH active (middleware requireConnection)
  *
  * @returns {Object} { success: boolean, message: string }
  */
-router.post('/save', requireConnection, async (req, res) => {
+router.post('/save', requireConnection, requireRole('operator'), async (req, res) => {
   try {
-    const result = await sshService.saveRules(req.session.id);
+    const result = await sshService.saveRules(req.connectionId, req.family, auditContext(req));
     res.json(result);
   } catch (error) {
     console.error('Erreur lors de la sauvegarde:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/iptables/diff/persisted
+ * Compare la configuration active avec /etc/iptables/rules.v4 (rules.v6 en IPv6)
+ *
+ * Le diff va du fichier enregistré vers la configuration active ("added" =
+ * active mais non sauvegardée, "removed" = sauvegardée mais plus active).
+ * À consulter avant une sauvegarde ou une restauration.
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @returns {Object} { success: boolean, rulesFile: string, persistedExists: boolean, unsavedChanges: boolean, diff: Object }
+ */
+router.get('/diff/persisted', requireConnection, async (req, res) => {
+  try {
+    const result = await sshService.diffPersistedRules(req.connectionId, req.family);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Erreur lors de la comparaison avec la sauvegarde:', error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 /**
  * POST /api/iptables/restore
- * Restaure la configuration iptables depuis /etc/iptables/rules.v4
+ * Restaure la configuration iptables depuis /etc/iptables/rules.v4 (rules.v6 en IPv6)
  *
  * Nécessite une connexion SSH active (middleware requireConnection)
  *
  * ATTENTION: Cette opération écrase la configuration actuelle
  *
- * @returns {Object} { success: boolean, message: string }
+ * @body {number} [confirmTimeout] - Délai de confirmation en secondes (commit confirmé)
+ * @body {boolean} [allowLockout] - Restaure même si la connexion SSH serait coupée (409 sinon)
+ * @returns {Object} { success: boolean, message: string, pendingConfirmation: Object|null }
  */
-router.post('/restore', requireConnection, async (req, res) => {
+router.post('/restore', requireConnection, requireRole('admin'), async (req, res) => {
   try {
-    const result = await sshService.restoreRules(req.session.id);
+    const options = parseChangeOptions(req);
+    const result = await sshService.restoreRules(req.connectionId, options);
     res.json(result);
   } catch (error) {
     console.error('Erreur lors de la restauration:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message, lockout: error.lockout });
+  }
+});
+
+// ============================================================================
+// ROUTES D'IMPORT/EXPORT
+// ============================================================================
+
+/**
+ * Lecture des jeux de règles envoyés en texte brut (iptables-save ou YAML) ;
+ * les documents JSON passent par le parseur JSON de l'application (server.js)
+ */
+const rulesetBody = express.text({
+  type: ['text/plain', 'text/yaml', 'application/yaml', 'application/x-yaml'],
+  limit: '5mb'
+});
+
+/**
+ * Extrait le jeu de règles importé de la requête
+ *
+ * Le corps peut être le fichier lui-même (texte brut ou document JSON), ou un
+ * objet JSON { content, format } portant le fichier sous forme de texte.
+ * Le format peut aussi être donné dans la query string (deviné sinon).
+ *
+ * @param {Object} req - Requête Express
+ * @returns {Object} { content: string|Object, format: string|undefined }
+ */
+const importContent = (req) => {
+  const format = (req.body && req.body.format) || req.query.format;
+  if (typeof req.body === 'string') {
+    return { content: req.body, format: req.query.format };
+  }
+  if (req.body && typeof req.body.content === 'string') {
+    return { content: req.body.content, format };
+  }
+  return { content: req.body, format: 'json' };
+};
+
+/**
+ * GET /api/iptables/export
+ * Télécharge la configuration active de l'hôte
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @query {string} [format=save] - 'save' (texte iptables-save), 'json' ou 'yaml'
+ * @returns {string} Fichier en pièce jointe (Content-Disposition)
+ */
+router.get('/export', requireConnection, async (req, res) => {
+  try {
+    const result = await importExportService.exportRuleset(req.connectionId, req.query.format || 'save', req.family);
+    res.type(result.contentType);
+    res.attachment(result.filename);
+    res.send(result.body);
+  } catch (error) {
+    console.error('Erreur lors de l\'export:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/iptables/import/preview
+ * Vérifie un jeu de règles (iptables-restore --test sur l'hôte) et le compare à la configuration active
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection). Rien n'est modifié.
+ *
+ * @body {string|Object} - Fichier iptables-save, JSON ou YAML (voir importContent)
+ * @query {string} [format] - 'save', 'json' ou 'yaml' (deviné sinon)
+ * @returns {Object} { success: boolean, format: string, touchedTables: Array<string>, ruleset: string,
+ *   diff: Object, fingerprint: string }
+ */
+router.post('/import/preview', requireConnection, rulesetBody, async (req, res) => {
+  try {
+    const { content, format } = importContent(req);
+    const preview = await importExportService.previewImport(req.connectionId, content, { format, family: req.family });
+    res.json({ success: true, ...preview });
+  } catch (error) {
+    console.error('Erreur lors de la prévisualisation de l\'import:', error);
+    res.status(error.status || 500).json({ error: error.message, details: error.errors });
+  }
+});
+
+/**
+ * POST /api/iptables/import
+ * Importe un jeu de règles : les tables qu'il contient sont remplacées
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * ATTENTION: Comme la restauration, cette opération écrase les tables importées
+ *
+ * @body {string|Object} - Fichier iptables-save, JSON ou YAML (voir importContent)
+ * @query {string} [format] - 'save', 'json' ou 'yaml' (deviné sinon)
+ * @query {string} [fingerprint] - Empreinte renvoyée par la prévisualisation (409 si la configuration a changé)
+ * @query {number} [confirmTimeout] - Délai de confirmation en secondes (commit confirmé)
+ * @query {boolean} [allowLockout] - Importe même si la connexion SSH serait coupée (409 sinon)
+ * @returns {Object} { success: boolean, message: string, pendingConfirmation: Object|null, diff: Object }
+ */
+router.post('/import', requireConnection, rulesetBody, requireRole('admin'), async (req, res) => {
+  try {
+    const { content, format } = importContent(req);
+    const options = { ...parseChangeOptions(req), format };
+    const result = await importExportService.applyImport(req.connectionId, content, options);
+    res.json(result);
+  } catch (error) {
+    console.error('Erreur lors de l\'import:', error);
+    res.status(error.status || 500).json({ error: error.message, details: error.errors, lockout: error.lockout });
+  }
+});
+
+// ============================================================================
+// ROUTES D'ÉTAT DÉCLARÉ (PLAN / APPLY)
+// ============================================================================
+
+/**
+ * Extrait l'état déclaré de la requête
+ *
+ * Le corps peut être le fichier lui-même (texte YAML/JSON ou document JSON),
+ * ou un objet JSON { content } portant le fichier sous forme de texte. Sans
+ * état dans la requête, le fichier de l'hôte est lu dans le dossier des états
+ * déclarés (DESIRED_STATE_DIR).
+ *
+ * @param {Object} req - Requête Express
+ * @returns {string|Object|null} Contenu de l'état déclaré, null pour le fichier de l'hôte
+ */
+const stateContent = (req) => {
+  if (typeof req.body === 'string') {
+    return req.body.trim() ? req.body : null;
+  }
+  if (req.body && typeof req.body.content === 'string') {
+    return req.body.content;
+  }
+  if (req.body && req.body.tables) {
+    return req.body;
+  }
+  return null;
+};
+
+/**
+ * GET /api/iptables/state/plan
+ * Calcule le plan qui amènerait l'hôte à l'état déclaré dans son fichier
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection). Rien n'est modifié.
+ *
+ * @query {string} [family=ipv4] - Famille d'adresses
+ * @returns {Object} { success: boolean, source: string|null, family: string, identical: boolean,
+ *   diff: Object, script: string, fingerprint: string }
+ */
+router.get('/state/plan', requireConnection, async (req, res) => {
+  try {
+    const plan = await desiredStateService.plan(req.connectionId, null, { family: req.family });
+    res.json({ success: true, ...plan });
+  } catch (error) {
+    console.error('Erreur lors du calcul du plan:', error);
+    res.status(error.status || 500).json({ error: error.message, details: error.errors });
+  }
+});
+
+/**
+ * POST /api/iptables/state/plan
+ * Calcule le plan pour un état déclaré fourni dans la requête
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection). Rien n'est modifié.
+ *
+ * @body {string|Object} - État déclaré YAML ou JSON (voir stateContent)
+ * @returns {Object} Voir GET /api/iptables/state/plan
+ */
+router.post('/state/plan', requireConnection, rulesetBody, async (req, res) => {
+  try {
+    const plan = await desiredStateService.plan(req.connectionId, stateContent(req), { family: req.family });
+    res.json({ success: true, ...plan });
+  } catch (error) {
+    console.error('Erreur lors du calcul du plan:', error);
+    res.status(error.status || 500).json({ error: error.message, details: error.errors });
+  }
+});
+
+/**
+ * POST /api/iptables/state/apply
+ * Applique le plan : l'hôte converge vers l'état déclaré
+ *
+ * Seules les chaînes et sections déclarées sont modifiées ; les autres règles
+ * (Docker, fail2ban...) restent en place.
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @body {string|Object} - État déclaré YAML ou JSON (voir stateContent), fichier de l'hôte sinon
+ * @query {string} [fingerprint] - Empreinte renvoyée par le plan (409 si la configuration a changé)
+ * @query {number} [confirmTimeout] - Délai de confirmation en secondes (commit confirmé)
+ * @query {boolean} [allowLockout] - Applique même si la connexion SSH serait coupée (409 sinon)
+ * @returns {Object} { success: boolean, message: string, pendingConfirmation: Object|null,
+ *   source: string|null, diff: Object }
+ */
+router.post('/state/apply', requireConnection, rulesetBody, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await desiredStateService.apply(req.connectionId, stateContent(req), parseChangeOptions(req));
+    res.json(result);
+  } catch (error) {
+    console.error('Erreur lors de l\'application de l\'état déclaré:', error);
+    res.status(error.status || 500).json({ error: error.message, details: error.errors, lockout: error.lockout });
+  }
+});
+
+// ============================================================================
+// ROUTES DES MODÈLES DE RÈGLES
+// ============================================================================
+
+/**
+ * Vérifie que l'utilisateur peut modifier toutes les tables d'un modèle
+ *
+ * Comme requireRole('operator', tableOf), pour chacune des tables dans
+ * lesquelles le modèle ajoute des règles. Renvoie 404 si le modèle n'existe pas.
+ *
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Function} next - Fonction pour passer au middleware suivant
+ */
+const requireTemplateTables = (req, res, next) => {
+  try {
+    const template = templateService.get(req.params.id);
+    templateService.tablesOf(template).forEach(table => userService.authorize(req.user, 'operator', table));
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * GET /api/iptables/templates
+ * Liste les modèles de règles (fournis et ajoutés par l'équipe dans TEMPLATES_DIR)
+ *
+ * @returns {Object} { success: boolean, templates: Array<Object>, invalid: Array<Object> }
+ *   invalid: fichiers de modèles refusés { file, source, errors }
+ */
+router.get('/templates', (req, res) => {
+  try {
+    res.json({ success: true, ...templateService.list() });
+  } catch (error) {
+    console.error('Erreur lors de la lecture des modèles:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/iptables/templates/:id/preview
+ * Génère les règles d'un modèle et les compare à la configuration active
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection). Rien n'est modifié.
+ *
+ * @param {string} id - Identifiant du modèle
+ * @body {Object} parameters - Valeurs des paramètres { nom: valeur }
+ * @returns {Object} { success: boolean, template: Object, family: string, rules: Array<Object>,
+ *   diff: Object, script: string, fingerprint: string }
+ */
+router.post('/templates/:id/preview', requireConnection, async (req, res) => {
+  try {
+    const preview = await templateService.preview(req.connectionId, req.params.id, req.body.parameters, { family: req.family });
+    res.json({ success: true, ...preview });
+  } catch (error) {
+    console.error('Erreur lors de la prévisualisation du modèle:', error);
+    res.status(error.status || 500).json({ error: error.message, details: error.errors });
+  }
+});
+
+/**
+ * POST /api/iptables/templates/:id/apply
+ * Ajoute les règles d'un modèle (celles déjà présentes sont écartées)
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @param {string} id - Identifiant du modèle
+ * @body {Object} parameters - Valeurs des paramètres { nom: valeur }
+ * @body {boolean} [stage] - Prépare les règles (modifications préparées) au lieu de les appliquer
+ * @body {string} [fingerprint] - Empreinte renvoyée par la prévisualisation (409 si la configuration a changé)
+ * @body {number} [confirmTimeout] - Délai de confirmation en secondes (commit confirmé)
+ * @body {boolean} [allowLockout] - Applique même si la connexion SSH serait coupée (409 sinon)
+ * @returns {Object} { success: boolean, message: string, pendingConfirmation: Object|null, rules: Array<Object> }
+ */
+router.post('/templates/:id/apply', requireConnection, requireRole('operator'), requireTemplateTables, async (req, res) => {
+  try {
+    const options = { ...parseChangeOptions(req), stage: req.body.stage === true };
+    const result = await templateService.apply(req.connectionId, req.params.id, req.body.parameters, options);
+    res.json(result);
+  } catch (error) {
+    console.error('Erreur lors de l\'application du modèle:', error);
+    res.status(error.status || 500).json({ error: error.message, details: error.errors, lockout: error.lockout });
+  }
+});
+
+// ============================================================================
+// ROUTES DES REDIRECTIONS DE PORTS
+// ============================================================================
+
+/**
+ * Tables modifiées par une redirection de port (règles DNAT et FORWARD)
+ */
+const natTable = () => 'nat';
+const filterTable = () => 'filter';
+
+/**
+ * GET /api/iptables/port-forwards
+ * Liste les redirections de ports de l'hôte actif (règles marquées port-forward:<id>)
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @returns {Object} { success: boolean, family: string, forwards: Array<Object>,
+ *   unmanaged: Array<Object>, fingerprint: string }
+ *   unmanaged: règles DNAT qui n'appartiennent à aucune redirection
+ */
+router.get('/port-forwards', requireConnection, async (req, res) => {
+  try {
+    const result = await portForwardService.list(req.connectionId, { family: req.family });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Erreur lors de la lecture des redirections de ports:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/iptables/port-forwards
+ * Crée une redirection de port (règles DNAT, FORWARD et, avec hairpin, MASQUERADE)
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @body {string} id - Identifiant de la redirection
+ * @body {Array<string>} [protocols=['tcp']] - Protocoles (tcp, udp)
+ * @body {string} externalPort - Port ou plage externe (ex: '8080', '8000:8100')
+ * @body {string} targetAddress - Adresse interne de la cible
+ * @body {string} [targetPort] - Port interne (par défaut: le port externe)
+ * @body {string} [externalAddress] - Adresse externe (destination des paquets redirigés)
+ * @body {string} [inInterface] - Interface d'entrée
+ * @body {string} [source] - Clients autorisés (adresse ou réseau)
+ * @body {boolean} [hairpin] - Ajoute la règle MASQUERADE pour les clients du réseau interne
+ * @body {string} [fingerprint] - Empreinte renvoyée par la liste (409 si la configuration a changé)
+ * @body {number} [confirmTimeout] - Délai de confirmation en secondes (commit confirmé)
+ * @body {boolean} [allowLockout] - Applique même si la connexion SSH serait coupée (409 sinon)
+ * @returns {Object} { success: boolean, message: string, pendingConfirmation: Object|null, forward: Object }
+ */
+router.post('/port-forwards', requireConnection, requireRole('operator', natTable), requireRole('operator', filterTable), async (req, res) => {
+  try {
+    const result = await portForwardService.create(req.connectionId, req.body, parseChangeOptions(req));
+    res.json(result);
+  } catch (error) {
+    console.error('Erreur lors de la création de la redirection de port:', error);
+    res.status(error.status || 500).json({ error: error.message, details: error.errors, lockout: error.lockout });
+  }
+});
+
+/**
+ * PUT /api/iptables/port-forwards/:id
+ * Modifie une redirection de port (ses règles sont remplacées en une opération)
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @param {string} id - Identifiant de la redirection
+ * @body {Object} - Nouvelle description (mêmes champs que POST /port-forwards, sans id)
+ * @returns {Object} { success: boolean, message: string, pendingConfirmation: Object|null, forward: Object }
+ */
+router.put('/port-forwards/:id', requireConnection, requireRole('operator', natTable), requireRole('operator', filterTable), async (req, res) => {
+  try {
+    const result = await portForwardService.update(req.connectionId, req.params.id, req.body, parseChangeOptions(req));
+    res.json(result);
+  } catch (error) {
+    console.error('Erreur lors de la modification de la redirection de port:', error);
+    res.status(error.status || 500).json({ error: error.message, details: error.errors, lockout: error.lockout });
+  }
+});
+
+/**
+ * DELETE /api/iptables/port-forwards/:id
+ * Supprime une redirection de port (toutes ses règles, en une opération)
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @param {string} id - Identifiant de la redirection
+ * @query {string} [fingerprint] - Empreinte renvoyée par la liste (409 si la configuration a changé)
+ * @query {number} [confirmTimeout] - Délai de confirmation en secondes (commit confirmé)
+ * @query {boolean} [allowLockout] - Supprime même si la connexion SSH serait coupée (409 sinon)
+ * @returns {Object} { success: boolean, message: string, pendingConfirmation: Object|null }
+ */
+router.delete('/port-forwards/:id', requireConnection, requireRole('operator', natTable), requireRole('operator', filterTable), async (req, res) => {
+  try {
+    const result = await portForwardService.remove(req.connectionId, req.params.id, parseChangeOptions(req));
+    res.json(result);
+  } catch (error) {
+    console.error('Erreur lors de la suppression de la redirection de port:', error);
+    res.status(error.status || 500).json({ error: error.message, lockout: error.lockout });
+  }
+});
+
+// ============================================================================
+// ROUTES D'HISTORIQUE (INSTANTANÉS)
+// ============================================================================
+
+/**
+ * GET /api/iptables/snapshots
+ * Liste les instantanés de l'hôte connecté pour la famille demandée (du plus récent au plus ancien)
+ *
+ * Un instantané est pris automatiquement avant chaque modification et peut
+ * aussi être pris manuellement.
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @returns {Object} { success: boolean, host: string, snapshots: Array }
+ */
+router.get('/snapshots', requireConnection, (req, res) => {
+  try {
+    const snapshots = sshService.listSnapshots(req.connectionId, req.family);
+    res.json({ success: true, host: sshService.getHostKey(req.connectionId), snapshots });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de l\'historique:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/iptables/snapshots
+ * Prend un instantané manuel de la configuration active
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @body {string} [message] - Message associé à l'instantané (l'auteur est l'utilisateur connecté)
+ * @returns {Object} { success: boolean, snapshot: Object }
+ */
+router.post('/snapshots', requireConnection, requireRole('operator'), async (req, res) => {
+  try {
+    const snapshot = await sshService.takeSnapshot(req.connectionId, {
+      message: req.body.message,
+      author: req.user.username,
+      family: req.family
+    });
+    res.json({ success: true, snapshot });
+  } catch (error) {
+    console.error('Erreur lors de la prise de l\'instantané:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/iptables/snapshots/diff
+ * Compare deux instantanés, ou un instantané et la configuration active
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @query {string} from - ID de l'instantané de départ, ou 'live'
+ * @query {string} to - ID de l'instantané d'arrivée, ou 'live' (par défaut)
+ * @returns {Object} { success: boolean, diff: Object }
+ */
+router.get('/snapshots/diff', requireConnection, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from) {
+      return res.status(400).json({ error: 'Paramètre "from" manquant' });
+    }
+    const diff = await sshService.diffSnapshots(req.connectionId, from, to || 'live', req.family);
+    res.json({ success: true, diff });
+  } catch (error) {
+    console.error('Erreur lors de la comparaison des instantanés:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/iptables/snapshots/:id
+ * Récupère un instantané complet (texte iptables-save et configuration parsée)
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @param {string} id - ID de l'instantané
+ * @returns {Object} { success: boolean, snapshot: Object }
+ */
+router.get('/snapshots/:id', requireConnection, (req, res) => {
+  try {
+    const snapshot = sshService.getSnapshot(req.connectionId, req.params.id);
+    res.json({ success: true, snapshot });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/iptables/snapshots/:id/rollback
+ * Remet la configuration active dans l'état d'un instantané
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @param {string} id - ID de l'instantané
+ * @body {number} [confirmTimeout] - Délai de confirmation en secondes (commit confirmé)
+ * @returns {Object} { success: boolean, message: string, pendingConfirmation: Object|null }
+ */
+router.post('/snapshots/:id/rollback', requireConnection, requireRole('admin'), async (req, res) => {
+  try {
+    const options = parseChangeOptions(req);
+    const result = await sshService.rollbackToSnapshot(req.connectionId, req.params.id, options);
+    res.json(result);
+  } catch (error) {
+    console.error('Erreur lors du retour à l\'instantané:', error);
+    res.status(error.status || 500).json({ error: error.message, lockout: error.lockout });
+  }
+});
+
+// ============================================================================
+// ROUTES DES MODIFICATIONS PRÉPARÉES
+// ============================================================================
+
+/**
+ * GET /api/iptables/changes
+ * Liste les modifications préparées de la session
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @returns {Object} { success: boolean, changes: Array }
+ */
+router.get('/changes', requireConnection, (req, res) => {
+  res.json({ success: true, changes: changesetService.list(req.connectionId, req.family) });
+});
+
+/**
+ * POST /api/iptables/changes
+ * Ajoute une modification à la file d'attente sans l'appliquer
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @body {string} type - Type de modification: add, insert, delete, policy
+ * @body {string} table - Table cible (filter, nat, raw, mangle)
+ * @body {string} chain - Chaîne cible
+ * @body {Object} [rule] - Règle structurée (add, insert)
+ * @body {number} [position] - Position de la règle (insert, delete)
+ * @body {string} [policy] - Nouvelle politique: ACCEPT ou DROP (policy, rôle admin)
+ * @returns {Object} { success: boolean, change: Object, changes: Array }
+ */
+router.post('/changes', requireConnection, requireRole(req => (req.body.type === 'policy' ? 'admin' : 'operator'), bodyTable), async (req, res) => {
+  try {
+    const change = await changesetService.stage(req.connectionId, req.body, req.family);
+    res.json({ success: true, change, changes: changesetService.list(req.connectionId, req.family) });
+  } catch (error) {
+    console.error('Erreur lors de la préparation de la modification:', error);
+    res.status(error.status || 500).json({ error: error.message, details: error.errors });
+  }
+});
+
+/**
+ * GET /api/iptables/changes/preview
+ * Prévisualise le jeu de règles complet qui résulterait des modifications préparées
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @returns {Object} { success: boolean, changes: Array, tables: Object, touchedTables: Array, ruleset: string }
+ */
+router.get('/changes/preview', requireConnection, async (req, res) => {
+  try {
+    const preview = await changesetService.preview(req.connectionId, req.family);
+    res.json({ success: true, ...preview });
+  } catch (error) {
+    console.error('Erreur lors de la prévisualisation:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/iptables/changes/apply
+ * Applique toutes les modifications préparées en une seule opération (iptables-restore)
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @body {number} [confirmTimeout] - Délai de confirmation en secondes (commit confirmé)
+ * @returns {Object} { success: boolean, message: string, pendingConfirmation: Object|null }
+ */
+router.post('/changes/apply', requireConnection, requireRole('operator'), async (req, res) => {
+  try {
+    const options = parseChangeOptions(req);
+    const result = await changesetService.apply(req.connectionId, options);
+    res.json(result);
+  } catch (error) {
+    console.error('Erreur lors de l\'application des modifications:', error);
+    res.status(error.status || 500).json({ error: error.message, lockout: error.lockout });
+  }
+});
+
+/**
+ * DELETE /api/iptables/changes/:id
+ * Retire une modification de la file d'attente
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @param {string} id - ID de la modification
+ * @returns {Object} { success: boolean, changes: Array }
+ */
+router.delete('/changes/:id', requireConnection, requireRole('operator'), (req, res) => {
+  if (!changesetService.remove(req.connectionId, req.params.id, req.family)) {
+    return res.status(404).json({ error: 'Modification introuvable' });
+  }
+  res.json({ success: true, changes: changesetService.list(req.connectionId, req.family) });
+});
+
+/**
+ * DELETE /api/iptables/changes
+ * Abandonne toutes les modifications préparées
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @returns {Object} { success: boolean, message: string }
+ */
+router.delete('/changes', requireConnection, requireRole('operator'), (req, res) => {
+  changesetService.discard(req.connectionId, req.family);
+  res.json({ success: true, message: 'Modifications abandonnées' });
+});
+
+// ============================================================================
+// ROUTES DE COMMIT CONFIRMÉ
+// ============================================================================
+
+/**
+ * GET /api/iptables/pending-confirmation
+ * Retourne la modification en attente de confirmation, s'il y en a une
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @returns {Object} { success: boolean, pendingConfirmation: Object|null }
+ */
+router.get('/pending-confirmation', requireConnection, (req, res) => {
+  const pendingConfirmation = sshService.getPendingConfirmation(req.connectionId);
+  res.json({ success: true, pendingConfirmation });
+});
+
+/**
+ * POST /api/iptables/confirm
+ * Confirme la modification en attente (désarme le retour arrière automatique)
+ *
+ * La confirmation est effectuée via une nouvelle connexion SSH pour prouver que
+ * le serveur est toujours joignable après la modification.
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @returns {Object} { success: boolean, message: string }
+ */
+router.post('/confirm', requireConnection, requireRole('operator'), async (req, res) => {
+  try {
+    const result = await sshService.confirmChanges(req.connectionId);
+    res.json(result);
+  } catch (error) {
+    console.error('Erreur lors de la confirmation:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/iptables/rollback
+ * Annule la modification en attente et restaure immédiatement l'instantané
+ *
+ * Nécessite une connexion SSH active (middleware requireConnection)
+ *
+ * @returns {Object} { success: boolean, message: string }
+ */
+router.post('/rollback', requireConnection, requireRole('operator'), async (req, res) => {
+  try {
+    const result = await sshService.rollbackChanges(req.connectionId, auditContext(req));
+    res.json(result);
+  } catch (error) {
+    console.error('Erreur lors du retour arrière:', error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -0,0 +1,1098 @@
+/**
+ * Document OpenAPI 3 des routes /api/iptables
+ *
+ * Publié sans authentification sur GET /api/openapi.json (voir server.js) pour
+ * générer des clients ou documenter l'automatisation. Les schémas décrivent
+ * les structures JSON renvoyées par l'API, notamment celles de
+ * IptablesBackend.parseIptablesOutput (listes de règles avec compteurs) et de
+ * SSHService.parseIptablesSave (configuration iptables-save parsée).
+ *
+ * Chaque opération indique le rôle minimal requis (extension x-required-role,
+ * voir services/user-service). Le test test/openapi-spec.test.js vérifie que
+ * chaque route du routeur y est décrite.
+ *
+ * @module routes/openapi-spec
+ */
+
+// ============================================================================
+// UTILITAIRES
+// ============================================================================
+
+/**
+ * Référence à un schéma de components.schemas
+ *
+ * @param {string} name - Nom du schéma
+ * @returns {Object} { $ref }
+ */
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Paramètre de chemin (chaîne obligatoire)
+ *
+ * @param {string} name - Nom du paramètre
+ * @param {string} description - Description
+ * @returns {Object} Paramètre OpenAPI
+ */
+const pathParam = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'string' } });
+
+/**
+ * Paramètre de query string facultatif
+ *
+ * @param {string} name - Nom du paramètre
+ * @param {string} description - Description
+ * @param {Object} [schema] - Schéma de la valeur (par défaut: chaîne)
+ * @returns {Object} Paramètre OpenAPI
+ */
+const queryParam = (name, description, schema = { type: 'string' }) => ({ name, in: 'query', required: false, description, schema });
+
+/**
+ * Objet JSON dont toutes les propriétés sont décrites
+ *
+ * @param {Object} properties - Propriétés
+ * @param {Array<string>} [required] - Propriétés obligatoires
+ * @returns {Object} Schéma OpenAPI
+ */
+const object = (properties, required) => (required ? { type: 'object', required, properties } : { type: 'object', properties });
+
+/**
+ * Réponse { success: true, ... } enrichie de propriétés
+ *
+ * @param {Object} [properties={}] - Propriétés en plus de success
+ * @returns {Object} Schéma OpenAPI
+ */
+const success = (properties = {}) => object({ success: { type: 'boolean', example: true }, ...properties });
+
+/**
+ * Chaîne pouvant valoir null
+ */
+const nullableString = { type: 'string', nullable: true };
+
+/**
+ * Décrit une opération de l'API
+ *
+ * Les paramètres communs (family, choix de l'hôte pour un jeton d'API) et les
+ * réponses d'erreur sont ajoutés à chaque opération.
+ *
+ * @param {Object} spec - Description de l'opération
+ * @param {string} spec.summary - Résumé
+ * @param {string} [spec.description] - Description détaillée
+ * @param {string} spec.role - Rôle minimal: viewer, operator ou admin
+ * @param {boolean} [spec.connection=true] - Nécessite une connexion SSH active
+ * @param {Array<Object>} [spec.parameters=[]] - Paramètres propres à l'opération
+ * @param {Object} [spec.body] - Schéma du corps JSON
+ * @param {Object} [spec.response] - Schéma de la réponse 200 (par défaut: ChangeResult)
+ * @param {string} [spec.tag='Règles'] - Groupe de l'opération
+ * @returns {Object} Opération OpenAPI
+ */
+const operation = ({ summary, description, role, connection = true, parameters = [], body, response, tag = 'Règles' }) => {
+  const op = {
+    tags: [tag],
+    summary,
+    'x-required-role': role,
+    parameters: [
+      ...parameters,
+      { $ref: '#/components/parameters/Family' },
+      { $ref: '#/components/parameters/HostHeader' },
+      { $ref: '#/components/parameters/HostQuery' }
+    ],
+    responses: {
+      200: { description: 'Succès', content: { 'application/json': { schema: response || ref('ChangeResult') } } },
+      400: { $ref: '#/components/responses/BadRequest' },
+      401: { $ref: '#/components/responses/Unauthorized' },
+      403: { $ref: '#/components/responses/Forbidden' }
+    }
+  };
+  if (description) {
+    op.description = description;
+  }
+  if (body) {
+    op.requestBody = { required: true, content: { 'application/json': { schema: body } } };
+  }
+  if (!response) {
+    op.responses[409] = { $ref: '#/components/responses/Conflict' };
+  }
+  if (connection) {
+    op.description = `${op.description ? `${op.description}\n\n` : ''}Nécessite une connexion SSH active.`;
+  }
+  return op;
+};
+
+/**
+ * Décrit une opération échangeant un fichier de jeu de règles (import/export)
+ *
+ * Le corps et/ou la réponse 200 peuvent être du texte iptables-save, un
+ * document JSON ou un document YAML (voir services/import-export-service).
+ *
+ * @param {Object} spec - Description de l'opération (voir operation)
+ * @param {Object} files - { request, response } : contenus par type MIME
+ * @returns {Object} Opération OpenAPI
+ */
+const fileOperation = (spec, { request, response }) => {
+  const op = operation(spec);
+  if (request) {
+    op.requestBody = { required: true, content: request };
+  }
+  if (response) {
+    op.responses[200] = { description: 'Fichier en pièce jointe', content: response };
+  }
+  return op;
+};
+
+/**
+ * Fichier de jeu de règles dans chacun des formats d'import/export
+ */
+const RULESET_FILE = {
+  'text/plain': { schema: { type: 'string', description: 'Texte iptables-save' } },
+  'application/json': { schema: ref('RulesetDocument') },
+  'application/yaml': { schema: { type: 'string', description: 'Document RulesetDocument en YAML' } }
+};
+
+/**
+ * Fichier d'état déclaré (plan / apply)
+ */
+const DESIRED_STATE_FILE = {
+  'application/json': { schema: ref('DesiredState') },
+  'application/yaml': { schema: { type: 'string', description: 'Document DesiredState en YAML' } }
+};
+
+/**
+ * Paramètre choisissant le format d'un fichier importé (deviné s'il est absent)
+ */
+const IMPORT_FORMAT = queryParam('format', 'Format du fichier (deviné s\'il est absent)', { type: 'string', enum: ['save', 'json', 'yaml'] });
+
+/**
+ * Propriétés communes aux corps des modifications (commit confirmé, protection SSH)
+ */
+const CHANGE_OPTIONS = {
+  confirmTimeout: { type: 'integer', minimum: 10, maximum: 3600, description: 'Délai de confirmation en secondes (commit confirmé)' },
+  allowLockout: { type: 'boolean', description: 'Applique même si la connexion SSH de l\'application serait coupée (409 sinon)' }
+};
+
+/**
+ * Paramètres de query string équivalents à CHANGE_OPTIONS (routes DELETE)
+ */
+const CHANGE_QUERY = [
+  queryParam('confirmTimeout', 'Délai de confirmation en secondes (commit confirmé)', { type: 'integer', minimum: 10, maximum: 3600 }),
+  queryParam('allowLockout', 'Applique même si la connexion SSH serait coupée', { type: 'boolean' })
+];
+
+/**
+ * Paramètres identifiant une règle par sa position
+ */
+const RULE_PARAMS = [
+  pathParam('table', 'Table (filter, nat, raw, mangle ; "famille nom" en nftables, ex: "inet filter")'),
+  pathParam('chain', 'Chaîne'),
+  { name: 'num', in: 'path', required: true, description: 'Position de la règle (à partir de 1)', schema: { type: 'integer', minimum: 1 } }
+];
+
+const CHAIN_PARAMS = RULE_PARAMS.slice(0, 2);
+
+// ============================================================================
+// SCHÉMAS
+// ============================================================================
+
+const schemas = {
+  Error: object({
+    error: { type: 'string' },
+    details: { type: 'array', items: { type: 'string' }, description: 'Erreurs de validation' },
+    lockout: { type: 'object', description: 'Règle ou politique qui couperait la connexion SSH (409)' },
+    currentPosition: { type: 'integer', nullable: true, description: 'Nouvelle position de la règle visée si elle a bougé (409)' },
+    login: { type: 'boolean', description: 'Authentification requise (401)' }
+  }, ['error']),
+
+  PendingConfirmation: object({
+    id: { type: 'string' },
+    timeout: { type: 'integer', description: 'Délai en secondes' },
+    expiresAt: { type: 'string', format: 'date-time' },
+    remaining: { type: 'integer', description: 'Secondes restantes' }
+  }),
+
+  ChangeResult: success({
+    message: { type: 'string' },
+    pendingConfirmation: { allOf: [ref('PendingConfirmation')], nullable: true }
+  }),
+
+  Connection: object({
+    hostId: { type: 'string' },
+    host: { type: 'string' },
+    port: { type: 'integer' },
+    username: { type: 'string' },
+    name: { type: 'string' },
+    natPublicIps: { type: 'array', items: { type: 'string' } },
+    backend: { type: 'string', enum: ['iptables', 'nftables'] },
+    active: { type: 'boolean' }
+  }),
+
+  ListedRule: object({
+    num: { type: 'string', description: 'Position dans la chaîne', example: '1' },
+    pkts: { type: 'integer', description: 'Paquets comptés' },
+    bytes: { type: 'integer', description: 'Octets comptés' },
+    target: { type: 'string', example: 'ACCEPT' },
+    prot: { type: 'string', example: 'tcp' },
+    opt: { type: 'string', example: '--' },
+    source: { type: 'string', example: '0.0.0.0/0' },
+    destination: { type: 'string', example: '0.0.0.0/0' },
+    extra: { type: 'string', description: 'Fin de ligne de iptables -L (modules, ports...)', example: 'tcp dpt:80' },
+    sourcePort: nullableString,
+    destPort: nullableString,
+    toDestIP: nullableString,
+    toDestPort: nullableString,
+    toDestination: nullableString,
+    spec: { type: 'string', description: 'Spécification iptables -S (sans "-A CHAÎNE")' },
+    fingerprint: { type: 'string', description: 'Empreinte de la règle, indépendante de sa position' }
+  }),
+
+  ListedChain: {
+    description: 'Chaîne produite par IptablesBackend.parseIptablesOutput (iptables -L -n -v -x --line-numbers)',
+    ...object({
+      chain: { type: 'string', example: 'INPUT' },
+      policy: { type: 'string', description: 'Politique, "-" pour une chaîne utilisateur', example: 'ACCEPT' },
+      hook: { type: 'string', description: 'Crochet d\'une chaîne de base nftables' },
+      references: { type: 'integer', nullable: true, description: 'Nombre de références (chaîne utilisateur)' },
+      packets: { type: 'integer', nullable: true },
+      bytes: { type: 'integer', nullable: true },
+      jumpedFrom: { type: 'array', items: object({ chain: { type: 'string' }, num: { type: 'string' } }) },
+      rules: { type: 'array', items: ref('ListedRule') }
+    })
+  },
+
+  ListedTables: {
+    type: 'object',
+    description: 'Chaînes par table (ex: { filter: [...], nat: [...] })',
+    additionalProperties: { type: 'array', items: ref('ListedChain') }
+  },
+
+  ParsedOption: object({
+    option: { type: 'string', example: '--dport' },
+    values: { type: 'array', items: { type: 'string' } },
+    negated: { type: 'boolean' },
+    quoted: { type: 'boolean' }
+  }),
+
+  ParsedRule: {
+    description: 'Règle découpée par services/iptables-parser (null si la ligne n\'est pas reconnue)',
+    nullable: true,
+    ...object({
+      options: { type: 'array', items: ref('ParsedOption') },
+      matches: {
+        type: 'array',
+        items: object({
+          module: { type: 'string', example: 'conntrack' },
+          implicit: { type: 'boolean' },
+          options: { type: 'array', items: ref('ParsedOption') }
+        })
+      },
+      target: object({
+        name: { type: 'string', example: 'ACCEPT' },
+        goto: { type: 'boolean' },
+        options: { type: 'array', items: ref('ParsedOption') }
+      })
+    })
+  },
+
+  SavedRule: object({
+    raw: { type: 'string', example: '-A INPUT -p tcp -m tcp --dport 22 -j ACCEPT' },
+    content: { type: 'string', example: '-p tcp -m tcp --dport 22 -j ACCEPT' },
+    parsed: ref('ParsedRule')
+  }),
+
+  SavedChain: object({
+    chain: { type: 'string' },
+    policy: { type: 'string' },
+    rules: { type: 'array', items: ref('SavedRule') }
+  }),
+
+  SavedTables: {
+    type: 'object',
+    description: 'Configuration produite par SSHService.parseIptablesSave, chaînes par table',
+    additionalProperties: { type: 'array', items: ref('SavedChain') }
+  },
+
+  RulesetDocument: object({
+    format: { type: 'string', example: 'iptables-manager/ruleset' },
+    version: { type: 'integer', example: 1 },
+    family: { type: 'string', enum: ['ipv4', 'ipv6'] },
+    host: { type: 'string' },
+    exportedAt: { type: 'string', format: 'date-time' },
+    tables: {
+      type: 'object',
+      description: 'Chaînes par table, comme SavedTables. À l\'import, une règle peut aussi être son seul contenu '
+        + '("-p tcp --dport 22 -j ACCEPT"), { raw: "-A CHAÎNE ..." } ou une StructuredRule ; seul tables est obligatoire.',
+      additionalProperties: { type: 'array', items: ref('SavedChain') }
+    }
+  }, ['tables']),
+
+  DesiredState: object({
+    family: { type: 'string', enum: ['ipv4', 'ipv6'] },
+    tables: {
+      type: 'object',
+      description: 'Chaînes déclarées par table. Une chaîne porte une politique (chaînes intégrées), et soit des sections '
+        + 'nommées (sections: { nom: [règles] }, seules les règles marquées iptables-manager:<nom> sont gérées), '
+        + 'soit toutes ses règles (rules: [règles]). Une règle est son contenu ou une StructuredRule.',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: object({
+          policy: { type: 'string', enum: ['ACCEPT', 'DROP'] },
+          position: { type: 'string', enum: ['top', 'bottom'], description: 'Place des nouvelles sections (top par défaut)' },
+          sections: { type: 'object', additionalProperties: { type: 'array', items: {} } },
+          rules: { type: 'array', items: {} }
+        })
+      }
+    }
+  }, ['tables']),
+
+  StructuredRule: {
+    description: 'Règle structurée, validée contre une liste blanche (voir services/rule-model)',
+    ...object({
+      table: { type: 'string' },
+      chain: { type: 'string', example: 'INPUT' },
+      protocol: { type: 'string', example: 'tcp' },
+      source: { type: 'string', description: 'Préfixe "!" pour une négation' },
+      destination: { type: 'string' },
+      inInterface: { type: 'string' },
+      outInterface: { type: 'string' },
+      sourcePort: { type: 'string' },
+      destPort: { type: 'string', example: '443' },
+      matches: { type: 'array', items: object({ module: { type: 'string' }, options: { type: 'object' } }) },
+      target: { type: 'string', example: 'ACCEPT' },
+      targetOptions: { type: 'object', example: { 'to-destination': '192.168.1.10:80' } }
+    }, ['chain', 'target'])
+  },
+
+  Finding: object({
+    type: { type: 'string', enum: ['duplicate', 'shadowed', 'policy', 'unreachable'] },
+    table: { type: 'string' },
+    chain: { type: 'string' },
+    position: { type: 'integer', nullable: true },
+    rule: nullableString,
+    by: { nullable: true, ...object({ position: { type: 'integer' }, rule: { type: 'string' } }) },
+    message: { type: 'string' }
+  }),
+
+  Packet: object({
+    direction: { type: 'string', enum: ['input', 'forward', 'output'], default: 'input' },
+    inInterface: { type: 'string' },
+    outInterface: { type: 'string' },
+    source: { type: 'string' },
+    destination: { type: 'string' },
+    protocol: { type: 'string', default: 'tcp' },
+    sport: { type: 'integer' },
+    dport: { type: 'integer' },
+    state: { type: 'string', enum: ['NEW', 'ESTABLISHED', 'RELATED', 'INVALID'], default: 'NEW' },
+    icmpType: { type: 'string' },
+    tcpFlags: { type: 'array', items: { type: 'string' } },
+    mark: { type: 'string' },
+    localAddresses: { type: 'array', items: { type: 'string' } }
+  }, ['source', 'destination']),
+
+  RulesetDiff: object({
+    identical: { type: 'boolean' },
+    summary: object({
+      added: { type: 'integer' },
+      removed: { type: 'integer' },
+      moved: { type: 'integer' },
+      policyChanges: { type: 'integer' },
+      chainsAdded: { type: 'integer' },
+      chainsRemoved: { type: 'integer' }
+    }),
+    tables: {
+      type: 'object',
+      description: 'Différences par table puis par chaîne: { status, policy, added, removed, moved }',
+      additionalProperties: { type: 'object' }
+    }
+  }),
+
+  RuleTemplate: object({
+    id: { type: 'string', example: 'ssh-admin', description: 'Nom du fichier du modèle' },
+    name: { type: 'string' },
+    description: { type: 'string' },
+    source: { type: 'string', enum: ['builtin', 'custom'], description: 'Modèle fourni (templates/) ou de l\'équipe (TEMPLATES_DIR)' },
+    families: { type: 'array', items: { type: 'string', enum: ['ipv4', 'ipv6'] } },
+    parameters: {
+      type: 'array',
+      items: object({
+        name: { type: 'string' },
+        type: { type: 'string', enum: ['address', 'port', 'ports', 'interface', 'integer', 'rate', 'text', 'boolean', 'choice'] },
+        label: { type: 'string' },
+        description: { type: 'string' },
+        required: { type: 'boolean' },
+        default: { nullable: true },
+        options: { type: 'array', items: { type: 'string' }, description: 'Valeurs possibles (type choice)' }
+      })
+    },
+    rules: {
+      type: 'array',
+      description: 'Règles structurées, avec des valeurs "{{paramètre}}" et les champs position (top, bottom), when et family',
+      items: { type: 'object' }
+    }
+  }),
+
+  TemplateRule: object({
+    table: { type: 'string' },
+    chain: { type: 'string' },
+    position: { type: 'string', enum: ['top', 'bottom'] },
+    content: { type: 'string', example: '-s 10.0.0.0/24 -p tcp -m tcp --dport 22 -j ACCEPT' },
+    present: { type: 'boolean', description: 'Règle déjà présente dans la chaîne (non ajoutée)' }
+  }),
+
+  PortForward: object({
+    id: { type: 'string', example: 'web', description: 'Identifiant (commentaire port-forward:<id> de chaque règle)' },
+    protocols: { type: 'array', items: { type: 'string', enum: ['tcp', 'udp'] }, example: ['tcp'] },
+    externalPort: { type: 'string', example: '8080', description: 'Port ou plage externe (8000:8100)' },
+    externalAddress: { ...nullableString, example: '203.0.113.5' },
+    inInterface: { ...nullableString, example: 'eth0' },
+    source: { ...nullableString, description: 'Clients autorisés (adresse ou réseau)' },
+    targetAddress: { type: 'string', example: '192.168.1.10' },
+    targetPort: { ...nullableString, example: '80', description: 'Port interne (null: même port que le port externe)' },
+    hairpin: { type: 'boolean', description: 'Règle MASQUERADE pour les clients du réseau interne' }
+  }, ['id', 'externalPort', 'targetAddress']),
+
+  DesiredStatePlan: success({
+    source: { ...nullableString, description: 'Fichier lu dans DESIRED_STATE_DIR (null pour un état fourni)' },
+    family: { type: 'string', enum: ['ipv4', 'ipv6'] },
+    identical: { type: 'boolean', description: 'L\'hôte est conforme à l\'état déclaré' },
+    diff: ref('RulesetDiff'),
+    script: { type: 'string', description: 'Entrée d\'iptables-restore --noflush (lignes -D / -I par position)' },
+    fingerprint: { type: 'string', description: 'Empreinte de la configuration active, à renvoyer à POST /state/apply' }
+  }),
+
+  Snapshot: object({
+    id: { type: 'string' },
+    host: { type: 'string' },
+    timestamp: { type: 'string', format: 'date-time' },
+    author: nullableString,
+    message: nullableString,
+    automatic: { type: 'boolean' },
+    command: nullableString,
+    family: { type: 'string', enum: ['ipv4', 'ipv6'] },
+    backend: { type: 'string', enum: ['iptables', 'nftables'] },
+    fingerprint: nullableString
+  }),
+
+  Change: object({
+    id: { type: 'string' },
+    type: { type: 'string', enum: ['add', 'insert', 'delete', 'policy'] },
+    table: { type: 'string' },
+    chain: { type: 'string' },
+    position: { type: 'integer' },
+    rule: ref('StructuredRule'),
+    policy: { type: 'string', enum: ['ACCEPT', 'DROP'] }
+  })
+};
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+const paths = {
+  '/connect': {
+    post: operation({
+      tag: 'Connexion',
+      summary: 'Établit une connexion SSH (session du navigateur uniquement)',
+      description: 'Un hôte hors inventaire (sans hostId) est réservé au rôle admin.',
+      role: 'viewer',
+      connection: false,
+      body: object({
+        hostId: { type: 'string', description: 'Hôte de l\'inventaire' },
+        host: { type: 'string' },
+        port: { type: 'integer', default: 22 },
+        username: { type: 'string' },
+        privateKeyPath: { type: 'string' }
+      }),
+      response: success({ message: { type: 'string' }, hostId: { type: 'string' }, connections: { type: 'array', items: ref('Connection') } })
+    })
+  },
+  '/disconnect': {
+    post: operation({
+      tag: 'Connexion',
+      summary: 'Ferme une connexion, ou toutes (session du navigateur uniquement)',
+      role: 'viewer',
+      connection: false,
+      body: object({ hostId: { type: 'string' } }),
+      response: success({ message: { type: 'string' }, connected: { type: 'boolean' }, connections: { type: 'array', items: ref('Connection') } })
+    })
+  },
+  '/status': {
+    get: operation({
+      tag: 'Connexion',
+      summary: 'Statut de la connexion et hôtes connectés',
+      role: 'viewer',
+      connection: false,
+      response: object({
+        connected: { type: 'boolean' },
+        activeHost: { allOf: [ref('Connection')], nullable: true },
+        connections: { type: 'array', items: ref('Connection') }
+      })
+    })
+  },
+  '/connections': {
+    get: operation({
+      tag: 'Connexion',
+      summary: 'Hôtes connectés',
+      role: 'viewer',
+      connection: false,
+      response: success({ connections: { type: 'array', items: ref('Connection') } })
+    })
+  },
+  '/connections/{hostId}/activate': {
+    post: operation({
+      tag: 'Connexion',
+      summary: 'Change l\'hôte actif (session du navigateur uniquement)',
+      role: 'viewer',
+      connection: false,
+      parameters: [pathParam('hostId', 'Hôte déjà connecté')],
+      response: success({ connections: { type: 'array', items: ref('Connection') } })
+    })
+  },
+
+  '/all-rules': {
+    get: operation({
+      tag: 'Consultation',
+      summary: 'Règles de toutes les tables, avec compteurs',
+      role: 'viewer',
+      response: success({ tables: ref('ListedTables') })
+    })
+  },
+  '/rules': {
+    get: operation({
+      tag: 'Consultation',
+      summary: 'Règles d\'une table, avec compteurs',
+      role: 'viewer',
+      parameters: [queryParam('table', 'Table (par défaut: filter)')],
+      response: success({ rules: { type: 'array', items: ref('ListedChain') }, table: { type: 'string' } })
+    }),
+    post: operation({
+      summary: 'Ajoute une règle (ou l\'insère à une position)',
+      description: 'Une commande brute (rule de type chaîne, avec expert: true) est réservée au rôle admin.',
+      role: 'operator',
+      body: object({
+        rule: { oneOf: [ref('StructuredRule'), { type: 'string', description: 'Commande brute (mode expert)' }] },
+        table: { type: 'string', default: 'filter' },
+        position: { type: 'integer', minimum: 1 },
+        expert: { type: 'boolean' },
+        ...CHANGE_OPTIONS
+      }, ['rule'])
+    })
+  },
+  '/iptables-save': {
+    get: operation({
+      tag: 'Consultation',
+      summary: 'Configuration iptables-save parsée',
+      role: 'viewer',
+      response: success({ tables: ref('SavedTables') })
+    })
+  },
+  '/rules/{table}/{chain}/{num}': {
+    put: operation({
+      summary: 'Remplace une règle (iptables -R)',
+      role: 'operator',
+      parameters: RULE_PARAMS,
+      body: object({
+        rule: ref('StructuredRule'),
+        fingerprint: { type: 'string', description: 'Empreinte attendue de la règle remplacée (409 si elle a changé)' },
+        ...CHANGE_OPTIONS
+      }, ['rule'])
+    }),
+    delete: operation({
+      summary: 'Supprime une règle',
+      role: 'operator',
+      parameters: [...RULE_PARAMS, queryParam('fingerprint', 'Empreinte attendue de la règle (409 si elle a changé)'), ...CHANGE_QUERY]
+    })
+  },
+  '/rules/{table}/{chain}/{num}/move': {
+    post: operation({
+      summary: 'Déplace une règle dans sa chaîne',
+      role: 'operator',
+      parameters: RULE_PARAMS,
+      body: object({ to: { type: 'integer', minimum: 1 }, fingerprint: { type: 'string' }, ...CHANGE_OPTIONS }, ['to'])
+    })
+  },
+  '/analysis': {
+    get: operation({
+      tag: 'Consultation',
+      summary: 'Règles masquées, doublons, redondantes et chaînes jamais appelées',
+      role: 'viewer',
+      response: success({
+        summary: object({ duplicate: { type: 'integer' }, shadowed: { type: 'integer' }, policy: { type: 'integer' }, unreachable: { type: 'integer' } }),
+        findings: { type: 'array', items: ref('Finding') }
+      })
+    })
+  },
+  '/counters/stream': {
+    get: {
+      ...operation({
+        tag: 'Consultation',
+        summary: 'Flux Server-Sent Events des compteurs et débits',
+        description: 'Événements `counters` ({ at, interval, rules, chains, hot }) et `counters-error` ({ error }).',
+        role: 'viewer',
+        parameters: [queryParam('interval', 'Intervalle en secondes (1 à 300)', { type: 'integer', minimum: 1, maximum: 300 })],
+        response: { type: 'string' }
+      }),
+      responses: {
+        200: { description: 'Flux d\'événements', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        400: { $ref: '#/components/responses/BadRequest' },
+        401: { $ref: '#/components/responses/Unauthorized' },
+        403: { $ref: '#/components/responses/Forbidden' }
+      }
+    }
+  },
+  '/simulate': {
+    post: operation({
+      tag: 'Consultation',
+      summary: 'Simule le trajet d\'un paquet, sans modifier l\'hôte',
+      description: 'Avec `ruleset` (texte iptables-save), la simulation se fait hors ligne.',
+      role: 'viewer',
+      connection: false,
+      body: object({ packet: ref('Packet'), ruleset: { type: 'string' } }, ['packet']),
+      response: success({
+        verdict: { type: 'string', enum: ['ACCEPT', 'DROP', 'REJECT', 'QUEUE'] },
+        path: { type: 'string', enum: ['input', 'forward', 'output'] },
+        decidedBy: { type: 'object', nullable: true },
+        trace: { type: 'array', items: { type: 'object' } },
+        packet: ref('Packet'),
+        warnings: { type: 'array', items: { type: 'string' } }
+      })
+    })
+  },
+
+  '/chains/{table}': {
+    post: operation({
+      tag: 'Chaînes',
+      summary: 'Crée une chaîne utilisateur',
+      role: 'operator',
+      parameters: [CHAIN_PARAMS[0]],
+      body: object({ chain: { type: 'string' }, ...CHANGE_OPTIONS }, ['chain'])
+    })
+  },
+  '/chains/{table}/{chain}': {
+    delete: operation({
+      tag: 'Chaînes',
+      summary: 'Supprime une chaîne utilisateur vide et non référencée',
+      role: 'admin',
+      parameters: [...CHAIN_PARAMS, ...CHANGE_QUERY]
+    })
+  },
+  '/chains/{table}/{chain}/rename': {
+    post: operation({
+      tag: 'Chaînes',
+      summary: 'Renomme une chaîne utilisateur',
+      role: 'operator',
+      parameters: CHAIN_PARAMS,
+      body: object({ name: { type: 'string' }, ...CHANGE_OPTIONS }, ['name'])
+    })
+  },
+  '/chains/{table}/{chain}/policy': {
+    put: operation({
+      tag: 'Chaînes',
+      summary: 'Politique par défaut d\'une chaîne intégrée',
+      role: 'admin',
+      parameters: CHAIN_PARAMS,
+      body: object({ policy: { type: 'string', enum: ['ACCEPT', 'DROP'] }, ...CHANGE_OPTIONS }, ['policy'])
+    })
+  },
+  '/chains/{table}/{chain}/flush': {
+    post: operation({ tag: 'Chaînes', summary: 'Supprime toutes les règles de la chaîne', role: 'operator', parameters: CHAIN_PARAMS })
+  },
+  '/chains/{table}/{chain}/zero': {
+    post: operation({ tag: 'Chaînes', summary: 'Remet les compteurs de la chaîne à zéro', role: 'operator', parameters: CHAIN_PARAMS })
+  },
+
+  '/save': {
+    post: operation({
+      tag: 'Sauvegarde',
+      summary: 'Sauvegarde la configuration dans /etc/iptables/rules.v4 (rules.v6 en IPv6)',
+      role: 'operator',
+      response: success({ message: { type: 'string' } })
+    })
+  },
+  '/diff/persisted': {
+    get: operation({
+      tag: 'Sauvegarde',
+      summary: 'Diff entre le fichier enregistré et la configuration active',
+      role: 'viewer',
+      response: success({
+        rulesFile: { type: 'string' },
+        persistedExists: { type: 'boolean' },
+        unsavedChanges: { type: 'boolean' },
+        diff: ref('RulesetDiff')
+      })
+    })
+  },
+  '/restore': {
+    post: operation({
+      tag: 'Sauvegarde',
+      summary: 'Restaure la configuration enregistrée',
+      role: 'admin',
+      body: object(CHANGE_OPTIONS)
+    })
+  },
+
+  '/export': {
+    get: fileOperation({
+      tag: 'Import/export',
+      summary: 'Télécharge la configuration active',
+      role: 'viewer',
+      parameters: [queryParam('format', 'Format du fichier', { type: 'string', enum: ['save', 'json', 'yaml'], default: 'save' })],
+      response: ref('RulesetDocument')
+    }, { response: RULESET_FILE })
+  },
+  '/import/preview': {
+    post: fileOperation({
+      tag: 'Import/export',
+      summary: 'Vérifie un jeu de règles (iptables-restore --test) et le compare à la configuration active',
+      description: 'Rien n\'est modifié. Le diff ne porte que sur les tables du fichier importé.',
+      role: 'viewer',
+      parameters: [IMPORT_FORMAT],
+      response: success({
+        format: { type: 'string', enum: ['save', 'json', 'yaml'] },
+        touchedTables: { type: 'array', items: { type: 'string' } },
+        ruleset: { type: 'string' },
+        diff: ref('RulesetDiff'),
+        fingerprint: { type: 'string', description: 'Empreinte de la configuration active, à renvoyer à POST /import' }
+      })
+    }, { request: RULESET_FILE })
+  },
+  '/import': {
+    post: fileOperation({
+      tag: 'Import/export',
+      summary: 'Importe un jeu de règles (remplace les tables qu\'il contient)',
+      description: 'Le fichier est vérifié à nouveau avant d\'être chargé par iptables-restore. '
+        + 'Avec fingerprint, l\'import est refusé (409) si la configuration active a changé depuis la prévisualisation.',
+      role: 'admin',
+      parameters: [
+        IMPORT_FORMAT,
+        queryParam('fingerprint', 'Empreinte renvoyée par POST /import/preview'),
+        ...CHANGE_QUERY
+      ]
+    }, { request: RULESET_FILE })
+  },
+
+  '/state/plan': {
+    get: operation({
+      tag: 'État déclaré',
+      summary: 'Plan qui amènerait l\'hôte à l\'état déclaré dans son fichier (DESIRED_STATE_DIR)',
+      description: 'Rien n\'est modifié. Fichier hosts/<id> de l\'hôte de l\'inventaire, sinon groups/<groupe> (404 sinon).',
+      role: 'viewer',
+      response: ref('DesiredStatePlan')
+    }),
+    post: fileOperation({
+      tag: 'État déclaré',
+      summary: 'Plan pour un état déclaré fourni',
+      description: 'Rien n\'est modifié.',
+      role: 'viewer',
+      response: ref('DesiredStatePlan')
+    }, { request: DESIRED_STATE_FILE })
+  },
+  '/state/apply': {
+    post: fileOperation({
+      tag: 'État déclaré',
+      summary: 'Applique le plan : l\'hôte converge vers l\'état déclaré',
+      description: 'Seules les chaînes et sections déclarées sont modifiées ; les autres règles (Docker, fail2ban...) restent en place. '
+        + 'Sans corps, le fichier de l\'hôte est utilisé. Avec fingerprint, le plan est refusé (409) si la configuration active a changé.',
+      role: 'admin',
+      parameters: [queryParam('fingerprint', 'Empreinte renvoyée par le plan'), ...CHANGE_QUERY]
+    }, { request: DESIRED_STATE_FILE })
+  },
+
+  '/templates': {
+    get: operation({
+      tag: 'Modèles',
+      summary: 'Modèles de règles, fournis et ajoutés par l\'équipe (TEMPLATES_DIR)',
+      role: 'viewer',
+      connection: false,
+      response: success({
+        templates: { type: 'array', items: ref('RuleTemplate') },
+        invalid: {
+          type: 'array',
+          description: 'Fichiers de modèles refusés',
+          items: object({ file: { type: 'string' }, source: { type: 'string' }, errors: { type: 'array', items: { type: 'string' } } })
+        }
+      })
+    })
+  },
+  '/templates/{id}/preview': {
+    post: operation({
+      tag: 'Modèles',
+      summary: 'Génère les règles d\'un modèle et les compare à la configuration active',
+      description: 'Rien n\'est modifié. Les règles déjà présentes dans leur chaîne sont marquées present.',
+      role: 'viewer',
+      parameters: [pathParam('id', 'Identifiant du modèle')],
+      body: object({ parameters: { type: 'object', description: 'Valeurs des paramètres { nom: valeur }' } }),
+      response: success({
+        template: object({ id: { type: 'string' }, name: { type: 'string' } }),
+        family: { type: 'string', enum: ['ipv4', 'ipv6'] },
+        rules: { type: 'array', items: ref('TemplateRule') },
+        diff: ref('RulesetDiff'),
+        script: { type: 'string', description: 'Entrée d\'iptables-restore --noflush' },
+        fingerprint: { type: 'string', description: 'Empreinte de la configuration active, à renvoyer à POST /templates/{id}/apply' }
+      })
+    })
+  },
+  '/templates/{id}/apply': {
+    post: operation({
+      tag: 'Modèles',
+      summary: 'Ajoute les règles d\'un modèle en une opération (celles déjà présentes sont écartées)',
+      description: 'L\'opérateur doit avoir accès à toutes les tables du modèle. Avec stage, les règles sont préparées '
+        + '(modifications préparées) au lieu d\'être appliquées.',
+      role: 'operator',
+      parameters: [pathParam('id', 'Identifiant du modèle')],
+      body: object({
+        parameters: { type: 'object', description: 'Valeurs des paramètres { nom: valeur }' },
+        stage: { type: 'boolean' },
+        fingerprint: { type: 'string', description: 'Empreinte renvoyée par la prévisualisation (409 si la configuration a changé)' },
+        ...CHANGE_OPTIONS
+      })
+    })
+  },
+
+  '/port-forwards': {
+    get: operation({
+      tag: 'Redirections',
+      summary: 'Redirections de ports de l\'hôte et autres règles DNAT',
+      role: 'viewer',
+      response: success({
+        family: { type: 'string', enum: ['ipv4', 'ipv6'] },
+        forwards: {
+          type: 'array',
+          items: {
+            allOf: [ref('PortForward'), object({
+              complete: { type: 'boolean', description: 'Chaque protocole a sa règle DNAT et sa règle FORWARD' },
+              rules: {
+                type: 'array',
+                items: object({ table: { type: 'string' }, chain: { type: 'string' }, position: { type: 'integer' }, content: { type: 'string' } })
+              }
+            })]
+          }
+        },
+        unmanaged: {
+          type: 'array',
+          description: 'Règles DNAT de PREROUTING qui n\'appartiennent à aucune redirection',
+          items: object({
+            num: { type: 'integer' }, prot: { type: 'string' }, destPort: nullableString, toDestination: nullableString, spec: nullableString
+          })
+        },
+        fingerprint: { type: 'string', description: 'Empreinte de la configuration active' }
+      })
+    }),
+    post: operation({
+      tag: 'Redirections',
+      summary: 'Crée une redirection de port (règles DNAT, FORWARD et MASQUERADE avec hairpin)',
+      description: 'Refusée (409, details) si le port externe chevauche celui d\'une règle DNAT existante. '
+        + 'L\'opérateur doit avoir accès aux tables nat et filter.',
+      role: 'operator',
+      body: object({
+        id: { type: 'string' },
+        protocols: { type: 'array', items: { type: 'string', enum: ['tcp', 'udp'] } },
+        externalPort: { type: 'string' },
+        externalAddress: { type: 'string' },
+        inInterface: { type: 'string' },
+        source: { type: 'string' },
+        targetAddress: { type: 'string' },
+        targetPort: { type: 'string' },
+        hairpin: { type: 'boolean' },
+        fingerprint: { type: 'string', description: 'Empreinte renvoyée par la liste (409 si la configuration a changé)' },
+        ...CHANGE_OPTIONS
+      }, ['id', 'externalPort', 'targetAddress'])
+    })
+  },
+  '/port-forwards/{id}': {
+    put: operation({
+      tag: 'Redirections',
+      summary: 'Modifie une redirection de port (ses règles sont remplacées en une opération)',
+      role: 'operator',
+      parameters: [pathParam('id', 'Identifiant de la redirection')],
+      body: object({
+        protocols: { type: 'array', items: { type: 'string', enum: ['tcp', 'udp'] } },
+        externalPort: { type: 'string' },
+        externalAddress: { type: 'string' },
+        inInterface: { type: 'string' },
+        source: { type: 'string' },
+        targetAddress: { type: 'string' },
+        targetPort: { type: 'string' },
+        hairpin: { type: 'boolean' },
+        fingerprint: { type: 'string', description: 'Empreinte renvoyée par la liste (409 si la configuration a changé)' },
+        ...CHANGE_OPTIONS
+      }, ['externalPort', 'targetAddress'])
+    }),
+    delete: operation({
+      tag: 'Redirections',
+      summary: 'Supprime une redirection de port (toutes ses règles)',
+      role: 'operator',
+      parameters: [pathParam('id', 'Identifiant de la redirection'), queryParam('fingerprint', 'Empreinte renvoyée par la liste'), ...CHANGE_QUERY]
+    })
+  },
+
+  '/snapshots': {
+    get: operation({
+      tag: 'Historique',
+      summary: 'Instantanés de l\'hôte, du plus récent au plus ancien',
+      role: 'viewer',
+      response: success({ host: { type: 'string' }, snapshots: { type: 'array', items: ref('Snapshot') } })
+    }),
+    post: operation({
+      tag: 'Historique',
+      summary: 'Prend un instantané manuel',
+      role: 'operator',
+      body: object({ message: { type: 'string' } }),
+      response: success({ snapshot: ref('Snapshot') })
+    })
+  },
+  '/snapshots/diff': {
+    get: operation({
+      tag: 'Historique',
+      summary: 'Diff entre deux instantanés (live = configuration active)',
+      role: 'viewer',
+      parameters: [
+        { name: 'from', in: 'query', required: true, description: 'Instantané de départ, ou live', schema: { type: 'string' } },
+        queryParam('to', 'Instantané d\'arrivée, ou live (par défaut)')
+      ],
+      response: success({ diff: ref('RulesetDiff') })
+    })
+  },
+  '/snapshots/{id}': {
+    get: operation({
+      tag: 'Historique',
+      summary: 'Contenu d\'un instantané',
+      role: 'viewer',
+      parameters: [pathParam('id', 'Instantané')],
+      response: success({
+        snapshot: {
+          allOf: [ref('Snapshot'), object({ ruleset: { type: 'string' }, tables: ref('SavedTables') })]
+        }
+      })
+    })
+  },
+  '/snapshots/{id}/rollback': {
+    post: operation({
+      tag: 'Historique',
+      summary: 'Revient à un instantané',
+      role: 'admin',
+      parameters: [pathParam('id', 'Instantané')],
+      body: object(CHANGE_OPTIONS)
+    })
+  },
+
+  '/changes': {
+    get: operation({
+      tag: 'Modifications préparées',
+      summary: 'Modifications préparées',
+      role: 'viewer',
+      response: success({ changes: { type: 'array', items: ref('Change') } })
+    }),
+    post: operation({
+      tag: 'Modifications préparées',
+      summary: 'Prépare une modification sans l\'appliquer',
+      description: 'Une modification de politique (type policy) est réservée au rôle admin.',
+      role: 'operator',
+      body: ref('Change'),
+      response: success({ change: ref('Change'), changes: { type: 'array', items: ref('Change') } })
+    }),
+    delete: operation({
+      tag: 'Modifications préparées',
+      summary: 'Abandonne toutes les modifications préparées',
+      role: 'operator',
+      response: success({ message: { type: 'string' } })
+    })
+  },
+  '/changes/preview': {
+    get: operation({
+      tag: 'Modifications préparées',
+      summary: 'Jeu de règles résultant des modifications préparées',
+      role: 'viewer',
+      response: success({
+        changes: { type: 'array', items: ref('Change') },
+        tables: ref('SavedTables'),
+        touchedTables: { type: 'array', items: { type: 'string' } },
+        ruleset: { type: 'string' }
+      })
+    })
+  },
+  '/changes/apply': {
+    post: operation({
+      tag: 'Modifications préparées',
+      summary: 'Applique toutes les modifications en une opération (iptables-restore)',
+      role: 'operator',
+      body: object(CHANGE_OPTIONS)
+    })
+  },
+  '/changes/{id}': {
+    delete: operation({
+      tag: 'Modifications préparées',
+      summary: 'Retire une modification',
+      role: 'operator',
+      parameters: [pathParam('id', 'Modification')],
+      response: success({ changes: { type: 'array', items: ref('Change') } })
+    })
+  },
+
+  '/pending-confirmation': {
+    get: operation({
+      tag: 'Commit confirmé',
+      summary: 'Modification en attente de confirmation',
+      role: 'viewer',
+      response: success({ pendingConfirmation: { allOf: [ref('PendingConfirmation')], nullable: true } })
+    })
+  },
+  '/confirm': {
+    post: operation({
+      tag: 'Commit confirmé',
+      summary: 'Confirme la modification en attente (nouvelle connexion SSH)',
+      role: 'operator',
+      response: success({ message: { type: 'string' } })
+    })
+  },
+  '/rollback': {
+    post: operation({
+      tag: 'Commit confirmé',
+      summary: 'Annule la modification en attente et restaure l\'instantané',
+      role: 'operator',
+      response: success({ message: { type: 'string' } })
+    })
+  }
+};
+
+// ============================================================================
+// DOCUMENT
+// ============================================================================
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'IPTables Manager',
+    version: require('../package.json').version,
+    description: 'Gestion des règles iptables/nftables d\'hôtes distants via SSH.\n\n'
+      + 'Authentification par cookie de session (POST /api/auth/login) ou par jeton d\'API '
+      + '(`Authorization: Bearer ipt_...`, voir /api/tokens). Avec un jeton, l\'hôte de '
+      + 'l\'inventaire est choisi à chaque requête (en-tête X-Host-Id ou paramètre hostId).'
+  },
+  servers: [{ url: '/api/iptables' }],
+  security: [{ bearerAuth: [] }, { cookieAuth: [] }],
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Jeton d\'API (ipt_<identifiant>.<secret>)' },
+      cookieAuth: { type: 'apiKey', in: 'cookie', name: 'connect.sid' }
+    },
+    parameters: {
+      Family: queryParam('family', 'Famille d\'adresses', { type: 'string', enum: ['ipv4', 'ipv6'], default: 'ipv4' }),
+      HostHeader: {
+        name: 'X-Host-Id',
+        in: 'header',
+        required: false,
+        description: 'Hôte de l\'inventaire visé (jeton d\'API uniquement)',
+        schema: { type: 'string' }
+      },
+      HostQuery: queryParam('hostId', 'Hôte de l\'inventaire visé (jeton d\'API, à défaut de X-Host-Id)')
+    },
+    responses: {
+      BadRequest: { description: 'Requête invalide', content: { 'application/json': { schema: ref('Error') } } },
+      Unauthorized: { description: 'Non authentifié, ou aucune connexion SSH', content: { 'application/json': { schema: ref('Error') } } },
+      Forbidden: { description: 'Rôle, table ou hôte non autorisé', content: { 'application/json': { schema: ref('Error') } } },
+      Conflict: {
+        description: 'Règle déplacée ou modifiée, ou modification qui couperait la connexion SSH',
+        content: { 'application/json': { schema: ref('Error') } }
+      }
+    },
+    schemas
+  }
+};
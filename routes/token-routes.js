@@ -0,0 +1,88 @@
+/**
+ * Routes API de gestion des jetons d'API
+ *
+ * Chaque utilisateur gère ses propres jetons ; un administrateur voit et
+ * révoque ceux de tous les utilisateurs. Ces routes ne sont accessibles
+ * qu'avec une session du navigateur : un jeton ne peut pas en créer d'autres.
+ * Elles ne nécessitent pas de connexion SSH.
+ *
+ * @module routes/token-routes
+ * @requires express
+ * @requires ../services/token-service
+ */
+
+const express = require('express');
+const router = express.Router();
+const tokenService = require('../services/token-service');
+
+/**
+ * Middleware refusant les requêtes authentifiées par un jeton d'API (403)
+ *
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Function} next - Fonction pour passer au middleware suivant
+ */
+const requireSession = (req, res, next) => {
+  if (req.user.token) {
+    return res.status(403).json({ error: 'Les jetons d\'API se gèrent depuis une session de l\'application' });
+  }
+  next();
+};
+
+router.use(requireSession);
+
+/**
+ * GET /api/tokens
+ * Liste les jetons de l'utilisateur (tous les jetons pour un administrateur)
+ *
+ * @returns {Object} { success: boolean, tokens: Array }
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({ success: true, tokens: tokenService.list(req.user) });
+  } catch (error) {
+    console.error('Erreur lors de la lecture des jetons:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/tokens
+ * Crée un jeton d'API pour l'utilisateur connecté
+ *
+ * Le jeton en clair n'est renvoyé qu'une fois, dans cette réponse.
+ *
+ * @body {string} name - Nom du jeton (ex: 'ci-deploiement')
+ * @body {string} [role] - viewer, operator ou admin (par défaut et au plus: le rôle de l'utilisateur)
+ * @body {Array<string>} [tables] - Tables modifiables (rôle operator)
+ * @body {Array<string>} [hosts] - Hôtes de l'inventaire accessibles (par défaut: tous)
+ * @body {string} [expiresAt] - Date d'expiration (ISO 8601)
+ * @returns {Object} { success: boolean, token: Object } (token.token: jeton en clair)
+ */
+router.post('/', (req, res) => {
+  try {
+    const token = tokenService.create(req.user, req.body);
+    res.status(201).json({ success: true, token });
+  } catch (error) {
+    console.error('Erreur lors de la création du jeton:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/tokens/:id
+ * Révoque un jeton (effet immédiat)
+ *
+ * @param {string} id - Identifiant du jeton
+ * @returns {Object} { success: boolean, message: string }
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    tokenService.revoke(req.params.id, req.user);
+    res.json({ success: true, message: 'Jeton révoqué' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -15,7 +15,15 @@ const express = require('express');
 const session = require('express-session');
 const bodyParser = require('body-parser');
 const path = require('path');
+const userService = require('./services/user-service');
+const tokenService = require('./services/token-service');
+const authRoutes = require('./routes/auth-routes');
 const iptablesRoutes = require('./routes/iptables-routes');
+const inventoryRoutes = require('./routes/inventory-routes');
+const fleetRoutes = require('./routes/fleet-routes');
+const auditRoutes = require('./routes/audit-routes');
+const tokenRoutes = require('./routes/token-routes');
+const openapiSpec = require('./routes/openapi-spec');
 
 // Initialisation de l'application Express
 const app = express();
@@ -28,8 +36,9 @@ const PORT = process.env.PORT || 3000;
 /**
  * Middleware pour parser le corps des requêtes JSON et URL-encoded
  * Permet de récupérer les données envoyées par le client dans req.body
+ * (limite relevée pour les jeux de règles importés en JSON, voir /api/iptables/import)
  */
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: '5mb' }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 /**
@@ -49,6 +58,41 @@ app.use(session({
   }
 }));
 
+/**
+ * Middleware d'authentification des routes API
+ *
+ * Relit à chaque requête l'utilisateur de la session (un utilisateur supprimé
+ * ou dont le rôle change est pris en compte immédiatement) et le place dans
+ * req.user. Une requête portant un jeton d'API (`Authorization: Bearer ...`)
+ * est authentifiée par ce jeton, sans cookie (voir services/token-service).
+ * Sans utilisateur connecté, renvoie une erreur 401 avec `login: true`
+ * (l'interface affiche alors le formulaire de connexion).
+ *
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Function} next - Fonction pour passer au middleware suivant
+ */
+const requireLogin = (req, res, next) => {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  try {
+    if (bearer) {
+      req.user = tokenService.authenticate(bearer[1]);
+      if (!req.user) {
+        return res.status(401).json({ error: 'Jeton d\'API invalide, révoqué ou expiré' });
+      }
+    } else {
+      req.user = req.session.username ? userService.get(req.session.username) : null;
+    }
+  } catch (error) {
+    console.error('Erreur lors de la lecture des utilisateurs:', error);
+    return res.status(500).json({ error: error.message });
+  }
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentification requise', login: true });
+  }
+  next();
+};
+
 // ============================================================================
 // ROUTES CONFIGURATION
 // ============================================================================
@@ -59,12 +103,54 @@ app.use(session({
  */
 app.use(express.static(path.join(__dirname, 'public')));
 
+/**
+ * Monter les routes API d'authentification (accessibles sans session)
+ * Toutes les routes commenceront par /api/auth
+ */
+app.use('/api/auth', authRoutes);
+
+/**
+ * Document OpenAPI des routes /api/iptables (public, pour générer des clients)
+ */
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openapiSpec);
+});
+
+/**
+ * Toutes les autres routes API nécessitent un utilisateur connecté
+ */
+app.use('/api', requireLogin);
+
 /**
  * Monter les routes API pour la gestion iptables
  * Toutes les routes commenceront par /api/iptables
  */
 app.use('/api/iptables', iptablesRoutes);
 
+/**
+ * Monter les routes API de l'inventaire des hôtes
+ * Toutes les routes commenceront par /api/inventory
+ */
+app.use('/api/inventory', inventoryRoutes);
+
+/**
+ * Monter les routes API de déploiement sur plusieurs hôtes
+ * Toutes les routes commenceront par /api/fleet
+ */
+app.use('/api/fleet', fleetRoutes);
+
+/**
+ * Monter les routes API du journal d'audit
+ * Toutes les routes commenceront par /api/audit
+ */
+app.use('/api/audit', auditRoutes);
+
+/**
+ * Monter les routes API des jetons d'API
+ * Toutes les routes commenceront par /api/tokens
+ */
+app.use('/api/tokens', tokenRoutes);
+
 // ============================================================================
 // SERVER STARTUP
 // ============================================================================
@@ -76,4 +162,12 @@ app.use('/api/iptables', iptablesRoutes);
 app.listen(PORT, () => {
   console.log(`Serveur démarré sur http://localhost:${PORT}`);
   console.log('Accédez à l\'interface web dans votre navigateur');
+
+  try {
+    if (userService.readAll().length === 0) {
+      console.warn('Aucun utilisateur configuré : créez data/users.json (ou USERS_FILE) ou définissez APP_USERS (voir README)');
+    }
+  } catch (error) {
+    console.error('Configuration des utilisateurs illisible:', error.message);
+  }
 });
@@ -0,0 +1,349 @@
+/**
+ * Service du journal d'audit des modifications du pare-feu
+ *
+ * Chaque modification (voir SSHService.applyChange, retour arrière, sauvegarde,
+ * déploiement sur le parc) ajoute une entrée au journal : utilisateur, IP
+ * d'origine de la requête, hôte, table, chaîne, commande exacte, empreintes
+ * du jeu de règles avant et après, résultat et sortie d'erreur.
+ *
+ * Le journal est un fichier JSON Lines (une entrée par ligne) ouvert en ajout
+ * seul : les entrées ne sont jamais modifiées ni supprimées par l'application.
+ * Son emplacement est configurable via la variable d'environnement AUDIT_FILE
+ * (par défaut: data/audit.log à la racine du projet).
+ *
+ * @module services/audit-service
+ * @requires fs
+ * @requires path
+ * @requires crypto
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Résultats possibles d'une modification
+ * - success: commande exécutée
+ * - failure: commande en échec (ou vérification préalable impossible)
+ * - refused: modification refusée car elle couperait la connexion SSH
+ */
+const RESULTS = ['success', 'failure', 'refused'];
+
+/**
+ * Colonnes de l'export CSV, dans l'ordre
+ */
+const CSV_COLUMNS = [
+  'id', 'timestamp', 'user', 'sourceIp', 'host', 'backend', 'family', 'table', 'chain',
+  'command', 'before', 'after', 'result', 'error', 'stderr', 'pendingConfirmation'
+];
+
+/**
+ * Nombre d'entrées renvoyées par défaut, et au maximum, par une recherche
+ */
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Opérations iptables suivies du nom de la chaîne visée
+ */
+const CHAIN_OPERATIONS = [
+  '-A', '--append', '-I', '--insert', '-D', '--delete', '-R', '--replace', '-P', '--policy',
+  '-F', '--flush', '-Z', '--zero', '-N', '--new-chain', '-X', '--delete-chain', '-E', '--rename-chain'
+];
+
+/**
+ * Crée une erreur portant un code HTTP
+ *
+ * @param {number} status - Code HTTP à renvoyer
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur avec la propriété status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Échappe une valeur pour une cellule CSV
+ *
+ * Les valeurs commençant par =, +, - ou @ sont préfixées d'une apostrophe pour
+ * qu'un tableur ne les interprète pas comme des formules.
+ *
+ * @param {*} value - Valeur de la cellule
+ * @returns {string} Cellule CSV
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Déduit les tables et la chaîne modifiées par un jeu de règles restauré
+ *
+ * @param {string} input - Texte iptables-restore, nft -f ou JSON nft -j -f
+ * @returns {{table: string|null, chain: string|null}} Tables séparées par des virgules,
+ *   chaîne si une seule est visée (JSON nft)
+ */
+function describeInput(input) {
+  const tables = [];
+  const chains = [];
+  const add = (list, value) => {
+    if (value && !list.includes(value)) list.push(value);
+  };
+
+  let json = null;
+  try {
+    json = JSON.parse(input);
+  } catch (error) {
+    // Format texte
+  }
+
+  if (json && Array.isArray(json.nftables)) {
+    for (const command of json.nftables) {
+      for (const objects of Object.values(command)) {
+        for (const object of Object.values(objects || {})) {
+          if (object && object.family && object.table) {
+            add(tables, `${object.family} ${object.table}`);
+            add(chains, object.chain);
+          }
+        }
+      }
+    }
+  } else {
+    for (const line of String(input).split('\n')) {
+      const iptables = line.match(/^\*(\S+)/);
+      const nft = line.match(/^table\s+(\S+)\s+(\S+)/);
+      add(tables, iptables ? iptables[1] : nft ? `${nft[1]} ${nft[2]}` : null);
+    }
+  }
+
+  return {
+    table: tables.length > 0 ? tables.join(', ') : null,
+    chain: chains.length === 1 ? chains[0] : null
+  };
+}
+
+/**
+ * Classe AuditService
+ * Ajoute, recherche et exporte les entrées du journal d'audit
+ */
+class AuditService {
+  /**
+   * Constructeur
+   *
+   * @param {string} [file] - Fichier du journal (JSON Lines)
+   */
+  constructor(file = process.env.AUDIT_FILE || path.join(__dirname, '..', 'data', 'audit.log')) {
+    this.file = file;
+  }
+
+  /**
+   * Ajoute une entrée au journal
+   *
+   * @param {Object} entry - Entrée à enregistrer
+   * @param {string} [entry.user] - Utilisateur à l'origine de la modification
+   * @param {string} [entry.sourceIp] - IP d'origine de la requête HTTP
+   * @param {string} [entry.host] - Hôte modifié (ex: 'admin@192.168.1.1:22')
+   * @param {string} [entry.backend] - Backend de l'hôte (iptables ou nftables)
+   * @param {string} [entry.family] - Famille d'adresses (ipv4 ou ipv6)
+   * @param {string} [entry.table] - Table(s) modifiée(s)
+   * @param {string} [entry.chain] - Chaîne modifiée
+   * @param {string} entry.command - Commande exécutée
+   * @param {string} [entry.before] - Empreinte du jeu de règles avant la modification
+   * @param {string} [entry.after] - Empreinte du jeu de règles après la modification
+   * @param {string} entry.result - Résultat (voir RESULTS)
+   * @param {string} [entry.error] - Message d'erreur
+   * @param {string} [entry.stderr] - Sortie d'erreur de la commande
+   * @param {string} [entry.pendingConfirmation] - Identifiant du commit confirmé armé
+   * @returns {Object} Entrée enregistrée, avec son identifiant et sa date
+   */
+  record(entry) {
+    const now = new Date();
+    const recorded = { id: `${now.getTime()}-${crypto.randomBytes(3).toString('hex')}`, timestamp: now.toISOString() };
+    for (const column of CSV_COLUMNS.slice(2)) {
+      recorded[column] = entry[column] === undefined || entry[column] === '' ? null : entry[column];
+    }
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, `${JSON.stringify(recorded)}\n`, { flag: 'a', mode: 0o600 });
+    return recorded;
+  }
+
+  /**
+   * Lit toutes les entrées du journal, de la plus ancienne à la plus récente
+   *
+   * Une ligne illisible (écriture interrompue) est ignorée.
+   *
+   * @returns {Array<Object>} Entrées du journal
+   */
+  readAll() {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+    const entries = [];
+    for (const line of fs.readFileSync(this.file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Ligne tronquée : conservée dans le fichier, absente des recherches
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Lit et valide les critères de recherche (query string)
+   *
+   * @param {Object} [query={}] - Critères bruts
+   * @returns {Object} { user, host, table, chain, result, q, from, to, limit, offset }
+   * @throws {Error} Si un critère est invalide (status 400)
+   */
+  parseFilters(query = {}) {
+    const filters = {};
+    for (const key of ['user', 'host', 'table', 'chain', 'q']) {
+      if (query[key]) filters[key] = String(query[key]);
+    }
+    if (query.result) {
+      if (!RESULTS.includes(query.result)) {
+        throw httpError(400, `Résultat invalide: ${query.result} (attendu: ${RESULTS.join(', ')})`);
+      }
+      filters.result = query.result;
+    }
+    for (const key of ['from', 'to']) {
+      if (!query[key]) continue;
+      const date = new Date(query[key]);
+      if (Number.isNaN(date.getTime())) {
+        throw httpError(400, `Date invalide pour ${key}: ${query[key]}`);
+      }
+      // Une date sans heure inclut toute la journée (UTC)
+      if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+        date.setUTCHours(23, 59, 59, 999);
+      }
+      filters[key] = date;
+    }
+    if (query.limit !== undefined && query.limit !== '') {
+      const limit = Number(query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw httpError(400, `La limite doit être un entier entre 1 et ${MAX_LIMIT}`);
+      }
+      filters.limit = limit;
+    }
+    if (query.offset !== undefined && query.offset !== '') {
+      const offset = Number(query.offset);
+      if (!Number.isInteger(offset) || offset < 0) {
+        throw httpError(400, 'Le décalage doit être un entier positif');
+      }
+      filters.offset = offset;
+    }
+    return filters;
+  }
+
+  /**
+   * Recherche des entrées du journal, de la plus récente à la plus ancienne
+   *
+   * user, host, table, chain et result doivent correspondre exactement ; q est
+   * recherché (sans casse) dans la commande, le message d'erreur et stderr ;
+   * from et to bornent la date (inclus).
+   *
+   * @param {Object} [filters={}] - Critères (voir parseFilters)
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.all=false] - Toutes les entrées correspondantes (export), sans limit ni offset
+   * @returns {Object} { total, entries }
+   */
+  search(filters = {}, options = {}) {
+    const q = filters.q ? filters.q.toLowerCase() : null;
+    const matches = this.readAll().filter(entry => {
+      for (const key of ['user', 'host', 'table', 'chain', 'result']) {
+        if (filters[key] && entry[key] !== filters[key]) return false;
+      }
+      const date = new Date(entry.timestamp);
+      if (filters.from && date < filters.from) return false;
+      if (filters.to && date > filters.to) return false;
+      if (q && ![entry.command, entry.error, entry.stderr].some(v => v && v.toLowerCase().includes(q))) {
+        return false;
+      }
+      return true;
+    }).reverse();
+
+    if (options.all) {
+      return { total: matches.length, entries: matches };
+    }
+    const offset = filters.offset || 0;
+    return { total: matches.length, entries: matches.slice(offset, offset + (filters.limit || DEFAULT_LIMIT)) };
+  }
+
+  /**
+   * Exporte des entrées au format JSON Lines
+   *
+   * @param {Array<Object>} entries - Entrées du journal
+   * @returns {string} Une entrée JSON par ligne
+   */
+  toJsonLines(entries) {
+    return entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+  }
+
+  /**
+   * Exporte des entrées au format CSV (séparateur virgule, ligne d'en-tête)
+   *
+   * @param {Array<Object>} entries - Entrées du journal
+   * @returns {string} Texte CSV
+   */
+  toCsv(entries) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const entry of entries) {
+      lines.push(CSV_COLUMNS.map(column => csvCell(entry[column])).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Déduit la table et la chaîne visées par une commande de modification
+   *
+   * Reconnaît les commandes iptables/ip6tables (-t, puis la chaîne suivant
+   * l'opération), nft (add/insert/delete/replace rule|chain et reset rules
+   * famille table chaîne) et les restaurations complètes (tables lues dans
+   * l'entrée standard).
+   *
+   * @param {string} command - Commande shell (ex: 'sudo iptables -t nat -A PREROUTING ...')
+   * @param {string} [input] - Entrée standard de la commande (iptables-restore, nft -f -)
+   * @returns {{table: string|null, chain: string|null}} Table(s) séparées par des virgules et chaîne
+   */
+  describeCommand(command, input) {
+    const words = String(command).trim().split(/\s+/);
+    while (words[0] === 'sudo' || words[0] === '-n') words.shift();
+    const executable = words[0] || '';
+
+    if (input !== undefined && input !== null) {
+      return describeInput(input);
+    }
+
+    if (/^ip6?tables$/.test(executable)) {
+      const tableIndex = words.findIndex(w => w === '-t' || w === '--table');
+      const operation = words.findIndex(w => CHAIN_OPERATIONS.includes(w));
+      const chain = operation !== -1 ? words[operation + 1] : undefined;
+      return {
+        table: tableIndex !== -1 ? words[tableIndex + 1] || null : 'filter',
+        chain: chain && !chain.startsWith('-') ? chain : null
+      };
+    }
+
+    if (executable === 'nft') {
+      const [, , object, family, table, chain] = words;
+      if (['rule', 'rules', 'chain'].includes(object) && family && table) {
+        return { table: `${family} ${table}`, chain: chain && !chain.startsWith('{') ? chain : null };
+      }
+    }
+
+    return { table: null, chain: null };
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,358 @@
+/**
+ * Service de gestion des modifications préparées (changesets)
+ *
+ * Plutôt que d'exécuter chaque ajout ou suppression immédiatement, les
+ * modifications sont mises en file d'attente par session. Elles peuvent être
+ * prévisualisées sur le jeu de règles complet qui en résulte, puis appliquées
+ * en une seule fois via iptables-restore : soit tout est appliqué, soit rien.
+ *
+ * Types de modifications:
+ * - add:    { type: 'add', table, chain, rule }              Ajout en fin de chaîne
+ * - insert: { type: 'insert', table, chain, position, rule } Insertion à une position
+ * - delete: { type: 'delete', table, chain, position }       Suppression d'une règle
+ * - policy: { type: 'policy', table, chain, policy }         Politique par défaut
+ *
+ * Chaque famille d'adresses (ipv4: iptables, ipv6: ip6tables) a sa propre file.
+ * Les modifications préparées reposent sur iptables-restore : elles ne sont pas
+ * disponibles pour un hôte en nftables natif.
+ *
+ * @module services/changeset-service
+ * @requires crypto
+ * @requires ./ssh-service
+ * @requires ./rule-model
+ */
+
+const crypto = require('crypto');
+const sshService = require('./ssh-service');
+const ruleModel = require('./rule-model');
+
+/**
+ * Types de modifications acceptés
+ */
+const CHANGE_TYPES = ['add', 'insert', 'delete', 'policy'];
+
+/**
+ * Crée une erreur portant un code HTTP
+ *
+ * @param {number} status - Code HTTP à renvoyer
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur avec la propriété status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Classe ChangesetService
+ * Gère les files de modifications préparées de chaque session
+ */
+class ChangesetService {
+  /**
+   * Constructeur
+   * Initialise la Map des modifications préparées
+   */
+  constructor() {
+    // Map<connectionKey:family, Array<Object>> - Modifications en attente, dans l'ordre d'application,
+    // par session, par hôte et par famille (une file préparée pour un hôte ne s'applique jamais à un autre)
+    this.changesets = new Map();
+  }
+
+  /**
+   * Retourne la clé de la file d'attente de l'hôte actif d'une session
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} [family='ipv4'] - Famille d'adresses
+   * @returns {string} Clé session / hôte / famille (voir SSHService.getConnectionKey)
+   */
+  key(sessionId, family = 'ipv4') {
+    return `${sshService.getConnectionKey(sessionId)}:${family}`;
+  }
+
+  // ==========================================================================
+  // GESTION DE LA FILE D'ATTENTE
+  // ==========================================================================
+
+  /**
+   * Retourne les modifications préparées pour l'hôte actif d'une session
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} [family='ipv4'] - Famille d'adresses
+   * @returns {Array<Object>} Modifications dans l'ordre d'application
+   */
+  list(sessionId, family = 'ipv4') {
+    return this.changesets.get(this.key(sessionId, family)) || [];
+  }
+
+  /**
+   * Valide une modification avant de la mettre en file d'attente
+   *
+   * @param {Object} change - Modification à valider
+   * @param {string} [family='ipv4'] - Famille d'adresses de la règle
+   * @returns {Array<string>} Liste des erreurs (vide si la modification est valide)
+   */
+  validateChange(change, family = 'ipv4') {
+    const errors = [];
+
+    if (!change || !CHANGE_TYPES.includes(change.type)) {
+      return [`Type de modification inconnu (attendu: ${CHANGE_TYPES.join(', ')})`];
+    }
+    if (!ruleModel.TABLES.includes(change.table)) {
+      errors.push(`Table inconnue: ${change.table}`);
+    }
+    if (!change.chain || !ruleModel.PATTERNS.chain.test(change.chain)) {
+      errors.push('Chaîne manquante ou invalide');
+    }
+
+    if (change.type === 'insert' || change.type === 'delete') {
+      const position = Number(change.position);
+      if (!Number.isInteger(position) || position < 1) {
+        errors.push('La position doit être un entier supérieur ou égal à 1');
+      }
+    }
+
+    if (change.type === 'add' || change.type === 'insert') {
+      if (typeof change.rule === 'string') {
+        errors.push('Les commandes brutes (mode expert) ne peuvent pas être préparées');
+      } else {
+        const { errors: ruleErrors } = ruleModel.validateRule({
+          ...change.rule,
+          table: change.table,
+          chain: change.chain
+        }, family);
+        errors.push(...ruleErrors);
+      }
+    }
+
+    if (change.type === 'policy' && !ruleModel.POLICIES.includes(change.policy)) {
+      errors.push(`Politique invalide (attendu: ${ruleModel.POLICIES.join(', ')})`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Ajoute une modification à la file d'attente d'une session
+   *
+   * Pour une suppression, le contenu de la règle visée est mémorisé : au moment
+   * de l'application, c'est ce contenu qui est supprimé, même si la règle a
+   * changé de position entre-temps.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {Object} change - Modification (voir l'en-tête du module)
+   * @param {string} [family='ipv4'] - Famille d'adresses
+   * @returns {Promise<Object>} Modification enregistrée (avec son id)
+   * @throws {Error} Si la modification est invalide (400), vise une règle inexistante (404)
+   *   ou si l'hôte utilise nftables (409)
+   */
+  async stage(sessionId, change, family = 'ipv4') {
+    sshService.requireIptables(sessionId);
+    const errors = this.validateChange(change, family);
+    if (errors.length > 0) {
+      const error = httpError(400, 'Modification invalide');
+      error.errors = errors;
+      throw error;
+    }
+
+    const staged = {
+      id: crypto.randomBytes(4).toString('hex'),
+      type: change.type,
+      table: change.table,
+      chain: change.chain
+    };
+
+    if (change.type === 'add' || change.type === 'insert') {
+      staged.rule = { ...change.rule, table: change.table, chain: change.chain };
+      staged.description = ruleModel.toRestoreLine(ruleModel.buildRuleSpec(staged.rule, family));
+    }
+    if (change.type === 'insert') {
+      staged.position = Number(change.position);
+    }
+    if (change.type === 'policy') {
+      staged.policy = change.policy;
+    }
+    if (change.type === 'delete') {
+      // Mémorise la règle visée telle qu'elle apparaît après les modifications déjà préparées
+      staged.position = Number(change.position);
+      const { tables } = await this.preview(sessionId, family);
+      const chainObj = (tables[change.table] || []).find(c => c.chain === change.chain);
+      const target = chainObj && chainObj.rules[staged.position - 1];
+      if (!target) {
+        throw httpError(404, `Règle ${staged.position} introuvable dans ${change.table}/${change.chain}`);
+      }
+      staged.expected = target.content;
+      staged.description = target.content;
+    }
+
+    const changes = this.list(sessionId, family).slice();
+    changes.push(staged);
+    this.changesets.set(this.key(sessionId, family), changes);
+    return staged;
+  }
+
+  /**
+   * Retire une modification de la file d'attente
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} changeId - ID de la modification
+   * @param {string} [family='ipv4'] - Famille d'adresses
+   * @returns {boolean} true si la modification a été retirée
+   */
+  remove(sessionId, changeId, family = 'ipv4') {
+    const changes = this.list(sessionId, family);
+    const remaining = changes.filter(c => c.id !== changeId);
+    this.changesets.set(this.key(sessionId, family), remaining);
+    return remaining.length !== changes.length;
+  }
+
+  /**
+   * Abandonne toutes les modifications préparées d'une session
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} [family='ipv4'] - Famille d'adresses
+   */
+  discard(sessionId, family = 'ipv4') {
+    this.changesets.delete(this.key(sessionId, family));
+  }
+
+  // ==========================================================================
+  // PRÉVISUALISATION ET APPLICATION
+  // ==========================================================================
+
+  /**
+   * Applique une liste de modifications à une configuration parsée (en mémoire)
+   *
+   * Ne touche pas au serveur distant. La configuration d'entrée n'est pas modifiée.
+   *
+   * @param {Object} live - Configuration issue de parseIptablesSave
+   * @param {Array<Object>} changes - Modifications à appliquer dans l'ordre
+   * @param {string} [family='ipv4'] - Famille d'adresses des règles ajoutées
+   * @returns {{tables: Object, touchedTables: Array<string>}} Configuration résultante
+   *   et liste des tables modifiées
+   * @throws {Error} Si une modification ne peut plus s'appliquer (status 409)
+   */
+  computeResult(live, changes, family = 'ipv4') {
+    const tables = JSON.parse(JSON.stringify(live));
+    const touched = new Set();
+
+    for (const change of changes) {
+      const chainObj = (tables[change.table] || []).find(c => c.chain === change.chain);
+      if (!chainObj) {
+        throw httpError(409, `La chaîne ${change.table}/${change.chain} n'existe pas`);
+      }
+
+      switch (change.type) {
+        case 'add':
+        case 'insert': {
+          const spec = ruleModel.buildRuleSpec(change.rule, family);
+          const content = ruleModel.toRestoreLine(spec);
+          const rule = {
+            raw: `-A ${change.chain} ${content}`,
+            content,
+            parsed: sshService.parseRuleContent(content)
+          };
+          if (change.type === 'add') {
+            chainObj.rules.push(rule);
+          } else {
+            if (change.position > chainObj.rules.length + 1) {
+              throw httpError(409, `Position ${change.position} hors de la chaîne ${change.chain} (${chainObj.rules.length} règles)`);
+            }
+            chainObj.rules.splice(change.position - 1, 0, rule);
+          }
+          break;
+        }
+        case 'delete': {
+          // Priorité à la position, sinon recherche du contenu mémorisé
+          let index = change.position - 1;
+          if (!chainObj.rules[index] || chainObj.rules[index].content !== change.expected) {
+            index = chainObj.rules.findIndex(r => r.content === change.expected);
+          }
+          if (index === -1) {
+            throw httpError(409, `La règle à supprimer n'existe plus dans ${change.chain}: ${change.expected}`);
+          }
+          chainObj.rules.splice(index, 1);
+          break;
+        }
+        case 'policy':
+          if (chainObj.policy === '-') {
+            throw httpError(409, `La chaîne utilisateur ${change.chain} n'a pas de politique par défaut`);
+          }
+          chainObj.policy = change.policy;
+          break;
+      }
+
+      touched.add(change.table);
+    }
+
+    return { tables, touchedTables: [...touched] };
+  }
+
+  /**
+   * Prévisualise le jeu de règles qui résulterait des modifications préparées
+   *
+   * Les modifications sont rejouées sur la configuration actuelle du serveur
+   * (récupérée via iptables-save ou ip6tables-save), sans rien modifier.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} [family='ipv4'] - Famille d'adresses
+   * @returns {Promise<Object>} { changes, tables, touchedTables, ruleset }
+   *   ruleset: texte iptables-restore des seules tables modifiées
+   * @throws {Error} Si l'hôte utilise nftables (409)
+   */
+  async preview(sessionId, family = 'ipv4') {
+    sshService.requireIptables(sessionId);
+    const { save } = ruleModel.getFamily(family);
+    const changes = this.list(sessionId, family);
+    const output = await sshService.executeCommand(sessionId, `sudo ${save}`);
+    const live = sshService.parseIptablesSave(output);
+    const { tables, touchedTables } = this.computeResult(live, changes, family);
+
+    return {
+      changes,
+      tables,
+      touchedTables,
+      ruleset: sshService.serializeIptablesSave(tables, touchedTables)
+    };
+  }
+
+  /**
+   * Applique toutes les modifications préparées en une seule opération
+   *
+   * Le jeu de règles résultant est d'abord vérifié avec iptables-restore --test,
+   * puis chargé avec iptables-restore. En cas d'échec, la configuration active
+   * n'est pas modifiée et les modifications restent en file d'attente.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si aucune modification n'est préparée (400) ou si l'application échoue
+   */
+  async apply(sessionId, options = {}) {
+    const family = ruleModel.getFamily(options.family);
+    const count = this.list(sessionId, family.name).length;
+    if (count === 0) {
+      throw httpError(400, 'Aucune modification à appliquer');
+    }
+
+    const { ruleset } = await this.preview(sessionId, family.name);
+
+    // Vérification complète avant tout changement : iptables-restore valide table par table
+    await sshService.executeCommand(sessionId, `sudo ${family.restore} --test`, { input: ruleset });
+
+    const pendingConfirmation = await sshService.applyChange(
+      sessionId,
+      `sudo ${family.restore}`,
+      { ...options, family: family.name, input: ruleset }
+    );
+
+    this.discard(sessionId, family.name);
+    return {
+      success: true,
+      message: `${count} modification(s) appliquée(s)`,
+      pendingConfirmation
+    };
+  }
+}
+
+module.exports = new ChangesetService();
@@ -0,0 +1,221 @@
+/**
+ * Service de suivi des compteurs en direct
+ *
+ * Relit périodiquement les compteurs de paquets et d'octets de toutes les
+ * règles de l'hôte actif (iptables -L -v -x, ou nft -j list ruleset) et
+ * calcule leur débit depuis la lecture précédente. Chaque lecture est
+ * transmise à l'appelant (flux Server-Sent Events, voir GET /counters/stream)
+ * avec les règles les plus actives ("hot rules").
+ *
+ * Une règle est suivie d'une lecture à l'autre par sa table, sa chaîne, sa
+ * position et son empreinte : une règle déplacée, modifiée ou dont les
+ * compteurs ont été remis à zéro repart sans débit (null) pour une lecture.
+ *
+ * @module services/counter-monitor
+ * @requires ./ssh-service
+ */
+
+const sshService = require('./ssh-service');
+
+/**
+ * Intervalle de lecture par défaut, en secondes (variable COUNTERS_INTERVAL)
+ */
+const DEFAULT_INTERVAL = Number(process.env.COUNTERS_INTERVAL) || 5;
+
+/**
+ * Bornes de l'intervalle de lecture, en secondes
+ */
+const MIN_INTERVAL = 1;
+const MAX_INTERVAL = 300;
+
+/**
+ * Nombre de règles les plus actives transmises à chaque lecture
+ */
+const HOT_RULES_LIMIT = 10;
+
+/**
+ * Crée une erreur portant un code HTTP
+ *
+ * @param {number} status - Code HTTP à renvoyer
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur avec la propriété status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Calcule un débit par seconde entre deux valeurs de compteur
+ *
+ * @param {number|null} before - Valeur à la lecture précédente
+ * @param {number|null} after - Valeur actuelle
+ * @param {number} elapsed - Secondes écoulées
+ * @returns {number|null} Débit arrondi au centième, null si incalculable (remise à zéro...)
+ */
+function rate(before, after, elapsed) {
+  if (before === null || before === undefined || after === null || after < before || elapsed <= 0) {
+    return null;
+  }
+  return Math.round(((after - before) / elapsed) * 100) / 100;
+}
+
+/**
+ * Classe CounterMonitor
+ * Lit les compteurs et calcule les débits des règles
+ */
+class CounterMonitor {
+  /**
+   * Lit l'intervalle de lecture demandé
+   *
+   * @param {*} value - Intervalle en secondes (query string), vide pour la valeur par défaut
+   * @returns {number} Intervalle en secondes
+   * @throws {Error} Si l'intervalle est hors limites (status 400)
+   */
+  parseInterval(value) {
+    if (value === undefined || value === null || value === '') {
+      return DEFAULT_INTERVAL;
+    }
+    const interval = Number(value);
+    if (!Number.isInteger(interval) || interval < MIN_INTERVAL || interval > MAX_INTERVAL) {
+      throw httpError(400, `L'intervalle doit être un entier entre ${MIN_INTERVAL} et ${MAX_INTERVAL} secondes`);
+    }
+    return interval;
+  }
+
+  /**
+   * Extrait les compteurs d'une lecture des règles
+   *
+   * Les règles sans compteur (règle nftables sans instruction counter) et les
+   * ensembles nftables sont ignorés.
+   *
+   * @param {Object} tables - Chaînes groupées par table (voir SSHService.readCounters)
+   * @param {number} [at=Date.now()] - Date de la lecture (millisecondes)
+   * @returns {Object} { at, rules: [{ table, chain, num, fingerprint, target, spec, pkts, bytes }],
+   *   chains: [{ table, chain, policy, packets, bytes }] }
+   */
+  sample(tables, at = Date.now()) {
+    const rules = [];
+    const chains = [];
+
+    for (const [table, tableChains] of Object.entries(tables)) {
+      for (const chain of tableChains.filter(c => !c.set)) {
+        if (chain.packets !== null && chain.packets !== undefined) {
+          chains.push({ table, chain: chain.chain, policy: chain.policy, packets: chain.packets, bytes: chain.bytes });
+        }
+        for (const rule of chain.rules) {
+          if (rule.pkts === null || rule.pkts === undefined) continue;
+          rules.push({
+            table,
+            chain: chain.chain,
+            num: rule.num,
+            fingerprint: rule.fingerprint || null,
+            target: rule.target,
+            spec: rule.spec || rule.extra || '',
+            pkts: rule.pkts,
+            bytes: rule.bytes
+          });
+        }
+      }
+    }
+
+    return { at, rules, chains };
+  }
+
+  /**
+   * Complète une lecture avec les débits depuis la lecture précédente
+   *
+   * Chaque règle reçoit pps (paquets/s) et bps (octets/s), chaque chaîne
+   * les mêmes champs pour les compteurs de sa politique.
+   *
+   * @param {Object|null} previous - Lecture précédente (voir sample), null pour la première
+   * @param {Object} current - Lecture actuelle (voir sample)
+   * @returns {Object} La lecture actuelle, complétée
+   */
+  computeRates(previous, current) {
+    const elapsed = previous ? (current.at - previous.at) / 1000 : 0;
+    const ruleKey = r => `${r.table}/${r.chain}/${r.num}/${r.fingerprint}`;
+    const chainKey = c => `${c.table}/${c.chain}`;
+    const previousRules = new Map(previous ? previous.rules.map(r => [ruleKey(r), r]) : []);
+    const previousChains = new Map(previous ? previous.chains.map(c => [chainKey(c), c]) : []);
+
+    for (const rule of current.rules) {
+      const before = previousRules.get(ruleKey(rule)) || {};
+      rule.pps = rate(before.pkts, rule.pkts, elapsed);
+      rule.bps = rate(before.bytes, rule.bytes, elapsed);
+    }
+    for (const chain of current.chains) {
+      const before = previousChains.get(chainKey(chain)) || {};
+      chain.pps = rate(before.packets, chain.packets, elapsed);
+      chain.bps = rate(before.bytes, chain.bytes, elapsed);
+    }
+    return current;
+  }
+
+  /**
+   * Retourne les règles les plus actives d'une lecture, par débit décroissant
+   *
+   * @param {Array<Object>} rules - Règles d'une lecture complétée par computeRates
+   * @param {number} [limit=HOT_RULES_LIMIT] - Nombre maximal de règles
+   * @returns {Array<Object>} Règles ayant vu passer du trafic depuis la lecture précédente
+   */
+  hotRules(rules, limit = HOT_RULES_LIMIT) {
+    return rules
+      .filter(r => r.pps > 0 || r.bps > 0)
+      .sort((a, b) => b.bps - a.bps || b.pps - a.pps)
+      .slice(0, limit);
+  }
+
+  /**
+   * Lit les compteurs de l'hôte actif à intervalle régulier
+   *
+   * Une lecture ne commence qu'après la fin de la précédente : un hôte lent
+   * espace les lectures au lieu de les empiler. Une lecture en échec est
+   * signalée puis la suivante est tentée normalement.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} family - Famille d'adresses
+   * @param {number} interval - Intervalle entre deux lectures, en secondes (voir parseInterval)
+   * @param {Function} onSample - Appelée à chaque lecture avec
+   *   { at (ISO 8601), interval, rules, chains, hot }
+   * @param {Function} onError - Appelée avec l'erreur d'une lecture en échec
+   * @returns {Function} Arrête le suivi
+   */
+  watch(sessionId, family, interval, onSample, onError) {
+    let previous = null;
+    let stopped = false;
+    let timer = null;
+
+    const poll = async () => {
+      try {
+        const tables = await sshService.readCounters(sessionId, family);
+        if (stopped) return;
+        const current = this.computeRates(previous, this.sample(tables));
+        previous = current;
+        onSample({
+          at: new Date(current.at).toISOString(),
+          interval,
+          rules: current.rules,
+          chains: current.chains,
+          hot: this.hotRules(current.rules)
+        });
+      } catch (error) {
+        if (stopped) return;
+        onError(error);
+      }
+      // Le suivi a pu être arrêté pendant onSample ou onError (ex: client SSE parti)
+      if (!stopped) {
+        timer = setTimeout(poll, interval * 1000);
+      }
+    };
+
+    poll();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }
+}
+
+module.exports = new CounterMonitor();
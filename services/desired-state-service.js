@@ -0,0 +1,604 @@
+/**
+ * Service d'état déclaré (plan / apply)
+ *
+ * Un fichier YAML ou JSON, tenu par exemple dans un dépôt git, décrit l'état
+ * voulu du pare-feu d'un hôte ou d'un groupe d'hôtes :
+ *
+ *   family: ipv4                  # facultatif, ipv4 par défaut
+ *   tables:
+ *     filter:
+ *       INPUT:
+ *         policy: DROP            # politique gérée (facultatif)
+ *         sections:               # sections gérées, dans l'ordre
+ *           base:
+ *             - -i lo -j ACCEPT
+ *           ssh:
+ *             - { protocol: tcp, destPort: "22", target: ACCEPT }
+ *       WEB:
+ *         rules:                  # chaîne gérée en entier
+ *           - -p tcp -m tcp --dport 80 -j ACCEPT
+ *
+ * Les règles d'une section sont marquées sur l'hôte par un commentaire
+ * "iptables-manager:<section>" : dans une chaîne à sections, seules les règles
+ * marquées sont gérées, les autres (Docker, fail2ban...) ne sont jamais
+ * touchées. Une chaîne déclarée avec rules appartient entièrement au fichier.
+ * Les chaînes absentes du fichier ne sont pas touchées.
+ *
+ * Le plan compare l'état déclaré à la configuration active lue par
+ * parseIptablesSave : règles à ajouter, à supprimer ou à déplacer, politiques
+ * et chaînes à créer. Il est appliqué en une seule opération
+ * (iptables-restore --noflush avec des lignes -D et -I), ce qui laisse en
+ * place les règles non gérées et leurs compteurs.
+ *
+ * Les fichiers peuvent être envoyés à l'API, ou lus dans un répertoire
+ * (variable DESIRED_STATE_DIR, par défaut data/desired-state) :
+ * hosts/<hôte>.yaml pour un hôte de l'inventaire, sinon groups/<groupe>.yaml
+ * pour son groupe (.yml et .json acceptés, suffixe .ipv6 avant l'extension
+ * pour ip6tables, ex: hosts/prod-gw1.ipv6.yaml).
+ *
+ * @module services/desired-state-service
+ * @requires fs
+ * @requires path
+ * @requires js-yaml
+ * @requires ./ssh-service
+ * @requires ./rule-model
+ * @requires ./iptables-parser
+ * @requires ./ruleset-diff
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const sshService = require('./ssh-service');
+const ruleModel = require('./rule-model');
+const iptablesParser = require('./iptables-parser');
+const { diffRulesets, longestCommonSubsequence } = require('./ruleset-diff');
+
+/**
+ * Préfixe du commentaire qui marque les règles des sections gérées
+ */
+const TAG_PREFIX = 'iptables-manager:';
+
+/**
+ * Format des noms de section
+ */
+const SECTION_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+/**
+ * Extensions des fichiers d'état déclaré, par ordre de préférence
+ */
+const EXTENSIONS = ['yaml', 'yml', 'json'];
+
+/**
+ * Crée une erreur portant un code HTTP
+ *
+ * @param {number} status - Code HTTP à renvoyer
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur avec la propriété status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Contenu comparable d'une règle de la configuration active
+ *
+ * @param {Object} rule - Règle issue de parseIptablesSave ({ raw, content, parsed })
+ * @returns {string} Contenu sous la forme d'iptables-save
+ */
+function liveContent(rule) {
+  return rule.parsed ? iptablesParser.canonicalizeRule(rule.parsed) : rule.content.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Section gérée à laquelle appartient une règle de la configuration active
+ *
+ * @param {Object} rule - Règle issue de parseIptablesSave
+ * @returns {string|null} Nom de la section, null pour une règle non gérée
+ */
+function sectionOf(rule) {
+  if (!rule.parsed) {
+    return null;
+  }
+  for (const match of rule.parsed.matches) {
+    if (match.module !== 'comment') continue;
+    const comment = match.options.find(o => o.option === '--comment');
+    if (comment && String(comment.values[0]).startsWith(TAG_PREFIX)) {
+      return String(comment.values[0]).slice(TAG_PREFIX.length);
+    }
+  }
+  return null;
+}
+
+/**
+ * Convertit une règle de l'état déclaré en contenu iptables-save
+ *
+ * @param {string|Object} rule - Contenu ('-p tcp --dport 22 -j ACCEPT') ou règle structurée (voir rule-model)
+ * @param {string} chain - Chaîne qui contient la règle
+ * @param {string} family - Famille d'adresses
+ * @param {string|null} section - Section de la règle (marque ajoutée), null dans une chaîne gérée en entier
+ * @param {Array<string>} errors - Erreurs de validation (complétées)
+ * @param {string} where - Emplacement de la règle, pour les messages
+ * @returns {string|null} Contenu de la règle, null si elle est invalide
+ */
+function desiredContent(rule, chain, family, section, errors, where) {
+  let text;
+  if (typeof rule === 'string') {
+    text = rule;
+  } else if (rule && typeof rule === 'object' && !Array.isArray(rule)) {
+    const structured = { ...rule, chain };
+    delete structured.table;
+    const validation = ruleModel.validateRule(structured, family);
+    if (!validation.valid) {
+      validation.errors.forEach(error => errors.push(`${where}: ${error}`));
+      return null;
+    }
+    text = ruleModel.toRestoreLine(ruleModel.buildRuleSpec(structured, family));
+  } else {
+    errors.push(`${where}: règle invalide`);
+    return null;
+  }
+
+  // Une ligne par règle : un saut de ligne ajouterait des commandes au script appliqué
+  if (!text.trim() || /[\r\n]/.test(text)) {
+    errors.push(`${where}: contenu vide ou sur plusieurs lignes`);
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = iptablesParser.parseRule(text);
+  } catch (error) {
+    errors.push(`${where}: ${error.message}`);
+    return null;
+  }
+  if (text.includes(TAG_PREFIX)) {
+    errors.push(`${where}: le commentaire ${TAG_PREFIX}... est réservé aux sections`);
+    return null;
+  }
+
+  if (section) {
+    parsed.matches.push({
+      module: 'comment',
+      implicit: false,
+      options: [{ option: '--comment', values: [`${TAG_PREFIX}${section}`], negated: false, quoted: false }]
+    });
+  }
+  return iptablesParser.canonicalizeRule(parsed);
+}
+
+/**
+ * Valide un document d'état déclaré et calcule le contenu de ses règles
+ *
+ * @param {Object} document - Document (voir l'en-tête du module)
+ * @param {string} family - Famille d'adresses attendue
+ * @returns {Object} { family, tables: { table: [{ chain, policy, owned, managesRules, position, rules: [contenu] }] } }
+ *   owned: chaîne gérée en entier ; managesRules: false pour une chaîne déclarée pour sa seule politique
+ * @throws {Error} Si le document est invalide (status 400, propriété errors renseignée)
+ */
+function normalizeDocument(document, family) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw httpError(400, 'L\'état déclaré doit être un objet { family, tables }');
+  }
+  if (document.family && document.family !== family) {
+    throw httpError(400, `L'état déclaré concerne la famille ${document.family}, pas ${family}`);
+  }
+  if (!document.tables || typeof document.tables !== 'object' || Array.isArray(document.tables)) {
+    throw httpError(400, 'tables doit être un objet { table: { chaîne: {...} } }');
+  }
+
+  const errors = [];
+  const tables = {};
+  for (const [table, chains] of Object.entries(document.tables)) {
+    if (!ruleModel.TABLES.includes(table)) {
+      errors.push(`Table inconnue: ${table}`);
+      continue;
+    }
+    if (!chains || typeof chains !== 'object' || Array.isArray(chains)) {
+      errors.push(`${table}: les chaînes doivent être un objet { chaîne: {...} }`);
+      continue;
+    }
+
+    tables[table] = [];
+    for (const [chain, spec] of Object.entries(chains)) {
+      const where = `${table}/${chain}`;
+      if (!ruleModel.PATTERNS.chain.test(chain)) {
+        errors.push(`${where}: nom de chaîne invalide`);
+        continue;
+      }
+      if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        errors.push(`${where}: la chaîne doit être un objet { policy, sections } ou { policy, rules }`);
+        continue;
+      }
+
+      const builtin = ruleModel.BUILTIN_CHAINS[table].includes(chain);
+      if (spec.policy !== undefined && (!builtin || !ruleModel.POLICIES.includes(spec.policy))) {
+        errors.push(builtin
+          ? `${where}: politique invalide: ${spec.policy}`
+          : `${where}: une chaîne utilisateur n'a pas de politique`);
+      }
+      if (spec.position !== undefined && !['top', 'bottom'].includes(spec.position)) {
+        errors.push(`${where}: position invalide: ${spec.position} (attendu: top ou bottom)`);
+      }
+      if (spec.sections !== undefined && spec.rules !== undefined) {
+        errors.push(`${where}: sections et rules ne peuvent pas être utilisés ensemble`);
+        continue;
+      }
+
+      const rules = [];
+      if (spec.rules !== undefined) {
+        if (!Array.isArray(spec.rules)) {
+          errors.push(`${where}: rules doit être une liste`);
+          continue;
+        }
+        spec.rules.forEach((rule, index) => {
+          rules.push(desiredContent(rule, chain, family, null, errors, `${where} règle ${index + 1}`));
+        });
+      } else if (spec.sections !== undefined) {
+        if (!spec.sections || typeof spec.sections !== 'object' || Array.isArray(spec.sections)) {
+          errors.push(`${where}: sections doit être un objet { section: [règles] }`);
+          continue;
+        }
+        for (const [section, sectionRules] of Object.entries(spec.sections)) {
+          if (!SECTION_PATTERN.test(section)) {
+            errors.push(`${where}: nom de section invalide: ${section}`);
+            continue;
+          }
+          if (!Array.isArray(sectionRules)) {
+            errors.push(`${where}/${section}: la section doit être une liste de règles`);
+            continue;
+          }
+          sectionRules.forEach((rule, index) => {
+            rules.push(desiredContent(rule, chain, family, section, errors, `${where}/${section} règle ${index + 1}`));
+          });
+        }
+      }
+
+      tables[table].push({
+        chain,
+        policy: spec.policy || null,
+        owned: spec.rules !== undefined,
+        managesRules: spec.rules !== undefined || spec.sections !== undefined,
+        position: spec.position || 'top',
+        rules
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = httpError(400, 'État déclaré invalide');
+    error.errors = errors;
+    throw error;
+  }
+  return { family, tables };
+}
+
+/**
+ * Calcule les suppressions et insertions qui amènent une chaîne à l'état déclaré
+ *
+ * Les règles gérées déjà dans le bon ordre (plus longue sous-séquence commune
+ * avec l'état déclaré) restent en place ; les autres règles gérées sont
+ * supprimées et les règles manquantes insérées juste après la règle déclarée
+ * qui les précède (ou avant celle qui les suit). Les règles non gérées ne
+ * bougent pas.
+ *
+ * @param {Array<Object>} liveRules - Règles actives de la chaîne (format parseIptablesSave)
+ * @param {Array<string>} desired - Contenu des règles gérées, dans l'ordre voulu
+ * @param {Object} options - { owned: chaîne gérée en entier, position: 'top'|'bottom' (sans règle gérée en place) }
+ * @returns {Object} { deletions: [positions, décroissantes], insertions: [{ position, content }], rules: [contenu final] }
+ */
+function reconcileChain(liveRules, desired, { owned, position }) {
+  const working = liveRules.map(rule => ({ content: liveContent(rule), managed: owned || sectionOf(rule) !== null }));
+  const managed = working.filter(entry => entry.managed);
+  const { inA, inB } = longestCommonSubsequence(managed.map(entry => entry.content), desired);
+
+  // Règles gérées conservées, associées dans l'ordre aux règles déclarées
+  const keptLive = managed.filter((_, index) => inA.has(index));
+  const keptDesired = new Map([...inB].sort((a, b) => a - b).map((index, k) => [index, keptLive[k]]));
+
+  const deletions = [];
+  managed.forEach((entry, index) => {
+    if (!inA.has(index)) {
+      deletions.push(working.indexOf(entry) + 1);
+    }
+  });
+  deletions.sort((a, b) => b - a).forEach(num => working.splice(num - 1, 1));
+
+  const insertions = [];
+  let previous = null;
+  desired.forEach((content, index) => {
+    if (keptDesired.has(index)) {
+      previous = keptDesired.get(index);
+      return;
+    }
+
+    let at;
+    if (previous) {
+      at = working.indexOf(previous) + 1;
+    } else {
+      const next = [...keptDesired.entries()].find(([desiredIndex]) => desiredIndex > index);
+      at = next ? working.indexOf(next[1]) : (position === 'bottom' ? working.length : 0);
+    }
+    const entry = { content, managed: true };
+    working.splice(at, 0, entry);
+    insertions.push({ position: at + 1, content });
+    previous = entry;
+  });
+
+  return { deletions, insertions, rules: working.map(entry => entry.content) };
+}
+
+/**
+ * Calcule le plan qui amène une configuration à l'état déclaré
+ *
+ * @param {Object} live - Configuration active (format parseIptablesSave)
+ * @param {Object} state - État déclaré normalisé (voir normalizeDocument)
+ * @returns {Object} { diff, script, result }
+ *   diff: de la configuration active vers l'état déclaré, sur les chaînes gérées (voir ruleset-diff) ;
+ *   script: entrée d'iptables-restore --noflush ('' si l'hôte est conforme) ;
+ *   result: tables modifiées, telles qu'elles seront après application
+ */
+function computePlan(live, state) {
+  const from = {};
+  const to = {};
+  const result = {};
+  const script = [];
+
+  for (const [table, chains] of Object.entries(state.tables)) {
+    const liveChains = live[table] || [];
+    const lines = [];
+    const ruleLines = [];
+    result[table] = JSON.parse(JSON.stringify(liveChains));
+    from[table] = [];
+    to[table] = [];
+
+    for (const spec of chains) {
+      const builtin = ruleModel.BUILTIN_CHAINS[table].includes(spec.chain);
+      // Une table jamais chargée n'apparaît pas dans iptables-save : ses chaînes intégrées sont vides
+      const liveChain = liveChains.find(c => c.chain === spec.chain)
+        || (builtin ? { chain: spec.chain, policy: 'ACCEPT', rules: [] } : null);
+      const current = liveChain ? liveChain.rules : [];
+      let policy = liveChain ? liveChain.policy : '-';
+
+      if (!liveChain) {
+        lines.push(`:${spec.chain} - [0:0]`);
+      } else if (spec.policy && spec.policy !== liveChain.policy) {
+        // Avec --noflush, déclarer une chaîne intégrée ne change que sa politique
+        lines.push(`:${spec.chain} ${spec.policy} [0:0]`);
+        policy = spec.policy;
+      }
+
+      const { deletions, insertions, rules } = spec.managesRules
+        ? reconcileChain(current, spec.rules, spec)
+        : { deletions: [], insertions: [], rules: current.map(liveContent) };
+      deletions.forEach(num => ruleLines.push(`-D ${spec.chain} ${num}`));
+      insertions.forEach(({ position, content }) => ruleLines.push(`-I ${spec.chain} ${position} ${content}`));
+
+      const target = {
+        chain: spec.chain,
+        policy,
+        rules: rules.map(content => ({
+          raw: `-A ${spec.chain} ${content}`,
+          content,
+          parsed: sshService.parseRuleContent(content)
+        }))
+      };
+      if (liveChain) {
+        from[table].push({ ...liveChain, rules: current.map(rule => ({ ...rule, content: liveContent(rule) })) });
+      }
+      to[table].push(target);
+
+      const index = result[table].findIndex(c => c.chain === spec.chain);
+      if (index === -1) {
+        result[table].push(target);
+      } else {
+        result[table][index] = target;
+      }
+    }
+
+    if (lines.length > 0 || ruleLines.length > 0) {
+      script.push(`*${table}`, ...lines, ...ruleLines, 'COMMIT');
+    }
+  }
+
+  return {
+    diff: diffRulesets(from, to),
+    script: script.length > 0 ? `${script.join('\n')}\n` : '',
+    result
+  };
+}
+
+/**
+ * Classe DesiredStateService
+ * Lit les fichiers d'état déclaré, calcule et applique les plans
+ */
+class DesiredStateService {
+  /**
+   * Constructeur
+   *
+   * @param {string} [dir] - Répertoire des fichiers d'état déclaré
+   */
+  constructor(dir = process.env.DESIRED_STATE_DIR || path.join(__dirname, '..', 'data', 'desired-state')) {
+    this.dir = dir;
+  }
+
+  // ==========================================================================
+  // LECTURE
+  // ==========================================================================
+
+  /**
+   * Lit un état déclaré
+   *
+   * @param {string|Object} content - Texte YAML ou JSON, ou document déjà analysé
+   * @param {string} [family='ipv4'] - Famille d'adresses
+   * @returns {Object} État normalisé (voir normalizeDocument)
+   * @throws {Error} Si le contenu est illisible ou invalide (status 400)
+   */
+  parse(content, family = 'ipv4') {
+    const { name } = ruleModel.getFamily(family);
+    let document = content;
+    if (typeof content === 'string') {
+      const json = content.trim().startsWith('{');
+      try {
+        document = json ? JSON.parse(content) : yaml.safeLoad(content);
+      } catch (error) {
+        throw httpError(400, `État déclaré illisible (${json ? 'JSON' : 'YAML'}): ${error.message}`);
+      }
+    }
+    return normalizeDocument(document, name);
+  }
+
+  /**
+   * Cherche le fichier d'état déclaré d'un hôte de l'inventaire
+   *
+   * @param {Object} host - Hôte de l'inventaire ({ id, group })
+   * @param {string} [family='ipv4'] - Famille d'adresses
+   * @returns {string|null} Chemin du fichier, null si aucun
+   */
+  findFile(host, family = 'ipv4') {
+    const suffix = ruleModel.getFamily(family).name === 'ipv6' ? '.ipv6' : '';
+    const candidates = [path.join('hosts', host.id)];
+    if (host.group) {
+      candidates.push(path.join('groups', host.group));
+    }
+
+    for (const candidate of candidates) {
+      for (const extension of EXTENSIONS) {
+        const file = path.join(this.dir, `${candidate}${suffix}.${extension}`);
+        if (fs.existsSync(file)) {
+          return file;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Lit l'état déclaré de l'hôte actif dans le répertoire des fichiers
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} [family='ipv4'] - Famille d'adresses
+   * @returns {Object} { source, state } (source: chemin relatif au répertoire)
+   * @throws {Error} Si l'hôte n'est pas dans l'inventaire ou n'a pas de fichier (404)
+   */
+  loadForHost(sessionId, family = 'ipv4') {
+    const { profile } = sshService.getConfig(sessionId);
+    if (!profile) {
+      throw httpError(404, 'Hôte hors inventaire : envoyez le fichier d\'état déclaré');
+    }
+    const file = this.findFile(profile, family);
+    if (!file) {
+      throw httpError(404, `Aucun état déclaré pour ${profile.id} dans ${this.dir} (hosts/${profile.id}.yaml ou groups/<groupe>.yaml)`);
+    }
+    return { source: path.relative(this.dir, file), state: this.parse(fs.readFileSync(file, 'utf8'), family) };
+  }
+
+  // ==========================================================================
+  // PLAN / APPLY
+  // ==========================================================================
+
+  /**
+   * Lit l'état déclaré et la configuration active, et calcule le plan
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string|Object|null} content - État déclaré (voir parse), ou null pour le fichier de l'hôte
+   * @param {Object} family - Famille d'adresses (voir ruleModel.getFamily)
+   * @returns {Promise<Object>} { source, diff, script, result, fingerprint } (voir computePlan)
+   */
+  async prepare(sessionId, content, family) {
+    sshService.requireIptables(sessionId);
+    const { source, state } = content === null || content === undefined
+      ? this.loadForHost(sessionId, family.name)
+      : { source: null, state: this.parse(content, family.name) };
+
+    const output = await sshService.executeCommand(sessionId, `sudo ${family.save}`);
+    return {
+      source,
+      ...computePlan(sshService.parseIptablesSave(output), state),
+      fingerprint: ruleModel.rulesetFingerprint(output)
+    };
+  }
+
+  /**
+   * Calcule le plan de l'hôte actif sans rien modifier
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string|Object|null} content - État déclaré (voir parse), ou null pour le fichier de l'hôte
+   * @param {Object} [options={}] - { family }
+   * @returns {Promise<Object>} { source, family, identical, diff, script, fingerprint }
+   *   source: fichier lu dans le répertoire (null pour un état envoyé) ;
+   *   script: entrée d'iptables-restore --noflush ;
+   *   fingerprint: empreinte de la configuration active (à renvoyer à apply)
+   * @throws {Error} Si l'état déclaré est invalide (400) ou introuvable (404),
+   *   ou si l'hôte utilise nftables (409)
+   */
+  async plan(sessionId, content, options = {}) {
+    const family = ruleModel.getFamily(options.family);
+    const { source, diff, script, fingerprint } = await this.prepare(sessionId, content, family);
+    return { source, family: family.name, identical: script === '', diff, script, fingerprint };
+  }
+
+  /**
+   * Applique le plan de l'hôte actif en une seule opération
+   *
+   * Le plan est recalculé sur la configuration du moment. Avec
+   * options.fingerprint (empreinte renvoyée par plan), il est refusé si la
+   * configuration active a changé depuis : les positions du plan ne seraient
+   * plus les bonnes.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string|Object|null} content - État déclaré (voir plan)
+   * @param {Object} [options={}] - { fingerprint } et options de la modification
+   *   (voir SSHService.applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null, source, diff }
+   * @throws {Error} Si l'état déclaré est invalide (400), si la configuration active a changé (409),
+   *   si iptables-restore --test refuse le plan (400) ou si l'application échoue
+   */
+  async apply(sessionId, content, options = {}) {
+    const family = ruleModel.getFamily(options.family);
+    const { fingerprint, ...changeOptions } = options;
+    const plan = await this.prepare(sessionId, content, family);
+
+    if (fingerprint && fingerprint !== plan.fingerprint) {
+      throw httpError(409, 'La configuration active a changé depuis le plan : calculez-le à nouveau');
+    }
+    if (plan.script === '') {
+      return {
+        success: true,
+        message: 'Aucune modification : l\'hôte est conforme à l\'état déclaré',
+        pendingConfirmation: null,
+        source: plan.source,
+        diff: plan.diff
+      };
+    }
+
+    const command = `sudo ${family.restore} --noflush`;
+    try {
+      await sshService.executeCommand(sessionId, `${command} --test`, { input: plan.script });
+    } catch (error) {
+      const refused = httpError(400, `Plan refusé par ${family.restore} --test: ${(error.stderr || error.message).trim()}`);
+      refused.stderr = error.stderr;
+      throw refused;
+    }
+
+    const pendingConfirmation = await sshService.applyChange(sessionId, command, {
+      ...changeOptions,
+      family: family.name,
+      input: plan.script,
+      result: plan.result
+    });
+
+    const s = plan.diff.summary;
+    return {
+      success: true,
+      message: `État déclaré appliqué (${s.added} ajout(s), ${s.removed} suppression(s), ${s.moved} déplacement(s), ${s.policyChanges} politique(s))`,
+      pendingConfirmation,
+      source: plan.source,
+      diff: plan.diff
+    };
+  }
+}
+
+module.exports = new DesiredStateService();
@@ -0,0 +1,380 @@
+/**
+ * Service de déploiement sur un parc d'hôtes
+ *
+ * Applique une même modification (changement de règle ou jeu de règles complet)
+ * à plusieurs hôtes de l'inventaire. Pour chaque hôte, une connexion SSH dédiée
+ * est ouverte, puis:
+ *   1. Vérification préalable: lecture de la configuration (sudo iptables-save),
+ *      calcul du jeu de règles cible et validation avec iptables-restore --test
+ *   2. Diff entre la configuration active et la cible, et simulation du flux
+ *      SSH de la connexion (voir services/lockout-guard) : un hôte dont l'accès
+ *      SSH serait coupé est mis en échec, sauf avec allowLockout
+ *   3. Instantané local puis application via iptables-restore (sauf simulation),
+ *      inscrite au journal d'audit
+ *
+ * Les hôtes sont traités en parallèle dans la limite de `concurrency`. Dès que
+ * `maxFailures` échecs sont atteints, les hôtes restants ne sont pas traités.
+ *
+ * Modification à pousser (une seule des deux):
+ * - change:  { type: 'add'|'insert'|'policy', table, chain, ... } (format des modifications préparées)
+ *            { type: 'delete', table, chain, rule }  Suppression de la règle identique à `rule`
+ * - ruleset: texte au format iptables-save (seules les tables présentes sont remplacées)
+ *
+ * La famille d'adresses (`family`: 'ipv4' par défaut, ou 'ipv6') détermine les
+ * commandes utilisées (iptables-save/-restore ou ip6tables-save/-restore).
+ * Les hôtes en nftables natif sont signalés en échec sans être modifiés.
+ *
+ * @module services/fleet-service
+ * @requires crypto
+ * @requires ./ssh-service
+ * @requires ./changeset-service
+ * @requires ./inventory-service
+ * @requires ./snapshot-service
+ * @requires ./audit-service
+ * @requires ./rule-model
+ * @requires ./ruleset-diff
+ * @requires ./lockout-guard
+ */
+
+const crypto = require('crypto');
+const sshService = require('./ssh-service');
+const changesetService = require('./changeset-service');
+const inventoryService = require('./inventory-service');
+const snapshotService = require('./snapshot-service');
+const auditService = require('./audit-service');
+const ruleModel = require('./rule-model');
+const { diffRulesets } = require('./ruleset-diff');
+const lockoutGuard = require('./lockout-guard');
+
+/**
+ * Nombre maximal d'hôtes traités en parallèle
+ */
+const MAX_CONCURRENCY = 20;
+
+/**
+ * Crée une erreur portant un code HTTP
+ *
+ * @param {number} status - Code HTTP à renvoyer
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur avec la propriété status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Ne conserve que certaines tables d'une configuration parsée
+ *
+ * @param {Object} tables - Configuration issue de parseIptablesSave
+ * @param {Array<string>} names - Tables à conserver
+ * @returns {Object} Configuration restreinte
+ */
+function pickTables(tables, names) {
+  const picked = {};
+  for (const name of names) {
+    picked[name] = tables[name] || [];
+  }
+  return picked;
+}
+
+/**
+ * Classe FleetService
+ * Pousse une modification sur plusieurs hôtes et produit un rapport par hôte
+ */
+class FleetService {
+  // ==========================================================================
+  // PRÉPARATION
+  // ==========================================================================
+
+  /**
+   * Résout la liste des hôtes visés
+   *
+   * @param {Object} target - Sélection
+   * @param {Array<string>} [target.hostIds] - Identifiants d'hôtes de l'inventaire
+   * @param {string} [target.tag] - Étiquette
+   * @param {string} [target.group] - Groupe
+   * @returns {Array<Object>} Hôtes de l'inventaire
+   * @throws {Error} Si aucun hôte n'est sélectionné (400) ou si un identifiant est inconnu (404)
+   */
+  resolveHosts(target = {}) {
+    let hosts;
+    if (Array.isArray(target.hostIds) && target.hostIds.length > 0) {
+      hosts = target.hostIds.map(id => inventoryService.get(id));
+    } else if (target.tag || target.group) {
+      hosts = inventoryService.list({ tag: target.tag, group: target.group });
+    } else {
+      throw httpError(400, 'Sélectionnez des hôtes (hostIds), une étiquette (tag) ou un groupe (group)');
+    }
+
+    if (hosts.length === 0) {
+      throw httpError(400, 'Aucun hôte ne correspond à la sélection');
+    }
+    return hosts;
+  }
+
+  /**
+   * Valide la modification à pousser et la met sous une forme applicable
+   *
+   * @param {Object} payload - { change } ou { ruleset }
+   * @param {string} [family='ipv4'] - Famille d'adresses des règles
+   * @returns {Object} { kind: 'change', change, description } ou { kind: 'ruleset', tables, description }
+   * @throws {Error} Si la modification est invalide (status 400, propriété errors renseignée)
+   */
+  normalizePayload(payload, family = 'ipv4') {
+    const { change, ruleset } = payload;
+
+    if ((change && ruleset) || (!change && !ruleset)) {
+      throw httpError(400, 'Fournissez soit une modification (change), soit un jeu de règles complet (ruleset)');
+    }
+
+    if (ruleset) {
+      const tables = sshService.parseIptablesSave(String(ruleset));
+      const unknown = Object.keys(tables).filter(t => !ruleModel.TABLES.includes(t));
+      if (Object.keys(tables).length === 0 || unknown.length > 0) {
+        const error = httpError(400, 'Jeu de règles invalide');
+        error.errors = unknown.length > 0
+          ? unknown.map(t => `Table inconnue: ${t}`)
+          : ['Aucune table trouvée (format iptables-save attendu)'];
+        throw error;
+      }
+      return { kind: 'ruleset', tables, description: `Jeu de règles (${Object.keys(tables).join(', ')})` };
+    }
+
+    // Une suppression vise le contenu de la règle : les positions diffèrent d'un hôte à l'autre
+    if (change.type === 'delete') {
+      const errors = changesetService.validateChange({ ...change, type: 'add' }, family);
+      if (errors.length > 0) {
+        const error = httpError(400, 'Modification invalide');
+        error.errors = errors;
+        throw error;
+      }
+      const expected = ruleModel.toRestoreLine(ruleModel.buildRuleSpec({
+        ...change.rule, table: change.table, chain: change.chain
+      }, family));
+      return {
+        kind: 'change',
+        change: { type: 'delete', table: change.table, chain: change.chain, position: 0, expected },
+        description: `Suppression ${change.table}/${change.chain}: ${expected}`
+      };
+    }
+
+    const errors = changesetService.validateChange(change, family);
+    if (errors.length > 0) {
+      const error = httpError(400, 'Modification invalide');
+      error.errors = errors;
+      throw error;
+    }
+
+    const normalized = { ...change };
+    let description = `${change.type} ${change.table}/${change.chain}`;
+    if (change.type === 'add' || change.type === 'insert') {
+      normalized.rule = { ...change.rule, table: change.table, chain: change.chain };
+      if (change.type === 'insert') {
+        normalized.position = Number(change.position);
+      }
+      description += `: ${ruleModel.toRestoreLine(ruleModel.buildRuleSpec(normalized.rule, family))}`;
+    } else if (change.type === 'policy') {
+      description += ` → ${change.policy}`;
+    }
+    return { kind: 'change', change: normalized, description };
+  }
+
+  // ==========================================================================
+  // DÉPLOIEMENT
+  // ==========================================================================
+
+  /**
+   * Pousse une modification sur un ensemble d'hôtes
+   *
+   * @param {Object} request - Demande de déploiement
+   * @param {Array<string>} [request.hostIds] - Hôtes visés
+   * @param {string} [request.tag] - Étiquette des hôtes visés
+   * @param {string} [request.group] - Groupe des hôtes visés
+   * @param {Object} [request.change] - Modification de règle
+   * @param {string} [request.ruleset] - Jeu de règles complet (format iptables-save)
+   * @param {string} [request.family='ipv4'] - Famille d'adresses: 'ipv4' ou 'ipv6'
+   * @param {number} [request.concurrency=4] - Nombre d'hôtes traités en parallèle
+   * @param {number} [request.maxFailures=1] - Nombre d'échecs après lequel le déploiement s'arrête
+   * @param {boolean} [request.dryRun=false] - Vérifie et calcule les diffs sans rien appliquer
+   * @param {boolean} [request.allowLockout=false] - Applique même sur un hôte dont l'accès SSH serait coupé
+   * @param {string} [request.author] - Auteur (enregistré dans les instantanés et le journal d'audit)
+   * @param {string} [request.sourceIp] - IP d'origine de la demande (journal d'audit)
+   * @returns {Promise<Object>} Rapport:
+   *   { id, dryRun, family, description, startedAt, finishedAt, stopped, summary, results: [...] }
+   *   status d'un hôte: 'planned' | 'applied' | 'unchanged' | 'failed' | 'skipped'
+   * @throws {Error} Si la sélection ou la modification est invalide (400/404)
+   */
+  async push(request) {
+    const family = ruleModel.getFamily(request.family);
+    const hosts = this.resolveHosts(request);
+    const payload = this.normalizePayload(request, family.name);
+
+    const concurrency = Number(request.concurrency || 4);
+    const maxFailures = Number(request.maxFailures || 1);
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+      throw httpError(400, `La concurrence doit être un entier entre 1 et ${MAX_CONCURRENCY}`);
+    }
+    if (!Number.isInteger(maxFailures) || maxFailures < 1) {
+      throw httpError(400, 'Le nombre maximal d\'échecs doit être un entier supérieur ou égal à 1');
+    }
+
+    const report = {
+      id: crypto.randomBytes(4).toString('hex'),
+      dryRun: Boolean(request.dryRun),
+      allowLockout: request.allowLockout === true,
+      family: family.name,
+      description: payload.description,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      stopped: false,
+      results: []
+    };
+
+    // File d'attente partagée par les workers ; chaque résultat garde l'ordre de la sélection
+    const results = new Array(hosts.length);
+    let next = 0;
+    let failures = 0;
+
+    const worker = async () => {
+      while (next < hosts.length) {
+        const index = next++;
+        const host = hosts[index];
+        if (failures >= maxFailures) {
+          results[index] = { hostId: host.id, name: host.name, status: 'skipped', error: null, diff: null, lockout: null };
+          continue;
+        }
+        results[index] = await this.pushToHost(host, payload, report.dryRun, request.author, family, request.sourceIp,
+          report.allowLockout);
+        if (results[index].status === 'failed') {
+          failures++;
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, hosts.length) }, worker));
+
+    report.results = results;
+    report.stopped = failures >= maxFailures && results.some(r => r.status === 'skipped');
+    report.finishedAt = new Date().toISOString();
+    report.summary = { total: hosts.length };
+    for (const status of ['planned', 'applied', 'unchanged', 'failed', 'skipped']) {
+      report.summary[status] = results.filter(r => r.status === status).length;
+    }
+    return report;
+  }
+
+  /**
+   * Vérifie puis applique la modification sur un hôte
+   *
+   * N'échoue jamais : les erreurs sont reportées dans le résultat de l'hôte.
+   * Une modification qui couperait l'accès SSH à l'hôte (même vérification que
+   * SSHService.checkLockout, sur le flux de la connexion dédiée) met l'hôte en
+   * échec avec le paquet refusé dans lockout, y compris en simulation.
+   *
+   * @param {Object} host - Hôte de l'inventaire
+   * @param {Object} payload - Modification normalisée (voir normalizePayload)
+   * @param {boolean} dryRun - true pour s'arrêter après la vérification
+   * @param {string} [author] - Auteur de la modification
+   * @param {Object} [family] - Famille d'adresses (voir ruleModel.getFamily, IPv4 par défaut)
+   * @param {string} [sourceIp] - IP d'origine de la demande (journal d'audit)
+   * @param {boolean} [allowLockout=false] - Applique même si l'accès SSH serait coupé
+   * @returns {Promise<Object>} { hostId, name, status, diff, error, lockout, snapshotId, durationMs }
+   */
+  async pushToHost(host, payload, dryRun, author, family = ruleModel.getFamily(), sourceIp = null, allowLockout = false) {
+    const started = Date.now();
+    const result = {
+      hostId: host.id, name: host.name, status: 'failed', diff: null, error: null, lockout: null, snapshotId: null
+    };
+    let conn = null;
+    // Entrée du journal d'audit, créée juste avant l'application
+    let audit = null;
+
+    try {
+      conn = await sshService.openConnection(host);
+      if (await sshService.detectBackend(conn) !== 'iptables') {
+        throw httpError(409, 'Hôte en nftables natif : déploiement iptables impossible');
+      }
+
+      // Vérification préalable : droits sudo sans mot de passe et configuration lisible
+      const liveText = await sshService.runCommand(conn, `sudo -n ${family.save}`);
+      const live = sshService.parseIptablesSave(liveText);
+
+      let target;
+      let touchedTables;
+      if (payload.kind === 'ruleset') {
+        target = payload.tables;
+        touchedTables = Object.keys(payload.tables);
+      } else {
+        ({ tables: target, touchedTables } = changesetService.computeResult(live, [payload.change], family.name));
+      }
+
+      result.diff = diffRulesets(pickTables(live, touchedTables), pickTables(target, touchedTables));
+      const input = sshService.serializeIptablesSave(target, touchedTables);
+      await sshService.runCommand(conn, `sudo -n ${family.restore} --test`, { input });
+
+      const flow = lockoutGuard.parseSshFlow(await sshService.runCommand(conn, lockoutGuard.SSH_FLOW_COMMAND));
+      if (flow && flow.family === family.name) {
+        result.lockout = lockoutGuard.findLockout(live, { ...live, ...pickTables(target, touchedTables) }, flow);
+        if (result.lockout && !allowLockout) {
+          throw httpError(409, `${result.lockout.message}. Pour l'appliquer quand même, renvoyez-la avec allowLockout.`);
+        }
+      }
+
+      if (dryRun) {
+        result.status = 'planned';
+      } else if (result.diff.identical) {
+        result.status = 'unchanged';
+      } else {
+        const before = ruleModel.rulesetFingerprint(liveText);
+        const snapshot = snapshotService.record(snapshotService.hostKey(host), liveText, {
+          automatic: true,
+          author: author || host.username,
+          command: `sudo ${family.restore} (déploiement sur le parc)`,
+          family: family.name,
+          fingerprint: before
+        });
+        result.snapshotId = snapshot.id;
+        const command = `sudo -n ${family.restore}`;
+        audit = {
+          user: author || host.username,
+          sourceIp,
+          host: snapshotService.hostKey(host),
+          backend: 'iptables',
+          family: family.name,
+          ...(payload.kind === 'ruleset'
+            ? auditService.describeCommand(command, input)
+            : { table: payload.change.table, chain: payload.change.chain }),
+          command,
+          before
+        };
+        await sshService.runCommand(conn, command, { input });
+        result.status = 'applied';
+        audit.result = 'success';
+        const applied = await sshService.runCommand(conn, `sudo -n ${family.save}`).catch(() => null);
+        audit.after = applied === null ? null : ruleModel.rulesetFingerprint(applied);
+      }
+    } catch (error) {
+      result.status = 'failed';
+      result.error = error.message;
+      if (audit && !audit.result) {
+        Object.assign(audit, { result: 'failure', error: error.message, stderr: error.stderr });
+      }
+    } finally {
+      if (audit) {
+        try {
+          auditService.record(audit);
+        } catch (error) {
+          console.error('Erreur lors de l\'écriture du journal d\'audit:', error.message);
+        }
+      }
+      if (conn) conn.end();
+      result.durationMs = Date.now() - started;
+    }
+
+    return result;
+  }
+}
+
+module.exports = new FleetService();
@@ -0,0 +1,366 @@
+/**
+ * Service d'import et d'export des jeux de règles
+ *
+ * Formats échangés:
+ * - save: texte brut de iptables-save (ou ip6tables-save), accepté tel quel
+ *   par iptables-restore
+ * - json: document { format, version, family, host, exportedAt, tables },
+ *   tables au format de SSHService.parseIptablesSave ({ raw, content, parsed }
+ *   pour chaque règle)
+ * - yaml: le même document, en YAML
+ *
+ * À l'import, les documents JSON/YAML peuvent aussi décrire une règle par son
+ * seul contenu ('-p tcp --dport 22 -j ACCEPT'), par sa ligne complète
+ * ({ raw: '-A INPUT ...' }) ou par une règle structurée du modèle de l'API
+ * ({ protocol: 'tcp', destPort: '22', target: 'ACCEPT' }, voir rule-model) ;
+ * seul le document (ou l'objet tables) est obligatoire.
+ *
+ * Un import remplace entièrement les tables qu'il contient (sémantique
+ * d'iptables-restore) et laisse les autres intactes. Il est vérifié sur l'hôte
+ * avec iptables-restore --test et comparé à la configuration active avant
+ * d'être appliqué. Disponible uniquement avec iptables (pas en nftables natif).
+ *
+ * @module services/import-export-service
+ * @requires js-yaml
+ * @requires ./ssh-service
+ * @requires ./rule-model
+ * @requires ./ruleset-diff
+ */
+
+const yaml = require('js-yaml');
+const sshService = require('./ssh-service');
+const ruleModel = require('./rule-model');
+const { diffRulesets } = require('./ruleset-diff');
+
+/**
+ * Formats d'import/export, avec le type MIME et l'extension des fichiers exportés
+ */
+const FORMATS = {
+  save: { contentType: 'text/plain; charset=utf-8', extension: 'rules' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  yaml: { contentType: 'application/yaml; charset=utf-8', extension: 'yaml' }
+};
+
+/**
+ * Identifiant des documents JSON/YAML exportés
+ */
+const DOCUMENT_FORMAT = 'iptables-manager/ruleset';
+const DOCUMENT_VERSION = 1;
+
+/**
+ * Crée une erreur portant un code HTTP
+ *
+ * @param {number} status - Code HTTP à renvoyer
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur avec la propriété status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Devine le format d'un contenu importé
+ *
+ * @param {string} content - Contenu reçu
+ * @returns {string} 'json', 'save' ou 'yaml'
+ */
+function detectFormat(content) {
+  const text = content.trim();
+  if (text.startsWith('{')) {
+    return 'json';
+  }
+  const first = text.split('\n').find(line => line.trim() && !line.startsWith('#')) || '';
+  return /^[*:]|^-A /.test(first) ? 'save' : 'yaml';
+}
+
+/**
+ * Convertit une règle d'un document importé en contenu iptables-restore (sans "-A CHAÎNE")
+ *
+ * @param {string|Object} rule - Contenu, { content }, { raw } ou règle structurée
+ * @param {string} chain - Chaîne qui contient la règle
+ * @param {string} family - Famille d'adresses
+ * @param {Array<string>} errors - Erreurs de validation (complétées)
+ * @param {string} where - Emplacement de la règle, pour les messages
+ * @returns {string|null} Contenu de la règle, null si elle est invalide
+ */
+function ruleContent(rule, chain, family, errors, where) {
+  let content;
+  if (typeof rule === 'string') {
+    content = rule;
+  } else if (rule && typeof rule.content === 'string') {
+    content = rule.content;
+  } else if (rule && typeof rule.raw === 'string') {
+    const prefix = `-A ${chain} `;
+    if (!rule.raw.startsWith(prefix)) {
+      errors.push(`${where}: la ligne doit commencer par "${prefix.trim()}"`);
+      return null;
+    }
+    content = rule.raw.slice(prefix.length);
+  } else if (rule && typeof rule === 'object' && !Array.isArray(rule)) {
+    if (rule.chain !== undefined && rule.chain !== chain) {
+      errors.push(`${where}: la règle désigne la chaîne ${rule.chain}`);
+      return null;
+    }
+    const structured = { ...rule, chain };
+    delete structured.table;
+    const validation = ruleModel.validateRule(structured, family);
+    if (!validation.valid) {
+      validation.errors.forEach(error => errors.push(`${where}: ${error}`));
+      return null;
+    }
+    return ruleModel.toRestoreLine(ruleModel.buildRuleSpec(structured, family));
+  } else {
+    errors.push(`${where}: règle invalide`);
+    return null;
+  }
+
+  // Une ligne par règle : un saut de ligne ajouterait des lignes au fichier chargé
+  if (!content.trim() || /[\r\n]/.test(content)) {
+    errors.push(`${where}: contenu vide ou sur plusieurs lignes`);
+    return null;
+  }
+  return content.trim();
+}
+
+/**
+ * Construit le texte iptables-restore d'un document JSON/YAML
+ *
+ * @param {Object} document - Document importé (ou directement l'objet tables)
+ * @param {string} family - Famille d'adresses attendue
+ * @returns {string} Texte au format iptables-save
+ * @throws {Error} Si le document est invalide (status 400, propriété errors renseignée)
+ */
+function documentToRuleset(document, family) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw httpError(400, 'Le document importé doit être un objet');
+  }
+  if (document.family && document.family !== family) {
+    throw httpError(400, `Le document importé concerne la famille ${document.family}, pas ${family}`);
+  }
+
+  const tables = document.tables !== undefined ? document.tables : document;
+  if (!tables || typeof tables !== 'object' || Array.isArray(tables)) {
+    throw httpError(400, 'tables doit être un objet { table: [chaînes] }');
+  }
+
+  const errors = [];
+  const lines = [];
+  for (const [table, chains] of Object.entries(tables)) {
+    if (!ruleModel.TABLES.includes(table)) {
+      errors.push(`Table inconnue: ${table}`);
+      continue;
+    }
+    if (!Array.isArray(chains)) {
+      errors.push(`${table}: la liste des chaînes doit être un tableau`);
+      continue;
+    }
+
+    const builtins = ruleModel.BUILTIN_CHAINS[table];
+    const header = [];
+    const body = [];
+    chains.forEach((chain, index) => {
+      const name = chain && chain.chain;
+      if (typeof name !== 'string' || !ruleModel.PATTERNS.chain.test(name)) {
+        errors.push(`${table}: chaîne ${index + 1} sans nom valide`);
+        return;
+      }
+      const builtin = builtins.includes(name);
+      const policy = builtin ? (chain.policy || 'ACCEPT') : '-';
+      if (builtin && !ruleModel.POLICIES.includes(policy)) {
+        errors.push(`${table}/${name}: politique invalide: ${chain.policy}`);
+      }
+      header.push(`:${name} ${policy} [0:0]`);
+
+      (chain.rules || []).forEach((rule, position) => {
+        const content = ruleContent(rule, name, family, errors, `${table}/${name} règle ${position + 1}`);
+        if (content) {
+          body.push(`-A ${name} ${content}`);
+        }
+      });
+    });
+    lines.push(`*${table}`, ...header, ...body, 'COMMIT');
+  }
+
+  if (errors.length > 0) {
+    const error = httpError(400, 'Jeu de règles importé invalide');
+    error.errors = errors;
+    throw error;
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Classe ImportExportService
+ * Exporte la configuration active et importe des jeux de règles
+ */
+class ImportExportService {
+  /**
+   * Exporte la configuration active de l'hôte
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} [format='save'] - 'save', 'json' ou 'yaml'
+   * @param {string} [family='ipv4'] - Famille d'adresses
+   * @returns {Promise<Object>} { body, contentType, filename }
+   * @throws {Error} Si le format est inconnu (400) ou si l'hôte utilise nftables (409)
+   */
+  async exportRuleset(sessionId, format = 'save', family = 'ipv4') {
+    if (!FORMATS[format]) {
+      throw httpError(400, `Format inconnu: ${format} (attendu: ${Object.keys(FORMATS).join(', ')})`);
+    }
+    sshService.requireIptables(sessionId);
+    const { name, save } = ruleModel.getFamily(family);
+    const host = sshService.getHostKey(sessionId);
+    const ruleset = await sshService.executeCommand(sessionId, `sudo ${save}`);
+
+    let body = ruleset;
+    if (format !== 'save') {
+      const document = {
+        format: DOCUMENT_FORMAT,
+        version: DOCUMENT_VERSION,
+        family: name,
+        host,
+        exportedAt: new Date().toISOString(),
+        tables: sshService.parseIptablesSave(ruleset)
+      };
+      body = format === 'json'
+        ? `${JSON.stringify(document, null, 2)}\n`
+        : yaml.safeDump(document, { noRefs: true, lineWidth: -1 });
+    }
+
+    return {
+      body,
+      contentType: FORMATS[format].contentType,
+      filename: `${host.replace(/[^A-Za-z0-9_.@-]/g, '_')}-${name}.${FORMATS[format].extension}`
+    };
+  }
+
+  /**
+   * Lit un jeu de règles importé et le convertit en texte iptables-restore
+   *
+   * @param {string|Object} content - Contenu du fichier, ou document JSON déjà analysé
+   * @param {string} [format] - 'save', 'json' ou 'yaml' (par défaut: deviné)
+   * @param {string} [family='ipv4'] - Famille d'adresses
+   * @returns {Object} { format, ruleset, tables } (tables au format parseIptablesSave)
+   * @throws {Error} Si le contenu est illisible ou invalide (status 400)
+   */
+  parseImport(content, format, family = 'ipv4') {
+    const { name } = ruleModel.getFamily(family);
+    if (content === undefined || content === null || content === '') {
+      throw httpError(400, 'Jeu de règles manquant');
+    }
+    if (typeof content !== 'string') {
+      format = 'json';
+    } else {
+      format = format || detectFormat(content);
+    }
+    if (!FORMATS[format]) {
+      throw httpError(400, `Format inconnu: ${format} (attendu: ${Object.keys(FORMATS).join(', ')})`);
+    }
+
+    let ruleset;
+    if (format === 'save') {
+      ruleset = content.endsWith('\n') ? content : `${content}\n`;
+    } else {
+      let document = content;
+      if (typeof content === 'string') {
+        try {
+          document = format === 'json' ? JSON.parse(content) : yaml.safeLoad(content);
+        } catch (error) {
+          throw httpError(400, `Contenu ${format.toUpperCase()} illisible: ${error.message}`);
+        }
+      }
+      ruleset = documentToRuleset(document, name);
+    }
+
+    const tables = sshService.parseIptablesSave(ruleset);
+    if (Object.keys(tables).length === 0) {
+      throw httpError(400, 'Aucune table dans le jeu de règles importé');
+    }
+    return { format, ruleset, tables };
+  }
+
+  /**
+   * Vérifie un jeu de règles sur l'hôte et le compare à la configuration active
+   *
+   * Rien n'est modifié : le jeu de règles est seulement passé à
+   * iptables-restore --test.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string|Object} content - Contenu importé (voir parseImport)
+   * @param {Object} [options={}] - { format, family }
+   * @returns {Promise<Object>} { format, touchedTables, ruleset, diff, fingerprint }
+   *   diff: de la configuration active vers le jeu importé, sur les seules tables importées ;
+   *   fingerprint: empreinte de la configuration active (à renvoyer à l'application)
+   * @throws {Error} Si le contenu est invalide (400), refusé par iptables-restore --test,
+   *   ou si l'hôte utilise nftables (409)
+   */
+  async previewImport(sessionId, content, options = {}) {
+    sshService.requireIptables(sessionId);
+    const family = ruleModel.getFamily(options.family);
+    const { format, ruleset, tables } = this.parseImport(content, options.format, family.name);
+    const touchedTables = Object.keys(tables);
+
+    try {
+      await sshService.executeCommand(sessionId, `sudo ${family.restore} --test`, { input: ruleset });
+    } catch (error) {
+      const refused = httpError(400, `Jeu de règles refusé par ${family.restore} --test: ${(error.stderr || error.message).trim()}`);
+      refused.stderr = error.stderr;
+      throw refused;
+    }
+
+    const output = await sshService.executeCommand(sessionId, `sudo ${family.save}`);
+    const live = sshService.parseIptablesSave(output);
+    const liveTouched = Object.fromEntries(touchedTables.map(table => [table, live[table] || []]));
+
+    return {
+      format,
+      touchedTables,
+      ruleset,
+      diff: diffRulesets(liveTouched, tables),
+      fingerprint: ruleModel.rulesetFingerprint(output)
+    };
+  }
+
+  /**
+   * Applique un jeu de règles importé en une seule opération (iptables-restore)
+   *
+   * Le jeu de règles est vérifié à nouveau (voir previewImport) avant d'être
+   * chargé. Avec options.fingerprint (empreinte renvoyée par la
+   * prévisualisation), l'import est refusé si la configuration active a
+   * changé depuis.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string|Object} content - Contenu importé (voir parseImport)
+   * @param {Object} [options={}] - { format, fingerprint } et options de la modification
+   *   (voir SSHService.applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null, diff }
+   * @throws {Error} Si le contenu est invalide (400), si la configuration active a changé (409)
+   *   ou si l'application échoue
+   */
+  async applyImport(sessionId, content, options = {}) {
+    const family = ruleModel.getFamily(options.family);
+    const { format, fingerprint, ...changeOptions } = options;
+    const preview = await this.previewImport(sessionId, content, { format, family: family.name });
+
+    if (fingerprint && fingerprint !== preview.fingerprint) {
+      throw httpError(409, 'La configuration active a changé depuis la prévisualisation : prévisualisez à nouveau l\'import');
+    }
+
+    const pendingConfirmation = await sshService.applyChange(
+      sessionId,
+      `sudo ${family.restore}`,
+      { ...changeOptions, family: family.name, input: preview.ruleset }
+    );
+
+    return {
+      success: true,
+      message: `Jeu de règles importé (tables remplacées: ${preview.touchedTables.join(', ')})`,
+      pendingConfirmation,
+      diff: preview.diff
+    };
+  }
+}
+
+module.exports = new ImportExportService();
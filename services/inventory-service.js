@@ -0,0 +1,229 @@
+/**
+ * Service d'inventaire des hôtes
+ *
+ * Conserve côté serveur une liste d'hôtes nommés avec leurs paramètres de
+ * connexion SSH (profil), leurs étiquettes, leur groupe et leurs adresses IP
+ * publiques utilisées par défaut pour les règles NAT.
+ *
+ * L'inventaire est stocké dans un fichier JSON, configurable via la variable
+ * d'environnement INVENTORY_FILE (par défaut: data/hosts.json).
+ *
+ * Format d'un hôte:
+ * {
+ *   id: 'prod-gw1',
+ *   name: 'Passerelle production 1',
+ *   host: '203.0.113.10',
+ *   port: 22,
+ *   username: 'admin',
+ *   privateKeyPath: '/home/admin/.ssh/id_rsa',
+ *   group: 'production',
+ *   tags: ['gateway', 'dmz'],
+ *   natPublicIps: ['203.0.113.10', '2001:db8::10']
+ * }
+ *
+ * @module services/inventory-service
+ * @requires fs
+ * @requires path
+ * @requires ./rule-model
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PATTERNS } = require('./rule-model');
+
+/**
+ * Format des identifiants, étiquettes et groupes
+ */
+const SLUG_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+/**
+ * Crée une erreur portant un code HTTP
+ *
+ * @param {number} status - Code HTTP à renvoyer
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur avec la propriété status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Classe InventoryService
+ * Lit et écrit l'inventaire des hôtes
+ */
+class InventoryService {
+  /**
+   * Constructeur
+   *
+   * @param {string} [file] - Chemin du fichier d'inventaire
+   */
+  constructor(file = process.env.INVENTORY_FILE || path.join(__dirname, '..', 'data', 'hosts.json')) {
+    this.file = file;
+  }
+
+  // ==========================================================================
+  // LECTURE
+  // ==========================================================================
+
+  /**
+   * Lit l'inventaire complet depuis le disque
+   *
+   * @returns {Array<Object>} Hôtes de l'inventaire
+   */
+  readAll() {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+    const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    return Array.isArray(data.hosts) ? data.hosts : [];
+  }
+
+  /**
+   * Liste les hôtes, éventuellement filtrés par étiquette ou par groupe
+   *
+   * @param {Object} [filter={}] - Filtres
+   * @param {string} [filter.tag] - Étiquette que l'hôte doit porter
+   * @param {string} [filter.group] - Groupe de l'hôte
+   * @returns {Array<Object>} Hôtes correspondants, triés par groupe puis par nom
+   */
+  list(filter = {}) {
+    return this.readAll()
+      .filter(h => !filter.tag || (h.tags || []).includes(filter.tag))
+      .filter(h => !filter.group || h.group === filter.group)
+      .sort((a, b) => (a.group || '').localeCompare(b.group || '') || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Récupère un hôte par son identifiant
+   *
+   * @param {string} id - Identifiant de l'hôte
+   * @returns {Object} Hôte
+   * @throws {Error} Si l'hôte n'existe pas (status 404)
+   */
+  get(id) {
+    const host = this.readAll().find(h => h.id === id);
+    if (!host) {
+      throw httpError(404, `Hôte inconnu: ${id}`);
+    }
+    return host;
+  }
+
+  // ==========================================================================
+  // ÉCRITURE
+  // ==========================================================================
+
+  /**
+   * Valide et normalise un hôte
+   *
+   * @param {Object} input - Données reçues
+   * @returns {Object} Hôte normalisé
+   * @throws {Error} Si une valeur est invalide (status 400, propriété errors renseignée)
+   */
+  normalize(input) {
+    const errors = [];
+    const host = {
+      id: input.id,
+      name: (input.name || input.id || '').trim(),
+      host: (input.host || '').trim(),
+      port: Number(input.port || 22),
+      username: (input.username || '').trim(),
+      privateKeyPath: (input.privateKeyPath || '').trim(),
+      group: input.group ? String(input.group).trim() : null,
+      tags: Array.isArray(input.tags) ? input.tags.map(t => String(t).trim()).filter(Boolean) : [],
+      natPublicIps: Array.isArray(input.natPublicIps)
+        ? input.natPublicIps.map(ip => String(ip).trim()).filter(Boolean)
+        : []
+    };
+
+    if (!host.id || !SLUG_PATTERN.test(host.id)) {
+      errors.push('Identifiant invalide (lettres, chiffres, ".", "_" et "-" uniquement)');
+    }
+    if (!host.host) errors.push('Adresse de l\'hôte manquante');
+    if (!host.username) errors.push('Nom d\'utilisateur manquant');
+    if (!host.privateKeyPath) errors.push('Chemin de la clé privée manquant');
+    if (!Number.isInteger(host.port) || host.port < 1 || host.port > 65535) {
+      errors.push('Port SSH invalide');
+    }
+    if (host.group && !SLUG_PATTERN.test(host.group)) {
+      errors.push(`Groupe invalide: ${host.group}`);
+    }
+    host.tags.filter(t => !SLUG_PATTERN.test(t)).forEach(t => errors.push(`Étiquette invalide: ${t}`));
+    host.natPublicIps
+      .filter(ip => !PATTERNS.ipv4.test(ip) && !PATTERNS.ipv6.test(ip))
+      .forEach(ip => errors.push(`IP publique invalide: ${ip}`));
+
+    if (errors.length > 0) {
+      const error = httpError(400, 'Hôte invalide');
+      error.errors = errors;
+      throw error;
+    }
+    return host;
+  }
+
+  /**
+   * Enregistre l'inventaire sur le disque
+   *
+   * @param {Array<Object>} hosts - Hôtes à enregistrer
+   */
+  writeAll(hosts) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({ hosts }, null, 2));
+  }
+
+  /**
+   * Ajoute un hôte à l'inventaire
+   *
+   * @param {Object} input - Données de l'hôte
+   * @returns {Object} Hôte enregistré
+   * @throws {Error} Si l'hôte est invalide (400) ou si l'identifiant existe déjà (409)
+   */
+  create(input) {
+    const host = this.normalize(input);
+    const hosts = this.readAll();
+    if (hosts.some(h => h.id === host.id)) {
+      throw httpError(409, `Un hôte avec l'identifiant ${host.id} existe déjà`);
+    }
+    hosts.push(host);
+    this.writeAll(hosts);
+    return host;
+  }
+
+  /**
+   * Modifie un hôte de l'inventaire
+   *
+   * @param {string} id - Identifiant de l'hôte
+   * @param {Object} input - Nouvelles valeurs (les champs absents sont conservés)
+   * @returns {Object} Hôte modifié
+   * @throws {Error} Si l'hôte n'existe pas (404) ou si les valeurs sont invalides (400)
+   */
+  update(id, input) {
+    const hosts = this.readAll();
+    const index = hosts.findIndex(h => h.id === id);
+    if (index === -1) {
+      throw httpError(404, `Hôte inconnu: ${id}`);
+    }
+    const host = this.normalize({ ...hosts[index], ...input, id });
+    hosts[index] = host;
+    this.writeAll(hosts);
+    return host;
+  }
+
+  /**
+   * Supprime un hôte de l'inventaire
+   *
+   * @param {string} id - Identifiant de l'hôte
+   * @throws {Error} Si l'hôte n'existe pas (status 404)
+   */
+  remove(id) {
+    const hosts = this.readAll();
+    const remaining = hosts.filter(h => h.id !== id);
+    if (remaining.length === hosts.length) {
+      throw httpError(404, `Hôte inconnu: ${id}`);
+    }
+    this.writeAll(remaining);
+  }
+}
+
+module.exports = new InventoryService();
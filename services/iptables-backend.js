@@ -0,0 +1,874 @@
+/**
+ * Backend iptables (iptables / ip6tables, variantes legacy et nf_tables)
+ *
+ * Implémente la lecture et la modification des règles d'un hôte géré avec les
+ * commandes iptables. SSHService choisit le backend de chaque hôte à la
+ * connexion et lui délègue ces opérations ; les routes n'en dépendent pas.
+ *
+ * Interface commune des backends (voir aussi services/nftables-backend):
+ * - name                                    Nom du backend ('iptables')
+ * - commands(family)                        Commandes de sauvegarde/restauration complètes { save, restore, test }
+ * - validateRule(rule, table, family)       Validation d'une règle structurée { valid, errors }
+ * - listAllRules(sessionId, family)         Règles de toutes les tables { table: [chaînes] }
+ * - listRules(sessionId, table, family)     Chaînes et règles d'une table
+ * - addRule(sessionId, rule, table, options)
+ * - insertRule(sessionId, rule, position, table, options)
+ * - replaceRule(sessionId, chain, ruleNumber, rule, table, options)
+ * - moveRule(sessionId, chain, from, to, table, options)
+ * - deleteRule(sessionId, chain, ruleNumber, table, options)
+ * - createChain / renameChain / deleteChain(sessionId, chain, [newName,] table, options)
+ * - setPolicy(sessionId, chain, policy, table, options)
+ * - flushChain / zeroCounters(sessionId, chain, table, options)
+ * - readCounters(sessionId, family)          Règles de toutes les tables en une lecture (compteurs)
+ *
+ * Les chaînes renvoyées par listAllRules et listRules ont la forme
+ * { chain, policy ('-' pour une chaîne utilisateur), references, packets, bytes, rules }
+ * (packets et bytes : compteurs de la politique, null si inconnus). Chaque règle
+ * porte ses compteurs (pkts, bytes).
+ * Chaque règle porte sa spécification iptables -S (spec) et son empreinte
+ * (fingerprint, voir ruleModel.ruleFingerprint). Les opérations par position
+ * acceptent options.fingerprint : si la règle de la position n'a plus cette
+ * empreinte, elles échouent avec une erreur 409 sans rien modifier.
+ *
+ * @module services/iptables-backend
+ * @requires ./rule-model
+ * @requires ./iptables-parser
+ */
+
+const ruleModel = require('./rule-model');
+const iptablesParser = require('./iptables-parser');
+
+/**
+ * Valeurs possibles de la colonne 'opt' de iptables -L (vide avec ip6tables)
+ */
+const OPT_VALUES = ['--', '-f', '!f'];
+
+/**
+ * Séparateur entre la sortie de iptables -L et celle de iptables -S d'une même commande
+ */
+const SPEC_SEPARATOR = '#IPTABLES-SPEC';
+
+/**
+ * Séparateur entre les tables lues par une même commande (suivi du nom de la table)
+ */
+const TABLE_SEPARATOR = '#IPTABLES-TABLE';
+
+/**
+ * Tables lues par listAllRules et readCounters
+ */
+const LISTED_TABLES = ['filter', 'nat', 'raw', 'mangle'];
+
+/**
+ * Multiplicateurs des compteurs abrégés de iptables -L sans -x (ex: 12K, 3M)
+ */
+const COUNTER_UNITS = { K: 1e3, M: 1e6, G: 1e9, T: 1e12 };
+
+/**
+ * Crée une erreur portant un code HTTP
+ *
+ * @param {number} status - Code HTTP à renvoyer
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur avec la propriété status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Convertit un compteur de iptables -L en nombre
+ *
+ * @param {string} value - Compteur (ex: '1234', ou '12K' sans l'option -x)
+ * @returns {number|null} Valeur, null si illisible
+ */
+function parseCounter(value) {
+  const match = String(value).match(/^(\d+)([KMGT]?)$/);
+  return match ? Number(match[1]) * (COUNTER_UNITS[match[2]] || 1) : null;
+}
+
+/**
+ * Vérifie le nom d'une table
+ *
+ * @param {string} table - Table lue ou modifiée
+ * @returns {string} Nom de la table
+ * @throws {Error} Si la table est inconnue (status 400)
+ */
+function checkTable(table) {
+  if (!ruleModel.TABLES.includes(table)) {
+    throw httpError(400, `Table inconnue: ${table} (attendu: ${ruleModel.TABLES.join(', ')})`);
+  }
+  return table;
+}
+
+/**
+ * Vérifie la table, la chaîne et les positions d'une opération sur une règle existante
+ *
+ * @param {string} table - Table cible
+ * @param {string} chain - Nom de la chaîne
+ * @param {...*} positions - Positions dans la chaîne (entiers à partir de 1)
+ * @returns {Array<number>} Positions converties en nombres
+ * @throws {Error} Si un paramètre est invalide (status 400)
+ */
+function checkTarget(table, chain, ...positions) {
+  const numbers = positions.map(Number);
+  if (!ruleModel.TABLES.includes(table) || !ruleModel.PATTERNS.chain.test(String(chain))
+    || numbers.some(n => !Number.isInteger(n) || n < 1)) {
+    throw httpError(400, 'Table, chaîne ou numéro de règle invalide');
+  }
+  return numbers;
+}
+
+/**
+ * Vérifie qu'une règle structurée ne désigne pas une autre table que celle de la requête
+ *
+ * Les droits de l'utilisateur sont vérifiés sur la table de la requête : une
+ * règle qui en désigne une autre est refusée, jamais appliquée ailleurs.
+ *
+ * @param {Object} rule - Règle structurée
+ * @param {string} table - Table de la requête
+ * @returns {string|null} Message d'erreur, null si la table de la règle convient
+ */
+function tableMismatch(rule, table) {
+  return rule.table !== undefined && rule.table !== table
+    ? `La règle désigne la table ${rule.table} alors que la requête vise ${table}`
+    : null;
+}
+
+/**
+ * Place une règle structurée dans la table de la requête (voir tableMismatch)
+ *
+ * @param {Object} rule - Règle structurée
+ * @param {string} table - Table de la requête
+ * @returns {Object} Règle portant la table de la requête
+ * @throws {Error} Si la règle désigne une autre table (status 400)
+ */
+function inTable(rule, table) {
+  const mismatch = tableMismatch(rule, table);
+  if (mismatch) {
+    throw httpError(400, mismatch);
+  }
+  return { ...rule, table };
+}
+
+/**
+ * Valide une règle structurée et lève une erreur 400 détaillée si elle est invalide
+ *
+ * @param {Object} rule - Règle structurée (table et chaîne comprises)
+ * @param {string} family - Famille d'adresses
+ * @throws {Error} Si la règle est invalide (status 400, liste dans error.errors)
+ */
+function assertValidRule(rule, family) {
+  const { valid, errors } = ruleModel.validateRule(rule, family);
+  if (!valid) {
+    const error = httpError(400, 'Règle invalide');
+    error.errors = errors;
+    throw error;
+  }
+}
+
+/**
+ * Classe IptablesBackend
+ * Lit et modifie les règles via iptables / ip6tables
+ */
+class IptablesBackend {
+  /**
+   * Constructeur
+   *
+   * @param {Object} ssh - Service SSH (exécution des commandes, applyChange)
+   */
+  constructor(ssh) {
+    this.ssh = ssh;
+    this.name = 'iptables';
+  }
+
+  /**
+   * Retourne les commandes de sauvegarde et de restauration complètes
+   *
+   * Utilisées pour les instantanés et le retour arrière du commit confirmé.
+   *
+   * @param {string} [family='ipv4'] - Famille d'adresses: 'ipv4' ou 'ipv6'
+   * @returns {Object} { save, restore, test } (commandes shell, sudo compris)
+   */
+  commands(family = 'ipv4') {
+    const { save, restore } = ruleModel.getFamily(family);
+    return {
+      save: `sudo ${save}`,
+      restore: `sudo ${restore}`,
+      test: `sudo ${restore} --test`
+    };
+  }
+
+  /**
+   * Valide une règle structurée pour une table iptables
+   *
+   * @param {Object} rule - Règle structurée (voir services/rule-model)
+   * @param {string} table - Table cible (rule.table, si présente, doit être la même)
+   * @param {string} [family='ipv4'] - Famille d'adresses
+   * @returns {{valid: boolean, errors: Array<string>}} Résultat de la validation
+   */
+  validateRule(rule, table, family = 'ipv4') {
+    const mismatch = tableMismatch(rule, table || 'filter');
+    if (mismatch) {
+      return { valid: false, errors: [mismatch] };
+    }
+    return ruleModel.validateRule({ ...rule, table: table || 'filter' }, family);
+  }
+
+  // ==========================================================================
+  // LECTURE DES RÈGLES
+  // ==========================================================================
+
+  /**
+   * Liste toutes les règles iptables pour toutes les tables
+   *
+   * Itère sur les 4 tables principales d'iptables (filter, nat, raw, mangle)
+   * et récupère toutes les règles pour chaque table.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} [family='ipv4'] - Famille d'adresses: 'ipv4' (iptables) ou 'ipv6' (ip6tables)
+   * @returns {Promise<Object>} Objet avec les règles groupées par table
+   *   Exemple: { filter: [...], nat: [...], raw: [...], mangle: [...] }
+   */
+  async listAllRules(sessionId, family = 'ipv4') {
+    const allRules = {};
+
+    for (const table of LISTED_TABLES) {
+      try {
+        allRules[table] = await this.listRules(sessionId, table, family);
+      } catch (error) {
+        console.error(`Erreur lors de la récupération de la table ${table}:`, error.message);
+        allRules[table] = [];
+      }
+    }
+
+    return allRules;
+  }
+
+  /**
+   * Liste les règles d'une table iptables spécifique
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} [table='filter'] - Nom de la table (filter, nat, raw, mangle)
+   * @param {string} [family='ipv4'] - Famille d'adresses: 'ipv4' ou 'ipv6'
+   * @returns {Promise<Array>} Tableau de chaînes avec leurs règles
+   * @throws {Error} Si la table est inconnue (400) ou si la commande iptables échoue
+   */
+  async listRules(sessionId, table = 'filter', family = 'ipv4') {
+    const { command } = ruleModel.getFamily(family);
+    const output = await this.ssh.executeCommand(sessionId, this.listCommand(command, checkTable(table)));
+    return this.parseTableListing(output);
+  }
+
+  /**
+   * Lit les règles et compteurs de toutes les tables en une seule commande
+   *
+   * Utilisé pour le suivi des compteurs en direct (voir services/counter-monitor) :
+   * une table illisible (module absent) est ignorée sans interrompre les autres.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} [family='ipv4'] - Famille d'adresses: 'ipv4' ou 'ipv6'
+   * @returns {Promise<Object>} Chaînes groupées par table (même format que listAllRules)
+   */
+  async readCounters(sessionId, family = 'ipv4') {
+    const { command } = ruleModel.getFamily(family);
+    const output = await this.ssh.executeCommand(
+      sessionId,
+      LISTED_TABLES.map(table => `echo '${TABLE_SEPARATOR} ${table}' && ${this.listCommand(command, table)}`).join('; ')
+    );
+
+    const tables = {};
+    for (const section of output.split(TABLE_SEPARATOR).slice(1)) {
+      const [, table, listing] = section.match(/^ (\S+)\n?([\s\S]*)$/) || [];
+      if (table) {
+        tables[table] = this.parseTableListing(listing);
+      }
+    }
+    return tables;
+  }
+
+  /**
+   * Construit la commande de lecture d'une table
+   *
+   * -L: liste les règles, -n: affichage numérique, -v: compteurs, -x: compteurs exacts,
+   * --line-numbers: numéros de ligne ; -S: mêmes règles au format iptables-save, pour leur empreinte
+   *
+   * @param {string} command - Exécutable (iptables ou ip6tables)
+   * @param {string} table - Table lue (déjà validée)
+   * @returns {string} Commande shell échappée
+   */
+  listCommand(command, table) {
+    const list = ruleModel.toCommand([command, '-t', table, '-L', '-n', '-v', '-x', '--line-numbers']);
+    const specs = ruleModel.toCommand([command, '-t', table, '-S']);
+    return `sudo ${list} && echo '${SPEC_SEPARATOR}' && sudo ${specs}`;
+  }
+
+  /**
+   * Parse la sortie de listCommand pour une table
+   *
+   * @param {string} output - Sortie de iptables -L, séparateur, puis sortie de iptables -S
+   * @returns {Array<Object>} Chaînes avec leurs règles, empreintes comprises
+   */
+  parseTableListing(output) {
+    const [listing, specs = ''] = output.split(SPEC_SEPARATOR);
+    return this.attachFingerprints(this.parseIptablesOutput(listing), specs);
+  }
+
+  /**
+   * Relit les spécifications actuelles des règles d'une chaîne (iptables -S chaîne)
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} table - Table (déjà validée)
+   * @param {string} chain - Nom de la chaîne (déjà validé)
+   * @param {Object} family - Famille d'adresses (voir ruleModel.getFamily)
+   * @returns {Promise<Array<string>>} Spécifications dans l'ordre de la chaîne
+   */
+  async chainSpecs(sessionId, table, chain, family) {
+    const output = await this.ssh.executeCommand(sessionId, `sudo ${ruleModel.toCommand([family.command, '-t', table, '-S', chain])}`);
+    return this.parseSpecs(output).get(chain) || [];
+  }
+
+  /**
+   * Relit les empreintes actuelles des règles d'une chaîne (voir chainSpecs)
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} table - Table (déjà validée)
+   * @param {string} chain - Nom de la chaîne (déjà validé)
+   * @param {Object} family - Famille d'adresses (voir ruleModel.getFamily)
+   * @returns {Promise<Array<string>>} Empreintes dans l'ordre de la chaîne
+   */
+  async chainFingerprints(sessionId, table, chain, family) {
+    return (await this.chainSpecs(sessionId, table, chain, family)).map(ruleModel.ruleFingerprint);
+  }
+
+  // ==========================================================================
+  // MODIFICATION DES RÈGLES
+  // ==========================================================================
+
+  /**
+   * Ajoute une nouvelle règle iptables
+   *
+   * La règle est normalement un objet structuré (voir services/rule-model) :
+   * elle est validée puis convertie en arguments échappés un par un.
+   * Une chaîne brute est encore acceptée pour le mode expert : elle est alors
+   * transmise telle quelle au shell distant, c'est à l'appelant de l'autoriser.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {Object|string} rule - Règle structurée, ou commande brute en mode expert
+   *   (ex: "-A INPUT -p tcp --dport 80 -j ACCEPT")
+   * @param {string} [table='filter'] - Table cible (filter, nat, raw, mangle)
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si la règle structurée est invalide ou désigne une autre table (400)
+   *   ou si la commande iptables échoue
+   */
+  async addRule(sessionId, rule, table = 'filter', options = {}) {
+    const family = ruleModel.getFamily(options.family);
+    let command;
+
+    if (typeof rule === 'string') {
+      // Mode expert : ajoute l'option -t uniquement si la table n'est pas 'filter' (table par défaut)
+      const tableOption = checkTable(table) !== 'filter' ? `-t ${table} ` : '';
+      command = `sudo ${family.command} ${tableOption}${rule}`;
+    } else {
+      const args = ruleModel.buildAppendArgs(inTable(rule, table), family.name);
+      command = `sudo ${ruleModel.toCommand([family.command, ...args])}`;
+    }
+
+    const pendingConfirmation = await this.ssh.applyChange(sessionId, command, options);
+    return { success: true, message: 'Règle ajoutée avec succès', pendingConfirmation };
+  }
+
+  /**
+   * Insère une règle structurée à une position de sa chaîne (iptables -I chaîne N)
+   *
+   * Les règles suivantes sont décalées d'une position.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {Object} rule - Règle structurée (rule.chain désigne la chaîne)
+   * @param {number} position - Position de la nouvelle règle (commence à 1)
+   * @param {string} [table='filter'] - Table cible
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si la règle ou la position est invalide (400) ou si la commande iptables échoue
+   */
+  async insertRule(sessionId, rule, position, table = 'filter', options = {}) {
+    const family = ruleModel.getFamily(options.family);
+    const target = inTable(rule, table);
+    const [index] = checkTarget(target.table, target.chain, position);
+    assertValidRule(target, family.name);
+
+    const args = ruleModel.buildInsertArgs(target, index, family.name);
+    const command = `sudo ${ruleModel.toCommand([family.command, ...args])}`;
+    const pendingConfirmation = await this.ssh.applyChange(sessionId, command, options);
+    return { success: true, message: `Règle insérée en position ${index}`, pendingConfirmation };
+  }
+
+  /**
+   * Remplace la règle d'une position par une règle structurée (iptables -R chaîne N)
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la chaîne
+   * @param {number} ruleNumber - Position de la règle remplacée (commence à 1)
+   * @param {Object} rule - Nouvelle règle structurée
+   * @param {string} [table='filter'] - Table cible
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange, dont family)
+   *   et empreinte attendue de la règle remplacée (fingerprint)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si la règle ou la position est invalide (400), si la règle n'a plus
+   *   l'empreinte attendue (409) ou si la commande iptables échoue
+   */
+  async replaceRule(sessionId, chain, ruleNumber, rule, table = 'filter', options = {}) {
+    const family = ruleModel.getFamily(options.family);
+    const [index] = checkTarget(table, chain, ruleNumber);
+    const target = { ...rule, table, chain };
+    assertValidRule(target, family.name);
+    if (options.fingerprint) {
+      const fingerprints = await this.chainFingerprints(sessionId, table, chain, family);
+      this.ssh.assertFingerprint(fingerprints, index, options.fingerprint, chain);
+    }
+
+    const args = ruleModel.buildReplaceArgs(target, index, family.name);
+    const command = `sudo ${ruleModel.toCommand([family.command, ...args])}`;
+    const pendingConfirmation = await this.ssh.applyChange(sessionId, command, options);
+    return { success: true, message: `Règle ${index} remplacée`, pendingConfirmation };
+  }
+
+  /**
+   * Déplace une règle d'une position à une autre dans sa chaîne
+   *
+   * Le déplacement est atomique : la table est relue avec iptables-save, puis
+   * la règle est supprimée et réinsérée par un même script
+   * iptables-restore --noflush (-D chaîne from, -I chaîne to), vérifié au
+   * préalable avec --test. Les autres règles et leurs compteurs restent en place.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la chaîne
+   * @param {number} from - Position actuelle de la règle (commence à 1)
+   * @param {number} to - Nouvelle position de la règle
+   * @param {string} [table='filter'] - Table cible
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange, dont family)
+   *   et empreinte attendue de la règle déplacée (fingerprint)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si un paramètre est invalide (400), si une position n'existe pas (404),
+   *   si la règle n'a plus l'empreinte attendue (409) ou si le rechargement échoue
+   */
+  async moveRule(sessionId, chain, from, to, table = 'filter', options = {}) {
+    const family = ruleModel.getFamily(options.family);
+    const [source, destination] = checkTarget(table, chain, from, to);
+
+    const output = await this.ssh.executeCommand(sessionId, `sudo ${family.save} -t ${table}`);
+    const tables = this.ssh.parseIptablesSave(output);
+    const chainObj = (tables[table] || []).find(c => c.chain === chain);
+    if (!chainObj) {
+      throw httpError(404, `Chaîne ${table}/${chain} introuvable`);
+    }
+    if (source > chainObj.rules.length || destination > chainObj.rules.length) {
+      throw httpError(404, `Position hors de la chaîne ${chain} (${chainObj.rules.length} règles)`);
+    }
+    const fingerprints = chainObj.rules.map(r => ruleModel.ruleFingerprint(r.content));
+    this.ssh.assertFingerprint(fingerprints, source, options.fingerprint, chain);
+    if (source === destination) {
+      return { success: true, message: 'La règle est déjà à cette position', pendingConfirmation: null };
+    }
+
+    const [rule] = chainObj.rules.splice(source - 1, 1);
+    chainObj.rules.splice(destination - 1, 0, rule);
+    const input = `*${table}\n-D ${chain} ${source}\n-I ${chain} ${destination} ${rule.content}\nCOMMIT\n`;
+    const restore = `sudo ${family.restore} --noflush`;
+
+    await this.ssh.executeCommand(sessionId, `${restore} --test`, { input });
+    const pendingConfirmation = await this.ssh.applyChange(sessionId, restore, {
+      ...options,
+      input,
+      result: { [table]: tables[table] }
+    });
+    return { success: true, message: `Règle déplacée de ${source} vers ${destination}`, pendingConfirmation };
+  }
+
+  /**
+   * Supprime une règle iptables désignée par son numéro
+   *
+   * La règle de la position est relue puis supprimée par sa spécification
+   * (iptables -D chaîne <spec>) : une renumérotation entre la lecture et la
+   * suppression ne peut pas faire supprimer une autre règle.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la chaîne (INPUT, OUTPUT, FORWARD, etc.)
+   * @param {number} ruleNumber - Numéro de la règle dans la chaîne (commence à 1)
+   * @param {string} [table='filter'] - Table cible
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange, dont family)
+   *   et empreinte attendue de la règle (fingerprint)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si un paramètre est invalide (400), si la règle n'existe pas (404),
+   *   si elle n'a plus l'empreinte attendue (409) ou si la commande iptables échoue
+   */
+  async deleteRule(sessionId, chain, ruleNumber, table = 'filter', options = {}) {
+    const family = ruleModel.getFamily(options.family);
+    const [index] = checkTarget(table, chain, ruleNumber);
+    const specs = await this.chainSpecs(sessionId, table, chain, family);
+    this.ssh.assertFingerprint(specs.map(ruleModel.ruleFingerprint), index, options.fingerprint, chain);
+    const spec = specs[index - 1];
+    if (!spec) {
+      throw httpError(404, `Règle ${index} introuvable dans ${table}/${chain}`);
+    }
+
+    const args = iptablesParser.tokenize(spec).map(token => token.value);
+    const command = this.chainCommand(table, family, ['-D', chain, ...args]);
+    const pendingConfirmation = await this.ssh.applyChange(sessionId, command, options);
+    return { success: true, message: 'Règle supprimée avec succès', pendingConfirmation };
+  }
+
+  // ==========================================================================
+  // GESTION DES CHAÎNES
+  // ==========================================================================
+
+  /**
+   * Construit une commande iptables sur une chaîne (sudo et table compris)
+   *
+   * @param {string} table - Table cible
+   * @param {Object} family - Famille d'adresses (voir ruleModel.getFamily)
+   * @param {Array<string>} args - Arguments (ex: ['-N', 'WEB'])
+   * @returns {string} Commande shell échappée
+   */
+  chainCommand(table, family, args) {
+    const tableArgs = table !== 'filter' ? ['-t', table] : [];
+    return `sudo ${ruleModel.toCommand([family.command, ...tableArgs, ...args])}`;
+  }
+
+  /**
+   * Vérifie qu'une chaîne utilisateur (et non intégrée) est désignée
+   *
+   * @param {string} table - Table cible
+   * @param {string} chain - Nom de la chaîne
+   * @throws {Error} Si la table ou le nom est invalide, ou si la chaîne est intégrée (status 400)
+   */
+  checkUserChain(table, chain) {
+    checkTarget(table, chain);
+    if (ruleModel.BUILTIN_CHAINS[table].includes(chain)) {
+      throw httpError(400, `${chain} est une chaîne intégrée de la table ${table}`);
+    }
+  }
+
+  /**
+   * Crée une chaîne utilisateur (iptables -N)
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la nouvelle chaîne
+   * @param {string} [table='filter'] - Table cible
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si le nom est invalide (400) ou si la commande iptables échoue
+   */
+  async createChain(sessionId, chain, table = 'filter', options = {}) {
+    this.checkUserChain(table, chain);
+    const family = ruleModel.getFamily(options.family);
+    const command = this.chainCommand(table, family, ['-N', chain]);
+    const pendingConfirmation = await this.ssh.applyChange(sessionId, command, options);
+    return { success: true, message: `Chaîne ${chain} créée`, pendingConfirmation };
+  }
+
+  /**
+   * Renomme une chaîne utilisateur (iptables -E)
+   *
+   * Les règles qui sautent vers la chaîne suivent le nouveau nom.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom actuel de la chaîne
+   * @param {string} newName - Nouveau nom
+   * @param {string} [table='filter'] - Table cible
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si un nom est invalide (400) ou si la commande iptables échoue
+   */
+  async renameChain(sessionId, chain, newName, table = 'filter', options = {}) {
+    this.checkUserChain(table, chain);
+    this.checkUserChain(table, newName);
+    const family = ruleModel.getFamily(options.family);
+    const command = this.chainCommand(table, family, ['-E', chain, newName]);
+    const pendingConfirmation = await this.ssh.applyChange(sessionId, command, options);
+    return { success: true, message: `Chaîne ${chain} renommée en ${newName}`, pendingConfirmation };
+  }
+
+  /**
+   * Supprime une chaîne utilisateur (iptables -X)
+   *
+   * La chaîne doit être vide et ne plus être référencée : iptables refuserait
+   * la suppression, l'erreur est donc signalée avant toute commande.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la chaîne
+   * @param {string} [table='filter'] - Table cible
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si le nom est invalide (400), si la chaîne n'existe pas (404),
+   *   si elle est référencée ou non vide (409)
+   */
+  async deleteChain(sessionId, chain, table = 'filter', options = {}) {
+    this.checkUserChain(table, chain);
+    const family = ruleModel.getFamily(options.family);
+    const chainObj = (await this.ssh.listRules(sessionId, table, family.name)).find(c => c.chain === chain);
+    if (!chainObj) {
+      throw httpError(404, `Chaîne ${table}/${chain} introuvable`);
+    }
+    if (chainObj.references > 0) {
+      throw httpError(409, `La chaîne ${chain} est référencée par ${chainObj.references} règle(s)`);
+    }
+    if (chainObj.rules.length > 0) {
+      throw httpError(409, `La chaîne ${chain} contient ${chainObj.rules.length} règle(s) : videz-la d'abord`);
+    }
+
+    const command = this.chainCommand(table, family, ['-X', chain]);
+    const pendingConfirmation = await this.ssh.applyChange(sessionId, command, options);
+    return { success: true, message: `Chaîne ${chain} supprimée`, pendingConfirmation };
+  }
+
+  /**
+   * Modifie la politique par défaut d'une chaîne intégrée (iptables -P)
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la chaîne intégrée
+   * @param {string} policy - Nouvelle politique (ACCEPT ou DROP)
+   * @param {string} [table='filter'] - Table cible
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si la chaîne n'est pas intégrée ou si la politique est invalide (400)
+   */
+  async setPolicy(sessionId, chain, policy, table = 'filter', options = {}) {
+    checkTarget(table, chain);
+    if (!ruleModel.BUILTIN_CHAINS[table].includes(chain)) {
+      throw httpError(400, `Seules les chaînes intégrées ont une politique (${ruleModel.BUILTIN_CHAINS[table].join(', ')})`);
+    }
+    if (!ruleModel.POLICIES.includes(policy)) {
+      throw httpError(400, `Politique invalide (attendu: ${ruleModel.POLICIES.join(', ')})`);
+    }
+
+    const family = ruleModel.getFamily(options.family);
+    const command = this.chainCommand(table, family, ['-P', chain, policy]);
+    const pendingConfirmation = await this.ssh.applyChange(sessionId, command, options);
+    return { success: true, message: `Politique de ${chain} : ${policy}`, pendingConfirmation };
+  }
+
+  /**
+   * Supprime toutes les règles d'une chaîne (iptables -F)
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la chaîne
+   * @param {string} [table='filter'] - Table cible
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si le nom est invalide (400) ou si la commande iptables échoue
+   */
+  async flushChain(sessionId, chain, table = 'filter', options = {}) {
+    checkTarget(table, chain);
+    const family = ruleModel.getFamily(options.family);
+    const command = this.chainCommand(table, family, ['-F', chain]);
+    const pendingConfirmation = await this.ssh.applyChange(sessionId, command, options);
+    return { success: true, message: `Chaîne ${chain} vidée`, pendingConfirmation };
+  }
+
+  /**
+   * Remet à zéro les compteurs de paquets et d'octets d'une chaîne (iptables -Z)
+   *
+   * Les règles ne changent pas : ni instantané, ni commit confirmé, mais la
+   * remise à zéro est inscrite au journal d'audit (voir SSHService.executeAudited).
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la chaîne
+   * @param {string} [table='filter'] - Table cible
+   * @param {Object} [options={}] - Options (family, author, sourceIp)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: null }
+   * @throws {Error} Si le nom est invalide (400) ou si la commande iptables échoue
+   */
+  async zeroCounters(sessionId, chain, table = 'filter', options = {}) {
+    checkTarget(table, chain);
+    const family = ruleModel.getFamily(options.family);
+    await this.ssh.executeAudited(sessionId, this.chainCommand(table, family, ['-Z', chain]), options);
+    return { success: true, message: `Compteurs de ${chain} remis à zéro`, pendingConfirmation: null };
+  }
+
+  // ==========================================================================
+  // PARSING
+  // ==========================================================================
+
+  /**
+   * Parse la sortie de la commande 'iptables -L'
+   *
+   * Analyse le format texte de iptables -L et le convertit en structure de données.
+   * La sortie est organisée par chaînes, chaque chaîne contenant un tableau de règles.
+   *
+   * Format d'entrée typique:
+   * Chain INPUT (policy ACCEPT 12 packets, 3456 bytes)
+   * num   pkts bytes target     prot opt source               destination
+   * 1     1234 5678  ACCEPT     tcp  --  0.0.0.0/0            0.0.0.0/0           tcp dpt:80
+   *
+   * Chain WEB (2 references)
+   *
+   * ip6tables laisse la colonne 'opt' vide : elle est alors complétée par '--'.
+   *
+   * @param {string} output - Sortie brute de 'iptables -L -n -v -x --line-numbers' (ou ip6tables)
+   * @returns {Array<Object>} Tableau de chaînes avec leurs règles
+   *   Format: [{ chain: 'INPUT', policy: 'ACCEPT', references: null, packets: 12, bytes: 3456,
+   *     rules: [{num, pkts, bytes, target, prot, ...}, ...] }, ...]
+   *   (policy '-' et references renseigné pour une chaîne utilisateur)
+   */
+  parseIptablesOutput(output) {
+    const chains = [];
+    const lines = output.split('\n');
+    let currentChain = null;
+    let rules = [];
+
+    for (const line of lines) {
+      // Détecte le début d'une nouvelle chaîne (ex: "Chain INPUT (policy ACCEPT ...)", "Chain WEB (2 references)")
+      if (line.startsWith('Chain')) {
+        const match = line.match(/^Chain (\S+)(?: \((?:policy (\S+)|(\d+) references?)[^)]*\))?/);
+        const counters = line.match(/policy \S+ (\d+\w?) packets, (\d+\w?) bytes/);
+        currentChain = match ? {
+          chain: match[1],
+          policy: match[2] || '-',
+          references: match[3] !== undefined ? Number(match[3]) : null,
+          packets: counters ? parseCounter(counters[1]) : null,
+          bytes: counters ? parseCounter(counters[2]) : null,
+          rules: []
+        } : null;
+        if (currentChain) {
+          chains.push(currentChain);
+        }
+        rules = currentChain ? currentChain.rules : [];
+      }
+      // Détecte une ligne de règle (commence par un numéro)
+      else if (line.match(/^\s*\d+/)) {
+        const parts = line.trim().split(/\s+/);
+        if (parts.length > 5 && !OPT_VALUES.includes(parts[5])) {
+          parts.splice(5, 0, '--');
+        }
+        if (parts.length >= 8) {
+          // Format: [num, pkts, bytes, target, prot, opt, source, destination, ...extra]
+          const extraString = parts.slice(8).join(' ');
+          const parsedExtra = this.parseExtraFields(extraString);
+
+          rules.push({
+            num: parts[0],           // Numéro de la règle
+            pkts: parseCounter(parts[1]),   // Paquets comptés
+            bytes: parseCounter(parts[2]),  // Octets comptés
+            target: parts[3],        // Cible (ACCEPT, DROP, REJECT, DNAT, etc.)
+            prot: parts[4],          // Protocole (tcp, udp, icmp, all, etc.)
+            opt: parts[5],           // Options
+            source: parts[6],        // Adresse source
+            destination: parts[7],   // Adresse destination
+            extra: extraString,      // Informations supplémentaires (ports, etc.)
+            // Champs parsés pour faciliter l'affichage
+            sourcePort: parsedExtra.sourcePort,
+            destPort: parsedExtra.destPort,
+            toDestIP: parsedExtra.toDestIP,
+            toDestPort: parsedExtra.toDestPort,
+            toDestination: parsedExtra.toDestination
+          });
+        }
+      }
+    }
+
+    return chains;
+  }
+
+  /**
+   * Regroupe par chaîne les spécifications de règles de 'iptables -S'
+   *
+   * @param {string} output - Sortie de 'iptables -S' (lignes "-A CHAÎNE spec")
+   * @returns {Map<string, Array<string>>} Spécifications (sans "-A CHAÎNE") par chaîne, dans l'ordre
+   */
+  parseSpecs(output) {
+    const specs = new Map();
+    for (const line of output.split('\n')) {
+      const match = line.match(/^-A (\S+) (.*)$/);
+      if (match) {
+        if (!specs.has(match[1])) specs.set(match[1], []);
+        specs.get(match[1]).push(match[2].trim());
+      }
+    }
+    return specs;
+  }
+
+  /**
+   * Associe à chaque règle listée sa spécification et son empreinte
+   *
+   * Les deux sorties sont lues l'une après l'autre : si une chaîne a changé
+   * entre les deux (nombre de règles différent), ses règles restent sans empreinte.
+   *
+   * @param {Array<Object>} chains - Chaînes issues de parseIptablesOutput
+   * @param {string} specOutput - Sortie de 'iptables -S' pour la même table
+   * @returns {Array<Object>} Les mêmes chaînes, règles complétées de spec et fingerprint
+   */
+  attachFingerprints(chains, specOutput) {
+    const specs = this.parseSpecs(specOutput);
+    for (const chain of chains) {
+      const list = specs.get(chain.chain) || [];
+      const consistent = list.length === chain.rules.length;
+      chain.rules.forEach((rule, index) => {
+        rule.spec = consistent ? list[index] : null;
+        rule.fingerprint = consistent ? ruleModel.ruleFingerprint(list[index]) : null;
+      });
+    }
+    return chains;
+  }
+
+  /**
+   * Parse les champs supplémentaires dans la sortie de 'iptables -L'
+   *
+   * Extrait les informations détaillées comme les ports et adresses de destination
+   * depuis la colonne 'extra' de la sortie iptables.
+   *
+   * Exemples d'entrée:
+   * - "tcp dpt:19070 to:192.168.127.70:9001"
+   * - "tcp dpt:8080 to:[2001:db8::10]:80" (IPv6, adresse entre crochets)
+   * - "tcp spt:443 dpt:80"
+   * - "udp dpts:5000:6000"
+   * - "multiport dports 80,443,8000:8100" (liste de ports)
+   *
+   * @param {string} extraString - Chaîne contenant les informations supplémentaires
+   * @returns {Object} Objet avec les champs parsés (ports, IPs de destination)
+   */
+  parseExtraFields(extraString) {
+    const result = {
+      sourcePort: null,        // Port source (spt)
+      destPort: null,          // Port destination (dpt/dpts)
+      toDestIP: null,          // IP de destination (pour DNAT/SNAT)
+      toDestPort: null,        // Port de destination (pour DNAT/SNAT)
+      toDestination: null      // Destination complète IP:port
+    };
+
+    if (!extraString) return result;
+
+    // Parse source port (spt:xxx)
+    const sptMatch = extraString.match(/spt:(\d+)/);
+    if (sptMatch) {
+      result.sourcePort = sptMatch[1];
+    }
+
+    // Parse destination port (dpt:xxx ou dpts:xxx pour range, "dports a,b:c" pour multiport)
+    const dptMatch = extraString.match(/dpts?:(\d+(?::\d+)?)/)
+      || extraString.match(/multiport dports (\d+(?::\d+)?(?:,\d+(?::\d+)?)*)/);
+    if (dptMatch) {
+      result.destPort = dptMatch[1];
+    }
+
+    // Parse to-destination pour les règles NAT : to:IP:port (IPv4), to:[IP]:port ou to:IP (IPv6)
+    const toMatch = extraString.match(/to:\[([\da-fA-F:.]+)\](?::(\d+(?:-\d+)?))?/)
+      || extraString.match(/to:((?:[\da-fA-F]*:){2,}[\da-fA-F.]*)/)
+      || extraString.match(/to:([\d.]+):?(\d+)?/);
+    if (toMatch) {
+      const ipv6 = toMatch[1].includes(':');
+      result.toDestIP = toMatch[1];
+      result.toDestPort = toMatch[2] || null;
+      if (!toMatch[2]) {
+        result.toDestination = toMatch[1];
+      } else {
+        result.toDestination = ipv6 ? `[${toMatch[1]}]:${toMatch[2]}` : `${toMatch[1]}:${toMatch[2]}`;
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = IptablesBackend;
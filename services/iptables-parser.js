@@ -0,0 +1,365 @@
+/**
+ * Parseur des spécifications de règles iptables (format iptables-save)
+ *
+ * Découpe le contenu d'une règle (la ligne "-A CHAÎNE ..." sans "-A CHAÎNE")
+ * en trois parties :
+ * - options de base : -s, -d, -i, -o, -p, -f...
+ * - modules de correspondance (-m conntrack, -m multiport, -m comment...)
+ *   avec leurs options, dans l'ordre de la ligne
+ * - cible (-j) ou saut (-g) avec ses options
+ *
+ * Chaque option a la forme { option, values, negated, quoted } : "!" placé
+ * devant l'option la nie, et les valeurs entre guillemets (--comment "...",
+ * --log-prefix "...") sont lues sans leurs guillemets ni échappements.
+ * serializeRule refait la ligne à l'identique pour une ligne produite par
+ * iptables-save (options de base d'abord, un espace entre chaque élément).
+ *
+ * Exemple:
+ *   parseRule('-p tcp -m conntrack --ctstate NEW -m comment --comment "ssh admin" -j ACCEPT')
+ *   → {
+ *       options: [{ option: '-p', values: ['tcp'], negated: false, quoted: false }],
+ *       matches: [
+ *         { module: 'conntrack', implicit: false, options: [{ option: '--ctstate', values: ['NEW'], ... }] },
+ *         { module: 'comment', implicit: false, options: [{ option: '--comment', values: ['ssh admin'], quoted: true, ... }] }
+ *       ],
+ *       target: { name: 'ACCEPT', goto: false, options: [] }
+ *     }
+ *
+ * @module services/iptables-parser
+ */
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+/**
+ * Options de base d'iptables (hors modules), forme courte et longue
+ */
+const BASE_OPTIONS = new Set([
+  '-s', '--source', '--src',
+  '-d', '--destination', '--dst',
+  '-i', '--in-interface',
+  '-o', '--out-interface',
+  '-p', '--protocol',
+  '-f', '--fragment',
+  '-4', '--ipv4',
+  '-6', '--ipv6'
+]);
+
+/**
+ * Options de base dans l'ordre d'iptables-save, et forme courte des formes longues
+ */
+const BASE_OPTION_ORDER = ['-s', '-d', '-i', '-o', '-p', '-f'];
+const BASE_OPTION_ALIASES = {
+  '--source': '-s',
+  '--src': '-s',
+  '--destination': '-d',
+  '--dst': '-d',
+  '--in-interface': '-i',
+  '--out-interface': '-o',
+  '--protocol': '-p',
+  '--fragment': '-f'
+};
+
+const MATCH_OPTIONS = new Set(['-m', '--match']);
+const JUMP_OPTIONS = new Set(['-j', '--jump']);
+const GOTO_OPTIONS = new Set(['-g', '--goto']);
+
+/**
+ * Caractères échappés par iptables-save dans une valeur entre guillemets
+ */
+const ESCAPED_CHARS = /["\\']/g;
+
+// ============================================================================
+// UTILITAIRES
+// ============================================================================
+
+/**
+ * Crée une erreur de syntaxe portant un code HTTP 400
+ *
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur avec status 400
+ */
+function syntaxError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Indique si un élément est une valeur (et non une option ou un "!")
+ *
+ * @param {Object} token - Élément issu de tokenize
+ * @returns {boolean} true pour une valeur
+ */
+function isValue(token) {
+  return token.quoted || (token.value !== '!' && !token.value.startsWith('-'));
+}
+
+// ============================================================================
+// DÉCOUPAGE
+// ============================================================================
+
+/**
+ * Découpe une spécification de règle en éléments
+ *
+ * Les espaces séparent les éléments, sauf entre guillemets doubles où ils
+ * font partie de la valeur ; une barre oblique inverse échappe le caractère
+ * suivant.
+ *
+ * @param {string} content - Spécification de règle
+ * @returns {Array<{value: string, quoted: boolean}>} Éléments dans l'ordre
+ * @throws {Error} Si un guillemet n'est pas refermé (status 400)
+ */
+function tokenize(content) {
+  const tokens = [];
+  const text = String(content);
+  let i = 0;
+
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+
+    let value = '';
+    let quoted = false;
+    while (i < text.length && !/\s/.test(text[i])) {
+      if (text[i] === '"') {
+        quoted = true;
+        i++;
+        while (i < text.length && text[i] !== '"') {
+          if (text[i] === '\\' && i + 1 < text.length) {
+            i++;
+          }
+          value += text[i++];
+        }
+        if (i >= text.length) {
+          throw syntaxError(`Guillemet non refermé dans la règle: ${text}`);
+        }
+        i++;  // Guillemet fermant
+      } else {
+        value += text[i++];
+      }
+    }
+    tokens.push({ value, quoted });
+  }
+
+  return tokens;
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parse la spécification d'une règle iptables
+ *
+ * Les options longues placées avant tout "-m" (ex: "-p tcp --dport 22")
+ * sont rattachées au module implicite du protocole (implicit: true), comme
+ * le fait iptables.
+ *
+ * @param {string} content - Spécification sans "-A CHAÎNE"
+ *   (ex: '-s 10.0.0.0/8 -p tcp -m tcp --dport 22 -j ACCEPT')
+ * @returns {Object} { options, matches: [{ module, implicit, options }], target: { name, goto, options }|null }
+ * @throws {Error} Si la spécification est mal formée (status 400)
+ */
+function parseRule(content) {
+  const tokens = tokenize(content);
+  const rule = { options: [], matches: [], target: null };
+  let current = null;  // Module ou cible recevant les options longues
+  let negated = false;
+  let i = 0;
+
+  const readName = (flag) => {
+    const token = tokens[i + 1];
+    if (!token || !isValue(token)) {
+      throw syntaxError(`Nom manquant après ${flag}`);
+    }
+    i += 2;
+    return token.value;
+  };
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+
+    if (!token.quoted && token.value === '!') {
+      negated = true;
+      i++;
+      continue;
+    }
+    if (isValue(token)) {
+      throw syntaxError(`Valeur inattendue: ${token.value}`);
+    }
+
+    const flag = token.value;
+    if (MATCH_OPTIONS.has(flag) || JUMP_OPTIONS.has(flag) || GOTO_OPTIONS.has(flag)) {
+      if (negated) {
+        throw syntaxError(`"!" ne peut pas précéder ${flag}`);
+      }
+      const name = readName(flag);
+      if (MATCH_OPTIONS.has(flag)) {
+        current = { module: name, implicit: false, options: [] };
+        rule.matches.push(current);
+      } else {
+        if (rule.target) {
+          throw syntaxError('Une règle ne peut avoir qu\'une seule cible');
+        }
+        current = { name, goto: GOTO_OPTIONS.has(flag), options: [] };
+        rule.target = current;
+      }
+      continue;
+    }
+
+    // Option et ses valeurs (aucune pour --syn, deux pour --tcp-flags...)
+    i++;
+    const values = [];
+    let quoted = false;
+    while (i < tokens.length && isValue(tokens[i])) {
+      quoted = quoted || tokens[i].quoted;
+      values.push(tokens[i++].value);
+    }
+    const option = { option: flag, values, negated, quoted };
+    negated = false;
+
+    if (BASE_OPTIONS.has(flag)) {
+      rule.options.push(option);
+    } else if (current) {
+      current.options.push(option);
+    } else {
+      // Option du module implicite du protocole (ex: "-p tcp --dport 22")
+      const protocol = rule.options.find(o => o.option === '-p' || o.option === '--protocol');
+      if (!protocol || protocol.negated) {
+        throw syntaxError(`Option ${flag} en dehors de tout module (-m)`);
+      }
+      current = { module: protocol.values[0], implicit: true, options: [] };
+      rule.matches.push(current);
+      current.options.push(option);
+    }
+  }
+
+  if (negated) {
+    throw syntaxError('"!" en fin de règle');
+  }
+
+  return rule;
+}
+
+// ============================================================================
+// SÉRIALISATION
+// ============================================================================
+
+/**
+ * Formate une valeur, entre guillemets si elle l'était à la lecture
+ *
+ * @param {string} value - Valeur
+ * @param {boolean} quoted - true pour l'entourer de guillemets
+ * @returns {string} Valeur formatée
+ */
+function formatValue(value, quoted) {
+  return quoted ? `"${value.replace(ESCAPED_CHARS, '\\$&')}"` : value;
+}
+
+/**
+ * Formate une option et ses valeurs
+ *
+ * @param {Object} option - Option { option, values, negated, quoted }
+ * @returns {Array<string>} Éléments de la ligne
+ */
+function formatOption(option) {
+  const parts = option.negated ? ['!', option.option] : [option.option];
+  return parts.concat((option.values || []).map(v => formatValue(String(v), option.quoted)));
+}
+
+/**
+ * Reconstruit la spécification d'une règle parsée par parseRule
+ *
+ * @param {Object} rule - Règle { options, matches, target }
+ * @returns {string} Spécification (sans "-A CHAÎNE")
+ */
+function serializeRule(rule) {
+  const parts = [];
+
+  for (const option of rule.options) {
+    parts.push(...formatOption(option));
+  }
+  for (const match of rule.matches) {
+    if (!match.implicit) {
+      parts.push('-m', match.module);
+    }
+    for (const option of match.options) {
+      parts.push(...formatOption(option));
+    }
+  }
+  if (rule.target) {
+    parts.push(rule.target.goto ? '-g' : '-j', rule.target.name);
+    for (const option of rule.target.options) {
+      parts.push(...formatOption(option));
+    }
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Met une règle parsée sous la forme écrite par iptables-save
+ *
+ * Les modules implicites sont nommés ("-p tcp --dport 22" devient
+ * "-p tcp -m tcp --dport 22") et les options de base sont remises dans
+ * l'ordre d'iptables-save, sous leur forme courte : deux écritures d'une même
+ * règle donnent la même spécification.
+ *
+ * @param {Object} rule - Règle { options, matches, target }
+ * @returns {string} Spécification (sans "-A CHAÎNE")
+ */
+function canonicalizeRule(rule) {
+  const options = rule.options
+    .map(option => ({ ...option, option: BASE_OPTION_ALIASES[option.option] || option.option }))
+    .sort((a, b) => BASE_OPTION_ORDER.indexOf(a.option) - BASE_OPTION_ORDER.indexOf(b.option));
+  return serializeRule({
+    options,
+    matches: rule.matches.map(match => ({ ...match, implicit: false })),
+    target: rule.target
+  });
+}
+
+// ============================================================================
+// CONSULTATION
+// ============================================================================
+
+/**
+ * Recherche une option dans une règle parsée
+ *
+ * @param {Object} rule - Règle { options, matches, target }
+ * @param {Array<string>|string} names - Nom(s) de l'option (ex: ['--dport', '--dports'])
+ * @param {string} [module] - Limite la recherche à ce module ('target' pour la cible,
+ *   par défaut: options de base, modules puis cible)
+ * @returns {Object|null} Première option trouvée { option, values, negated, quoted }
+ */
+function findOption(rule, names, module) {
+  const wanted = [].concat(names);
+  let lists;
+  if (module === 'target') {
+    lists = rule.target ? [rule.target.options] : [];
+  } else if (module) {
+    lists = rule.matches.filter(m => m.module === module).map(m => m.options);
+  } else {
+    lists = [rule.options, ...rule.matches.map(m => m.options), rule.target ? rule.target.options : []];
+  }
+
+  for (const options of lists) {
+    const found = options.find(o => wanted.includes(o.option));
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  tokenize,
+  parseRule,
+  serializeRule,
+  canonicalizeRule,
+  findOption
+};
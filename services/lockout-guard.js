@@ -0,0 +1,353 @@
+/**
+ * Protection contre la coupure de la connexion SSH de l'application
+ *
+ * Une règle "-A INPUT -j DROP" ou une politique DROP sur INPUT suffit à
+ * couper la connexion SSH dont l'application dépend. Avant une modification,
+ * la configuration qui en résulterait est calculée localement (commande
+ * iptables rejouée sur la sortie de parseIptablesSave, ou jeu de règles
+ * passé à iptables-restore), puis le flux SSH de la session y est simulé
+ * (voir services/packet-simulator) :
+ *
+ *   - paquets de la session en cours (entrants, état ESTABLISHED)
+ *   - nouvelle connexion depuis le même poste (entrante, état NEW)
+ *   - réponses du serveur (sortantes, état ESTABLISHED)
+ *
+ * La vérification est prudente : un flux n'est signalé que s'il est accepté
+ * par la configuration actuelle et refusé par la configuration résultante.
+ * Une commande qui ne peut pas être rejouée (mode expert avec redirections,
+ * suppression par spécification introuvable...) n'est pas vérifiée.
+ *
+ * @module services/lockout-guard
+ * @requires net
+ * @requires ./iptables-parser
+ * @requires ./packet-simulator
+ */
+
+const net = require('net');
+const { parseRule, serializeRule } = require('./iptables-parser');
+const { simulatePacket } = require('./packet-simulator');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+/**
+ * Commande shell affichant le flux SSH de la session et l'interface de sortie
+ * vers le client ("client port-client serveur port-serveur", puis "ip route get")
+ */
+const SSH_FLOW_COMMAND = 'set -- $SSH_CONNECTION; echo "$@"; ip -o route get "$1" 2>/dev/null || true';
+
+/**
+ * Opérateurs shell rendant une commande impossible à rejouer
+ */
+const SHELL_OPERATORS = /^(?:;|&&|\|\||\||<|>|>>|&)$/;
+
+// ============================================================================
+// FLUX SSH
+// ============================================================================
+
+/**
+ * Lit le flux SSH de la session depuis la sortie de SSH_FLOW_COMMAND
+ *
+ * @param {string} output - Sortie de SSH_FLOW_COMMAND
+ * @returns {Object|null} { client, clientPort, server, serverPort, interface, family },
+ *   null si $SSH_CONNECTION est absent ou illisible
+ */
+function parseSshFlow(output) {
+  const [first = '', ...rest] = String(output).split('\n');
+  const [client, clientPort, server, serverPort] = first.trim().split(/\s+/).map(unmapAddress);
+  if (!net.isIP(client) || !net.isIP(server) || !/^\d+$/.test(clientPort) || !/^\d+$/.test(serverPort)) {
+    return null;
+  }
+
+  const route = rest.join(' ').match(/\bdev\s+(\S+)/);
+  return {
+    client,
+    clientPort: Number(clientPort),
+    server,
+    serverPort: Number(serverPort),
+    interface: route ? route[1] : null,
+    family: net.isIP(client) === 6 ? 'ipv6' : 'ipv4'
+  };
+}
+
+/**
+ * Retire le préfixe IPv4 mappé en IPv6 (::ffff:192.0.2.1 → 192.0.2.1)
+ *
+ * @param {string} [value] - Adresse ou port
+ * @returns {string} Valeur sans préfixe
+ */
+function unmapAddress(value = '') {
+  return value.replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, '$1');
+}
+
+// ============================================================================
+// CONFIGURATION RÉSULTANTE
+// ============================================================================
+
+/**
+ * Découpe une commande shell en mots (apostrophes, guillemets, barres obliques)
+ *
+ * @param {string} command - Commande shell
+ * @returns {Array<string>|null} Mots, null si la commande contient un opérateur
+ *   (enchaînement, redirection...) ou une substitution
+ */
+function shellWords(command) {
+  const words = [];
+  const text = String(command);
+  let i = 0;
+
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+
+    let word = '';
+    let quoted = false;
+    while (i < text.length && !/\s/.test(text[i])) {
+      const char = text[i];
+      if (char === '\'') {
+        const end = text.indexOf('\'', i + 1);
+        if (end === -1) return null;
+        word += text.slice(i + 1, end);
+        quoted = true;
+        i = end + 1;
+      } else if (char === '"') {
+        i++;
+        while (i < text.length && text[i] !== '"') {
+          if (text[i] === '$' || text[i] === '`') return null;
+          if (text[i] === '\\' && i + 1 < text.length) i++;
+          word += text[i++];
+        }
+        if (i >= text.length) return null;
+        quoted = true;
+        i++;
+      } else if (char === '\\' && i + 1 < text.length) {
+        word += text[i + 1];
+        i += 2;
+      } else if ('$`(){}*?[]'.includes(char)) {
+        return null;
+      } else {
+        word += char;
+        i++;
+      }
+    }
+    if (!quoted && (SHELL_OPERATORS.test(word) || /[;&|<>]/.test(word))) {
+      return null;
+    }
+    words.push(word);
+  }
+
+  return words;
+}
+
+/**
+ * Construit une ligne de règle au format parseIptablesSave
+ *
+ * @param {string} chain - Chaîne de la règle
+ * @param {Array<string>} words - Spécification, mot par mot
+ * @returns {Object} { raw, content, parsed } (parsed: null si la spécification est invalide)
+ */
+function ruleLine(chain, words) {
+  const content = words
+    .map(w => (w === '' || /[\s"\\']/.test(w) ? `"${w.replace(/["\\]/g, '\\$&')}"` : w))
+    .join(' ');
+  let parsed = null;
+  let normalized = content;
+  try {
+    parsed = parseRule(content);
+    normalized = serializeRule(parsed);
+  } catch (error) {
+    // Ligne conservée telle quelle : le simulateur l'ignorera avec un avertissement
+  }
+  return { raw: `-A ${chain} ${normalized}`, content: normalized, parsed };
+}
+
+/**
+ * Rejoue une commande iptables sur une configuration parsée
+ *
+ * Commandes reconnues : -A, -I, -D, -R, -P, -F, -N, -X et -E (formes courtes
+ * et longues), avec -t et -w. La configuration d'origine n'est pas modifiée.
+ *
+ * @param {Object} tables - Configuration issue de parseIptablesSave
+ * @param {Array<string>} args - Arguments de la commande, sans l'exécutable
+ *   (ex: ['-t', 'nat', '-A', 'PREROUTING', '-p', 'tcp', ...])
+ * @returns {Object|null} Configuration résultante, null si la commande ne peut pas être rejouée
+ */
+function applyCommand(tables, args) {
+  const words = [...args];
+  let table = 'filter';
+  const tableIndex = words.findIndex(w => w === '-t' || w === '--table');
+  if (tableIndex !== -1) {
+    table = words[tableIndex + 1];
+    words.splice(tableIndex, 2);
+  }
+  const wait = words.findIndex(w => w === '-w' || w === '--wait');
+  if (wait !== -1) {
+    words.splice(wait, /^\d+$/.test(words[wait + 1] || '') ? 2 : 1);
+  }
+
+  const result = { ...tables };
+  const chains = (result[table] || []).map(c => ({ ...c, rules: [...c.rules] }));
+  result[table] = chains;
+  const [operation, chainName, ...rest] = words;
+  const chain = chains.find(c => c.chain === chainName);
+  const position = /^\d+$/.test(rest[0] || '') ? Number(rest[0]) : null;
+
+  switch (operation) {
+    case '-A':
+    case '--append':
+      if (!chain) return null;
+      chain.rules.push(ruleLine(chainName, rest));
+      break;
+    case '-I':
+    case '--insert': {
+      if (!chain) return null;
+      const index = (position || 1) - 1;
+      if (index > chain.rules.length) return null;
+      chain.rules.splice(index, 0, ruleLine(chainName, position ? rest.slice(1) : rest));
+      break;
+    }
+    case '-D':
+    case '--delete': {
+      if (!chain) return null;
+      let index = position ? position - 1 : -1;
+      if (!position) {
+        const { content } = ruleLine(chainName, rest);
+        index = chain.rules.findIndex(r => r.content === content);
+      }
+      if (index < 0 || index >= chain.rules.length) return null;
+      chain.rules.splice(index, 1);
+      break;
+    }
+    case '-R':
+    case '--replace':
+      if (!chain || !position || position > chain.rules.length) return null;
+      chain.rules[position - 1] = ruleLine(chainName, rest.slice(1));
+      break;
+    case '-P':
+    case '--policy':
+      if (!chain || !rest[0]) return null;
+      chain.policy = rest[0];
+      break;
+    case '-F':
+    case '--flush':
+      for (const c of chains) {
+        if (!chainName || c.chain === chainName) c.rules = [];
+      }
+      break;
+    case '-N':
+    case '--new-chain':
+      if (!chainName || chain) return null;
+      chains.push({ chain: chainName, policy: '-', rules: [] });
+      break;
+    case '-X':
+    case '--delete-chain':
+      result[table] = chains.filter(c => (chainName ? c.chain !== chainName : c.policy !== '-'));
+      break;
+    case '-E':
+    case '--rename-chain':
+      // Les sauts suivent la chaîne renommée : le filtrage est inchangé
+      return tables;
+    default:
+      return null;
+  }
+
+  return result;
+}
+
+// ============================================================================
+// VÉRIFICATION
+// ============================================================================
+
+/**
+ * Paquets du flux SSH vérifiés, avec leur libellé
+ *
+ * @param {Object} flow - Flux SSH (voir parseSshFlow)
+ * @returns {Array<{label: string, packet: Object}>} Paquets à simuler
+ */
+function sshPackets(flow) {
+  const inbound = {
+    direction: 'input',
+    protocol: 'tcp',
+    source: flow.client,
+    sport: flow.clientPort,
+    destination: flow.server,
+    dport: flow.serverPort,
+    inInterface: flow.interface || undefined,
+    localAddresses: [flow.server]
+  };
+  return [
+    { label: 'la session en cours', packet: { ...inbound, state: 'ESTABLISHED' } },
+    { label: 'une nouvelle connexion SSH', packet: { ...inbound, state: 'NEW' } },
+    {
+      label: 'la réponse du serveur',
+      packet: {
+        direction: 'output',
+        protocol: 'tcp',
+        source: flow.server,
+        sport: flow.serverPort,
+        destination: flow.client,
+        dport: flow.clientPort,
+        outInterface: flow.interface || undefined,
+        state: 'ESTABLISHED'
+      }
+    }
+  ];
+}
+
+/**
+ * Simule un paquet sans lever d'erreur
+ *
+ * @param {Object} tables - Configuration parsée
+ * @param {Object} packet - Paquet (voir packet-simulator)
+ * @param {string} family - Famille d'adresses
+ * @returns {Object|null} Résultat de simulatePacket, null si la simulation échoue
+ */
+function trySimulate(tables, packet, family) {
+  try {
+    return simulatePacket(tables, packet, family);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Recherche un paquet du flux SSH accepté avant la modification et refusé après
+ *
+ * @param {Object} before - Configuration actuelle (parseIptablesSave)
+ * @param {Object} after - Configuration résultante
+ * @param {Object} flow - Flux SSH de la session (voir parseSshFlow)
+ * @returns {Object|null} { flow, packet, verdict, decidedBy, message }, null si le flux reste accepté
+ */
+function findLockout(before, after, flow) {
+  for (const { label, packet } of sshPackets(flow)) {
+    const next = trySimulate(after, packet, flow.family);
+    if (!next || next.verdict === 'ACCEPT') continue;
+    const current = trySimulate(before, packet, flow.family);
+    if (!current || current.verdict !== 'ACCEPT') continue;
+
+    const { decidedBy, verdict } = next;
+    const cause = decidedBy.policy
+      ? `la politique ${verdict} de ${decidedBy.table}/${decidedBy.chain}`
+      : `la règle ${decidedBy.position} de ${decidedBy.table}/${decidedBy.chain} (${decidedBy.rule})`;
+    return {
+      flow,
+      packet: label,
+      verdict,
+      decidedBy,
+      message: `Modification refusée : elle couperait la connexion SSH de l'application ` +
+        `(${flow.client} → ${flow.server}:${flow.serverPort}), ${label} serait rejetée par ${cause}`
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  SSH_FLOW_COMMAND,
+  parseSshFlow,
+  shellWords,
+  applyCommand,
+  findLockout
+};
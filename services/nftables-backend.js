@@ -0,0 +1,1083 @@
+/**
+ * Backend nftables natif
+ *
+ * Utilisé pour les hôtes dont le pare-feu est géré directement avec nft
+ * (tables inet, tables propres à l'administrateur...), plutôt qu'au travers
+ * des commandes iptables. Le jeu de règles est lu au format JSON
+ * (nft -j list ruleset) et présenté sous la même forme que les règles
+ * iptables : tables, chaînes et règles, ainsi que les ensembles (sets) de
+ * chaque table. Les ajouts et suppressions passent par `nft add rule` et
+ * `nft delete rule ... handle N`. Les positions de l'application sont
+ * converties en handles (insertion avant une règle, remplacement) ; un
+ * déplacement est une transaction JSON (`nft -j -f -`) supprimant puis
+ * réinsérant la règle.
+ *
+ * L'empreinte d'une règle (fingerprint) combine son handle et ses expressions
+ * hors compteurs : les opérations par position la vérifient comme le backend
+ * iptables (erreur 409 si la règle a changé).
+ *
+ * Les chaînes de base (attachées à un hook) jouent le rôle des chaînes
+ * intégrées d'iptables : elles seules ont une politique, et seules les
+ * chaînes régulières sont créées, renommées ou supprimées par l'application.
+ *
+ * Les tables sont nommées 'famille nom' (ex: 'inet filter', 'ip nat'). La
+ * famille d'adresses de l'application filtre les familles nftables affichées :
+ * ipv4 → ip et inet, ipv6 → ip6 et inet (les familles arp, bridge et netdev
+ * sont toujours affichées).
+ *
+ * Implémente la même interface que services/iptables-backend.
+ *
+ * @module services/nftables-backend
+ * @requires ./rule-model
+ */
+
+const ruleModel = require('./rule-model');
+
+/**
+ * Familles nftables affichées pour chaque famille d'adresses de l'application
+ */
+const FAMILY_TABLES = {
+  ipv4: ['ip', 'inet', 'arp', 'bridge', 'netdev'],
+  ipv6: ['ip6', 'inet', 'bridge', 'netdev']
+};
+
+/**
+ * Nom de table nftables: 'famille nom'
+ */
+const TABLE_PATTERN = /^(ip|ip6|inet|arp|bridge|netdev) ([A-Za-z0-9_.-]{1,64})$/;
+
+/**
+ * Cibles iptables converties directement en verdict nftables
+ */
+const VERDICTS = { ACCEPT: 'accept', DROP: 'drop', RETURN: 'return' };
+
+/**
+ * Codes ICMP de REJECT (iptables) et leur équivalent nftables
+ */
+const REJECT_TYPES = {
+  'icmp-net-unreachable': ['icmp', 'net-unreachable'],
+  'icmp-host-unreachable': ['icmp', 'host-unreachable'],
+  'icmp-port-unreachable': ['icmp', 'port-unreachable'],
+  'icmp-proto-unreachable': ['icmp', 'prot-unreachable'],
+  'icmp-net-prohibited': ['icmp', 'net-prohibited'],
+  'icmp-host-prohibited': ['icmp', 'host-prohibited'],
+  'icmp-admin-prohibited': ['icmp', 'admin-prohibited'],
+  'icmp6-no-route': ['icmpv6', 'no-route'],
+  'no-route': ['icmpv6', 'no-route'],
+  'icmp6-adm-prohibited': ['icmpv6', 'admin-prohibited'],
+  'adm-prohibited': ['icmpv6', 'admin-prohibited'],
+  'icmp6-addr-unreachable': ['icmpv6', 'addr-unreachable'],
+  'addr-unreach': ['icmpv6', 'addr-unreachable'],
+  'icmp6-port-unreachable': ['icmpv6', 'port-unreachable'],
+  'port-unreach': ['icmpv6', 'port-unreachable']
+};
+
+/**
+ * Niveaux de journalisation iptables et leur nom nftables
+ */
+const LOG_LEVELS = {
+  0: 'emerg', 1: 'alert', 2: 'crit', 3: 'err', 4: 'warn', 5: 'notice', 6: 'info', 7: 'debug',
+  error: 'err', warning: 'warn'
+};
+
+/**
+ * Unités de débit iptables (module limit) et leur nom nftables
+ */
+const RATE_UNITS = { s: 'second', sec: 'second', m: 'minute', min: 'minute', h: 'hour', d: 'day' };
+
+/**
+ * Crée une erreur portant un code HTTP
+ *
+ * @param {number} status - Code HTTP à renvoyer
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur avec la propriété status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Découpe un nom de table 'famille nom'
+ *
+ * @param {string} table - Nom complet de la table (ex: 'inet filter')
+ * @returns {{family: string, name: string}} Famille nftables et nom de la table
+ * @throws {Error} Si le nom est invalide (status 400)
+ */
+function splitTable(table) {
+  const match = TABLE_PATTERN.exec(String(table));
+  if (!match) {
+    throw httpError(400, `Table nftables invalide: ${table} (attendu: 'famille nom', ex: 'inet filter')`);
+  }
+  return { family: match[1], name: match[2] };
+}
+
+/**
+ * Vérifie un nom de chaîne
+ *
+ * @param {string} chain - Nom de la chaîne
+ * @throws {Error} Si le nom est invalide (status 400)
+ */
+function checkChain(chain) {
+  if (!ruleModel.PATTERNS.chain.test(String(chain))) {
+    throw httpError(400, `Nom de chaîne invalide: ${chain}`);
+  }
+}
+
+/**
+ * Vérifie un nom de chaîne et une position dans la chaîne
+ *
+ * @param {string} chain - Nom de la chaîne
+ * @param {*} position - Position (entier à partir de 1)
+ * @returns {number} Position convertie en nombre
+ * @throws {Error} Si la chaîne ou la position est invalide (status 400)
+ */
+function checkPosition(chain, position) {
+  const index = Number(position);
+  if (!ruleModel.PATTERNS.chain.test(String(chain)) || !Number.isInteger(index) || index < 1) {
+    throw httpError(400, 'Chaîne ou numéro de règle invalide');
+  }
+  return index;
+}
+
+/**
+ * Famille d'adresses des correspondances d'une règle
+ *
+ * Les tables ip et ip6 imposent leur famille ; dans une table inet, c'est la
+ * famille demandée par l'application qui s'applique.
+ *
+ * @param {string} tableFamily - Famille nftables de la table
+ * @param {string} family - Famille d'adresses demandée ('ipv4' ou 'ipv6')
+ * @returns {string} 'ipv4' ou 'ipv6'
+ */
+function addressFamily(tableFamily, family) {
+  if (tableFamily === 'ip') return 'ipv4';
+  if (tableFamily === 'ip6') return 'ipv6';
+  return family;
+}
+
+// ============================================================================
+// LECTURE DU JSON nft
+// ============================================================================
+
+/**
+ * Met en forme une valeur d'expression nftables (JSON) comme nft l'afficherait
+ *
+ * @param {*} value - Valeur JSON (nombre, chaîne, set, range, prefix, payload...)
+ * @returns {string} Représentation texte
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value);
+  if (Array.isArray(value)) return value.map(formatValue).join(',');
+
+  if (value.set) return `{ ${[].concat(value.set).map(formatValue).join(', ')} }`;
+  if (value.range) return value.range.map(formatValue).join('-');
+  if (value.prefix) return `${value.prefix.addr}/${value.prefix.len}`;
+  if (value.concat) return value.concat.map(formatValue).join(' . ');
+  if (value.elem) return formatValue(value.elem.val);
+  if (value.payload) return `${value.payload.protocol} ${value.payload.field}`;
+  if (value.meta) {
+    return ['iifname', 'oifname', 'iif', 'oif'].includes(value.meta.key)
+      ? value.meta.key
+      : `meta ${value.meta.key}`;
+  }
+  if (value.ct) return `ct ${value.ct.key}`;
+  return JSON.stringify(value);
+}
+
+/**
+ * Met en forme une destination NAT ({ addr, port }) : [adresse]:port en IPv6
+ *
+ * @param {Object} nat - Statement dnat/snat
+ * @returns {string} Destination (ex: '10.0.0.1:80')
+ */
+function formatNatAddress(nat) {
+  const addr = formatValue(nat.addr);
+  if (nat.port === undefined) return addr;
+  return addr.includes(':') ? `[${addr}]:${formatValue(nat.port)}` : `${addr}:${formatValue(nat.port)}`;
+}
+
+/**
+ * Met en forme un statement d'une règle nftables (JSON)
+ *
+ * @param {Object} statement - Statement (ex: { match: {...} }, { accept: null })
+ * @returns {string} Représentation texte (ex: 'tcp dport 22', 'accept')
+ */
+function formatStatement(statement) {
+  const [key] = Object.keys(statement);
+  const value = statement[key];
+
+  switch (key) {
+    case 'match': {
+      const op = value.op === '==' || value.op === 'in' ? '' : `${value.op} `;
+      return `${formatValue(value.left)} ${op}${formatValue(value.right)}`;
+    }
+    case 'counter':
+      return value && value.packets !== undefined
+        ? `counter packets ${value.packets} bytes ${value.bytes}`
+        : 'counter';
+    case 'jump':
+    case 'goto':
+      return `${key} ${value.target}`;
+    case 'reject':
+      return value && value.type ? `reject with ${value.type} ${value.expr || ''}`.trim() : 'reject';
+    case 'log': {
+      const parts = ['log'];
+      if (value && value.prefix) parts.push(`prefix "${value.prefix}"`);
+      if (value && value.level) parts.push(`level ${value.level}`);
+      return parts.join(' ');
+    }
+    case 'dnat':
+    case 'snat':
+      return `${key}${value.family ? ` ${value.family}` : ''} to ${formatNatAddress(value)}`;
+    case 'masquerade':
+    case 'redirect':
+      return value && value.port !== undefined ? `${key} to :${formatValue(value.port)}` : key;
+    case 'mangle':
+      return `${formatValue(value.key)} set ${formatValue(value.value)}`;
+    case 'limit':
+      return `limit rate ${value.rate}/${value.per}`;
+    default:
+      return value === null || value === undefined ? key : `${key} ${JSON.stringify(value)}`;
+  }
+}
+
+/**
+ * Calcule l'empreinte d'une règle nftables (JSON)
+ *
+ * Les compteurs sont ignorés pour que l'empreinte ne change pas avec le trafic.
+ *
+ * @param {Object} rule - Objet rule de nft -j (handle, expr, comment)
+ * @returns {string} Empreinte (voir ruleModel.ruleFingerprint)
+ */
+function nftFingerprint(rule) {
+  const expr = (rule.expr || []).map(statement => (statement.counter !== undefined ? { counter: null } : statement));
+  return ruleModel.ruleFingerprint(`${rule.handle} ${JSON.stringify(expr)} ${rule.comment || ''}`);
+}
+
+/**
+ * Convertit une règle nftables (JSON) en ligne affichable
+ *
+ * La ligne a les mêmes champs qu'une règle iptables (voir IptablesBackend.parseIptablesOutput),
+ * plus le handle nftables de la règle et son empreinte. Les compteurs (pkts, bytes)
+ * ne sont connus que pour une règle portant l'instruction counter.
+ *
+ * @param {Object} rule - Objet rule de nft -j (family, table, chain, handle, expr, comment)
+ * @param {number} index - Position de la règle dans sa chaîne (à partir de 0)
+ * @returns {Object} Règle { num, handle, fingerprint, target, prot, source, destination, extra, destPort, ... }
+ */
+function toRuleRow(rule, index) {
+  const row = {
+    num: String(index + 1),
+    handle: rule.handle,
+    fingerprint: nftFingerprint(rule),
+    pkts: null,
+    bytes: null,
+    target: '-',
+    prot: 'all',
+    opt: '--',
+    source: 'any',
+    destination: 'any',
+    extra: '',
+    sourcePort: null,
+    destPort: null,
+    toDestIP: null,
+    toDestPort: null,
+    toDestination: null
+  };
+
+  for (const statement of rule.expr || []) {
+    const [key] = Object.keys(statement);
+    const value = statement[key];
+
+    if (key === 'match' && value.left && value.left.payload) {
+      const { protocol, field } = value.left.payload;
+      const right = formatValue(value.right);
+      if (field === 'dport') { row.destPort = right; row.prot = protocol; }
+      if (field === 'sport') { row.sourcePort = right; row.prot = protocol; }
+      if (field === 'saddr' && ['ip', 'ip6'].includes(protocol)) row.source = right;
+      if (field === 'daddr' && ['ip', 'ip6'].includes(protocol)) row.destination = right;
+      if (field === 'protocol' || field === 'nexthdr') row.prot = right;
+    } else if (key === 'match' && value.left && value.left.meta && value.left.meta.key === 'l4proto') {
+      row.prot = formatValue(value.right);
+    } else if (['accept', 'drop', 'return', 'reject', 'queue', 'masquerade', 'redirect'].includes(key)) {
+      row.target = key.toUpperCase();
+    } else if (key === 'jump' || key === 'goto') {
+      row.target = value.target;
+    } else if (key === 'dnat' || key === 'snat') {
+      row.target = key.toUpperCase();
+      row.toDestIP = formatValue(value.addr);
+      row.toDestPort = value.port !== undefined ? formatValue(value.port) : null;
+      row.toDestination = formatNatAddress(value);
+    } else if (key === 'log' && row.target === '-') {
+      row.target = 'LOG';
+    } else if (key === 'counter' && value) {
+      row.pkts = value.packets;
+      row.bytes = value.bytes;
+    }
+  }
+
+  const text = (rule.expr || []).map(formatStatement);
+  if (rule.comment) text.push(`comment "${rule.comment}"`);
+  row.extra = text.join(' ');
+  return row;
+}
+
+// ============================================================================
+// CONSTRUCTION D'UNE RÈGLE nft
+// ============================================================================
+
+/**
+ * Convertit une règle structurée (voir services/rule-model) en arguments nft
+ *
+ * Seules les correspondances et cibles qui ont un équivalent nftables direct
+ * sont prises en charge ; les autres sont signalées comme erreurs.
+ *
+ * @param {Object} rule - Règle structurée (déjà validée par ruleModel.validateRule)
+ * @param {string} tableFamily - Famille nftables de la table (ip, ip6, inet...)
+ * @param {string} family - Famille d'adresses des correspondances ('ipv4' ou 'ipv6')
+ * @returns {{tokens: Array<string>, errors: Array<string>}} Arguments de la règle (après le nom de chaîne)
+ */
+function buildNftRule(rule, tableFamily, family) {
+  const tokens = [];
+  const errors = [];
+  const ip = family === 'ipv6' ? 'ip6' : 'ip';
+  const has = (value) => value !== undefined && value !== null && value !== '';
+  let comment = null;
+
+  // Correspondance éventuellement niée (préfixe '!')
+  const match = (left, raw, convert = v => v) => {
+    const str = String(raw).trim();
+    const negated = str.startsWith('!');
+    const value = convert(negated ? str.slice(1).trim() : str);
+    tokens.push(...left, ...(negated ? ['!='] : []), value);
+  };
+  const portRange = value => value.replace(':', '-');
+  const iface = value => `"${value.replace(/\+$/, '*')}"`;
+
+  if (has(rule.inInterface)) match(['iifname'], rule.inInterface, iface);
+  if (has(rule.outInterface)) match(['oifname'], rule.outInterface, iface);
+  if (has(rule.source)) match([ip, 'saddr'], rule.source);
+  if (has(rule.destination)) match([ip, 'daddr'], rule.destination);
+
+  const protocol = has(rule.protocol) ? String(rule.protocol).replace(/^!\s*/, '') : null;
+  const hasPorts = has(rule.sourcePort) || has(rule.destPort);
+  if (hasPorts) {
+    if (has(rule.sourcePort)) match([protocol, 'sport'], rule.sourcePort, portRange);
+    if (has(rule.destPort)) match([protocol, 'dport'], rule.destPort, portRange);
+  } else if (protocol && protocol !== 'all') {
+    match(['meta', 'l4proto'], String(rule.protocol).replace('icmpv6', 'ipv6-icmp'));
+  }
+
+  for (const { module, options } of rule.matches || []) {
+    for (const [option, value] of Object.entries(options)) {
+      const str = String(value);
+      switch (`${module}:${option}`) {
+        case 'tcp:sport':
+        case 'tcp:dport':
+        case 'udp:sport':
+        case 'udp:dport':
+          match([module, option], str, portRange);
+          break;
+        case 'tcp:tcp-flags': {
+          const [mask, comp] = str.split(' ').map(list => list.toLowerCase()
+            .replace('all', 'fin,syn,rst,psh,ack,urg').split(',').join('|'));
+          tokens.push('tcp', 'flags', '&', `(${mask})`, '==', comp === 'none' ? '0x0' : comp);
+          break;
+        }
+        case 'tcp:syn':
+          tokens.push('tcp', 'flags', '&', '(fin|syn|rst|ack)', '==', 'syn');
+          break;
+        case 'multiport:dports':
+        case 'multiport:sports':
+          if (!['tcp', 'udp'].includes(protocol)) {
+            errors.push('multiport nécessite le protocole tcp ou udp');
+            break;
+          }
+          tokens.push(protocol, option === 'dports' ? 'dport' : 'sport',
+            '{', str.split(',').map(portRange).join(', '), '}');
+          break;
+        case 'icmp:icmp-type':
+        case 'icmp6:icmpv6-type':
+          if (str.includes('/')) {
+            errors.push(`Type ICMP avec code non pris en charge par nftables: ${str}`);
+          } else {
+            match([module === 'icmp' ? 'icmp' : 'icmpv6', 'type'], str);
+          }
+          break;
+        case 'conntrack:ctstate':
+        case 'state:state':
+          match(['ct', 'state'], str.toLowerCase());
+          break;
+        case 'limit:limit': {
+          const [count, unit] = str.split('/');
+          tokens.push('limit', 'rate', `${count}/${RATE_UNITS[unit] || unit}`);
+          break;
+        }
+        case 'limit:limit-burst':
+          tokens.push('burst', str, 'packets');
+          break;
+        case 'iprange:src-range':
+        case 'iprange:dst-range':
+          match([ip, option === 'src-range' ? 'saddr' : 'daddr'], str);
+          break;
+        case 'mac:mac-source':
+          match(['ether', 'saddr'], str);
+          break;
+        case 'mark:mark':
+          if (str.includes('/')) {
+            errors.push(`Marque avec masque non prise en charge par nftables: ${str}`);
+          } else {
+            match(['meta', 'mark'], str);
+          }
+          break;
+        case 'set:match-set': {
+          const [name, directions] = str.split(' ');
+          if (directions.includes(',')) {
+            errors.push(`Ensemble à plusieurs dimensions non pris en charge: ${str}`);
+          } else {
+            tokens.push(ip, directions === 'src' ? 'saddr' : 'daddr', `@${name}`);
+          }
+          break;
+        }
+        case 'comment:comment':
+          comment = str;
+          break;
+        default:
+          errors.push(`Option non prise en charge par nftables: ${module} --${option}`);
+      }
+    }
+  }
+
+  // Compteur systématique : les paquets et octets apparaissent dans la liste des règles
+  tokens.push('counter');
+
+  const targetOptions = rule.targetOptions || {};
+  switch (rule.target) {
+    case 'ACCEPT':
+    case 'DROP':
+    case 'RETURN':
+      tokens.push(VERDICTS[rule.target]);
+      break;
+    case 'REJECT': {
+      const rejectWith = targetOptions['reject-with'];
+      if (!rejectWith) {
+        tokens.push('reject');
+      } else if (rejectWith === 'tcp-reset') {
+        tokens.push('reject', 'with', 'tcp', 'reset');
+      } else {
+        tokens.push('reject', 'with', REJECT_TYPES[rejectWith][0], 'type', REJECT_TYPES[rejectWith][1]);
+      }
+      break;
+    }
+    case 'LOG':
+      tokens.push('log');
+      if (targetOptions['log-prefix']) tokens.push('prefix', `"${targetOptions['log-prefix']}"`);
+      if (targetOptions['log-level']) {
+        const level = targetOptions['log-level'];
+        tokens.push('level', LOG_LEVELS[level] || level);
+      }
+      break;
+    case 'DNAT':
+    case 'SNAT': {
+      // Dans une table inet, la famille de l'adresse NAT doit être précisée
+      const address = targetOptions[rule.target === 'DNAT' ? 'to-destination' : 'to-source'];
+      tokens.push(rule.target.toLowerCase(), ...(tableFamily === 'inet' ? [ip] : []), 'to', String(address));
+      break;
+    }
+    case 'MASQUERADE':
+    case 'REDIRECT':
+      tokens.push(rule.target.toLowerCase());
+      if (targetOptions['to-ports']) tokens.push('to', `:${portRange(String(targetOptions['to-ports']))}`);
+      break;
+    case 'MARK':
+      tokens.push('meta', 'mark', 'set', String(targetOptions['set-mark']));
+      break;
+    default:
+      // Chaîne utilisateur
+      tokens.push('jump', rule.target);
+  }
+
+  if (comment) {
+    tokens.push('comment', `"${comment}"`);
+  }
+
+  return { tokens, errors };
+}
+
+/**
+ * Classe NftablesBackend
+ * Lit et modifie les règles via nft
+ */
+class NftablesBackend {
+  /**
+   * Constructeur
+   *
+   * @param {Object} ssh - Service SSH (exécution des commandes, applyChange)
+   */
+  constructor(ssh) {
+    this.ssh = ssh;
+    this.name = 'nftables';
+  }
+
+  /**
+   * Retourne les commandes de sauvegarde et de restauration complètes
+   *
+   * La sauvegarde commence par 'flush ruleset' : rechargée avec nft -f, elle
+   * remplace tout le jeu de règles (toutes familles confondues).
+   *
+   * @returns {Object} { save, restore, test } (commandes shell, sudo compris)
+   */
+  commands() {
+    return {
+      save: '{ echo "flush ruleset"; sudo nft list ruleset; }',
+      restore: 'sudo nft -f -',
+      test: 'sudo nft -c -f -'
+    };
+  }
+
+  /**
+   * Valide une règle structurée pour une table nftables
+   *
+   * La règle est d'abord validée comme une règle iptables (liste blanche du
+   * modèle de règle), puis sa conversion en syntaxe nft est vérifiée.
+   *
+   * @param {Object} rule - Règle structurée (voir services/rule-model)
+   * @param {string} table - Table cible ('famille nom', ex: 'inet filter')
+   * @param {string} [family='ipv4'] - Famille d'adresses (tables inet)
+   * @returns {{valid: boolean, errors: Array<string>}} Résultat de la validation
+   */
+  validateRule(rule, table, family = 'ipv4') {
+    let target;
+    try {
+      target = splitTable(table);
+    } catch (error) {
+      return { valid: false, errors: [error.message] };
+    }
+
+    const ruleFamily = addressFamily(target.family, family);
+    const { errors } = ruleModel.validateRule({ ...rule, table: undefined }, ruleFamily);
+    if (errors.length === 0) {
+      errors.push(...buildNftRule(rule, target.family, ruleFamily).errors);
+    }
+    return { valid: errors.length === 0, errors };
+  }
+
+  // ==========================================================================
+  // LECTURE DES RÈGLES
+  // ==========================================================================
+
+  /**
+   * Liste les tables, chaînes, ensembles et règles du jeu de règles nftables
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} [family='ipv4'] - Famille d'adresses (filtre les familles nftables affichées)
+   * @returns {Promise<Object>} Chaînes groupées par table, ex: { 'inet filter': [...] }
+   */
+  async listAllRules(sessionId, family = 'ipv4') {
+    const output = await this.ssh.executeCommand(sessionId, 'sudo nft -j list ruleset');
+    return this.parseNftJson(output, family);
+  }
+
+  /**
+   * Lit les règles et compteurs de toutes les tables (voir listAllRules)
+   *
+   * nft -j list ruleset lit déjà tout le jeu de règles en une commande.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} [family='ipv4'] - Famille d'adresses
+   * @returns {Promise<Object>} Chaînes groupées par table
+   */
+  async readCounters(sessionId, family = 'ipv4') {
+    return this.listAllRules(sessionId, family);
+  }
+
+  /**
+   * Liste les chaînes, ensembles et règles d'une table nftables
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} table - Table ('famille nom', ex: 'inet filter')
+   * @param {string} [family='ipv4'] - Famille d'adresses
+   * @returns {Promise<Array>} Chaînes (et ensembles) de la table
+   */
+  async listRules(sessionId, table, family = 'ipv4') {
+    const { family: tableFamily, name } = splitTable(table);
+    const output = await this.ssh.executeCommand(sessionId, `sudo nft -j list table ${tableFamily} ${name}`);
+    return this.parseNftJson(output, family)[table] || [];
+  }
+
+  // ==========================================================================
+  // MODIFICATION DES RÈGLES
+  // ==========================================================================
+
+  /**
+   * Ajoute une règle à la fin d'une chaîne nftables
+   *
+   * Une règle structurée est convertie en syntaxe nft (voir buildNftRule). En
+   * mode expert, la chaîne brute est une commande nft complète
+   * (ex: "add rule inet filter input tcp dport 22 accept"), transmise telle quelle.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {Object|string} rule - Règle structurée, ou commande nft brute en mode expert
+   * @param {string} table - Table cible ('famille nom', ex: 'inet filter')
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si la règle est invalide (400) ou si la commande nft échoue
+   */
+  async addRule(sessionId, rule, table, options = {}) {
+    let command;
+
+    if (typeof rule === 'string') {
+      command = `sudo nft ${rule}`;
+    } else {
+      const { family: tableFamily, name } = splitTable(table);
+      const tokens = this.ruleTokens(rule, table, options.family);
+      command = `sudo ${ruleModel.toCommand(['nft', 'add', 'rule', tableFamily, name, rule.chain, ...tokens])}`;
+    }
+
+    const pendingConfirmation = await this.ssh.applyChange(sessionId, command, options);
+    return { success: true, message: 'Règle ajoutée avec succès', pendingConfirmation };
+  }
+
+  /**
+   * Insère une règle structurée à une position de sa chaîne
+   *
+   * La règle est insérée avant celle qui occupe actuellement la position
+   * (`nft insert rule ... position <handle>`), ou ajoutée en fin de chaîne si
+   * la position suit la dernière règle.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {Object} rule - Règle structurée (rule.chain désigne la chaîne)
+   * @param {number} position - Position de la nouvelle règle (commence à 1)
+   * @param {string} table - Table cible ('famille nom', ex: 'inet filter')
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si la règle ou la position est invalide (400), si la position est
+   *   au-delà de la fin de la chaîne (404) ou si la commande nft échoue
+   */
+  async insertRule(sessionId, rule, position, table, options = {}) {
+    const { family: tableFamily, name } = splitTable(table);
+    const tokens = this.ruleTokens(rule, table, options.family);
+    const index = checkPosition(rule.chain, position);
+    const rules = await this.chainRules(sessionId, table, rule.chain);
+    if (index > rules.length + 1) {
+      throw httpError(404, `Position ${index} hors de la chaîne ${rule.chain} (${rules.length} règles)`);
+    }
+
+    const placement = index <= rules.length
+      ? ['insert', 'rule', tableFamily, name, rule.chain, 'position', String(rules[index - 1].handle)]
+      : ['add', 'rule', tableFamily, name, rule.chain];
+    const command = `sudo ${ruleModel.toCommand(['nft', ...placement, ...tokens])}`;
+    const pendingConfirmation = await this.ssh.applyChange(sessionId, command, options);
+    return { success: true, message: `Règle insérée en position ${index}`, pendingConfirmation };
+  }
+
+  /**
+   * Remplace la règle d'une position par une règle structurée (`nft replace rule ... handle N`)
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la chaîne
+   * @param {number} ruleNumber - Position de la règle remplacée (commence à 1)
+   * @param {Object} rule - Nouvelle règle structurée
+   * @param {string} table - Table cible ('famille nom', ex: 'inet filter')
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange, dont family)
+   *   et empreinte attendue de la règle remplacée (fingerprint)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si la règle ou la position est invalide (400), si la règle n'existe pas (404),
+   *   si elle n'a plus l'empreinte attendue (409) ou si la commande nft échoue
+   */
+  async replaceRule(sessionId, chain, ruleNumber, rule, table, options = {}) {
+    const { family: tableFamily, name } = splitTable(table);
+    const index = checkPosition(chain, ruleNumber);
+    const tokens = this.ruleTokens({ ...rule, chain }, table, options.family);
+    const rules = await this.chainRules(sessionId, table, chain);
+    this.ssh.assertFingerprint(rules.map(nftFingerprint), index, options.fingerprint, chain);
+    const target = rules[index - 1];
+    if (!target) {
+      throw httpError(404, `Règle ${index} introuvable dans ${table}/${chain}`);
+    }
+
+    const command = `sudo ${ruleModel.toCommand([
+      'nft', 'replace', 'rule', tableFamily, name, chain, 'handle', String(target.handle), ...tokens
+    ])}`;
+    const pendingConfirmation = await this.ssh.applyChange(sessionId, command, options);
+    return { success: true, message: `Règle ${index} remplacée`, pendingConfirmation };
+  }
+
+  /**
+   * Déplace une règle d'une position à une autre dans sa chaîne
+   *
+   * nft n'a pas de commande de déplacement : la règle (expressions JSON lues
+   * avec nft -j) est supprimée puis réinsérée dans une même transaction
+   * `nft -j -f -`, appliquée entièrement ou pas du tout.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la chaîne
+   * @param {number} from - Position actuelle de la règle (commence à 1)
+   * @param {number} to - Nouvelle position de la règle
+   * @param {string} table - Table cible ('famille nom', ex: 'inet filter')
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange)
+   *   et empreinte attendue de la règle déplacée (fingerprint)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si un paramètre est invalide (400), si une position n'existe pas (404),
+   *   si la règle n'a plus l'empreinte attendue (409) ou si la commande nft échoue
+   */
+  async moveRule(sessionId, chain, from, to, table, options = {}) {
+    const { family: tableFamily, name } = splitTable(table);
+    const source = checkPosition(chain, from);
+    const destination = checkPosition(chain, to);
+    const rules = await this.chainRules(sessionId, table, chain);
+    if (source > rules.length || destination > rules.length) {
+      throw httpError(404, `Position hors de la chaîne ${chain} (${rules.length} règles)`);
+    }
+    this.ssh.assertFingerprint(rules.map(nftFingerprint), source, options.fingerprint, chain);
+    if (source === destination) {
+      return { success: true, message: 'La règle est déjà à cette position', pendingConfirmation: null };
+    }
+
+    const moved = rules[source - 1];
+    const remaining = rules.filter((r, i) => i !== source - 1);
+    const location = { family: tableFamily, table: name, chain };
+    const copy = { ...location, expr: moved.expr };
+    if (moved.comment) {
+      copy.comment = moved.comment;
+    }
+
+    // Insertion avant la règle qui prendra la position suivante, ou après la dernière
+    const placement = destination <= remaining.length
+      ? { insert: { rule: { ...copy, handle: remaining[destination - 1].handle } } }
+      : { add: { rule: { ...copy, handle: remaining[remaining.length - 1].handle } } };
+    const input = JSON.stringify({
+      nftables: [
+        { delete: { rule: { ...location, handle: moved.handle } } },
+        placement
+      ]
+    });
+
+    const pendingConfirmation = await this.ssh.applyChange(sessionId, 'sudo nft -j -f -', { ...options, input });
+    return { success: true, message: `Règle déplacée de ${source} vers ${destination}`, pendingConfirmation };
+  }
+
+  /**
+   * Supprime une règle nftables par sa position dans la chaîne
+   *
+   * nft supprime les règles par handle : la position est convertie en handle
+   * en relisant la chaîne juste avant la suppression.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la chaîne
+   * @param {number} ruleNumber - Position de la règle dans la chaîne (commence à 1)
+   * @param {string} table - Table ('famille nom', ex: 'inet filter')
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange)
+   *   et empreinte attendue de la règle (fingerprint)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si la chaîne ou la position est invalide (400), si la règle n'existe pas (404),
+   *   si elle n'a plus l'empreinte attendue (409) ou si la commande nft échoue
+   */
+  async deleteRule(sessionId, chain, ruleNumber, table, options = {}) {
+    const { family: tableFamily, name } = splitTable(table);
+    const position = checkPosition(chain, ruleNumber);
+    const rules = await this.chainRules(sessionId, table, chain);
+    this.ssh.assertFingerprint(rules.map(nftFingerprint), position, options.fingerprint, chain);
+    const target = rules[position - 1];
+    if (!target) {
+      throw httpError(404, `Règle ${position} introuvable dans ${table}/${chain}`);
+    }
+
+    const command = `sudo nft delete rule ${tableFamily} ${name} ${chain} handle ${Number(target.handle)}`;
+    const pendingConfirmation = await this.ssh.applyChange(sessionId, command, options);
+    return { success: true, message: 'Règle supprimée avec succès', pendingConfirmation };
+  }
+
+  // ==========================================================================
+  // GESTION DES CHAÎNES
+  // ==========================================================================
+
+  /**
+   * Relit une chaîne de la table (avec ses références) et vérifie qu'elle existe
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} table - Table ('famille nom')
+   * @param {string} chain - Nom de la chaîne
+   * @param {string} family - Famille d'adresses
+   * @returns {Promise<Object>} Chaîne { chain, policy, hook, references, rules }
+   * @throws {Error} Si la chaîne n'existe pas (404)
+   */
+  async findChain(sessionId, table, chain, family) {
+    const chainObj = (await this.ssh.listRules(sessionId, table, family)).find(c => c.chain === chain);
+    if (!chainObj) {
+      throw httpError(404, `Chaîne ${table}/${chain} introuvable`);
+    }
+    return chainObj;
+  }
+
+  /**
+   * Exécute une commande nft sur une chaîne (commande échappée, via applyChange)
+   *
+   * @param {string} sessionId - ID de session
+   * @param {Array<string>} args - Arguments après 'nft'
+   * @param {Object} options - Options de la modification (voir SSHService.applyChange)
+   * @returns {Promise<Object|null>} Confirmation en attente éventuelle
+   */
+  async applyNft(sessionId, args, options) {
+    return this.ssh.applyChange(sessionId, `sudo ${ruleModel.toCommand(['nft', ...args])}`, options);
+  }
+
+  /**
+   * Crée une chaîne régulière (`nft add chain`)
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la nouvelle chaîne
+   * @param {string} table - Table ('famille nom')
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si le nom est invalide (400) ou si la commande nft échoue
+   */
+  async createChain(sessionId, chain, table, options = {}) {
+    const { family: tableFamily, name } = splitTable(table);
+    checkChain(chain);
+    const pendingConfirmation = await this.applyNft(sessionId, ['add', 'chain', tableFamily, name, chain], options);
+    return { success: true, message: `Chaîne ${chain} créée`, pendingConfirmation };
+  }
+
+  /**
+   * Renomme une chaîne régulière (`nft rename chain`)
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom actuel de la chaîne
+   * @param {string} newName - Nouveau nom
+   * @param {string} table - Table ('famille nom')
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si un nom est invalide ou si la chaîne est une chaîne de base (400),
+   *   si elle n'existe pas (404)
+   */
+  async renameChain(sessionId, chain, newName, table, options = {}) {
+    const { family: tableFamily, name } = splitTable(table);
+    checkChain(chain);
+    checkChain(newName);
+    if ((await this.findChain(sessionId, table, chain, options.family)).hook) {
+      throw httpError(400, `${chain} est une chaîne de base : elle ne peut pas être renommée`);
+    }
+    const pendingConfirmation = await this.applyNft(sessionId, ['rename', 'chain', tableFamily, name, chain, newName], options);
+    return { success: true, message: `Chaîne ${chain} renommée en ${newName}`, pendingConfirmation };
+  }
+
+  /**
+   * Supprime une chaîne régulière vide et non référencée (`nft delete chain`)
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la chaîne
+   * @param {string} table - Table ('famille nom')
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si le nom est invalide ou désigne une chaîne de base (400), si la chaîne
+   *   n'existe pas (404), si elle est référencée ou non vide (409)
+   */
+  async deleteChain(sessionId, chain, table, options = {}) {
+    const { family: tableFamily, name } = splitTable(table);
+    checkChain(chain);
+    const chainObj = await this.findChain(sessionId, table, chain, options.family);
+    if (chainObj.hook) {
+      throw httpError(400, `${chain} est une chaîne de base : elle ne peut pas être supprimée ici`);
+    }
+    if (chainObj.references > 0) {
+      throw httpError(409, `La chaîne ${chain} est référencée par ${chainObj.references} règle(s)`);
+    }
+    if (chainObj.rules.length > 0) {
+      throw httpError(409, `La chaîne ${chain} contient ${chainObj.rules.length} règle(s) : videz-la d'abord`);
+    }
+
+    const pendingConfirmation = await this.applyNft(sessionId, ['delete', 'chain', tableFamily, name, chain], options);
+    return { success: true, message: `Chaîne ${chain} supprimée`, pendingConfirmation };
+  }
+
+  /**
+   * Modifie la politique d'une chaîne de base (`nft chain ... { policy drop ; }`)
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la chaîne de base
+   * @param {string} policy - Nouvelle politique (ACCEPT ou DROP)
+   * @param {string} table - Table ('famille nom')
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si la politique est invalide ou si la chaîne n'est pas une chaîne de base (400),
+   *   si elle n'existe pas (404)
+   */
+  async setPolicy(sessionId, chain, policy, table, options = {}) {
+    const { family: tableFamily, name } = splitTable(table);
+    checkChain(chain);
+    if (!ruleModel.POLICIES.includes(policy)) {
+      throw httpError(400, `Politique invalide (attendu: ${ruleModel.POLICIES.join(', ')})`);
+    }
+    if (!(await this.findChain(sessionId, table, chain, options.family)).hook) {
+      throw httpError(400, `Seules les chaînes de base ont une politique (${chain} est une chaîne régulière)`);
+    }
+
+    const pendingConfirmation = await this.applyNft(
+      sessionId,
+      ['chain', tableFamily, name, chain, `{ policy ${policy.toLowerCase()} ; }`],
+      options
+    );
+    return { success: true, message: `Politique de ${chain} : ${policy}`, pendingConfirmation };
+  }
+
+  /**
+   * Supprime toutes les règles d'une chaîne (`nft flush chain`)
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la chaîne
+   * @param {string} table - Table ('famille nom')
+   * @param {Object} [options={}] - Options de la modification (voir SSHService.applyChange)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si le nom est invalide (400) ou si la commande nft échoue
+   */
+  async flushChain(sessionId, chain, table, options = {}) {
+    const { family: tableFamily, name } = splitTable(table);
+    checkChain(chain);
+    const pendingConfirmation = await this.applyNft(sessionId, ['flush', 'chain', tableFamily, name, chain], options);
+    return { success: true, message: `Chaîne ${chain} vidée`, pendingConfirmation };
+  }
+
+  /**
+   * Remet à zéro les compteurs des règles d'une chaîne (`nft reset rules`, nft 1.0.7 ou plus)
+   *
+   * Les règles ne changent pas : ni instantané, ni commit confirmé, mais la
+   * remise à zéro est inscrite au journal d'audit (voir SSHService.executeAudited).
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la chaîne
+   * @param {string} table - Table ('famille nom')
+   * @param {Object} [options={}] - Options (family, author, sourceIp)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: null }
+   * @throws {Error} Si le nom est invalide (400) ou si la commande nft échoue
+   */
+  async zeroCounters(sessionId, chain, table, options = {}) {
+    const { family: tableFamily, name } = splitTable(table);
+    checkChain(chain);
+    await this.ssh.executeAudited(
+      sessionId,
+      `sudo ${ruleModel.toCommand(['nft', 'reset', 'rules', tableFamily, name, chain])} > /dev/null`,
+      options
+    );
+    return { success: true, message: `Compteurs de ${chain} remis à zéro`, pendingConfirmation: null };
+  }
+
+  /**
+   * Valide une règle structurée et la convertit en arguments nft
+   *
+   * @param {Object} rule - Règle structurée (voir services/rule-model)
+   * @param {string} table - Table cible ('famille nom')
+   * @param {string} [family='ipv4'] - Famille d'adresses (tables inet)
+   * @returns {Array<string>} Arguments de la règle, après le nom de chaîne
+   * @throws {Error} Si la règle est invalide (status 400, liste dans error.errors)
+   */
+  ruleTokens(rule, table, family = 'ipv4') {
+    const { valid, errors } = this.validateRule(rule, table, family);
+    if (!valid) {
+      const error = httpError(400, 'Règle invalide');
+      error.errors = errors;
+      throw error;
+    }
+    const { family: tableFamily } = splitTable(table);
+    return buildNftRule(rule, tableFamily, addressFamily(tableFamily, family)).tokens;
+  }
+
+  /**
+   * Relit les règles d'une chaîne, dans l'ordre, avec leur handle
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} table - Table ('famille nom')
+   * @param {string} chain - Nom de la chaîne (déjà validé)
+   * @returns {Promise<Array<Object>>} Objets rule de nft -j (handle, expr, comment...)
+   */
+  async chainRules(sessionId, table, chain) {
+    const { family: tableFamily, name } = splitTable(table);
+    const output = await this.ssh.executeCommand(
+      sessionId,
+      `sudo nft -j list chain ${tableFamily} ${name} ${chain}`
+    );
+    return this.readObjects(output).filter(o => o.rule).map(o => o.rule);
+  }
+
+  // ==========================================================================
+  // PARSING
+  // ==========================================================================
+
+  /**
+   * Lit la sortie JSON de nft et retourne la liste de ses objets
+   *
+   * @param {string} output - Sortie brute de 'nft -j list ...'
+   * @returns {Array<Object>} Objets { table }, { chain }, { rule }, { set }...
+   * @throws {Error} Si la sortie n'est pas du JSON nftables
+   */
+  readObjects(output) {
+    let data;
+    try {
+      data = JSON.parse(output);
+    } catch (error) {
+      throw new Error(`Sortie JSON de nft illisible: ${error.message}`);
+    }
+    return (data && data.nftables) || [];
+  }
+
+  /**
+   * Convertit la sortie de 'nft -j list ruleset' en chaînes groupées par table
+   *
+   * Chaque table contient ses chaînes ({ chain, policy, hook, type, rules }),
+   * dans l'ordre de nft, suivies de ses ensembles
+   * ({ set, type, flags, elements, rules: [] }).
+   *
+   * @param {string} output - Sortie brute de 'nft -j list ruleset' (ou list table)
+   * @param {string} [family='ipv4'] - Famille d'adresses (filtre les familles nftables)
+   * @returns {Object} Chaînes groupées par table, ex: { 'inet filter': [...] }
+   */
+  parseNftJson(output, family = 'ipv4') {
+    const visible = FAMILY_TABLES[family] || FAMILY_TABLES.ipv4;
+    const tables = {};
+    const chains = new Map();
+    const sets = {};
+    const tableKey = o => `${o.family} ${o.table}`;
+
+    for (const object of this.readObjects(output)) {
+      if (object.table && visible.includes(object.table.family)) {
+        tables[`${object.table.family} ${object.table.name}`] = [];
+      } else if (object.chain && visible.includes(object.chain.family)) {
+        const chain = {
+          chain: object.chain.name,
+          policy: object.chain.policy ? object.chain.policy.toUpperCase() : '-',
+          hook: object.chain.hook || null,
+          type: object.chain.type || null,
+          packets: null,
+          bytes: null,
+          rules: []
+        };
+        chains.set(`${tableKey(object.chain)} ${object.chain.name}`, chain);
+        (tables[tableKey(object.chain)] = tables[tableKey(object.chain)] || []).push(chain);
+      } else if (object.rule && visible.includes(object.rule.family)) {
+        const chain = chains.get(`${tableKey(object.rule)} ${object.rule.chain}`);
+        if (chain) {
+          chain.rules.push(toRuleRow(object.rule, chain.rules.length));
+        }
+      } else if (object.set && visible.includes(object.set.family)) {
+        const set = object.set;
+        (sets[tableKey(set)] = sets[tableKey(set)] || []).push({
+          set: set.name,
+          type: [].concat(set.type).join(' . '),
+          flags: set.flags || [],
+          elements: (set.elem || []).map(formatValue),
+          rules: []
+        });
+      }
+    }
+
+    for (const [table, tableSets] of Object.entries(sets)) {
+      tables[table] = (tables[table] || []).concat(tableSets);
+    }
+    return tables;
+  }
+}
+
+module.exports = NftablesBackend;
@@ -0,0 +1,674 @@
+/**
+ * Simulateur de parcours d'un paquet dans les règles iptables
+ *
+ * Répond à la question "ce paquet serait-il accepté ?" sans toucher à
+ * l'hôte : le paquet décrit est promené dans une configuration issue de
+ * parseIptablesSave, dans l'ordre des hooks netfilter :
+ *
+ *   entrant  : PREROUTING (raw, mangle, nat) → décision de routage →
+ *              INPUT (mangle, filter, security, nat)
+ *              ou FORWARD (mangle, filter, security) → POSTROUTING (mangle, nat)
+ *   sortant  : OUTPUT (raw, mangle, nat, filter, security) → POSTROUTING (mangle, nat)
+ *
+ * Les sauts (-j CHAÎNE), sauts sans retour (-g), RETURN et politiques sont
+ * suivis comme par le noyau ; DNAT, REDIRECT, SNAT et MASQUERADE réécrivent le
+ * paquet et la table nat n'est parcourue que pour le premier paquet d'une
+ * connexion (état NEW). Une règle dont un critère ne peut pas être évalué
+ * (module ipset, owner, paquet sans interface...) est ignorée et signalée
+ * dans les avertissements du résultat.
+ *
+ * @module services/packet-simulator
+ * @requires net
+ * @requires ./rule-analyzer
+ */
+
+const net = require('net');
+const { addressRange, portRanges, interfaceContains } = require('./rule-analyzer');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+/**
+ * Tables parcourues à chaque hook, dans l'ordre des priorités netfilter
+ */
+const HOOK_TABLES = {
+  PREROUTING: ['raw', 'mangle', 'nat'],
+  INPUT: ['mangle', 'filter', 'security', 'nat'],
+  FORWARD: ['mangle', 'filter', 'security'],
+  OUTPUT: ['raw', 'mangle', 'nat', 'filter', 'security'],
+  POSTROUTING: ['mangle', 'nat']
+};
+
+/**
+ * Hooks traversés selon le chemin du paquet
+ */
+const PATHS = {
+  input: ['PREROUTING', 'INPUT'],
+  forward: ['PREROUTING', 'FORWARD', 'POSTROUTING'],
+  output: ['OUTPUT', 'POSTROUTING']
+};
+
+const DIRECTIONS = Object.keys(PATHS);
+const STATES = ['NEW', 'ESTABLISHED', 'RELATED', 'INVALID', 'UNTRACKED'];
+const PROTOCOL_NUMBERS = { 1: 'icmp', 6: 'tcp', 17: 'udp', 58: 'ipv6-icmp', 132: 'sctp' };
+const PORT_PROTOCOLS = ['tcp', 'udp', 'sctp', 'dccp', 'udplite'];
+const TCP_FLAGS = ['FIN', 'SYN', 'RST', 'PSH', 'ACK', 'URG'];
+
+/**
+ * Types ICMP / ICMPv6 courants, par nom
+ */
+const ICMP_TYPES = {
+  'echo-reply': '0', 'destination-unreachable': '3', 'redirect': '5', 'echo-request': '8',
+  'time-exceeded': '11', 'parameter-problem': '12', 'timestamp-request': '13', 'timestamp-reply': '14'
+};
+const ICMPV6_TYPES = {
+  'destination-unreachable': '1', 'packet-too-big': '2', 'time-exceeded': '3', 'parameter-problem': '4',
+  'echo-request': '128', 'echo-reply': '129', 'router-solicitation': '133', 'router-advertisement': '134',
+  'neighbour-solicitation': '135', 'neighbor-solicitation': '135',
+  'neighbour-advertisement': '136', 'neighbor-advertisement': '136'
+};
+
+/**
+ * Modules sans effet sur la correspondance d'un paquet isolé
+ * (limit : le premier paquet est toujours sous la limite)
+ */
+const ALWAYS_MATCHING_MODULES = new Set(['comment', 'limit']);
+
+/**
+ * Profondeur maximale des sauts entre chaînes (boucles)
+ */
+const MAX_DEPTH = 64;
+
+// ============================================================================
+// UTILITAIRES
+// ============================================================================
+
+/**
+ * Crée une erreur portant un code HTTP
+ *
+ * @param {number} status - Code HTTP
+ * @param {string} message - Message d'erreur
+ * @param {Array<string>} [errors] - Détail des erreurs de validation
+ * @returns {Error} Erreur avec status
+ */
+function httpError(status, message, errors) {
+  const error = new Error(message);
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+}
+
+/**
+ * Indique si une adresse appartient à un préfixe
+ *
+ * @param {string} prefix - Préfixe iptables (ex: '10.0.0.0/8')
+ * @param {string} address - Adresse du paquet
+ * @returns {boolean|null} Résultat, null si le préfixe n'est pas reconnu
+ */
+function inPrefix(prefix, address) {
+  const range = addressRange(prefix);
+  const value = addressRange(address);
+  if (!range || !value) return null;
+  return range.start <= value.start && value.end <= range.end;
+}
+
+/**
+ * Indique si une adresse est dans une plage "début-fin" (module iprange)
+ *
+ * @param {string} spec - Plage (ex: '10.0.0.10-10.0.0.20')
+ * @param {string} address - Adresse du paquet
+ * @returns {boolean|null} Résultat, null si la plage n'est pas reconnue
+ */
+function inAddressRange(spec, address) {
+  const [first, last = first] = String(spec).split('-');
+  const start = addressRange(first);
+  const end = addressRange(last);
+  const value = addressRange(address);
+  if (!start || !end || !value) return null;
+  return start.start <= value.start && value.start <= end.start;
+}
+
+/**
+ * Indique si un port appartient à une liste de ports iptables
+ *
+ * @param {string} spec - Ports (ex: '22', '80:90', '22,443')
+ * @param {number} port - Port du paquet
+ * @returns {boolean|null} Résultat, null si la liste n'est pas reconnue
+ */
+function inPorts(spec, port) {
+  const ranges = portRanges(spec);
+  if (!ranges) return null;
+  return ranges.some(r => r.start <= port && port <= r.end);
+}
+
+/**
+ * Convertit une liste de drapeaux TCP en ensemble (ALL et NONE compris)
+ *
+ * @param {string} value - Drapeaux (ex: 'FIN,SYN,RST,ACK')
+ * @returns {Set<string>} Drapeaux
+ */
+function flagSet(value) {
+  if (value === 'ALL') return new Set(TCP_FLAGS);
+  if (value === 'NONE') return new Set();
+  return new Set(value.split(','));
+}
+
+/**
+ * Normalise un type ICMP (nom, numéro ou "type/code") en numéro de type
+ *
+ * @param {string} value - Type ICMP
+ * @param {Object} names - Table des noms (ICMP_TYPES ou ICMPV6_TYPES)
+ * @returns {string} Numéro de type, ou la valeur telle quelle
+ */
+function icmpType(value, names) {
+  const text = String(value).toLowerCase();
+  return names[text] || text.split('/')[0];
+}
+
+/**
+ * Normalise un nom ou numéro de protocole (icmpv6 → ipv6-icmp, 6 → tcp...)
+ *
+ * @param {string} value - Protocole
+ * @returns {string} Nom du protocole en minuscules
+ */
+function protocolName(value) {
+  const name = String(PROTOCOL_NUMBERS[value] || value).toLowerCase();
+  return ['icmpv6', 'icmp6'].includes(name) ? 'ipv6-icmp' : name;
+}
+
+/**
+ * Lit une marque iptables "valeur[/masque]"
+ *
+ * @param {string} value - Marque (ex: '0x1/0xff')
+ * @returns {{value: number, mask: number}|null} Marque, null si non reconnue
+ */
+function parseMark(value) {
+  const [mark, mask = '0xffffffff'] = String(value).split('/');
+  const result = { value: Number(mark), mask: Number(mask) };
+  return Number.isInteger(result.value) && Number.isInteger(result.mask) ? result : null;
+}
+
+// ============================================================================
+// VALIDATION DU PAQUET
+// ============================================================================
+
+/**
+ * Valide et complète la description d'un paquet
+ *
+ * @param {Object} packet - Paquet décrit par l'utilisateur
+ * @param {string} [packet.direction='input'] - 'input' (vers l'hôte), 'forward' (routé) ou 'output' (émis par l'hôte)
+ * @param {string} [packet.inInterface] - Interface d'entrée (ex: 'eth0')
+ * @param {string} [packet.outInterface] - Interface de sortie
+ * @param {string} packet.source - Adresse source
+ * @param {string} packet.destination - Adresse destination
+ * @param {string} [packet.protocol='tcp'] - Protocole (tcp, udp, icmp...)
+ * @param {number} [packet.sport] - Port source
+ * @param {number} [packet.dport] - Port destination
+ * @param {string} [packet.state='NEW'] - État conntrack (NEW, ESTABLISHED, RELATED, INVALID)
+ * @param {string} [packet.icmpType] - Type ICMP (ex: 'echo-request' ou '8')
+ * @param {Array<string>} [packet.tcpFlags] - Drapeaux TCP (par défaut SYN pour NEW, ACK sinon)
+ * @param {string} [packet.mark] - Marque initiale (ex: '0x0')
+ * @param {Array<string>} [packet.localAddresses] - Adresses de l'hôte (décision de routage après DNAT)
+ * @param {string} [family='ipv4'] - Famille d'adresses
+ * @returns {Object} Paquet normalisé
+ * @throws {Error} Si la description est invalide (status 400, détail dans errors)
+ */
+function normalizePacket(packet, family = 'ipv4') {
+  const errors = [];
+  const p = packet && typeof packet === 'object' ? packet : {};
+  const version = family === 'ipv6' ? 6 : 4;
+  const optionalText = (name) => {
+    const value = p[name];
+    if (value === undefined || value === null || value === '') return null;
+    if (!/^[A-Za-z0-9_.:@+-]{1,32}$/.test(String(value))) errors.push(`${name} invalide: ${value}`);
+    return String(value);
+  };
+  const address = (name) => {
+    if (net.isIP(String(p[name] || '')) !== version) {
+      errors.push(`${name} doit être une adresse IPv${version}`);
+    }
+    return String(p[name] || '');
+  };
+  const port = (name) => {
+    if (p[name] === undefined || p[name] === null || p[name] === '') return null;
+    const value = Number(p[name]);
+    if (!Number.isInteger(value) || value < 0 || value > 65535) errors.push(`${name} invalide: ${p[name]}`);
+    return value;
+  };
+
+  const result = {
+    direction: p.direction ? String(p.direction) : 'input',
+    inInterface: optionalText('inInterface'),
+    outInterface: optionalText('outInterface'),
+    source: address('source'),
+    destination: address('destination'),
+    protocol: protocolName(p.protocol || 'tcp'),
+    sport: port('sport'),
+    dport: port('dport'),
+    state: String(p.state || 'NEW').toUpperCase(),
+    icmpType: p.icmpType !== undefined && p.icmpType !== '' ? String(p.icmpType) : null,
+    tcpFlags: null,
+    mark: 0,
+    localAddresses: Array.isArray(p.localAddresses) ? p.localAddresses.map(String) : []
+  };
+
+  if (!DIRECTIONS.includes(result.direction)) {
+    errors.push(`direction invalide: ${result.direction} (${DIRECTIONS.join(', ')})`);
+  }
+  if (!STATES.includes(result.state)) {
+    errors.push(`state invalide: ${result.state} (${STATES.join(', ')})`);
+  }
+  if (!/^[a-z0-9-]{1,16}$/.test(result.protocol)) {
+    errors.push(`protocol invalide: ${result.protocol}`);
+  }
+  if (p.tcpFlags !== undefined) {
+    const flags = [].concat(p.tcpFlags).map(f => String(f).toUpperCase());
+    if (flags.some(f => !TCP_FLAGS.includes(f))) errors.push(`tcpFlags invalides (${TCP_FLAGS.join(', ')})`);
+    result.tcpFlags = flags;
+  } else if (result.protocol === 'tcp') {
+    result.tcpFlags = result.state === 'NEW' ? ['SYN'] : ['ACK'];
+  }
+  if (p.mark !== undefined && p.mark !== '') {
+    const mark = parseMark(p.mark);
+    if (!mark) errors.push(`mark invalide: ${p.mark}`);
+    else result.mark = mark.value;
+  }
+
+  if (errors.length > 0) {
+    throw httpError(400, 'Description de paquet invalide', errors);
+  }
+  return result;
+}
+
+// ============================================================================
+// CORRESPONDANCE D'UNE RÈGLE
+// ============================================================================
+
+/**
+ * Évalue une option de règle sur le paquet
+ *
+ * @param {Object} packet - Paquet en cours de simulation
+ * @param {string} module - Module de l'option ('' pour les options de base)
+ * @param {Object} option - Option { option, values, negated }
+ * @param {Object} context - { hook, local } pour les options qui en dépendent
+ * @returns {boolean|string} Résultat, ou raison pour laquelle l'option ne peut pas être évaluée
+ */
+function evaluateOption(packet, module, option, context) {
+  const [value, second] = option.values;
+  const known = (result, field) => (result === null ? `valeur non reconnue pour ${field}: ${value}` : result);
+  const needs = (field) => `le paquet ne précise pas ${field}`;
+
+  switch (`${module}${option.option}`) {
+    case '-s': case '--source': case '--src':
+      return known(inPrefix(value, packet.source), option.option);
+    case '-d': case '--destination': case '--dst':
+      return known(inPrefix(value, packet.destination), option.option);
+    case '-i': case '--in-interface':
+      return packet.inInterface ? interfaceContains(value, packet.inInterface) : needs('l\'interface d\'entrée');
+    case '-o': case '--out-interface':
+      return packet.outInterface ? interfaceContains(value, packet.outInterface) : needs('l\'interface de sortie');
+    case '-p': case '--protocol': {
+      const protocol = protocolName(value);
+      return protocol === 'all' || protocol === packet.protocol;
+    }
+    case '-f': case '--fragment':
+      return false;  // Les paquets simulés ne sont pas fragmentés
+    case '-4': case '--ipv4': case '-6': case '--ipv6':
+      return true;
+  }
+
+  if (PORT_PROTOCOLS.includes(module) || module === 'multiport') {
+    const field = { '--dport': 'dport', '--destination-port': 'dport', '--dports': 'dport', '--destination-ports': 'dport',
+      '--sport': 'sport', '--source-port': 'sport', '--sports': 'sport', '--source-ports': 'sport' }[option.option];
+    if (field) {
+      return packet[field] === null ? needs(field) : known(inPorts(value, packet[field]), option.option);
+    }
+    if (option.option === '--ports') {
+      if (packet.sport === null && packet.dport === null) return needs('ses ports');
+      return [packet.sport, packet.dport].some(port => port !== null && inPorts(value, port));
+    }
+    if (module === 'tcp' && (option.option === '--syn' || option.option === '--tcp-flags')) {
+      const mask = option.option === '--syn' ? flagSet('SYN,RST,ACK,FIN') : flagSet(value);
+      const expected = option.option === '--syn' ? flagSet('SYN') : flagSet(second || '');
+      const flags = new Set(packet.tcpFlags);
+      return [...mask].every(flag => flags.has(flag) === expected.has(flag));
+    }
+  }
+
+  switch (`${module}${option.option}`) {
+    case 'conntrack--ctstate':
+    case 'state--state': {
+      const states = new Set([packet.state, ...packet.natStates]);
+      return value.split(',').some(state => states.has(state));
+    }
+    case 'icmp--icmp-type':
+      return packet.icmpType === null ? needs('le type ICMP')
+        : value === 'any' || icmpType(value, ICMP_TYPES) === icmpType(packet.icmpType, ICMP_TYPES);
+    case 'icmp6--icmpv6-type':
+      return packet.icmpType === null ? needs('le type ICMPv6')
+        : icmpType(value, ICMPV6_TYPES) === icmpType(packet.icmpType, ICMPV6_TYPES);
+    case 'iprange--src-range':
+      return known(inAddressRange(value, packet.source), option.option);
+    case 'iprange--dst-range':
+      return known(inAddressRange(value, packet.destination), option.option);
+    case 'addrtype--dst-type':
+      if (value !== 'LOCAL') return `type d'adresse ${value} non simulé`;
+      return context.local;
+    case 'mark--mark': {
+      const mark = parseMark(value);
+      return mark ? ((packet.mark & mark.mask) >>> 0) === ((mark.value & mark.mask) >>> 0) : known(null, option.option);
+    }
+  }
+
+  return `critère non simulé: ${module ? `-m ${module} ` : ''}${option.option}`;
+}
+
+/**
+ * Évalue une règle parsée sur le paquet
+ *
+ * @param {Object} packet - Paquet en cours de simulation
+ * @param {Object} parsed - Règle parsée { options, matches, target }
+ * @param {Object} context - { hook, local }
+ * @returns {{matched: boolean, unsupported: string|null}} Résultat
+ */
+function matchRule(packet, parsed, context) {
+  const checks = parsed.options.map(option => ['', option]);
+  for (const match of parsed.matches) {
+    if (ALWAYS_MATCHING_MODULES.has(match.module)) continue;
+    // Le module implicite du protocole se comporte comme "-m <protocole>"
+    checks.push(...match.options.map(option => [match.module, option]));
+    if (match.options.length === 0 && !PORT_PROTOCOLS.includes(match.module) &&
+      !['icmp', 'icmp6'].includes(match.module)) {
+      return { matched: false, unsupported: `module non simulé: ${match.module}` };
+    }
+  }
+
+  for (const [module, option] of checks) {
+    const result = evaluateOption(packet, module, option, context);
+    if (typeof result === 'string') {
+      return { matched: false, unsupported: result };
+    }
+    if (result === option.negated) {
+      return { matched: false, unsupported: null };
+    }
+  }
+  return { matched: true, unsupported: null };
+}
+
+// ============================================================================
+// CIBLES
+// ============================================================================
+
+/**
+ * Lit la valeur d'une option de cible
+ *
+ * @param {Object} target - Cible { name, options }
+ * @param {string} name - Option (ex: '--to-destination')
+ * @returns {string|null} Première valeur
+ */
+function targetOption(target, name) {
+  const option = target.options.find(o => o.option === name);
+  return option ? option.values[0] : null;
+}
+
+/**
+ * Lit une adresse "ip[-ip][:port[-port]]" de DNAT/SNAT (première adresse et premier port)
+ *
+ * @param {string} value - Valeur de --to-destination / --to-source
+ * @returns {{address: string|null, port: number|null}} Réécriture
+ */
+function natAddress(value) {
+  const bracketed = String(value).match(/^\[([^\]]+)\](?::(\d+))?/);
+  if (bracketed) {
+    return { address: bracketed[1], port: bracketed[2] ? Number(bracketed[2]) : null };
+  }
+  const [address, port] = net.isIPv6(String(value).split('-')[0]) ? [value, null] : String(value).split(':');
+  return {
+    address: address ? address.split('-')[0] : null,
+    port: port ? Number(port.split('-')[0]) : null
+  };
+}
+
+/**
+ * Applique une cible non terminale ou de réécriture au paquet
+ *
+ * @param {Object} packet - Paquet (modifié sur place)
+ * @param {Object} target - Cible { name, options }
+ * @param {Array<string>} warnings - Avertissements de la simulation
+ * @returns {string|null} Description de la réécriture, null si aucune
+ */
+function rewritePacket(packet, target, warnings) {
+  switch (target.name) {
+    case 'DNAT': {
+      const { address, port } = natAddress(targetOption(target, '--to-destination') || '');
+      const before = `${packet.destination}${packet.dport !== null ? `:${packet.dport}` : ''}`;
+      if (address) packet.destination = address;
+      if (port !== null) packet.dport = port;
+      packet.natStates.add('DNAT');
+      return `destination ${before} → ${packet.destination}${packet.dport !== null ? `:${packet.dport}` : ''}`;
+    }
+    case 'REDIRECT': {
+      const ports = targetOption(target, '--to-ports');
+      if (ports) packet.dport = Number(ports.split('-')[0]);
+      packet.redirected = true;
+      packet.natStates.add('DNAT');
+      return `redirigé vers l'hôte${ports ? `, port ${packet.dport}` : ''}`;
+    }
+    case 'SNAT': {
+      const { address, port } = natAddress(targetOption(target, '--to-source') || '');
+      if (address) packet.source = address;
+      if (port !== null) packet.sport = port;
+      packet.natStates.add('SNAT');
+      return `source → ${packet.source}`;
+    }
+    case 'MASQUERADE':
+      packet.natStates.add('SNAT');
+      return `source → adresse de ${packet.outInterface || 'l\'interface de sortie'}`;
+    case 'MARK': {
+      const xmark = targetOption(target, '--set-xmark');
+      const mark = parseMark(xmark || targetOption(target, '--set-mark') || '');
+      if (!mark) {
+        warnings.push('MARK: option non simulée, marque inchangée');
+        return null;
+      }
+      packet.mark = xmark
+        ? ((packet.mark & ~mark.mask) ^ mark.value) >>> 0
+        : ((packet.mark & ~mark.mask) | mark.value) >>> 0;
+      return `marque → 0x${packet.mark.toString(16)}`;
+    }
+    case 'NOTRACK':
+      packet.state = 'UNTRACKED';
+      return 'connexion non suivie';
+    case 'CT':
+      if (target.options.some(o => o.option === '--notrack')) {
+        packet.state = 'UNTRACKED';
+        return 'connexion non suivie';
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+// ============================================================================
+// PARCOURS
+// ============================================================================
+
+/**
+ * Parcourt une chaîne intégrée d'une table (et les chaînes utilisateur appelées)
+ *
+ * @param {Object} tables - Configuration issue de parseIptablesSave
+ * @param {string} table - Table parcourue
+ * @param {string} hook - Chaîne intégrée (PREROUTING, INPUT...)
+ * @param {Object} packet - Paquet (modifié par les réécritures)
+ * @param {Object} result - Résultat en cours (trace, warnings)
+ * @returns {string} Verdict: 'CONTINUE' (paquet accepté par cette chaîne), 'DROP', 'REJECT' ou 'QUEUE'
+ */
+function traverse(tables, table, hook, packet, result) {
+  const chains = tables[table] || [];
+  const find = name => chains.find(c => c.chain === name);
+  const builtin = find(hook);
+  if (!builtin) {
+    return 'CONTINUE';
+  }
+
+  const context = {
+    hook,
+    local: packet.direction === 'output' || packet.direction === 'input' || packet.redirected ||
+      packet.localAddresses.includes(packet.destination)
+  };
+  const stack = [{ chain: builtin, index: 0 }];
+
+  // Le verdict final est celui du filtrage : la table filter (ou un refus) en décide
+  const applyPolicy = () => {
+    if (builtin.policy === 'DROP' || table === 'filter') {
+      result.trace.push({ table, chain: hook, position: null, rule: null, target: builtin.policy, policy: true });
+      result.decidedBy = { table, chain: hook, position: null, rule: null, policy: true };
+    }
+    return builtin.policy === 'DROP' ? 'DROP' : 'CONTINUE';
+  };
+
+  while (stack.length > 0) {
+    const frame = stack[stack.length - 1];
+    if (frame.index >= frame.chain.rules.length) {
+      stack.pop();  // Fin d'une chaîne utilisateur : retour implicite
+      if (stack.length === 0) return applyPolicy();
+      continue;
+    }
+
+    const position = ++frame.index;
+    const rule = frame.chain.rules[position - 1];
+    if (!rule.parsed) {
+      result.warnings.push(`${table}/${frame.chain.chain} règle ${position} ignorée : ligne non reconnue`);
+      continue;
+    }
+    const { matched, unsupported } = matchRule(packet, rule.parsed, context);
+    if (unsupported) {
+      result.warnings.push(`${table}/${frame.chain.chain} règle ${position} ignorée : ${unsupported}`);
+      continue;
+    }
+    if (!matched) continue;
+
+    const target = rule.parsed.target;
+    const step = { table, chain: frame.chain.chain, position, rule: rule.content, target: target ? target.name : null };
+    result.trace.push(step);
+    if (!target) continue;
+
+    const jumpTo = find(target.name);
+    if (jumpTo && jumpTo.policy === '-') {
+      if (target.goto) {
+        stack[stack.length - 1] = { chain: jumpTo, index: 0 };
+      } else {
+        stack.push({ chain: jumpTo, index: 0 });
+      }
+      if (stack.length > MAX_DEPTH) {
+        throw httpError(422, `Boucle de sauts entre chaînes dans la table ${table} (profondeur > ${MAX_DEPTH})`);
+      }
+      continue;
+    }
+
+    const decide = (verdict) => {
+      result.decidedBy = { table, chain: frame.chain.chain, position, rule: rule.content, policy: false };
+      return verdict;
+    };
+    switch (target.name) {
+      case 'ACCEPT':
+        if (table === 'filter') decide('ACCEPT');
+        return 'CONTINUE';
+      case 'DROP':
+        return decide('DROP');
+      case 'REJECT':
+        return decide('REJECT');
+      case 'QUEUE':
+      case 'NFQUEUE':
+        return decide('QUEUE');
+      case 'RETURN':
+        stack.pop();
+        if (stack.length === 0) return applyPolicy();
+        continue;
+      case 'DNAT':
+      case 'SNAT':
+      case 'MASQUERADE':
+      case 'REDIRECT':
+        step.rewrite = rewritePacket(packet, target, result.warnings);
+        return 'CONTINUE';
+      default:
+        // Cibles non terminales : LOG, MARK, CONNMARK, TCPMSS...
+        step.rewrite = rewritePacket(packet, target, result.warnings) || undefined;
+    }
+  }
+
+  return 'CONTINUE';
+}
+
+/**
+ * Simule le parcours d'un paquet dans une configuration iptables
+ *
+ * @param {Object} tables - Configuration issue de parseIptablesSave (jamais modifiée)
+ * @param {Object} packetSpec - Description du paquet (voir normalizePacket)
+ * @param {string} [family='ipv4'] - Famille d'adresses
+ * @returns {Object} {
+ *   verdict: 'ACCEPT'|'DROP'|'REJECT'|'QUEUE',
+ *   path: 'input'|'forward'|'output' (chemin après la décision de routage),
+ *   decidedBy: { table, chain, position, rule, policy }|null,
+ *   trace: [{ table, chain, position, rule, target, rewrite, policy }] (règles qui ont correspondu,
+ *     dans l'ordre, et politiques de filtrage appliquées),
+ *   packet: paquet après réécritures,
+ *   warnings: Array<string>
+ * }
+ * @throws {Error} Si le paquet est invalide (400) ou si les chaînes bouclent (422)
+ */
+function simulatePacket(tables, packetSpec, family = 'ipv4') {
+  const normalized = normalizePacket(packetSpec, family);
+  const packet = { ...normalized, natStates: new Set(), redirected: false };
+  const result = { verdict: 'ACCEPT', path: packet.direction, decidedBy: null, trace: [], warnings: [] };
+
+  const hooks = [...PATHS[packet.direction]];
+  for (let i = 0; i < hooks.length; i++) {
+    const hook = hooks[i];
+    for (const table of HOOK_TABLES[hook]) {
+      // nat ne voit que le premier paquet d'une connexion suivie
+      if (table === 'nat' && packet.state !== 'NEW') continue;
+      const verdict = traverse(tables, table, hook, packet, result);
+      if (verdict !== 'CONTINUE') {
+        result.verdict = verdict;
+        return finish(result, packet);
+      }
+    }
+
+    // Décision de routage après PREROUTING : un DNAT peut changer la destination
+    if (hook === 'PREROUTING') {
+      const local = packet.redirected || packet.localAddresses.includes(packet.destination) ||
+        (packet.direction === 'input' && packet.destination === normalized.destination);
+      const path = local ? 'input' : 'forward';
+      if (path !== packet.direction) {
+        packet.direction = path;
+        result.path = path;
+        hooks.splice(i + 1, hooks.length, ...PATHS[path].slice(1));
+      }
+    }
+  }
+
+  result.verdict = 'ACCEPT';
+  return finish(result, packet);
+}
+
+/**
+ * Complète le résultat avec le paquet final (sans les champs internes)
+ *
+ * @param {Object} result - Résultat de la simulation
+ * @param {Object} packet - Paquet après réécritures
+ * @returns {Object} Résultat
+ */
+function finish(result, packet) {
+  const { natStates, redirected, localAddresses, ...rest } = packet;
+  result.packet = rest;
+  result.warnings = [...new Set(result.warnings)];
+  return result;
+}
+
+module.exports = {
+  simulatePacket,
+  normalizePacket
+};
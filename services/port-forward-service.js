@@ -0,0 +1,655 @@
+/**
+ * Service des redirections de ports
+ *
+ * Une redirection de port publie un service interne sur un port externe de
+ * l'hôte. Elle est gérée comme un tout, qui regroupe pour chaque protocole :
+ * - la règle DNAT (table nat, chaîne PREROUTING), ajoutée en fin de chaîne ;
+ * - la règle qui accepte le trafic redirigé (table filter, chaîne FORWARD),
+ *   insérée en tête de chaîne pour passer avant un éventuel rejet ;
+ * - avec hairpin, la règle MASQUERADE (table nat, chaîne POSTROUTING) qui
+ *   permet aux clients du réseau interne de joindre le service par l'adresse
+ *   externe.
+ *
+ * Description d'une redirection :
+ * {
+ *   id: 'web',                        // lettres, chiffres, _ et -
+ *   protocols: ['tcp', 'udp'],        // par défaut ['tcp']
+ *   externalPort: '8080',             // port ou plage '8000:8100'
+ *   externalAddress: '203.0.113.5',   // facultatif (adresse de destination)
+ *   inInterface: 'eth0',              // facultatif (interface d'entrée)
+ *   source: '198.51.100.0/24',        // facultatif (clients autorisés)
+ *   targetAddress: '192.168.1.10',
+ *   targetPort: '80',                 // facultatif, impossible avec une plage
+ *   hairpin: false
+ * }
+ *
+ * Rien n'est enregistré localement : chaque règle porte le commentaire
+ * "port-forward:<id>", et les redirections sont relues sur l'hôte. Les
+ * modifications sont appliquées en une seule opération
+ * (iptables-restore --noflush avec des lignes -D, -I et -A). Une redirection
+ * est refusée (409) si son port externe chevauche celui d'une règle DNAT
+ * existante, lue dans la sortie de iptables -L (voir
+ * IptablesBackend.parseExtraFields).
+ *
+ * @module services/port-forward-service
+ * @requires ./ssh-service
+ * @requires ./rule-model
+ * @requires ./iptables-parser
+ * @requires ./changeset-service
+ */
+
+const sshService = require('./ssh-service');
+const ruleModel = require('./rule-model');
+const iptablesParser = require('./iptables-parser');
+const changesetService = require('./changeset-service');
+
+/**
+ * Préfixe du commentaire qui rattache une règle à sa redirection
+ */
+const MARKER_PREFIX = 'port-forward:';
+
+/**
+ * Format des identifiants de redirections
+ */
+const FORWARD_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,47}$/;
+
+/**
+ * Protocoles d'une redirection, dans l'ordre des règles générées
+ */
+const PROTOCOLS = ['tcp', 'udp'];
+
+/**
+ * Chaînes dans lesquelles une redirection ajoute des règles
+ */
+const FORWARD_CHAINS = [
+  { table: 'nat', chain: 'PREROUTING' },
+  { table: 'filter', chain: 'FORWARD' },
+  { table: 'nat', chain: 'POSTROUTING' }
+];
+
+/**
+ * Crée une erreur portant un code HTTP
+ *
+ * @param {number} status - Code HTTP à renvoyer
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur avec la propriété status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Crée une erreur détaillée (liste errors)
+ *
+ * @param {number} status - Code HTTP à renvoyer
+ * @param {string} message - Message d'erreur
+ * @param {Array<string>} errors - Détails
+ * @returns {Error} Erreur avec les propriétés status et errors
+ */
+function detailedError(status, message, errors) {
+  const error = httpError(status, message);
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * Retire le préfixe d'hôte (/32, /128) qu'iptables-save ajoute aux adresses
+ *
+ * @param {string|null} address - Adresse lue sur l'hôte
+ * @returns {string|null} Adresse sans préfixe d'hôte
+ */
+function hostAddress(address) {
+  return address ? address.replace(/\/(?:32|128)$/, '') : null;
+}
+
+/**
+ * Convertit un port, une plage ou une liste de ports en intervalles
+ *
+ * @param {string|null} value - '8080', '8000:8100' ou '80,443,1000:2000' ; null pour tous les ports
+ * @returns {Array<Array<number>>} Intervalles [début, fin]
+ */
+function portIntervals(value) {
+  if (!value) {
+    return [[0, 65535]];
+  }
+  return String(value).split(',').map(part => {
+    const [low, high = low] = part.split(':').map(Number);
+    return [low, high];
+  });
+}
+
+/**
+ * Indique si deux listes d'intervalles de ports se chevauchent
+ *
+ * @param {Array<Array<number>>} a - Intervalles
+ * @param {Array<Array<number>>} b - Intervalles
+ * @returns {boolean} true si un port est commun
+ */
+function portsOverlap(a, b) {
+  return a.some(([lowA, highA]) => b.some(([lowB, highB]) => lowA <= highB && lowB <= highA));
+}
+
+/**
+ * Identifiant de redirection porté par une règle parsée
+ *
+ * @param {Object|null} parsed - Règle parsée (voir iptablesParser.parseRule)
+ * @returns {string|null} Identifiant, null si la règle n'appartient à aucune redirection
+ */
+function markerOf(parsed) {
+  const comment = parsed && iptablesParser.findOption(parsed, '--comment', 'comment');
+  const value = comment && comment.values[0];
+  return value && value.startsWith(MARKER_PREFIX) ? value.slice(MARKER_PREFIX.length) : null;
+}
+
+/**
+ * Valeur d'une option non niée d'une règle parsée
+ *
+ * @param {Object} parsed - Règle parsée
+ * @param {Array<string>|string} names - Nom(s) de l'option
+ * @param {string} [module] - Module de l'option (voir iptablesParser.findOption)
+ * @returns {string|null} Première valeur, null si l'option est absente ou niée
+ */
+function optionValue(parsed, names, module) {
+  const option = iptablesParser.findOption(parsed, names, module);
+  return option && !option.negated ? option.values[0] : null;
+}
+
+/**
+ * Sépare l'adresse et le port d'une destination DNAT
+ *
+ * @param {string} value - '192.168.1.10:80', '192.168.1.10', '[2001:db8::10]:80' ou '2001:db8::10'
+ * @returns {{address: string, port: string|null}} Adresse et port
+ */
+function splitNatAddress(value) {
+  const bracketed = value.match(/^\[([^\]]+)\](?::(.+))?$/);
+  if (bracketed) {
+    return { address: bracketed[1], port: bracketed[2] || null };
+  }
+  if ((value.match(/:/g) || []).length > 1) {
+    return { address: value, port: null };
+  }
+  const [address, port = null] = value.split(':');
+  return { address, port };
+}
+
+/**
+ * Vérifie et normalise la description d'une redirection
+ *
+ * @param {Object} definition - Description reçue
+ * @param {string} family - Famille d'adresses ('ipv4' ou 'ipv6')
+ * @returns {Object} Redirection { id, protocols, externalPort, externalAddress, inInterface,
+ *   source, targetAddress, targetPort, hairpin }
+ * @throws {Error} Si la description est invalide (400, liste errors)
+ */
+function normalizeForward(definition, family) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw httpError(400, 'Redirection manquante');
+  }
+
+  const errors = [];
+  const text = (field) => {
+    const value = definition[field];
+    return value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim();
+  };
+  const pattern = (type) => ruleModel.PATTERNS[family === 'ipv6' && ruleModel.PATTERNS[`${type}6`] ? `${type}6` : type];
+  const check = (value, type, message) => {
+    if (value !== null && !pattern(type).test(value)) {
+      errors.push(`${message}: ${value}`);
+    }
+  };
+
+  const id = text('id');
+  if (!id || !FORWARD_ID_PATTERN.test(id)) {
+    errors.push(`Identifiant invalide: ${id || '(vide)'} (lettres, chiffres, _ et -, 48 caractères au plus)`);
+  }
+
+  const protocols = definition.protocols === undefined ? ['tcp'] : definition.protocols;
+  if (!Array.isArray(protocols) || protocols.length === 0 || protocols.some(p => !PROTOCOLS.includes(p))) {
+    errors.push(`protocols doit lister des protocoles parmi: ${PROTOCOLS.join(', ')}`);
+  }
+
+  const externalPort = text('externalPort');
+  if (!externalPort) {
+    errors.push('Port externe requis (externalPort)');
+  } else if (!ruleModel.PATTERNS.portRange.test(externalPort) || portIntervals(externalPort)[0][0] > portIntervals(externalPort)[0][1]) {
+    errors.push(`Port externe invalide: ${externalPort} (port ou plage 8000:8100)`);
+  }
+
+  const targetAddress = text('targetAddress');
+  if (!targetAddress) {
+    errors.push('Adresse cible requise (targetAddress)');
+  } else {
+    check(targetAddress, family === 'ipv6' ? 'ipv6' : 'ipv4', 'Adresse cible invalide');
+  }
+
+  const targetPort = text('targetPort');
+  check(targetPort, 'port', 'Port cible invalide');
+  if (targetPort !== null && externalPort && externalPort.includes(':')) {
+    errors.push('Une plage de ports est redirigée vers les mêmes ports : targetPort doit être omis');
+  }
+
+  const externalAddress = text('externalAddress');
+  const inInterface = text('inInterface');
+  const source = text('source');
+  check(externalAddress, 'address', 'Adresse externe invalide');
+  check(inInterface, 'interface', 'Interface d\'entrée invalide');
+  check(source, 'address', 'Source invalide');
+
+  const hairpin = definition.hairpin === true;
+  if (hairpin && (!externalAddress || inInterface)) {
+    errors.push('hairpin nécessite externalAddress, sans inInterface : sinon la règle DNAT ne s\'applique pas au trafic du réseau interne');
+  }
+
+  if (errors.length > 0) {
+    throw detailedError(400, 'Redirection de port invalide', errors);
+  }
+  return {
+    id,
+    protocols: PROTOCOLS.filter(p => protocols.includes(p)),
+    externalPort,
+    externalAddress,
+    inInterface,
+    source,
+    targetAddress,
+    targetPort,
+    hairpin
+  };
+}
+
+/**
+ * Classe PortForwardService
+ * Lit et modifie les redirections de ports de l'hôte actif
+ */
+class PortForwardService {
+  // ==========================================================================
+  // LECTURE
+  // ==========================================================================
+
+  /**
+   * Lit la configuration active et les règles DNAT de l'hôte
+   *
+   * @param {string} sessionId - ID de session
+   * @param {Object} family - Famille d'adresses (voir ruleModel.getFamily)
+   * @returns {Promise<Object>} { output (iptables-save), live (configuration parsée),
+   *   dnat (règles DNAT de PREROUTING, format de IptablesBackend.parseIptablesOutput),
+   *   forwards (Map id → redirection) }
+   * @throws {Error} Si l'hôte actif est en nftables natif (409)
+   */
+  async read(sessionId, family) {
+    sshService.requireIptables(sessionId);
+    const output = await sshService.executeCommand(sessionId, `sudo ${family.save}`);
+    const live = sshService.parseIptablesSave(output);
+    const nat = await sshService.listRules(sessionId, 'nat', family.name);
+    const prerouting = nat.find(c => c.chain === 'PREROUTING');
+    const dnat = prerouting ? prerouting.rules.filter(rule => rule.target === 'DNAT') : [];
+
+    return { output, live, dnat, forwards: this.collect(live) };
+  }
+
+  /**
+   * Regroupe les règles marquées de la configuration en redirections
+   *
+   * La description est reconstruite à partir des règles DNAT ; une
+   * redirection est incomplète (complete: false) s'il lui manque la règle
+   * FORWARD d'un protocole.
+   *
+   * @param {Object} live - Configuration parsée (format parseIptablesSave)
+   * @returns {Map<string, Object>} Redirections par identifiant, avec leurs règles
+   *   [{ table, chain, position, content }]
+   */
+  collect(live) {
+    const forwards = new Map();
+    const entry = (id) => {
+      if (!forwards.has(id)) {
+        forwards.set(id, { id, protocols: [], rules: [], forwardProtocols: [], hairpin: false });
+      }
+      return forwards.get(id);
+    };
+
+    for (const { table, chain } of FORWARD_CHAINS) {
+      const chainObj = (live[table] || []).find(c => c.chain === chain);
+      if (!chainObj) continue;
+
+      chainObj.rules.forEach((rule, index) => {
+        const id = markerOf(rule.parsed);
+        if (!id) return;
+        const forward = entry(id);
+        const protocol = optionValue(rule.parsed, ['-p', '--protocol']);
+        forward.rules.push({ table, chain, position: index + 1, content: rule.content });
+
+        if (chain === 'FORWARD') {
+          forward.forwardProtocols.push(protocol);
+        } else if (chain === 'POSTROUTING') {
+          forward.hairpin = true;
+        } else {
+          const destination = optionValue(rule.parsed, '--to-destination', 'target');
+          const target = destination ? splitNatAddress(destination) : { address: null, port: null };
+          forward.protocols.push(protocol);
+          Object.assign(forward, {
+            externalPort: optionValue(rule.parsed, ['--dport', '--destination-port']),
+            externalAddress: hostAddress(optionValue(rule.parsed, ['-d', '--destination'])),
+            inInterface: optionValue(rule.parsed, ['-i', '--in-interface']),
+            source: hostAddress(optionValue(rule.parsed, ['-s', '--source'])),
+            targetAddress: target.address,
+            targetPort: target.port
+          });
+        }
+      });
+    }
+
+    for (const forward of forwards.values()) {
+      forward.complete = forward.protocols.length > 0 && forward.protocols.every(p => forward.forwardProtocols.includes(p));
+      forward.protocols = PROTOCOLS.filter(p => forward.protocols.includes(p));
+      delete forward.forwardProtocols;
+    }
+    return forwards;
+  }
+
+  /**
+   * Liste les redirections de ports de l'hôte actif
+   *
+   * @param {string} sessionId - ID de session
+   * @param {Object} [options={}] - { family }
+   * @returns {Promise<Object>} { family, forwards, unmanaged, fingerprint } ; unmanaged: règles
+   *   DNAT qui n'appartiennent à aucune redirection [{ num, prot, destPort, toDestination, spec }]
+   */
+  async list(sessionId, options = {}) {
+    const family = ruleModel.getFamily(options.family);
+    const { output, dnat, forwards } = await this.read(sessionId, family);
+
+    return {
+      family: family.name,
+      forwards: [...forwards.values()].sort((a, b) => a.id.localeCompare(b.id)),
+      unmanaged: dnat
+        .filter(rule => !markerOf(sshService.parseRuleContent(rule.spec || '')))
+        .map(({ num, prot, destPort, toDestination, spec }) => ({ num: Number(num), prot, destPort, toDestination, spec })),
+      fingerprint: ruleModel.rulesetFingerprint(output)
+    };
+  }
+
+  // ==========================================================================
+  // GÉNÉRATION DES RÈGLES
+  // ==========================================================================
+
+  /**
+   * Génère les règles d'une redirection
+   *
+   * @param {Object} forward - Redirection normalisée (voir normalizeForward)
+   * @param {string} family - Famille d'adresses
+   * @returns {Array<Object>} [{ table, chain, position ('top' ou 'bottom'), rule }]
+   */
+  buildRules(forward, family) {
+    const comment = { module: 'comment', options: { comment: `${MARKER_PREFIX}${forward.id}` } };
+    const port = forward.targetPort || forward.externalPort;
+    let toDestination = forward.targetAddress;
+    if (forward.targetPort) {
+      toDestination = family === 'ipv6'
+        ? `[${forward.targetAddress}]:${forward.targetPort}`
+        : `${forward.targetAddress}:${forward.targetPort}`;
+    }
+    const optional = (fields) => Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
+
+    const rules = [];
+    for (const protocol of forward.protocols) {
+      rules.push({
+        table: 'nat',
+        chain: 'PREROUTING',
+        position: 'bottom',
+        rule: {
+          chain: 'PREROUTING',
+          ...optional({ source: forward.source, destination: forward.externalAddress, inInterface: forward.inInterface }),
+          protocol,
+          destPort: forward.externalPort,
+          matches: [comment],
+          target: 'DNAT',
+          targetOptions: { 'to-destination': toDestination }
+        }
+      });
+      rules.push({
+        table: 'filter',
+        chain: 'FORWARD',
+        position: 'top',
+        rule: {
+          chain: 'FORWARD',
+          ...optional({ source: forward.source, inInterface: forward.inInterface }),
+          destination: forward.targetAddress,
+          protocol,
+          destPort: port,
+          matches: [comment],
+          target: 'ACCEPT'
+        }
+      });
+      if (forward.hairpin) {
+        rules.push({
+          table: 'nat',
+          chain: 'POSTROUTING',
+          position: 'bottom',
+          rule: {
+            chain: 'POSTROUTING',
+            destination: forward.targetAddress,
+            protocol,
+            destPort: port,
+            matches: [comment],
+            target: 'MASQUERADE'
+          }
+        });
+      }
+    }
+
+    const errors = rules.flatMap(({ rule }) => ruleModel.validateRule(rule, family).errors);
+    if (errors.length > 0) {
+      throw detailedError(400, 'Redirection de port invalide', errors);
+    }
+    return rules;
+  }
+
+  /**
+   * Recherche les règles DNAT dont le port externe chevauche celui d'une redirection
+   *
+   * Deux règles ne se chevauchent pas si elles visent des protocoles, des
+   * adresses externes ou des interfaces d'entrée différents. Les règles de la
+   * redirection elle-même sont ignorées (modification).
+   *
+   * @param {Object} forward - Redirection normalisée
+   * @param {Array<Object>} dnat - Règles DNAT de PREROUTING (voir read)
+   * @returns {Array<string>} Description de chaque conflit
+   */
+  findConflicts(forward, dnat) {
+    const wanted = portIntervals(forward.externalPort);
+    const conflicts = [];
+
+    for (const rule of dnat) {
+      const parsed = sshService.parseRuleContent(rule.spec || '');
+      const owner = markerOf(parsed);
+      if (owner === forward.id) continue;
+
+      const protocols = ['all', '0'].includes(rule.prot) ? forward.protocols : forward.protocols.filter(p => p === rule.prot);
+      if (protocols.length === 0 || !portsOverlap(wanted, portIntervals(rule.destPort))) continue;
+
+      if (parsed) {
+        const destination = hostAddress(optionValue(parsed, ['-d', '--destination']));
+        const inInterface = optionValue(parsed, ['-i', '--in-interface']);
+        const hosts = [destination, forward.externalAddress];
+        if (hosts.every(address => address && !address.includes('/')) && destination !== forward.externalAddress) continue;
+        if (inInterface && forward.inInterface && inInterface !== forward.inInterface) continue;
+      }
+
+      const by = owner ? `la redirection ${owner}` : `la règle PREROUTING n°${rule.num}`;
+      conflicts.push(`${protocols.join('+')} ${forward.externalPort} : déjà redirigé par ${by} `
+        + `(${rule.prot} ${rule.destPort || 'tous les ports'} vers ${rule.toDestination || '?'})`);
+    }
+    return conflicts;
+  }
+
+  // ==========================================================================
+  // MODIFICATION
+  // ==========================================================================
+
+  /**
+   * Remplace les règles d'une redirection en une seule opération
+   *
+   * Les règles actuelles de la redirection (previous) sont supprimées, puis
+   * celles de la nouvelle description (forward) ajoutées : les règles FORWARD
+   * en tête de chaîne, les règles nat en fin de chaîne.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {Object} state - Configuration lue (voir read)
+   * @param {Object|null} previous - Redirection actuelle (voir collect), null pour une création
+   * @param {Object|null} forward - Nouvelle redirection normalisée, null pour une suppression
+   * @param {Object} family - Famille d'adresses (voir ruleModel.getFamily)
+   * @param {Object} options - { fingerprint } et options de la modification (voir SSHService.applyChange)
+   * @returns {Promise<Object|null>} Changement en attente de confirmation, ou null
+   * @throws {Error} Si la configuration a changé (409), si une chaîne manque (409), ou si
+   *   iptables-restore --test refuse les règles (400)
+   */
+  async replace(sessionId, state, previous, forward, family, options) {
+    const { fingerprint, ...changeOptions } = options;
+    if (fingerprint && fingerprint !== ruleModel.rulesetFingerprint(state.output)) {
+      throw httpError(409, 'La configuration active a changé depuis l\'affichage : rechargez les redirections');
+    }
+
+    const changes = (previous ? previous.rules : []).map(({ table, chain, position, content }) => (
+      { type: 'delete', table, chain, position, expected: content }
+    ));
+    let inserted = 0;
+    for (const { table, chain, position, rule } of forward ? this.buildRules(forward, family.name) : []) {
+      changes.push(position === 'top'
+        ? { type: 'insert', table, chain, position: ++inserted, rule }
+        : { type: 'add', table, chain, rule });
+    }
+
+    // Configuration attendue (409 si une chaîne manque)
+    const { tables: result, touchedTables } = changesetService.computeResult(state.live, changes, family.name);
+
+    let script = '';
+    for (const table of touchedTables) {
+      const lines = changes
+        .filter(change => change.table === table)
+        .map(change => {
+          if (change.type === 'delete') {
+            return `-D ${change.chain} ${change.expected}`;
+          }
+          const content = ruleModel.toRestoreLine(ruleModel.buildRuleSpec(change.rule, family.name));
+          return change.type === 'insert' ? `-I ${change.chain} ${change.position} ${content}` : `-A ${change.chain} ${content}`;
+        });
+      script += `*${table}\n${lines.join('\n')}\nCOMMIT\n`;
+    }
+
+    try {
+      await sshService.executeCommand(sessionId, `sudo ${family.restore} --noflush --test`, { input: script });
+    } catch (error) {
+      throw httpError(400, `Règles refusées par ${family.restore} --test: ${(error.stderr || error.message).trim()}`);
+    }
+
+    return sshService.applyChange(
+      sessionId,
+      `sudo ${family.restore} --noflush`,
+      {
+        ...changeOptions,
+        family: family.name,
+        input: script,
+        result: Object.fromEntries(touchedTables.map(table => [table, result[table]]))
+      }
+    );
+  }
+
+  /**
+   * Crée une redirection de port
+   *
+   * @param {string} sessionId - ID de session
+   * @param {Object} definition - Description de la redirection (voir en-tête du module)
+   * @param {Object} [options={}] - { fingerprint } et options de la modification
+   *   (voir SSHService.applyChange, dont family)
+   * @returns {Promise<Object>} { success, message, pendingConfirmation, forward }
+   * @throws {Error} Si la description est invalide (400), si l'identifiant existe déjà
+   *   ou si le port externe est déjà redirigé (409, liste errors)
+   */
+  async create(sessionId, definition, options = {}) {
+    const family = ruleModel.getFamily(options.family);
+    const forward = normalizeForward(definition, family.name);
+    const state = await this.read(sessionId, family);
+
+    if (state.forwards.has(forward.id)) {
+      throw httpError(409, `La redirection ${forward.id} existe déjà`);
+    }
+    const conflicts = this.findConflicts(forward, state.dnat);
+    if (conflicts.length > 0) {
+      throw detailedError(409, 'Port externe déjà redirigé', conflicts);
+    }
+
+    const pendingConfirmation = await this.replace(sessionId, state, null, forward, family, options);
+    return {
+      success: true,
+      message: `Redirection ${forward.id} créée (${forward.protocols.join('+')} ${forward.externalPort} vers ${forward.targetAddress})`,
+      pendingConfirmation,
+      forward
+    };
+  }
+
+  /**
+   * Modifie une redirection de port
+   *
+   * Ses règles actuelles sont remplacées par celles de la nouvelle description,
+   * dans la même opération. L'identifiant ne change pas.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} id - Identifiant de la redirection
+   * @param {Object} definition - Nouvelle description (id ignoré)
+   * @param {Object} [options={}] - { fingerprint } et options de la modification
+   * @returns {Promise<Object>} { success, message, pendingConfirmation, forward }
+   * @throws {Error} Si la redirection n'existe pas (404), si la description est invalide (400)
+   *   ou si le port externe est déjà redirigé (409, liste errors)
+   */
+  async update(sessionId, id, definition, options = {}) {
+    const family = ruleModel.getFamily(options.family);
+    const forward = normalizeForward({ ...definition, id }, family.name);
+    const state = await this.read(sessionId, family);
+
+    const previous = state.forwards.get(id);
+    if (!previous) {
+      throw httpError(404, `Redirection introuvable: ${id}`);
+    }
+    const conflicts = this.findConflicts(forward, state.dnat);
+    if (conflicts.length > 0) {
+      throw detailedError(409, 'Port externe déjà redirigé', conflicts);
+    }
+
+    const pendingConfirmation = await this.replace(sessionId, state, previous, forward, family, options);
+    return {
+      success: true,
+      message: `Redirection ${id} modifiée (${forward.protocols.join('+')} ${forward.externalPort} vers ${forward.targetAddress})`,
+      pendingConfirmation,
+      forward
+    };
+  }
+
+  /**
+   * Supprime une redirection de port (toutes ses règles, en une opération)
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} id - Identifiant de la redirection
+   * @param {Object} [options={}] - { fingerprint } et options de la modification
+   * @returns {Promise<Object>} { success, message, pendingConfirmation }
+   * @throws {Error} Si la redirection n'existe pas (404)
+   */
+  async remove(sessionId, id, options = {}) {
+    const family = ruleModel.getFamily(options.family);
+    const state = await this.read(sessionId, family);
+
+    const previous = state.forwards.get(id);
+    if (!previous) {
+      throw httpError(404, `Redirection introuvable: ${id}`);
+    }
+
+    const pendingConfirmation = await this.replace(sessionId, state, previous, null, family, options);
+    return {
+      success: true,
+      message: `Redirection ${id} supprimée (${previous.rules.length} règle(s) retirée(s))`,
+      pendingConfirmation
+    };
+  }
+}
+
+module.exports = new PortForwardService();
@@ -0,0 +1,451 @@
+/**
+ * Analyse des règles inutiles d'un jeu de règles iptables
+ *
+ * Travaille sur une configuration issue de parseIptablesSave (règles parsées
+ * par services/iptables-parser) et signale, chaîne par chaîne :
+ * - duplicate   : règle identique à une règle précédente de la chaîne
+ * - shadowed    : règle jamais atteinte, car une règle précédente à cible
+ *                 terminale (ACCEPT, DROP...) capture déjà tout son trafic
+ * - policy      : règle finale dont la cible est la politique de la chaîne
+ * - unreachable : chaîne utilisateur vers laquelle aucune chaîne accessible ne saute
+ *
+ * L'analyse est prudente : une règle n'en couvre une autre que si chacune de
+ * ses correspondances est prouvée plus large (adresses, interfaces, protocole,
+ * ports, états de connexion) ; une option qu'elle ne sait pas comparer doit
+ * figurer à l'identique dans l'autre règle. Les modules à état (limit,
+ * recent...) ne couvrent jamais une autre règle.
+ *
+ * @module services/rule-analyzer
+ * @requires ./iptables-parser
+ */
+
+const { serializeRule } = require('./iptables-parser');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+/**
+ * Cibles qui terminent le parcours de la chaîne, par table
+ * (RETURN termine la chaîne courante, ce qui suffit pour la masquer)
+ */
+const TERMINAL_TARGETS = {
+  filter: ['ACCEPT', 'DROP', 'REJECT', 'RETURN'],
+  nat: ['ACCEPT', 'DROP', 'RETURN', 'DNAT', 'SNAT', 'MASQUERADE', 'REDIRECT', 'NETMAP'],
+  mangle: ['ACCEPT', 'DROP', 'RETURN'],
+  raw: ['ACCEPT', 'DROP', 'RETURN'],
+  security: ['ACCEPT', 'DROP', 'RETURN']
+};
+
+/**
+ * Modules dont le résultat dépend d'un état (débit, historique, hasard) :
+ * une règle qui les utilise ne correspond pas toujours, elle ne couvre rien
+ */
+const STATEFUL_MODULES = new Set([
+  'limit', 'hashlimit', 'recent', 'statistic', 'connlimit', 'quota', 'connbytes', 'time'
+]);
+
+/**
+ * Correspondances comparées par l'analyse, par option
+ */
+const ADDRESS_OPTIONS = {
+  '-s': 'source', '--source': 'source', '--src': 'source',
+  '-d': 'destination', '--destination': 'destination', '--dst': 'destination'
+};
+const INTERFACE_OPTIONS = {
+  '-i': 'inInterface', '--in-interface': 'inInterface',
+  '-o': 'outInterface', '--out-interface': 'outInterface'
+};
+const PORT_OPTIONS = {
+  '--dport': 'dport', '--destination-port': 'dport', '--dports': 'dport', '--destination-ports': 'dport',
+  '--sport': 'sport', '--source-port': 'sport', '--sports': 'sport', '--source-ports': 'sport'
+};
+const STATE_OPTIONS = { conntrack: '--ctstate', state: '--state' };
+
+/**
+ * Modules sans effet sur la correspondance
+ */
+const NEUTRAL_MODULES = new Set(['comment']);
+
+// ============================================================================
+// ENSEMBLES DE VALEURS
+// ============================================================================
+
+/**
+ * Convertit une adresse IPv4 ou IPv6 (avec préfixe optionnel) en intervalle
+ *
+ * @param {string} value - Adresse (ex: '10.0.0.0/8', '2001:db8::/32')
+ * @returns {{start: bigint, end: bigint}|null} Intervalle, null si non reconnue
+ */
+function addressRange(value) {
+  const [address, prefix] = String(value).split('/');
+  let bits;
+  let number;
+
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(address)) {
+    bits = 32;
+    number = address.split('.').reduce((acc, part) => (acc << 8n) + BigInt(part), 0n);
+  } else if (/^[0-9a-fA-F:]+$/.test(address) && address.includes(':')) {
+    const [head, tail] = address.split('::');
+    const headParts = head ? head.split(':') : [];
+    const tailParts = tail !== undefined && tail ? tail.split(':') : [];
+    const missing = 8 - headParts.length - tailParts.length;
+    if (missing < 0 || (tail === undefined && missing !== 0)) {
+      return null;
+    }
+    const parts = [...headParts, ...new Array(missing).fill('0'), ...tailParts];
+    bits = 128;
+    number = parts.reduce((acc, part) => (acc << 16n) + BigInt(parseInt(part || '0', 16)), 0n);
+  } else {
+    return null;
+  }
+
+  const length = prefix === undefined ? bits : Number(prefix);
+  if (!Number.isInteger(length) || length < 0 || length > bits) {
+    return null;
+  }
+  const hostBits = BigInt(bits - length);
+  const start = (number >> hostBits) << hostBits;
+  return { start, end: start + (1n << hostBits) - 1n };
+}
+
+/**
+ * Convertit une liste de ports iptables en intervalles
+ *
+ * @param {string} value - Ports (ex: '22', '80:90', '22,1024:')
+ * @returns {Array<{start: number, end: number}>|null} Intervalles, null si non reconnue
+ */
+function portRanges(value) {
+  const ranges = [];
+  for (const part of String(value).split(',')) {
+    const match = part.match(/^(\d*)(?::(\d*))?$/);
+    if (!match || (match[1] === '' && match[2] === undefined)) {
+      return null;
+    }
+    const start = match[1] === '' ? 0 : Number(match[1]);
+    const end = match[2] === undefined ? start : (match[2] === '' ? 65535 : Number(match[2]));
+    ranges.push({ start: Math.min(start, end), end: Math.max(start, end) });
+  }
+  return ranges;
+}
+
+/**
+ * Indique si chaque intervalle de inner est couvert par les intervalles de outer
+ *
+ * @param {Array<{start, end}>} outer - Intervalles englobants
+ * @param {Array<{start, end}>} inner - Intervalles à couvrir
+ * @returns {boolean} true si inner ⊆ outer
+ */
+function rangesContain(outer, inner) {
+  const merged = [...outer].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0))
+    .reduce((acc, range) => {
+      const last = acc[acc.length - 1];
+      if (last && range.start <= last.end + (typeof last.end === 'bigint' ? 1n : 1)) {
+        if (range.end > last.end) last.end = range.end;
+      } else {
+        acc.push({ ...range });
+      }
+      return acc;
+    }, []);
+  return inner.every(range => merged.some(m => m.start <= range.start && range.end <= m.end));
+}
+
+/**
+ * Indique si deux listes d'intervalles n'ont aucune valeur commune
+ *
+ * @param {Array<{start, end}>} a - Premiers intervalles
+ * @param {Array<{start, end}>} b - Seconds intervalles
+ * @returns {boolean} true si a ∩ b = ∅
+ */
+function rangesDisjoint(a, b) {
+  return a.every(x => b.every(y => x.end < y.start || y.end < x.start));
+}
+
+// ============================================================================
+// COMPARAISON DES CORRESPONDANCES
+// ============================================================================
+
+/**
+ * Extrait d'une règle parsée les correspondances comparées par l'analyse
+ *
+ * @param {Object} parsed - Règle parsée { options, matches, target }
+ * @returns {Object} { source, destination, inInterface, outInterface, protocol,
+ *   sport, dport, states, others: Set<string>, stateful: boolean }
+ *   (chaque correspondance: { value, negated }, absente si non contrainte)
+ */
+function criteria(parsed) {
+  const result = { others: new Set(), stateful: false };
+  const other = (module, option) => {
+    const negation = option.negated ? '! ' : '';
+    result.others.add(`${module} ${negation}${option.option} ${option.values.join(' ')}`);
+  };
+
+  for (const option of parsed.options) {
+    const key = ADDRESS_OPTIONS[option.option] || INTERFACE_OPTIONS[option.option] ||
+      (['-p', '--protocol'].includes(option.option) ? 'protocol' : null);
+    if (key === 'protocol' && option.values[0] === 'all' && !option.negated) {
+      continue;  // "-p all" ne contraint rien
+    }
+    if (key) {
+      result[key] = { value: option.values[0], negated: option.negated };
+    } else {
+      other('', option);
+    }
+  }
+
+  for (const match of parsed.matches) {
+    if (NEUTRAL_MODULES.has(match.module)) continue;
+    if (STATEFUL_MODULES.has(match.module)) result.stateful = true;
+    for (const option of match.options) {
+      const portKey = ['tcp', 'udp', 'sctp', 'dccp', 'multiport'].includes(match.module) && PORT_OPTIONS[option.option];
+      if (portKey && !result[portKey]) {
+        result[portKey] = { value: option.values[0], negated: option.negated };
+      } else if (STATE_OPTIONS[match.module] === option.option && !result.states) {
+        result.states = { value: option.values[0], negated: option.negated };
+      } else {
+        other(match.module, option);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Compare une correspondance de deux règles, négations comprises
+ *
+ * @param {Object} [outer] - Correspondance de la règle englobante
+ * @param {Object} [inner] - Correspondance de la règle couverte
+ * @param {Function} toSet - Convertit une valeur en ensemble (null si non reconnue)
+ * @param {Function} contains - (a, b) => true si a ⊇ b
+ * @param {Function} disjoint - (a, b) => true si a ∩ b = ∅
+ * @returns {boolean} true si tout ce qui satisfait inner satisfait outer
+ */
+function matchContains(outer, inner, toSet, contains, disjoint) {
+  if (!outer) return true;
+  if (!inner) return false;
+  if (outer.value === inner.value && outer.negated === inner.negated) return true;
+
+  const a = toSet(outer.value);
+  const b = toSet(inner.value);
+  if (!a || !b) return false;
+  if (!outer.negated && !inner.negated) return contains(a, b);
+  if (outer.negated && inner.negated) return contains(b, a);
+  if (outer.negated) return disjoint(a, b);
+  return false;
+}
+
+const addressSet = value => {
+  const range = addressRange(value);
+  return range && [range];
+};
+const stateSet = value => new Set(String(value).split(','));
+const setContains = (a, b) => [...b].every(v => a.has(v));
+const setDisjoint = (a, b) => [...b].every(v => !a.has(v));
+const same = value => value;
+const protocolDisjoint = (a, b) => a !== b;
+
+/**
+ * Indique si deux interfaces désignent la même interface, '+' servant de joker
+ *
+ * @param {string} outer - Interface de la règle englobante (ex: 'eth+')
+ * @param {string} inner - Interface de la règle couverte (ex: 'eth0')
+ * @returns {boolean} true si inner est couverte par outer
+ */
+function interfaceContains(outer, inner) {
+  return outer === inner || (outer.endsWith('+') && inner.startsWith(outer.slice(0, -1)));
+}
+
+/**
+ * Indique si deux interfaces n'ont aucun nom commun
+ *
+ * @param {string} a - Première interface
+ * @param {string} b - Seconde interface
+ * @returns {boolean} true si aucune interface ne correspond aux deux
+ */
+function interfaceDisjoint(a, b) {
+  const prefix = value => (value.endsWith('+') ? value.slice(0, -1) : null);
+  const pa = prefix(a);
+  const pb = prefix(b);
+  if (pa !== null && pb !== null) return !pa.startsWith(pb) && !pb.startsWith(pa);
+  return !interfaceContains(a, b) && !interfaceContains(b, a);
+}
+
+/**
+ * Indique si tout paquet correspondant à inner correspond aussi à outer
+ *
+ * @param {Object} outer - Critères de la règle précédente (voir criteria)
+ * @param {Object} inner - Critères de la règle suivante
+ * @returns {boolean} true si outer ⊇ inner (prouvé)
+ */
+function covers(outer, inner) {
+  if (outer.stateful) return false;
+
+  for (const key of ['source', 'destination']) {
+    if (!matchContains(outer[key], inner[key], addressSet, rangesContain, rangesDisjoint)) return false;
+  }
+  for (const key of ['inInterface', 'outInterface']) {
+    if (!matchContains(outer[key], inner[key], same, interfaceContains, interfaceDisjoint)) return false;
+  }
+  if (!matchContains(outer.protocol, inner.protocol, same, () => false, protocolDisjoint)) return false;
+  for (const key of ['sport', 'dport']) {
+    if (!matchContains(outer[key], inner[key], portRanges, rangesContain, rangesDisjoint)) return false;
+  }
+  if (!matchContains(outer.states, inner.states, stateSet, setContains, setDisjoint)) return false;
+
+  return [...outer.others].every(option => inner.others.has(option));
+}
+
+// ============================================================================
+// ANALYSE
+// ============================================================================
+
+/**
+ * Analyse les règles d'une chaîne
+ *
+ * @param {string} table - Nom de la table
+ * @param {Object} chain - Chaîne { chain, policy, rules } (format parseIptablesSave)
+ * @returns {Array<Object>} Constats de la chaîne
+ */
+function analyzeChain(table, chain) {
+  const findings = [];
+  const terminal = TERMINAL_TARGETS[table] || TERMINAL_TARGETS.filter;
+  const rules = chain.rules.map((rule, index) => ({
+    position: index + 1,
+    content: rule.parsed ? serializeRule(rule.parsed) : rule.content.trim(),
+    target: rule.parsed && rule.parsed.target ? rule.parsed.target.name : null,
+    goto: Boolean(rule.parsed && rule.parsed.target && rule.parsed.target.goto),
+    criteria: rule.parsed ? criteria(rule.parsed) : null
+  }));
+  const flagged = new Set();
+
+  const finding = (type, rule, by, message) => {
+    flagged.add(rule.position);
+    findings.push({
+      type,
+      table,
+      chain: chain.chain,
+      position: rule.position,
+      rule: rule.content,
+      by: by ? { position: by.position, rule: by.content } : null,
+      message
+    });
+  };
+
+  rules.forEach((rule, index) => {
+    const earlier = rules.slice(0, index);
+    const duplicate = earlier.find(r => r.content === rule.content);
+    if (duplicate) {
+      finding('duplicate', rule, duplicate,
+        `Règle ${rule.position} identique à la règle ${duplicate.position} (${duplicate.content})`);
+      return;
+    }
+    if (!rule.criteria) return;
+
+    const shadow = earlier.find(r => r.criteria && !r.goto && terminal.includes(r.target) &&
+      covers(r.criteria, rule.criteria));
+    if (shadow) {
+      const effect = shadow.target === rule.target
+        ? `applique déjà ${shadow.target} à tout son trafic`
+        : `capture déjà tout son trafic avec ${shadow.target}`;
+      finding('shadowed', rule, shadow,
+        `Règle ${rule.position} jamais atteinte : la règle ${shadow.position} (${shadow.content}) ${effect}`);
+    }
+  });
+
+  // Règles finales qui répètent la politique de la chaîne intégrée
+  if (['ACCEPT', 'DROP'].includes(chain.policy)) {
+    for (let i = rules.length - 1; i >= 0 && rules[i].target === chain.policy && !rules[i].goto; i--) {
+      if (!flagged.has(rules[i].position)) {
+        finding('policy', rules[i], null,
+          `Règle ${rules[i].position} redondante : la politique de ${chain.chain} applique déjà ${chain.policy} ` +
+          'aux paquets qui atteignent la fin de la chaîne');
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Recherche les chaînes utilisateur d'une table jamais appelées
+ *
+ * Une chaîne est accessible si une chaîne intégrée, ou une chaîne elle-même
+ * accessible, y saute (-j ou -g).
+ *
+ * @param {string} table - Nom de la table
+ * @param {Array<Object>} chains - Chaînes de la table (format parseIptablesSave)
+ * @returns {Array<Object>} Constats 'unreachable'
+ */
+function findUnreachableChains(table, chains) {
+  const names = new Set(chains.map(c => c.chain));
+  const callers = new Map();
+  for (const chain of chains) {
+    for (const rule of chain.rules) {
+      const target = rule.parsed && rule.parsed.target && rule.parsed.target.name;
+      if (target && names.has(target)) {
+        if (!callers.has(target)) callers.set(target, new Set());
+        callers.get(target).add(chain.chain);
+      }
+    }
+  }
+
+  const reachable = new Set(chains.filter(c => c.policy !== '-').map(c => c.chain));
+  const queue = [...reachable];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const [target, from] of callers) {
+      if (from.has(current) && !reachable.has(target)) {
+        reachable.add(target);
+        queue.push(target);
+      }
+    }
+  }
+
+  return chains
+    .filter(c => !reachable.has(c.chain))
+    .map(c => {
+      const from = [...(callers.get(c.chain) || [])];
+      return {
+        type: 'unreachable',
+        table,
+        chain: c.chain,
+        position: null,
+        rule: null,
+        by: null,
+        message: from.length === 0
+          ? `Chaîne ${c.chain} jamais appelée : aucune règle n'y saute`
+          : `Chaîne ${c.chain} jamais atteinte : elle n'est appelée que depuis des chaînes inaccessibles (${from.join(', ')})`
+      };
+    });
+}
+
+/**
+ * Analyse une configuration complète
+ *
+ * @param {Object} tables - Configuration issue de parseIptablesSave
+ * @returns {Object} { summary: { duplicate, shadowed, policy, unreachable }, findings: Array }
+ *   Chaque constat: { type, table, chain, position, rule, by: { position, rule }|null, message }
+ */
+function analyzeRuleset(tables) {
+  const findings = [];
+  for (const [table, chains] of Object.entries(tables)) {
+    for (const chain of chains) {
+      findings.push(...analyzeChain(table, chain));
+    }
+    findings.push(...findUnreachableChains(table, chains));
+  }
+
+  const summary = { duplicate: 0, shadowed: 0, policy: 0, unreachable: 0 };
+  findings.forEach(f => { summary[f.type]++; });
+  return { summary, findings };
+}
+
+module.exports = {
+  analyzeRuleset,
+  covers,
+  criteria,
+  addressRange,
+  portRanges,
+  interfaceContains
+};
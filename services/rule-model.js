@@ -0,0 +1,660 @@
+/**
+ * Modèle de règle iptables structuré
+ *
+ * Ce module convertit une règle décrite en JSON (chaîne, protocole, adresses,
+ * ports, modules de correspondance, cible et options de cible) en un vecteur
+ * d'arguments iptables sûr. Chaque option est validée contre une liste blanche :
+ * tout ce qui ne peut pas être représenté est rejeté au lieu d'être transmis
+ * tel quel au shell distant.
+ *
+ * Format d'une règle structurée:
+ * {
+ *   table: 'nat',
+ *   chain: 'PREROUTING',
+ *   protocol: 'tcp',
+ *   source: '10.0.0.0/8',            // préfixe '!' pour une négation
+ *   destination: '93.93.42.223',
+ *   inInterface: 'eth0',
+ *   outInterface: null,
+ *   sourcePort: null,
+ *   destPort: '8080',                // port ou plage '1000:2000'
+ *   matches: [{ module: 'conntrack', options: { ctstate: 'NEW' } }],
+ *   target: 'DNAT',
+ *   targetOptions: { 'to-destination': '192.168.1.10:80' }
+ * }
+ *
+ * Une même règle peut viser IPv4 (iptables) ou IPv6 (ip6tables) : la famille
+ * est passée à la validation et change le format attendu des adresses, des
+ * destinations NAT ('[2001:db8::10]:80') et des modules ICMP.
+ *
+ * Une règle existante est identifiée par son empreinte (ruleFingerprint),
+ * calculée sur sa spécification iptables-save normalisée : elle ne dépend pas
+ * de la position de la règle dans la chaîne.
+ *
+ * @module services/rule-model
+ * @requires net
+ * @requires crypto
+ */
+
+const net = require('net');
+const crypto = require('crypto');
+
+// ============================================================================
+// VALIDATEURS DE VALEURS
+// ============================================================================
+
+const IPV4_OCTET = '(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)';
+const IPV4 = `${IPV4_OCTET}(?:\\.${IPV4_OCTET}){3}`;
+const PORT = '(?:6553[0-5]|655[0-2]\\d|65[0-4]\\d\\d|6[0-4]\\d{3}|[1-5]\\d{4}|[1-9]\\d{0,3}|0)';
+const PORT_RANGE = new RegExp(`^${PORT}(?:-${PORT})?$`);
+
+/**
+ * Vérifie une adresse IPv6 avec un éventuel préfixe (ex: 2001:db8::/32)
+ *
+ * Les adresses IPv6 sont validées par le module net plutôt que par une
+ * expression régulière (formes abrégées, IPv4 embarquée...).
+ *
+ * @param {string} value - Valeur à vérifier
+ * @returns {boolean} true si la valeur est une adresse ou un réseau IPv6
+ */
+function isIPv6Address(value) {
+  const [address, prefix, ...rest] = value.split('/');
+  if (rest.length > 0 || !net.isIPv6(address)) {
+    return false;
+  }
+  return prefix === undefined || /^(?:12[0-8]|1[01]\d|[1-9]?\d)$/.test(prefix);
+}
+
+/**
+ * Vérifie une destination NAT IPv6: adresse ou plage, entre crochets si un port suit
+ * (ex: 2001:db8::10, [2001:db8::10]:80, [2001:db8::10-2001:db8::20]:8000-8010)
+ *
+ * @param {string} value - Valeur à vérifier
+ * @returns {boolean} true si la valeur est acceptée par ip6tables
+ */
+function isIPv6NatAddress(value) {
+  const bracketed = value.match(/^\[([^\]]+)\](?::(.+))?$/);
+  const range = bracketed ? bracketed[1] : value;
+  if (bracketed && bracketed[2] !== undefined && !PORT_RANGE.test(bracketed[2])) {
+    return false;
+  }
+  const addresses = range.split('-');
+  return addresses.length <= 2 && addresses.every(a => net.isIPv6(a));
+}
+
+/**
+ * Expressions régulières utilisées pour valider chaque type de valeur
+ * Toutes sont ancrées : une valeur ne peut jamais contenir d'espace ni de
+ * caractère interprété par le shell, sauf pour les commentaires (quotés).
+ */
+const PATTERNS = {
+  address: new RegExp(`^${IPV4}(?:/(?:3[0-2]|[12]?\\d|${IPV4}))?$`),
+  ipv4: new RegExp(`^${IPV4}$`),
+  ipRange: new RegExp(`^${IPV4}-${IPV4}$`),
+  port: new RegExp(`^${PORT}$`),
+  portRange: new RegExp(`^${PORT}(?::${PORT})?$`),
+  toPorts: PORT_RANGE,
+  portList: new RegExp(`^${PORT}(?::${PORT})?(?:,${PORT}(?::${PORT})?){0,14}$`),
+  natAddress: new RegExp(`^${IPV4}(?:-${IPV4})?(?::${PORT}(?:-${PORT})?)?$`),
+  ipv6: { test: value => net.isIPv6(value) },
+  address6: { test: isIPv6Address },
+  ipRange6: { test: value => value.split('-').length === 2 && value.split('-').every(a => net.isIPv6(a)) },
+  natAddress6: { test: isIPv6NatAddress },
+  interface: /^[A-Za-z0-9_.@-]{1,15}\+?$/,
+  chain: /^[A-Za-z0-9_.-]{1,28}$/,
+  protocol: /^(?:tcp|udp|udplite|icmp|icmpv6|esp|ah|sctp|gre|all|\d{1,3})$/,
+  states: /^(?:INVALID|NEW|ESTABLISHED|RELATED|UNTRACKED|SNAT|DNAT)(?:,(?:INVALID|NEW|ESTABLISHED|RELATED|UNTRACKED|SNAT|DNAT))*$/,
+  tcpFlags: /^(?:SYN|ACK|FIN|RST|URG|PSH|ALL|NONE)(?:,(?:SYN|ACK|FIN|RST|URG|PSH|ALL|NONE))* (?:SYN|ACK|FIN|RST|URG|PSH|ALL|NONE)(?:,(?:SYN|ACK|FIN|RST|URG|PSH|ALL|NONE))*$/,
+  rate: /^\d{1,6}\/(?:sec|second|min|minute|hour|day|s|m|h|d)$/,
+  integer: /^\d{1,10}$/,
+  mark: /^(?:0x[0-9a-fA-F]{1,8}|\d{1,10})(?:\/(?:0x[0-9a-fA-F]{1,8}|\d{1,10}))?$/,
+  mac: /^[0-9A-Fa-f]{2}(?::[0-9A-Fa-f]{2}){5}$/,
+  owner: /^[A-Za-z0-9_.-]{1,32}$/,
+  icmpType: /^(?:[a-z-]{1,32}|\d{1,3}(?:\/\d{1,3})?)$/,
+  rejectWith: /^(?:icmp-net-unreachable|icmp-host-unreachable|icmp-port-unreachable|icmp-proto-unreachable|icmp-net-prohibited|icmp-host-prohibited|icmp-admin-prohibited|tcp-reset)$/,
+  rejectWith6: /^(?:icmp6-no-route|no-route|icmp6-adm-prohibited|adm-prohibited|icmp6-addr-unreachable|addr-unreach|icmp6-port-unreachable|port-unreach|tcp-reset)$/,
+  logLevel: /^(?:[0-7]|emerg|alert|crit|error|warning|notice|info|debug)$/,
+  logPrefix: /^[A-Za-z0-9 _.:=\[\]-]{1,29}$/,
+  comment: /^[^\x00-\x1f\x7f'"`\\$]{1,256}$/,
+  setMatch: /^[A-Za-z0-9_.-]{1,31} (?:src|dst)(?:,(?:src|dst)){0,5}$/,
+  flag: null  // Option sans valeur (ex: --syn)
+};
+
+// ============================================================================
+// LISTES BLANCHES
+// ============================================================================
+
+/**
+ * Modules de correspondance (-m) autorisés et leurs options
+ * Chaque option est associée au type de valeur attendu (clé de PATTERNS).
+ */
+const MATCH_MODULES = {
+  tcp: { sport: 'portRange', dport: 'portRange', 'tcp-flags': 'tcpFlags', syn: 'flag' },
+  udp: { sport: 'portRange', dport: 'portRange' },
+  icmp: { 'icmp-type': 'icmpType' },
+  icmp6: { 'icmpv6-type': 'icmpType' },
+  multiport: { sports: 'portList', dports: 'portList', ports: 'portList' },
+  conntrack: { ctstate: 'states' },
+  state: { state: 'states' },
+  limit: { limit: 'rate', 'limit-burst': 'integer' },
+  iprange: { 'src-range': 'ipRange', 'dst-range': 'ipRange' },
+  mac: { 'mac-source': 'mac' },
+  owner: { 'uid-owner': 'owner', 'gid-owner': 'owner' },
+  set: { 'match-set': 'setMatch' },
+  comment: { comment: 'comment' },
+  mark: { mark: 'mark' }
+};
+
+/**
+ * Cibles (-j) autorisées et leurs options
+ * Les chaînes utilisateur sont acceptées comme cible mais sans option.
+ */
+const TARGETS = {
+  ACCEPT: {},
+  DROP: {},
+  RETURN: {},
+  REJECT: { 'reject-with': 'rejectWith' },
+  LOG: { 'log-prefix': 'logPrefix', 'log-level': 'logLevel' },
+  DNAT: { 'to-destination': 'natAddress' },
+  SNAT: { 'to-source': 'natAddress' },
+  MASQUERADE: { 'to-ports': 'toPorts' },
+  REDIRECT: { 'to-ports': 'toPorts' },
+  MARK: { 'set-mark': 'mark' }
+};
+
+/**
+ * Types de valeurs qui correspondent à deux arguments iptables distincts
+ * (ex: --tcp-flags SYN,ACK SYN, --match-set nom src)
+ */
+const MULTI_ARG_TYPES = ['tcpFlags', 'setMatch'];
+
+/**
+ * Types de valeurs en texte libre : un '!' en tête fait partie de la valeur
+ * et n'est jamais lu comme une négation (ex: --comment "!important")
+ */
+const FREE_TEXT_TYPES = ['comment'];
+
+/**
+ * Tables iptables connues
+ */
+const TABLES = ['filter', 'nat', 'raw', 'mangle'];
+
+/**
+ * Chaînes intégrées de chaque table (elles ont une politique et ne peuvent
+ * être ni créées, ni renommées, ni supprimées)
+ */
+const BUILTIN_CHAINS = {
+  filter: ['INPUT', 'FORWARD', 'OUTPUT'],
+  nat: ['PREROUTING', 'INPUT', 'OUTPUT', 'POSTROUTING'],
+  raw: ['PREROUTING', 'OUTPUT'],
+  mangle: ['PREROUTING', 'INPUT', 'FORWARD', 'OUTPUT', 'POSTROUTING']
+};
+
+/**
+ * Politiques par défaut autorisées pour les chaînes intégrées
+ */
+const POLICIES = ['ACCEPT', 'DROP'];
+
+/**
+ * Familles d'adresses gérées et commandes correspondantes sur le serveur distant
+ */
+const FAMILIES = {
+  ipv4: {
+    command: 'iptables',
+    save: 'iptables-save',
+    restore: 'iptables-restore',
+    rulesFile: '/etc/iptables/rules.v4'
+  },
+  ipv6: {
+    command: 'ip6tables',
+    save: 'ip6tables-save',
+    restore: 'ip6tables-restore',
+    rulesFile: '/etc/iptables/rules.v6'
+  }
+};
+
+/**
+ * Types de valeurs remplacés pour IPv6 (clés de PATTERNS)
+ */
+const IPV6_TYPES = {
+  address: 'address6',
+  ipRange: 'ipRange6',
+  natAddress: 'natAddress6',
+  rejectWith: 'rejectWith6'
+};
+
+/**
+ * Modules et protocoles propres à une famille
+ */
+const FAMILY_ONLY = {
+  icmp: 'ipv4',
+  icmp6: 'ipv6',
+  icmpv6: 'ipv6'
+};
+
+/**
+ * Champs de premier niveau qui acceptent une négation par préfixe '!'
+ * Associés à l'option iptables correspondante et au type de valeur attendu.
+ */
+const NEGATABLE_FIELDS = {
+  protocol: ['-p', 'protocol'],
+  source: ['-s', 'address'],
+  destination: ['-d', 'address'],
+  inInterface: ['-i', 'interface'],
+  outInterface: ['-o', 'interface']
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Retourne les commandes d'une famille d'adresses
+ *
+ * @param {string} [name='ipv4'] - Famille: 'ipv4' ou 'ipv6'
+ * @returns {Object} { name, command, save, restore, rulesFile }
+ * @throws {Error} Si la famille est inconnue (status 400)
+ */
+function getFamily(name = 'ipv4') {
+  if (!Object.prototype.hasOwnProperty.call(FAMILIES, name)) {
+    const error = new Error(`Famille d'adresses inconnue: ${name} (attendu: ${Object.keys(FAMILIES).join(', ')})`);
+    error.status = 400;
+    throw error;
+  }
+  return { name, ...FAMILIES[name] };
+}
+
+/**
+ * Retourne le type de valeur à utiliser pour une famille
+ *
+ * @param {string} type - Clé de PATTERNS (forme IPv4)
+ * @param {string} family - Famille: 'ipv4' ou 'ipv6'
+ * @returns {string} Clé de PATTERNS à utiliser
+ */
+function typeFor(type, family) {
+  return (family === 'ipv6' && IPV6_TYPES[type]) || type;
+}
+
+/**
+ * Vérifie une valeur contre un type de la liste blanche
+ *
+ * @param {string} type - Clé de PATTERNS
+ * @param {*} value - Valeur à vérifier
+ * @returns {boolean} true si la valeur est acceptable
+ */
+function isValidValue(type, value) {
+  if (type === 'flag') {
+    return value === true;
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return false;
+  }
+  return PATTERNS[type].test(String(value));
+}
+
+/**
+ * Sépare une éventuelle négation ('!' en tête) de sa valeur
+ *
+ * @param {*} value - Valeur brute (ex: '!10.0.0.1')
+ * @returns {{negate: boolean, value: string}} Valeur nettoyée et indicateur de négation
+ */
+function splitNegation(value) {
+  const str = String(value).trim();
+  if (str.startsWith('!')) {
+    return { negate: true, value: str.substring(1).trim() };
+  }
+  return { negate: false, value: str };
+}
+
+/**
+ * Valide une règle structurée
+ *
+ * Vérifie la table, la chaîne, chaque champ de premier niveau, chaque module
+ * de correspondance et la cible. Ne lance pas d'exception : renvoie la liste
+ * des erreurs trouvées pour que l'appelant puisse répondre en 400.
+ *
+ * @param {Object} rule - Règle structurée
+ * @param {string} [family='ipv4'] - Famille d'adresses: 'ipv4' ou 'ipv6'
+ * @returns {{valid: boolean, errors: Array<string>}} Résultat de la validation
+ */
+function validateRule(rule, family = 'ipv4') {
+  const errors = [];
+
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return { valid: false, errors: ['La règle doit être un objet JSON'] };
+  }
+
+  if (rule.table !== undefined && !TABLES.includes(rule.table)) {
+    errors.push(`Table inconnue: ${rule.table}`);
+  }
+  if (!rule.chain || !PATTERNS.chain.test(rule.chain)) {
+    errors.push('Chaîne manquante ou invalide');
+  }
+
+  // Champs de premier niveau (avec négation possible)
+  for (const [field, [, type]] of Object.entries(NEGATABLE_FIELDS)) {
+    if (rule[field] === undefined || rule[field] === null || rule[field] === '') continue;
+    const { value } = splitNegation(rule[field]);
+    if (!isValidValue(typeFor(type, family), value)) {
+      errors.push(`Valeur invalide pour ${field}: ${rule[field]}`);
+    } else if (FAMILY_ONLY[value] && FAMILY_ONLY[value] !== family) {
+      errors.push(`Le protocole ${value} n'est pas disponible en ${family}`);
+    }
+  }
+
+  // Ports de premier niveau : nécessitent tcp, udp ou sctp
+  for (const field of ['sourcePort', 'destPort']) {
+    if (rule[field] === undefined || rule[field] === null || rule[field] === '') continue;
+    const { value } = splitNegation(rule[field]);
+    if (!isValidValue('portRange', value)) {
+      errors.push(`Valeur invalide pour ${field}: ${rule[field]}`);
+    }
+    if (!['tcp', 'udp', 'sctp'].includes(rule.protocol)) {
+      errors.push(`${field} nécessite le protocole tcp, udp ou sctp`);
+    }
+  }
+
+  // Modules de correspondance
+  if (rule.matches !== undefined) {
+    if (!Array.isArray(rule.matches)) {
+      errors.push('matches doit être un tableau');
+    } else {
+      rule.matches.forEach((match, index) => {
+        const spec = match && MATCH_MODULES[match.module];
+        if (!spec) {
+          errors.push(`Module de correspondance non autorisé: ${match && match.module}`);
+          return;
+        }
+        if (FAMILY_ONLY[match.module] && FAMILY_ONLY[match.module] !== family) {
+          errors.push(`Le module ${match.module} n'est pas disponible en ${family}`);
+        }
+        const options = match.options || {};
+        if (Object.keys(options).length === 0) {
+          errors.push(`Le module ${match.module} (position ${index}) n'a aucune option`);
+        }
+        for (const [option, rawValue] of Object.entries(options)) {
+          if (!spec[option]) {
+            errors.push(`Option non autorisée pour ${match.module}: --${option}`);
+            continue;
+          }
+          const literal = spec[option] === 'flag' || FREE_TEXT_TYPES.includes(spec[option]);
+          const value = literal ? rawValue : splitNegation(rawValue).value;
+          if (!isValidValue(typeFor(spec[option], family), value)) {
+            errors.push(`Valeur invalide pour --${option}: ${rawValue}`);
+          }
+        }
+      });
+    }
+  }
+
+  // Cible et options de cible
+  if (!rule.target) {
+    errors.push('Cible (target) manquante');
+  } else if (TARGETS[rule.target]) {
+    const spec = TARGETS[rule.target];
+    for (const [option, value] of Object.entries(rule.targetOptions || {})) {
+      if (!spec[option]) {
+        errors.push(`Option non autorisée pour ${rule.target}: --${option}`);
+      } else if (!isValidValue(typeFor(spec[option], family), value)) {
+        errors.push(`Valeur invalide pour --${option}: ${value}`);
+      }
+    }
+    if (rule.target === 'DNAT' && !(rule.targetOptions || {})['to-destination']) {
+      errors.push('DNAT nécessite --to-destination');
+    }
+    if (rule.target === 'SNAT' && !(rule.targetOptions || {})['to-source']) {
+      errors.push('SNAT nécessite --to-source');
+    }
+  } else if (PATTERNS.chain.test(rule.target)) {
+    // Saut vers une chaîne utilisateur : aucune option acceptée
+    if (rule.targetOptions && Object.keys(rule.targetOptions).length > 0) {
+      errors.push(`Aucune option n'est acceptée pour la chaîne utilisateur ${rule.target}`);
+    }
+  } else {
+    errors.push(`Cible invalide: ${rule.target}`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// ============================================================================
+// CONSTRUCTION DU VECTEUR D'ARGUMENTS
+// ============================================================================
+
+/**
+ * Ajoute une option (éventuellement niée) au vecteur d'arguments
+ *
+ * @param {Array<string>} args - Vecteur d'arguments en construction
+ * @param {string} option - Option iptables (ex: '-s', '--dport')
+ * @param {*} rawValue - Valeur, avec '!' en tête pour une négation
+ * @param {string} type - Type de valeur attendu (clé de PATTERNS)
+ */
+function pushOption(args, option, rawValue, type) {
+  if (type === 'flag') {
+    args.push(option);
+    return;
+  }
+  if (FREE_TEXT_TYPES.includes(type)) {
+    args.push(option, String(rawValue));
+    return;
+  }
+  const { negate, value } = splitNegation(rawValue);
+  if (negate) {
+    args.push('!');
+  }
+  // Certaines options prennent deux arguments séparés par un espace (ex: --tcp-flags)
+  if (MULTI_ARG_TYPES.includes(type)) {
+    args.push(option, ...value.split(' '));
+  } else {
+    args.push(option, value);
+  }
+}
+
+/**
+ * Convertit une règle structurée en spécification iptables
+ *
+ * La spécification ne contient ni la table ni l'action (-A, -D...) : elle décrit
+ * uniquement la correspondance et la cible, dans l'ordre utilisé par iptables-save.
+ *
+ * @param {Object} rule - Règle structurée
+ * @param {string} [family='ipv4'] - Famille d'adresses: 'ipv4' ou 'ipv6'
+ * @returns {Array<string>} Arguments de la spécification (ex: ['-p', 'tcp', '-j', 'ACCEPT'])
+ * @throws {Error} Si la règle est invalide (propriété errors renseignée)
+ */
+function buildRuleSpec(rule, family = 'ipv4') {
+  const { valid, errors } = validateRule(rule, family);
+  if (!valid) {
+    const error = new Error(`Règle invalide: ${errors.join('; ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  const args = [];
+
+  for (const field of ['source', 'destination', 'inInterface', 'outInterface', 'protocol']) {
+    if (rule[field] === undefined || rule[field] === null || rule[field] === '') continue;
+    const [option, type] = NEGATABLE_FIELDS[field];
+    pushOption(args, option, rule[field], type);
+  }
+
+  // Les ports de premier niveau passent par le module du protocole (-m tcp --dport 80)
+  const hasPorts = ['sourcePort', 'destPort'].some(f => rule[f] !== undefined && rule[f] !== null && rule[f] !== '');
+  if (hasPorts) {
+    args.push('-m', rule.protocol);
+    if (rule.sourcePort) pushOption(args, '--sport', rule.sourcePort, 'portRange');
+    if (rule.destPort) pushOption(args, '--dport', rule.destPort, 'portRange');
+  }
+
+  for (const match of rule.matches || []) {
+    const spec = MATCH_MODULES[match.module];
+    args.push('-m', match.module);
+    for (const [option, value] of Object.entries(match.options)) {
+      pushOption(args, `--${option}`, value, spec[option]);
+    }
+  }
+
+  args.push('-j', rule.target);
+  const targetSpec = TARGETS[rule.target] || {};
+  for (const [option, value] of Object.entries(rule.targetOptions || {})) {
+    pushOption(args, `--${option}`, String(value), targetSpec[option]);
+  }
+
+  return args;
+}
+
+/**
+ * Construit le vecteur d'arguments complet d'une commande de règle
+ *
+ * @param {Object} rule - Règle structurée
+ * @param {Array<string>} operation - Opération et position (ex: ['-A'], ['-I', '3'])
+ * @param {string} family - Famille d'adresses: 'ipv4' ou 'ipv6'
+ * @returns {Array<string>} Arguments iptables
+ */
+function buildCommandArgs(rule, operation, family) {
+  const table = rule.table || 'filter';
+  const tableArgs = table !== 'filter' ? ['-t', table] : [];
+  const [option, ...position] = operation;
+  return [...tableArgs, option, rule.chain, ...position, ...buildRuleSpec(rule, family)];
+}
+
+/**
+ * Construit le vecteur d'arguments complet pour ajouter une règle
+ *
+ * @param {Object} rule - Règle structurée
+ * @param {string} [family='ipv4'] - Famille d'adresses: 'ipv4' ou 'ipv6'
+ * @returns {Array<string>} Arguments iptables (ex: ['-t', 'nat', '-A', 'PREROUTING', ...])
+ * @throws {Error} Si la règle est invalide
+ */
+function buildAppendArgs(rule, family = 'ipv4') {
+  return buildCommandArgs(rule, ['-A'], family);
+}
+
+/**
+ * Construit le vecteur d'arguments complet pour insérer une règle à une position
+ *
+ * @param {Object} rule - Règle structurée
+ * @param {number} position - Position de la nouvelle règle dans la chaîne (commence à 1)
+ * @param {string} [family='ipv4'] - Famille d'adresses: 'ipv4' ou 'ipv6'
+ * @returns {Array<string>} Arguments iptables (ex: ['-I', 'INPUT', '2', ...])
+ */
+function buildInsertArgs(rule, position, family = 'ipv4') {
+  return buildCommandArgs(rule, ['-I', String(position)], family);
+}
+
+/**
+ * Construit le vecteur d'arguments complet pour remplacer la règle d'une position
+ *
+ * @param {Object} rule - Règle structurée
+ * @param {number} position - Position de la règle remplacée (commence à 1)
+ * @param {string} [family='ipv4'] - Famille d'adresses: 'ipv4' ou 'ipv6'
+ * @returns {Array<string>} Arguments iptables (ex: ['-R', 'INPUT', '2', ...])
+ */
+function buildReplaceArgs(rule, position, family = 'ipv4') {
+  return buildCommandArgs(rule, ['-R', String(position)], family);
+}
+
+// ============================================================================
+// IDENTITÉ DES RÈGLES
+// ============================================================================
+
+/**
+ * Calcule l'empreinte d'une règle existante
+ *
+ * La spécification est celle d'iptables-save (ou iptables -S) sans "-A chaîne",
+ * les espaces étant normalisés. Deux règles identiques ont la même empreinte.
+ *
+ * @param {string} spec - Spécification de la règle (ex: '-p tcp -m tcp --dport 22 -j ACCEPT')
+ * @returns {string} Empreinte hexadécimale (16 caractères)
+ */
+function ruleFingerprint(spec) {
+  const normalized = String(spec).trim().replace(/\s+/g, ' ');
+  return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 16);
+}
+
+/**
+ * Calcule l'empreinte d'un jeu de règles complet (iptables-save ou nft list ruleset)
+ *
+ * Les commentaires (date de génération) et les compteurs sont ignorés : deux
+ * lectures d'une configuration inchangée ont la même empreinte.
+ *
+ * @param {string} ruleset - Texte du jeu de règles
+ * @returns {string} Empreinte hexadécimale (16 caractères)
+ */
+function rulesetFingerprint(ruleset) {
+  const normalized = String(ruleset)
+    .split('\n')
+    .filter(line => !line.trim().startsWith('#'))
+    .map(line => line
+      .replace(/\[\d+:\d+\]/g, '')
+      .replace(/\bcounter packets \d+ bytes \d+/g, 'counter')
+      .trim()
+      .replace(/\s+/g, ' '))
+    .filter(Boolean)
+    .join('\n');
+  return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 16);
+}
+
+// ============================================================================
+// ÉCHAPPEMENT SHELL
+// ============================================================================
+
+/**
+ * Échappe un argument pour le shell distant
+ *
+ * Les arguments composés uniquement de caractères sûrs sont laissés tels quels
+ * (lisibilité des commandes dans les logs), les autres sont entourés d'apostrophes.
+ *
+ * @param {string} arg - Argument à échapper
+ * @returns {string} Argument utilisable tel quel dans une commande shell
+ */
+function shellQuote(arg) {
+  const str = String(arg);
+  if (str === '!' || /^[A-Za-z0-9_\-.,:/@%+=]+$/.test(str)) {
+    return str;
+  }
+  return `'${str.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+/**
+ * Assemble une commande shell à partir d'un vecteur d'arguments
+ *
+ * @param {Array<string>} args - Arguments (le premier est l'exécutable)
+ * @returns {string} Commande dont chaque argument est échappé
+ */
+function toCommand(args) {
+  return args.map(shellQuote).join(' ');
+}
+
+/**
+ * Assemble une ligne au format iptables-save / iptables-restore
+ *
+ * iptables-restore ne passe pas par un shell : seuls les arguments contenant
+ * un espace doivent être entourés de guillemets doubles.
+ *
+ * @param {Array<string>} args - Arguments (ex: ['-A', 'INPUT', '-j', 'ACCEPT'])
+ * @returns {string} Ligne utilisable dans un fichier iptables-restore
+ */
+function toRestoreLine(args) {
+  return args.map(arg => (/\s/.test(arg) ? `"${arg}"` : arg)).join(' ');
+}
+
+module.exports = {
+  TABLES,
+  BUILTIN_CHAINS,
+  POLICIES,
+  FAMILIES,
+  MATCH_MODULES,
+  TARGETS,
+  PATTERNS,
+  getFamily,
+  validateRule,
+  buildRuleSpec,
+  buildAppendArgs,
+  buildInsertArgs,
+  buildReplaceArgs,
+  ruleFingerprint,
+  rulesetFingerprint,
+  shellQuote,
+  toCommand,
+  toRestoreLine
+};
@@ -0,0 +1,188 @@
+/**
+ * Comparaison de deux jeux de règles iptables
+ *
+ * Compare deux configurations issues de parseIptablesSave, table par table et
+ * chaîne par chaîne, et décrit ce qui les sépare : règles ajoutées, supprimées,
+ * déplacées, changements de politique et chaînes ajoutées ou supprimées.
+ *
+ * Le sens de la comparaison est toujours "de from vers to" : une règle "added"
+ * est présente dans to mais pas dans from.
+ *
+ * @module services/ruleset-diff
+ */
+
+/**
+ * Normalise le contenu d'une règle pour la comparaison
+ *
+ * @param {Object} rule - Règle issue de parseIptablesSave ({ raw, content, parsed })
+ * @returns {string} Contenu sans espaces superflus
+ */
+function normalizeRule(rule) {
+  return rule.content.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Calcule la plus longue sous-séquence commune de deux listes de chaînes
+ *
+ * Les règles qui font partie de cette sous-séquence n'ont pas bougé l'une par
+ * rapport à l'autre ; les autres ont été ajoutées, supprimées ou déplacées.
+ *
+ * @param {Array<string>} a - Première liste
+ * @param {Array<string>} b - Seconde liste
+ * @returns {{inA: Set<number>, inB: Set<number>}} Index (dans a et dans b) des éléments communs
+ */
+function longestCommonSubsequence(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const lengths = new Array(rows);
+  for (let i = 0; i < rows; i++) {
+    lengths[i] = new Uint32Array(cols);
+  }
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const inA = new Set();
+  const inB = new Set();
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      inA.add(i++);
+      inB.add(j++);
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return { inA, inB };
+}
+
+/**
+ * Compare les règles de deux versions d'une même chaîne
+ *
+ * @param {Array<Object>} fromRules - Règles de la première version
+ * @param {Array<Object>} toRules - Règles de la seconde version
+ * @returns {{added: Array, removed: Array, moved: Array}} Différences (positions à partir de 1)
+ */
+function diffChainRules(fromRules, toRules) {
+  const a = fromRules.map(normalizeRule);
+  const b = toRules.map(normalizeRule);
+  const { inA, inB } = longestCommonSubsequence(a, b);
+
+  // Règles hors sous-séquence commune, indexées par contenu
+  const onlyFrom = new Map();
+  a.forEach((content, index) => {
+    if (inA.has(index)) return;
+    if (!onlyFrom.has(content)) onlyFrom.set(content, []);
+    onlyFrom.get(content).push(index);
+  });
+
+  const added = [];
+  const moved = [];
+  b.forEach((content, index) => {
+    if (inB.has(index)) return;
+    const candidates = onlyFrom.get(content);
+    if (candidates && candidates.length > 0) {
+      // Même règle présente des deux côtés, mais à une autre place relative
+      const fromIndex = candidates.shift();
+      moved.push({ rule: content, from: fromIndex + 1, to: index + 1 });
+    } else {
+      added.push({ position: index + 1, rule: content });
+    }
+  });
+
+  const removed = [];
+  for (const [content, indexes] of onlyFrom) {
+    for (const index of indexes) {
+      removed.push({ position: index + 1, rule: content });
+    }
+  }
+  removed.sort((x, y) => x.position - y.position);
+
+  return { added, removed, moved };
+}
+
+/**
+ * Compare deux configurations iptables complètes
+ *
+ * @param {Object} from - Configuration de départ (format parseIptablesSave)
+ * @param {Object} to - Configuration d'arrivée (format parseIptablesSave)
+ * @returns {Object} Différences:
+ *   {
+ *     identical: boolean,
+ *     summary: { added, removed, moved, policyChanges, chainsAdded, chainsRemoved },
+ *     tables: { filter: { INPUT: { status, policy, added, removed, moved } } }
+ *   }
+ *   Seules les tables et chaînes qui diffèrent sont présentes.
+ *   status: 'added' | 'removed' | 'modified'
+ */
+function diffRulesets(from, to) {
+  const summary = { added: 0, removed: 0, moved: 0, policyChanges: 0, chainsAdded: 0, chainsRemoved: 0 };
+  const tables = {};
+
+  const tableNames = new Set([...Object.keys(from || {}), ...Object.keys(to || {})]);
+
+  for (const table of tableNames) {
+    const fromChains = new Map(((from || {})[table] || []).map(c => [c.chain, c]));
+    const toChains = new Map(((to || {})[table] || []).map(c => [c.chain, c]));
+    const chainNames = new Set([...fromChains.keys(), ...toChains.keys()]);
+    const chains = {};
+
+    for (const chain of chainNames) {
+      const fromChain = fromChains.get(chain);
+      const toChain = toChains.get(chain);
+      const { added, removed, moved } = diffChainRules(
+        fromChain ? fromChain.rules : [],
+        toChain ? toChain.rules : []
+      );
+
+      let status = 'modified';
+      if (!fromChain) {
+        status = 'added';
+        summary.chainsAdded++;
+      } else if (!toChain) {
+        status = 'removed';
+        summary.chainsRemoved++;
+      }
+
+      let policy = null;
+      if (fromChain && toChain && fromChain.policy !== toChain.policy) {
+        policy = { from: fromChain.policy, to: toChain.policy };
+        summary.policyChanges++;
+      }
+
+      if (status === 'modified' && !policy && added.length === 0 && removed.length === 0 && moved.length === 0) {
+        continue;
+      }
+
+      summary.added += added.length;
+      summary.removed += removed.length;
+      summary.moved += moved.length;
+      chains[chain] = { status, policy, added, removed, moved };
+    }
+
+    if (Object.keys(chains).length > 0) {
+      tables[table] = chains;
+    }
+  }
+
+  return {
+    identical: Object.keys(tables).length === 0,
+    summary,
+    tables
+  };
+}
+
+module.exports = {
+  diffRulesets,
+  diffChainRules,
+  longestCommonSubsequence
+};
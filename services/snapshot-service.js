@@ -0,0 +1,179 @@
+/**
+ * Service d'historique local des configurations iptables
+ *
+ * Chaque instantané contient le texte complet de iptables-save d'un hôte, la
+ * date, l'auteur et un message facultatif. Les instantanés sont stockés
+ * localement (un fichier JSON par instantané, un dossier par hôte) et ne
+ * dépendent donc pas du fichier /etc/iptables/rules.v4 du serveur distant.
+ *
+ * Le dossier de stockage est configurable via la variable d'environnement
+ * SNAPSHOT_DIR (par défaut: data/snapshots à la racine du projet).
+ *
+ * @module services/snapshot-service
+ * @requires fs
+ * @requires path
+ * @requires crypto
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Nombre maximal d'instantanés automatiques conservés par hôte
+ * Les instantanés manuels ne sont jamais supprimés automatiquement.
+ */
+const MAX_AUTOMATIC_SNAPSHOTS = 200;
+
+/**
+ * Classe SnapshotService
+ * Enregistre, liste et relit les instantanés iptables-save par hôte
+ */
+class SnapshotService {
+  /**
+   * Constructeur
+   *
+   * @param {string} [baseDir] - Dossier racine des instantanés
+   */
+  constructor(baseDir = process.env.SNAPSHOT_DIR || path.join(__dirname, '..', 'data', 'snapshots')) {
+    this.baseDir = baseDir;
+  }
+
+  /**
+   * Construit l'identifiant d'un hôte à partir de sa configuration SSH
+   *
+   * @param {Object} config - Configuration SSH ({ host, port, username })
+   * @returns {string} Identifiant (ex: 'admin@192.168.1.1:22')
+   */
+  hostKey(config) {
+    return `${config.username}@${config.host}:${config.port || 22}`;
+  }
+
+  /**
+   * Retourne le dossier des instantanés d'un hôte
+   *
+   * @param {string} hostKey - Identifiant de l'hôte
+   * @returns {string} Chemin du dossier (caractères non sûrs remplacés)
+   */
+  hostDir(hostKey) {
+    return path.join(this.baseDir, hostKey.replace(/[^A-Za-z0-9_.@-]/g, '_'));
+  }
+
+  /**
+   * Enregistre un nouvel instantané
+   *
+   * @param {string} hostKey - Identifiant de l'hôte
+   * @param {string} ruleset - Texte complet de iptables-save
+   * @param {Object} [meta={}] - Métadonnées
+   * @param {string} [meta.author] - Auteur de l'instantané
+   * @param {string} [meta.message] - Message libre
+   * @param {boolean} [meta.automatic=false] - true si pris automatiquement avant une modification
+   * @param {string} [meta.command] - Commande sur le point d'être exécutée (instantané automatique)
+   * @param {string} [meta.family='ipv4'] - Famille d'adresses du jeu de règles (ipv4 ou ipv6)
+   * @param {string} [meta.backend='iptables'] - Backend de l'hôte (iptables ou nftables)
+   * @param {string} [meta.fingerprint] - Empreinte du jeu de règles (voir ruleModel.rulesetFingerprint)
+   * @returns {Object} Métadonnées de l'instantané enregistré (sans le texte)
+   */
+  record(hostKey, ruleset, meta = {}) {
+    const now = new Date();
+    const snapshot = {
+      // Identifiant triable chronologiquement
+      id: `${now.getTime()}-${crypto.randomBytes(3).toString('hex')}`,
+      host: hostKey,
+      timestamp: now.toISOString(),
+      author: meta.author || null,
+      message: meta.message || null,
+      automatic: Boolean(meta.automatic),
+      command: meta.command || null,
+      family: meta.family || 'ipv4',
+      backend: meta.backend || 'iptables',
+      fingerprint: meta.fingerprint || null,
+      ruleset
+    };
+
+    const dir = this.hostDir(hostKey);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${snapshot.id}.json`), JSON.stringify(snapshot, null, 2));
+
+    if (snapshot.automatic) {
+      this.prune(hostKey);
+    }
+
+    return this.summarize(snapshot);
+  }
+
+  /**
+   * Liste les instantanés d'un hôte, du plus récent au plus ancien
+   *
+   * @param {string} hostKey - Identifiant de l'hôte
+   * @returns {Array<Object>} Métadonnées des instantanés (sans le texte)
+   */
+  list(hostKey) {
+    return this.readAll(hostKey).map(s => this.summarize(s));
+  }
+
+  /**
+   * Lit un instantané complet
+   *
+   * @param {string} hostKey - Identifiant de l'hôte
+   * @param {string} id - Identifiant de l'instantané
+   * @returns {Object|null} Instantané avec son texte iptables-save, ou null s'il n'existe pas
+   */
+  get(hostKey, id) {
+    if (!/^\d+-[0-9a-f]+$/.test(id)) {
+      return null;
+    }
+    const file = path.join(this.hostDir(hostKey), `${id}.json`);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Lit tous les instantanés d'un hôte, du plus récent au plus ancien
+   *
+   * @param {string} hostKey - Identifiant de l'hôte
+   * @returns {Array<Object>} Instantanés complets
+   */
+  readAll(hostKey) {
+    const dir = this.hostDir(hostKey);
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .reverse()
+      .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+  }
+
+  /**
+   * Supprime les instantanés automatiques les plus anciens au-delà de la limite
+   *
+   * @param {string} hostKey - Identifiant de l'hôte
+   */
+  prune(hostKey) {
+    const automatic = this.readAll(hostKey).filter(s => s.automatic);
+    for (const snapshot of automatic.slice(MAX_AUTOMATIC_SNAPSHOTS)) {
+      fs.unlinkSync(path.join(this.hostDir(hostKey), `${snapshot.id}.json`));
+    }
+  }
+
+  /**
+   * Retire le texte iptables-save d'un instantané (pour les listes)
+   *
+   * @param {Object} snapshot - Instantané complet
+   * @returns {Object} Métadonnées avec le nombre de règles
+   */
+  summarize(snapshot) {
+    const { ruleset, ...meta } = snapshot;
+    // Le texte de nft list ruleset n'a pas de marqueur de règle simple à compter
+    const ruleCount = snapshot.backend === 'nftables'
+      ? null
+      : ruleset.split('\n').filter(line => line.startsWith('-A ')).length;
+    return { ...meta, ruleCount };
+  }
+}
+
+module.exports = new SnapshotService();
@@ -6,13 +6,48 @@
  * des connexions actives indexées par sessionId pour gérer plusieurs
  * utilisateurs simultanément.
  *
+ * La lecture et la modification des règles sont déléguées au backend de l'hôte
+ * (iptables ou nftables natif), détecté à la connexion : les routes appellent
+ * les mêmes méthodes quel que soit le backend.
+ *
  * @module services/ssh-service
  * @requires ssh2
  * @requires fs
+ * @requires crypto
+ * @requires ./rule-model
+ * @requires ./iptables-parser
+ * @requires ./ruleset-diff
+ * @requires ./rule-analyzer
+ * @requires ./lockout-guard
+ * @requires ./snapshot-service
+ * @requires ./audit-service
+ * @requires ./iptables-backend
+ * @requires ./nftables-backend
  */
 
 const { Client } = require('ssh2');
 const fs = require('fs');
+const crypto = require('crypto');
+const ruleModel = require('./rule-model');
+const iptablesParser = require('./iptables-parser');
+const { diffRulesets } = require('./ruleset-diff');
+const { analyzeRuleset } = require('./rule-analyzer');
+const lockoutGuard = require('./lockout-guard');
+const snapshotService = require('./snapshot-service');
+const auditService = require('./audit-service');
+const IptablesBackend = require('./iptables-backend');
+const NftablesBackend = require('./nftables-backend');
+
+/**
+ * Tables créées par iptables-nft (et arptables/ebtables-nft), par famille nftables
+ * Toute autre table signale un pare-feu géré directement avec nft.
+ */
+const IPTABLES_NFT_TABLES = {
+  ip: ['filter', 'nat', 'raw', 'mangle', 'security'],
+  ip6: ['filter', 'nat', 'raw', 'mangle', 'security'],
+  arp: ['filter'],
+  bridge: ['filter', 'nat', 'broute']
+};
 
 /**
  * Classe SSHService
@@ -21,11 +56,24 @@ const fs = require('fs');
 class SSHService {
   /**
    * Constructeur
-   * Initialise la Map pour stocker les connexions SSH actives
+   * Initialise les Maps pour stocker les connexions SSH actives
    */
   constructor() {
-    // Map<sessionId, Client> - Stocke une connexion SSH par session utilisateur
+    // Map<sessionId, Map<hostId, {conn, config, backend}>> - Connexions SSH ouvertes par session utilisateur
+    // Une session peut être connectée à plusieurs hôtes et basculer de l'un à l'autre.
+    // La configuration permet d'ouvrir une nouvelle connexion (ex: confirmation d'un changement).
+    // backend: 'iptables' ou 'nftables', détecté à la connexion (voir detectBackend)
     this.connections = new Map();
+    // Map<sessionId, hostId> - Hôte actif de chaque session : toutes les commandes s'y exécutent
+    this.activeHosts = new Map();
+    // Map<connectionKey, Object> - Changement en attente de confirmation (commit confirmé),
+    // par session et par hôte (voir getConnectionKey)
+    this.pendingConfirmations = new Map();
+    // Backends de lecture/modification des règles, par nom
+    this.backends = {
+      iptables: new IptablesBackend(this),
+      nftables: new NftablesBackend(this)
+    };
   }
 
   // ==========================================================================
@@ -33,29 +81,22 @@ class SSHService {
   // ==========================================================================
 
   /**
-   * Établit une connexion SSH au serveur distant
+   * Ouvre une connexion SSH sans l'enregistrer
    *
-   * Crée une nouvelle connexion SSH en utilisant une clé privée pour l'authentification.
-   * La connexion est stockée dans la Map des connexions avec le sessionId comme clé.
+   * Utilisé par connect() et chaque fois qu'une connexion indépendante de celle
+   * de la session est nécessaire (ex: confirmation d'un changement).
    *
-   * @param {string} sessionId - ID de session utilisateur (utilisé pour identifier la connexion)
-   * @param {Object} config - Configuration SSH
-   * @param {string} config.host - Adresse IP ou nom d'hôte du serveur
-   * @param {number} [config.port=22] - Port SSH (par défaut 22)
-   * @param {string} config.username - Nom d'utilisateur SSH
-   * @param {string} config.privateKeyPath - Chemin vers la clé privée SSH
-   * @returns {Promise<boolean>} Résout avec true si la connexion réussit
+   * @param {Object} config - Configuration SSH (voir connect)
+   * @returns {Promise<Client>} Résout avec le client SSH prêt
    * @throws {Error} Si la lecture de la clé échoue ou si la connexion SSH échoue
    */
-  async connect(sessionId, config) {
+  openConnection(config) {
     return new Promise((resolve, reject) => {
       const conn = new Client();
 
       // Événement déclenché lorsque la connexion SSH est établie avec succès
       conn.on('ready', () => {
-        this.connections.set(sessionId, conn);
-        console.log(`Connexion SSH établie pour la session ${sessionId}`);
-        resolve(true);
+        resolve(conn);
       });
 
       // Événement déclenché en cas d'erreur de connexion
@@ -82,23 +123,235 @@ class SSHService {
   }
 
   /**
-   * Exécute une commande sur le serveur distant via SSH
+   * Établit une connexion SSH au serveur distant
    *
-   * Exécute une commande shell sur le serveur distant et retourne sa sortie.
-   * La commande est exécutée dans le contexte de l'utilisateur SSH connecté.
+   * Crée une nouvelle connexion SSH en utilisant une clé privée pour l'authentification.
+   * La connexion est ajoutée aux connexions de la session et devient l'hôte actif.
+   * Une connexion déjà ouverte vers le même hôte est remplacée. Le backend du
+   * pare-feu (iptables ou nftables natif) est détecté à ce moment.
+   *
+   * @param {string} sessionId - ID de session utilisateur (utilisé pour identifier la connexion)
+   * @param {Object} config - Configuration SSH
+   * @param {string} config.host - Adresse IP ou nom d'hôte du serveur
+   * @param {number} [config.port=22] - Port SSH (par défaut 22)
+   * @param {string} config.username - Nom d'utilisateur SSH
+   * @param {string} config.privateKeyPath - Chemin vers la clé privée SSH
+   * @param {Object} [config.profile] - Profil d'inventaire utilisé (nom, IP publiques NAT...)
+   * @param {string} [hostId] - Identifiant de l'hôte dans la session
+   *   (par défaut: 'utilisateur@hôte:port', ou l'identifiant d'inventaire)
+   * @returns {Promise<boolean>} Résout avec true si la connexion réussit
+   * @throws {Error} Si la lecture de la clé échoue ou si la connexion SSH échoue
+   */
+  async connect(sessionId, config, hostId = snapshotService.hostKey(config)) {
+    const conn = await this.openConnection(config);
+    let backend;
+    try {
+      backend = await this.detectBackend(conn);
+    } catch (error) {
+      conn.end();
+      throw error;
+    }
+
+    if (!this.connections.has(sessionId)) {
+      this.connections.set(sessionId, new Map());
+    }
+    const hosts = this.connections.get(sessionId);
+    if (hosts.has(hostId)) {
+      hosts.get(hostId).conn.end();
+    }
+    hosts.set(hostId, { conn, config: { ...config }, backend });
+    this.activeHosts.set(sessionId, hostId);
+
+    console.log(`Connexion SSH établie vers ${hostId} (${backend}) pour la session ${sessionId}`);
+    return true;
+  }
+
+  /**
+   * Détecte le backend du pare-feu d'un hôte
+   *
+   * - iptables legacy, ou nft indisponible (absent ou non autorisé par sudo): 'iptables'
+   * - iptables-nft sans autre table que celles qu'il crée lui-même: 'iptables'
+   * - iptables absent, ou tables nftables propres (ex: 'inet filter'): 'nftables'
+   *
+   * @param {Client} conn - Client SSH connecté
+   * @returns {Promise<string>} 'iptables' ou 'nftables'
+   * @throws {Error} Si la commande de détection ne peut pas être exécutée
+   */
+  async detectBackend(conn) {
+    const output = await this.runCommand(
+      conn,
+      'sudo -n iptables -V 2>/dev/null; echo "#NFT"; sudo -n nft list tables 2>/dev/null || echo "#NO_NFT"'
+    );
+    const [iptablesPart, nftPart = ''] = output.split('#NFT');
+
+    if (nftPart.includes('#NO_NFT') || iptablesPart.includes('(legacy)')) {
+      return 'iptables';
+    }
+
+    const nativeTables = nftPart.split('\n')
+      .map(line => line.trim().match(/^table (\S+) (\S+)$/))
+      .filter(Boolean)
+      .filter(([, family, name]) => !(IPTABLES_NFT_TABLES[family] || []).includes(name));
+
+    return !/iptables v/.test(iptablesPart) || nativeTables.length > 0 ? 'nftables' : 'iptables';
+  }
+
+  /**
+   * Retourne le backend (iptables ou nftables) de l'hôte actif
    *
    * @param {string} sessionId - ID de session
-   * @param {string} command - Commande shell à exécuter
-   * @returns {Promise<string>} Résout avec la sortie standard (stdout) de la commande
-   * @throws {Error} Si aucune connexion active ou si la commande échoue
+   * @returns {Object} Backend (voir services/iptables-backend pour l'interface)
+   * @throws {Error} Si aucune connexion active
+   */
+  getBackend(sessionId) {
+    const active = this.getActiveConnection(sessionId);
+    if (!active) {
+      throw new Error('Aucune connexion SSH active. Veuillez vous connecter d\'abord.');
+    }
+    return this.backends[active.backend || 'iptables'];
+  }
+
+  /**
+   * Vérifie que l'hôte actif est géré avec iptables
+   *
+   * Les fonctions bâties sur iptables-save / iptables-restore (fichiers rules.v4,
+   * modifications préparées, comparaisons) ne sont pas disponibles en nftables natif.
+   *
+   * @param {string} sessionId - ID de session
+   * @throws {Error} Si l'hôte actif utilise nftables natif (status 409)
+   */
+  requireIptables(sessionId) {
+    if (this.getBackend(sessionId).name !== 'iptables') {
+      const error = new Error('Fonction disponible uniquement avec iptables : cet hôte utilise nftables');
+      error.status = 409;
+      throw error;
+    }
+  }
+
+  /**
+   * Vérifie que la règle d'une position est toujours celle attendue
+   *
+   * Protège les suppressions et modifications par position contre une
+   * renumérotation survenue depuis le dernier affichage (autre administrateur,
+   * Docker, fail2ban...). Sans empreinte attendue, aucune vérification.
+   *
+   * @param {Array<string>} fingerprints - Empreintes actuelles des règles de la chaîne, dans l'ordre
+   * @param {number} position - Position visée (commence à 1)
+   * @param {string} [expected] - Empreinte de la règle affichée (voir ruleModel.ruleFingerprint)
+   * @param {string} chain - Nom de la chaîne (messages d'erreur)
+   * @throws {Error} Si la règle a été déplacée ou n'existe plus (status 409)
+   */
+  assertFingerprint(fingerprints, position, expected, chain) {
+    if (!expected || fingerprints[position - 1] === expected) {
+      return;
+    }
+
+    const moved = fingerprints.indexOf(expected);
+    const error = new Error(moved === -1
+      ? `La règle ${position} de ${chain} a été modifiée ou supprimée depuis le dernier affichage`
+      : `La règle ${position} de ${chain} a été déplacée en position ${moved + 1} depuis le dernier affichage`);
+    error.status = 409;
+    error.currentPosition = moved === -1 ? null : moved + 1;
+    throw error;
+  }
+
+  /**
+   * Retourne la connexion de l'hôte actif d'une session
+   *
+   * @param {string} sessionId - ID de session
+   * @returns {Object|null} { hostId, conn, config } ou null si aucune connexion
+   */
+  getActiveConnection(sessionId) {
+    const hostId = this.activeHosts.get(sessionId);
+    const hosts = this.connections.get(sessionId);
+    if (!hostId || !hosts || !hosts.has(hostId)) {
+      return null;
+    }
+    return { hostId, ...hosts.get(hostId) };
+  }
+
+  /**
+   * Retourne la configuration SSH de l'hôte actif
+   *
+   * @param {string} sessionId - ID de session
+   * @returns {Object} Configuration SSH (host, port, username, privateKeyPath, profile)
+   * @throws {Error} Si aucune connexion active
    */
-  async executeCommand(sessionId, command) {
-    const conn = this.connections.get(sessionId);
+  getConfig(sessionId) {
+    const active = this.getActiveConnection(sessionId);
+    if (!active) {
+      throw new Error('Aucune connexion SSH active. Veuillez vous connecter d\'abord.');
+    }
+    return active.config;
+  }
 
-    if (!conn) {
+  /**
+   * Retourne la clé identifiant le couple session / hôte actif
+   *
+   * Sert à isoler l'état propre à un hôte (ex: modification en attente de
+   * confirmation) quand une session est connectée à plusieurs hôtes.
+   *
+   * @param {string} sessionId - ID de session
+   * @returns {string} Clé 'sessionId:hostId'
+   * @throws {Error} Si aucune connexion active
+   */
+  getConnectionKey(sessionId) {
+    const active = this.getActiveConnection(sessionId);
+    if (!active) {
       throw new Error('Aucune connexion SSH active. Veuillez vous connecter d\'abord.');
     }
+    return `${sessionId}:${active.hostId}`;
+  }
 
+  /**
+   * Liste les hôtes auxquels une session est connectée
+   *
+   * @param {string} sessionId - ID de session
+   * @returns {Array<Object>} [{ hostId, host, port, username, name, natPublicIps, backend, active }]
+   */
+  listConnections(sessionId) {
+    const hosts = this.connections.get(sessionId) || new Map();
+    const activeHostId = this.activeHosts.get(sessionId);
+    return [...hosts.entries()].map(([hostId, { config, backend }]) => ({
+      hostId,
+      host: config.host,
+      port: config.port || 22,
+      username: config.username,
+      name: config.profile ? config.profile.name : hostId,
+      natPublicIps: config.profile ? config.profile.natPublicIps : [],
+      backend,
+      active: hostId === activeHostId
+    }));
+  }
+
+  /**
+   * Change l'hôte actif d'une session
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} hostId - Identifiant d'un hôte déjà connecté
+   * @throws {Error} Si la session n'est pas connectée à cet hôte (status 404)
+   */
+  switchHost(sessionId, hostId) {
+    const hosts = this.connections.get(sessionId);
+    if (!hosts || !hosts.has(hostId)) {
+      const error = new Error(`Aucune connexion ouverte vers ${hostId}`);
+      error.status = 404;
+      throw error;
+    }
+    this.activeHosts.set(sessionId, hostId);
+  }
+
+  /**
+   * Exécute une commande sur une connexion SSH donnée
+   *
+   * @param {Client} conn - Client SSH connecté
+   * @param {string} command - Commande shell à exécuter
+   * @param {Object} [options={}] - Options d'exécution
+   * @param {string} [options.input] - Données envoyées sur l'entrée standard (ex: pour iptables-restore)
+   * @returns {Promise<string>} Résout avec la sortie standard (stdout) de la commande
+   * @throws {Error} Si la commande échoue (error.code et error.stderr renseignés)
+   */
+  runCommand(conn, command, options = {}) {
     return new Promise((resolve, reject) => {
       // Exécution de la commande sur le serveur distant
       conn.exec(command, (err, stream) => {
@@ -124,64 +377,123 @@ class SSHService {
         stream.on('close', (code) => {
           if (code !== 0) {
             // Code de sortie non nul = erreur
-            reject(new Error(`Commande échouée (code ${code}): ${stderr}`));
+            const error = new Error(`Commande échouée (code ${code}): ${stderr}`);
+            error.code = code;
+            error.stderr = stderr;
+            reject(error);
           } else {
             resolve(stdout);
           }
         });
+
+        // Envoi de l'entrée standard éventuelle, puis fermeture pour signaler la fin
+        if (options.input !== undefined) {
+          stream.end(options.input);
+        }
       });
     });
   }
 
+  /**
+   * Exécute une commande sur le serveur distant via SSH
+   *
+   * Exécute une commande shell sur le serveur distant et retourne sa sortie.
+   * La commande est exécutée sur l'hôte actif de la session, dans le contexte
+   * de l'utilisateur SSH connecté.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} command - Commande shell à exécuter
+   * @param {Object} [options={}] - Options d'exécution (voir runCommand)
+   * @returns {Promise<string>} Résout avec la sortie standard (stdout) de la commande
+   * @throws {Error} Si aucune connexion active ou si la commande échoue
+   */
+  async executeCommand(sessionId, command, options = {}) {
+    const active = this.getActiveConnection(sessionId);
+
+    if (!active) {
+      throw new Error('Aucune connexion SSH active. Veuillez vous connecter d\'abord.');
+    }
+
+    return this.runCommand(active.conn, command, options);
+  }
+
   // ==========================================================================
   // MÉTHODES DE RÉCUPÉRATION DES RÈGLES
   // ==========================================================================
 
   /**
-   * Liste toutes les règles iptables pour toutes les tables
+   * Liste toutes les règles de l'hôte actif, groupées par table
    *
-   * Itère sur les 4 tables principales d'iptables (filter, nat, raw, mangle)
-   * et récupère toutes les règles pour chaque table.
+   * Délégué au backend de l'hôte: tables filter, nat, raw et mangle avec
+   * iptables, tables 'famille nom' (ex: 'inet filter') avec nftables.
+   * Chaque chaîne indique les règles qui y sautent (voir linkChains).
    *
    * @param {string} sessionId - ID de session
-   * @returns {Promise<Object>} Objet avec les règles groupées par table
-   *   Exemple: { filter: [...], nat: [...], raw: [...], mangle: [...] }
+   * @param {string} [family='ipv4'] - Famille d'adresses: 'ipv4' ou 'ipv6'
+   * @returns {Promise<Object>} Chaînes groupées par table
+   *   Exemple: { filter: [{ chain: 'INPUT', policy: 'ACCEPT', references, jumpedFrom, rules: [...] }], nat: [...] }
    */
-  async listAllRules(sessionId) {
-    const tables = ['filter', 'nat', 'raw', 'mangle'];
-    const allRules = {};
-
-    for (const table of tables) {
-      try {
-        // Exécute: sudo iptables -t <table> -L -n -v --line-numbers
-        // -L: liste les règles, -n: affichage numérique, -v: verbose, --line-numbers: numéros de ligne
-        const output = await this.executeCommand(
-          sessionId,
-          `sudo iptables -t ${table} -L -n -v --line-numbers`
-        );
-        allRules[table] = this.parseIptablesOutput(output);
-      } catch (error) {
-        console.error(`Erreur lors de la récupération de la table ${table}:`, error.message);
-        allRules[table] = [];
-      }
-    }
-
-    return allRules;
+  async listAllRules(sessionId, family = 'ipv4') {
+    const tables = await this.getBackend(sessionId).listAllRules(sessionId, family);
+    Object.values(tables).forEach(chains => this.linkChains(chains));
+    return tables;
   }
 
   /**
-   * Liste les règles d'une table iptables spécifique
+   * Liste les règles d'une table de l'hôte actif
    *
    * @param {string} sessionId - ID de session
-   * @param {string} [table='filter'] - Nom de la table (filter, nat, raw, mangle)
+   * @param {string} [table='filter'] - Nom de la table
+   * @param {string} [family='ipv4'] - Famille d'adresses: 'ipv4' ou 'ipv6'
    * @returns {Promise<Array>} Tableau de chaînes avec leurs règles
    */
-  async listRules(sessionId, table = 'filter') {
-    const output = await this.executeCommand(
-      sessionId,
-      `sudo iptables -t ${table} -L -n -v --line-numbers`
-    );
-    return this.parseIptablesOutput(output);
+  async listRules(sessionId, table = 'filter', family = 'ipv4') {
+    return this.linkChains(await this.getBackend(sessionId).listRules(sessionId, table, family));
+  }
+
+  /**
+   * Lit les règles et compteurs de toutes les tables de l'hôte actif en une commande
+   *
+   * Utilisé pour le suivi des compteurs en direct (voir services/counter-monitor).
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} [family='ipv4'] - Famille d'adresses: 'ipv4' ou 'ipv6'
+   * @returns {Promise<Object>} Chaînes groupées par table (même format que listAllRules,
+   *   sans jumpedFrom)
+   */
+  async readCounters(sessionId, family = 'ipv4') {
+    return this.getBackend(sessionId).readCounters(sessionId, family);
+  }
+
+  /**
+   * Renseigne, pour chaque chaîne d'une table, les règles qui y sautent
+   *
+   * Ajoute jumpedFrom ([{ chain, num }]) à chaque chaîne. Le nombre de
+   * références d'une chaîne utilisateur est celui d'iptables lorsqu'il est
+   * connu, sinon le nombre de sauts trouvés (nftables).
+   *
+   * @param {Array<Object>} chains - Chaînes d'une table (les ensembles nftables sont ignorés)
+   * @returns {Array<Object>} Les mêmes chaînes, complétées
+   */
+  linkChains(chains) {
+    const byName = new Map(chains.filter(c => !c.set).map(c => [c.chain, c]));
+    byName.forEach(chain => { chain.jumpedFrom = []; });
+
+    for (const chain of byName.values()) {
+      for (const rule of chain.rules) {
+        const target = byName.get(rule.target);
+        if (target) {
+          target.jumpedFrom.push({ chain: chain.chain, num: rule.num });
+        }
+      }
+    }
+
+    byName.forEach(chain => {
+      if (chain.references === undefined || chain.references === null) {
+        chain.references = chain.policy === '-' ? chain.jumpedFrom.length : null;
+      }
+    });
+    return chains;
   }
 
   /**
@@ -191,49 +503,382 @@ class SSHService {
    * dans un format qui peut être restauré avec iptables-restore.
    *
    * @param {string} sessionId - ID de session
+   * @param {string} [family='ipv4'] - Famille d'adresses: 'ipv4' (iptables-save) ou 'ipv6' (ip6tables-save)
    * @returns {Promise<Object>} Configuration parsée par table
    */
-  async getIptablesSave(sessionId) {
-    const output = await this.executeCommand(sessionId, 'sudo iptables-save');
+  async getIptablesSave(sessionId, family = 'ipv4') {
+    this.requireIptables(sessionId);
+    const { save } = ruleModel.getFamily(family);
+    const output = await this.executeCommand(sessionId, `sudo ${save}`);
     return this.parseIptablesSave(output);
   }
 
+  /**
+   * Analyse la configuration active : règles masquées, doublons, règles
+   * redondantes avec la politique et chaînes jamais appelées
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} [family='ipv4'] - Famille d'adresses
+   * @returns {Promise<Object>} { summary, findings } (voir services/rule-analyzer)
+   * @throws {Error} Si l'hôte actif est en nftables natif (409)
+   */
+  async analyzeRules(sessionId, family = 'ipv4') {
+    return analyzeRuleset(await this.getIptablesSave(sessionId, family));
+  }
+
   // ==========================================================================
   // MÉTHODES DE MODIFICATION DES RÈGLES
   // ==========================================================================
 
   /**
-   * Ajoute une nouvelle règle iptables
+   * Exécute une commande qui modifie le pare-feu
+   *
+   * Point de passage unique de toutes les modifications. Une modification qui
+   * couperait la connexion SSH de l'application est refusée, sauf demande
+   * explicite (voir checkLockout). Un instantané de la configuration est
+   * enregistré dans l'historique local avant chaque modification. Si un délai
+   * de confirmation est demandé, un retour arrière automatique est armé sur le
+   * serveur distant avant d'exécuter la commande (voir armRollback). Chaque
+   * appel, réussi, refusé ou en échec, est inscrit au journal d'audit avec les
+   * empreintes du jeu de règles avant et après (voir recordAudit).
    *
    * @param {string} sessionId - ID de session
-   * @param {string} rule - Règle iptables complète (ex: "-A INPUT -p tcp --dport 80 -j ACCEPT")
-   * @param {string} [table='filter'] - Table cible (filter, nat, raw, mangle)
-   * @returns {Promise<Object>} { success: true, message: string }
-   * @throws {Error} Si la commande iptables échoue
+   * @param {string} command - Commande shell à exécuter
+   * @param {Object} [options={}] - Options de la modification
+   * @param {number} [options.confirmTimeout] - Délai de confirmation en secondes
+   * @param {string} [options.input] - Entrée standard de la commande (ex: jeu de règles pour iptables-restore)
+   * @param {Object} [options.result] - Configuration attendue après la commande (format parseIptablesSave,
+   *   tables modifiées), quand input ne la décrit pas (ex: iptables-restore --noflush)
+   * @param {string} [options.author] - Auteur de la modification (par défaut: utilisateur SSH)
+   * @param {string} [options.family='ipv4'] - Famille d'adresses modifiée (instantané et retour arrière)
+   * @param {boolean} [options.allowLockout] - Applique la modification même si elle coupe la connexion SSH
+   * @param {string} [options.sourceIp] - IP d'origine de la requête (journal d'audit)
+   * @returns {Promise<Object|null>} Changement en attente de confirmation, ou null
+   * @throws {Error} Si la modification couperait la connexion SSH (409) ou si la commande
+   *   échoue (le retour arrière armé est alors annulé)
    */
-  async addRule(sessionId, rule, table = 'filter') {
-    // Ajoute l'option -t uniquement si la table n'est pas 'filter' (table par défaut)
-    const tableOption = table !== 'filter' ? `-t ${table} ` : '';
-    const command = `sudo iptables ${tableOption}${rule}`;
-    await this.executeCommand(sessionId, command);
-    return { success: true, message: 'Règle ajoutée avec succès' };
+  async applyChange(sessionId, command, options = {}) {
+    const execOptions = { input: options.input };
+    const family = options.family || 'ipv4';
+    const audit = { command, before: null, after: null };
+
+    try {
+      if (!options.allowLockout) {
+        await this.checkLockout(sessionId, command, options);
+      }
+      const snapshot = await this.takeSnapshot(sessionId, { automatic: true, author: options.author, command, family });
+      audit.before = snapshot.fingerprint;
+
+      let pending = null;
+      if (!options.confirmTimeout) {
+        await this.executeCommand(sessionId, command, execOptions);
+      } else {
+        pending = await this.armRollback(sessionId, options.confirmTimeout, family);
+        try {
+          await this.executeCommand(sessionId, command, execOptions);
+        } catch (error) {
+          // Rien n'a été modifié : inutile de laisser le minuteur restaurer l'instantané
+          await this.cancelRollback(sessionId).catch(() => {});
+          throw error;
+        }
+      }
+
+      audit.after = await this.readFingerprint(sessionId, family);
+      this.recordAudit(sessionId, { ...audit, result: 'success', pendingConfirmation: pending && pending.id }, options);
+      return pending;
+    } catch (error) {
+      if (audit.before) {
+        audit.after = await this.readFingerprint(sessionId, family);
+      }
+      this.recordAudit(sessionId, {
+        ...audit,
+        result: error.lockout ? 'refused' : 'failure',
+        error: error.message,
+        stderr: error.stderr
+      }, options);
+      throw error;
+    }
+  }
+
+  /**
+   * Exécute une commande qui ne modifie pas les règles (ex: remise à zéro des
+   * compteurs) et l'inscrit au journal d'audit
+   *
+   * Contrairement à applyChange, ni instantané, ni vérification d'accès SSH,
+   * ni commit confirmé : les empreintes avant et après restent nulles.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} command - Commande shell à exécuter
+   * @param {Object} [options={}] - Options (author, sourceIp, family)
+   * @returns {Promise<string>} Sortie de la commande
+   * @throws {Error} Si la commande échoue (l'échec est aussi inscrit au journal)
+   */
+  async executeAudited(sessionId, command, options = {}) {
+    try {
+      const output = await this.executeCommand(sessionId, command);
+      this.recordAudit(sessionId, { command, before: null, after: null, result: 'success' }, options);
+      return output;
+    } catch (error) {
+      this.recordAudit(sessionId, {
+        command, before: null, after: null, result: 'failure', error: error.message, stderr: error.stderr
+      }, options);
+      throw error;
+    }
+  }
+
+  /**
+   * Inscrit une modification de l'hôte actif au journal d'audit
+   *
+   * L'utilisateur, l'hôte, le backend et la famille sont ceux de la session ;
+   * la table et la chaîne sont déduites de la commande (voir
+   * AuditService.describeCommand). Une erreur d'écriture du journal est
+   * signalée dans la console sans faire échouer la modification.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {Object} entry - { command, before, after, result, error, stderr, pendingConfirmation }
+   * @param {Object} [options={}] - Options de la modification (author, sourceIp, family, input)
+   * @returns {Object|null} Entrée enregistrée, ou null si l'écriture a échoué
+   */
+  recordAudit(sessionId, entry, options = {}) {
+    try {
+      return auditService.record({
+        user: options.author || this.getConfig(sessionId).username,
+        sourceIp: options.sourceIp,
+        host: this.getHostKey(sessionId),
+        backend: this.getBackend(sessionId).name,
+        family: ruleModel.getFamily(options.family).name,
+        ...auditService.describeCommand(entry.command, options.input),
+        ...entry
+      });
+    } catch (error) {
+      console.error('Erreur lors de l\'écriture du journal d\'audit:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Calcule l'empreinte du jeu de règles actif (voir ruleModel.rulesetFingerprint)
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} [family='ipv4'] - Famille d'adresses
+   * @returns {Promise<string|null>} Empreinte, null si la configuration est illisible
+   */
+  async readFingerprint(sessionId, family = 'ipv4') {
+    try {
+      const { save } = this.getBackend(sessionId).commands(ruleModel.getFamily(family).name);
+      return ruleModel.rulesetFingerprint(await this.executeCommand(sessionId, save));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Refuse une modification qui couperait la connexion SSH de l'application
+   *
+   * La configuration résultante est calculée localement : configuration
+   * fournie par l'appelant (options.result), jeu de règles passé à
+   * iptables-restore (options.input), ou commande iptables rejouée sur la
+   * configuration actuelle (voir services/lockout-guard). Le flux SSH de la
+   * session ($SSH_CONNECTION) y est ensuite simulé. Aucune vérification en
+   * nftables natif, pour une autre famille que celle de la connexion, ou si la
+   * commande ne peut pas être rejouée.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} command - Commande shell de la modification
+   * @param {Object} [options={}] - Options de la modification (voir applyChange)
+   * @returns {Promise<void>}
+   * @throws {Error} Si le flux SSH serait refusé (status 409, error.lockout décrit le paquet
+   *   refusé et la règle ou la politique en cause)
+   */
+  async checkLockout(sessionId, command, options = {}) {
+    if (this.getBackend(sessionId).name !== 'iptables') {
+      return;
+    }
+    const family = ruleModel.getFamily(options.family);
+    const flow = lockoutGuard.parseSshFlow(await this.executeCommand(sessionId, lockoutGuard.SSH_FLOW_COMMAND));
+    if (!flow || flow.family !== family.name) {
+      return;
+    }
+
+    const before = await this.getIptablesSave(sessionId, family.name);
+    let after = null;
+    if (options.result) {
+      after = { ...before, ...options.result };
+    } else if (options.input !== undefined) {
+      after = { ...before, ...this.parseIptablesSave(String(options.input)) };
+    } else {
+      const words = lockoutGuard.shellWords(command);
+      if (words && words[0] === 'sudo') words.shift();
+      if (words && words[0] === family.command) {
+        after = lockoutGuard.applyCommand(before, words.slice(1));
+      }
+    }
+    if (!after) {
+      return;
+    }
+
+    const lockout = lockoutGuard.findLockout(before, after, flow);
+    if (lockout) {
+      const error = new Error(`${lockout.message}. Pour l'appliquer quand même, renvoyez-la avec allowLockout.`);
+      error.status = 409;
+      error.lockout = lockout;
+      throw error;
+    }
   }
 
   /**
-   * Supprime une règle iptables par son numéro
+   * Valide une règle structurée pour le backend de l'hôte actif
    *
    * @param {string} sessionId - ID de session
-   * @param {string} chain - Nom de la chaîne (INPUT, OUTPUT, FORWARD, etc.)
+   * @param {Object} rule - Règle structurée (voir services/rule-model)
+   * @param {string} table - Table cible
+   * @param {string} [family='ipv4'] - Famille d'adresses
+   * @returns {{valid: boolean, errors: Array<string>}} Résultat de la validation
+   */
+  validateRule(sessionId, rule, table, family = 'ipv4') {
+    return this.getBackend(sessionId).validateRule(rule, table, family);
+  }
+
+  /**
+   * Ajoute une règle sur l'hôte actif (voir le backend pour le format des règles brutes)
+   *
+   * @param {string} sessionId - ID de session
+   * @param {Object|string} rule - Règle structurée, ou commande brute en mode expert
+   * @param {string} [table='filter'] - Table cible
+   * @param {Object} [options={}] - Options de la modification (voir applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si la règle est invalide ou si la commande échoue
+   */
+  async addRule(sessionId, rule, table = 'filter', options = {}) {
+    return this.getBackend(sessionId).addRule(sessionId, rule, table, options);
+  }
+
+  /**
+   * Insère une règle structurée à une position de sa chaîne sur l'hôte actif
+   *
+   * @param {string} sessionId - ID de session
+   * @param {Object} rule - Règle structurée (rule.chain désigne la chaîne)
+   * @param {number} position - Position de la nouvelle règle (commence à 1)
+   * @param {string} [table='filter'] - Table cible
+   * @param {Object} [options={}] - Options de la modification (voir applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si la règle ou la position est invalide ou si la commande échoue
+   */
+  async insertRule(sessionId, rule, position, table = 'filter', options = {}) {
+    return this.getBackend(sessionId).insertRule(sessionId, rule, position, table, options);
+  }
+
+  /**
+   * Remplace la règle d'une position par une règle structurée sur l'hôte actif
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la chaîne
+   * @param {number} ruleNumber - Position de la règle remplacée (commence à 1)
+   * @param {Object} rule - Nouvelle règle structurée
+   * @param {string} [table='filter'] - Table cible
+   * @param {Object} [options={}] - Options de la modification (voir applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si la règle ou la position est invalide ou si la commande échoue
+   */
+  async replaceRule(sessionId, chain, ruleNumber, rule, table = 'filter', options = {}) {
+    return this.getBackend(sessionId).replaceRule(sessionId, chain, ruleNumber, rule, table, options);
+  }
+
+  /**
+   * Déplace une règle dans sa chaîne sur l'hôte actif, en une seule opération
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la chaîne
+   * @param {number} from - Position actuelle de la règle (commence à 1)
+   * @param {number} to - Nouvelle position de la règle
+   * @param {string} [table='filter'] - Table cible
+   * @param {Object} [options={}] - Options de la modification (voir applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si une position est invalide ou si la commande échoue
+   */
+  async moveRule(sessionId, chain, from, to, table = 'filter', options = {}) {
+    return this.getBackend(sessionId).moveRule(sessionId, chain, from, to, table, options);
+  }
+
+  /**
+   * Opérations sur les chaînes de l'hôte actif (création, renommage,
+   * suppression, politique, vidage et remise à zéro des compteurs)
+   *
+   * Déléguées au backend : chaînes utilisateur et intégrées avec iptables,
+   * chaînes régulières et de base avec nftables.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la chaîne
+   * @param {string} [table='filter'] - Table cible
+   * @param {Object} [options={}] - Options de la modification (voir applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   */
+  async createChain(sessionId, chain, table = 'filter', options = {}) {
+    return this.getBackend(sessionId).createChain(sessionId, chain, table, options);
+  }
+
+  /**
+   * Renomme une chaîne utilisateur de l'hôte actif (voir createChain)
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom actuel de la chaîne
+   * @param {string} newName - Nouveau nom
+   * @param {string} [table='filter'] - Table cible
+   * @param {Object} [options={}] - Options de la modification (voir applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   */
+  async renameChain(sessionId, chain, newName, table = 'filter', options = {}) {
+    return this.getBackend(sessionId).renameChain(sessionId, chain, newName, table, options);
+  }
+
+  /**
+   * Supprime une chaîne utilisateur vide et non référencée de l'hôte actif (voir createChain)
+   */
+  async deleteChain(sessionId, chain, table = 'filter', options = {}) {
+    return this.getBackend(sessionId).deleteChain(sessionId, chain, table, options);
+  }
+
+  /**
+   * Modifie la politique par défaut d'une chaîne intégrée de l'hôte actif
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la chaîne
+   * @param {string} policy - Nouvelle politique (ACCEPT ou DROP)
+   * @param {string} [table='filter'] - Table cible
+   * @param {Object} [options={}] - Options de la modification (voir applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   */
+  async setPolicy(sessionId, chain, policy, table = 'filter', options = {}) {
+    return this.getBackend(sessionId).setPolicy(sessionId, chain, policy, table, options);
+  }
+
+  /**
+   * Supprime toutes les règles d'une chaîne de l'hôte actif (voir createChain)
+   */
+  async flushChain(sessionId, chain, table = 'filter', options = {}) {
+    return this.getBackend(sessionId).flushChain(sessionId, chain, table, options);
+  }
+
+  /**
+   * Remet à zéro les compteurs d'une chaîne de l'hôte actif (voir createChain)
+   */
+  async zeroCounters(sessionId, chain, table = 'filter', options = {}) {
+    return this.getBackend(sessionId).zeroCounters(sessionId, chain, table, options);
+  }
+
+  /**
+   * Supprime une règle de l'hôte actif par sa position dans la chaîne
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} chain - Nom de la chaîne
    * @param {number} ruleNumber - Numéro de la règle dans la chaîne (commence à 1)
    * @param {string} [table='filter'] - Table cible
-   * @returns {Promise<Object>} { success: true, message: string }
-   * @throws {Error} Si la commande iptables échoue
+   * @param {Object} [options={}] - Options de la modification (voir applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si la commande échoue
    */
-  async deleteRule(sessionId, chain, ruleNumber, table = 'filter') {
-    const tableOption = table !== 'filter' ? `-t ${table} ` : '';
-    const command = `sudo iptables ${tableOption}-D ${chain} ${ruleNumber}`;
-    await this.executeCommand(sessionId, command);
-    return { success: true, message: 'Règle supprimée avec succès' };
+  async deleteRule(sessionId, chain, ruleNumber, table = 'filter', options = {}) {
+    return this.getBackend(sessionId).deleteRule(sessionId, chain, ruleNumber, table, options);
   }
 
   // ==========================================================================
@@ -244,151 +889,424 @@ class SSHService {
    * Sauvegarde la configuration iptables actuelle
    *
    * Exécute iptables-save et redirige la sortie vers /etc/iptables/rules.v4
+   * (ip6tables-save et /etc/iptables/rules.v6 pour IPv6).
    * Ce fichier peut ensuite être utilisé pour restaurer la configuration.
    *
    * @param {string} sessionId - ID de session
+   * @param {string} [family='ipv4'] - Famille d'adresses: 'ipv4' ou 'ipv6'
+   * @param {Object} [options={}] - Contexte du journal d'audit (author, sourceIp)
    * @returns {Promise<Object>} { success: true, message: string }
    * @throws {Error} Si la sauvegarde échoue
    */
-  async saveRules(sessionId) {
-    await this.executeCommand(sessionId, 'sudo iptables-save > /etc/iptables/rules.v4');
-    return { success: true, message: 'Configuration sauvegardée' };
+  async saveRules(sessionId, family = 'ipv4', options = {}) {
+    this.requireIptables(sessionId);
+    const { save, rulesFile } = ruleModel.getFamily(family);
+    const command = `sudo ${save} > ${rulesFile}`;
+    const auditOptions = { ...options, family };
+    try {
+      await this.executeCommand(sessionId, command);
+    } catch (error) {
+      this.recordAudit(sessionId, { command, result: 'failure', error: error.message, stderr: error.stderr }, auditOptions);
+      throw error;
+    }
+    const fingerprint = await this.readFingerprint(sessionId, family);
+    this.recordAudit(sessionId, { command, before: fingerprint, after: fingerprint, result: 'success' }, auditOptions);
+    return { success: true, message: `Configuration sauvegardée dans ${rulesFile}` };
   }
 
   /**
    * Restaure la configuration iptables depuis le fichier de sauvegarde
    *
-   * Exécute iptables-restore en lisant depuis /etc/iptables/rules.v4
+   * Lit /etc/iptables/rules.v4 (rules.v6 pour IPv6) et le passe à
+   * iptables-restore (ip6tables-restore pour IPv6) : le contenu vérifié avant
+   * la restauration (voir checkLockout) est exactement celui qui est chargé.
    * ATTENTION: Cela écrase complètement la configuration actuelle.
    *
    * @param {string} sessionId - ID de session
-   * @returns {Promise<Object>} { success: true, message: string }
-   * @throws {Error} Si la restauration échoue
+   * @param {Object} [options={}] - Options de la modification (voir applyChange, dont family)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si le fichier n'existe pas (404) ou si la restauration échoue
    */
-  async restoreRules(sessionId) {
-    await this.executeCommand(sessionId, 'sudo iptables-restore < /etc/iptables/rules.v4');
-    return { success: true, message: 'Configuration restaurée' };
+  async restoreRules(sessionId, options = {}) {
+    this.requireIptables(sessionId);
+    const { restore, rulesFile } = ruleModel.getFamily(options.family);
+    const output = await this.executeCommand(
+      sessionId,
+      `if [ -f ${rulesFile} ]; then cat ${rulesFile}; else echo "#MISSING"; fi`
+    );
+    if (output.trim() === '#MISSING') {
+      const error = new Error(`Aucune configuration enregistrée dans ${rulesFile}`);
+      error.status = 404;
+      throw error;
+    }
+    const pendingConfirmation = await this.applyChange(
+      sessionId,
+      `sudo ${restore}`,
+      { ...options, input: output }
+    );
+    return { success: true, message: 'Configuration restaurée', pendingConfirmation };
+  }
+
+  /**
+   * Récupère la configuration enregistrée dans /etc/iptables/rules.v4 (ou rules.v6)
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} [family='ipv4'] - Famille d'adresses: 'ipv4' ou 'ipv6'
+   * @returns {Promise<Object>} { exists: boolean, tables: Object } (tables au format parseIptablesSave)
+   */
+  async getPersistedRules(sessionId, family = 'ipv4') {
+    this.requireIptables(sessionId);
+    const { rulesFile } = ruleModel.getFamily(family);
+    // Marqueur en sortie pour distinguer un fichier absent d'un fichier vide
+    const output = await this.executeCommand(
+      sessionId,
+      `if [ -f ${rulesFile} ]; then cat ${rulesFile}; else echo "#MISSING"; fi`
+    );
+    const exists = output.trim() !== '#MISSING';
+    return { exists, tables: exists ? this.parseIptablesSave(output) : {} };
+  }
+
+  /**
+   * Compare la configuration active avec celle enregistrée dans /etc/iptables/rules.v4
+   *
+   * Le diff va du fichier enregistré vers la configuration active : une règle
+   * "added" est active mais pas encore sauvegardée, une règle "removed" est
+   * dans le fichier mais plus active.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} [family='ipv4'] - Famille d'adresses: 'ipv4' ou 'ipv6'
+   * @returns {Promise<Object>} { rulesFile, persistedExists, unsavedChanges, diff } (voir ruleset-diff)
+   */
+  async diffPersistedRules(sessionId, family = 'ipv4') {
+    const [live, persisted] = await Promise.all([
+      this.getIptablesSave(sessionId, family),
+      this.getPersistedRules(sessionId, family)
+    ]);
+    const diff = diffRulesets(persisted.tables, live);
+    return {
+      rulesFile: ruleModel.getFamily(family).rulesFile,
+      persistedExists: persisted.exists,
+      unsavedChanges: !diff.identical,
+      diff
+    };
   }
 
   // ==========================================================================
-  // MÉTHODES DE PARSING
+  // MÉTHODES D'HISTORIQUE (INSTANTANÉS)
   // ==========================================================================
 
   /**
-   * Parse la sortie de la commande 'iptables -L'
-   *
-   * Analyse le format texte de iptables -L et le convertit en structure de données.
-   * La sortie est organisée par chaînes, chaque chaîne contenant un tableau de règles.
+   * Retourne l'identifiant de l'hôte auquel une session est connectée
    *
-   * Format d'entrée typique:
-   * Chain INPUT (policy ACCEPT)
-   * num   pkts bytes target     prot opt source               destination
-   * 1     1234 5678  ACCEPT     tcp  --  0.0.0.0/0            0.0.0.0/0           tcp dpt:80
+   * @param {string} sessionId - ID de session
+   * @returns {string} Identifiant de l'hôte (ex: 'admin@192.168.1.1:22')
+   * @throws {Error} Si aucune connexion active
+   */
+  getHostKey(sessionId) {
+    return snapshotService.hostKey(this.getConfig(sessionId));
+  }
+
+  /**
+   * Enregistre la configuration actuelle de l'hôte dans l'historique local
    *
-   * @param {string} output - Sortie brute de 'iptables -L -n -v --line-numbers'
-   * @returns {Array<Object>} Tableau de chaînes avec leurs règles
-   *   Format: [{ chain: 'INPUT', rules: [{num, target, prot, ...}, ...] }, ...]
+   * @param {string} sessionId - ID de session
+   * @param {Object} [meta={}] - Métadonnées (author, message, automatic, command, family)
+   * @returns {Promise<Object>} Métadonnées de l'instantané enregistré
    */
-  parseIptablesOutput(output) {
-    const chains = [];
-    const lines = output.split('\n');
-    let currentChain = null;
-    let rules = [];
+  async takeSnapshot(sessionId, meta = {}) {
+    const family = ruleModel.getFamily(meta.family);
+    const backend = this.getBackend(sessionId);
+    const ruleset = await this.executeCommand(sessionId, backend.commands(family.name).save);
+    return snapshotService.record(this.getHostKey(sessionId), ruleset, {
+      ...meta,
+      fingerprint: ruleModel.rulesetFingerprint(ruleset),
+      family: family.name,
+      backend: backend.name,
+      author: meta.author || this.getConfig(sessionId).username
+    });
+  }
 
-    for (const line of lines) {
-      // Détecte le début d'une nouvelle chaîne (ex: "Chain INPUT (policy ACCEPT)")
-      if (line.startsWith('Chain')) {
-        // Sauvegarder la chaîne précédente si elle existe
-        if (currentChain) {
-          chains.push({ chain: currentChain, rules });
-        }
-        const match = line.match(/Chain (\S+)/);
-        currentChain = match ? match[1] : null;
-        rules = [];
-      }
-      // Détecte une ligne de règle (commence par un numéro)
-      else if (line.match(/^\s*\d+/)) {
-        const parts = line.trim().split(/\s+/);
-        if (parts.length >= 8) {
-          // Format: [num, pkts, bytes, target, prot, opt, source, destination, ...extra]
-          const extraString = parts.slice(8).join(' ');
-          const parsedExtra = this.parseExtraFields(extraString);
-
-          rules.push({
-            num: parts[0],           // Numéro de la règle
-            target: parts[3],        // Cible (ACCEPT, DROP, REJECT, DNAT, etc.)
-            prot: parts[4],          // Protocole (tcp, udp, icmp, all, etc.)
-            opt: parts[5],           // Options
-            source: parts[6],        // Adresse source
-            destination: parts[7],   // Adresse destination
-            extra: extraString,      // Informations supplémentaires (ports, etc.)
-            // Champs parsés pour faciliter l'affichage
-            sourcePort: parsedExtra.sourcePort,
-            destPort: parsedExtra.destPort,
-            toDestIP: parsedExtra.toDestIP,
-            toDestPort: parsedExtra.toDestPort,
-            toDestination: parsedExtra.toDestination
-          });
-        }
-      }
-    }
+  /**
+   * Liste les instantanés de l'hôte connecté pour une famille d'adresses
+   *
+   * En nftables natif, un instantané couvre tout le jeu de règles : la famille
+   * n'est pas filtrée.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} [family='ipv4'] - Famille d'adresses: 'ipv4' ou 'ipv6'
+   * @returns {Array<Object>} Métadonnées des instantanés, du plus récent au plus ancien
+   */
+  listSnapshots(sessionId, family = 'ipv4') {
+    const backend = this.getBackend(sessionId).name;
+    return snapshotService.list(this.getHostKey(sessionId)).filter(s => (s.backend || 'iptables') === backend
+      && (backend === 'nftables' || (s.family || 'ipv4') === family));
+  }
 
-    // Ajouter la dernière chaîne
-    if (currentChain) {
-      chains.push({ chain: currentChain, rules });
+  /**
+   * Lit un instantané de l'hôte connecté
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} id - Identifiant de l'instantané
+   * @returns {Object} Instantané complet, avec sa configuration parsée (tables, vide en nftables)
+   * @throws {Error} Si l'instantané n'existe pas (status 404)
+   */
+  getSnapshot(sessionId, id) {
+    const snapshot = snapshotService.get(this.getHostKey(sessionId), id);
+    if (!snapshot) {
+      const error = new Error(`Instantané introuvable: ${id}`);
+      error.status = 404;
+      throw error;
     }
+    const tables = snapshot.backend === 'nftables' ? {} : this.parseIptablesSave(snapshot.ruleset);
+    return { ...snapshot, tables };
+  }
 
-    return chains;
+  /**
+   * Compare deux instantanés (ou un instantané et la configuration active)
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} fromId - Instantané de départ, ou 'live'
+   * @param {string} toId - Instantané d'arrivée, ou 'live'
+   * @param {string} [family='ipv4'] - Famille de la configuration active ('live')
+   * @returns {Promise<Object>} Diff (voir ruleset-diff)
+   */
+  async diffSnapshots(sessionId, fromId, toId, family = 'ipv4') {
+    this.requireIptables(sessionId);
+    const load = async (id) => (id === 'live'
+      ? this.getIptablesSave(sessionId, family)
+      : this.getSnapshot(sessionId, id).tables);
+    const [from, to] = await Promise.all([load(fromId), load(toId)]);
+    return diffRulesets(from, to);
   }
 
   /**
-   * Parse les champs supplémentaires dans la sortie de 'iptables -L'
+   * Remet la configuration active dans l'état d'un instantané
+   *
+   * L'instantané est vérifié avec iptables-restore --test puis chargé avec
+   * iptables-restore (nft -c -f puis nft -f pour un instantané nftables).
+   * Comme toute modification, l'état actuel est lui-même enregistré dans
+   * l'historique avant le retour arrière.
    *
-   * Extrait les informations détaillées comme les ports et adresses de destination
-   * depuis la colonne 'extra' de la sortie iptables.
+   * @param {string} sessionId - ID de session
+   * @param {string} id - Identifiant de l'instantané
+   * @param {Object} [options={}] - Options de la modification (voir applyChange)
+   * @returns {Promise<Object>} { success: true, message: string, pendingConfirmation: Object|null }
+   * @throws {Error} Si l'instantané n'existe pas (404) ou si la restauration échoue
+   */
+  async rollbackToSnapshot(sessionId, id, options = {}) {
+    const snapshot = this.getSnapshot(sessionId, id);
+    // Un instantané est restauré avec son propre backend et dans sa propre famille,
+    // quelle que soit celle demandée
+    const family = snapshot.family || 'ipv4';
+    const { restore, test } = this.backends[snapshot.backend || 'iptables'].commands(family);
+
+    await this.executeCommand(sessionId, test, { input: snapshot.ruleset });
+    const pendingConfirmation = await this.applyChange(
+      sessionId,
+      restore,
+      { ...options, family, input: snapshot.ruleset }
+    );
+
+    return {
+      success: true,
+      message: `Configuration du ${snapshot.timestamp} restaurée`,
+      pendingConfirmation
+    };
+  }
+
+  // ==========================================================================
+  // MÉTHODES DE COMMIT CONFIRMÉ
+  // ==========================================================================
+
+  /**
+   * Arme un retour arrière automatique sur le serveur distant
    *
-   * Exemples d'entrée:
-   * - "tcp dpt:19070 to:192.168.127.70:9001"
-   * - "tcp spt:443 dpt:80"
-   * - "udp dpts:5000:6000"
+   * Enregistre un instantané iptables-save (nft list ruleset en nftables) dans un
+   * fichier temporaire du serveur, puis lance en arrière-plan un minuteur
+   * (sleep N && iptables-restore) qui restaure cet instantané. Le minuteur tourne sur le serveur lui-même : il
+   * s'exécute même si la connexion SSH est coupée par la modification.
    *
-   * @param {string} extraString - Chaîne contenant les informations supplémentaires
-   * @returns {Object} Objet avec les champs parsés (ports, IPs de destination)
+   * @param {string} sessionId - ID de session
+   * @param {number} timeout - Délai de confirmation en secondes
+   * @param {string} [family='ipv4'] - Famille d'adresses modifiée (iptables ou ip6tables)
+   * @returns {Promise<Object>} { id, timeout, expiresAt }
+   * @throws {Error} Si une modification attend déjà confirmation (status 409)
    */
-  parseExtraFields(extraString) {
-    const result = {
-      sourcePort: null,        // Port source (spt)
-      destPort: null,          // Port destination (dpt/dpts)
-      toDestIP: null,          // IP de destination (pour DNAT/SNAT)
-      toDestPort: null,        // Port de destination (pour DNAT/SNAT)
-      toDestination: null      // Destination complète IP:port
+  async armRollback(sessionId, timeout, family = 'ipv4') {
+    const { save, restore } = this.getBackend(sessionId).commands(family);
+    const key = this.getConnectionKey(sessionId);
+    if (this.pendingConfirmations.has(key)) {
+      const error = new Error('Une modification attend déjà confirmation. Confirmez-la ou annulez-la d\'abord.');
+      error.status = 409;
+      throw error;
+    }
+
+    // Instantané lisible uniquement par l'utilisateur SSH (umask 077)
+    const snapshot = (await this.executeCommand(
+      sessionId,
+      `umask 077 && f=$(mktemp /tmp/iptables-manager.XXXXXX) && ${save} > "$f" && echo "$f"`
+    )).trim();
+
+    // Minuteur détaché de la session SSH : restaure l'instantané à l'échéance
+    const script = `sleep ${Number(timeout)} && ${restore} < ${snapshot}; rm -f ${snapshot}`;
+    const pid = (await this.executeCommand(
+      sessionId,
+      `nohup sh -c ${ruleModel.shellQuote(script)} > /dev/null 2>&1 & echo $!`
+    )).trim();
+
+    const expiresAt = Date.now() + timeout * 1000;
+
+    // Oublie le changement en attente une fois que le serveur l'a annulé
+    const timer = setTimeout(() => {
+      const current = this.pendingConfirmations.get(key);
+      if (current && current.pid === pid) {
+        this.pendingConfirmations.delete(key);
+        console.log(`Délai de confirmation dépassé pour ${key}: configuration restaurée`);
+      }
+    }, timeout * 1000 + 1000);
+    timer.unref();
+
+    const pending = {
+      id: crypto.randomBytes(8).toString('hex'),
+      pid,
+      snapshot,
+      restore,
+      family,
+      timeout,
+      expiresAt,
+      timer
     };
+    this.pendingConfirmations.set(key, pending);
 
-    if (!extraString) return result;
+    return this.getPendingConfirmation(sessionId);
+  }
 
-    // Parse source port (spt:xxx)
-    const sptMatch = extraString.match(/spt:(\d+)/);
-    if (sptMatch) {
-      result.sourcePort = sptMatch[1];
+  /**
+   * Confirme la modification en attente
+   *
+   * La confirmation passe volontairement par une NOUVELLE connexion SSH : si la
+   * modification a coupé l'accès au serveur, la confirmation échoue et le
+   * minuteur restaure la configuration précédente.
+   *
+   * @param {string} sessionId - ID de session
+   * @returns {Promise<Object>} { success: true, message: string }
+   * @throws {Error} Si aucune modification n'est en attente (404) ou si le délai est dépassé (410)
+   */
+  async confirmChanges(sessionId) {
+    const pending = this.pendingConfirmations.get(this.getConnectionKey(sessionId));
+    if (!pending) {
+      const error = new Error('Aucune modification en attente de confirmation');
+      error.status = 404;
+      throw error;
     }
 
-    // Parse destination port (dpt:xxx ou dpts:xxx pour range)
-    const dptMatch = extraString.match(/dpts?:(\d+(?::\d+)?)/);
-    if (dptMatch) {
-      result.destPort = dptMatch[1];
+    const expired = new Error('Délai de confirmation dépassé: la configuration précédente a été restaurée');
+    expired.status = 410;
+
+    if (Date.now() > pending.expiresAt) {
+      this.clearPendingConfirmation(sessionId);
+      throw expired;
     }
 
-    // Parse to-destination (to:IP:port) pour les règles NAT
-    const toMatch = extraString.match(/to:([\d.]+):?(\d+)?/);
-    if (toMatch) {
-      result.toDestIP = toMatch[1];
-      result.toDestPort = toMatch[2] || null;
-      result.toDestination = toMatch[2] ? `${toMatch[1]}:${toMatch[2]}` : toMatch[1];
+    const conn = await this.openConnection(this.getConfig(sessionId));
+    try {
+      await this.runCommand(conn, `kill ${pending.pid} && rm -f ${pending.snapshot}`);
+    } catch (error) {
+      // Le minuteur n'existe plus : il s'est déjà déclenché
+      this.clearPendingConfirmation(sessionId);
+      throw expired;
+    } finally {
+      conn.end();
+    }
+
+    this.clearPendingConfirmation(sessionId);
+    return { success: true, message: 'Modifications confirmées' };
+  }
+
+  /**
+   * Annule la modification en attente et restaure immédiatement l'instantané
+   *
+   * @param {string} sessionId - ID de session
+   * @param {Object} [options={}] - Contexte du journal d'audit (author, sourceIp)
+   * @returns {Promise<Object>} { success: true, message: string }
+   * @throws {Error} Si aucune modification n'est en attente (404) ou si la restauration échoue
+   */
+  async rollbackChanges(sessionId, options = {}) {
+    const pending = this.pendingConfirmations.get(this.getConnectionKey(sessionId));
+    if (!pending) {
+      const error = new Error('Aucune modification en attente de confirmation');
+      error.status = 404;
+      throw error;
     }
 
-    return result;
+    const command = `kill ${pending.pid}; ${pending.restore} < ${pending.snapshot} && rm -f ${pending.snapshot}`;
+    const auditOptions = { ...options, family: pending.family };
+    const before = await this.readFingerprint(sessionId, pending.family);
+    try {
+      await this.executeCommand(sessionId, command);
+    } catch (error) {
+      this.recordAudit(sessionId, {
+        command, before, result: 'failure', error: error.message, stderr: error.stderr, pendingConfirmation: pending.id
+      }, auditOptions);
+      throw error;
+    }
+    this.clearPendingConfirmation(sessionId);
+    this.recordAudit(sessionId, {
+      command, before, after: await this.readFingerprint(sessionId, pending.family), result: 'success', pendingConfirmation: pending.id
+    }, auditOptions);
+    return { success: true, message: 'Configuration précédente restaurée' };
   }
 
+  /**
+   * Désarme le minuteur sans restaurer (la modification n'a pas été appliquée)
+   *
+   * @param {string} sessionId - ID de session
+   * @returns {Promise<void>}
+   */
+  async cancelRollback(sessionId) {
+    const pending = this.pendingConfirmations.get(this.getConnectionKey(sessionId));
+    if (!pending) return;
+    this.clearPendingConfirmation(sessionId);
+    await this.executeCommand(sessionId, `kill ${pending.pid}; rm -f ${pending.snapshot}`);
+  }
+
+  /**
+   * Retourne la modification en attente de confirmation sur l'hôte actif
+   *
+   * @param {string} sessionId - ID de session
+   * @returns {Object|null} { id, timeout, expiresAt, remaining } ou null
+   */
+  getPendingConfirmation(sessionId) {
+    if (!this.isConnected(sessionId)) return null;
+    const pending = this.pendingConfirmations.get(this.getConnectionKey(sessionId));
+    if (!pending) return null;
+    return {
+      id: pending.id,
+      timeout: pending.timeout,
+      expiresAt: new Date(pending.expiresAt).toISOString(),
+      remaining: Math.max(0, Math.round((pending.expiresAt - Date.now()) / 1000))
+    };
+  }
+
+  /**
+   * Oublie localement la modification en attente d'une session
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} [hostId] - Hôte concerné (par défaut: hôte actif)
+   */
+  clearPendingConfirmation(sessionId, hostId = this.activeHosts.get(sessionId)) {
+    const key = `${sessionId}:${hostId}`;
+    const pending = this.pendingConfirmations.get(key);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.pendingConfirmations.delete(key);
+    }
+  }
+
+  // ==========================================================================
+  // MÉTHODES DE PARSING
+  // ==========================================================================
+
   /**
    * Parse la sortie de 'iptables-save'
    *
@@ -461,64 +1379,50 @@ class SSHService {
   }
 
   /**
-   * Parse le contenu d'une règle iptables pour extraire les informations clés
-   *
-   * Analyse une règle iptables et extrait ses composants principaux.
+   * Reconstruit un texte au format iptables-save à partir de la configuration parsée
    *
-   * Exemple d'entrée: "-p tcp -s 192.168.1.0/24 -d 10.0.0.1 --dport 80 -j ACCEPT"
+   * Opération inverse de parseIptablesSave : le résultat peut être passé à
+   * iptables-restore. Les compteurs des chaînes sont remis à zéro.
    *
-   * @param {string} content - Contenu de la règle à parser
-   * @returns {Object} Objet avec les composants de la règle parsés
+   * @param {Object} tables - Configuration parsée ({ filter: [{chain, policy, rules}], ... })
+   * @param {Array<string>} [tableNames] - Tables à inclure (par défaut: toutes)
+   * @returns {string} Texte au format iptables-save
    */
-  parseRuleContent(content) {
-    const parsed = {
-      protocol: null,       // Protocole (-p)
-      source: null,         // Source (-s)
-      destination: null,    // Destination (-d)
-      sport: null,          // Port source (--sport)
-      dport: null,          // Port destination (--dport)
-      target: null,         // Action/cible (-j)
-      toDestination: null,  // Destination NAT (--to-destination)
-      other: []             // Autres options non parsées
-    };
+  serializeIptablesSave(tables, tableNames = Object.keys(tables)) {
+    const lines = [];
 
-    const tokens = content.split(/\s+/);
-
-    // Parcours des tokens pour extraire les options
-    for (let i = 0; i < tokens.length; i++) {
-      const token = tokens[i];
-
-      switch (token) {
-        case '-p':
-          parsed.protocol = tokens[++i];
-          break;
-        case '-s':
-          parsed.source = tokens[++i];
-          break;
-        case '-d':
-          parsed.destination = tokens[++i];
-          break;
-        case '--sport':
-          parsed.sport = tokens[++i];
-          break;
-        case '--dport':
-          parsed.dport = tokens[++i];
-          break;
-        case '-j':
-          parsed.target = tokens[++i];
-          break;
-        case '--to-destination':
-          parsed.toDestination = tokens[++i];
-          break;
-        default:
-          // Ajoute les autres options non reconnues
-          if (token.startsWith('-')) {
-            parsed.other.push(token + (tokens[i + 1] && !tokens[i + 1].startsWith('-') ? ' ' + tokens[++i] : ''));
-          }
+    for (const table of tableNames) {
+      if (!tables[table]) continue;
+      lines.push(`*${table}`);
+      for (const chain of tables[table]) {
+        lines.push(`:${chain.chain} ${chain.policy} [0:0]`);
+      }
+      for (const chain of tables[table]) {
+        for (const rule of chain.rules) {
+          lines.push(rule.raw);
+        }
       }
+      lines.push('COMMIT');
     }
 
-    return parsed;
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Parse le contenu d'une règle iptables (voir services/iptables-parser)
+   *
+   * Exemple d'entrée: "-p tcp -s 192.168.1.0/24 -m tcp --dport 80 -m comment --comment \"web\" -j ACCEPT"
+   *
+   * @param {string} content - Contenu de la règle à parser (sans "-A CHAÎNE")
+   * @returns {Object|null} Règle parsée { options, matches, target }, null si la ligne
+   *   n'est pas une spécification valide
+   */
+  parseRuleContent(content) {
+    try {
+      return iptablesParser.parseRule(content);
+    } catch (error) {
+      return null;
+    }
   }
 
   // ==========================================================================
@@ -526,18 +1430,34 @@ class SSHService {
   // ==========================================================================
 
   /**
-   * Ferme la connexion SSH pour une session
+   * Ferme une ou toutes les connexions SSH d'une session
    *
    * Termine proprement la connexion SSH et la retire de la Map des connexions.
+   * Si l'hôte actif est fermé, un autre hôte encore connecté devient actif.
    *
    * @param {string} sessionId - ID de session
+   * @param {string} [hostId] - Hôte à déconnecter (par défaut: tous les hôtes de la session)
    */
-  disconnect(sessionId) {
-    const conn = this.connections.get(sessionId);
-    if (conn) {
-      conn.end();
+  disconnect(sessionId, hostId = null) {
+    const hosts = this.connections.get(sessionId);
+    if (!hosts) return;
+
+    const targets = hostId ? [hostId] : [...hosts.keys()];
+    for (const target of targets) {
+      const entry = hosts.get(target);
+      if (!entry) continue;
+      entry.conn.end();
+      hosts.delete(target);
+      // Un éventuel minuteur distant reste armé : sans confirmation, il restaurera l'instantané
+      this.clearPendingConfirmation(sessionId, target);
+      console.log(`Connexion SSH vers ${target} fermée pour la session ${sessionId}`);
+    }
+
+    if (hosts.size === 0) {
       this.connections.delete(sessionId);
-      console.log(`Connexion SSH fermée pour la session ${sessionId}`);
+      this.activeHosts.delete(sessionId);
+    } else if (!hosts.has(this.activeHosts.get(sessionId))) {
+      this.activeHosts.set(sessionId, hosts.keys().next().value);
     }
   }
 
@@ -545,10 +1465,10 @@ class SSHService {
    * Vérifie si une session a une connexion SSH active
    *
    * @param {string} sessionId - ID de session
-   * @returns {boolean} true si la connexion existe et est active
+   * @returns {boolean} true si la session a un hôte actif connecté
    */
   isConnected(sessionId) {
-    return this.connections.has(sessionId);
+    return this.getActiveConnection(sessionId) !== null;
   }
 }
 
@@ -0,0 +1,669 @@
+/**
+ * Service des modèles de règles
+ *
+ * Un modèle décrit un jeu de règles structurées (voir services/rule-model)
+ * dont certaines valeurs sont des paramètres typés :
+ *
+ *   name: Autoriser SSH depuis le réseau d'administration
+ *   description: ...                 # facultatif
+ *   families: [ipv4, ipv6]           # facultatif, les deux par défaut
+ *   parameters:
+ *     source: { type: address, label: Réseau d'administration, required: true }
+ *     port: { type: port, label: Port SSH, default: "22" }
+ *   rules:
+ *     - chain: INPUT                 # table: filter par défaut
+ *       position: top                # top (en tête, dans l'ordre) ou bottom (par défaut)
+ *       protocol: tcp
+ *       source: "{{source}}"
+ *       destPort: "{{port}}"
+ *       target: ACCEPT
+ *
+ * Une valeur "{{nom}}" est remplacée par le paramètre ; si le paramètre est
+ * vide, le champ est retiré de la règle (ex: interface facultative). Une règle
+ * peut ne dépendre que d'un paramètre (when: nom) ou d'une famille (family: ipv6).
+ *
+ * Les modèles fournis sont dans templates/ ; chaque équipe peut ajouter les
+ * siens, un fichier YAML ou JSON par modèle, dans le répertoire TEMPLATES_DIR
+ * (par défaut data/templates). L'identifiant d'un modèle est le nom de son
+ * fichier : un modèle d'équipe remplace le modèle fourni de même identifiant.
+ *
+ * Les règles générées sont ajoutées en une seule opération
+ * (iptables-restore --noflush avec des lignes -A et -I) ; celles qui sont déjà
+ * présentes dans leur chaîne ne sont pas ajoutées une seconde fois.
+ *
+ * @module services/template-service
+ * @requires fs
+ * @requires path
+ * @requires js-yaml
+ * @requires ./ssh-service
+ * @requires ./rule-model
+ * @requires ./iptables-parser
+ * @requires ./changeset-service
+ * @requires ./ruleset-diff
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const sshService = require('./ssh-service');
+const ruleModel = require('./rule-model');
+const iptablesParser = require('./iptables-parser');
+const changesetService = require('./changeset-service');
+const { diffRulesets } = require('./ruleset-diff');
+
+/**
+ * Répertoire des modèles fournis avec l'application
+ */
+const BUILTIN_DIR = path.join(__dirname, '..', 'templates');
+
+/**
+ * Extensions des fichiers de modèles
+ */
+const EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+/**
+ * Types de paramètres, associés au type de valeur de rule-model (clé de PATTERNS)
+ * boolean et choice (liste options) sont vérifiés à part.
+ */
+const PARAMETER_TYPES = {
+  address: 'address',
+  port: 'port',
+  ports: 'portList',
+  interface: 'interface',
+  integer: 'integer',
+  rate: 'rate',
+  text: 'comment',
+  boolean: null,
+  choice: null
+};
+
+/**
+ * Formats des identifiants de modèles et des noms de paramètres
+ */
+const TEMPLATE_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const PARAMETER_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,31}$/;
+
+/**
+ * Paramètre "{{nom}}" dans une valeur
+ */
+const PLACEHOLDER = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Champs propres aux modèles dans la description d'une règle
+ */
+const RULE_TEMPLATE_FIELDS = ['position', 'when', 'family'];
+
+/**
+ * Crée une erreur portant un code HTTP
+ *
+ * @param {number} status - Code HTTP à renvoyer
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur avec la propriété status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Crée une erreur de validation (400) détaillée
+ *
+ * @param {string} message - Message d'erreur
+ * @param {Array<string>} errors - Détails
+ * @returns {Error} Erreur avec status 400 et la liste errors
+ */
+function validationError(message, errors) {
+  const error = httpError(400, message);
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * Liste les paramètres "{{nom}}" utilisés dans une valeur (récursivement)
+ *
+ * @param {*} value - Valeur de la description d'une règle
+ * @param {Set<string>} [names=new Set()] - Noms trouvés
+ * @returns {Set<string>} Noms des paramètres
+ */
+function placeholders(value, names = new Set()) {
+  if (typeof value === 'string') {
+    for (const [, name] of value.matchAll(PLACEHOLDER)) {
+      names.add(name);
+    }
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => placeholders(item, names));
+  }
+  return names;
+}
+
+/**
+ * Remplace les paramètres dans une valeur (récursivement)
+ *
+ * Une valeur réduite à "{{nom}}" prend la valeur du paramètre, ou disparaît
+ * (undefined) si le paramètre est vide. Les champs disparus sont retirés des
+ * objets, et les modules de correspondance sans option sont retirés.
+ *
+ * @param {*} value - Valeur de la description d'une règle
+ * @param {Object} values - Valeurs des paramètres
+ * @returns {*} Valeur avec les paramètres remplacés
+ */
+function substitute(value, values) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}$/);
+    if (whole) {
+      const resolved = values[whole[1]];
+      return resolved === undefined || resolved === '' ? undefined : resolved;
+    }
+    return value.replace(PLACEHOLDER, (_, name) => (values[name] === undefined ? '' : String(values[name])));
+  }
+  if (Array.isArray(value)) {
+    return value
+      .map(item => substitute(item, values))
+      .filter(item => item !== undefined && !(item && item.module && Object.keys(item.options || {}).length === 0));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      const resolved = substitute(item, values);
+      if (resolved !== undefined) {
+        result[key] = resolved;
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Vérifie et normalise la description d'un modèle
+ *
+ * @param {string} id - Identifiant du modèle (nom du fichier)
+ * @param {Object} document - Modèle lu dans le fichier
+ * @returns {Object} Modèle { id, name, description, families, parameters, rules }
+ * @throws {Error} Si le modèle est invalide (400, liste errors)
+ */
+function normalizeTemplate(id, document) {
+  const errors = [];
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw validationError(`Modèle ${id} invalide`, ['Le modèle doit être un objet']);
+  }
+  if (!TEMPLATE_ID_PATTERN.test(id)) {
+    errors.push(`Identifiant invalide: ${id} (lettres, chiffres, - et _)`);
+  }
+  if (typeof document.name !== 'string' || !document.name.trim()) {
+    errors.push('Nom (name) manquant');
+  }
+
+  const families = document.families === undefined ? Object.keys(ruleModel.FAMILIES) : document.families;
+  if (!Array.isArray(families) || families.length === 0 || families.some(f => !ruleModel.FAMILIES[f])) {
+    errors.push(`families doit lister des familles parmi: ${Object.keys(ruleModel.FAMILIES).join(', ')}`);
+  }
+
+  const parameters = [];
+  const declared = document.parameters || {};
+  if (typeof declared !== 'object' || Array.isArray(declared)) {
+    errors.push('parameters doit être un objet { nom: { type, label, ... } }');
+  } else {
+    for (const [name, spec] of Object.entries(declared)) {
+      if (!PARAMETER_NAME_PATTERN.test(name)) {
+        errors.push(`Nom de paramètre invalide: ${name}`);
+        continue;
+      }
+      if (!spec || !Object.prototype.hasOwnProperty.call(PARAMETER_TYPES, spec.type)) {
+        errors.push(`Paramètre ${name}: type inconnu (attendu: ${Object.keys(PARAMETER_TYPES).join(', ')})`);
+        continue;
+      }
+      if (spec.type === 'choice' && (!Array.isArray(spec.options) || spec.options.length === 0)) {
+        errors.push(`Paramètre ${name}: le type choice nécessite une liste options`);
+        continue;
+      }
+      parameters.push({
+        name,
+        type: spec.type,
+        label: spec.label || name,
+        description: spec.description || '',
+        required: spec.required === true,
+        default: spec.default === undefined ? null : spec.default,
+        options: spec.type === 'choice' ? spec.options.map(String) : undefined
+      });
+    }
+  }
+
+  const names = new Set(parameters.map(p => p.name));
+  if (!Array.isArray(document.rules) || document.rules.length === 0) {
+    errors.push('rules doit contenir au moins une règle');
+  } else {
+    document.rules.forEach((rule, index) => {
+      const where = `Règle ${index + 1}`;
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        errors.push(`${where}: la règle doit être un objet (règle structurée)`);
+        return;
+      }
+      if (rule.table !== undefined && !ruleModel.TABLES.includes(rule.table)) {
+        errors.push(`${where}: table inconnue: ${rule.table}`);
+      }
+      if (!rule.chain) {
+        errors.push(`${where}: chaîne (chain) manquante`);
+      }
+      if (rule.position !== undefined && !['top', 'bottom'].includes(rule.position)) {
+        errors.push(`${where}: position invalide: ${rule.position} (attendu: top, bottom)`);
+      }
+      if (rule.when !== undefined && !names.has(rule.when)) {
+        errors.push(`${where}: when fait référence à un paramètre inconnu: ${rule.when}`);
+      }
+      if (rule.family !== undefined && !ruleModel.FAMILIES[rule.family]) {
+        errors.push(`${where}: famille inconnue: ${rule.family}`);
+      }
+      for (const name of placeholders(rule)) {
+        if (!names.has(name)) {
+          errors.push(`${where}: paramètre non déclaré: {{${name}}}`);
+        }
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    throw validationError(`Modèle ${id} invalide`, errors);
+  }
+  return {
+    id,
+    name: document.name.trim(),
+    description: typeof document.description === 'string' ? document.description.trim() : '',
+    families,
+    parameters,
+    rules: document.rules
+  };
+}
+
+/**
+ * Vérifie les valeurs des paramètres d'un modèle
+ *
+ * Les valeurs absentes ou vides prennent la valeur par défaut ; les booléens
+ * acceptent aussi 'true' et 'false' (formulaires, query string).
+ *
+ * @param {Object} template - Modèle (voir normalizeTemplate)
+ * @param {Object} provided - Valeurs reçues { nom: valeur }
+ * @param {string} family - Famille d'adresses
+ * @returns {Object} Valeurs de tous les paramètres (undefined pour un paramètre facultatif vide)
+ * @throws {Error} Si un paramètre est inconnu, manquant ou invalide (400, liste errors)
+ */
+function resolveParameters(template, provided, family) {
+  const errors = [];
+  const values = {};
+  const input = provided && typeof provided === 'object' ? provided : {};
+
+  for (const name of Object.keys(input)) {
+    if (!template.parameters.some(p => p.name === name)) {
+      errors.push(`Paramètre inconnu: ${name}`);
+    }
+  }
+
+  for (const parameter of template.parameters) {
+    let value = input[parameter.name];
+    if (value === undefined || value === null || value === '') {
+      value = parameter.default === null ? undefined : parameter.default;
+    }
+    if (value === undefined) {
+      if (parameter.required) {
+        errors.push(`Paramètre requis: ${parameter.label} (${parameter.name})`);
+      }
+      values[parameter.name] = undefined;
+      continue;
+    }
+
+    if (parameter.type === 'boolean') {
+      if (value === true || value === 'true') {
+        values[parameter.name] = true;
+      } else if (value === false || value === 'false') {
+        values[parameter.name] = false;
+      } else {
+        errors.push(`Valeur invalide pour ${parameter.name} (boolean): ${value} (attendu: true ou false)`);
+      }
+      continue;
+    }
+
+    const text = String(value).trim();
+    let valid;
+    if (parameter.type === 'choice') {
+      valid = parameter.options.includes(text);
+    } else {
+      const type = PARAMETER_TYPES[parameter.type];
+      const pattern = family === 'ipv6' && ruleModel.PATTERNS[`${type}6`] ? ruleModel.PATTERNS[`${type}6`] : ruleModel.PATTERNS[type];
+      valid = typeof value !== 'object' && pattern.test(text);
+    }
+    if (valid) {
+      values[parameter.name] = text;
+    } else {
+      errors.push(`Valeur invalide pour ${parameter.name} (${parameter.type}): ${value}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw validationError('Paramètres du modèle invalides', errors);
+  }
+  return values;
+}
+
+/**
+ * Contenu comparable d'une règle (forme d'iptables-save)
+ *
+ * @param {string} content - Spécification de la règle
+ * @returns {string} Spécification normalisée
+ */
+function comparableContent(content) {
+  try {
+    return iptablesParser.canonicalizeRule(iptablesParser.parseRule(content));
+  } catch (error) {
+    return content.trim().replace(/\s+/g, ' ');
+  }
+}
+
+/**
+ * Classe TemplateService
+ * Lit les modèles de règles et génère, prévisualise ou applique leurs règles
+ */
+class TemplateService {
+  /**
+   * Constructeur
+   *
+   * @param {string} [dir] - Répertoire des modèles d'équipe (variable TEMPLATES_DIR,
+   *   par défaut data/templates)
+   */
+  constructor(dir = process.env.TEMPLATES_DIR || path.join(__dirname, '..', 'data', 'templates')) {
+    this.dir = dir;
+  }
+
+  // ==========================================================================
+  // LECTURE DES MODÈLES
+  // ==========================================================================
+
+  /**
+   * Lit les modèles d'un répertoire
+   *
+   * @param {string} dir - Répertoire
+   * @param {string} source - 'builtin' ou 'custom'
+   * @returns {{templates: Array<Object>, invalid: Array<Object>}} Modèles valides,
+   *   et fichiers refusés { file, source, errors }
+   */
+  readDirectory(dir, source) {
+    const templates = [];
+    const invalid = [];
+    if (!fs.existsSync(dir)) {
+      return { templates, invalid };
+    }
+
+    for (const file of fs.readdirSync(dir).sort()) {
+      const extension = path.extname(file);
+      if (!EXTENSIONS.includes(extension)) continue;
+      try {
+        const text = fs.readFileSync(path.join(dir, file), 'utf8');
+        let document;
+        try {
+          document = extension === '.json' ? JSON.parse(text) : yaml.safeLoad(text);
+        } catch (error) {
+          throw validationError('Fichier illisible', [error.message]);
+        }
+        templates.push({ ...normalizeTemplate(path.basename(file, extension), document), source });
+      } catch (error) {
+        invalid.push({ file, source, errors: error.errors || [error.message] });
+      }
+    }
+    return { templates, invalid };
+  }
+
+  /**
+   * Liste les modèles fournis et ceux de l'équipe
+   *
+   * Les fichiers sont relus à chaque appel : un modèle ajouté dans
+   * TEMPLATES_DIR est disponible sans redémarrer le serveur.
+   *
+   * @returns {{templates: Array<Object>, invalid: Array<Object>}} Modèles triés par nom,
+   *   et fichiers refusés { file, source, errors }
+   */
+  list() {
+    const builtin = this.readDirectory(BUILTIN_DIR, 'builtin');
+    const custom = this.readDirectory(this.dir, 'custom');
+    const byId = new Map();
+    for (const template of [...builtin.templates, ...custom.templates]) {
+      byId.set(template.id, template);
+    }
+    return {
+      templates: [...byId.values()].sort((a, b) => a.name.localeCompare(b.name)),
+      invalid: [...builtin.invalid, ...custom.invalid]
+    };
+  }
+
+  /**
+   * Retourne un modèle
+   *
+   * @param {string} id - Identifiant du modèle
+   * @returns {Object} Modèle
+   * @throws {Error} Si le modèle n'existe pas (404)
+   */
+  get(id) {
+    const template = this.list().templates.find(t => t.id === id);
+    if (!template) {
+      throw httpError(404, `Modèle introuvable: ${id}`);
+    }
+    return template;
+  }
+
+  /**
+   * Tables dans lesquelles un modèle ajoute des règles
+   *
+   * @param {Object} template - Modèle
+   * @returns {Array<string>} Tables
+   */
+  tablesOf(template) {
+    return [...new Set(template.rules.map(rule => rule.table || 'filter'))];
+  }
+
+  // ==========================================================================
+  // GÉNÉRATION ET APPLICATION
+  // ==========================================================================
+
+  /**
+   * Génère les règles d'un modèle pour des valeurs de paramètres
+   *
+   * @param {string} id - Identifiant du modèle
+   * @param {Object} [values={}] - Valeurs des paramètres
+   * @param {string} [family='ipv4'] - Famille d'adresses
+   * @returns {Object} { template, values, rules } ; rules: [{ table, chain, position
+   *   ('top' ou 'bottom'), rule (règle structurée), content }]
+   * @throws {Error} Si le modèle n'existe pas (404), n'est pas disponible pour la famille,
+   *   ou si les paramètres ou les règles générées sont invalides (400, liste errors)
+   */
+  render(id, values = {}, family = 'ipv4') {
+    const template = this.get(id);
+    if (!template.families.includes(family)) {
+      throw httpError(400, `Le modèle ${template.name} n'est pas disponible en ${family}`);
+    }
+    const resolved = resolveParameters(template, values, family);
+
+    const errors = [];
+    const rules = [];
+    template.rules.forEach((definition, index) => {
+      if (definition.family && definition.family !== family) return;
+      if (definition.when && !resolved[definition.when]) return;
+
+      const fields = Object.fromEntries(Object.entries(definition).filter(([key]) => !RULE_TEMPLATE_FIELDS.includes(key)));
+      const rule = { table: 'filter', ...substitute(fields, resolved) };
+      const { valid, errors: ruleErrors } = ruleModel.validateRule(rule, family);
+      if (!valid) {
+        errors.push(...ruleErrors.map(message => `Règle ${index + 1}: ${message}`));
+        return;
+      }
+      rules.push({
+        table: rule.table,
+        chain: rule.chain,
+        position: definition.position || 'bottom',
+        rule,
+        content: ruleModel.toRestoreLine(ruleModel.buildRuleSpec(rule, family))
+      });
+    });
+
+    if (errors.length > 0) {
+      throw validationError('Règles générées invalides', errors);
+    }
+    return { template, values: resolved, rules };
+  }
+
+  /**
+   * Prépare l'application d'un modèle sur l'hôte actif
+   *
+   * Les règles déjà présentes dans leur chaîne sont marquées (present) et
+   * écartées. Les règles "top" sont insérées en tête de chaîne dans l'ordre du
+   * modèle, les autres ajoutées en fin de chaîne.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} id - Identifiant du modèle
+   * @param {Object} values - Valeurs des paramètres
+   * @param {Object} family - Famille d'adresses (voir ruleModel.getFamily)
+   * @returns {Promise<Object>} { template, values, rules, changes, script, result, diff, fingerprint }
+   * @throws {Error} Si une chaîne du modèle n'existe pas sur l'hôte (409)
+   */
+  async prepare(sessionId, id, values, family) {
+    const { template, values: resolved, rules } = this.render(id, values, family.name);
+    sshService.requireIptables(sessionId);
+    const output = await sshService.executeCommand(sessionId, `sudo ${family.save}`);
+    const live = sshService.parseIptablesSave(output);
+
+    const inserted = new Map();
+    const changes = [];
+    for (const entry of rules) {
+      const chain = (live[entry.table] || []).find(c => c.chain === entry.chain);
+      const wanted = comparableContent(entry.content);
+      entry.present = Boolean(chain) && chain.rules.some(rule => comparableContent(rule.content) === wanted);
+      if (entry.present) continue;
+
+      if (entry.position === 'top') {
+        const key = `${entry.table}/${entry.chain}`;
+        inserted.set(key, (inserted.get(key) || 0) + 1);
+        changes.push({ type: 'insert', table: entry.table, chain: entry.chain, position: inserted.get(key), rule: entry.rule });
+      } else {
+        changes.push({ type: 'add', table: entry.table, chain: entry.chain, rule: entry.rule });
+      }
+    }
+
+    // Configuration attendue (409 si une chaîne du modèle n'existe pas)
+    const { tables: result, touchedTables } = changesetService.computeResult(live, changes, family.name);
+
+    let script = '';
+    for (const table of touchedTables) {
+      const lines = changes
+        .filter(change => change.table === table)
+        .map(change => {
+          const content = ruleModel.toRestoreLine(ruleModel.buildRuleSpec(change.rule, family.name));
+          return change.type === 'insert' ? `-I ${change.chain} ${change.position} ${content}` : `-A ${change.chain} ${content}`;
+        });
+      script += `*${table}\n${lines.join('\n')}\nCOMMIT\n`;
+    }
+
+    return {
+      template,
+      values: resolved,
+      rules,
+      changes,
+      script,
+      result: Object.fromEntries(touchedTables.map(table => [table, result[table]])),
+      diff: diffRulesets(live, result),
+      fingerprint: ruleModel.rulesetFingerprint(output)
+    };
+  }
+
+  /**
+   * Prévisualise les règles d'un modèle sur l'hôte actif, sans rien modifier
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} id - Identifiant du modèle
+   * @param {Object} [values={}] - Valeurs des paramètres
+   * @param {Object} [options={}] - { family }
+   * @returns {Promise<Object>} { template: { id, name }, family, rules: [{ table, chain,
+   *   position, content, present }], diff, script, fingerprint }
+   */
+  async preview(sessionId, id, values = {}, options = {}) {
+    const family = ruleModel.getFamily(options.family);
+    const prepared = await this.prepare(sessionId, id, values, family);
+    return {
+      template: { id: prepared.template.id, name: prepared.template.name },
+      family: family.name,
+      rules: prepared.rules.map(({ table, chain, position, content, present }) => ({ table, chain, position, content, present })),
+      diff: prepared.diff,
+      script: prepared.script,
+      fingerprint: prepared.fingerprint
+    };
+  }
+
+  /**
+   * Applique un modèle sur l'hôte actif en une seule opération
+   *
+   * Avec options.stage, les règles sont mises en file d'attente (voir
+   * services/changeset-service) au lieu d'être appliquées. Avec
+   * options.fingerprint (empreinte renvoyée par la prévisualisation), le modèle
+   * est refusé si la configuration active a changé depuis.
+   *
+   * @param {string} sessionId - ID de session
+   * @param {string} id - Identifiant du modèle
+   * @param {Object} [values={}] - Valeurs des paramètres
+   * @param {Object} [options={}] - { stage, fingerprint } et options de la modification
+   *   (voir SSHService.applyChange, dont family)
+   * @returns {Promise<Object>} { success, message, pendingConfirmation, rules } (et changes
+   *   avec stage)
+   * @throws {Error} Si la configuration a changé (409), ou si iptables-restore --test refuse les règles (400)
+   */
+  async apply(sessionId, id, values = {}, options = {}) {
+    const family = ruleModel.getFamily(options.family);
+    const { stage, fingerprint, ...changeOptions } = options;
+    const prepared = await this.prepare(sessionId, id, values, family);
+    const { template, changes, script } = prepared;
+    const rules = prepared.rules.map(({ table, chain, position, content, present }) => ({ table, chain, position, content, present }));
+    const skipped = rules.length - changes.length;
+    const present = skipped > 0 ? `, ${skipped} déjà présente(s)` : '';
+
+    if (fingerprint && fingerprint !== prepared.fingerprint) {
+      throw httpError(409, 'La configuration active a changé depuis la prévisualisation : vérifiez à nouveau le modèle');
+    }
+    if (changes.length === 0) {
+      return {
+        success: true,
+        message: `Aucune modification : les règles du modèle ${template.name} sont déjà présentes`,
+        pendingConfirmation: null,
+        rules
+      };
+    }
+
+    if (stage) {
+      for (const change of changes) {
+        await changesetService.stage(sessionId, change, family.name);
+      }
+      return {
+        success: true,
+        message: `Modèle ${template.name} : ${changes.length} règle(s) préparée(s)${present}`,
+        pendingConfirmation: null,
+        rules,
+        changes: changesetService.list(sessionId, family.name)
+      };
+    }
+
+    try {
+      await sshService.executeCommand(sessionId, `sudo ${family.restore} --noflush --test`, { input: script });
+    } catch (error) {
+      throw httpError(400, `Règles refusées par ${family.restore} --test: ${(error.stderr || error.message).trim()}`);
+    }
+
+    const pendingConfirmation = await sshService.applyChange(
+      sessionId,
+      `sudo ${family.restore} --noflush`,
+      { ...changeOptions, family: family.name, input: script, result: prepared.result }
+    );
+    return {
+      success: true,
+      message: `Modèle ${template.name} appliqué : ${changes.length} règle(s) ajoutée(s)${present}`,
+      pendingConfirmation,
+      rules
+    };
+  }
+}
+
+module.exports = new TemplateService();
@@ -0,0 +1,308 @@
+/**
+ * Service des jetons d'API (automatisation, intégration continue)
+ *
+ * Un jeton est envoyé dans l'en-tête `Authorization: Bearer <jeton>` à la
+ * place du cookie de session. Il appartient à un utilisateur de l'application
+ * et n'a jamais plus de droits que lui : son rôle et ses tables sont bornés
+ * par ceux du propriétaire, relus à chaque requête (supprimer ou rétrograder
+ * le propriétaire restreint ou invalide aussitôt ses jetons). Un jeton peut en
+ * plus être limité à certains hôtes de l'inventaire.
+ *
+ * Seule l'empreinte SHA-256 de la partie secrète est enregistrée : le jeton
+ * en clair n'est affiché qu'à sa création. Les jetons sont stockés dans un
+ * fichier JSON configurable via la variable d'environnement TOKENS_FILE
+ * (par défaut: data/tokens.json).
+ *
+ * Format d'un jeton: 'ipt_<identifiant>.<secret>'
+ *
+ * @module services/token-service
+ * @requires fs
+ * @requires path
+ * @requires crypto
+ * @requires ./user-service
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const userService = require('./user-service');
+
+/**
+ * Préfixe des jetons, pour les reconnaître (ex: dans un outil de détection de secrets)
+ */
+const TOKEN_PREFIX = 'ipt_';
+
+/**
+ * Format d'un jeton : préfixe, identifiant public et secret
+ */
+const TOKEN_PATTERN = /^ipt_([0-9a-f]{12})\.([A-Za-z0-9_-]{32})$/;
+
+/**
+ * Longueur maximale du nom d'un jeton
+ */
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * Rôles qu'un jeton peut recevoir
+ */
+const ROLES = ['viewer', 'operator', 'admin'];
+
+/**
+ * Crée une erreur portant un code HTTP
+ *
+ * @param {number} status - Code HTTP à renvoyer
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur avec la propriété status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Empreinte SHA-256 (hexadécimal) de la partie secrète d'un jeton
+ *
+ * @param {string} secret - Secret en clair
+ * @returns {string} Empreinte
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Vérifie une liste de chaînes facultative (tables, hôtes)
+ *
+ * @param {*} value - Valeur reçue
+ * @param {string} label - Nom du champ pour les messages d'erreur
+ * @returns {Array<string>|null} Liste nettoyée, null si absente
+ * @throws {Error} Si la valeur n'est pas une liste de chaînes (status 400)
+ */
+function parseList(value, label) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+    throw httpError(400, `${label} doit être une liste de chaînes`);
+  }
+  return [...new Set(value.map(item => item.trim()))];
+}
+
+/**
+ * Classe TokenService
+ * Crée, révoque et vérifie les jetons d'API
+ */
+class TokenService {
+  /**
+   * Constructeur
+   *
+   * @param {string} [file] - Chemin du fichier des jetons
+   */
+  constructor(file = process.env.TOKENS_FILE || path.join(__dirname, '..', 'data', 'tokens.json')) {
+    this.file = file;
+  }
+
+  // ==========================================================================
+  // LECTURE / ÉCRITURE
+  // ==========================================================================
+
+  /**
+   * Lit tous les jetons enregistrés (avec leur empreinte)
+   *
+   * @returns {Array<Object>} Jetons
+   */
+  readAll() {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+    const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    return Array.isArray(data.tokens) ? data.tokens : [];
+  }
+
+  /**
+   * Enregistre la liste complète des jetons (écriture atomique, lisible par le seul propriétaire)
+   *
+   * @param {Array<Object>} tokens - Jetons
+   */
+  writeAll(tokens) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ tokens }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, this.file);
+  }
+
+  /**
+   * Retire l'empreinte d'un jeton
+   *
+   * @param {Object} token - Jeton enregistré
+   * @returns {Object} { id, name, owner, role, tables, hosts, createdAt, expiresAt }
+   */
+  publicToken(token) {
+    const { hash, ...rest } = token;
+    return rest;
+  }
+
+  /**
+   * Liste les jetons visibles par un utilisateur (tous pour un administrateur)
+   *
+   * @param {Object} user - Utilisateur connecté (voir userService.get)
+   * @returns {Array<Object>} Jetons sans empreinte, du plus récent au plus ancien
+   */
+  list(user) {
+    return this.readAll()
+      .filter(token => user.role === 'admin' || token.owner === user.username)
+      .map(token => this.publicToken(token))
+      .reverse();
+  }
+
+  // ==========================================================================
+  // CRÉATION / RÉVOCATION
+  // ==========================================================================
+
+  /**
+   * Crée un jeton pour l'utilisateur connecté
+   *
+   * @param {Object} owner - Utilisateur propriétaire (voir userService.get)
+   * @param {Object} request - Jeton demandé
+   * @param {string} request.name - Nom (ex: 'ci-deploiement')
+   * @param {string} [request.role] - Rôle (par défaut: celui du propriétaire, jamais au-dessus)
+   * @param {Array<string>} [request.tables] - Tables modifiables (rôle operator)
+   * @param {Array<string>} [request.hosts] - Hôtes de l'inventaire accessibles (par défaut: tous)
+   * @param {string} [request.expiresAt] - Date d'expiration (ISO 8601, dans le futur)
+   * @returns {Object} Jeton sans empreinte, avec `token` : le jeton en clair (affiché une seule fois)
+   * @throws {Error} Si la demande est invalide (status 400) ou dépasse les droits du propriétaire (403)
+   */
+  create(owner, request = {}) {
+    const name = String(request.name || '').trim();
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      throw httpError(400, `Nom du jeton manquant ou trop long (${MAX_NAME_LENGTH} caractères au maximum)`);
+    }
+
+    const role = request.role || owner.role;
+    if (!ROLES.includes(role)) {
+      throw httpError(400, `Rôle invalide: ${role} (attendu: ${ROLES.join(', ')})`);
+    }
+    if (!userService.hasRole(owner, role)) {
+      throw httpError(403, `Un jeton ne peut pas dépasser le rôle de son propriétaire (${owner.role})`);
+    }
+
+    let tables = parseList(request.tables, 'tables');
+    if (owner.role === 'operator' && owner.tables) {
+      tables = tables || owner.tables;
+      const outside = tables.filter(table => !owner.tables.includes(table));
+      if (outside.length > 0) {
+        throw httpError(403, `Tables non autorisées pour le propriétaire: ${outside.join(', ')}`);
+      }
+    }
+
+    let expiresAt = null;
+    if (request.expiresAt) {
+      const date = new Date(request.expiresAt);
+      if (Number.isNaN(date.getTime()) || date <= new Date()) {
+        throw httpError(400, `Date d'expiration invalide ou passée: ${request.expiresAt}`);
+      }
+      expiresAt = date.toISOString();
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const token = {
+      id,
+      name,
+      owner: owner.username,
+      role,
+      tables: role === 'operator' ? tables : null,
+      hosts: parseList(request.hosts, 'hosts'),
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      hash: hashSecret(secret)
+    };
+
+    this.writeAll([...this.readAll(), token]);
+    return { ...this.publicToken(token), token: `${TOKEN_PREFIX}${id}.${secret}` };
+  }
+
+  /**
+   * Révoque un jeton (son propriétaire ou un administrateur)
+   *
+   * @param {string} id - Identifiant du jeton
+   * @param {Object} user - Utilisateur connecté
+   * @throws {Error} Si le jeton n'existe pas ou n'est pas visible par l'utilisateur (status 404)
+   */
+  revoke(id, user) {
+    const tokens = this.readAll();
+    const token = tokens.find(t => t.id === id);
+    if (!token || (user.role !== 'admin' && token.owner !== user.username)) {
+      throw httpError(404, `Jeton introuvable: ${id}`);
+    }
+    this.writeAll(tokens.filter(t => t.id !== id));
+  }
+
+  // ==========================================================================
+  // AUTHENTIFICATION
+  // ==========================================================================
+
+  /**
+   * Authentifie une requête portant un jeton
+   *
+   * Les droits effectifs sont l'intersection de ceux du jeton et de ceux,
+   * actuels, de son propriétaire.
+   *
+   * @param {string} value - Jeton en clair (sans 'Bearer ')
+   * @returns {Object|null} Utilisateur effectif { username, role, tables, token: { id, name, hosts } },
+   *   null si le jeton est inconnu, révoqué, expiré ou si son propriétaire n'existe plus
+   */
+  authenticate(value) {
+    const match = TOKEN_PATTERN.exec(String(value || '').trim());
+    if (!match) {
+      return null;
+    }
+
+    const token = this.readAll().find(t => t.id === match[1]);
+    if (!token) {
+      return null;
+    }
+    const expected = Buffer.from(token.hash, 'hex');
+    const actual = Buffer.from(hashSecret(match[2]), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+    if (token.expiresAt && new Date(token.expiresAt) <= new Date()) {
+      return null;
+    }
+
+    const owner = userService.get(token.owner);
+    if (!owner) {
+      return null;
+    }
+
+    const role = userService.hasRole(owner, token.role) ? token.role : owner.role;
+    let tables = role === 'operator' ? token.tables : null;
+    if (role === 'operator' && owner.tables) {
+      tables = (tables || owner.tables).filter(table => owner.tables.includes(table));
+    }
+
+    return {
+      username: owner.username,
+      role,
+      tables,
+      token: { id: token.id, name: token.name, hosts: token.hosts }
+    };
+  }
+
+  /**
+   * Vérifie qu'un jeton peut viser un hôte de l'inventaire
+   *
+   * @param {Object} user - Utilisateur effectif d'un jeton (voir authenticate)
+   * @param {string} hostId - Identifiant de l'hôte
+   * @throws {Error} Si l'hôte n'est pas dans la liste du jeton (status 403)
+   */
+  authorizeHost(user, hostId) {
+    const hosts = user.token && user.token.hosts;
+    if (hosts && !hosts.includes(hostId)) {
+      throw httpError(403, `Hôte ${hostId} non autorisé pour ce jeton (hôtes autorisés: ${hosts.join(', ') || 'aucun'})`);
+    }
+  }
+}
+
+module.exports = new TokenService();
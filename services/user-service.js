@@ -0,0 +1,224 @@
+/**
+ * Service des utilisateurs de l'application et de leurs rôles
+ *
+ * Les utilisateurs sont locaux : identifiant, empreinte scrypt du mot de
+ * passe, rôle et, pour un opérateur, les tables qu'il peut modifier. Ils sont
+ * lus dans la variable d'environnement APP_USERS (tableau JSON) si elle est
+ * définie, sinon dans un fichier JSON configurable via la variable
+ * d'environnement USERS_FILE (par défaut: data/users.json).
+ *
+ * Format d'un utilisateur:
+ * {
+ *   username: 'alice',
+ *   password: 'scrypt$<sel base64>$<empreinte base64>',  (voir hashPassword)
+ *   role: 'operator',
+ *   tables: ['filter']                                   (opérateur ; absent = toutes les tables)
+ * }
+ *
+ * Rôles, du moins au plus privilégié (chacun inclut les droits du précédent):
+ * - viewer:   consultation des règles, analyse, simulation, historique, compteurs
+ * - operator: ajout, remplacement, déplacement et suppression de règles, chaînes
+ *             (création, renommage, vidage) dans ses tables, sauvegarde, commit confirmé
+ * - admin:    restauration, politiques, suppression de chaînes, retour à un
+ *             instantané, mode expert, connexion hors inventaire, inventaire, parc
+ *
+ * @module services/user-service
+ * @requires fs
+ * @requires path
+ * @requires crypto
+ * @requires util
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Rôles, du moins au plus privilégié
+ */
+const ROLES = ['viewer', 'operator', 'admin'];
+
+/**
+ * Longueur de l'empreinte scrypt et du sel, en octets
+ */
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+/**
+ * Empreinte comparée quand l'utilisateur n'existe pas, pour que la durée de
+ * la réponse ne révèle pas les identifiants valides
+ */
+const DUMMY_HASH = `scrypt$${Buffer.alloc(SALT_LENGTH).toString('base64')}$${Buffer.alloc(KEY_LENGTH).toString('base64')}`;
+
+/**
+ * Crée une erreur portant un code HTTP
+ *
+ * @param {number} status - Code HTTP à renvoyer
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur avec la propriété status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Classe UserService
+ * Authentifie les utilisateurs et vérifie leurs droits
+ */
+class UserService {
+  /**
+   * Constructeur
+   *
+   * @param {string} [file] - Chemin du fichier des utilisateurs
+   */
+  constructor(file = process.env.USERS_FILE || path.join(__dirname, '..', 'data', 'users.json')) {
+    this.file = file;
+  }
+
+  // ==========================================================================
+  // LECTURE
+  // ==========================================================================
+
+  /**
+   * Lit les utilisateurs configurés (APP_USERS, sinon fichier)
+   *
+   * Les utilisateurs au rôle inconnu ou sans mot de passe sont ignorés avec
+   * un avertissement.
+   *
+   * @returns {Array<Object>} Utilisateurs, avec leur empreinte de mot de passe
+   */
+  readAll() {
+    let users = [];
+    if (process.env.APP_USERS) {
+      users = JSON.parse(process.env.APP_USERS);
+    } else if (fs.existsSync(this.file)) {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      users = Array.isArray(data.users) ? data.users : [];
+    }
+
+    return users.filter(user => {
+      const valid = user && user.username && typeof user.password === 'string' && ROLES.includes(user.role);
+      if (!valid) {
+        console.error(`Utilisateur ignoré (identifiant, mot de passe ou rôle invalide): ${user && user.username}`);
+      }
+      return valid;
+    });
+  }
+
+  /**
+   * Récupère un utilisateur par son identifiant, sans son mot de passe
+   *
+   * @param {string} username - Identifiant
+   * @returns {Object|null} { username, role, tables } (tables: null = toutes), null s'il n'existe pas
+   */
+  get(username) {
+    const user = this.readAll().find(u => u.username === username);
+    return user ? this.publicUser(user) : null;
+  }
+
+  /**
+   * Retire le mot de passe d'un utilisateur
+   *
+   * @param {Object} user - Utilisateur configuré
+   * @returns {Object} { username, role, tables }
+   */
+  publicUser(user) {
+    return {
+      username: user.username,
+      role: user.role,
+      tables: user.role === 'operator' && Array.isArray(user.tables) ? user.tables : null
+    };
+  }
+
+  // ==========================================================================
+  // MOTS DE PASSE
+  // ==========================================================================
+
+  /**
+   * Calcule l'empreinte d'un mot de passe (scrypt, sel aléatoire)
+   *
+   * @param {string} password - Mot de passe en clair
+   * @returns {Promise<string>} Empreinte 'scrypt$<sel>$<empreinte>' (base64)
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const key = await scrypt(String(password), salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+  }
+
+  /**
+   * Vérifie un mot de passe contre son empreinte (comparaison à temps constant)
+   *
+   * @param {string} password - Mot de passe en clair
+   * @param {string} hash - Empreinte produite par hashPassword
+   * @returns {Promise<boolean>} true si le mot de passe correspond
+   */
+  async verifyPassword(password, hash) {
+    const [scheme, salt, expected] = String(hash).split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) {
+      return false;
+    }
+    const expectedKey = Buffer.from(expected, 'base64');
+    const key = await scrypt(String(password), Buffer.from(salt, 'base64'), expectedKey.length || KEY_LENGTH);
+    return expectedKey.length === key.length && crypto.timingSafeEqual(key, expectedKey);
+  }
+
+  /**
+   * Authentifie un utilisateur
+   *
+   * @param {string} username - Identifiant
+   * @param {string} password - Mot de passe en clair
+   * @returns {Promise<Object|null>} { username, role, tables }, null si l'identifiant
+   *   ou le mot de passe est incorrect
+   */
+  async authenticate(username, password) {
+    const user = this.readAll().find(u => u.username === username);
+    const valid = await this.verifyPassword(password || '', user ? user.password : DUMMY_HASH);
+    return user && valid ? this.publicUser(user) : null;
+  }
+
+  // ==========================================================================
+  // DROITS
+  // ==========================================================================
+
+  /**
+   * Indique si un utilisateur a au moins un rôle donné
+   *
+   * @param {Object|null} user - Utilisateur (voir get)
+   * @param {string} role - Rôle minimal (viewer, operator ou admin)
+   * @returns {boolean} true si le rôle de l'utilisateur est égal ou supérieur
+   */
+  hasRole(user, role) {
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  }
+
+  /**
+   * Vérifie qu'un utilisateur a un rôle donné, et peut modifier une table
+   *
+   * Un administrateur peut modifier toutes les tables ; un opérateur, celles
+   * de sa liste (toutes si elle est absente).
+   *
+   * @param {Object|null} user - Utilisateur (voir get)
+   * @param {string} role - Rôle minimal (viewer, operator ou admin)
+   * @param {string} [table] - Table modifiée
+   * @throws {Error} Si l'utilisateur n'est pas authentifié (401) ou n'a pas le droit (403)
+   */
+  authorize(user, role, table) {
+    if (!user) {
+      throw httpError(401, 'Authentification requise');
+    }
+    if (!this.hasRole(user, role)) {
+      throw httpError(403, `Action réservée au rôle ${role} (votre rôle: ${user.role})`);
+    }
+    if (table && user.role === 'operator' && user.tables && !user.tables.includes(table)) {
+      throw httpError(403, `Table ${table} non autorisée (tables autorisées: ${user.tables.join(', ') || 'aucune'})`);
+    }
+  }
+}
+
+module.exports = new UserService();
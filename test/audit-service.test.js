@@ -0,0 +1,159 @@
+/**
+ * Tests du journal d'audit (services/audit-service) et de son alimentation
+ * par SSHService.applyChange
+ *
+ * Le journal est écrit dans un dossier temporaire (variable AUDIT_FILE).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iptables-audit-'));
+process.env.AUDIT_FILE = path.join(dir, 'audit.log');
+
+const auditService = require('../services/audit-service');
+const sshService = require('../services/ssh-service');
+const ruleModel = require('../services/rule-model');
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fs.rmSync(auditService.file, { force: true });
+});
+
+describe('auditService', () => {
+  test('ajoute les entrées sans réécrire le fichier et les retrouve par critère', () => {
+    auditService.record({ user: 'alice', host: 'admin@10.0.0.1:22', table: 'filter', chain: 'INPUT', command: 'sudo iptables -A INPUT -j DROP', result: 'success' });
+    auditService.record({ user: 'bob', host: 'admin@10.0.0.2:22', table: 'nat', chain: 'PREROUTING', command: 'sudo iptables -t nat -F', result: 'failure', stderr: 'iptables: Permission denied' });
+
+    const lines = fs.readFileSync(auditService.file, 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(2);
+    expect(JSON.parse(lines[0])).toMatchObject({ user: 'alice', before: null, sourceIp: null });
+
+    expect(auditService.search().entries.map(e => e.user)).toEqual(['bob', 'alice']);
+    expect(auditService.search({ user: 'alice' }).total).toBe(1);
+    expect(auditService.search({ result: 'failure' }).entries[0].chain).toBe('PREROUTING');
+    expect(auditService.search({ q: 'permission' }).entries[0].user).toBe('bob');
+    expect(auditService.search({ limit: 1, offset: 1 }).entries[0].user).toBe('alice');
+  });
+
+  test('ignore une ligne tronquée', () => {
+    auditService.record({ command: 'sudo iptables -F', result: 'success' });
+    fs.appendFileSync(auditService.file, '{"id":"tronq');
+    expect(auditService.readAll()).toHaveLength(1);
+  });
+
+  test('valide les critères de recherche', () => {
+    const filters = auditService.parseFilters({ user: 'alice', to: '2026-10-18', limit: '20' });
+    expect(filters).toMatchObject({ user: 'alice', limit: 20 });
+    expect(filters.to.toISOString()).toBe('2026-10-18T23:59:59.999Z');
+    expect(() => auditService.parseFilters({ result: 'ok' })).toThrow(/Résultat invalide/);
+    expect(() => auditService.parseFilters({ from: 'hier' })).toThrow(/Date invalide/);
+    expect(() => auditService.parseFilters({ limit: '5000' })).toThrow(/entre 1 et 1000/);
+  });
+
+  test('exporte en CSV avec échappement et neutralisation des formules', () => {
+    const csv = auditService.toCsv([{
+      id: '1', timestamp: '2026-10-18T10:00:00.000Z', user: '=cmd', command: 'sudo iptables -A INPUT -m comment --comment "a, b" -j ACCEPT', result: 'success'
+    }]);
+    const [header, row] = csv.trim().split('\r\n');
+    expect(header.split(',')).toEqual([
+      'id', 'timestamp', 'user', 'sourceIp', 'host', 'backend', 'family', 'table', 'chain',
+      'command', 'before', 'after', 'result', 'error', 'stderr', 'pendingConfirmation'
+    ]);
+    expect(row).toContain(',\'=cmd,');
+    expect(row).toContain('"sudo iptables -A INPUT -m comment --comment ""a, b"" -j ACCEPT"');
+  });
+
+  test('déduit la table et la chaîne de la commande', () => {
+    expect(auditService.describeCommand('sudo iptables -t nat -I PREROUTING 2 -p tcp -j DNAT'))
+      .toEqual({ table: 'nat', chain: 'PREROUTING' });
+    expect(auditService.describeCommand('sudo ip6tables -P INPUT DROP')).toEqual({ table: 'filter', chain: 'INPUT' });
+    expect(auditService.describeCommand('sudo nft add rule inet filter input tcp dport 22 accept'))
+      .toEqual({ table: 'inet filter', chain: 'input' });
+    expect(auditService.describeCommand('sudo iptables-restore', '*filter\n:INPUT DROP [0:0]\nCOMMIT\n*nat\nCOMMIT\n'))
+      .toEqual({ table: 'filter, nat', chain: null });
+    expect(auditService.describeCommand('sudo nft -j -f -', JSON.stringify({
+      nftables: [{ delete: { rule: { family: 'inet', table: 'filter', chain: 'input', handle: 4 } } }]
+    }))).toEqual({ table: 'inet filter', chain: 'input' });
+    expect(auditService.describeCommand('sudo nft reset rules inet filter input > /dev/null'))
+      .toEqual({ table: 'inet filter', chain: 'input' });
+  });
+});
+
+describe('rulesetFingerprint', () => {
+  test('ignore les commentaires et les compteurs', () => {
+    const first = '# Generated by iptables-save on Mon\n*filter\n:INPUT ACCEPT [10:600]\n-A INPUT -j ACCEPT\nCOMMIT\n';
+    const second = '# Generated by iptables-save on Tue\n*filter\n:INPUT ACCEPT [99:9000]\n-A INPUT  -j ACCEPT\nCOMMIT\n';
+    expect(ruleModel.rulesetFingerprint(first)).toBe(ruleModel.rulesetFingerprint(second));
+    expect(ruleModel.rulesetFingerprint(first)).not.toBe(ruleModel.rulesetFingerprint(first.replace('ACCEPT\nCOMMIT', 'DROP\nCOMMIT')));
+  });
+});
+
+describe('SSHService.applyChange', () => {
+  let spies;
+
+  beforeEach(() => {
+    spies = [
+      jest.spyOn(sshService, 'getConfig').mockReturnValue({ username: 'admin', host: '10.0.0.1', port: 22 }),
+      jest.spyOn(sshService, 'getBackend').mockReturnValue({ name: 'iptables' }),
+      jest.spyOn(sshService, 'checkLockout').mockResolvedValue(),
+      jest.spyOn(sshService, 'takeSnapshot').mockResolvedValue({ fingerprint: 'aaaa' }),
+      jest.spyOn(sshService, 'readFingerprint').mockResolvedValue('bbbb')
+    ];
+  });
+
+  afterEach(() => {
+    spies.forEach(spy => spy.mockRestore());
+  });
+
+  test('inscrit une modification réussie', async () => {
+    spies.push(jest.spyOn(sshService, 'executeCommand').mockResolvedValue(''));
+    await sshService.applyChange('session', 'sudo iptables -A INPUT -p tcp --dport 80 -j ACCEPT', { sourceIp: '192.0.2.5' });
+
+    expect(auditService.readAll()).toEqual([expect.objectContaining({
+      user: 'admin',
+      sourceIp: '192.0.2.5',
+      host: 'admin@10.0.0.1:22',
+      table: 'filter',
+      chain: 'INPUT',
+      before: 'aaaa',
+      after: 'bbbb',
+      result: 'success'
+    })]);
+  });
+
+  test('inscrit une commande en échec avec sa sortie d\'erreur', async () => {
+    const failure = new Error('Commande échouée (code 1): iptables: No chain/target/match by that name.');
+    failure.stderr = 'iptables: No chain/target/match by that name.';
+    spies.push(jest.spyOn(sshService, 'executeCommand').mockRejectedValue(failure));
+
+    await expect(sshService.applyChange('session', 'sudo iptables -A NOPE -j ACCEPT', { author: 'alice' }))
+      .rejects.toThrow('No chain');
+    expect(auditService.readAll()[0]).toMatchObject({
+      user: 'alice', chain: 'NOPE', result: 'failure', stderr: failure.stderr
+    });
+  });
+
+  test('inscrit une modification refusée pour protéger l\'accès SSH', async () => {
+    const refused = new Error('Modification refusée');
+    refused.status = 409;
+    refused.lockout = {};
+    sshService.checkLockout.mockRejectedValue(refused);
+
+    await expect(sshService.applyChange('session', 'sudo iptables -P INPUT DROP')).rejects.toThrow('refusée');
+    expect(auditService.readAll()[0]).toMatchObject({ result: 'refused', before: null, after: null });
+  });
+  test('inscrit une remise à zéro des compteurs sans instantané', async () => {
+    spies.push(jest.spyOn(sshService, 'executeCommand').mockResolvedValue(''));
+    await sshService.executeAudited('session', 'sudo iptables -t nat -Z PREROUTING', { author: 'alice' });
+
+    expect(sshService.takeSnapshot).not.toHaveBeenCalled();
+    expect(auditService.readAll()).toEqual([expect.objectContaining({
+      user: 'alice', table: 'nat', chain: 'PREROUTING', before: null, after: null, result: 'success'
+    })]);
+  });
+});
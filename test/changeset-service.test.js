@@ -0,0 +1,144 @@
+/**
+ * Tests des modifications préparées (services/changeset-service)
+ *
+ * Les modifications sont rejouées sur test/fixtures/iptables-save/basic-filter.rules ;
+ * les commandes SSH sont simulées (jest.spyOn sur SSHService).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sshService = require('../services/ssh-service');
+const changesetService = require('../services/changeset-service');
+
+const LIVE = fs.readFileSync(path.join(__dirname, 'fixtures', 'iptables-save', 'basic-filter.rules'), 'utf8');
+const live = sshService.parseIptablesSave(LIVE);
+
+const WEB_RULE = {
+  protocol: 'tcp',
+  destPort: '8080',
+  matches: [{ module: 'comment', options: { comment: 'app web' } }],
+  target: 'ACCEPT'
+};
+
+/**
+ * Contenu des règles d'une chaîne
+ */
+const contents = (tables, chain) => tables.filter.find(c => c.chain === chain).rules.map(r => r.content);
+
+describe('computeResult', () => {
+  test('rejoue les ajouts, insertions, suppressions et politiques dans l\'ordre', () => {
+    const { tables, touchedTables } = changesetService.computeResult(live, [
+      { type: 'insert', table: 'filter', chain: 'INPUT', position: 2, rule: { ...WEB_RULE, chain: 'INPUT' } },
+      { type: 'add', table: 'filter', chain: 'OUTPUT', rule: { chain: 'OUTPUT', protocol: 'udp', destPort: '53', target: 'ACCEPT' } },
+      { type: 'delete', table: 'filter', chain: 'INPUT', position: 8, expected: '-p udp -m udp --sport 53 -j ACCEPT' },
+      { type: 'policy', table: 'filter', chain: 'FORWARD', policy: 'ACCEPT' }
+    ]);
+
+    expect(touchedTables).toEqual(['filter']);
+    expect(contents(tables, 'INPUT').slice(0, 3)).toEqual([
+      '-i lo -j ACCEPT',
+      '-p tcp -m tcp --dport 8080 -m comment --comment "app web" -j ACCEPT',
+      '-m conntrack --ctstate RELATED,ESTABLISHED -j ACCEPT'
+    ]);
+    expect(contents(tables, 'INPUT')).not.toContain('-p udp -m udp --sport 53 -j ACCEPT');
+    expect(contents(tables, 'OUTPUT')).toEqual(['-p udp -m udp --dport 53 -j ACCEPT']);
+    expect(tables.filter.find(c => c.chain === 'FORWARD').policy).toBe('ACCEPT');
+
+    // La configuration d'origine n'est pas modifiée
+    expect(contents(live, 'INPUT')).toHaveLength(8);
+    expect(live.filter.find(c => c.chain === 'FORWARD').policy).toBe('DROP');
+  });
+
+  test('supprime le contenu mémorisé si la règle a changé de position', () => {
+    const { tables } = changesetService.computeResult(live, [
+      { type: 'delete', table: 'filter', chain: 'INPUT', position: 1, expected: '-m conntrack --ctstate INVALID -j DROP' }
+    ]);
+    expect(contents(tables, 'INPUT')).toHaveLength(7);
+    expect(contents(tables, 'INPUT')[0]).toBe('-i lo -j ACCEPT');
+    expect(contents(tables, 'INPUT')).not.toContain('-m conntrack --ctstate INVALID -j DROP');
+  });
+
+  test('refuse une modification qui ne s\'applique plus', () => {
+    const conflict = change => () => changesetService.computeResult(live, [change]);
+
+    expect(conflict({ type: 'add', table: 'filter', chain: 'WEB', rule: { chain: 'WEB', target: 'ACCEPT' } }))
+      .toThrow(expect.objectContaining({ status: 409, message: 'La chaîne filter/WEB n\'existe pas' }));
+    expect(conflict({ type: 'insert', table: 'filter', chain: 'OUTPUT', position: 2, rule: { chain: 'OUTPUT', target: 'ACCEPT' } }))
+      .toThrow('Position 2 hors de la chaîne OUTPUT (0 règles)');
+    expect(conflict({ type: 'delete', table: 'filter', chain: 'INPUT', position: 1, expected: '-j LOG' }))
+      .toThrow('La règle à supprimer n\'existe plus dans INPUT: -j LOG');
+  });
+});
+
+describe('stage / apply', () => {
+  let spies;
+
+  beforeEach(() => {
+    spies = [
+      jest.spyOn(sshService, 'requireIptables').mockReturnValue(),
+      jest.spyOn(sshService, 'getConnectionKey').mockReturnValue('session:gw1'),
+      jest.spyOn(sshService, 'executeCommand').mockImplementation(async (sessionId, command) => (command.includes('restore') ? '' : LIVE)),
+      jest.spyOn(sshService, 'applyChange').mockResolvedValue(null)
+    ];
+  });
+
+  afterEach(() => {
+    changesetService.discard('session');
+    spies.forEach(spy => spy.mockRestore());
+  });
+
+  test('valide chaque modification avant de la mettre en file', async () => {
+    await expect(changesetService.stage('session', { type: 'add', table: 'security', chain: 'INPUT', rule: 'iptables -F' }))
+      .rejects.toMatchObject({
+        status: 400,
+        errors: ['Table inconnue: security', 'Les commandes brutes (mode expert) ne peuvent pas être préparées']
+      });
+    await expect(changesetService.stage('session', { type: 'delete', table: 'filter', chain: 'OUTPUT', position: 1 }))
+      .rejects.toMatchObject({ status: 404 });
+    expect(changesetService.list('session')).toEqual([]);
+  });
+
+  test('applique toute la file en un seul iptables-restore vérifié', async () => {
+    await changesetService.stage('session', { type: 'insert', table: 'filter', chain: 'INPUT', position: 2, rule: WEB_RULE });
+    const deletion = await changesetService.stage('session', { type: 'delete', table: 'filter', chain: 'INPUT', position: 3 });
+    expect(deletion).toMatchObject({ expected: '-m conntrack --ctstate RELATED,ESTABLISHED -j ACCEPT' });
+
+    const result = await changesetService.apply('session', { author: 'alice' });
+
+    const script = [
+      '*filter',
+      ':INPUT DROP [0:0]',
+      ':FORWARD DROP [0:0]',
+      ':OUTPUT ACCEPT [0:0]',
+      '-A INPUT -i lo -j ACCEPT',
+      '-A INPUT -p tcp -m tcp --dport 8080 -m comment --comment "app web" -j ACCEPT',
+      '-A INPUT -m conntrack --ctstate INVALID -j DROP',
+      '-A INPUT -s 192.168.1.0/24 -p tcp -m tcp --dport 22 -j ACCEPT',
+      '-A INPUT -p tcp -m multiport --dports 80,443 -j ACCEPT',
+      '-A INPUT -p icmp -m icmp --icmp-type 8 -m limit --limit 1/sec --limit-burst 5 -j ACCEPT',
+      '-A INPUT -p udp -m udp --sport 53 -j ACCEPT',
+      '-A INPUT -j REJECT --reject-with icmp-port-unreachable',
+      'COMMIT',
+      ''
+    ].join('\n');
+    expect(sshService.executeCommand).toHaveBeenCalledWith('session', 'sudo iptables-restore --test', { input: script });
+    expect(sshService.applyChange).toHaveBeenCalledWith('session', 'sudo iptables-restore', {
+      author: 'alice', family: 'ipv4', input: script
+    });
+    expect(result.message).toBe('2 modification(s) appliquée(s)');
+    expect(changesetService.list('session')).toEqual([]);
+  });
+
+  test('conserve la file si le rechargement échoue', async () => {
+    await changesetService.stage('session', { type: 'policy', table: 'filter', chain: 'INPUT', policy: 'ACCEPT' });
+    sshService.executeCommand.mockImplementation(async (sessionId, command) => {
+      if (command.includes('--test')) throw new Error('iptables-restore: line 2 failed');
+      return LIVE;
+    });
+
+    await expect(changesetService.apply('session')).rejects.toThrow('line 2 failed');
+    expect(sshService.applyChange).not.toHaveBeenCalled();
+    expect(changesetService.list('session')).toHaveLength(1);
+    await expect(changesetService.apply('session', { family: 'ipv6' })).rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Tests du client en ligne de commande (bin/iptables-manager)
+ *
+ * Les commandes sont exécutées avec un client factice : aucune connexion SSH
+ * ni aucun serveur n'est nécessaire.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EXIT, run, buildRule, exitCodeFor, formatChains, formatDiff, formatPlan } = require('../bin/iptables-manager');
+
+const chains = {
+  filter: [
+    {
+      chain: 'INPUT',
+      policy: 'DROP',
+      packets: 10,
+      bytes: 800,
+      rules: [{ num: '1', pkts: 4, bytes: 240, target: 'ACCEPT', prot: 'tcp', source: '0.0.0.0/0', destination: '0.0.0.0/0', extra: 'tcp dpt:22' }]
+    },
+    { chain: 'LOGDROP', policy: '-', references: 1, rules: [] }
+  ]
+};
+
+const diffResult = (identical) => ({
+  rulesFile: '/etc/iptables/rules.v4',
+  persistedExists: true,
+  unsavedChanges: !identical,
+  diff: {
+    identical,
+    summary: { added: identical ? 0 : 1, removed: 0, moved: 0, policyChanges: 0, chainsAdded: 0, chainsRemoved: 0 },
+    tables: identical ? {} : {
+      filter: { INPUT: { status: 'modified', policy: null, added: [{ position: 2, rule: '-p tcp --dport 443 -j ACCEPT' }], removed: [], moved: [] } }
+    }
+  }
+});
+
+/**
+ * Exécute une commande avec un client factice et capture les sorties
+ */
+const exec = async (argv, client = {}) => {
+  const io = { stdout: '', stderr: '' };
+  const calls = [];
+  const factory = (values) => {
+    calls.push(values);
+    return { close: jest.fn(), ...client };
+  };
+  const code = await run(argv, { out: text => { io.stdout += text; }, err: text => { io.stderr += text; } }, factory);
+  return { code, ...io, calls };
+};
+
+describe('buildRule', () => {
+  test('assemble une règle structurée à partir des options de type iptables', () => {
+    expect(buildRule({
+      chain: 'INPUT',
+      protocol: 'tcp',
+      source: '!10.0.0.0/8',
+      dport: '443',
+      match: ['conntrack:ctstate=NEW,ESTABLISHED', 'tcp:syn'],
+      comment: 'web',
+      target: 'ACCEPT'
+    })).toEqual({
+      chain: 'INPUT',
+      protocol: 'tcp',
+      source: '!10.0.0.0/8',
+      destPort: '443',
+      matches: [
+        { module: 'conntrack', options: { ctstate: 'NEW,ESTABLISHED' } },
+        { module: 'tcp', options: { syn: true } },
+        { module: 'comment', options: { comment: 'web' } }
+      ],
+      target: 'ACCEPT'
+    });
+
+    expect(buildRule({ chain: 'PREROUTING', target: 'DNAT', 'target-option': ['to-destination=10.0.0.5:80'] }))
+      .toEqual({ chain: 'PREROUTING', target: 'DNAT', targetOptions: { 'to-destination': '10.0.0.5:80' } });
+  });
+
+  test('lit une règle JSON, en ligne ou depuis un fichier', () => {
+    expect(buildRule({ rule: '{"chain":"INPUT","target":"DROP"}' })).toEqual({ chain: 'INPUT', target: 'DROP' });
+    expect(buildRule({ rule: '@rule.json' }, () => '{"chain":"OUTPUT","target":"ACCEPT"}'))
+      .toEqual({ chain: 'OUTPUT', target: 'ACCEPT' });
+    expect(() => buildRule({ rule: '{' })).toThrow(/Règle JSON invalide/);
+    expect(() => buildRule({ match: ['conntrack'] })).toThrow(/module:option=valeur/);
+  });
+});
+
+describe('codes de sortie', () => {
+  test('traduisent le code HTTP des erreurs', () => {
+    expect(exitCodeFor({ status: 400 })).toBe(EXIT.USAGE);
+    expect(exitCodeFor({ status: 403 })).toBe(EXIT.DENIED);
+    expect(exitCodeFor({ status: 404 })).toBe(EXIT.NOT_FOUND);
+    expect(exitCodeFor({ status: 409 })).toBe(EXIT.CONFLICT);
+    expect(exitCodeFor(new Error('Échec de la connexion SSH'))).toBe(EXIT.FAILURE);
+  });
+
+  test('signalent les commandes invalides sans créer de client', async () => {
+    expect(await exec([])).toMatchObject({ code: EXIT.USAGE, calls: [] });
+    expect(await exec(['bogus'])).toMatchObject({ code: EXIT.USAGE, stderr: 'Erreur: Commande inconnue: bogus\n' });
+    expect(await exec(['delete', 'INPUT'])).toMatchObject({ code: EXIT.USAGE, calls: [] });
+    expect(await exec(['diff', '--format', 'save'])).toMatchObject({ code: EXIT.USAGE, calls: [] });
+    expect(await exec(['list', '--unknown'])).toMatchObject({ code: EXIT.USAGE });
+  });
+
+  test('renvoient 1 quand diff trouve des différences', async () => {
+    const same = await exec(['diff', '--host', 'gw'], { diffPersistedRules: async () => diffResult(true) });
+    expect(same.code).toBe(EXIT.OK);
+    expect(same.stdout).toContain('identique à /etc/iptables/rules.v4');
+
+    const changed = await exec(['diff', '--host', 'gw'], { diffPersistedRules: async () => diffResult(false) });
+    expect(changed.code).toBe(EXIT.DIFFERENCES);
+    expect(changed.stdout).toContain('+ 2: -p tcp --dport 443 -j ACCEPT');
+  });
+
+  test('affichent l\'erreur et ses détails sur la sortie d\'erreur', async () => {
+    const error = Object.assign(new Error('Règle invalide'), { status: 400, details: ['Cible (target) manquante'] });
+    const result = await exec(['add', '--chain', 'INPUT'], { addRule: async () => { throw error; } });
+
+    expect(result.code).toBe(EXIT.USAGE);
+    expect(result.stdout).toBe('');
+    expect(result.stderr).toBe('Erreur: Règle invalide\n  - Cible (target) manquante\n');
+  });
+});
+
+describe('commandes', () => {
+  test('transmettent la table, la position et les options de modification', async () => {
+    const addRule = jest.fn(async () => ({ success: true, message: 'Règle ajoutée', pendingConfirmation: null }));
+    const result = await exec(['add', '-H', 'gw', '-t', 'nat', '--chain', 'POSTROUTING', '-j', 'MASQUERADE', '--position', '2', '--allow-lockout'], { addRule });
+
+    expect(result).toMatchObject({ code: EXIT.OK, stdout: 'Règle ajoutée\n' });
+    expect(result.calls[0]).toMatchObject({ host: 'gw', family: 'ipv4' });
+    expect(addRule).toHaveBeenCalledWith({ chain: 'POSTROUTING', target: 'MASQUERADE' }, 'nat', { position: 2, allowLockout: true, fingerprint: undefined });
+
+    const deleteRule = jest.fn(async () => ({ success: true, message: 'Règle supprimée' }));
+    const deleted = await exec(['delete', 'INPUT', '3', '--fingerprint', 'abc', '--format', 'json'], { deleteRule });
+    expect(deleteRule).toHaveBeenCalledWith('filter', 'INPUT', 3, { allowLockout: undefined, fingerprint: 'abc' });
+    expect(JSON.parse(deleted.stdout)).toEqual({ success: true, message: 'Règle supprimée' });
+  });
+
+  test('affiche les règles en table, en JSON ou au format iptables-save', async () => {
+    const client = {
+      listRules: async () => chains,
+      getIptablesSave: async () => ({ filter: [{ chain: 'INPUT', policy: 'DROP', rules: [{ raw: '-A INPUT -p tcp -j ACCEPT' }] }] })
+    };
+
+    expect((await exec(['list'], client)).stdout).toBe(`${formatChains(chains)}\n`);
+    expect(JSON.parse((await exec(['list', '-f', 'json'], client)).stdout)).toEqual(chains);
+    expect((await exec(['list', '-f', 'save'], client)).stdout).toBe('*filter\n:INPUT DROP [0:0]\n-A INPUT -p tcp -j ACCEPT\nCOMMIT\n');
+  });
+});
+
+describe('état déclaré', () => {
+  test('plan renvoie 1 quand l\'hôte n\'est pas conforme, apply transmet l\'empreinte', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'iptables-cli-')), 'gw.yaml');
+    fs.writeFileSync(file, 'tables: {}\n');
+    const { diff } = diffResult(false);
+    const planState = jest.fn(async () => ({ source: null, identical: false, diff }));
+
+    const planned = await exec(['plan', file, '--host', 'gw'], { planState });
+    expect(planState).toHaveBeenCalledWith('tables: {}\n');
+    expect(planned.code).toBe(EXIT.DIFFERENCES);
+    expect(planned.stdout).toBe(`${formatPlan({ source: null, diff })}\n`);
+    expect(planned.stdout).toContain('+++ état déclaré\n@@ filter INPUT\n+ 2: -p tcp --dport 443 -j ACCEPT');
+
+    const conform = await exec(['plan', '--host', 'gw'], { planState: async () => ({ source: 'hosts/gw.yaml', identical: true, diff: { identical: true } }) });
+    expect(conform).toMatchObject({ code: EXIT.OK, stdout: 'Hôte conforme à l\'état déclaré (hosts/gw.yaml)\n' });
+
+    const applyState = jest.fn(async () => ({ success: true, message: 'État déclaré appliqué' }));
+    const applied = await exec(['apply', '--host', 'gw', '--fingerprint', 'abc'], { applyState });
+    expect(applyState).toHaveBeenCalledWith(null, { allowLockout: undefined, fingerprint: 'abc' });
+    expect(applied).toMatchObject({ code: EXIT.OK, stdout: 'État déclaré appliqué\n' });
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+});
+
+describe('formatage', () => {
+  test('aligne les règles et distingue chaînes intégrées et utilisateur', () => {
+    const text = formatChains(chains);
+    expect(text).toContain('Chaîne INPUT (politique DROP, 10 paquets, 800 octets)');
+    expect(text).toContain('num  pkts  bytes  target  prot  source     destination  options');
+    expect(text).toContain('1    4     240    ACCEPT  tcp   0.0.0.0/0  0.0.0.0/0    tcp dpt:22');
+    expect(text).toContain('Chaîne LOGDROP (1 références)\n  (aucune règle)');
+  });
+
+  test('signale un fichier de sauvegarde absent', () => {
+    expect(formatDiff({ ...diffResult(false), persistedExists: false })).toMatch(/^Aucune configuration enregistrée/);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests du suivi des compteurs en direct (services/counter-monitor)
+ * et de la lecture des compteurs de iptables -L -v -x (services/iptables-backend)
+ */
+
+const counterMonitor = require('../services/counter-monitor');
+const sshService = require('../services/ssh-service');
+const IptablesBackend = require('../services/iptables-backend');
+
+const LISTING = `#IPTABLES-TABLE filter
+Chain INPUT (policy DROP 120 packets, 9600 bytes)
+num      pkts      bytes target     prot opt source               destination
+1        5000   750000 ACCEPT     tcp  --  0.0.0.0/0            0.0.0.0/0            tcp dpt:22
+2          10      600 ACCEPT     all  --  0.0.0.0/0            0.0.0.0/0
+
+Chain WEB (0 references)
+num      pkts      bytes target     prot opt source               destination
+#IPTABLES-SPEC
+-P INPUT DROP
+-N WEB
+-A INPUT -p tcp -m tcp --dport 22 -j ACCEPT
+-A INPUT -j ACCEPT
+#IPTABLES-TABLE nat
+Chain PREROUTING (policy ACCEPT 3K packets, 2M bytes)
+num      pkts      bytes target     prot opt source               destination
+#IPTABLES-SPEC
+-P PREROUTING ACCEPT
+`;
+
+describe('IptablesBackend.readCounters', () => {
+  const backend = new IptablesBackend({ executeCommand: async () => LISTING });
+
+  test('lit les compteurs des règles et des politiques de chaque table', async () => {
+    const tables = await backend.readCounters('session');
+    const input = tables.filter[0];
+
+    expect(input).toMatchObject({ chain: 'INPUT', policy: 'DROP', packets: 120, bytes: 9600 });
+    expect(input.rules[0]).toMatchObject({ num: '1', pkts: 5000, bytes: 750000, spec: '-p tcp -m tcp --dport 22 -j ACCEPT' });
+    expect(tables.filter[1]).toMatchObject({ chain: 'WEB', packets: null, bytes: null, rules: [] });
+    expect(tables.nat[0]).toMatchObject({ packets: 3000, bytes: 2000000 });
+  });
+});
+
+describe('counterMonitor', () => {
+  const rule = (num, pkts, bytes, fingerprint = `fp${num}`) => ({ num: String(num), fingerprint, target: 'ACCEPT', pkts, bytes });
+  const tables = (rules, packets = 100) => ({
+    filter: [{ chain: 'INPUT', policy: 'DROP', packets, bytes: packets * 60, rules }]
+  });
+
+  test('calcule les débits depuis la lecture précédente', () => {
+    const first = counterMonitor.computeRates(null, counterMonitor.sample(tables([rule(1, 100, 1000)]), 0));
+    expect(first.rules[0]).toMatchObject({ pps: null, bps: null });
+
+    const second = counterMonitor.computeRates(first, counterMonitor.sample(tables([rule(1, 150, 6000)], 130), 5000));
+    expect(second.rules[0]).toMatchObject({ table: 'filter', chain: 'INPUT', pkts: 150, pps: 10, bps: 1000 });
+    expect(second.chains[0]).toMatchObject({ pps: 6, bps: 360 });
+  });
+
+  test('repart sans débit après une remise à zéro ou un changement de règle', () => {
+    const first = counterMonitor.sample(tables([rule(1, 100, 1000), rule(2, 50, 500)]), 0);
+    const second = counterMonitor.computeRates(first, counterMonitor.sample(tables([rule(1, 3, 30), rule(2, 60, 600, 'autre')]), 1000));
+
+    expect(second.rules.map(r => r.bps)).toEqual([null, null]);
+  });
+
+  test('classe les règles les plus actives par débit', () => {
+    const rules = [
+      { num: '1', pps: 0, bps: 0 },
+      { num: '2', pps: 5, bps: 300 },
+      { num: '3', pps: 1, bps: 1500 },
+      { num: '4', pps: null, bps: null }
+    ];
+    expect(counterMonitor.hotRules(rules).map(r => r.num)).toEqual(['3', '2']);
+    expect(counterMonitor.hotRules(rules, 1)).toHaveLength(1);
+  });
+
+  test('borne l\'intervalle de lecture', () => {
+    expect(counterMonitor.parseInterval('10')).toBe(10);
+    expect(counterMonitor.parseInterval(undefined)).toBe(5);
+    expect(() => counterMonitor.parseInterval('0')).toThrow(/entre 1 et 300/);
+    expect(() => counterMonitor.parseInterval('2.5')).toThrow(/entre 1 et 300/);
+  });
+
+  test('transmet chaque lecture jusqu\'à l\'arrêt du suivi', async () => {
+    const read = jest.spyOn(sshService, 'readCounters').mockResolvedValue(tables([rule(1, 100, 1000)]));
+    const samples = [];
+    const stop = counterMonitor.watch('session', 'ipv4', 60, sample => samples.push(sample), () => {});
+
+    await new Promise(resolve => setImmediate(resolve));
+    stop();
+    read.mockRestore();
+
+    expect(samples).toHaveLength(1);
+    expect(samples[0]).toMatchObject({ interval: 60, hot: [] });
+    expect(samples[0].rules[0]).toMatchObject({ num: '1', pkts: 100, pps: null });
+  });
+
+  test('ne programme plus de lecture après un arrêt pendant la lecture en cours', async () => {
+    jest.useFakeTimers();
+    const read = jest.spyOn(sshService, 'readCounters').mockResolvedValue(tables([rule(1, 100, 1000)]));
+    let stop = null;
+    const onSample = jest.fn(() => stop());
+    stop = counterMonitor.watch('session', 'ipv4', 5, onSample, () => {});
+
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(jest.getTimerCount()).toBe(0);
+    jest.advanceTimersByTime(60000);
+    expect(read).toHaveBeenCalledTimes(1);
+    expect(onSample).toHaveBeenCalledTimes(1);
+
+    read.mockRestore();
+    jest.useRealTimers();
+  });
+});
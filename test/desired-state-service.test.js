@@ -0,0 +1,251 @@
+/**
+ * Tests de l'état déclaré (services/desired-state-service)
+ *
+ * Les commandes SSH sont simulées (jest.spyOn sur SSHService) ; les fichiers
+ * d'état déclaré sont lus dans un dossier temporaire (variable DESIRED_STATE_DIR).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iptables-state-'));
+process.env.DESIRED_STATE_DIR = dir;
+
+const sshService = require('../services/ssh-service');
+const lockoutGuard = require('../services/lockout-guard');
+const desiredStateService = require('../services/desired-state-service');
+
+/**
+ * Configuration active : règles de fail2ban et de Docker, et une section gérée
+ */
+const LIVE = [
+  '*filter',
+  ':INPUT ACCEPT [0:0]',
+  ':FORWARD DROP [0:0]',
+  ':OUTPUT ACCEPT [0:0]',
+  ':DOCKER-USER - [0:0]',
+  ':f2b-sshd - [0:0]',
+  '-A INPUT -p tcp -m multiport --dports 22 -j f2b-sshd',
+  '-A INPUT -p tcp -m tcp --dport 22 -m comment --comment iptables-manager:ssh -j ACCEPT',
+  '-A INPUT -p tcp -m tcp --dport 8080 -m comment --comment iptables-manager:legacy -j ACCEPT',
+  '-A FORWARD -j DOCKER-USER',
+  '-A DOCKER-USER -j RETURN',
+  '-A f2b-sshd -s 198.51.100.7/32 -j REJECT --reject-with icmp-port-unreachable',
+  '-A f2b-sshd -j RETURN',
+  'COMMIT',
+  ''
+].join('\n');
+
+const STATE = `
+family: ipv4
+tables:
+  filter:
+    INPUT:
+      policy: DROP
+      sections:
+        base:
+          - -i lo -j ACCEPT
+          - -m conntrack --ctstate RELATED,ESTABLISHED -j ACCEPT
+        ssh:
+          - -p tcp --dport 22 -j ACCEPT
+        web:
+          - { protocol: tcp, destPort: "443", target: ACCEPT }
+    DOCKER-USER:
+      sections:
+        admin:
+          - -s 10.0.0.0/8 -j ACCEPT
+    WEB:
+      rules:
+        - -p tcp -m tcp --dport 80 -j ACCEPT
+`;
+
+/**
+ * Rejoue le script d'un plan (iptables-restore --noflush) sur une configuration parsée
+ */
+const replay = (output, script) => {
+  let tables = sshService.parseIptablesSave(output);
+  let table = null;
+  for (const line of script.split('\n')) {
+    if (line.startsWith('*')) {
+      table = line.slice(1);
+    } else if (line.startsWith(':')) {
+      const [chain, policy] = line.slice(1).split(' ');
+      const existing = tables[table].find(c => c.chain === chain);
+      if (existing) {
+        existing.policy = policy;
+      } else {
+        tables[table].push({ chain, policy, rules: [] });
+      }
+    } else if (line.startsWith('-')) {
+      tables = lockoutGuard.applyCommand(tables, ['-t', table, ...lockoutGuard.shellWords(line)]);
+    }
+  }
+  return sshService.serializeIptablesSave(tables);
+};
+
+let live;
+let spies;
+
+beforeEach(() => {
+  live = LIVE;
+  spies = [
+    jest.spyOn(sshService, 'requireIptables').mockReturnValue(),
+    jest.spyOn(sshService, 'executeCommand').mockImplementation(async (sessionId, command) => (command.includes('restore') ? '' : live)),
+    jest.spyOn(sshService, 'applyChange').mockResolvedValue(null)
+  ];
+});
+
+afterEach(() => {
+  spies.forEach(spy => spy.mockRestore());
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('parse', () => {
+  test('marque les règles des sections et les écrit comme iptables-save', () => {
+    const state = desiredStateService.parse(STATE);
+    const input = state.tables.filter.find(c => c.chain === 'INPUT');
+
+    expect(input).toMatchObject({ policy: 'DROP', owned: false, managesRules: true, position: 'top' });
+    expect(input.rules).toEqual([
+      '-i lo -m comment --comment iptables-manager:base -j ACCEPT',
+      '-m conntrack --ctstate RELATED,ESTABLISHED -m comment --comment iptables-manager:base -j ACCEPT',
+      '-p tcp -m tcp --dport 22 -m comment --comment iptables-manager:ssh -j ACCEPT',
+      '-p tcp -m tcp --dport 443 -m comment --comment iptables-manager:web -j ACCEPT'
+    ]);
+    expect(state.tables.filter.find(c => c.chain === 'WEB')).toMatchObject({ owned: true, rules: ['-p tcp -m tcp --dport 80 -j ACCEPT'] });
+
+    expect(desiredStateService.parse('{"tables": {"filter": {"INPUT": {"rules": ["--protocol tcp --source 10.0.0.1 -j DROP"]}}}}')
+      .tables.filter[0].rules).toEqual(['-s 10.0.0.1 -p tcp -j DROP']);
+  });
+
+  test('détaille les erreurs du document', () => {
+    let error;
+    try {
+      desiredStateService.parse({
+        tables: {
+          security: {},
+          filter: {
+            INPUT: { policy: 'REJECT', sections: { 'mauvais nom': [], ssh: ['-p tcp --dport 22 -j ACCEPT\n-F'] } },
+            WEB: { policy: 'DROP', rules: ['-m comment --comment iptables-manager:web -j ACCEPT'] },
+            OUTPUT: { sections: {}, rules: [] }
+          }
+        }
+      });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toMatchObject({ status: 400, message: 'État déclaré invalide' });
+    expect(error.errors).toEqual([
+      'Table inconnue: security',
+      'filter/INPUT: politique invalide: REJECT',
+      'filter/INPUT: nom de section invalide: mauvais nom',
+      'filter/INPUT/ssh règle 1: contenu vide ou sur plusieurs lignes',
+      'filter/WEB: une chaîne utilisateur n\'a pas de politique',
+      'filter/WEB règle 1: le commentaire iptables-manager:... est réservé aux sections',
+      'filter/OUTPUT: sections et rules ne peuvent pas être utilisés ensemble'
+    ]);
+    expect(() => desiredStateService.parse('tables: [', 'ipv4')).toThrow(/État déclaré illisible \(YAML\)/);
+    expect(() => desiredStateService.parse({ family: 'ipv6', tables: {} })).toThrow(/famille ipv6, pas ipv4/);
+  });
+});
+
+describe('plan', () => {
+  test('ne touche que les sections gérées et les chaînes déclarées', async () => {
+    const plan = await desiredStateService.plan('session', STATE);
+
+    expect(plan).toMatchObject({ source: null, family: 'ipv4', identical: false });
+    expect(plan.script).toBe([
+      '*filter',
+      ':INPUT DROP [0:0]',
+      ':WEB - [0:0]',
+      '-D INPUT 3',
+      '-I INPUT 2 -i lo -m comment --comment iptables-manager:base -j ACCEPT',
+      '-I INPUT 3 -m conntrack --ctstate RELATED,ESTABLISHED -m comment --comment iptables-manager:base -j ACCEPT',
+      '-I INPUT 5 -p tcp -m tcp --dport 443 -m comment --comment iptables-manager:web -j ACCEPT',
+      '-I DOCKER-USER 1 -s 10.0.0.0/8 -m comment --comment iptables-manager:admin -j ACCEPT',
+      '-I WEB 1 -p tcp -m tcp --dport 80 -j ACCEPT',
+      'COMMIT',
+      ''
+    ].join('\n'));
+
+    expect(plan.diff.summary).toMatchObject({ added: 5, removed: 1, policyChanges: 1, chainsAdded: 1 });
+    expect(Object.keys(plan.diff.tables.filter).sort()).toEqual(['DOCKER-USER', 'INPUT', 'WEB']);
+  });
+
+  test('converge : une fois le plan appliqué, l\'hôte est conforme', async () => {
+    live = replay(LIVE, (await desiredStateService.plan('session', STATE)).script);
+
+    const rules = sshService.parseIptablesSave(live).filter;
+    expect(rules.find(c => c.chain === 'INPUT').rules.map(r => r.content)).toEqual([
+      '-p tcp -m multiport --dports 22 -j f2b-sshd',
+      '-i lo -m comment --comment iptables-manager:base -j ACCEPT',
+      '-m conntrack --ctstate RELATED,ESTABLISHED -m comment --comment iptables-manager:base -j ACCEPT',
+      '-p tcp -m tcp --dport 22 -m comment --comment iptables-manager:ssh -j ACCEPT',
+      '-p tcp -m tcp --dport 443 -m comment --comment iptables-manager:web -j ACCEPT'
+    ]);
+    expect(rules.find(c => c.chain === 'f2b-sshd').rules).toHaveLength(2);
+    expect(rules.find(c => c.chain === 'DOCKER-USER').rules.map(r => r.content))
+      .toEqual(['-s 10.0.0.0/8 -m comment --comment iptables-manager:admin -j ACCEPT', '-j RETURN']);
+
+    expect(await desiredStateService.plan('session', STATE)).toMatchObject({ identical: true, script: '', diff: { identical: true } });
+  });
+
+  test('place les nouvelles sections en fin de chaîne avec position: bottom', async () => {
+    const plan = await desiredStateService.plan('session', {
+      tables: { filter: { 'DOCKER-USER': { position: 'bottom', sections: { admin: ['-j DROP'] } } } }
+    });
+    expect(plan.script).toContain('-I DOCKER-USER 2 -m comment --comment iptables-manager:admin -j DROP');
+  });
+
+  test('lit le fichier de l\'hôte, sinon celui de son groupe', async () => {
+    const getConfig = jest.spyOn(sshService, 'getConfig');
+    spies.push(getConfig);
+    fs.mkdirSync(path.join(dir, 'hosts'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'groups'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'groups', 'web.yaml'), STATE);
+    fs.writeFileSync(path.join(dir, 'hosts', 'web1.json'), JSON.stringify({ tables: { filter: { INPUT: { policy: 'ACCEPT' } } } }));
+
+    getConfig.mockReturnValue({ profile: { id: 'web1', group: 'web' } });
+    expect(await desiredStateService.plan('session', null)).toMatchObject({ source: path.join('hosts', 'web1.json'), identical: true });
+
+    getConfig.mockReturnValue({ profile: { id: 'web2', group: 'web' } });
+    expect((await desiredStateService.plan('session', null)).source).toBe(path.join('groups', 'web.yaml'));
+
+    await expect(desiredStateService.plan('session', null, { family: 'ipv6' })).rejects.toMatchObject({ status: 404 });
+    getConfig.mockReturnValue({ profile: null });
+    await expect(desiredStateService.plan('session', null)).rejects.toThrow(/Hôte hors inventaire/);
+  });
+});
+
+describe('apply', () => {
+  test('vérifie puis applique le script en une opération, avec la configuration attendue', async () => {
+    const { fingerprint, script } = await desiredStateService.plan('session', STATE);
+
+    await expect(desiredStateService.apply('session', STATE, { fingerprint: 'autre' })).rejects.toMatchObject({ status: 409 });
+    expect(sshService.applyChange).not.toHaveBeenCalled();
+
+    const result = await desiredStateService.apply('session', STATE, { fingerprint, author: 'alice' });
+    expect(sshService.executeCommand).toHaveBeenCalledWith('session', 'sudo iptables-restore --noflush --test', { input: script });
+    expect(sshService.applyChange).toHaveBeenCalledWith('session', 'sudo iptables-restore --noflush', expect.objectContaining({
+      author: 'alice', family: 'ipv4', input: script
+    }));
+
+    // Configuration attendue, pour la protection de la connexion SSH
+    const { result: expected } = sshService.applyChange.mock.calls[0][2];
+    expect(sshService.serializeIptablesSave(expected)).toBe(replay(LIVE, script));
+    expect(result.message).toBe('État déclaré appliqué (5 ajout(s), 1 suppression(s), 0 déplacement(s), 1 politique(s))');
+  });
+
+  test('ne modifie rien sur un hôte conforme', async () => {
+    live = replay(LIVE, (await desiredStateService.plan('session', STATE)).script);
+    const result = await desiredStateService.apply('session', STATE);
+
+    expect(result.message).toBe('Aucune modification : l\'hôte est conforme à l\'état déclaré');
+    expect(sshService.applyChange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Tests du déploiement sur un parc d'hôtes (services/fleet-service)
+ *
+ * L'inventaire, les instantanés et le journal d'audit sont écrits dans un
+ * dossier temporaire ; les connexions SSH sont simulées (jest.spyOn sur
+ * SSHService) et chaque hôte renvoie test/fixtures/iptables-save/basic-filter.rules.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iptables-fleet-'));
+process.env.INVENTORY_FILE = path.join(dir, 'hosts.json');
+process.env.SNAPSHOT_DIR = path.join(dir, 'snapshots');
+process.env.AUDIT_FILE = path.join(dir, 'audit.log');
+
+const sshService = require('../services/ssh-service');
+const inventoryService = require('../services/inventory-service');
+const snapshotService = require('../services/snapshot-service');
+const auditService = require('../services/audit-service');
+const fleetService = require('../services/fleet-service');
+const lockoutGuard = require('../services/lockout-guard');
+
+const LIVE = fs.readFileSync(path.join(__dirname, 'fixtures', 'iptables-save', 'basic-filter.rules'), 'utf8');
+
+const ADD_HTTP_ALT = {
+  change: {
+    type: 'add', table: 'filter', chain: 'INPUT', rule: { protocol: 'tcp', destPort: '8080', target: 'ACCEPT' }
+  }
+};
+
+let spies;
+let connections;
+
+/**
+ * Commandes restore (hors --test) exécutées sur un hôte
+ */
+const restores = hostId => connections[hostId].commands.filter(c => /restore$/.test(c.command));
+
+beforeAll(() => {
+  const host = (id, address, tags) => ({
+    id, name: id, host: address, username: 'admin', privateKeyPath: '/home/admin/.ssh/id_rsa', group: 'production', tags
+  });
+  inventoryService.create(host('gw1', '10.0.0.1', ['gateway']));
+  inventoryService.create(host('gw2', '10.0.0.2', ['gateway']));
+  inventoryService.create(host('db1', '10.0.0.3', []));
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  connections = {};
+  fs.rmSync(auditService.file, { force: true });
+  spies = [
+    jest.spyOn(sshService, 'openConnection').mockImplementation(async (host) => {
+      connections[host.id] = { host, commands: [], end: jest.fn(), backend: 'iptables', live: LIVE };
+      return connections[host.id];
+    }),
+    jest.spyOn(sshService, 'detectBackend').mockImplementation(async conn => conn.backend),
+    jest.spyOn(sshService, 'runCommand').mockImplementation(async (conn, command, options = {}) => {
+      conn.commands.push({ command, input: options.input });
+      if (conn.fail && command.includes(conn.fail)) {
+        throw new Error(`${command}: échec`);
+      }
+      if (command === lockoutGuard.SSH_FLOW_COMMAND) {
+        return conn.flow || '';
+      }
+      return command.includes('-save') ? conn.live : '';
+    })
+  ];
+});
+
+afterEach(() => {
+  spies.forEach(spy => spy.mockRestore());
+});
+
+describe('resolveHosts', () => {
+  test('sélectionne par identifiants, étiquette ou groupe', () => {
+    expect(fleetService.resolveHosts({ hostIds: ['gw2', 'db1'] }).map(h => h.id)).toEqual(['gw2', 'db1']);
+    expect(fleetService.resolveHosts({ tag: 'gateway' }).map(h => h.id)).toEqual(['gw1', 'gw2']);
+    expect(fleetService.resolveHosts({ group: 'production' })).toHaveLength(3);
+    expect(() => fleetService.resolveHosts({})).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => fleetService.resolveHosts({ tag: 'dmz' })).toThrow('Aucun hôte ne correspond à la sélection');
+    expect(() => fleetService.resolveHosts({ hostIds: ['gw3'] })).toThrow(expect.objectContaining({ status: 404 }));
+  });
+});
+
+describe('normalizePayload', () => {
+  test('exige une modification ou un jeu de règles valide', () => {
+    expect(() => fleetService.normalizePayload({})).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => fleetService.normalizePayload({ ...ADD_HTTP_ALT, ruleset: LIVE })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => fleetService.normalizePayload({ ruleset: '*security\nCOMMIT\n' }))
+      .toThrow(expect.objectContaining({ errors: ['Table inconnue: security'] }));
+    expect(() => fleetService.normalizePayload({ ruleset: '-A INPUT -j ACCEPT' }))
+      .toThrow(expect.objectContaining({ errors: ['Aucune table trouvée (format iptables-save attendu)'] }));
+  });
+
+  test('supprime une règle par son contenu, quelle que soit sa position', () => {
+    expect(fleetService.normalizePayload({
+      change: { type: 'delete', table: 'filter', chain: 'INPUT', rule: { protocol: 'udp', sourcePort: '53', target: 'ACCEPT' } }
+    })).toEqual({
+      kind: 'change',
+      change: { type: 'delete', table: 'filter', chain: 'INPUT', position: 0, expected: '-p udp -m udp --sport 53 -j ACCEPT' },
+      description: 'Suppression filter/INPUT: -p udp -m udp --sport 53 -j ACCEPT'
+    });
+  });
+});
+
+describe('push', () => {
+  test('simule sans rien appliquer', async () => {
+    const report = await fleetService.push({ ...ADD_HTTP_ALT, tag: 'gateway', dryRun: true });
+
+    expect(report).toMatchObject({
+      dryRun: true,
+      description: 'add filter/INPUT: -p tcp -m tcp --dport 8080 -j ACCEPT',
+      summary: { total: 2, planned: 2, applied: 0 }
+    });
+    expect(report.results[0].diff.tables.filter.INPUT.added).toEqual([{ position: 9, rule: '-p tcp -m tcp --dport 8080 -j ACCEPT' }]);
+    expect(connections.gw1.commands.map(c => c.command)).toEqual([
+      'sudo -n iptables-save', 'sudo -n iptables-restore --test', lockoutGuard.SSH_FLOW_COMMAND
+    ]);
+    expect(connections.gw1.end).toHaveBeenCalled();
+  });
+
+  test('applique sur chaque hôte avec instantané et entrée d\'audit', async () => {
+    const report = await fleetService.push({ ...ADD_HTTP_ALT, hostIds: ['gw1'], author: 'alice', sourceIp: '192.0.2.7' });
+
+    expect(report.summary).toMatchObject({ total: 1, applied: 1 });
+    expect(restores('gw1')).toHaveLength(1);
+    expect(restores('gw1')[0].input).toContain('-A INPUT -p tcp -m tcp --dport 8080 -j ACCEPT\nCOMMIT');
+
+    const [snapshot] = snapshotService.list('admin@10.0.0.1:22');
+    expect(report.results[0].snapshotId).toBe(snapshot.id);
+    expect(snapshot).toMatchObject({ automatic: true, author: 'alice' });
+    expect(auditService.search().entries[0]).toMatchObject({
+      user: 'alice', sourceIp: '192.0.2.7', table: 'filter', chain: 'INPUT', result: 'success'
+    });
+  });
+
+  test('ne recharge pas un hôte déjà à jour', async () => {
+    const report = await fleetService.push({ ruleset: LIVE, hostIds: ['gw1'] });
+    expect(report.results[0].status).toBe('unchanged');
+    expect(restores('gw1')).toEqual([]);
+  });
+
+  test('s\'arrête après maxFailures échecs', async () => {
+    sshService.openConnection.mockImplementation(async (host) => {
+      connections[host.id] = { host, commands: [], end: jest.fn(), backend: 'iptables', live: LIVE, fail: host.id === 'gw1' ? '--test' : null };
+      return connections[host.id];
+    });
+
+    const report = await fleetService.push({ ...ADD_HTTP_ALT, group: 'production', concurrency: 1 });
+
+    expect(report.stopped).toBe(true);
+    expect(report.results.map(r => [r.hostId, r.status])).toEqual([['db1', 'applied'], ['gw1', 'failed'], ['gw2', 'skipped']]);
+    expect(report.results[1].error).toBe('sudo -n iptables-restore --test: échec');
+    expect(connections.gw2).toBeUndefined();
+  });
+
+  test('signale un hôte nftables sans le modifier', async () => {
+    sshService.detectBackend.mockResolvedValue('nftables');
+    const report = await fleetService.push({ ...ADD_HTTP_ALT, hostIds: ['gw1'] });
+    expect(report.results[0]).toMatchObject({ status: 'failed', error: 'Hôte en nftables natif : déploiement iptables impossible' });
+    expect(connections.gw1.commands).toEqual([]);
+  });
+
+  test('refuse un hôte dont l\'accès SSH serait coupé, sauf avec allowLockout', async () => {
+    const DROP_FIRST = { change: { type: 'insert', table: 'filter', chain: 'INPUT', position: 1, rule: { target: 'DROP' } } };
+    sshService.openConnection.mockImplementation(async (host) => {
+      connections[host.id] = {
+        host, commands: [], end: jest.fn(), backend: 'iptables', live: LIVE,
+        flow: `192.168.1.20 51234 ${host.host} 22\n192.168.1.20 dev eth0 src ${host.host} uid 0\n`
+      };
+      return connections[host.id];
+    });
+
+    const refused = await fleetService.push({ ...DROP_FIRST, tag: 'gateway', maxFailures: 2 });
+    expect(refused.summary).toMatchObject({ failed: 2, applied: 0 });
+    expect(refused.results[0].error).toMatch(/^Modification refusée : elle couperait la connexion SSH de l'application \(192\.168\.1\.20 → 10\.0\.0\.1:22\)/);
+    expect(refused.results[0].lockout).toMatchObject({ verdict: 'DROP', decidedBy: { table: 'filter', chain: 'INPUT', position: 1 } });
+    expect(restores('gw1')).toEqual([]);
+    expect(restores('gw2')).toEqual([]);
+
+    const forced = await fleetService.push({ ...DROP_FIRST, hostIds: ['gw1'], allowLockout: true });
+    expect(forced.results[0]).toMatchObject({ status: 'applied', lockout: { verdict: 'DROP' } });
+    expect(restores('gw1')).toHaveLength(1);
+
+    // Le flux SSH reste accepté : aucune alerte
+    const safe = await fleetService.push({ ...ADD_HTTP_ALT, hostIds: ['gw1'] });
+    expect(safe.results[0]).toMatchObject({ status: 'applied', lockout: null });
+  });
+
+  test('vérifie les paramètres de déploiement', async () => {
+    await expect(fleetService.push({ ...ADD_HTTP_ALT, tag: 'gateway', concurrency: 50 })).rejects.toMatchObject({ status: 400 });
+    await expect(fleetService.push({ ...ADD_HTTP_ALT, tag: 'gateway', maxFailures: -1 })).rejects.toMatchObject({ status: 400 });
+    expect(sshService.openConnection).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Tests de l'import et de l'export des jeux de règles (services/import-export-service)
+ *
+ * Les commandes SSH sont simulées (jest.spyOn sur SSHService) : aucune
+ * connexion n'est nécessaire.
+ */
+
+const yaml = require('js-yaml');
+const sshService = require('../services/ssh-service');
+const importExportService = require('../services/import-export-service');
+
+const LIVE = [
+  '*filter',
+  ':INPUT DROP [10:800]',
+  ':FORWARD ACCEPT [0:0]',
+  ':OUTPUT ACCEPT [0:0]',
+  '-A INPUT -p tcp -m tcp --dport 22 -j ACCEPT',
+  'COMMIT',
+  '*nat',
+  ':PREROUTING ACCEPT [0:0]',
+  ':POSTROUTING ACCEPT [0:0]',
+  '-A POSTROUTING -o eth0 -j MASQUERADE',
+  'COMMIT',
+  ''
+].join('\n');
+
+let spies;
+let executeCommand;
+
+beforeEach(() => {
+  executeCommand = jest.fn(async (sessionId, command) => (command.endsWith('--test') ? '' : LIVE));
+  spies = [
+    jest.spyOn(sshService, 'requireIptables').mockReturnValue(),
+    jest.spyOn(sshService, 'getHostKey').mockReturnValue('admin@10.0.0.1:22'),
+    jest.spyOn(sshService, 'executeCommand').mockImplementation(executeCommand),
+    jest.spyOn(sshService, 'applyChange').mockResolvedValue(null)
+  ];
+});
+
+afterEach(() => {
+  spies.forEach(spy => spy.mockRestore());
+});
+
+describe('exportRuleset', () => {
+  test('exporte le texte iptables-save tel quel', async () => {
+    const result = await importExportService.exportRuleset('session', 'save', 'ipv6');
+
+    expect(executeCommand).toHaveBeenCalledWith('session', 'sudo ip6tables-save');
+    expect(result).toEqual({ body: LIVE, contentType: 'text/plain; charset=utf-8', filename: 'admin@10.0.0.1_22-ipv6.rules' });
+  });
+
+  test('exporte un document JSON ou YAML réimportable', async () => {
+    const json = await importExportService.exportRuleset('session', 'json');
+    const document = JSON.parse(json.body);
+    expect(document).toMatchObject({ format: 'iptables-manager/ruleset', version: 1, family: 'ipv4', host: 'admin@10.0.0.1:22' });
+    expect(document.tables.nat[1].rules[0].content).toBe('-o eth0 -j MASQUERADE');
+
+    const yamlExport = await importExportService.exportRuleset('session', 'yaml');
+    expect(yamlExport.filename).toBe('admin@10.0.0.1_22-ipv4.yaml');
+    expect(yaml.safeLoad(yamlExport.body).tables).toEqual(document.tables);
+
+    const { ruleset } = importExportService.parseImport(yamlExport.body);
+    expect(ruleset).toContain(':INPUT DROP [0:0]\n:FORWARD ACCEPT [0:0]\n:OUTPUT ACCEPT [0:0]\n-A INPUT -p tcp -m tcp --dport 22 -j ACCEPT\nCOMMIT');
+  });
+
+  test('refuse un format inconnu', async () => {
+    await expect(importExportService.exportRuleset('session', 'xml')).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('parseImport', () => {
+  test('devine le format du contenu', () => {
+    expect(importExportService.parseImport(LIVE).format).toBe('save');
+    expect(importExportService.parseImport('{"tables": {"filter": []}}').format).toBe('json');
+    expect(importExportService.parseImport('tables:\n  filter: []\n').format).toBe('yaml');
+    expect(importExportService.parseImport({ filter: [] }).format).toBe('json');
+  });
+
+  test('accepte des règles par contenu, par ligne complète ou structurées', () => {
+    const { ruleset } = importExportService.parseImport({
+      tables: {
+        filter: [
+          {
+            chain: 'INPUT',
+            policy: 'DROP',
+            rules: [
+              '-i lo -j ACCEPT',
+              { raw: '-A INPUT -p icmp -j ACCEPT' },
+              { protocol: 'tcp', destPort: '22', target: 'ACCEPT' },
+              { content: '-j LOGDROP' }
+            ]
+          },
+          { chain: 'LOGDROP', policy: 'ACCEPT', rules: ['-j DROP'] }
+        ]
+      }
+    });
+
+    expect(ruleset).toBe([
+      '*filter',
+      ':INPUT DROP [0:0]',
+      ':LOGDROP - [0:0]',
+      '-A INPUT -i lo -j ACCEPT',
+      '-A INPUT -p icmp -j ACCEPT',
+      '-A INPUT -p tcp -m tcp --dport 22 -j ACCEPT',
+      '-A INPUT -j LOGDROP',
+      '-A LOGDROP -j DROP',
+      'COMMIT',
+      ''
+    ].join('\n'));
+  });
+
+  test('détaille les erreurs du document', () => {
+    let error;
+    try {
+      importExportService.parseImport({
+        tables: {
+          security: [],
+          filter: [
+            { chain: 'INPUT', policy: 'REJECT', rules: ['-j ACCEPT\n-A INPUT -j DROP'] },
+            { chain: 'FORWARD', rules: [{ raw: '-A INPUT -j DROP' }, { protocol: 'tcp', target: 'NOPE!' }] }
+          ]
+        }
+      });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toMatchObject({ status: 400, message: 'Jeu de règles importé invalide' });
+    expect(error.errors).toEqual(expect.arrayContaining([
+      'Table inconnue: security',
+      'filter/INPUT: politique invalide: REJECT',
+      'filter/INPUT règle 1: contenu vide ou sur plusieurs lignes',
+      'filter/FORWARD règle 1: la ligne doit commencer par "-A FORWARD"'
+    ]));
+    expect(error.errors.some(message => message.startsWith('filter/FORWARD règle 2:'))).toBe(true);
+  });
+
+  test('refuse un contenu illisible, vide ou d\'une autre famille', () => {
+    expect(() => importExportService.parseImport('{ nope')).toThrow(/Contenu JSON illisible/);
+    expect(() => importExportService.parseImport('')).toThrow('Jeu de règles manquant');
+    expect(() => importExportService.parseImport('# vide\n', 'save')).toThrow('Aucune table dans le jeu de règles importé');
+    expect(() => importExportService.parseImport({ family: 'ipv6', tables: { filter: [] } }, undefined, 'ipv4'))
+      .toThrow(/famille ipv6, pas ipv4/);
+  });
+});
+
+describe('previewImport / applyImport', () => {
+  const imported = '*filter\n:INPUT DROP [0:0]\n-A INPUT -p tcp -m tcp --dport 443 -j ACCEPT\nCOMMIT\n';
+
+  test('vérifie sur l\'hôte et compare les seules tables importées', async () => {
+    const preview = await importExportService.previewImport('session', imported);
+
+    expect(executeCommand).toHaveBeenCalledWith('session', 'sudo iptables-restore --test', { input: imported });
+    expect(preview.touchedTables).toEqual(['filter']);
+    expect(preview.diff.summary).toMatchObject({ added: 1, removed: 1 });
+    expect(preview.diff.tables.nat).toBeUndefined();
+  });
+
+  test('signale le refus d\'iptables-restore --test', async () => {
+    executeCommand.mockImplementation(async (sessionId, command) => {
+      if (command.endsWith('--test')) {
+        throw Object.assign(new Error('Commande échouée'), { stderr: 'iptables-restore: line 3 failed\n' });
+      }
+      return LIVE;
+    });
+
+    await expect(importExportService.previewImport('session', imported))
+      .rejects.toMatchObject({ status: 400, message: 'Jeu de règles refusé par iptables-restore --test: iptables-restore: line 3 failed' });
+  });
+
+  test('applique le jeu de règles en une opération, sauf si la configuration a changé', async () => {
+    const { fingerprint } = await importExportService.previewImport('session', imported);
+
+    await expect(importExportService.applyImport('session', imported, { fingerprint: 'autre' }))
+      .rejects.toMatchObject({ status: 409 });
+    expect(sshService.applyChange).not.toHaveBeenCalled();
+
+    const result = await importExportService.applyImport('session', imported, { fingerprint, author: 'alice', confirmTimeout: 60 });
+    expect(sshService.applyChange).toHaveBeenCalledWith('session', 'sudo iptables-restore', {
+      author: 'alice', confirmTimeout: 60, family: 'ipv4', input: imported
+    });
+    expect(result).toMatchObject({ success: true, message: 'Jeu de règles importé (tables remplacées: filter)', pendingConfirmation: null });
+  });
+});
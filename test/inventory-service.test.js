@@ -0,0 +1,100 @@
+/**
+ * Tests de l'inventaire des hôtes (services/inventory-service)
+ *
+ * L'inventaire est écrit dans un dossier temporaire (variable INVENTORY_FILE).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iptables-inventory-'));
+process.env.INVENTORY_FILE = path.join(dir, 'hosts.json');
+
+const inventoryService = require('../services/inventory-service');
+
+const GATEWAY = {
+  id: 'prod-gw1',
+  name: 'Passerelle production 1',
+  host: '203.0.113.10',
+  username: 'admin',
+  privateKeyPath: '/home/admin/.ssh/id_rsa',
+  group: 'production',
+  tags: ['gateway', ' dmz '],
+  natPublicIps: ['203.0.113.10', '2001:db8::10']
+};
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fs.rmSync(inventoryService.file, { force: true });
+});
+
+describe('create / get / list', () => {
+  test('normalise et enregistre un hôte', () => {
+    expect(inventoryService.create(GATEWAY)).toEqual({ ...GATEWAY, port: 22, tags: ['gateway', 'dmz'] });
+    expect(JSON.parse(fs.readFileSync(inventoryService.file, 'utf8')).hosts).toHaveLength(1);
+    expect(inventoryService.get('prod-gw1').host).toBe('203.0.113.10');
+    expect(() => inventoryService.get('prod-gw2')).toThrow(expect.objectContaining({ status: 404 }));
+    expect(() => inventoryService.create(GATEWAY)).toThrow(expect.objectContaining({ status: 409 }));
+  });
+
+  test('filtre par étiquette ou par groupe et trie par groupe puis par nom', () => {
+    inventoryService.create(GATEWAY);
+    inventoryService.create({ ...GATEWAY, id: 'lab-gw', name: 'Labo', group: 'lab', tags: ['gateway'] });
+    inventoryService.create({ ...GATEWAY, id: 'prod-db', name: 'Base de données', tags: [] });
+
+    expect(inventoryService.list().map(h => h.id)).toEqual(['lab-gw', 'prod-db', 'prod-gw1']);
+    expect(inventoryService.list({ tag: 'gateway' }).map(h => h.id)).toEqual(['lab-gw', 'prod-gw1']);
+    expect(inventoryService.list({ group: 'production', tag: 'dmz' }).map(h => h.id)).toEqual(['prod-gw1']);
+  });
+});
+
+describe('normalize', () => {
+  test('détaille les valeurs invalides', () => {
+    let error;
+    try {
+      inventoryService.create({
+        id: '../hosts',
+        host: ' ',
+        port: 70000,
+        group: 'prod gw',
+        tags: ['ok', 'pas ok'],
+        natPublicIps: ['203.0.113.300']
+      });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toMatchObject({ status: 400, message: 'Hôte invalide' });
+    expect(error.errors).toEqual([
+      'Identifiant invalide (lettres, chiffres, ".", "_" et "-" uniquement)',
+      'Adresse de l\'hôte manquante',
+      'Nom d\'utilisateur manquant',
+      'Chemin de la clé privée manquant',
+      'Port SSH invalide',
+      'Groupe invalide: prod gw',
+      'Étiquette invalide: pas ok',
+      'IP publique invalide: 203.0.113.300'
+    ]);
+  });
+});
+
+describe('update / remove', () => {
+  test('conserve les champs absents et garde l\'identifiant', () => {
+    inventoryService.create(GATEWAY);
+    const host = inventoryService.update('prod-gw1', { id: 'autre', port: '2222', tags: ['gateway'] });
+
+    expect(host).toMatchObject({ id: 'prod-gw1', port: 2222, tags: ['gateway'], group: 'production' });
+    expect(() => inventoryService.update('prod-gw2', {})).toThrow(expect.objectContaining({ status: 404 }));
+  });
+
+  test('supprime un hôte', () => {
+    inventoryService.create(GATEWAY);
+    inventoryService.remove('prod-gw1');
+    expect(inventoryService.list()).toEqual([]);
+    expect(() => inventoryService.remove('prod-gw1')).toThrow(expect.objectContaining({ status: 404 }));
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * Tests du backend iptables (services/iptables-backend)
+ *
+ * Le service SSH est remplacé par un objet qui enregistre les commandes : les
+ * tests vérifient les commandes envoyées à l'hôte, pas leur exécution.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const IptablesBackend = require('../services/iptables-backend');
+const ruleModel = require('../services/rule-model');
+const sshService = require('../services/ssh-service');
+const userService = require('../services/user-service');
+
+const BASIC = fs.readFileSync(path.join(__dirname, 'fixtures', 'iptables-save', 'basic-filter.rules'), 'utf8');
+
+let ssh;
+let backend;
+
+beforeEach(() => {
+  ssh = {
+    executeCommand: jest.fn(async () => ''),
+    applyChange: jest.fn(async () => null),
+    executeAudited: jest.fn(async () => ''),
+    assertFingerprint: sshService.assertFingerprint,
+    parseIptablesSave: text => sshService.parseIptablesSave(text)
+  };
+  backend = new IptablesBackend(ssh);
+});
+
+describe('listRules', () => {
+  test('échappe la commande de lecture de la table', async () => {
+    await backend.listRules('session', 'nat', 'ipv6');
+    expect(ssh.executeCommand).toHaveBeenCalledWith('session',
+      'sudo ip6tables -t nat -L -n -v -x --line-numbers && echo \'#IPTABLES-SPEC\' && sudo ip6tables -t nat -S');
+  });
+
+  test('refuse une table inconnue sans rien exécuter', async () => {
+    await expect(backend.listRules('session', 'filter;id')).rejects.toMatchObject({
+      status: 400,
+      message: 'Table inconnue: filter;id (attendu: filter, nat, raw, mangle)'
+    });
+    expect(ssh.executeCommand).not.toHaveBeenCalled();
+  });
+});
+
+describe('addRule / insertRule', () => {
+  // Opérateur limité à filter : ses droits sont vérifiés sur la table de la requête
+  const operator = { username: 'bob', role: 'operator', tables: ['filter'] };
+  const NAT_RULE = { table: 'nat', chain: 'PREROUTING', protocol: 'tcp', destPort: '80', target: 'REDIRECT', targetOptions: { 'to-ports': '8080' } };
+
+  test('refuse une règle qui désigne une autre table que celle de la requête', async () => {
+    expect(() => userService.authorize(operator, 'operator', 'filter')).not.toThrow();
+
+    expect(backend.validateRule(NAT_RULE, 'filter')).toEqual({
+      valid: false,
+      errors: ['La règle désigne la table nat alors que la requête vise filter']
+    });
+    await expect(backend.addRule('session', NAT_RULE, 'filter')).rejects.toMatchObject({ status: 400 });
+    await expect(backend.insertRule('session', NAT_RULE, 1, 'filter')).rejects.toMatchObject({ status: 400 });
+    expect(ssh.applyChange).not.toHaveBeenCalled();
+  });
+
+  test('refuse une position d\'insertion invalide sans rien exécuter', async () => {
+    await expect(backend.insertRule('session', { ...NAT_RULE, table: undefined }, 0, 'nat')).rejects.toMatchObject({ status: 400 });
+    await expect(backend.insertRule('session', { ...NAT_RULE, chain: 'PRE;ROUTING' }, 1, 'nat')).rejects.toMatchObject({ status: 400 });
+    expect(ssh.applyChange).not.toHaveBeenCalled();
+  });
+
+  test('applique la règle dans la table de la requête', async () => {
+    await backend.addRule('session', { ...NAT_RULE, table: undefined }, 'nat');
+    await backend.insertRule('session', NAT_RULE, 2, 'nat');
+    expect(ssh.applyChange.mock.calls.map(([, command]) => command)).toEqual([
+      'sudo iptables -t nat -A PREROUTING -p tcp -m tcp --dport 80 -j REDIRECT --to-ports 8080',
+      'sudo iptables -t nat -I PREROUTING 2 -p tcp -m tcp --dport 80 -j REDIRECT --to-ports 8080'
+    ]);
+  });
+});
+
+describe('addRule (mode expert)', () => {
+  test('transmet la commande brute après avoir vérifié la table', async () => {
+    await backend.addRule('session', '-A PREROUTING -j ACCEPT', 'raw');
+    expect(ssh.applyChange).toHaveBeenCalledWith('session', 'sudo iptables -t raw -A PREROUTING -j ACCEPT', {});
+
+    await expect(backend.addRule('session', '-A INPUT -j ACCEPT', 'nat;id')).rejects.toMatchObject({
+      status: 400,
+      message: 'Table inconnue: nat;id (attendu: filter, nat, raw, mangle)'
+    });
+    expect(ssh.applyChange).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('replaceRule', () => {
+  const SSH_RULE = { protocol: 'tcp', source: '10.0.0.0/8', destPort: '22', target: 'ACCEPT' };
+
+  test('remplace la règle de la position dans la chaîne de l\'URL', async () => {
+    await backend.replaceRule('session', 'INPUT', 4, { ...SSH_RULE, source: 'fd00::/8', chain: 'OUTPUT' }, 'filter', { family: 'ipv6' });
+    expect(ssh.executeCommand).not.toHaveBeenCalled();
+    expect(ssh.applyChange).toHaveBeenCalledWith('session',
+      'sudo ip6tables -R INPUT 4 -s fd00::/8 -p tcp -m tcp --dport 22 -j ACCEPT', { family: 'ipv6' });
+  });
+
+  test('vérifie l\'empreinte de la règle remplacée', async () => {
+    ssh.executeCommand.mockResolvedValue('-P INPUT DROP\n-A INPUT -i lo -j ACCEPT\n-A INPUT -p tcp -m tcp --dport 22 -j ACCEPT\n');
+    const fingerprint = ruleModel.ruleFingerprint('-p tcp -m tcp --dport 22 -j ACCEPT');
+
+    await expect(backend.replaceRule('session', 'INPUT', 1, SSH_RULE, 'filter', { fingerprint })).rejects.toMatchObject({
+      status: 409,
+      currentPosition: 2
+    });
+    await backend.replaceRule('session', 'INPUT', 2, SSH_RULE, 'filter', { fingerprint });
+    expect(ssh.applyChange).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuse une règle ou une position invalide sans rien exécuter', async () => {
+    await expect(backend.replaceRule('session', 'INPUT', 0, SSH_RULE)).rejects.toMatchObject({ status: 400 });
+    await expect(backend.replaceRule('session', 'INPUT', 1, { ...SSH_RULE, destPort: '22;id' })).rejects.toMatchObject({
+      status: 400,
+      message: 'Règle invalide'
+    });
+    expect(ssh.executeCommand).not.toHaveBeenCalled();
+    expect(ssh.applyChange).not.toHaveBeenCalled();
+  });
+});
+
+describe('moveRule', () => {
+  beforeEach(() => {
+    ssh.executeCommand.mockImplementation(async (sessionId, command) => (command.includes('-save') ? BASIC : ''));
+  });
+
+  test('supprime puis réinsère la règle dans un même script --noflush vérifié au préalable', async () => {
+    const fingerprint = ruleModel.ruleFingerprint('-p udp -m udp --sport 53 -j ACCEPT');
+    await backend.moveRule('session', 'INPUT', 7, 2, 'filter', { fingerprint, author: 'alice' });
+
+    const script = '*filter\n-D INPUT 7\n-I INPUT 2 -p udp -m udp --sport 53 -j ACCEPT\nCOMMIT\n';
+    expect(ssh.executeCommand.mock.calls.map(([, command, options]) => [command, options])).toEqual([
+      ['sudo iptables-save -t filter', undefined],
+      ['sudo iptables-restore --noflush --test', { input: script }]
+    ]);
+
+    const [, command, options] = ssh.applyChange.mock.calls[0];
+    expect(command).toBe('sudo iptables-restore --noflush');
+    expect(options).toMatchObject({ author: 'alice', input: script });
+    // Configuration attendue, pour la protection de l'accès SSH
+    expect(options.result.filter.find(c => c.chain === 'INPUT').rules.map(r => r.content).slice(0, 3)).toEqual([
+      '-i lo -j ACCEPT',
+      '-p udp -m udp --sport 53 -j ACCEPT',
+      '-m conntrack --ctstate RELATED,ESTABLISHED -j ACCEPT'
+    ]);
+  });
+
+  test('n\'applique rien si iptables-restore --test refuse le script', async () => {
+    ssh.executeCommand.mockImplementation(async (sessionId, command) => {
+      if (command.endsWith('--test')) throw new Error('iptables-restore: line 3 failed');
+      return BASIC;
+    });
+    await expect(backend.moveRule('session', 'INPUT', 1, 8)).rejects.toThrow('line 3 failed');
+    expect(ssh.applyChange).not.toHaveBeenCalled();
+  });
+
+  test('refuse une règle déplacée depuis l\'affichage ou une position hors de la chaîne', async () => {
+    const fingerprint = ruleModel.ruleFingerprint('-i lo -j ACCEPT');
+    await expect(backend.moveRule('session', 'INPUT', 2, 1, 'filter', { fingerprint })).rejects.toMatchObject({
+      status: 409,
+      currentPosition: 1
+    });
+    await expect(backend.moveRule('session', 'INPUT', 9, 1)).rejects.toMatchObject({
+      status: 404,
+      message: 'Position hors de la chaîne INPUT (8 règles)'
+    });
+    await expect(backend.moveRule('session', 'INPUT', 1, 9)).rejects.toMatchObject({ status: 404 });
+    await expect(backend.moveRule('session', 'DOCKER', 1, 2)).rejects.toMatchObject({ status: 404 });
+    await expect(backend.moveRule('session', 'INPUT', 1, 0)).rejects.toMatchObject({ status: 400 });
+    expect(ssh.applyChange).not.toHaveBeenCalled();
+  });
+
+  test('ne modifie rien si la règle est déjà à la position demandée', async () => {
+    expect(await backend.moveRule('session', 'INPUT', 3, 3)).toEqual({
+      success: true, message: 'La règle est déjà à cette position', pendingConfirmation: null
+    });
+    expect(ssh.applyChange).not.toHaveBeenCalled();
+  });
+});
+
+describe('deleteRule', () => {
+  const SPECS = [
+    '-P INPUT DROP',
+    '-A INPUT -m conntrack --ctstate RELATED,ESTABLISHED -j ACCEPT',
+    '-A INPUT -p tcp -m tcp --dport 22 -m comment --comment "accès admin" -j ACCEPT',
+    ''
+  ].join('\n');
+
+  beforeEach(() => {
+    ssh.executeCommand.mockResolvedValue(SPECS);
+  });
+
+  test('supprime la règle par sa spécification', async () => {
+    await backend.deleteRule('session', 'INPUT', 2, 'filter', { author: 'alice' });
+    expect(ssh.executeCommand).toHaveBeenCalledWith('session', 'sudo iptables -t filter -S INPUT');
+    expect(ssh.applyChange).toHaveBeenCalledWith('session',
+      'sudo iptables -D INPUT -p tcp -m tcp --dport 22 -m comment --comment \'accès admin\' -j ACCEPT',
+      { author: 'alice' });
+  });
+
+  test('refuse une règle déplacée depuis le dernier affichage', async () => {
+    const fingerprint = ruleModel.ruleFingerprint('-p tcp -m tcp --dport 22 -m comment --comment "accès admin" -j ACCEPT');
+
+    await expect(backend.deleteRule('session', 'INPUT', 1, 'filter', { fingerprint })).rejects.toMatchObject({
+      status: 409,
+      currentPosition: 2
+    });
+    await expect(backend.deleteRule('session', 'INPUT', 3)).rejects.toMatchObject({ status: 404 });
+    expect(ssh.applyChange).not.toHaveBeenCalled();
+  });
+
+  test('refuse une chaîne ou une position invalide sans rien exécuter', async () => {
+    await expect(backend.deleteRule('session', 'INPUT;id', 1)).rejects.toMatchObject({ status: 400 });
+    await expect(backend.deleteRule('session', 'INPUT', '1;id')).rejects.toMatchObject({ status: 400 });
+    await expect(backend.deleteRule('session', 'INPUT', 1, 'filter;id')).rejects.toMatchObject({ status: 400 });
+    expect(ssh.executeCommand).not.toHaveBeenCalled();
+  });
+});
+
+describe('gestion des chaînes', () => {
+  const commands = () => ssh.applyChange.mock.calls.map(([, command]) => command);
+
+  test('crée, renomme et vide une chaîne', async () => {
+    await backend.createChain('session', 'WEB', 'filter', { family: 'ipv6' });
+    await backend.renameChain('session', 'WEB', 'WEB-IN', 'mangle');
+    await backend.flushChain('session', 'PREROUTING', 'nat');
+    expect(commands()).toEqual([
+      'sudo ip6tables -N WEB',
+      'sudo iptables -t mangle -E WEB WEB-IN',
+      'sudo iptables -t nat -F PREROUTING'
+    ]);
+  });
+
+  test('refuse un nom invalide ou une chaîne intégrée sans rien exécuter', async () => {
+    await expect(backend.createChain('session', 'WEB;id')).rejects.toMatchObject({ status: 400 });
+    await expect(backend.createChain('session', 'INPUT')).rejects.toMatchObject({
+      status: 400,
+      message: 'INPUT est une chaîne intégrée de la table filter'
+    });
+    await expect(backend.renameChain('session', 'WEB', 'FORWARD')).rejects.toMatchObject({ status: 400 });
+    await expect(backend.renameChain('session', 'OUTPUT', 'WEB')).rejects.toMatchObject({ status: 400 });
+    await expect(backend.flushChain('session', 'INPUT', 'security')).rejects.toMatchObject({ status: 400 });
+    expect(ssh.applyChange).not.toHaveBeenCalled();
+  });
+
+  test('ne supprime qu\'une chaîne existante, vide et non référencée', async () => {
+    ssh.listRules = jest.fn(async () => [
+      { chain: 'INPUT', policy: 'DROP', rules: [{ num: '1' }] },
+      { chain: 'LOGDROP', policy: '-', references: 2, rules: [] },
+      { chain: 'WEB', policy: '-', references: 0, rules: [{ num: '1' }] },
+      { chain: 'OLD', policy: '-', references: 0, rules: [] }
+    ]);
+
+    await expect(backend.deleteChain('session', 'LOGDROP')).rejects.toMatchObject({
+      status: 409,
+      message: 'La chaîne LOGDROP est référencée par 2 règle(s)'
+    });
+    await expect(backend.deleteChain('session', 'WEB')).rejects.toMatchObject({
+      status: 409,
+      message: 'La chaîne WEB contient 1 règle(s) : videz-la d\'abord'
+    });
+    await expect(backend.deleteChain('session', 'NEW')).rejects.toMatchObject({ status: 404 });
+    await expect(backend.deleteChain('session', 'INPUT')).rejects.toMatchObject({ status: 400 });
+    expect(ssh.applyChange).not.toHaveBeenCalled();
+
+    await backend.deleteChain('session', 'OLD', 'filter', { family: 'ipv6' });
+    expect(ssh.listRules).toHaveBeenLastCalledWith('session', 'filter', 'ipv6');
+    expect(commands()).toEqual(['sudo ip6tables -X OLD']);
+  });
+
+  test('change la politique d\'une chaîne intégrée, en ACCEPT ou DROP seulement', async () => {
+    // La route exige le rôle admin, quelles que soient les tables de l'opérateur
+    expect(() => userService.authorize({ username: 'bob', role: 'operator' }, 'admin')).toThrow(expect.objectContaining({ status: 403 }));
+
+    await backend.setPolicy('session', 'FORWARD', 'DROP');
+    await backend.setPolicy('session', 'POSTROUTING', 'ACCEPT', 'nat');
+    expect(commands()).toEqual(['sudo iptables -P FORWARD DROP', 'sudo iptables -t nat -P POSTROUTING ACCEPT']);
+
+    await expect(backend.setPolicy('session', 'INPUT', 'REJECT')).rejects.toMatchObject({
+      status: 400,
+      message: 'Politique invalide (attendu: ACCEPT, DROP)'
+    });
+    await expect(backend.setPolicy('session', 'WEB', 'DROP')).rejects.toMatchObject({ status: 400 });
+    await expect(backend.setPolicy('session', 'FORWARD', 'DROP', 'nat')).rejects.toMatchObject({ status: 400 });
+    expect(ssh.applyChange).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('zeroCounters', () => {
+  test('inscrit la remise à zéro au journal d\'audit', async () => {
+    await backend.zeroCounters('session', 'INPUT', 'filter', { family: 'ipv6', author: 'alice' });
+    expect(ssh.executeAudited).toHaveBeenCalledWith('session', 'sudo ip6tables -Z INPUT', { family: 'ipv6', author: 'alice' });
+    expect(ssh.executeCommand).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests du parseur de règles iptables (services/iptables-parser)
+ *
+ * Les fichiers de test/fixtures/iptables-save sont des sorties iptables-save :
+ * chaque règle doit être reconstruite à l'identique. parsed-rules.json décrit
+ * la structure attendue de quelques règles représentatives.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize, parseRule, serializeRule, canonicalizeRule, findOption } = require('../services/iptables-parser');
+const sshService = require('../services/ssh-service');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const SAVE_DIR = path.join(FIXTURES, 'iptables-save');
+
+/**
+ * Retourne le contenu (sans "-A CHAÎNE") des règles d'un fichier iptables-save
+ *
+ * @param {string} file - Nom du fichier dans test/fixtures/iptables-save
+ * @returns {Array<string>} Contenu des règles
+ */
+function ruleContents(file) {
+  return fs.readFileSync(path.join(SAVE_DIR, file), 'utf8')
+    .split('\n')
+    .filter(line => line.startsWith('-A '))
+    .map(line => line.replace(/^-A \S+ /, ''));
+}
+
+describe('tokenize', () => {
+  test('sépare les éléments sur les espaces', () => {
+    expect(tokenize('-p  tcp   --dport 22')).toEqual([
+      { value: '-p', quoted: false },
+      { value: 'tcp', quoted: false },
+      { value: '--dport', quoted: false },
+      { value: '22', quoted: false }
+    ]);
+  });
+
+  test('conserve les espaces et retire les échappements entre guillemets', () => {
+    expect(tokenize('--comment "a \\"b\\" c\\\\d"')).toEqual([
+      { value: '--comment', quoted: false },
+      { value: 'a "b" c\\d', quoted: true }
+    ]);
+  });
+
+  test('refuse un guillemet non refermé', () => {
+    expect(() => tokenize('--comment "ouvert')).toThrow(/Guillemet non refermé/);
+  });
+});
+
+describe('parseRule', () => {
+  const cases = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'parsed-rules.json'), 'utf8'));
+
+  test.each(cases.map(c => [c.description, c]))('%s', (description, { content, expected }) => {
+    expect(parseRule(content)).toEqual(expected);
+  });
+
+  test('refuse une option hors module sans protocole', () => {
+    expect(() => parseRule('--dport 22 -j ACCEPT')).toThrow(/en dehors de tout module/);
+  });
+
+  test('refuse deux cibles', () => {
+    expect(() => parseRule('-j ACCEPT -j DROP')).toThrow(/une seule cible/);
+  });
+
+  test('refuse un "!" final ou devant -m', () => {
+    expect(() => parseRule('-j ACCEPT !')).toThrow(/fin de règle/);
+    expect(() => parseRule('! -m tcp --dport 22')).toThrow(/ne peut pas précéder/);
+  });
+
+  test('refuse une valeur isolée', () => {
+    expect(() => parseRule('tcp -j ACCEPT')).toThrow(/Valeur inattendue/);
+  });
+});
+
+describe('serializeRule', () => {
+  const files = fs.readdirSync(SAVE_DIR).filter(f => f.endsWith('.rules'));
+
+  test.each(files)('reconstruit à l\'identique chaque règle de %s', (file) => {
+    const contents = ruleContents(file);
+    expect(contents.length).toBeGreaterThan(0);
+    for (const content of contents) {
+      expect(serializeRule(parseRule(content))).toBe(content);
+    }
+  });
+
+  test('normalise une ligne saisie à la main', () => {
+    expect(serializeRule(parseRule('-p udp   --dport 53 -j ACCEPT'))).toBe('-p udp --dport 53 -j ACCEPT');
+  });
+
+  test('écrit une règle sous la forme d\'iptables-save', () => {
+    expect(canonicalizeRule(parseRule('--protocol tcp --dport 22 --source 10.0.0.0/8 -j ACCEPT')))
+      .toBe('-s 10.0.0.0/8 -p tcp -m tcp --dport 22 -j ACCEPT');
+    expect(canonicalizeRule(parseRule('-s 10.0.0.0/8 -p tcp -m tcp --dport 22 -j ACCEPT')))
+      .toBe('-s 10.0.0.0/8 -p tcp -m tcp --dport 22 -j ACCEPT');
+  });
+});
+
+describe('findOption', () => {
+  const rule = parseRule('-s 10.0.0.0/8 -p tcp -m multiport --dports 80,443 -j DNAT --to-destination 10.0.0.2');
+
+  test('cherche dans les options de base, les modules et la cible', () => {
+    expect(findOption(rule, '-s').values).toEqual(['10.0.0.0/8']);
+    expect(findOption(rule, ['--dport', '--dports']).values).toEqual(['80,443']);
+    expect(findOption(rule, '--to-destination').values).toEqual(['10.0.0.2']);
+  });
+
+  test('limite la recherche à un module ou à la cible', () => {
+    expect(findOption(rule, '--dports', 'tcp')).toBeNull();
+    expect(findOption(rule, '--dports', 'multiport')).not.toBeNull();
+    expect(findOption(rule, '--to-destination', 'target')).not.toBeNull();
+  });
+});
+
+describe('parseIptablesSave', () => {
+  test('joint la règle parsée à chaque ligne', () => {
+    const text = fs.readFileSync(path.join(SAVE_DIR, 'docker-nat.rules'), 'utf8');
+    const tables = sshService.parseIptablesSave(text);
+    const docker = tables.nat.find(c => c.chain === 'DOCKER');
+
+    expect(docker.rules[1].parsed.target).toEqual({
+      name: 'DNAT',
+      goto: false,
+      options: [{ option: '--to-destination', values: ['172.17.0.2:80'], negated: false, quoted: false }]
+    });
+    expect(sshService.serializeIptablesSave(tables, ['nat'])).toContain(
+      '-A DOCKER ! -i docker0 -p tcp -m tcp --dport 8080 -j DNAT --to-destination 172.17.0.2:80'
+    );
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests de la protection contre la coupure de la connexion SSH (services/lockout-guard)
+ *
+ * Les commandes sont rejouées sur test/fixtures/iptables-save/basic-filter.rules
+ * (politique INPUT DROP, SSH accepté depuis 192.168.1.0/24 et connexions établies).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseSshFlow, shellWords, applyCommand, findLockout } = require('../services/lockout-guard');
+const ruleModel = require('../services/rule-model');
+const sshService = require('../services/ssh-service');
+
+const text = fs.readFileSync(path.join(__dirname, 'fixtures', 'iptables-save', 'basic-filter.rules'), 'utf8');
+const before = sshService.parseIptablesSave(text);
+
+/**
+ * Rejoue une commande shell iptables sur basic-filter.rules
+ *
+ * @param {string} command - Commande (ex: "sudo iptables -P INPUT DROP")
+ * @returns {Object|null} Configuration résultante
+ */
+function replay(command) {
+  const [, , ...args] = shellWords(command);
+  return applyCommand(before, args);
+}
+
+describe('parseSshFlow', () => {
+  test('lit $SSH_CONNECTION et l\'interface de ip route get', () => {
+    const output = '192.168.1.20 51234 192.168.1.1 22\n192.168.1.20 dev eth0 src 192.168.1.1 uid 0 \\    cache\n';
+    expect(parseSshFlow(output)).toEqual({
+      client: '192.168.1.20',
+      clientPort: 51234,
+      server: '192.168.1.1',
+      serverPort: 22,
+      interface: 'eth0',
+      family: 'ipv4'
+    });
+  });
+
+  test('retire le préfixe des adresses IPv4 mappées', () => {
+    expect(parseSshFlow('::ffff:10.0.0.2 40000 ::ffff:10.0.0.1 2222\n')).toMatchObject({
+      client: '10.0.0.2', server: '10.0.0.1', serverPort: 2222, interface: null, family: 'ipv4'
+    });
+  });
+
+  test('retourne null sans $SSH_CONNECTION', () => {
+    expect(parseSshFlow('\n')).toBeNull();
+  });
+});
+
+describe('shellWords', () => {
+  test('découpe une commande échappée par ruleModel.toCommand', () => {
+    const args = ['iptables', '-A', 'INPUT', '-m', 'comment', '--comment', 'l\'admin ; test', '-j', 'ACCEPT'];
+    expect(shellWords(`sudo ${ruleModel.toCommand(args)}`)).toEqual(['sudo', ...args]);
+  });
+
+  test('refuse les enchaînements, redirections et substitutions', () => {
+    expect(shellWords('sudo iptables -F; reboot')).toBeNull();
+    expect(shellWords('sudo iptables-restore < /etc/iptables/rules.v4')).toBeNull();
+    expect(shellWords('sudo iptables -A INPUT -s $(cat ip) -j DROP')).toBeNull();
+  });
+});
+
+describe('applyCommand', () => {
+  const input = (tables) => tables.filter.find(c => c.chain === 'INPUT');
+
+  test('ajoute, insère, remplace et supprime des règles sans modifier l\'original', () => {
+    expect(input(replay('sudo iptables -A INPUT -p tcp --dport 80 -j ACCEPT')).rules[8].content)
+      .toBe('-p tcp --dport 80 -j ACCEPT');
+    expect(input(replay('sudo iptables -I INPUT 2 -j DROP')).rules[1].content).toBe('-j DROP');
+    expect(input(replay('sudo iptables -R INPUT 1 -j DROP')).rules[0].content).toBe('-j DROP');
+    expect(input(replay('sudo iptables -D INPUT 1')).rules).toHaveLength(7);
+    expect(input(before).rules).toHaveLength(8);
+  });
+
+  test('modifie la politique et vide les chaînes', () => {
+    const after = replay('sudo iptables -P OUTPUT DROP');
+    expect(after.filter.find(c => c.chain === 'OUTPUT').policy).toBe('DROP');
+    expect(input(replay('sudo iptables -F')).rules).toEqual([]);
+  });
+
+  test('retourne null pour une commande qui ne peut pas être rejouée', () => {
+    expect(replay('sudo iptables -D INPUT 42')).toBeNull();
+    expect(replay('sudo iptables -A NOCHAIN -j ACCEPT')).toBeNull();
+    expect(replay('sudo iptables -L -n')).toBeNull();
+  });
+});
+
+describe('findLockout', () => {
+  const lan = { client: '192.168.1.20', clientPort: 51234, server: '192.168.1.1', serverPort: 22, interface: 'eth0', family: 'ipv4' };
+  const wan = { ...lan, client: '198.51.100.7' };
+
+  test('cite la règle qui couperait la session', () => {
+    const lockout = findLockout(before, replay('sudo iptables -I INPUT 1 -j DROP'), lan);
+    expect(lockout).toMatchObject({
+      packet: 'la session en cours',
+      verdict: 'DROP',
+      decidedBy: { table: 'filter', chain: 'INPUT', position: 1, policy: false }
+    });
+    expect(lockout.message).toContain('la règle 1 de filter/INPUT (-j DROP)');
+  });
+
+  test('cite la politique qui couperait les réponses du serveur', () => {
+    const lockout = findLockout(before, replay('sudo iptables -P OUTPUT DROP'), lan);
+    expect(lockout).toMatchObject({ packet: 'la réponse du serveur', decidedBy: { chain: 'OUTPUT', policy: true } });
+    expect(lockout.message).toContain('la politique DROP de filter/OUTPUT');
+  });
+
+  test('signale la suppression de la seule règle qui accepte la session', () => {
+    expect(findLockout(before, replay('sudo iptables -D INPUT 2'), lan)).toBeNull();
+    expect(findLockout(before, replay('sudo iptables -D INPUT 2'), wan)).toMatchObject({
+      packet: 'la session en cours',
+      verdict: 'REJECT',
+      decidedBy: { position: 7 }
+    });
+  });
+
+  test('laisse passer une modification sans effet sur le flux SSH', () => {
+    expect(findLockout(before, replay('sudo iptables -A INPUT -p udp --dport 53 -j ACCEPT'), lan)).toBeNull();
+    expect(findLockout(before, replay('sudo iptables -I INPUT 1 -s 203.0.113.0/24 -j DROP'), lan)).toBeNull();
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Tests du backend nftables (services/nftables-backend)
+ *
+ * Les règles structurées (voir services/rule-model) sont converties en
+ * arguments nft par ruleTokens ; le service SSH est remplacé par un objet qui
+ * enregistre les commandes et renvoie la chaîne INPUT_CHAIN à chaque lecture.
+ */
+
+const NftablesBackend = require('../services/nftables-backend');
+const sshService = require('../services/ssh-service');
+
+/**
+ * Sortie de `nft -j list chain inet filter input` : trois règles, handles 4, 7 et 9
+ */
+const INPUT_CHAIN = JSON.stringify({
+  nftables: [
+    { metainfo: { json_schema_version: 1 } },
+    { chain: { family: 'inet', table: 'filter', name: 'input', handle: 1, type: 'filter', hook: 'input', prio: 0, policy: 'drop' } },
+    { rule: { family: 'inet', table: 'filter', chain: 'input', handle: 4, expr: [{ match: { op: '==', left: { meta: { key: 'iifname' } }, right: 'lo' } }, { accept: null }] } },
+    { rule: { family: 'inet', table: 'filter', chain: 'input', handle: 7, expr: [{ match: { op: '==', left: { payload: { protocol: 'tcp', field: 'dport' } }, right: 22 } }, { counter: { packets: 12, bytes: 720 } }, { accept: null }] } },
+    { rule: { family: 'inet', table: 'filter', chain: 'input', handle: 9, comment: 'web', expr: [{ match: { op: '==', left: { payload: { protocol: 'tcp', field: 'dport' } }, right: 443 } }, { accept: null }] } }
+  ]
+});
+
+let ssh;
+let backend;
+
+beforeEach(() => {
+  ssh = {
+    executeCommand: jest.fn(async () => INPUT_CHAIN),
+    applyChange: jest.fn(async () => null),
+    assertFingerprint: sshService.assertFingerprint
+  };
+  backend = new NftablesBackend(ssh);
+});
+
+/**
+ * Empreintes des règles de INPUT_CHAIN, dans l'ordre (telles que renvoyées par listRules)
+ */
+const fingerprints = () => backend.parseNftJson(INPUT_CHAIN)['inet filter'][0].rules.map(r => r.fingerprint);
+
+/**
+ * Arguments nft d'une règle de la chaîne input
+ */
+const tokens = (rule, table = 'inet filter', family = 'ipv4') => backend.ruleTokens({ chain: 'input', ...rule }, table, family);
+
+describe('ruleTokens', () => {
+  test('convertit les plages de ports, les interfaces et les négations', () => {
+    expect(tokens({
+      protocol: 'tcp', inInterface: 'eth+', source: '!10.0.0.0/8', sourcePort: '53', destPort: '!1024:65535', target: 'ACCEPT'
+    })).toEqual([
+      'iifname', '"eth*"', 'ip', 'saddr', '!=', '10.0.0.0/8',
+      'tcp', 'sport', '53', 'tcp', 'dport', '!=', '1024-65535', 'counter', 'accept'
+    ]);
+    expect(tokens({ protocol: 'udp', matches: [{ module: 'multiport', options: { dports: '53,5000:5100' } }], target: 'DROP' }))
+      .toEqual(['meta', 'l4proto', 'udp', 'udp', 'dport', '{', '53, 5000-5100', '}', 'counter', 'drop']);
+    expect(tokens({ protocol: 'icmpv6', target: 'ACCEPT' }, 'ip6 filter', 'ipv6'))
+      .toEqual(['meta', 'l4proto', 'ipv6-icmp', 'counter', 'accept']);
+  });
+
+  test('convertit les types de REJECT', () => {
+    expect(tokens({ target: 'REJECT' })).toEqual(['counter', 'reject']);
+    expect(tokens({ protocol: 'tcp', target: 'REJECT', targetOptions: { 'reject-with': 'tcp-reset' } }))
+      .toEqual(['meta', 'l4proto', 'tcp', 'counter', 'reject', 'with', 'tcp', 'reset']);
+    expect(tokens({ target: 'REJECT', targetOptions: { 'reject-with': 'icmp-proto-unreachable' } }))
+      .toEqual(['counter', 'reject', 'with', 'icmp', 'type', 'prot-unreachable']);
+    expect(tokens({ target: 'REJECT', targetOptions: { 'reject-with': 'icmp6-adm-prohibited' } }, 'ip6 filter', 'ipv6'))
+      .toEqual(['counter', 'reject', 'with', 'icmpv6', 'type', 'admin-prohibited']);
+  });
+
+  test('convertit les cibles NAT et --to-ports', () => {
+    const nat = (chain, rule, table = 'ip nat') => tokens({ chain, ...rule }, table);
+
+    expect(nat('prerouting', { protocol: 'tcp', destPort: '80', target: 'REDIRECT', targetOptions: { 'to-ports': '8000-8010' } }))
+      .toEqual(['tcp', 'dport', '80', 'counter', 'redirect', 'to', ':8000-8010']);
+    expect(nat('postrouting', { target: 'MASQUERADE', targetOptions: { 'to-ports': '1024-65535' } }))
+      .toEqual(['counter', 'masquerade', 'to', ':1024-65535']);
+    // Dans une table inet, la famille de l'adresse NAT est précisée
+    expect(nat('prerouting', { protocol: 'tcp', destPort: '80', target: 'DNAT', targetOptions: { 'to-destination': '192.168.1.10:8080' } }, 'inet nat'))
+      .toEqual(['tcp', 'dport', '80', 'counter', 'dnat', 'ip', 'to', '192.168.1.10:8080']);
+  });
+
+  test('convertit les modules, la journalisation et les commentaires', () => {
+    expect(tokens({
+      matches: [
+        { module: 'conntrack', options: { ctstate: 'RELATED,ESTABLISHED' } },
+        { module: 'limit', options: { limit: '5/min', 'limit-burst': '10' } },
+        { module: 'comment', options: { comment: '!retours' } }
+      ],
+      target: 'LOG',
+      targetOptions: { 'log-prefix': 'IN: ', 'log-level': 'warning' }
+    })).toEqual([
+      'ct', 'state', 'related,established', 'limit', 'rate', '5/minute', 'burst', '10', 'packets',
+      'counter', 'log', 'prefix', '"IN: "', 'level', 'warn', 'comment', '"!retours"'
+    ]);
+    expect(tokens({ protocol: 'tcp', matches: [{ module: 'tcp', options: { 'tcp-flags': 'ALL NONE' } }], target: 'DROP' }))
+      .toEqual(['meta', 'l4proto', 'tcp', 'tcp', 'flags', '&', '(fin|syn|rst|psh|ack|urg)', '==', '0x0', 'counter', 'drop']);
+  });
+
+  test('refuse ce qui n\'a pas d\'équivalent nftables', () => {
+    expect(() => tokens({
+      protocol: 'icmp',
+      matches: [{ module: 'icmp', options: { 'icmp-type': '8/0' } }, { module: 'mark', options: { mark: '0x1/0xff' } }],
+      target: 'ACCEPT'
+    })).toThrow(expect.objectContaining({
+      status: 400,
+      errors: [
+        'Type ICMP avec code non pris en charge par nftables: 8/0',
+        'Marque avec masque non prise en charge par nftables: 0x1/0xff'
+      ]
+    }));
+    expect(backend.validateRule({ chain: 'input', matches: [{ module: 'owner', options: { 'uid-owner': 'www' } }], target: 'ACCEPT' }, 'inet filter'))
+      .toEqual({ valid: false, errors: ['Option non prise en charge par nftables: owner --uid-owner'] });
+    expect(backend.validateRule({ chain: 'input', target: 'ACCEPT' }, 'filter').errors)
+      .toEqual(['Table nftables invalide: filter (attendu: \'famille nom\', ex: \'inet filter\')']);
+  });
+});
+
+describe('addRule', () => {
+  test('échappe chaque argument de la commande nft', async () => {
+    await backend.addRule('session', { chain: 'input', inInterface: 'eth+', target: 'ACCEPT' }, 'inet filter', { family: 'ipv4' });
+    expect(ssh.applyChange).toHaveBeenCalledWith('session',
+      'sudo nft add rule inet filter input iifname \'"eth*"\' counter accept', { family: 'ipv4' });
+  });
+});
+
+describe('insertRule', () => {
+  const HTTP = { chain: 'input', protocol: 'tcp', destPort: '80', target: 'ACCEPT' };
+
+  test('insère avant la règle de la position, ou ajoute après la dernière', async () => {
+    await backend.insertRule('session', HTTP, 2, 'inet filter');
+    await backend.insertRule('session', HTTP, 4, 'inet filter');
+    expect(ssh.executeCommand).toHaveBeenCalledWith('session', 'sudo nft -j list chain inet filter input');
+    expect(ssh.applyChange.mock.calls.map(([, command]) => command)).toEqual([
+      'sudo nft insert rule inet filter input position 7 tcp dport 80 counter accept',
+      'sudo nft add rule inet filter input tcp dport 80 counter accept'
+    ]);
+  });
+
+  test('refuse une position hors de la chaîne ou invalide', async () => {
+    await expect(backend.insertRule('session', HTTP, 5, 'inet filter')).rejects.toMatchObject({
+      status: 404,
+      message: 'Position 5 hors de la chaîne input (3 règles)'
+    });
+    await expect(backend.insertRule('session', HTTP, 0, 'inet filter')).rejects.toMatchObject({ status: 400 });
+    expect(ssh.applyChange).not.toHaveBeenCalled();
+  });
+});
+
+describe('replaceRule', () => {
+  const HTTPS = { protocol: 'tcp', destPort: '8443', target: 'ACCEPT' };
+
+  test('remplace la règle par son handle', async () => {
+    await backend.replaceRule('session', 'input', 3, HTTPS, 'inet filter', { fingerprint: fingerprints()[2] });
+    expect(ssh.applyChange).toHaveBeenCalledWith('session',
+      'sudo nft replace rule inet filter input handle 9 tcp dport 8443 counter accept',
+      { fingerprint: fingerprints()[2] });
+  });
+
+  test('refuse une règle déplacée depuis l\'affichage ou absente', async () => {
+    await expect(backend.replaceRule('session', 'input', 1, HTTPS, 'inet filter', { fingerprint: fingerprints()[1] }))
+      .rejects.toMatchObject({ status: 409, currentPosition: 2 });
+    await expect(backend.replaceRule('session', 'input', 4, HTTPS, 'inet filter')).rejects.toMatchObject({ status: 404 });
+    expect(ssh.applyChange).not.toHaveBeenCalled();
+  });
+});
+
+describe('moveRule', () => {
+  /**
+   * Transaction JSON envoyée à `nft -j -f -` par le dernier déplacement
+   */
+  const transaction = () => {
+    const [, command, options] = ssh.applyChange.mock.calls[ssh.applyChange.mock.calls.length - 1];
+    expect(command).toBe('sudo nft -j -f -');
+    return JSON.parse(options.input).nftables;
+  };
+  const location = { family: 'inet', table: 'filter', chain: 'input' };
+
+  test('supprime puis réinsère la règle dans une même transaction', async () => {
+    await backend.moveRule('session', 'input', 3, 1, 'inet filter', { fingerprint: fingerprints()[2] });
+    expect(transaction()).toEqual([
+      { delete: { rule: { ...location, handle: 9 } } },
+      {
+        insert: {
+          rule: {
+            ...location,
+            handle: 4,
+            comment: 'web',
+            expr: [{ match: { op: '==', left: { payload: { protocol: 'tcp', field: 'dport' } }, right: 443 } }, { accept: null }]
+          }
+        }
+      }
+    ]);
+
+    // Vers la dernière position : ajout après la dernière règle restante
+    await backend.moveRule('session', 'input', 1, 3, 'inet filter');
+    expect(transaction()).toEqual([
+      { delete: { rule: { ...location, handle: 4 } } },
+      { add: { rule: { ...location, handle: 9, expr: [{ match: { op: '==', left: { meta: { key: 'iifname' } }, right: 'lo' } }, { accept: null }] } } }
+    ]);
+  });
+
+  test('refuse une règle déplacée depuis l\'affichage ou une position hors de la chaîne', async () => {
+    await expect(backend.moveRule('session', 'input', 1, 3, 'inet filter', { fingerprint: fingerprints()[1] }))
+      .rejects.toMatchObject({ status: 409, currentPosition: 2 });
+    await expect(backend.moveRule('session', 'input', 4, 1, 'inet filter')).rejects.toMatchObject({
+      status: 404,
+      message: 'Position hors de la chaîne input (3 règles)'
+    });
+    await expect(backend.moveRule('session', 'input', 1, 4, 'inet filter')).rejects.toMatchObject({ status: 404 });
+    await expect(backend.moveRule('session', 'input', 1, 2, 'filter')).rejects.toMatchObject({ status: 400 });
+    expect(ssh.applyChange).not.toHaveBeenCalled();
+  });
+
+  test('ne modifie rien si la règle est déjà à la position demandée', async () => {
+    expect((await backend.moveRule('session', 'input', 2, 2, 'inet filter')).pendingConfirmation).toBeNull();
+    expect(ssh.applyChange).not.toHaveBeenCalled();
+  });
+});
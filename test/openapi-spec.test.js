@@ -0,0 +1,37 @@
+/**
+ * Tests du document OpenAPI (routes/openapi-spec)
+ *
+ * Vérifie que chaque route du routeur /api/iptables est décrite et que les
+ * références aux schémas sont résolues.
+ */
+
+const spec = require('../routes/openapi-spec');
+const router = require('../routes/iptables-routes');
+
+const routes = router.stack
+  .filter(layer => layer.route)
+  .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+    path: layer.route.path.replace(/:(\w+)/g, '{$1}'),
+    method
+  })));
+
+test('décrit chaque route du routeur iptables', () => {
+  expect(routes.length).toBeGreaterThan(30);
+  const missing = routes.filter(({ path, method }) => !(spec.paths[path] && spec.paths[path][method]));
+  expect(missing).toEqual([]);
+
+  const declared = Object.entries(spec.paths).flatMap(([path, ops]) => Object.keys(ops).map(method => `${method} ${path}`));
+  expect(declared.sort()).toEqual(routes.map(({ path, method }) => `${method} ${path}`).sort());
+});
+
+test('indique un rôle et résout toutes les références', () => {
+  Object.values(spec.paths).forEach(ops => Object.values(ops).forEach(op => {
+    expect(['viewer', 'operator', 'admin']).toContain(op['x-required-role']);
+  }));
+
+  const refs = JSON.stringify(spec).match(/"#\/components\/[^"]+"/g);
+  refs.forEach(ref => {
+    const target = JSON.parse(ref).split('/').slice(1).reduce((node, key) => node && node[key], spec);
+    expect(target).toBeDefined();
+  });
+});
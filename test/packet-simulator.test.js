@@ -0,0 +1,111 @@
+/**
+ * Tests du simulateur de paquet (services/packet-simulator)
+ *
+ * Les paquets sont simulés sur les sorties iptables-save de
+ * test/fixtures/iptables-save, sans connexion SSH.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { simulatePacket, normalizePacket } = require('../services/packet-simulator');
+const sshService = require('../services/ssh-service');
+
+/**
+ * Lit et parse une sortie iptables-save de test
+ *
+ * @param {string} file - Nom du fichier dans test/fixtures/iptables-save
+ * @returns {Object} Tables parsées par parseIptablesSave
+ */
+function loadRuleset(file) {
+  const text = fs.readFileSync(path.join(__dirname, 'fixtures', 'iptables-save', file), 'utf8');
+  return sshService.parseIptablesSave(text);
+}
+
+describe('simulatePacket', () => {
+  const basic = loadRuleset('basic-filter.rules');
+  const docker = loadRuleset('docker-nat.rules');
+
+  test('accepte SSH depuis le réseau local et cite la règle décisive', () => {
+    const result = simulatePacket(basic, {
+      protocol: 'tcp', source: '192.168.1.20', destination: '192.168.1.1', dport: 22, inInterface: 'eth0'
+    }, 'ipv4');
+
+    expect(result.verdict).toBe('ACCEPT');
+    expect(result.path).toBe('input');
+    expect(result.decidedBy).toMatchObject({ table: 'filter', chain: 'INPUT', position: 4, policy: false });
+  });
+
+  test('rejette SSH depuis l\'extérieur par la dernière règle', () => {
+    const result = simulatePacket(basic, {
+      protocol: 'tcp', source: '198.51.100.7', destination: '192.168.1.1', dport: 22, inInterface: 'eth0'
+    }, 'ipv4');
+
+    expect(result.verdict).toBe('REJECT');
+    expect(result.decidedBy.position).toBe(8);
+  });
+
+  test('accepte une connexion établie quel que soit le port', () => {
+    const result = simulatePacket(basic, {
+      protocol: 'tcp', source: '198.51.100.7', destination: '192.168.1.1', dport: 3306,
+      inInterface: 'eth0', state: 'ESTABLISHED'
+    }, 'ipv4');
+
+    expect(result.verdict).toBe('ACCEPT');
+    expect(result.decidedBy.position).toBe(2);
+  });
+
+  test('suit un DNAT vers FORWARD, les sauts et RETURN jusqu\'à la politique', () => {
+    const result = simulatePacket(docker, {
+      protocol: 'tcp', source: '198.51.100.7', destination: '203.0.113.10', dport: 8080,
+      inInterface: 'eth0', localAddresses: ['203.0.113.10']
+    }, 'ipv4');
+
+    expect(result.path).toBe('forward');
+    expect(result.packet).toMatchObject({ destination: '172.17.0.2', dport: 80 });
+    expect(result.trace.map(step => `${step.table}/${step.chain}:${step.target}`)).toEqual([
+      'nat/PREROUTING:DOCKER',
+      'nat/DOCKER:DNAT',
+      'filter/FORWARD:DOCKER-USER',
+      'filter/DOCKER-USER:RETURN',
+      'filter/FORWARD:DOCKER-ISOLATION-STAGE-1',
+      'filter/FORWARD:DROP'
+    ]);
+    expect(result.verdict).toBe('DROP');
+    expect(result.decidedBy).toMatchObject({ chain: 'FORWARD', policy: true });
+  });
+
+  test('ignore les règles dont un critère n\'est pas renseigné, avec un avertissement', () => {
+    const result = simulatePacket(docker, {
+      protocol: 'tcp', source: '198.51.100.7', destination: '203.0.113.10', dport: 8080,
+      inInterface: 'eth0', localAddresses: ['203.0.113.10']
+    }, 'ipv4');
+
+    expect(result.warnings).toContain('filter/FORWARD règle 4 ignorée : le paquet ne précise pas l\'interface de sortie');
+  });
+
+  test('accepte le paquet redirigé quand l\'interface de sortie est connue', () => {
+    const result = simulatePacket(docker, {
+      protocol: 'tcp', source: '198.51.100.7', destination: '203.0.113.10', dport: 8080,
+      inInterface: 'eth0', outInterface: 'docker0', localAddresses: ['203.0.113.10']
+    }, 'ipv4');
+
+    expect(result.verdict).toBe('ACCEPT');
+    expect(result.decidedBy).toMatchObject({ table: 'filter', chain: 'DOCKER', position: 1 });
+  });
+});
+
+describe('normalizePacket', () => {
+  test('refuse un paquet invalide avec la liste des erreurs', () => {
+    expect.assertions(2);
+    try {
+      normalizePacket({ direction: 'sideways', source: 'x', destination: '10.0.0.1', dport: 70000 }, 'ipv4');
+    } catch (error) {
+      expect(error.status).toBe(400);
+      expect(error.errors).toEqual(expect.arrayContaining([
+        expect.stringContaining('direction invalide'),
+        expect.stringContaining('source'),
+        expect.stringContaining('dport invalide')
+      ]));
+    }
+  });
+});
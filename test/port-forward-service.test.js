@@ -0,0 +1,223 @@
+/**
+ * Tests des redirections de ports (services/port-forward-service)
+ *
+ * Les commandes SSH sont simulées (jest.spyOn sur SSHService) ; la table nat
+ * listée (iptables -L) est parsée par IptablesBackend, comme sur un hôte.
+ */
+
+const sshService = require('../services/ssh-service');
+const IptablesBackend = require('../services/iptables-backend');
+const portForwardService = require('../services/port-forward-service');
+
+const LIVE = [
+  '*nat',
+  ':PREROUTING ACCEPT [0:0]',
+  ':INPUT ACCEPT [0:0]',
+  ':OUTPUT ACCEPT [0:0]',
+  ':POSTROUTING ACCEPT [0:0]',
+  '-A PREROUTING -d 203.0.113.5/32 -i eth0 -p tcp -m tcp --dport 8080 -m comment --comment port-forward:web -j DNAT --to-destination 192.168.1.10:80',
+  '-A PREROUTING -p udp -m multiport --dports 5000:5100 -j DNAT --to-destination 192.168.1.20',
+  '-A POSTROUTING -o eth0 -j MASQUERADE',
+  'COMMIT',
+  '*filter',
+  ':INPUT ACCEPT [0:0]',
+  ':FORWARD DROP [0:0]',
+  ':OUTPUT ACCEPT [0:0]',
+  '-A FORWARD -m conntrack --ctstate RELATED,ESTABLISHED -j ACCEPT',
+  '-A FORWARD -d 192.168.1.10/32 -i eth0 -p tcp -m tcp --dport 80 -m comment --comment port-forward:web -j ACCEPT',
+  'COMMIT',
+  ''
+].join('\n');
+
+/**
+ * Sortie de iptables -t nat -L -n -v -x --line-numbers pour la même configuration
+ */
+const NAT_LISTING = [
+  'Chain PREROUTING (policy ACCEPT 0 packets, 0 bytes)',
+  'num      pkts      bytes target     prot opt in     out     source               destination',
+  '1           0        0 DNAT       tcp  --  eth0   *       0.0.0.0/0            203.0.113.5          tcp dpt:8080 /* port-forward:web */ to:192.168.1.10:80',
+  '2           0        0 DNAT       udp  --  *      *       0.0.0.0/0            0.0.0.0/0            multiport dports 5000:5100 to:192.168.1.20',
+  '',
+  'Chain POSTROUTING (policy ACCEPT 0 packets, 0 bytes)',
+  'num      pkts      bytes target     prot opt in     out     source               destination',
+  '1           0        0 MASQUERADE  all  --  *      eth0    0.0.0.0/0            0.0.0.0/0'
+].join('\n');
+
+const NAT_SPECS = LIVE.split('\n').filter(line => /^-A (PREROUTING|POSTROUTING) /.test(line)).join('\n');
+
+let spies;
+
+beforeEach(() => {
+  const backend = new IptablesBackend(sshService);
+  spies = [
+    jest.spyOn(sshService, 'requireIptables').mockReturnValue(),
+    jest.spyOn(sshService, 'executeCommand').mockImplementation(async (sessionId, command) => (command.includes('restore') ? '' : LIVE)),
+    jest.spyOn(sshService, 'listRules').mockImplementation(async () => backend.attachFingerprints(backend.parseIptablesOutput(NAT_LISTING), NAT_SPECS)),
+    jest.spyOn(sshService, 'applyChange').mockResolvedValue(null)
+  ];
+});
+
+afterEach(() => {
+  spies.forEach(spy => spy.mockRestore());
+});
+
+/**
+ * Script iptables-restore passé à applyChange
+ */
+const appliedScript = () => sshService.applyChange.mock.calls[0][2].input;
+
+describe('list', () => {
+  test('reconstruit les redirections et liste les autres règles DNAT', async () => {
+    const { forwards, unmanaged } = await portForwardService.list('session');
+
+    expect(forwards).toEqual([{
+      id: 'web',
+      protocols: ['tcp'],
+      externalPort: '8080',
+      externalAddress: '203.0.113.5',
+      inInterface: 'eth0',
+      source: null,
+      targetAddress: '192.168.1.10',
+      targetPort: '80',
+      hairpin: false,
+      complete: true,
+      rules: [
+        { table: 'nat', chain: 'PREROUTING', position: 1, content: expect.stringContaining('--dport 8080') },
+        { table: 'filter', chain: 'FORWARD', position: 2, content: expect.stringContaining('--dport 80 ') }
+      ]
+    }]);
+    expect(unmanaged).toEqual([{
+      num: 2,
+      prot: 'udp',
+      destPort: '5000:5100',
+      toDestination: '192.168.1.20',
+      spec: '-p udp -m multiport --dports 5000:5100 -j DNAT --to-destination 192.168.1.20'
+    }]);
+  });
+});
+
+describe('create', () => {
+  test('ajoute les règles DNAT et FORWARD de chaque protocole en une opération', async () => {
+    const result = await portForwardService.create('session', {
+      id: 'game',
+      protocols: ['udp', 'tcp'],
+      externalPort: '6000:6010',
+      inInterface: 'eth0',
+      targetAddress: '192.168.1.30'
+    }, { author: 'alice' });
+
+    const script = [
+      '*nat',
+      '-A PREROUTING -i eth0 -p tcp -m tcp --dport 6000:6010 -m comment --comment port-forward:game -j DNAT --to-destination 192.168.1.30',
+      '-A PREROUTING -i eth0 -p udp -m udp --dport 6000:6010 -m comment --comment port-forward:game -j DNAT --to-destination 192.168.1.30',
+      'COMMIT',
+      '*filter',
+      '-I FORWARD 1 -d 192.168.1.30 -i eth0 -p tcp -m tcp --dport 6000:6010 -m comment --comment port-forward:game -j ACCEPT',
+      '-I FORWARD 2 -d 192.168.1.30 -i eth0 -p udp -m udp --dport 6000:6010 -m comment --comment port-forward:game -j ACCEPT',
+      'COMMIT',
+      ''
+    ].join('\n');
+    expect(sshService.executeCommand).toHaveBeenCalledWith('session', 'sudo iptables-restore --noflush --test', { input: script });
+    expect(sshService.applyChange).toHaveBeenCalledWith('session', 'sudo iptables-restore --noflush', expect.objectContaining({
+      author: 'alice', family: 'ipv4', input: script
+    }));
+
+    // Configuration attendue, pour la protection de la connexion SSH
+    const { result: expected } = sshService.applyChange.mock.calls[0][2];
+    expect(Object.keys(expected)).toEqual(['nat', 'filter']);
+    expect(expected.filter[1].rules).toHaveLength(4);
+    expect(result.message).toBe('Redirection game créée (tcp+udp 6000:6010 vers 192.168.1.30)');
+  });
+
+  test('ajoute la règle MASQUERADE avec hairpin', async () => {
+    await portForwardService.create('session', {
+      id: 'dns', protocols: ['udp'], externalPort: '53', externalAddress: '203.0.113.5', targetAddress: '192.168.1.2', targetPort: '5353', hairpin: true
+    });
+    expect(appliedScript()).toContain('-A PREROUTING -d 203.0.113.5 -p udp -m udp --dport 53 -m comment --comment port-forward:dns -j DNAT --to-destination 192.168.1.2:5353\n'
+      + '-A POSTROUTING -d 192.168.1.2 -p udp -m udp --dport 5353 -m comment --comment port-forward:dns -j MASQUERADE');
+  });
+
+  test('refuse un port externe déjà redirigé', async () => {
+    const conflict = (definition) => portForwardService.create('session', { targetAddress: '192.168.1.40', ...definition });
+
+    await expect(conflict({ id: 'voip', protocols: ['tcp', 'udp'], externalPort: '5050' })).rejects.toMatchObject({
+      status: 409,
+      message: 'Port externe déjà redirigé',
+      errors: ['udp 5050 : déjà redirigé par la règle PREROUTING n°2 (udp 5000:5100 vers 192.168.1.20)']
+    });
+    await expect(conflict({ id: 'alt', externalPort: '8000:8100' })).rejects.toMatchObject({
+      errors: ['tcp 8000:8100 : déjà redirigé par la redirection web (tcp 8080 vers 192.168.1.10:80)']
+    });
+    await expect(conflict({ id: 'web', externalPort: '9000' })).rejects.toThrow('La redirection web existe déjà');
+    expect(sshService.applyChange).not.toHaveBeenCalled();
+
+    // Autre adresse externe, ou autre interface d'entrée : pas de conflit
+    await conflict({ id: 'alt', externalPort: '8080', externalAddress: '203.0.113.6' });
+    await conflict({ id: 'lan', externalPort: '8080', inInterface: 'eth1' });
+    expect(sshService.applyChange).toHaveBeenCalledTimes(2);
+  });
+
+  test('détaille les erreurs de la description', async () => {
+    let error;
+    try {
+      await portForwardService.create('session', {
+        id: 'web server',
+        protocols: ['icmp'],
+        externalPort: '9000:8000',
+        targetAddress: '192.168.1.0/24',
+        targetPort: '80',
+        hairpin: true
+      });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toMatchObject({ status: 400, message: 'Redirection de port invalide' });
+    expect(error.errors).toEqual([
+      'Identifiant invalide: web server (lettres, chiffres, _ et -, 48 caractères au plus)',
+      'protocols doit lister des protocoles parmi: tcp, udp',
+      'Port externe invalide: 9000:8000 (port ou plage 8000:8100)',
+      'Adresse cible invalide: 192.168.1.0/24',
+      'Une plage de ports est redirigée vers les mêmes ports : targetPort doit être omis',
+      'hairpin nécessite externalAddress, sans inInterface : sinon la règle DNAT ne s\'applique pas au trafic du réseau interne'
+    ]);
+    await expect(portForwardService.create('session', { id: 'v6', externalPort: '80', targetAddress: '2001:db8::10' }))
+      .rejects.toThrow(expect.objectContaining({ errors: ['Adresse cible invalide: 2001:db8::10'] }));
+  });
+});
+
+describe('update / remove', () => {
+  test('remplace les règles d\'une redirection dans la même opération', async () => {
+    const result = await portForwardService.update('session', 'web', {
+      externalPort: '8080', externalAddress: '203.0.113.5', inInterface: 'eth0', targetAddress: '192.168.1.11', targetPort: '8080'
+    });
+
+    expect(appliedScript()).toBe([
+      '*nat',
+      '-D PREROUTING -d 203.0.113.5/32 -i eth0 -p tcp -m tcp --dport 8080 -m comment --comment port-forward:web -j DNAT --to-destination 192.168.1.10:80',
+      '-A PREROUTING -d 203.0.113.5 -i eth0 -p tcp -m tcp --dport 8080 -m comment --comment port-forward:web -j DNAT --to-destination 192.168.1.11:8080',
+      'COMMIT',
+      '*filter',
+      '-D FORWARD -d 192.168.1.10/32 -i eth0 -p tcp -m tcp --dport 80 -m comment --comment port-forward:web -j ACCEPT',
+      '-I FORWARD 1 -d 192.168.1.11 -i eth0 -p tcp -m tcp --dport 8080 -m comment --comment port-forward:web -j ACCEPT',
+      'COMMIT',
+      ''
+    ].join('\n'));
+    expect(result.message).toBe('Redirection web modifiée (tcp 8080 vers 192.168.1.11)');
+    await expect(portForwardService.update('session', 'mail', { externalPort: '25', targetAddress: '192.168.1.25' }))
+      .rejects.toMatchObject({ status: 404 });
+  });
+
+  test('supprime toutes les règles d\'une redirection', async () => {
+    const { fingerprint } = await portForwardService.list('session');
+    await expect(portForwardService.remove('session', 'web', { fingerprint: 'autre' })).rejects.toMatchObject({ status: 409 });
+
+    const result = await portForwardService.remove('session', 'web', { fingerprint });
+    expect(appliedScript().split('\n').filter(line => line.startsWith('-'))).toEqual([
+      expect.stringMatching(/^-D PREROUTING .*port-forward:web/),
+      expect.stringMatching(/^-D FORWARD .*port-forward:web/)
+    ]);
+    expect(result.message).toBe('Redirection web supprimée (2 règle(s) retirée(s))');
+    await expect(portForwardService.remove('session', 'web-old')).rejects.toMatchObject({ status: 404 });
+  });
+});
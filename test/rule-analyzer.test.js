@@ -0,0 +1,93 @@
+/**
+ * Tests de l'analyse des règles inutiles (services/rule-analyzer)
+ *
+ * test/fixtures/iptables-save/analysis.rules contient un exemple de chaque
+ * constat, ainsi que des règles proches qui ne doivent pas être signalées.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { analyzeRuleset, covers, criteria } = require('../services/rule-analyzer');
+const { parseRule } = require('../services/iptables-parser');
+const sshService = require('../services/ssh-service');
+
+/**
+ * Indique si la première règle couvre la seconde
+ *
+ * @param {string} outer - Spécification de la règle précédente
+ * @param {string} inner - Spécification de la règle suivante
+ * @returns {boolean} Résultat de covers
+ */
+function ruleCovers(outer, inner) {
+  return covers(criteria(parseRule(outer)), criteria(parseRule(inner)));
+}
+
+describe('analyzeRuleset', () => {
+  const text = fs.readFileSync(path.join(__dirname, 'fixtures', 'iptables-save', 'analysis.rules'), 'utf8');
+  const { summary, findings } = analyzeRuleset(sshService.parseIptablesSave(text));
+  const at = (chain, position) => findings.find(f => f.chain === chain && f.position === position);
+
+  test('compte les constats par type', () => {
+    expect(summary).toEqual({ duplicate: 1, shadowed: 3, policy: 2, unreachable: 2 });
+  });
+
+  test('cite la règle qui masque', () => {
+    expect(at('INPUT', 2)).toMatchObject({
+      type: 'shadowed',
+      by: { position: 1, rule: '-s 10.0.0.0/8 -j ACCEPT' }
+    });
+    expect(at('INPUT', 2).message).toContain('la règle 1 (-s 10.0.0.0/8 -j ACCEPT)');
+  });
+
+  test('signale les doublons, même après un saut vers une chaîne utilisateur', () => {
+    expect(at('INPUT', 4)).toBeUndefined();
+    expect(at('INPUT', 5)).toMatchObject({ type: 'duplicate', by: { position: 4 } });
+  });
+
+  test('ne masque rien derrière un module à état', () => {
+    expect(at('INPUT', 7)).toBeUndefined();
+  });
+
+  test('tient compte des négations, des préfixes, des jokers d\'interface et des états', () => {
+    expect(at('INPUT', 9)).toMatchObject({ type: 'shadowed', by: { position: 8 } });
+    expect(at('INPUT', 10)).toBeUndefined();
+    expect(at('INPUT', 12)).toMatchObject({ type: 'shadowed', by: { position: 11 } });
+    expect(at('INPUT', 13)).toBeUndefined();
+  });
+
+  test('signale les règles finales qui répètent la politique', () => {
+    expect(at('INPUT', 14)).toMatchObject({ type: 'policy' });
+    expect(at('OUTPUT', 1)).toMatchObject({ type: 'policy' });
+    expect(at('WEB', 1)).toBeUndefined();
+  });
+
+  test('signale les chaînes jamais appelées', () => {
+    expect(findings.filter(f => f.type === 'unreachable').map(f => f.chain)).toEqual(['OLD', 'OLDER']);
+    expect(at('OLDER', null).message).toContain('inaccessibles (OLD)');
+  });
+});
+
+describe('covers', () => {
+  test('compare les plages de ports', () => {
+    expect(ruleCovers('-p tcp -m multiport --dports 20:30,80 -j DROP', '-p tcp -m tcp --dport 22 -j ACCEPT')).toBe(true);
+    expect(ruleCovers('-p tcp -m tcp --dport 22 -j DROP', '-p tcp -m multiport --dports 22,23 -j ACCEPT')).toBe(false);
+    expect(ruleCovers('-p tcp -m tcp ! --dport 22 -j DROP', '-p tcp -m tcp --dport 80 -j ACCEPT')).toBe(true);
+  });
+
+  test('exige le même protocole', () => {
+    expect(ruleCovers('-p tcp -j DROP', '-p udp -j ACCEPT')).toBe(false);
+    expect(ruleCovers('-p all -j DROP', '-p udp -j ACCEPT')).toBe(true);
+    expect(ruleCovers('! -p tcp -j DROP', '-p udp -j ACCEPT')).toBe(true);
+  });
+
+  test('compare les préfixes IPv6', () => {
+    expect(ruleCovers('-s 2001:db8::/32 -j DROP', '-s 2001:db8:1::/48 -j ACCEPT')).toBe(true);
+    expect(ruleCovers('-s 2001:db8::/32 -j DROP', '-s 2001:db9::/48 -j ACCEPT')).toBe(false);
+  });
+
+  test('exige à l\'identique les options qu\'elle ne sait pas comparer', () => {
+    expect(ruleCovers('-m mac --mac-source 00:11:22:33:44:55 -j DROP', '-p tcp -j ACCEPT')).toBe(false);
+    expect(ruleCovers('-m mac --mac-source 00:11:22:33:44:55 -j DROP',
+      '-p tcp -m mac --mac-source 00:11:22:33:44:55 -j ACCEPT')).toBe(true);
+  });
+});
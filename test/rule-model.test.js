@@ -0,0 +1,160 @@
+/**
+ * Tests du modèle de règle structuré (services/rule-model)
+ *
+ * Ce module est la liste blanche et la couche d'échappement de toutes les
+ * modifications structurées : les tests vérifient surtout ce qu'il refuse et
+ * la forme exacte des commandes qu'il produit.
+ */
+
+const ruleModel = require('../services/rule-model');
+
+const SSH_RULE = {
+  chain: 'INPUT',
+  protocol: 'tcp',
+  source: '192.168.1.0/24',
+  destPort: '22',
+  matches: [{ module: 'conntrack', options: { ctstate: 'NEW' } }],
+  target: 'ACCEPT'
+};
+
+describe('validateRule', () => {
+  test('accepte une règle complète', () => {
+    expect(ruleModel.validateRule(SSH_RULE)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('liste chaque valeur refusée', () => {
+    const { valid, errors } = ruleModel.validateRule({
+      table: 'security',
+      chain: 'INPUT;id',
+      protocol: 'udp',
+      source: '10.0.0.1; rm -rf /',
+      destPort: '22',
+      matches: [
+        { module: 'string', options: { algo: 'bm' } },
+        { module: 'tcp', options: { dport: '$(id)' } },
+        { module: 'conntrack', options: { ctstate: 'NEW', helper: 'ftp' } }
+      ],
+      target: 'REJECT',
+      targetOptions: { 'reject-with': 'icmp6-no-route' }
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      'Table inconnue: security',
+      'Chaîne manquante ou invalide',
+      'Valeur invalide pour source: 10.0.0.1; rm -rf /',
+      'Module de correspondance non autorisé: string',
+      'Valeur invalide pour --dport: $(id)',
+      'Option non autorisée pour conntrack: --helper',
+      'Valeur invalide pour --reject-with: icmp6-no-route'
+    ]);
+  });
+
+  test('exige les options des cibles NAT et un protocole pour les ports', () => {
+    expect(ruleModel.validateRule({ chain: 'PREROUTING', table: 'nat', destPort: '80', target: 'DNAT' }).errors).toEqual([
+      'destPort nécessite le protocole tcp, udp ou sctp',
+      'DNAT nécessite --to-destination'
+    ]);
+    expect(ruleModel.validateRule({ chain: 'INPUT', target: 'WEB', targetOptions: { 'log-prefix': 'x' } }).errors)
+      .toEqual(['Aucune option n\'est acceptée pour la chaîne utilisateur WEB']);
+    expect(ruleModel.validateRule({ chain: 'INPUT' }).errors).toEqual(['Cible (target) manquante']);
+    expect(ruleModel.validateRule([]).errors).toEqual(['La règle doit être un objet JSON']);
+  });
+
+  test('applique les formats de la famille d\'adresses', () => {
+    const rule = { chain: 'INPUT', source: '2001:db8::/32', protocol: 'icmp', target: 'ACCEPT' };
+    expect(ruleModel.validateRule(rule, 'ipv6').errors).toEqual(['Le protocole icmp n\'est pas disponible en ipv6']);
+    expect(ruleModel.validateRule(rule, 'ipv4').errors).toEqual(['Valeur invalide pour source: 2001:db8::/32']);
+  });
+
+  test('attend une plage a-b pour --to-ports', () => {
+    const redirect = ports => ({ table: 'nat', chain: 'PREROUTING', target: 'REDIRECT', targetOptions: { 'to-ports': ports } });
+    expect(ruleModel.validateRule(redirect('8000-8010')).valid).toBe(true);
+    expect(ruleModel.validateRule(redirect('3128')).valid).toBe(true);
+    expect(ruleModel.validateRule(redirect('8000:8010')).errors).toEqual(['Valeur invalide pour --to-ports: 8000:8010']);
+  });
+});
+
+describe('buildRuleSpec', () => {
+  test('suit l\'ordre de iptables-save', () => {
+    expect(ruleModel.buildRuleSpec(SSH_RULE)).toEqual([
+      '-s', '192.168.1.0/24', '-p', 'tcp', '-m', 'tcp', '--dport', '22',
+      '-m', 'conntrack', '--ctstate', 'NEW', '-j', 'ACCEPT'
+    ]);
+  });
+
+  test('place la négation avant l\'option', () => {
+    expect(ruleModel.buildRuleSpec({
+      chain: 'INPUT', protocol: 'tcp', source: '! 10.0.0.0/8', destPort: '!1024:65535', target: 'DROP'
+    })).toEqual(['!', '-s', '10.0.0.0/8', '-p', 'tcp', '-m', 'tcp', '!', '--dport', '1024:65535', '-j', 'DROP']);
+  });
+
+  test('ne nie jamais un commentaire', () => {
+    expect(ruleModel.buildRuleSpec({
+      chain: 'INPUT', matches: [{ module: 'comment', options: { comment: '!important' } }], target: 'ACCEPT'
+    })).toEqual(['-m', 'comment', '--comment', '!important', '-j', 'ACCEPT']);
+  });
+
+  test('sépare les options à deux arguments', () => {
+    expect(ruleModel.buildRuleSpec({
+      chain: 'INPUT',
+      protocol: 'tcp',
+      matches: [{ module: 'tcp', options: { 'tcp-flags': 'SYN,ACK SYN' } }, { module: 'set', options: { 'match-set': 'blocked src' } }],
+      target: 'DROP'
+    })).toEqual(['-p', 'tcp', '-m', 'tcp', '--tcp-flags', 'SYN,ACK', 'SYN', '-m', 'set', '--match-set', 'blocked', 'src', '-j', 'DROP']);
+  });
+
+  test('lève une erreur détaillée pour une règle invalide', () => {
+    expect(() => ruleModel.buildRuleSpec({ chain: 'INPUT', target: 'ACCEPT;id' }))
+      .toThrow(expect.objectContaining({ errors: ['Cible invalide: ACCEPT;id'] }));
+  });
+
+  test('ajoute la table et l\'opération', () => {
+    const rule = { table: 'nat', chain: 'POSTROUTING', outInterface: 'eth0', target: 'MASQUERADE' };
+    expect(ruleModel.buildAppendArgs(rule)).toEqual(['-t', 'nat', '-A', 'POSTROUTING', '-o', 'eth0', '-j', 'MASQUERADE']);
+    expect(ruleModel.buildInsertArgs(SSH_RULE, 2).slice(0, 3)).toEqual(['-I', 'INPUT', '2']);
+    expect(ruleModel.buildReplaceArgs(SSH_RULE, 4).slice(0, 3)).toEqual(['-R', 'INPUT', '4']);
+  });
+});
+
+describe('shellQuote / toCommand', () => {
+  test('laisse les arguments sûrs tels quels', () => {
+    expect(ruleModel.toCommand(['iptables', '!', '-s', '10.0.0.0/8', '--dport', '80:90', '-j', 'ACCEPT']))
+      .toBe('iptables ! -s 10.0.0.0/8 --dport 80:90 -j ACCEPT');
+  });
+
+  test('entoure d\'apostrophes les métacaractères du shell', () => {
+    expect(ruleModel.shellQuote('accès admin')).toBe('\'accès admin\'');
+    expect(ruleModel.shellQuote('a;b')).toBe('\'a;b\'');
+    expect(ruleModel.shellQuote('$(id)')).toBe('\'$(id)\'');
+    expect(ruleModel.shellQuote('`id`')).toBe('\'`id`\'');
+    expect(ruleModel.shellQuote('a|b&c>d')).toBe('\'a|b&c>d\'');
+    expect(ruleModel.shellQuote('')).toBe('\'\'');
+    expect(ruleModel.toCommand(['iptables', '--comment', 'l\'équipe réseau']))
+      .toBe('iptables --comment \'l\'\\\'\'équipe réseau\'');
+  });
+});
+
+describe('toRestoreLine', () => {
+  test('entoure de guillemets les arguments qui contiennent un espace', () => {
+    expect(ruleModel.toRestoreLine(['-A', 'INPUT', '-m', 'comment', '--comment', 'accès admin', '-j', 'ACCEPT']))
+      .toBe('-A INPUT -m comment --comment "accès admin" -j ACCEPT');
+    expect(ruleModel.toRestoreLine(['-A', 'INPUT', '-j', 'LOG', '--log-prefix', 'DROP: ']))
+      .toBe('-A INPUT -j LOG --log-prefix "DROP: "');
+  });
+});
+
+describe('empreintes', () => {
+  test('ne dépendent pas des espaces, des commentaires ni des compteurs', () => {
+    expect(ruleModel.ruleFingerprint('-p tcp  -j ACCEPT ')).toBe(ruleModel.ruleFingerprint('-p tcp -j ACCEPT'));
+    expect(ruleModel.rulesetFingerprint('# Generated 1\n*filter\n:INPUT ACCEPT [10:200]\nCOMMIT'))
+      .toBe(ruleModel.rulesetFingerprint('# Generated 2\n*filter\n:INPUT ACCEPT [0:0]\nCOMMIT'));
+  });
+});
+
+describe('getFamily', () => {
+  test('refuse une famille inconnue', () => {
+    expect(() => ruleModel.getFamily('ipx')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(ruleModel.getFamily('ipv6')).toMatchObject({ name: 'ipv6', command: 'ip6tables' });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests de la comparaison de jeux de règles (services/ruleset-diff)
+ *
+ * Les configurations comparées sont parsées avec SSHService.parseIptablesSave,
+ * comme celles lues sur un hôte.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sshService = require('../services/ssh-service');
+const { diffRulesets, diffChainRules } = require('../services/ruleset-diff');
+
+const TEXT = fs.readFileSync(path.join(__dirname, 'fixtures', 'iptables-save', 'basic-filter.rules'), 'utf8');
+
+/**
+ * Parse basic-filter.rules après un remplacement de texte
+ */
+const variant = (search, replacement) => sshService.parseIptablesSave(TEXT.replace(search, replacement));
+
+const rules = (...contents) => contents.map(content => ({ content }));
+
+describe('diffChainRules', () => {
+  test('distingue ajouts, suppressions et déplacements', () => {
+    expect(diffChainRules(rules('a', 'b', 'c', 'd'), rules('b', 'a', 'c', 'e'))).toEqual({
+      added: [{ position: 4, rule: 'e' }],
+      removed: [{ position: 4, rule: 'd' }],
+      moved: [{ rule: 'a', from: 1, to: 2 }]
+    });
+  });
+
+  test('ignore les espaces superflus et garde les doublons', () => {
+    expect(diffChainRules(rules('-j  ACCEPT ', 'x'), rules('-j ACCEPT', 'x', 'x'))).toEqual({
+      added: [{ position: 3, rule: 'x' }],
+      removed: [],
+      moved: []
+    });
+  });
+});
+
+describe('diffRulesets', () => {
+  test('deux configurations identiques ne diffèrent pas', () => {
+    const live = sshService.parseIptablesSave(TEXT);
+    expect(diffRulesets(live, variant('# Generated', '# Saved'))).toEqual({
+      identical: true,
+      summary: { added: 0, removed: 0, moved: 0, policyChanges: 0, chainsAdded: 0, chainsRemoved: 0 },
+      tables: {}
+    });
+  });
+
+  test('décrit les changements de règles et de politique, de from vers to', () => {
+    const saved = sshService.parseIptablesSave(TEXT);
+    const { filter: live } = variant(':FORWARD DROP [0:0]', ':FORWARD ACCEPT [0:0]\n:WEB - [0:0]');
+    const liveRules = live.find(c => c.chain === 'INPUT').rules;
+    liveRules.splice(5, 1);
+    liveRules.push({ content: '-p tcp -m tcp --dport 8080 -j ACCEPT' });
+
+    const diff = diffRulesets(saved, { filter: live });
+
+    expect(diff.identical).toBe(false);
+    expect(diff.summary).toEqual({ added: 1, removed: 1, moved: 0, policyChanges: 1, chainsAdded: 1, chainsRemoved: 0 });
+    expect(diff.tables.filter).toEqual({
+      INPUT: {
+        status: 'modified',
+        policy: null,
+        added: [{ position: 8, rule: '-p tcp -m tcp --dport 8080 -j ACCEPT' }],
+        removed: [{ position: 6, rule: '-p icmp -m icmp --icmp-type 8 -m limit --limit 1/sec --limit-burst 5 -j ACCEPT' }],
+        moved: []
+      },
+      FORWARD: { status: 'modified', policy: { from: 'DROP', to: 'ACCEPT' }, added: [], removed: [], moved: [] },
+      WEB: { status: 'added', policy: null, added: [], removed: [], moved: [] }
+    });
+  });
+
+  test('liste les règles d\'une table absente d\'un côté', () => {
+    const nat = sshService.parseIptablesSave('*nat\n:POSTROUTING ACCEPT [0:0]\n-A POSTROUTING -o eth0 -j MASQUERADE\nCOMMIT\n');
+    const diff = diffRulesets(nat, {});
+
+    expect(diff.summary).toMatchObject({ removed: 1, chainsRemoved: 1 });
+    expect(diff.tables.nat.POSTROUTING).toEqual({
+      status: 'removed',
+      policy: null,
+      added: [],
+      removed: [{ position: 1, rule: '-o eth0 -j MASQUERADE' }],
+      moved: []
+    });
+  });
+});
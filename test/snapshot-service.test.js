@@ -0,0 +1,105 @@
+/**
+ * Tests de l'historique local des configurations (services/snapshot-service)
+ *
+ * Les instantanés sont écrits dans un dossier temporaire (variable SNAPSHOT_DIR).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iptables-snapshots-'));
+process.env.SNAPSHOT_DIR = dir;
+
+const snapshotService = require('../services/snapshot-service');
+
+const HOST = 'admin@192.168.1.1:22';
+const RULESET = '*filter\n:INPUT DROP [0:0]\n-A INPUT -i lo -j ACCEPT\n-A INPUT -p tcp -m tcp --dport 22 -j ACCEPT\nCOMMIT\n';
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fs.rmSync(snapshotService.hostDir(HOST), { recursive: true, force: true });
+});
+
+/**
+ * Écrit directement un ancien instantané (identifiant daté de l'instant ms)
+ */
+function writeOld(ms, automatic) {
+  const id = `${ms}-abcdef`;
+  fs.mkdirSync(snapshotService.hostDir(HOST), { recursive: true });
+  fs.writeFileSync(path.join(snapshotService.hostDir(HOST), `${id}.json`), JSON.stringify({ id, host: HOST, automatic, ruleset: '' }));
+  return id;
+}
+
+describe('record / list / get', () => {
+  test('enregistre un instantané par fichier et le relit', () => {
+    const summary = snapshotService.record(HOST, RULESET, { author: 'alice', message: 'avant migration', fingerprint: 'f00d' });
+
+    expect(summary).toMatchObject({
+      host: HOST,
+      author: 'alice',
+      message: 'avant migration',
+      automatic: false,
+      family: 'ipv4',
+      backend: 'iptables',
+      fingerprint: 'f00d',
+      ruleCount: 2
+    });
+    expect(summary).not.toHaveProperty('ruleset');
+    expect(fs.existsSync(path.join(dir, 'admin@192.168.1.1_22', `${summary.id}.json`))).toBe(true);
+    expect(snapshotService.get(HOST, summary.id).ruleset).toBe(RULESET);
+    expect(snapshotService.list(HOST)).toEqual([summary]);
+  });
+
+  test('liste du plus récent au plus ancien', () => {
+    writeOld(1000000000000, false);
+    const recent = snapshotService.record(HOST, RULESET, { automatic: true, command: 'sudo iptables -F' });
+    expect(snapshotService.list(HOST).map(s => s.id)).toEqual([recent.id, '1000000000000-abcdef']);
+  });
+
+  test('ne compte pas les règles d\'un instantané nftables', () => {
+    expect(snapshotService.record(HOST, 'table inet filter {\n}\n', { backend: 'nftables' }).ruleCount).toBeNull();
+  });
+});
+
+describe('identifiants', () => {
+  test('refuse un identifiant qui sortirait du dossier de l\'hôte', () => {
+    const { id } = snapshotService.record(HOST, RULESET);
+    expect(snapshotService.get(HOST, `../${path.basename(snapshotService.hostDir(HOST))}/${id}`)).toBeNull();
+    expect(snapshotService.get(HOST, '1700000000000-zz')).toBeNull();
+    expect(snapshotService.get(HOST, '1700000000000-abcdef')).toBeNull();
+  });
+
+  test('remplace les caractères non sûrs du nom de l\'hôte', () => {
+    expect(snapshotService.hostDir('../../etc@host:22')).toBe(path.join(dir, '.._.._etc@host_22'));
+    expect(snapshotService.hostKey({ username: 'root', host: '10.0.0.1' })).toBe('root@10.0.0.1:22');
+  });
+});
+
+describe('prune', () => {
+  test('ne garde que les 200 instantanés automatiques les plus récents', () => {
+    const manual = writeOld(1000000000000, false);
+    for (let i = 0; i < 200; i++) {
+      writeOld(1100000000000 + i, true);
+    }
+
+    snapshotService.record(HOST, RULESET, { automatic: true });
+
+    const ids = snapshotService.list(HOST).map(s => s.id);
+    expect(ids).toHaveLength(201);
+    expect(ids).toContain(manual);
+    expect(ids).not.toContain('1100000000000-abcdef');
+    expect(ids).toContain('1100000000001-abcdef');
+  });
+
+  test('ne supprime jamais un instantané manuel', () => {
+    for (let i = 0; i < 200; i++) {
+      writeOld(1100000000000 + i, true);
+    }
+    snapshotService.record(HOST, RULESET, { message: 'manuel' });
+    expect(snapshotService.list(HOST)).toHaveLength(201);
+  });
+});
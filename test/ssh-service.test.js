@@ -0,0 +1,169 @@
+/**
+ * Tests du commit confirmé (SSHService.armRollback, confirmChanges,
+ * rollbackChanges, cancelRollback et applyChange avec confirmTimeout)
+ *
+ * Une connexion factice est enregistrée pour la session ; les commandes
+ * distantes sont simulées (jest.spyOn sur executeCommand, openConnection et
+ * runCommand). Le journal d'audit est écrit dans un dossier temporaire.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iptables-confirm-'));
+process.env.AUDIT_FILE = path.join(dir, 'audit.log');
+
+const sshService = require('../services/ssh-service');
+
+const SNAPSHOT = '/tmp/iptables-manager.Ab12Cd';
+const PID = '4242';
+const CONFIG = { host: '10.0.0.1', port: 22, username: 'admin' };
+
+let spies;
+let conn;
+
+/**
+ * Commandes passées à executeCommand, dans l'ordre
+ */
+const commands = () => sshService.executeCommand.mock.calls.map(([, command]) => command);
+
+/**
+ * Simule l'hôte : le minuteur est armé avec SNAPSHOT et PID, la commande
+ * contenant `failing` échoue
+ */
+const remote = (failing = null) => async (sessionId, command) => {
+  if (failing && command.includes(failing)) {
+    const error = new Error(`Commande échouée (code 1): ${failing}`);
+    error.stderr = 'iptables: Bad rule';
+    throw error;
+  }
+  if (command.startsWith('umask 077')) return `${SNAPSHOT}\n`;
+  if (command.startsWith('nohup')) return `${PID}\n`;
+  return '';
+};
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  sshService.connections.set('session', new Map([['gw1', { conn: {}, config: CONFIG, backend: 'iptables' }]]));
+  sshService.activeHosts.set('session', 'gw1');
+  conn = { end: jest.fn() };
+  spies = [
+    jest.spyOn(sshService, 'executeCommand').mockImplementation(remote()),
+    jest.spyOn(sshService, 'openConnection').mockResolvedValue(conn),
+    jest.spyOn(sshService, 'runCommand').mockResolvedValue(''),
+    jest.spyOn(sshService, 'checkLockout').mockResolvedValue(),
+    jest.spyOn(sshService, 'takeSnapshot').mockResolvedValue({ fingerprint: 'aaaa' }),
+    jest.spyOn(sshService, 'readFingerprint').mockResolvedValue('bbbb')
+  ];
+});
+
+afterEach(() => {
+  sshService.clearPendingConfirmation('session');
+  sshService.connections.delete('session');
+  sshService.activeHosts.delete('session');
+  spies.forEach(spy => spy.mockRestore());
+  jest.useRealTimers();
+});
+
+describe('armRollback', () => {
+  test('enregistre un instantané privé et lance un minuteur détaché', async () => {
+    const pending = await sshService.armRollback('session', 30, 'ipv6');
+
+    expect(commands()).toEqual([
+      'umask 077 && f=$(mktemp /tmp/iptables-manager.XXXXXX) && sudo ip6tables-save > "$f" && echo "$f"',
+      `nohup sh -c 'sleep 30 && sudo ip6tables-restore < ${SNAPSHOT}; rm -f ${SNAPSHOT}' > /dev/null 2>&1 & echo $!`
+    ]);
+    expect(pending).toMatchObject({ timeout: 30, remaining: 30 });
+    expect(sshService.getPendingConfirmation('session')).toEqual(pending);
+  });
+
+  test('refuse un second minuteur tant que le premier attend', async () => {
+    await sshService.armRollback('session', 30);
+    await expect(sshService.armRollback('session', 60)).rejects.toMatchObject({ status: 409 });
+    expect(commands()).toHaveLength(2);
+  });
+});
+
+describe('confirmChanges', () => {
+  test('arrête le minuteur par une nouvelle connexion SSH', async () => {
+    await sshService.armRollback('session', 30);
+
+    expect(await sshService.confirmChanges('session')).toEqual({ success: true, message: 'Modifications confirmées' });
+    expect(sshService.openConnection).toHaveBeenCalledWith(CONFIG);
+    expect(sshService.runCommand).toHaveBeenCalledWith(conn, `kill ${PID} && rm -f ${SNAPSHOT}`);
+    expect(conn.end).toHaveBeenCalled();
+    expect(sshService.getPendingConfirmation('session')).toBeNull();
+  });
+
+  test('signale un délai dépassé sans ouvrir de connexion', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    await sshService.armRollback('session', 30);
+    jest.setSystemTime(Date.now() + 31000);
+
+    await expect(sshService.confirmChanges('session')).rejects.toMatchObject({
+      status: 410,
+      message: 'Délai de confirmation dépassé: la configuration précédente a été restaurée'
+    });
+    expect(sshService.openConnection).not.toHaveBeenCalled();
+    expect(sshService.getPendingConfirmation('session')).toBeNull();
+  });
+
+  test('oublie la modification en attente une fois le délai écoulé', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    await sshService.armRollback('session', 30);
+
+    jest.advanceTimersByTime(30000);
+    expect(sshService.getPendingConfirmation('session')).toMatchObject({ remaining: 0 });
+    jest.advanceTimersByTime(1000);
+    expect(sshService.getPendingConfirmation('session')).toBeNull();
+  });
+
+  test('signale un minuteur déjà déclenché sur le serveur', async () => {
+    await sshService.armRollback('session', 30);
+    sshService.runCommand.mockRejectedValue(new Error('kill: (4242) - No such process'));
+
+    await expect(sshService.confirmChanges('session')).rejects.toMatchObject({ status: 410 });
+    expect(conn.end).toHaveBeenCalled();
+    expect(sshService.getPendingConfirmation('session')).toBeNull();
+  });
+
+  test('refuse une confirmation sans modification en attente', async () => {
+    await expect(sshService.confirmChanges('session')).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('rollbackChanges', () => {
+  test('arrête le minuteur et restaure aussitôt l\'instantané', async () => {
+    await sshService.armRollback('session', 30);
+
+    await sshService.rollbackChanges('session', { author: 'alice' });
+    expect(commands()[2]).toBe(`kill ${PID}; sudo iptables-restore < ${SNAPSHOT} && rm -f ${SNAPSHOT}`);
+    expect(sshService.getPendingConfirmation('session')).toBeNull();
+  });
+});
+
+describe('applyChange avec confirmTimeout', () => {
+  test('arme le minuteur avant d\'exécuter la commande', async () => {
+    const pending = await sshService.applyChange('session', 'sudo iptables -P INPUT DROP', { confirmTimeout: 60 });
+
+    expect(pending).toMatchObject({ timeout: 60 });
+    expect(commands()).toEqual([
+      expect.stringMatching(/^umask 077/),
+      expect.stringMatching(/^nohup sh -c 'sleep 60 && /),
+      'sudo iptables -P INPUT DROP'
+    ]);
+  });
+
+  test('désarme le minuteur si la commande échoue', async () => {
+    sshService.executeCommand.mockImplementation(remote('-A INPUT'));
+
+    await expect(sshService.applyChange('session', 'sudo iptables -A INPUT -j NOPE', { confirmTimeout: 60 }))
+      .rejects.toThrow('Commande échouée');
+    expect(commands()[3]).toBe(`kill ${PID}; rm -f ${SNAPSHOT}`);
+    expect(sshService.getPendingConfirmation('session')).toBeNull();
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Tests des modèles de règles (services/template-service)
+ *
+ * Les modèles fournis sont ceux de templates/ ; les modèles d'équipe sont
+ * écrits dans un dossier temporaire (variable TEMPLATES_DIR). Les commandes
+ * SSH sont simulées (jest.spyOn sur SSHService).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iptables-templates-'));
+process.env.TEMPLATES_DIR = dir;
+
+const sshService = require('../services/ssh-service');
+const changesetService = require('../services/changeset-service');
+const templateService = require('../services/template-service');
+
+const LIVE = [
+  '*filter',
+  ':INPUT DROP [0:0]',
+  ':FORWARD DROP [0:0]',
+  ':OUTPUT ACCEPT [0:0]',
+  '-A INPUT -i lo -j ACCEPT',
+  '-A INPUT -p tcp -m tcp --dport 80 -j ACCEPT',
+  'COMMIT',
+  ''
+].join('\n');
+
+let spies;
+
+beforeEach(() => {
+  spies = [
+    jest.spyOn(sshService, 'requireIptables').mockReturnValue(),
+    jest.spyOn(sshService, 'executeCommand').mockImplementation(async (sessionId, command) => (command.includes('restore') ? '' : LIVE)),
+    jest.spyOn(sshService, 'applyChange').mockResolvedValue(null)
+  ];
+});
+
+afterEach(() => {
+  spies.forEach(spy => spy.mockRestore());
+  fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('list', () => {
+  test('réunit les modèles fournis et ceux de l\'équipe, et signale les fichiers refusés', () => {
+    expect(templateService.list()).toMatchObject({ invalid: [] });
+    expect(templateService.list().templates.map(t => t.id).sort())
+      .toEqual(['drop-invalid', 'established-baseline', 'nat-gateway', 'ssh-admin', 'web-server']);
+
+    fs.writeFileSync(path.join(dir, 'web-server.json'), JSON.stringify({
+      name: 'Serveur web interne',
+      parameters: { network: { type: 'address', required: true } },
+      rules: [{ chain: 'INPUT', protocol: 'tcp', source: '{{network}}', destPort: '443', target: 'ACCEPT' }]
+    }));
+    fs.writeFileSync(path.join(dir, 'broken.yaml'), [
+      'name: Cassé',
+      'parameters:',
+      '  port: { type: nombre }',
+      'rules:',
+      '  - { chain: INPUT, position: middle, destPort: "{{dport}}", target: ACCEPT }'
+    ].join('\n'));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignoré');
+
+    const { templates, invalid } = templateService.list();
+    expect(templates.find(t => t.id === 'web-server')).toMatchObject({ name: 'Serveur web interne', source: 'custom' });
+    expect(invalid).toEqual([{
+      file: 'broken.yaml',
+      source: 'custom',
+      errors: [
+        'Paramètre port: type inconnu (attendu: address, port, ports, interface, integer, rate, text, boolean, choice)',
+        'Règle 1: position invalide: middle (attendu: top, bottom)',
+        'Règle 1: paramètre non déclaré: {{dport}}'
+      ]
+    }]);
+    expect(() => templateService.get('broken')).toThrow(expect.objectContaining({ status: 404 }));
+  });
+});
+
+describe('render', () => {
+  test('remplace les paramètres et retire les champs facultatifs vides', () => {
+    const { rules } = templateService.render('web-server', { interface: 'eth0' });
+    expect(rules[0].content).toBe('-i eth0 -p tcp -m multiport --dports 80,443 -m conntrack --ctstate NEW -m comment --comment "serveur web" -j ACCEPT');
+    expect(templateService.render('web-server', { ports: '8080' }).rules[0].content)
+      .toBe('-p tcp -m multiport --dports 8080 -m conntrack --ctstate NEW -m comment --comment "serveur web" -j ACCEPT');
+  });
+
+  test('filtre les règles par paramètre (when) et par famille', () => {
+    const contents = (values, family) => templateService.render('established-baseline', values, family).rules.map(r => r.content);
+
+    expect(contents({})).toEqual([
+      '-i lo -j ACCEPT',
+      '-m conntrack --ctstate RELATED,ESTABLISHED -j ACCEPT',
+      '-p icmp -m icmp --icmp-type echo-request -j ACCEPT'
+    ]);
+    expect(contents({ loopback: 'false', ping: false })).toEqual(['-m conntrack --ctstate RELATED,ESTABLISHED -j ACCEPT']);
+    expect(contents({}, 'ipv6')[2]).toBe('-p icmpv6 -m icmp6 --icmpv6-type echo-request -j ACCEPT');
+  });
+
+  test('vérifie le type de chaque paramètre', () => {
+    let error;
+    try {
+      templateService.render('drop-invalid', { chain: 'OUTPUT', log: 'oui', level: 4 });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toMatchObject({ status: 400, message: 'Paramètres du modèle invalides' });
+    expect(error.errors).toEqual([
+      'Paramètre inconnu: level',
+      'Valeur invalide pour chain (choice): OUTPUT',
+      'Valeur invalide pour log (boolean): oui (attendu: true ou false)'
+    ]);
+
+    expect(() => templateService.render('ssh-admin', {})).toThrow(expect.objectContaining({
+      errors: ['Paramètre requis: Réseau d\'administration (source)']
+    }));
+    expect(() => templateService.render('ssh-admin', { source: '10.0.0.0/8; reboot' })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(templateService.render('ssh-admin', { source: '2001:db8::/32' }, 'ipv6').rules[0].rule.source).toBe('2001:db8::/32');
+    expect(() => templateService.render('nat-gateway', {}, 'ipv6')).toThrow('Le modèle Passerelle NAT avec MASQUERADE n\'est pas disponible en ipv6');
+  });
+});
+
+describe('preview / apply', () => {
+  const gateway = { network: '192.168.1.0/24', lan: 'eth1', wan: 'eth0' };
+
+  test('écarte les règles déjà présentes et insère les règles "top" dans l\'ordre', async () => {
+    const preview = await templateService.preview('session', 'established-baseline');
+
+    expect(preview.rules.map(r => r.present)).toEqual([true, false, false]);
+    expect(preview.script).toBe([
+      '*filter',
+      '-I INPUT 1 -m conntrack --ctstate RELATED,ESTABLISHED -j ACCEPT',
+      '-I INPUT 2 -p icmp -m icmp --icmp-type echo-request -j ACCEPT',
+      'COMMIT',
+      ''
+    ].join('\n'));
+    expect(preview.diff.summary).toMatchObject({ added: 2, removed: 0 });
+  });
+
+  test('refuse une chaîne absente de l\'hôte', async () => {
+    await expect(templateService.preview('session', 'nat-gateway', gateway)).rejects.toMatchObject({ status: 409 });
+  });
+
+  test('applique les règles en une opération, avec la configuration attendue', async () => {
+    const { fingerprint } = await templateService.preview('session', 'web-server', { ports: '443' });
+    await expect(templateService.apply('session', 'web-server', { ports: '443' }, { fingerprint: 'autre' }))
+      .rejects.toMatchObject({ status: 409 });
+
+    const result = await templateService.apply('session', 'web-server', { ports: '443' }, { fingerprint, author: 'alice' });
+    const script = '*filter\n-A INPUT -p tcp -m multiport --dports 443 -m conntrack --ctstate NEW -m comment --comment "serveur web" -j ACCEPT\nCOMMIT\n';
+    expect(sshService.executeCommand).toHaveBeenCalledWith('session', 'sudo iptables-restore --noflush --test', { input: script });
+    expect(sshService.applyChange).toHaveBeenCalledWith('session', 'sudo iptables-restore --noflush', expect.objectContaining({
+      author: 'alice', family: 'ipv4', input: script
+    }));
+    const { result: expected } = sshService.applyChange.mock.calls[0][2];
+    expect(Object.keys(expected)).toEqual(['filter']);
+    expect(expected.filter[0].rules).toHaveLength(3);
+    expect(result.message).toBe('Modèle Serveur web (80/443) appliqué : 1 règle(s) ajoutée(s)');
+  });
+
+  test('ne modifie rien quand toutes les règles sont présentes', async () => {
+    fs.writeFileSync(path.join(dir, 'loopback.yaml'), 'name: Boucle locale\nrules:\n  - { chain: INPUT, inInterface: lo, target: ACCEPT }\n');
+    const result = await templateService.apply('session', 'loopback', {}, {});
+    expect(result.message).toBe('Aucune modification : les règles du modèle Boucle locale sont déjà présentes');
+    expect(sshService.applyChange).not.toHaveBeenCalled();
+  });
+
+  test('prépare les règles au lieu de les appliquer avec stage', async () => {
+    const stage = jest.spyOn(changesetService, 'stage').mockResolvedValue({});
+    spies.push(stage, jest.spyOn(changesetService, 'list').mockReturnValue([]));
+
+    const result = await templateService.apply('session', 'drop-invalid', { log: true }, { stage: true });
+    expect(stage.mock.calls.map(([, change]) => [change.type, change.position])).toEqual([['insert', 1], ['insert', 2]]);
+    expect(result.message).toBe('Modèle Rejeter les paquets invalides : 2 règle(s) préparée(s)');
+    expect(sshService.applyChange).not.toHaveBeenCalled();
+  });
+});
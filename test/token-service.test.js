@@ -0,0 +1,113 @@
+/**
+ * Tests des jetons d'API (services/token-service)
+ *
+ * Les jetons et les utilisateurs sont lus dans des fichiers temporaires
+ * (variables TOKENS_FILE et USERS_FILE).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iptables-tokens-'));
+process.env.TOKENS_FILE = path.join(dir, 'tokens.json');
+process.env.USERS_FILE = path.join(dir, 'users.json');
+delete process.env.APP_USERS;
+
+const tokenService = require('../services/token-service');
+
+const users = {
+  alice: { username: 'alice', role: 'operator', tables: ['filter', 'nat'] },
+  root: { username: 'root', role: 'admin', tables: null }
+};
+
+const writeUsers = (list) => {
+  fs.writeFileSync(process.env.USERS_FILE, JSON.stringify({ users: list.map(u => ({ ...u, password: 'scrypt$x$y' })) }));
+};
+
+beforeEach(() => {
+  writeUsers(Object.values(users));
+  fs.rmSync(tokenService.file, { force: true });
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('create / authenticate', () => {
+  test('n\'enregistre que l\'empreinte et authentifie le jeton en clair', () => {
+    const created = tokenService.create(users.alice, { name: 'ci', hosts: ['web1'] });
+
+    expect(created.token).toMatch(/^ipt_[0-9a-f]{12}\.[A-Za-z0-9_-]{32}$/);
+    expect(fs.readFileSync(tokenService.file, 'utf8')).not.toContain(created.token.split('.')[1]);
+    expect(tokenService.list(users.alice)).toEqual([expect.not.objectContaining({ hash: expect.anything() })]);
+
+    expect(tokenService.authenticate(created.token)).toEqual({
+      username: 'alice',
+      role: 'operator',
+      tables: ['filter', 'nat'],
+      token: { id: created.id, name: 'ci', hosts: ['web1'] }
+    });
+    expect(tokenService.authenticate(`${created.token.slice(0, -1)}A`)).toBeNull();
+    expect(tokenService.authenticate('ipt_nope')).toBeNull();
+  });
+
+  test('ne dépasse jamais le rôle ni les tables du propriétaire', () => {
+    expect(() => tokenService.create(users.alice, { name: 'x', role: 'admin' }))
+      .toThrow(expect.objectContaining({ status: 403 }));
+    expect(() => tokenService.create(users.alice, { name: 'x', tables: ['raw'] }))
+      .toThrow(/Tables non autorisées pour le propriétaire: raw/);
+    expect(() => tokenService.create(users.alice, { name: 'x', expiresAt: '2000-01-01' }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+
+    const { token } = tokenService.create(users.root, { name: 'lecture', role: 'viewer' });
+    expect(tokenService.authenticate(token)).toMatchObject({ username: 'root', role: 'viewer', tables: null });
+  });
+
+  test('suit les droits actuels du propriétaire', () => {
+    const { token } = tokenService.create(users.alice, { name: 'ci', tables: ['nat'] });
+
+    writeUsers([{ ...users.alice, tables: ['filter'] }]);
+    expect(tokenService.authenticate(token)).toMatchObject({ role: 'operator', tables: [] });
+
+    writeUsers([{ ...users.alice, role: 'viewer' }]);
+    expect(tokenService.authenticate(token)).toMatchObject({ role: 'viewer', tables: null });
+
+    writeUsers([]);
+    expect(tokenService.authenticate(token)).toBeNull();
+  });
+
+  test('refuse un jeton expiré', () => {
+    const { token, id } = tokenService.create(users.root, { name: 'ci', expiresAt: new Date(Date.now() + 60000).toISOString() });
+    expect(tokenService.authenticate(token)).not.toBeNull();
+
+    const stored = JSON.parse(fs.readFileSync(tokenService.file, 'utf8'));
+    stored.tokens.find(t => t.id === id).expiresAt = new Date(Date.now() - 1000).toISOString();
+    fs.writeFileSync(tokenService.file, JSON.stringify(stored));
+    expect(tokenService.authenticate(token)).toBeNull();
+  });
+});
+
+describe('revoke / authorizeHost', () => {
+  test('révoque ses propres jetons, ou tous pour un administrateur', () => {
+    const first = tokenService.create(users.alice, { name: 'a' });
+    const second = tokenService.create(users.alice, { name: 'b' });
+
+    expect(() => tokenService.revoke(first.id, { username: 'bob', role: 'operator' }))
+      .toThrow(expect.objectContaining({ status: 404 }));
+    tokenService.revoke(first.id, users.alice);
+    tokenService.revoke(second.id, users.root);
+
+    expect(tokenService.authenticate(first.token)).toBeNull();
+    expect(tokenService.list(users.root)).toEqual([]);
+  });
+
+  test('limite un jeton à ses hôtes', () => {
+    const limited = tokenService.authenticate(tokenService.create(users.root, { name: 'x', hosts: ['web1'] }).token);
+    const open = tokenService.authenticate(tokenService.create(users.root, { name: 'y' }).token);
+
+    expect(() => tokenService.authorizeHost(limited, 'web1')).not.toThrow();
+    expect(() => tokenService.authorizeHost(limited, 'db1')).toThrow(expect.objectContaining({ status: 403 }));
+    expect(() => tokenService.authorizeHost(open, 'db1')).not.toThrow();
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests des utilisateurs de l'application et de leurs rôles (services/user-service)
+ *
+ * Les utilisateurs sont lus dans un fichier temporaire (variable USERS_FILE),
+ * ou dans la variable APP_USERS.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iptables-users-'));
+process.env.USERS_FILE = path.join(dir, 'users.json');
+delete process.env.APP_USERS;
+
+const userService = require('../services/user-service');
+
+const writeUsers = (users) => {
+  fs.writeFileSync(userService.file, JSON.stringify({ users }));
+};
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  delete process.env.APP_USERS;
+  fs.rmSync(userService.file, { force: true });
+});
+
+describe('mots de passe', () => {
+  test('vérifie un mot de passe contre son empreinte salée', async () => {
+    const hash = await userService.hashPassword('s3cret');
+    expect(hash).toMatch(/^scrypt\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+    expect(await userService.hashPassword('s3cret')).not.toBe(hash);
+    expect(await userService.verifyPassword('s3cret', hash)).toBe(true);
+    expect(await userService.verifyPassword('S3cret', hash)).toBe(false);
+    expect(await userService.verifyPassword('s3cret', 's3cret')).toBe(false);
+  });
+});
+
+describe('authenticate', () => {
+  test('authentifie un utilisateur du fichier sans exposer son empreinte', async () => {
+    writeUsers([
+      { username: 'alice', password: await userService.hashPassword('wonderland'), role: 'operator', tables: ['filter'] }
+    ]);
+
+    expect(await userService.authenticate('alice', 'wonderland'))
+      .toEqual({ username: 'alice', role: 'operator', tables: ['filter'] });
+    expect(await userService.authenticate('alice', 'wrong')).toBeNull();
+    expect(await userService.authenticate('bob', 'wonderland')).toBeNull();
+  });
+
+  test('préfère APP_USERS au fichier et ignore les utilisateurs invalides', async () => {
+    writeUsers([{ username: 'alice', password: await userService.hashPassword('x'), role: 'admin' }]);
+    process.env.APP_USERS = JSON.stringify([
+      { username: 'carol', password: await userService.hashPassword('y'), role: 'viewer', tables: ['nat'] },
+      { username: 'mallory', password: 'x', role: 'root' }
+    ]);
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(userService.get('alice')).toBeNull();
+    expect(userService.get('mallory')).toBeNull();
+    expect(userService.get('carol')).toEqual({ username: 'carol', role: 'viewer', tables: null });
+    expect(error).toHaveBeenCalled();
+    error.mockRestore();
+  });
+});
+
+describe('authorize', () => {
+  const viewer = { username: 'v', role: 'viewer', tables: null };
+  const operator = { username: 'o', role: 'operator', tables: ['filter'] };
+  const admin = { username: 'a', role: 'admin', tables: null };
+
+  test('hiérarchise les rôles', () => {
+    expect(userService.hasRole(admin, 'operator')).toBe(true);
+    expect(userService.hasRole(operator, 'viewer')).toBe(true);
+    expect(userService.hasRole(operator, 'admin')).toBe(false);
+    expect(userService.hasRole(null, 'viewer')).toBe(false);
+  });
+
+  test('refuse sans utilisateur (401) ou sans le rôle requis (403)', () => {
+    expect(() => userService.authorize(null, 'viewer')).toThrow(expect.objectContaining({ status: 401 }));
+    expect(() => userService.authorize(viewer, 'operator')).toThrow(expect.objectContaining({ status: 403 }));
+    expect(() => userService.authorize(operator, 'admin')).toThrow(/réservée au rôle admin/);
+    expect(() => userService.authorize(viewer, 'viewer')).not.toThrow();
+  });
+
+  test('limite un opérateur à ses tables', () => {
+    expect(() => userService.authorize(operator, 'operator', 'filter')).not.toThrow();
+    expect(() => userService.authorize(operator, 'operator', 'nat')).toThrow(/Table nat non autorisée/);
+    expect(() => userService.authorize({ ...operator, tables: null }, 'operator', 'nat')).not.toThrow();
+    expect(() => userService.authorize(admin, 'operator', 'nat')).not.toThrow();
+  });
+});